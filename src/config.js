@@ -15,9 +15,10 @@
  */
 
 import * as THREE from 'three';
-import { ShotType, DEFAULT_UNITS } from './model/survey.js';
+import { ShotType, DEFAULT_UNITS, DEFAULT_BACKSIGHT_TOLERANCE } from './model/survey.js';
 import { showErrorPanel, showSuccessPanel } from './ui/popups.js';
 import { i18n } from './i18n/i18n.js';
+import { DEFAULT_TRAVEL_SPEEDS } from './utils/route.js';
 
 export const DEFAULT_OPTIONS = {
   isDefault : true,
@@ -63,6 +64,12 @@ export const DEFAULT_OPTIONS = {
         radius : 0.3
       }
     },
+    passages : {
+      show      : false,
+      color     : '#c8b48c',
+      opacity   : 0.6,
+      colorMode : 'centerLines' // 'centerLines' | 'static'
+    },
     boundingBox : {
       mode : 'off' // 'off' | 'box' | 'boxWithProjections'
     },
@@ -217,6 +224,35 @@ export const DEFAULT_OPTIONS = {
         height       : 320,
         width        : 700,
         columnWidths : {}
+      },
+      calibrationProfiles : {
+        height       : 320,
+        width        : 900,
+        columnWidths : {}
+      },
+      blunders : {
+        height       : 300,
+        width        : 800,
+        columnWidths : {}
+      },
+      qa : {
+        height       : 500,
+        width        : 900,
+        columnWidths : {}
+      },
+      caveHistory : {
+        height       : 500,
+        width        : 800,
+        columnWidths : {}
+      },
+      photoGallery : {
+        height : 500,
+        width  : 700
+      },
+      photoImport : {
+        height       : 500,
+        width        : 900,
+        columnWidths : {}
       }
     },
     sidebar : {
@@ -251,6 +287,14 @@ export const DEFAULT_OPTIONS = {
   format : {
     units            : { ...DEFAULT_UNITS }, // length: 'meters' | 'feet' | 'yards' | 'inches'; angle: 'degrees' | 'grads'
     decimalSeparator : '.' // '.' | ','
+  },
+  calculation : {
+    adjustment         : 'none', // 'none' | 'leastSquares'
+    backsightTolerance : { ...DEFAULT_BACKSIGHT_TOLERANCE }, // degrees, backsights are averaged within the tolerance
+    declinationSource  : 'noaa' // 'noaa' | 'model', the bundled magnetic model is the fallback of the NOAA service
+  },
+  route : {
+    speeds : { ...DEFAULT_TRAVEL_SPEEDS } // meters per minute: horizontal, ascent and descent
   }
 };
 
@@ -511,6 +555,32 @@ export class ConfigManager {
     if (config.ui.stationDetails.dimensions === undefined) {
       config.ui.stationDetails.dimensions = false;
     }
+
+    if (config.scene.passages === undefined) {
+      config.scene.passages = { show: false, color: '#c8b48c', opacity: 0.6, colorMode: 'centerLines' };
+    }
+
+    if (config.calculation === undefined) {
+      config.calculation = {
+        adjustment         : 'none',
+        backsightTolerance : { ...DEFAULT_BACKSIGHT_TOLERANCE },
+        declinationSource  : 'noaa'
+      };
+    } else {
+      if (config.calculation.adjustment === undefined) {
+        config.calculation.adjustment = 'none';
+      }
+      if (config.calculation.backsightTolerance === undefined) {
+        config.calculation.backsightTolerance = { ...DEFAULT_BACKSIGHT_TOLERANCE };
+      }
+      if (config.calculation.declinationSource === undefined) {
+        config.calculation.declinationSource = 'noaa';
+      }
+    }
+
+    if (config.route === undefined) {
+      config.route = { speeds: { ...DEFAULT_TRAVEL_SPEEDS } };
+    }
   }
 
   /**
@@ -923,6 +993,26 @@ export class ConfigChanges {
     }
   }
 
+  /**
+   * Handle LRUD passage tube configuration changes
+   */
+  handlePassageChanges(path, oldValue, newValue) {
+    switch (path) {
+      case 'scene.passages.show':
+        this.scene.speleo.setObjectsVisibility('passages', newValue);
+        break;
+
+      case 'scene.passages.opacity':
+        this.scene.speleo.setPassagesOpacity(newValue);
+        break;
+
+      case 'scene.passages.color':
+      case 'scene.passages.colorMode':
+        this.scene.speleo.changeCenterLineColorMode(this.watchedConfig.scene.caveLines.color.mode);
+        break;
+    }
+  }
+
   /**
    * Handle starting point configuration changes
    */
@@ -1238,6 +1328,8 @@ export class ConfigChanges {
       this.handleSplayChanges(path, oldValue, newValue);
     } else if (path.startsWith('scene.auxiliaries')) {
       this.handleAuxiliaryChanges(path, oldValue, newValue);
+    } else if (path.startsWith('scene.passages')) {
+      this.handlePassageChanges(path, oldValue, newValue);
     } else if (path.startsWith('scene.startPoints')) {
       this.handleStartingPointChanges(path, oldValue, newValue);
     } else if (path.startsWith('scene.caveLines.color')) {
@@ -1280,6 +1372,14 @@ export class ConfigChanges {
       document.dispatchEvent(new CustomEvent('unitsChanged'));
     } else if (path === 'format.decimalSeparator') {
       document.dispatchEvent(new CustomEvent('decimalSeparatorChanged'));
+    } else if (path === 'calculation.adjustment') {
+      document.dispatchEvent(new CustomEvent('adjustmentModeChanged', { detail: { mode: newValue } }));
+    } else if (path.startsWith('calculation.backsightTolerance.')) {
+      document.dispatchEvent(new CustomEvent('backsightToleranceChanged'));
+    } else if (path === 'calculation.declinationSource') {
+      // do nothing, used when the declination is calculated next time
+    } else if (path.startsWith('route.')) {
+      // do nothing, used when the next route is planned
     } else if (path.startsWith('ui.sidebar.')) {
       // do nothing, no action on sidebar changes
     } else if (path.startsWith('ui.stationDetails.')) {
@@ -25,6 +25,7 @@ import { Raycasting } from './scene/raycasting.js';
 import { AttributesDefinitions } from './attributes.js';
 import { CoordinateSystemType } from './model/geo.js';
 import { DEFAULT_UNITS } from './model/survey.js';
+import { SectionPlane } from './utils/cross-section.js';
 
 class SceneInteraction {
 
@@ -107,6 +108,10 @@ class SceneInteraction {
       {
         name    : i18n.t('menu.station.pivotPoint'),
         onclick : () => this.selectPivotPoint()
+      },
+      {
+        name    : i18n.t('menu.station.crossSection'),
+        onclick : () => this.showCrossSection()
       }
     ].forEach((item) => {
       const button = node`<button id="station-context-menu-${item.name.toLowerCase().replace(' ', '-')}">${item.name}</button>`;
@@ -196,6 +201,15 @@ class SceneInteraction {
     this.scene.view.panCameraTo(position);
   }
 
+  showCrossSection() {
+    const sectionView = this.scene.views.get('section');
+    const { name, position, cave, type } = this.selectedStation;
+    // stations look along the passage, surface points keep the direction of the current section
+    const azimuth = type === 'station' ? SectionPlane.getPassageAzimuth(cave, name) : sectionView.plane?.azimuth;
+    const halfWidth = sectionView.plane?.halfWidth;
+    sectionView.setPlane(new SectionPlane(position, azimuth, halfWidth));
+  }
+
   toggleRaycasting() {
     this.raycastingEnabled = !this.raycastingEnabled;
     this.options.interactive.raycasting = this.raycastingEnabled;
@@ -303,14 +317,20 @@ class SceneInteraction {
       }
     }
 
-    //UTM coordinates
-    if (st.coordinates && st.coordinates.projected && st.coordinates.projected.type === CoordinateSystemType.UTM) {
+    //UTM and other projected coordinates
+    if (
+      st.coordinates &&
+      st.coordinates.projected &&
+      (st.coordinates.projected.type === CoordinateSystemType.UTM ||
+        st.coordinates.projected.type === CoordinateSystemType.PROJECTED)
+    ) {
+      const prefix = st.coordinates.projected.type === CoordinateSystemType.UTM ? 'UTM ' : '';
       const utmCoords = [];
       if (config.utmEasting) {
-        utmCoords.push(`UTM E: ${formatFloat(st.coordinates.projected.easting, 2)}`);
+        utmCoords.push(`${prefix}E: ${formatFloat(st.coordinates.projected.easting, 2)}`);
       }
       if (config.utmNorthing) {
-        utmCoords.push(`UTM N: ${formatFloat(st.coordinates.projected.northing, 2)}`);
+        utmCoords.push(`${prefix}N: ${formatFloat(st.coordinates.projected.northing, 2)}`);
       }
       if (config.elevation) {
         utmCoords.push(`Elev: ${formatFloat(st.coordinates.projected.elevation, 2)}`);
@@ -421,6 +441,11 @@ class SceneInteraction {
         })
       );
     }
+    if (st.type === 'pointcloud' || st.type === 'mesh') {
+      document.dispatchEvent(
+        new CustomEvent('surfacePointSelected', { detail: { name: st.name, position: st.position.clone() } })
+      );
+    }
   }
 
   #clearSelected() {
@@ -851,6 +876,10 @@ class SceneInteraction {
         projectedCoordinates = `
           ${i18n.t('ui.panels.stationDetails.utmCoordinates')}: ${get3DCoordsStr(stationMeta.station.coordinates.projected, ['easting', 'northing', 'elevation'])}<br>
         `;
+      } else if (stationMeta.station.coordinates.projected.type === CoordinateSystemType.PROJECTED) {
+        projectedCoordinates = `
+          ${i18n.t('ui.panels.stationDetails.projectedCoordinates', { cs: stationMeta.cave.geoData?.coordinateSystem?.toString() ?? '' })}: ${get3DCoordsStr(stationMeta.station.coordinates.projected, ['easting', 'northing', 'elevation'])}<br>
+        `;
       }
     }
 
@@ -0,0 +1,166 @@
+/*
+ * Copyright 2026 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Shared pure helpers used by both SurvexExporter and TherionExporter.
+ *
+ * Station names are global in Speleo Studio, but both Survex and Therion have a separate
+ * station name space for every survey block. These helpers assign block identifiers to the
+ * surveys and find the stations that must be equated between the blocks.
+ */
+
+import { ShotType, StationDimension } from '../model/survey.js';
+import { CoordinateSystemType } from '../model/geo.js';
+
+// ─── Names ────────────────────────────────────────────────────────────────────
+
+export function toIdentifier(name) {
+  const id = String(name).replace(/[^A-Za-z0-9_-]/g, '_');
+  return id.length > 0 ? id : 'survey';
+}
+
+/**
+ * Survey names are used as block identifiers and file names, they must be unique case insensitively
+ * @returns {Map<string, string>} Survey name -> unique identifier
+ */
+export function getSurveyIds(surveys) {
+  const ids = new Map();
+  const used = new Set();
+  surveys.forEach((s) => {
+    const id = toIdentifier(s.name);
+    let candidate = id;
+    for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+      candidate = `${id}_${i}`;
+    }
+    used.add(candidate.toLowerCase());
+    ids.set(s.name, candidate);
+  });
+  return ids;
+}
+
+export function quote(str) {
+  return `"${String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// ─── Values ───────────────────────────────────────────────────────────────────
+
+/** YYYY.MM.DD, the date format of both Survex and Therion */
+export function formatDate(date) {
+  const d = date instanceof Date ? date : new Date(date);
+  if (isNaN(d.getTime())) return undefined;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}.${pad(d.getMonth() + 1)}.${pad(d.getDate())}`;
+}
+
+/** Returns the value or undefined if the LRUD value is missing */
+export function dimensionValue(v) {
+  if (StationDimension.isMissingValue(v)) return undefined;
+  const num = typeof v === 'number' ? v : parseFloat(v);
+  return isNaN(num) || num <= 0 ? undefined : num;
+}
+
+// ─── Coordinate system ────────────────────────────────────────────────────────
+
+export function getCoordinateSystemName(coordinateSystem) {
+  if (coordinateSystem?.type === CoordinateSystemType.UTM) {
+    return `UTM${coordinateSystem.zoneNum}${coordinateSystem.northern ? 'N' : 'S'}`;
+  } else if (coordinateSystem?.type === CoordinateSystemType.EOV) {
+    return 'EPSG:23700';
+  } else if (coordinateSystem?.type === CoordinateSystemType.PROJECTED && coordinateSystem.epsgId !== undefined) {
+    return `EPSG:${coordinateSystem.epsgId}`;
+  }
+  return undefined;
+}
+
+/**
+ * Returns the fixed stations of a survey in the order of the fix command: easting, northing, elevation
+ * for UTM and projected systems and y, x, elevation for EOV
+ * @returns {Object[]} {name, values} objects
+ */
+export function getFixes(cave, survey) {
+  return (cave.geoData?.coordinates ?? [])
+    .filter((c) => cave.stations.get(c.name)?.survey?.name === survey.name)
+    .map((c) => {
+      const coord = c.coordinate;
+      const values =
+        coord.type === CoordinateSystemType.EOV
+          ? [coord.y, coord.x, coord.elevation]
+          : [coord.easting, coord.northing, coord.elevation];
+      return { name: c.name, values };
+    });
+}
+
+// ─── Shots and stations ───────────────────────────────────────────────────────
+
+/**
+ * The valid shots of a survey in export order. The importers calculate the first survey from the
+ * from station of its first shot, so the shot starting from the start station is moved to the front.
+ */
+export function getExportShots(survey, isFirst) {
+  const shots = survey.validShots;
+  if (!isFirst) return shots;
+  const start = survey.start !== undefined && survey.start !== '' ? survey.start : survey.shots[0]?.from;
+  const first = shots.find((sh) => sh.from === start);
+  return first === undefined ? shots : [first, ...shots.filter((sh) => sh !== first)];
+}
+
+/**
+ * Returns the station pairs that must be equated between the survey blocks: the aliases of the cave and
+ * the stations that are used by more than one survey. The first survey that uses a station owns it.
+ * @param {Cave} cave - The exported cave
+ * @param {Map<string, string>} surveyIds - Survey name -> block identifier
+ * @returns {Array[]} Pairs of [surveyId, stationName] arrays
+ */
+export function getEquates(cave, surveyIds) {
+  const owners = new Map();
+  const equates = [];
+  const seen = new Set();
+  const addEquate = (a, b) => {
+    const key = [a.join('.'), b.join('.')].sort().join(' ');
+    if (key.split(' ')[0] !== key.split(' ')[1] && !seen.has(key)) {
+      seen.add(key);
+      equates.push([a, b]);
+    }
+  };
+
+  cave.surveys.forEach((survey) => {
+    const id = surveyIds.get(survey.name);
+    survey.validShots.forEach((sh) => {
+      const names = sh.type === ShotType.SPLAY ? [sh.from] : [sh.from, sh.to];
+      names.forEach((name) => {
+        if (!owners.has(name)) {
+          owners.set(name, id);
+        } else if (owners.get(name) !== id) {
+          addEquate([owners.get(name), name], [id, name]);
+        }
+      });
+    });
+  });
+
+  cave.aliases.forEach((alias) => {
+    if (owners.has(alias.from) && owners.has(alias.to)) {
+      addEquate([owners.get(alias.from), alias.from], [owners.get(alias.to), alias.to]);
+    }
+  });
+  return equates;
+}
+
+/**
+ * Returns the station dimensions of the stations that belong to a survey
+ */
+export function getSurveyDimensions(cave, survey) {
+  return (cave.stationDimensions ?? []).filter((sd) => cave.stations.get(sd.name)?.survey?.name === survey.name);
+}
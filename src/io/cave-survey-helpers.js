@@ -15,7 +15,8 @@
  */
 
 /*
- * Shared pure helpers used by both TherionImporter and SurvexImporter.
+ * Shared pure helpers used by TherionImporter and SurvexImporter, and by the Compass, Walls
+ * and Therion .lox importers for survey ordering and cave assembly.
  *
  * All functions are stateless — they take explicit arguments and return values
  * (or mutate only the arguments passed to them). This lets both importers reuse
@@ -33,18 +34,21 @@ import {
   EOVCoordinateSystem,
   UTMCoordinateWithElevation,
   StationWithCoordinate,
+  ProjectedCoordinateWithElevation,
   GeoData,
   CoordinateSystemType,
-  UTMCoordinateSystem
+  UTMCoordinateSystem,
+  ProjectedCoordinateSystem
 } from '../model/geo.js';
 import { Vector } from '../model.js';
 import {
   parseMyFloat, lengthToDegrees, angleToDegrees, clinoToDegrees, roundToTwoDecimalPlaces,
   convertLengthFromMeters, convertAngleFromDegrees
 } from '../utils/utils.js';
-import { MeridianConvergence, UTMConverter } from '../utils/geo.js';
+import { Declination, MeridianConvergence, UTMConverter } from '../utils/geo.js';
+import { EPSGRegistry, Projection } from '../utils/projection.js';
 import { globalNormalizer } from '../utils/global-coordinate-normalizer.js';
-import { showInfoPanel } from '../ui/popups.js';
+import { showInfoPanel, showWarningPanel } from '../ui/popups.js';
 import { i18n } from '../i18n/i18n.js';
 
 // ─── File reading ──────────────────────────────────────────────────────────────
@@ -297,32 +301,38 @@ export function parseDataFormat(tokens) {
   const nlIdx = columns.indexOf('newline');
 
   const ALIASES = {
-    tape        : 'length',
-    distance    : 'length',
-    bearing     : 'compass',
-    azimuth     : 'compass',
-    gradient    : 'clino',
-    inclination : 'clino'
+    tape            : 'length',
+    distance        : 'length',
+    bearing         : 'compass',
+    azimuth         : 'compass',
+    gradient        : 'clino',
+    inclination     : 'clino',
+    backbearing     : 'backcompass',
+    backazimuth     : 'backcompass',
+    backgradient    : 'backclino',
+    backinclination : 'backclino'
   };
 
   const fmt = {
     type,
     columns,
-    hasNewline : nlIdx >= 0,
-    newlineIdx : nlIdx,
-    from       : -1,
-    to         : -1,
-    length     : -1,
-    compass    : -1,
-    clino      : -1,
-    station    : -1,
-    left       : -1,
-    right      : -1,
-    up         : -1,
-    down       : -1,
-    dx         : -1,
-    dy         : -1,
-    dz         : -1,
+    hasNewline  : nlIdx >= 0,
+    newlineIdx  : nlIdx,
+    from        : -1,
+    to          : -1,
+    length      : -1,
+    compass     : -1,
+    clino       : -1,
+    backcompass : -1,
+    backclino   : -1,
+    station     : -1,
+    left        : -1,
+    right       : -1,
+    up          : -1,
+    down        : -1,
+    dx          : -1,
+    dy          : -1,
+    dz          : -1,
   };
 
   columns.forEach((col, idx) => {
@@ -434,6 +444,8 @@ export function applyUnits(tokens, units) {
     if (field === 'length' || field === 'tape' || field === 'distance') units.length = unit;
     else if (field === 'compass' || field === 'bearing') units.compass = unit;
     else if (field === 'clino' || field === 'gradient' || field === 'inclination') units.clino = unit;
+    else if (field === 'backcompass' || field === 'backbearing') units.backcompass = unit;
+    else if (field === 'backclino' || field === 'backgradient') units.backclino = unit;
     else if (field === 'left' || field === 'right' || field === 'up' || field === 'down') {
       units[field] = unit;
     }
@@ -493,6 +505,21 @@ export function parseCs(tokens) {
 
   if (lower === 'epsg:23700') return { type: 'eov' };
 
+  m = lower.match(/^epsg:(\d+)$/);
+  if (m && EPSGRegistry.has(+m[1])) return { type: 'projected', epsgId: +m[1], ...EPSGRegistry.get(+m[1]) };
+
+  // PROJ-style definition, optionally quoted and prefixed with the custom keyword of Survex
+  m = raw.match(/^(?:custom\s+)?"?(\+proj=[^"]+)"?$/i);
+  if (m) {
+    const definition = m[1].trim();
+    try {
+      Projection.get(definition);
+    } catch {
+      return { type: 'unknown', raw };
+    }
+    return { type: 'projected', epsgId: undefined, name: definition, definition };
+  }
+
   return { type: 'unknown', raw };
 }
 
@@ -564,8 +591,31 @@ function extractLrud(getter, fmt, units, targetUnit) {
   return Object.keys(out).length > 0 ? out : null;
 }
 
+// Reads the optional backcompass / backclino columns of a data row. The foresight is replaced by the
+// reversed backsight if its own reading is missing ('-'), which Survex allows when a backsight exists.
+function parseSights(get, units, target, compass, clino) {
+  const isMissing = (raw) => raw === null || raw === undefined || raw === '' || raw === '-';
+  const backCompassRaw = get('backcompass');
+  const backClinoRaw = get('backclino');
+  const backCompassUnit = units.backcompass ?? units.compass;
+  const backClinoUnit = units.backclino ?? units.clino;
+  const backAzimuth = isMissing(backCompassRaw)
+    ? undefined
+    : angleIntoTargetUnit(parseCompass(backCompassRaw, backCompassUnit), backCompassUnit, target.angle);
+  const backClino = isMissing(backClinoRaw)
+    ? undefined
+    : angleIntoTargetUnit(parseClino(backClinoRaw, backClinoUnit), backClinoUnit, target.angle);
+  return resolveSights(
+    isMissing(get('compass')) && backAzimuth !== undefined ? undefined : compass,
+    backAzimuth,
+    isMissing(get('clino')) && backClino !== undefined ? undefined : clino,
+    backClino,
+    target.angle
+  );
+}
+
 export function parseShotRow(tokens, state, surveyPath, shotId) {
-  const { fmt, units, calibration, isSplay } = state;
+  const { fmt, units, calibration, isSplay, isDuplicate } = state;
   const get = (field) => {
     const idx = fmt[field];
     return idx >= 0 && idx < tokens.length ? tokens[idx] : null;
@@ -576,7 +626,7 @@ export function parseShotRow(tokens, state, surveyPath, shotId) {
 
   const toRaw = get('to');
   const isPlaceholder = !toRaw || toRaw === '.' || toRaw === '-';
-  const type = isPlaceholder || isSplay ? ShotType.SPLAY : ShotType.CENTER;
+  const type = isPlaceholder || isSplay ? ShotType.SPLAY : isDuplicate ? ShotType.AUXILIARY : ShotType.CENTER;
   const from = stripStn(qualifyStn(applyStnNames(fromRaw, state), surveyPath));
   const to = type === ShotType.SPLAY
     ? undefined
@@ -597,7 +647,8 @@ export function parseShotRow(tokens, state, surveyPath, shotId) {
     const len = Math.sqrt(dx * dx + dy * dy + dz * dz);
     if (len === 0) return null;
     // declination + atan2/asin output + cartesianExtraRot are all in degrees by construction.
-    const northAdj = state.cartesianNorth === 'magnetic' ? (state.declination ?? 0) : 0;
+    const magnetic = state.cartesianNorth === 'magnetic' && state.declination !== AUTO_DECLINATION;
+    const northAdj = magnetic ? (state.declination ?? 0) : 0;
     const extraRot = state.cartesianExtraRot ?? 0;
     let az = ((Math.atan2(dx, dy) * (180 / Math.PI)) + northAdj + extraRot + 360) % 360;
     let cl = Math.asin(dz / len) * (180 / Math.PI);
@@ -622,12 +673,41 @@ export function parseShotRow(tokens, state, surveyPath, shotId) {
 
   if (isNaN(length)) return null;
 
-  const shot = new Shot(shotId, type, from, to, length, compass, clino, undefined);
+  const sights = parseSights(get, units, target, compass, clino);
+  const shot = new Shot(
+    shotId,
+    type,
+    from,
+    to,
+    length,
+    sights.azimuth,
+    sights.clino,
+    undefined,
+    sights.backAzimuth,
+    sights.backClino
+  );
   const lrud = extractLrud(get, fmt, units, target.length);
   if (lrud) shot._lrud = lrud;
   return shot;
 }
 
+/**
+ * Resolves the foresight and backsight readings of a shot. The backsight readings are kept as read on
+ * the instrument (pointing to the from station), they are averaged with the foresight during the station
+ * calculation. When only the backsight exists the foresight is derived from it. Missing readings are undefined.
+ * @param {string} angleUnit - 'degrees' or 'grads'
+ * @returns {object} {azimuth, clino, backAzimuth, backClino}, missing foresight values default to 0
+ */
+export function resolveSights(foreAzimuth, backAzimuth, foreClino, backClino, angleUnit = 'degrees') {
+  const fullCircle = angleUnit === 'grads' ? 400 : 360;
+  return {
+    azimuth     : foreAzimuth ?? (backAzimuth !== undefined ? (backAzimuth + fullCircle / 2) % fullCircle : 0),
+    clino       : foreClino ?? (backClino !== undefined ? -backClino : 0),
+    backAzimuth : foreAzimuth !== undefined ? backAzimuth : undefined,
+    backClino   : foreClino !== undefined ? backClino : undefined
+  };
+}
+
 /**
  * Parses one row of a `*data passage` block (Survex) — per-station LRUD data.
  * Format example: `*data passage station left right up down`.
@@ -655,7 +735,7 @@ export function flushStationPairs(pairs, shots, startId, surveyPath) {
   let id = startId;
   for (let i = 0; i < pairs.length; i++) {
     const { line1, line2, state } = pairs[i];
-    const { fmt, units, calibration, isSplay } = state;
+    const { fmt, units, calibration, isSplay, isDuplicate } = state;
 
     const stnIdx = fmt.station >= 0 ? fmt.station : 0;
     const fromRaw = stnIdx < line1.length ? line1[stnIdx] : null;
@@ -667,9 +747,9 @@ export function flushStationPairs(pairs, shots, startId, surveyPath) {
       nextPair && nextStnIdx < nextPair.line1.length ? nextPair.line1[nextStnIdx] : null;
 
     const from = stripStn(qualifyStn(applyStnNames(fromRaw, state), surveyPath));
-    const type = toRaw && !isSplay ? ShotType.CENTER : ShotType.SPLAY;
+    const type = !toRaw || isSplay ? ShotType.SPLAY : isDuplicate ? ShotType.AUXILIARY : ShotType.CENTER;
     const to =
-      type === ShotType.CENTER
+      type !== ShotType.SPLAY
         ? stripStn(qualifyStn(applyStnNames(toRaw, state), surveyPath))
         : undefined;
 
@@ -708,8 +788,76 @@ export function flushStationPairs(pairs, shots, startId, surveyPath) {
   }
 }
 
+// ─── Survey order ─────────────────────────────────────────────────────────────
+
+/**
+ * Orders parsed surveys so that every survey shares a station with a survey before it.
+ * SurveyHelper.calculateSurveyStations can only place a survey that connects to the
+ * already calculated ones. Disconnected surveys keep their relative order at the end.
+ *
+ * @param {object[]} surveys - parsed surveys with a `shots` array
+ * @param {number} firstIdx - index of the survey that must come first
+ * @returns {object[]} the same survey objects in calculation order
+ */
+export function orderSurveysByConnection(surveys, firstIdx = 0) {
+  const remaining = [...surveys];
+  const stationsOf = (s) => s.shots.flatMap((sh) => (sh.to === undefined ? [sh.from] : [sh.from, sh.to]));
+  const ordered = remaining.splice(Math.max(firstIdx, 0), 1);
+  const known = new Set(ordered.flatMap(stationsOf));
+
+  while (remaining.length > 0) {
+    const idx = remaining.findIndex((s) => stationsOf(s).some((n) => known.has(n)));
+    const [next] = remaining.splice(Math.max(idx, 0), 1);
+    stationsOf(next).forEach((n) => known.add(n));
+    ordered.push(next);
+  }
+  return ordered;
+}
+
+/**
+ * Makes the display names of the parsed surveys unique, Speleo Studio identifies surveys by name.
+ * A repeated name gets the qualifier of the survey in parentheses, e.g. 'A (upper)'.
+ *
+ * @param {object[]} surveys - parsed surveys, displayName is updated in place
+ * @param {function} qualifier - returns the distinguishing text of a survey
+ */
+export function makeUniqueDisplayNames(surveys, qualifier) {
+  const used = new Set();
+  surveys.forEach((s) => {
+    let name = s.displayName;
+    if (used.has(name)) {
+      const q = qualifier(s);
+      name = `${s.displayName} (${q})`;
+      for (let i = 2; used.has(name); i++) {
+        name = `${s.displayName} (${q} ${i})`;
+      }
+    }
+    used.add(name);
+    s.displayName = name;
+  });
+}
+
 // ─── Cave assembly ────────────────────────────────────────────────────────────
 
+/**
+ * Declination of the surveys with `declination auto` (Therion) or `*declination auto` (Survex). It is
+ * calculated from the bundled magnetic model when the cave is assembled.
+ */
+export const AUTO_DECLINATION = 'auto';
+
+/**
+ * Calculates the declination from the bundled magnetic model at the first fixed station and the survey date.
+ * Falls back to 0 with a warning when the cave has no fixed station or the date is not covered by the model.
+ */
+export function resolveAutoDeclination(survey, geoData) {
+  const declination = Declination.getCaveDeclination(geoData, survey.metadata.date);
+  if (declination === undefined) {
+    showWarningPanel(i18n.t('errors.import.autoDeclinationUnavailable', { survey: survey.displayName }), 8000);
+    return 0;
+  }
+  return declination;
+}
+
 /**
  * Builds a Cave object from the intermediate survey list produced by a parser.
  *
@@ -787,6 +935,9 @@ export async function assembleCave(context, rootFilename, coordinateSystemDialog
         fix.z
       );
       csObj = new UTMCoordinateSystem(utmR.zoneNum, utmR.zoneLetter >= 'N');
+    } else if (cs.type === 'projected') {
+      coordinate = new ProjectedCoordinateWithElevation(fix.x, fix.y, fix.z);
+      csObj = new ProjectedCoordinateSystem(cs.epsgId, cs.name, cs.definition);
     }
 
     if (coordinate && csObj) {
@@ -798,6 +949,12 @@ export async function assembleCave(context, rootFilename, coordinateSystemDialog
           csObj.zoneNum,
           csObj.northern
         );
+      } else if (cs.type === 'projected') {
+        convergence = MeridianConvergence.getProjectedConvergence(
+          coordinate.easting,
+          coordinate.northing,
+          csObj.definition
+        );
       }
       geoData = new GeoData(csObj, [new StationWithCoordinate(fix.station, coordinate)]);
       coordinateSys = csObj;
@@ -822,6 +979,8 @@ export async function assembleCave(context, rootFilename, coordinateSystemDialog
           let coord;
           if (coordinateSys.type === CoordinateSystemType.EOV) {
             coord = new EOVCoordinateWithElevation(c1, c2, c3);
+          } else if (coordinateSys.type === CoordinateSystemType.PROJECTED) {
+            coord = new ProjectedCoordinateWithElevation(c1, c2, c3);
           } else {
             coord = new UTMCoordinateWithElevation(c1, c2, c3);
           }
@@ -850,7 +1009,7 @@ export async function assembleCave(context, rootFilename, coordinateSystemDialog
     const s = ordered[i];
     const meta = new SurveyMetadata(
       s.metadata.date,
-      s.metadata.declination,
+      s.metadata.declination === AUTO_DECLINATION ? resolveAutoDeclination(s, geoData) : s.metadata.declination,
       convergence ?? null,
       s.metadata.team,
       []
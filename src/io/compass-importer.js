@@ -0,0 +1,418 @@
+/*
+ * Copyright 2026 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Compass file format overview:
+ *
+ * A .dat file holds any number of surveys, each terminated by a form feed (\f):
+ *
+ *   CAVE NAME
+ *   SURVEY NAME: A
+ *   SURVEY DATE: 7 10 79  COMMENT:Entrance passage
+ *   SURVEY TEAM:
+ *   D.SMITH,R.CENTER,P.JONES
+ *   DECLINATION: 1.00  FORMAT: DDDDUDLRLADN  CORRECTIONS: 2.00 3.00 4.00  CORRECTIONS2: 0.00 0.00
+ *
+ *   FROM TO LENGTH BEARING INC LEFT UP DOWN RIGHT [AZM2 INC2] [FLAGS] [COMMENTS]
+ *
+ *   A1 A2 12.00 135.00 5.00 1.00 2.00 0.50 3.00 #|L# comment
+ *
+ * Whatever the FORMAT says, lengths are stored in decimal feet and angles in degrees. The
+ * format only tells the units the surveyors used, the LRUD station (F = from, T = to) and
+ * whether backsights were taken. CORRECTIONS are added to compass, inclination and length,
+ * CORRECTIONS2 to the backsight compass and inclination. Negative LRUD values and -999
+ * angles mark missing readings. Shot flags: L excluded from length, X excluded entirely.
+ *
+ * A .mak project file lists the .dat files and the georeference, every directive ends with ';':
+ *   #file.dat,A1[m,easting,northing,elevation],A5;  — linked survey file with link / fixed stations
+ *   @easting,northing,elevation,zone,convergence;   — base location
+ *   &datum;  $zone;                                  — datum and UTM zone (negative: southern)
+ *   / comment
+ *
+ * Station names are global in a Compass project and are matched case insensitively, so
+ * stations spelled differently in the files are connected with aliases.
+ */
+
+import { Importer } from './importer-base.js';
+import { Shot, ShotType, SurveyMetadata, SurveyTeam, SurveyTeamMember } from '../model/survey.js';
+import { showInfoPanel } from '../ui/popups.js';
+import { parseMyFloat, convertLengthToMeters, roundToThreeDecimalPlaces } from '../utils/utils.js';
+import { CoordinateSystemDialog } from '../ui/coordinate-system-dialog.js';
+import { i18n } from '../i18n/i18n.js';
+import {
+  readFileAsText,
+  resolveSights,
+  makeUniqueDisplayNames,
+  assembleCave,
+  orderSurveysByConnection
+} from './cave-survey-helpers.js';
+
+// Compass writes its files with the Windows code page
+const COMPASS_ENCODING = 'windows-1252';
+
+const MISSING_ANGLE = -900;
+
+const SUPPORTED_DATUMS = /^(wgs\s*(19)?84|north american 1983)$/i;
+
+class CompassImporter extends Importer {
+
+  constructor(db, options, scene, manager) {
+    super(db, options, scene, manager);
+    this.coordinateSystemDialog = new CoordinateSystemDialog();
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────────────────
+
+  /** Batch entry point: filesMap is Map<filename, File>. The .mak and .dat files passed together. */
+  async importFiles(filesMap, onCaveLoad) {
+    const textMap = new Map();
+    for (const [name, file] of filesMap) {
+      textMap.set(name, await readFileAsText(file, COMPASS_ENCODING));
+    }
+    const cave = await this.getCave(textMap);
+    if (cave) await onCaveLoad(cave);
+  }
+
+  /** Single-file entry point – wraps into a one-entry map. */
+  async importFile(file, name, onCaveLoad) {
+    await this.importFiles(new Map([[file.name, file]]), onCaveLoad);
+  }
+
+  /** Public for testing: textMap is Map<filename, string>. Returns a Cave. */
+  async getCave(textMap) {
+    const projectName = [...textMap.keys()].find((n) => n.toLowerCase().endsWith('.mak'));
+    const project = projectName !== undefined ? CompassImporter.#parseProject(textMap.get(projectName)) : undefined;
+
+    // File names are matched case insensitively, Compass runs on Windows
+    const datNames = new Map(
+      [...textMap.keys()].filter((n) => n.toLowerCase().endsWith('.dat')).map((n) => [CompassImporter.#baseName(n), n])
+    );
+    const unresolved = [];
+    const fileNames = [];
+    if (project !== undefined) {
+      project.files.forEach((f) => {
+        const fileName = datNames.get(CompassImporter.#baseName(f.name));
+        if (fileName === undefined) unresolved.push(f.name);
+        else if (!fileNames.includes(fileName)) fileNames.push(fileName);
+      });
+    } else {
+      fileNames.push(...datNames.values());
+    }
+
+    if (fileNames.length === 0) {
+      throw new Error(
+        i18n.t(project !== undefined ? 'errors.import.compassMissingDatFiles' : 'errors.import.compassNoData')
+      );
+    }
+    if (unresolved.length > 0) {
+      showInfoPanel(i18n.t('errors.import.compassUnresolvedInputs', { files: unresolved.join(', ') }), 6000);
+    }
+
+    const parsed = fileNames.map((fileName) => CompassImporter.#parseDatFile(textMap.get(fileName), fileName));
+    const surveys = parsed.flatMap((p) => p.surveys).filter((s) => s.shots.length > 0);
+    if (surveys.length === 0) {
+      throw new Error(i18n.t('errors.import.compassNoData'));
+    }
+
+    // Survey names are unique only in a .dat file
+    makeUniqueDisplayNames(surveys, (s) => s.surveyPath.split('/')[0].replace(/\.[^.]+$/, ''));
+
+    // Fixed stations of the project go to the first survey that contains them
+    const fixes = (project?.files ?? []).flatMap((f) => f.links.filter((l) => l.fix !== undefined));
+    let firstIdx = 0;
+    fixes.forEach(({ station: link, fix }) => {
+      const key = link.toUpperCase();
+      const idx = surveys.findIndex((s) =>
+        s.shots.some((sh) => sh.from.toUpperCase() === key || sh.to.toUpperCase() === key)
+      );
+      if (idx < 0) return;
+      const station = surveys[idx].shots.flatMap((sh) => [sh.from, sh.to]).find((n) => n.toUpperCase() === key);
+      if (surveys.every((s) => s.fixes.length === 0)) {
+        firstIdx = idx;
+        surveys[idx].startStation = station;
+      }
+      surveys[idx].fixes.push({ station, ...fix });
+    });
+
+    if (project?.datum && !SUPPORTED_DATUMS.test(project.datum)) {
+      showInfoPanel(i18n.t('errors.import.compassUnsupportedDatum', { datum: project.datum }), 6000);
+    }
+
+    const cs = project?.zone ? { type: 'utm', zone: Math.abs(project.zone), northern: project.zone > 0 } : null;
+    const context = {
+      surveys         : orderSurveysByConnection(surveys, firstIdx).map((s) => ({ ...s, cs })),
+      topLevelEquates : CompassImporter.#getCaseEquates(surveys),
+      globalCs        : cs,
+      caveTitle       : project !== undefined ? null : (parsed[0].caveName ?? null)
+    };
+
+    return await assembleCave(
+      context,
+      projectName ?? fileNames[0],
+      this.coordinateSystemDialog,
+      'errors.import.compassUnknownCs'
+    );
+  }
+
+  // ─── Project file ─────────────────────────────────────────────────────────────
+
+  static #parseProject(text) {
+    const project = { files: [], zone: undefined, datum: undefined };
+    const directives = text
+      .split(/\r?\n/)
+      .filter((line) => !line.trim().startsWith('/'))
+      .join('')
+      .split(';')
+      .map((d) => d.trim())
+      .filter((d) => d.length > 0);
+
+    for (const directive of directives) {
+      const kind = directive[0];
+      const body = directive.slice(1).trim();
+
+      if (kind === '#') {
+        // #file.dat,STATION,STATION[m,easting,northing,elevation]
+        const [name, ...links] = body.match(/[^,[\]]+(\[[^\]]*\])?/g) ?? [];
+        if (!name) continue;
+        project.files.push({
+          name  : name.trim(),
+          links : links.map((l) => CompassImporter.#parseLink(l)).filter((l) => l.station.length > 0)
+        });
+      } else if (kind === '@') {
+        const zone = parseInt(body.split(',')[3]);
+        if (!isNaN(zone) && zone !== 0 && project.zone === undefined) project.zone = zone;
+      } else if (kind === '$') {
+        const zone = parseInt(body);
+        if (!isNaN(zone) && zone !== 0) project.zone = zone;
+      } else if (kind === '&') {
+        project.datum = body;
+      }
+    }
+    return project;
+  }
+
+  static #parseLink(link) {
+    const m = link.trim().match(/^([^[]+)(?:\[\s*([fm])\s*,([^\]]*)\])?$/i);
+    if (!m) return { station: link.trim() };
+    const station = m[1].trim();
+    if (m[2] === undefined) return { station };
+    const values = m[3].split(',').map((v) => parseMyFloat(v));
+    if (values.length < 3 || values.some((v) => isNaN(v))) return { station };
+    const toMeters = (v) =>
+      m[2].toLowerCase() === 'f' ? roundToThreeDecimalPlaces(convertLengthToMeters(v, 'feet')) : v;
+    return { station, fix: { x: toMeters(values[0]), y: toMeters(values[1]), z: toMeters(values[2]) } };
+  }
+
+  // ─── Survey data file ─────────────────────────────────────────────────────────
+
+  static #parseDatFile(text, fileName) {
+    let caveName;
+    const surveys = [];
+    text.split('\f').forEach((block, blockIdx) => {
+      const lines = block.split(/\r?\n/);
+      const nameIdx = lines.findIndex((l) => /^\s*SURVEY NAME:/i.test(l));
+      if (nameIdx < 0) return;
+      if (caveName === undefined) {
+        caveName = lines
+          .slice(0, nameIdx)
+          .find((l) => l.trim().length > 0)
+          ?.trim();
+      }
+      const survey = CompassImporter.#parseSurvey(lines, nameIdx, fileName, blockIdx);
+      if (survey !== undefined) surveys.push(survey);
+    });
+    return { caveName, surveys };
+  }
+
+  static #parseSurvey(lines, nameIdx, fileName, blockIdx) {
+    const headerEnd = lines.findIndex((l) => /^\s*FROM\s/i.test(l));
+    if (headerEnd < 0) return undefined;
+    const header = lines.slice(nameIdx, headerEnd).join('\n');
+
+    const match = (regex) => header.match(regex);
+    const number = (regex, fallback = 0) => {
+      const m = match(regex);
+      const v = m ? parseMyFloat(m[1]) : NaN;
+      return isNaN(v) ? fallback : v;
+    };
+
+    const name = match(/SURVEY NAME:\s*(\S+)/i)?.[1] ?? `${blockIdx + 1}`;
+    const declination = number(/DECLINATION:\s*(-?[\d.]+)/i);
+    const format = match(/FORMAT:\s*(\S+)/i)?.[1] ?? '';
+    const corrections = match(/CORRECTIONS:\s*(-?[\d.]+)\s+(-?[\d.]+)\s+(-?[\d.]+)/i);
+    const corrections2 = match(/CORRECTIONS2:\s*(-?[\d.]+)\s+(-?[\d.]+)/i);
+    const correction = {
+      compass     : corrections ? parseMyFloat(corrections[1]) : 0,
+      clino       : corrections ? parseMyFloat(corrections[2]) : 0,
+      length      : corrections ? parseMyFloat(corrections[3]) : 0,
+      backCompass : corrections2 ? parseMyFloat(corrections2[1]) : 0,
+      backClino   : corrections2 ? parseMyFloat(corrections2[2]) : 0
+    };
+
+    // SURVEY DATE: month day year, two digit years are from the last century
+    const dateMatch = match(/SURVEY DATE:\s*(\d+)\s+(\d+)\s+(\d+)/i);
+    let date = new Date();
+    if (dateMatch) {
+      const year = parseInt(dateMatch[3]);
+      date = new Date(year < 100 ? 1900 + year : year, parseInt(dateMatch[1]) - 1, parseInt(dateMatch[2]));
+    }
+
+    const teamIdx = lines.findIndex((l, i) => i >= nameIdx && /^\s*SURVEY TEAM:/i.test(l));
+    const teamLine = teamIdx >= 0 && teamIdx + 1 < headerEnd ? lines[teamIdx + 1] : '';
+    const members = teamLine
+      .split(/[,;]/)
+      .map((m) => m.trim())
+      .filter((m) => m.length > 0 && !/^DECLINATION:/i.test(m))
+      .map((m) => new SurveyTeamMember(m, ''));
+
+    // FORMAT: units (4), LRUD order (4), shot order (3 or 5), backsight, LRUD station
+    const longFormat = format.length >= 15;
+    const lengthUnit = format[1]?.toUpperCase() === 'M' ? 'meters' : 'feet';
+    const lrudStation = (longFormat ? format[14] : format[12])?.toUpperCase() === 'T' ? 'to' : 'from';
+    const columns = lines[headerEnd]
+      .trim()
+      .split(/\s+/)
+      .map((c) => c.toUpperCase());
+    const hasBacksight = columns.includes('AZM2');
+
+    const toLength = (feet) =>
+      lengthUnit === 'feet' ? feet : roundToThreeDecimalPlaces(convertLengthToMeters(feet, 'feet'));
+
+    const shots = [];
+    const stationDimensions = [];
+    const surveyPath = `${fileName}/${name}`;
+
+    for (const line of lines.slice(headerEnd + 1)) {
+      const row = CompassImporter.#parseShotRow(line, hasBacksight, correction);
+      if (row === undefined || row.flags.includes('X')) continue;
+
+      const type = row.flags.includes('L') ? ShotType.AUXILIARY : ShotType.CENTER;
+      shots.push(
+        new Shot(
+          shots.length,
+          type,
+          row.from,
+          row.to,
+          toLength(row.length),
+          roundToThreeDecimalPlaces(row.azimuth),
+          roundToThreeDecimalPlaces(row.clino),
+          row.comment,
+          CompassImporter.#round(row.backAzimuth),
+          CompassImporter.#round(row.backClino)
+        )
+      );
+
+      const lrud = {};
+      ['left', 'right', 'up', 'down'].forEach((f) => {
+        if (row[f] !== undefined) lrud[f] = toLength(row[f]);
+      });
+      if (Object.keys(lrud).length > 0) {
+        stationDimensions.push({ station: lrudStation === 'to' ? row.to : row.from, ...lrud });
+      }
+    }
+
+    return {
+      displayName     : name,
+      surveyPath,
+      shots,
+      metadata        : new SurveyMetadata(date, declination, null, new SurveyTeam(members[0]?.name ?? '', members), []),
+      units           : { length: lengthUnit, compass: 'degrees', clino: 'degrees' },
+      equates         : [],
+      cs              : null,
+      fixes           : [],
+      startStation    : shots[0]?.from,
+      stationComments : [],
+      stationDimensions
+    };
+  }
+
+  static #round(value) {
+    return value !== undefined ? roundToThreeDecimalPlaces(value) : undefined;
+  }
+
+  /**
+   * Parses a shot row, all values are in feet and degrees with the corrections applied.
+   * Backsights are kept as read, a shot with only a backsight gets the reversed backsight as foresight.
+   */
+  static #parseShotRow(line, hasBacksight, correction) {
+    const flagsIdx = line.indexOf('#|');
+    const flagsEnd = flagsIdx >= 0 ? line.indexOf('#', flagsIdx + 2) : -1;
+    const dataPart = flagsIdx >= 0 ? line.slice(0, flagsIdx) : line;
+    const tokens = dataPart.trim().split(/\s+/);
+    const valueCount = hasBacksight ? 9 : 7;
+    if (tokens.length < 5 || tokens[0] === '') return undefined;
+
+    const values = tokens.slice(2, 2 + valueCount).map((t) => parseMyFloat(t));
+    const length = values[0];
+    if (isNaN(length)) return undefined;
+
+    let comment;
+    if (flagsIdx >= 0 && flagsEnd >= 0) {
+      comment = line.slice(flagsEnd + 1).trim();
+    } else if (tokens.length > 2 + valueCount) {
+      comment = tokens.slice(2 + valueCount).join(' ');
+    }
+
+    const valid = (v) => v !== undefined && !isNaN(v) && v > MISSING_ANGLE;
+    const [, foreAzimuth, foreClino, left, up, down, right, backAzimuth, backClino] = values;
+
+    const sights = resolveSights(
+      valid(foreAzimuth) ? foreAzimuth + correction.compass : undefined,
+      hasBacksight && valid(backAzimuth) ? (backAzimuth + correction.backCompass + 360) % 360 : undefined,
+      valid(foreClino) ? foreClino + correction.clino : undefined,
+      hasBacksight && valid(backClino) ? backClino + correction.backClino : undefined
+    );
+
+    const dimension = (v) => (v !== undefined && !isNaN(v) && v > 0 && v < 990 ? v : undefined);
+    return {
+      from    : tokens[0],
+      to      : tokens[1],
+      length  : length + correction.length,
+      ...sights,
+      left    : dimension(left),
+      up      : dimension(up),
+      down    : dimension(down),
+      right   : dimension(right),
+      flags   : flagsIdx >= 0 && flagsEnd >= 0 ? line.slice(flagsIdx + 2, flagsEnd).toUpperCase() : '',
+      comment : comment || undefined
+    };
+  }
+
+  // ─── Names ────────────────────────────────────────────────────────────────────
+
+  static #baseName(fileName) {
+    return fileName.split(/[\\/]/).pop().toLowerCase();
+  }
+
+  // Equates the differently spelled variants of a station name
+  static #getCaseEquates(surveys) {
+    const spellings = new Map();
+    surveys.forEach((s) =>
+      s.shots.forEach((sh) => {
+        [sh.from, sh.to].forEach((name) => {
+          const key = name.toUpperCase();
+          if (!spellings.has(key)) spellings.set(key, []);
+          if (!spellings.get(key).includes(name)) spellings.get(key).push(name);
+        });
+      })
+    );
+    return [...spellings.values()]
+      .filter((names) => names.length > 1)
+      .flatMap(([first, ...others]) => others.map((other) => ({ tokens: [first, other], surveyPath: '' })));
+  }
+}
+
+export { CompassImporter };
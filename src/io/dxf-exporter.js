@@ -0,0 +1,483 @@
+/*
+ * Copyright 2026 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * DXF R12 (AC1009) export, readable by every CAD and GIS program including the R2000+ ones.
+ *
+ * The file has the following sections:
+ *   HEADER   — version, drawing units ($INSUNITS, $MEASUREMENT) and extents
+ *   TABLES   — line type, text style and the layers
+ *   ENTITIES — the drawing
+ *
+ * Layers of a cave (names are ASCII identifiers):
+ *   <cave>-<survey>    — the centerline of the survey as continuous POLYLINEs
+ *   <cave>-SPLAYS      — splay shots as LINEs
+ *   <cave>-AUXILIARY   — auxiliary shots as LINEs
+ *   <cave>-LABELS      — station names as TEXT
+ *   <cave>-LRUD        — passage walls and cross-sections from the LRUD dimensions
+ *   GRID               — a grid in the drawing plane
+ *
+ * Colors are AutoCAD color indices (ACI), the nearest ones to the colors of the current color mode.
+ * In gradient color modes a centerline polyline is broken where the color index changes.
+ */
+
+import { ShotType, DEFAULT_UNITS } from '../model/survey.js';
+import { SurveyHelper } from '../survey.js';
+import { PassageGeometry } from '../scene/cosmos/passages.js';
+import { Color } from '../model.js';
+import { toAscii, convertLengthFromMeters, degreesToRads } from '../utils/utils.js';
+import { toIdentifier } from './cave-survey-export-helpers.js';
+
+/**
+ * Enum for the projection of the DXF drawing
+ */
+export const DXFProjection = Object.freeze({
+  SPATIAL : 'spatial', // 3D coordinates
+  PLAN    : 'plan', // x = east, y = north
+  PROFILE : 'profile' // projected profile, x = horizontal distance perpendicular to the view, y = elevation
+});
+
+// drawing units of the $INSUNITS header variable
+const INSUNITS = {
+  inches : 1,
+  feet   : 2,
+  meters : 6,
+  yards  : 10
+};
+
+const ACI_BYLAYER = 256;
+const ACI_WHITE = 7;
+const ACI_GRAY = 8;
+
+class DXFExporter {
+
+  static #palette;
+
+  /**
+   * The RGB values of the AutoCAD color index, 1-9 are the standard colors, 10-249 are 24 hues with
+   * 5 shades and a pale variant of each, 250-255 are grays.
+   */
+  static getPalette() {
+    if (DXFExporter.#palette === undefined) {
+      const palette = [
+        undefined,
+        [255, 0, 0],
+        [255, 255, 0],
+        [0, 255, 0],
+        [0, 255, 255],
+        [0, 0, 255],
+        [255, 0, 255],
+        [255, 255, 255],
+        [128, 128, 128],
+        [192, 192, 192]
+      ];
+      const shades = [255, 165, 127, 76, 38];
+      for (let i = 10; i < 250; i++) {
+        const hue = Math.floor((i - 10) / 10) * 15;
+        const shade = shades[Math.floor(((i - 10) % 10) / 2)];
+        const pale = (i - 10) % 2 === 1;
+        palette.push(DXFExporter.#hueToRgb(hue, shade, pale ? shade / 2 : 0));
+      }
+      [51, 80, 105, 130, 190, 255].forEach((v) => palette.push([v, v, v]));
+      DXFExporter.#palette = palette;
+    }
+    return DXFExporter.#palette;
+  }
+
+  static #hueToRgb(hue, max, min) {
+    const channel = (offset) => {
+      const h = (((hue + offset) % 360) + 360) % 360;
+      if (h < 60) return max;
+      if (h < 120) return max - ((h - 60) / 60) * (max - min);
+      if (h < 240) return min;
+      if (h < 300) return min + ((h - 240) / 60) * (max - min);
+      return max;
+    };
+    return [channel(0), channel(-120), channel(120)].map(Math.round);
+  }
+
+  /**
+   * @param {string|Color} color - A hex string or a Color with 0-1 components
+   * @returns {number} The nearest AutoCAD color index
+   */
+  static toColorIndex(color) {
+    const c = typeof color === 'string' ? new Color(color) : color;
+    const rgb = [c.r * 255, c.g * 255, c.b * 255];
+    let best = ACI_WHITE;
+    let bestDistance = Infinity;
+    DXFExporter.getPalette().forEach((p, index) => {
+      if (p === undefined) return;
+      const d = (p[0] - rgb[0]) ** 2 + (p[1] - rgb[1]) ** 2 + (p[2] - rgb[2]) ** 2;
+      if (d < bestDistance) {
+        bestDistance = d;
+        best = index;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Creates the DXF document of the caves
+   * @param {Map<string, Cave>} caves - The caves to export
+   * @param {Object} options - The scene options for the colors (scene), the length unit (units), the projection,
+   *   the azimuth of the profile view in degrees (profileAzimuth), the text height in meters and the grid flag
+   * @returns {string} The DXF text
+   */
+  static getText(caves, options = {}) {
+    const projection = options.projection ?? DXFProjection.SPATIAL;
+    const units = options.units ?? DEFAULT_UNITS.length;
+    const project = DXFExporter.#getProjector(projection, options.profileAzimuth ?? 0, units);
+    const textHeight = convertLengthFromMeters(options.textHeight ?? 0.5, units);
+    const layers = new Map([['0', ACI_WHITE]]);
+    const entities = [];
+    const gradients =
+      options.scene !== undefined ? SurveyHelper.getColorGradientsForCaves(caves, options.scene.caveLines) : new Map();
+
+    caves.forEach((cave) => {
+      const caveId = toIdentifier(toAscii(cave.name));
+      const layerOf = (suffix) => `${caveId}-${suffix}`;
+      const usedSurveyLayers = new Set();
+      const stationData = PassageGeometry.getStationData(cave);
+
+      cave.surveys.forEach((survey) => {
+        let surveyLayer = layerOf(toIdentifier(toAscii(survey.name)));
+        for (let i = 2; usedSurveyLayers.has(surveyLayer.toUpperCase()); i++) {
+          surveyLayer = layerOf(`${toIdentifier(toAscii(survey.name))}_${i}`);
+        }
+        usedSurveyLayers.add(surveyLayer.toUpperCase());
+
+        const colors = DXFExporter.#getShotColors(
+          cave,
+          survey,
+          options.scene,
+          gradients.get(cave.name)?.get(survey.name)
+        );
+        layers.set(surveyLayer, colors.center[0] ?? colors.default.center);
+        entities.push(...DXFExporter.#getCenterlines(cave, survey, surveyLayer, colors, project, projection));
+
+        [
+          [ShotType.SPLAY, layerOf('SPLAYS'), 'splay'],
+          [ShotType.AUXILIARY, layerOf('AUXILIARY'), 'auxiliary']
+        ].forEach(([type, layer, colorKey]) => {
+          DXFExporter.#getShots(cave, survey, type).forEach(([from, to], index) => {
+            if (!layers.has(layer)) layers.set(layer, colors.default[colorKey]);
+            const color = colors[colorKey][index] ?? colors.default[colorKey];
+            entities.push({ type: 'LINE', layer, color, points: [project(from.position), project(to.position)] });
+          });
+        });
+
+        PassageGeometry.getWalls(survey, cave, stationData).forEach((wall) => {
+          const layer = layerOf('LRUD');
+          layers.set(layer, layers.get(layer) ?? layers.get(surveyLayer));
+          [
+            [wall.from.left, wall.to.left],
+            [wall.from.right, wall.to.right],
+            [wall.from.left, wall.from.right],
+            [wall.from.up, wall.from.down],
+            [wall.to.left, wall.to.right],
+            [wall.to.up, wall.to.down]
+          ].forEach(([a, b]) => {
+            const points = [project(a), project(b)];
+            if (DXFExporter.#distance(points[0], points[1]) > 1e-9) {
+              entities.push({ type: 'LINE', layer, points });
+            }
+          });
+        });
+      });
+
+      const labelLayer = layerOf('LABELS');
+      cave.stations.forEach((station, name) => {
+        if (!station.isCenter()) return;
+        layers.set(labelLayer, layers.get(labelLayer) ?? ACI_WHITE);
+        entities.push({ type: 'TEXT', layer: labelLayer, points: [project(station.position)], text: toAscii(name) });
+      });
+    });
+
+    const extents = DXFExporter.#getExtents(entities);
+    if (options.grid !== false && extents !== undefined) {
+      layers.set('GRID', ACI_GRAY);
+      entities.push(...DXFExporter.#getGrid(extents, projection));
+    }
+
+    const writer = new DXFWriter();
+    DXFExporter.#writeHeader(writer, units, extents);
+    DXFExporter.#writeTables(writer, layers);
+    writer.section('ENTITIES');
+    entities.forEach((e) => DXFExporter.#writeEntity(writer, e, layers, textHeight));
+    writer.endSection();
+    writer.pair(0, 'EOF');
+    return writer.toString();
+  }
+
+  static #getProjector(projection, profileAzimuth, units) {
+    const scale = (v) => convertLengthFromMeters(v, units);
+    const azimuth = degreesToRads(profileAzimuth);
+    // the right hand side direction of a viewer looking towards the azimuth
+    const right = { x: Math.cos(azimuth), y: -Math.sin(azimuth) };
+    switch (projection) {
+      case DXFProjection.PLAN:
+        return (p) => ({ x: scale(p.x), y: scale(p.y), z: 0 });
+      case DXFProjection.PROFILE:
+        return (p) => ({ x: scale(p.x * right.x + p.y * right.y), y: scale(p.z), z: 0 });
+      default:
+        return (p) => ({ x: scale(p.x), y: scale(p.y), z: scale(p.z) });
+    }
+  }
+
+  static #distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+  }
+
+  /**
+   * Shots of a type with both stations calculated, in the order of SurveyHelper.getSegments()
+   */
+  static #getShots(cave, survey, type) {
+    return survey.validShots
+      .filter((sh) => sh.type === type)
+      .map((sh) => [
+        cave.stations.get(survey.getFromStationName(sh)),
+        cave.stations.get(survey.getToStationName(sh)),
+        sh
+      ])
+      .filter(([from, to]) => from !== undefined && to !== undefined);
+  }
+
+  /**
+   * The color indices of the shots of a survey in the current color mode of the centerlines
+   * @returns {Object} Color index arrays by shot type (center, splay, auxiliary) and the default color indices
+   */
+  static #getShotColors(cave, survey, sceneOptions, gradient) {
+    const mode = sceneOptions?.caveLines?.color?.mode ?? 'global';
+    const segmentColor = (key) => sceneOptions?.[key]?.segments?.color ?? '#ffffff';
+    let defaults;
+    if (survey.color !== undefined) {
+      const index = DXFExporter.toColorIndex(survey.color);
+      defaults = { center: index, splay: index, auxiliary: index };
+    } else if (mode === 'percave' && cave.color !== undefined) {
+      const index = DXFExporter.toColorIndex(cave.color);
+      defaults = { center: index, splay: index, auxiliary: index };
+    } else if (mode === 'persurvey') {
+      defaults = { center: ACI_WHITE, splay: ACI_WHITE, auxiliary: ACI_WHITE };
+    } else {
+      defaults = {
+        center    : DXFExporter.toColorIndex(segmentColor('centerLines')),
+        splay     : DXFExporter.toColorIndex(segmentColor('splays')),
+        auxiliary : DXFExporter.toColorIndex(segmentColor('auxiliaries'))
+      };
+    }
+
+    const result = { default: defaults, center: [], splay: [], auxiliary: [] };
+    if (survey.color === undefined && gradient !== undefined) {
+      // 6 components per shot, the color of the shot is the mean of the colors of its stations
+      const toIndices = (components) => {
+        const indices = [];
+        for (let i = 0; i + 5 < components.length; i += 6) {
+          const mean = (k) => (components[i + k] + components[i + k + 3]) / 2;
+          indices.push(DXFExporter.toColorIndex(new Color(mean(0), mean(1), mean(2))));
+        }
+        return indices;
+      };
+      result.center = toIndices(gradient.center);
+      result.splay = toIndices(gradient.splays);
+      result.auxiliary = toIndices(gradient.auxiliary);
+    }
+    return result;
+  }
+
+  /**
+   * Joins the consecutive center shots of a survey into polylines, a polyline is broken where the
+   * shots are not continuous or the color changes
+   */
+  static #getCenterlines(cave, survey, layer, colors, project, projection) {
+    const polylines = [];
+    let current;
+    let lastStation;
+    DXFExporter.#getShots(cave, survey, ShotType.CENTER).forEach(([from, to], index) => {
+      const color = colors.center[index] ?? colors.default.center;
+      if (current === undefined || lastStation !== from || current.color !== color) {
+        current = { type: 'POLYLINE', layer, color, points: [project(from.position)] };
+        polylines.push(current);
+      }
+      current.points.push(project(to.position));
+      lastStation = to;
+    });
+    return projection === DXFProjection.SPATIAL ? polylines.map((p) => ({ ...p, spatial: true })) : polylines;
+  }
+
+  static #getExtents(entities) {
+    const points = entities.flatMap((e) => e.points);
+    if (points.length === 0) {
+      return undefined;
+    }
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    points.forEach((p) => {
+      ['x', 'y', 'z'].forEach((k) => {
+        min[k] = Math.min(min[k], p[k]);
+        max[k] = Math.max(max[k], p[k]);
+      });
+    });
+    return { min, max };
+  }
+
+  /**
+   * 1, 2 or 5 times a power of ten so that the larger side of the drawing has about ten grid cells
+   */
+  static getGridSpacing(size) {
+    if (!(size > 0)) return 1;
+    const raw = size / 10;
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 5, 10].find((f) => f * power >= raw);
+    return step * power;
+  }
+
+  static #getGrid(extents, projection) {
+    const { min, max } = extents;
+    const spacing = DXFExporter.getGridSpacing(Math.max(max.x - min.x, max.y - min.y));
+    const x0 = Math.floor(min.x / spacing) * spacing;
+    const x1 = Math.ceil(max.x / spacing) * spacing;
+    const y0 = Math.floor(min.y / spacing) * spacing;
+    const y1 = Math.ceil(max.y / spacing) * spacing;
+    // the grid of the spatial view is below the cave
+    const z = projection === DXFProjection.SPATIAL ? min.z : 0;
+    const lines = [];
+    for (let x = x0; x <= x1 + spacing / 2; x += spacing) {
+      lines.push([
+        { x, y: y0, z },
+        { x, y: y1, z }
+      ]);
+    }
+    for (let y = y0; y <= y1 + spacing / 2; y += spacing) {
+      lines.push([
+        { x: x0, y, z },
+        { x: x1, y, z }
+      ]);
+    }
+    return lines.map((points) => ({ type: 'LINE', layer: 'GRID', points }));
+  }
+
+  static #writeHeader(writer, units, extents) {
+    const min = extents?.min ?? { x: 0, y: 0, z: 0 };
+    const max = extents?.max ?? { x: 0, y: 0, z: 0 };
+    writer.section('HEADER');
+    writer.variable('$ACADVER').pair(1, 'AC1009');
+    writer.variable('$INSBASE').point(0, { x: 0, y: 0, z: 0 });
+    writer.variable('$EXTMIN').point(0, min);
+    writer.variable('$EXTMAX').point(0, max);
+    writer.variable('$LIMMIN').pair(10, min.x).pair(20, min.y);
+    writer.variable('$LIMMAX').pair(10, max.x).pair(20, max.y);
+    writer.variable('$INSUNITS').pair(70, INSUNITS[units] ?? 0);
+    writer.variable('$MEASUREMENT').pair(70, units === 'meters' ? 1 : 0);
+    writer.endSection();
+  }
+
+  static #writeTables(writer, layers) {
+    writer.section('TABLES');
+
+    writer.pair(0, 'TABLE').pair(2, 'LTYPE').pair(70, 1);
+    writer.pair(0, 'LTYPE').pair(2, 'CONTINUOUS').pair(70, 0).pair(3, 'Solid line');
+    writer.pair(72, 65).pair(73, 0).pair(40, 0);
+    writer.pair(0, 'ENDTAB');
+
+    writer.pair(0, 'TABLE').pair(2, 'LAYER').pair(70, layers.size);
+    layers.forEach((color, name) => {
+      writer.pair(0, 'LAYER').pair(2, name).pair(70, 0).pair(62, color).pair(6, 'CONTINUOUS');
+    });
+    writer.pair(0, 'ENDTAB');
+
+    writer.pair(0, 'TABLE').pair(2, 'STYLE').pair(70, 1);
+    writer.pair(0, 'STYLE').pair(2, 'STANDARD').pair(70, 0).pair(40, 0).pair(41, 1).pair(50, 0);
+    writer.pair(71, 0).pair(42, 1).pair(3, 'txt').pair(4, '');
+    writer.pair(0, 'ENDTAB');
+
+    writer.endSection();
+  }
+
+  static #writeEntity(writer, entity, layers, textHeight) {
+    // entities with the color of their layer use BYLAYER
+    const color = entity.color === undefined || entity.color === layers.get(entity.layer) ? ACI_BYLAYER : entity.color;
+    const [first, second] = entity.points;
+    switch (entity.type) {
+      case 'LINE':
+        writer.pair(0, 'LINE').pair(8, entity.layer).pair(62, color);
+        writer.point(0, first).point(1, second);
+        break;
+      case 'TEXT':
+        writer.pair(0, 'TEXT').pair(8, entity.layer).pair(62, color);
+        writer.point(0, first).pair(40, textHeight).pair(1, entity.text);
+        break;
+      case 'POLYLINE':
+        writer.pair(0, 'POLYLINE').pair(8, entity.layer).pair(62, color).pair(66, 1);
+        writer.point(0, { x: 0, y: 0, z: 0 }).pair(70, entity.spatial ? 8 : 0);
+        entity.points.forEach((p) => {
+          writer
+            .pair(0, 'VERTEX')
+            .pair(8, entity.layer)
+            .point(0, p)
+            .pair(70, entity.spatial ? 32 : 0);
+        });
+        writer.pair(0, 'SEQEND').pair(8, entity.layer);
+        break;
+    }
+  }
+}
+
+/**
+ * Writes the group code / value pairs of a DXF file
+ */
+class DXFWriter {
+
+  constructor() {
+    this.lines = [];
+  }
+
+  pair(code, value) {
+    this.lines.push(String(code).padStart(3, ' '));
+    this.lines.push(typeof value === 'number' ? DXFWriter.#formatNumber(value) : value);
+    return this;
+  }
+
+  static #formatNumber(value) {
+    return Number.isInteger(value) ? String(value) : String(Math.round(value * 1e6) / 1e6);
+  }
+
+  /**
+   * A point with the x, y and z group codes 10 + index, 20 + index and 30 + index
+   */
+  point(index, p) {
+    return this.pair(10 + index, p.x)
+      .pair(20 + index, p.y)
+      .pair(30 + index, p.z);
+  }
+
+  variable(name) {
+    return this.pair(9, name);
+  }
+
+  section(name) {
+    return this.pair(0, 'SECTION').pair(2, name);
+  }
+
+  endSection() {
+    return this.pair(0, 'ENDSEC');
+  }
+
+  toString() {
+    return this.lines.join('\n');
+  }
+}
+
+export { DXFExporter };
@@ -0,0 +1,163 @@
+/*
+ * Copyright 2026 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * ── EXIF in JPEG files ───────────────────────────────────────────────────────
+ *
+ * The EXIF data is in the APP1 segment (marker 0xFFE1) that starts with
+ * "Exif\0\0" followed by a TIFF structure:
+ *   offset 0  "II" (little-endian) or "MM" (big-endian)
+ *   offset 2  uint16  42
+ *   offset 4  uint32  offset of IFD0
+ * An IFD is a uint16 entry count followed by 12-byte entries:
+ *   0: tag  uint16,  2: type  uint16,  4: count  uint32,
+ *   8: the value if it fits into 4 bytes, otherwise its offset
+ * All offsets are relative to the start of the TIFF structure.
+ *
+ * Only the tags below are read: camera and date from IFD0 and the EXIF IFD,
+ * position from the GPS IFD.
+ */
+
+const TAG = Object.freeze({
+  MAKE               : 0x010f,
+  MODEL              : 0x0110,
+  DATE_TIME          : 0x0132,
+  EXIF_IFD           : 0x8769,
+  GPS_IFD            : 0x8825,
+  DATE_TIME_ORIGINAL : 0x9003,
+  GPS_LATITUDE_REF   : 0x0001,
+  GPS_LATITUDE       : 0x0002,
+  GPS_LONGITUDE_REF  : 0x0003,
+  GPS_LONGITUDE      : 0x0004,
+  GPS_ALTITUDE_REF   : 0x0005,
+  GPS_ALTITUDE       : 0x0006
+});
+
+// byte size of the TIFF types: BYTE, ASCII, SHORT, LONG, RATIONAL, SBYTE, UNDEFINED, SSHORT, SLONG, SRATIONAL
+const TYPE_SIZES = Object.freeze({ 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8 });
+
+class ExifReader {
+
+  /**
+   * Reads the date, the position and the camera of a JPEG photo
+   * @param {ArrayBuffer} arrayBuffer - The content of the JPEG file
+   * @returns {Object} date (local time of the camera), latitude, longitude, altitude, make and model,
+   * the missing values are undefined. Undefined if the file is not a JPEG file or it has no EXIF data.
+   */
+  static read(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return undefined;
+
+    let pos = 2;
+    while (pos + 4 <= view.byteLength) {
+      const marker = view.getUint16(pos);
+      const size = view.getUint16(pos + 2);
+      // start of scan, the image data follows without further metadata
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) return undefined;
+      if (marker === 0xffe1 && ExifReader.#readString(view, pos + 4, 4) === 'Exif') {
+        return ExifReader.#readTiff(
+          new DataView(arrayBuffer, pos + 10, Math.min(size - 8, view.byteLength - pos - 10))
+        );
+      }
+      pos += 2 + size;
+    }
+    return undefined;
+  }
+
+  static #readTiff(tiff) {
+    const little = tiff.getUint16(0) === 0x4949;
+    if (tiff.getUint16(2, little) !== 42) return undefined;
+
+    const ifd0 = ExifReader.#readIfd(tiff, tiff.getUint32(4, little), little);
+    const exif = ifd0.has(TAG.EXIF_IFD) ? ExifReader.#readIfd(tiff, ifd0.get(TAG.EXIF_IFD), little) : new Map();
+    const gps = ifd0.has(TAG.GPS_IFD) ? ExifReader.#readIfd(tiff, ifd0.get(TAG.GPS_IFD), little) : new Map();
+
+    const toDegrees = (dms, ref, negativeRef) => {
+      if (!Array.isArray(dms) || dms.length < 3 || dms.some((v) => !Number.isFinite(v))) return undefined;
+      const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+      return ref === negativeRef ? -degrees : degrees;
+    };
+    const altitude = gps.get(TAG.GPS_ALTITUDE)?.[0];
+    // the reference is 1 below the sea level
+    const altitudeSign = gps.get(TAG.GPS_ALTITUDE_REF)?.[0] === 1 ? -1 : 1;
+
+    return {
+      date      : ExifReader.#parseDate(exif.get(TAG.DATE_TIME_ORIGINAL) ?? ifd0.get(TAG.DATE_TIME)),
+      latitude  : toDegrees(gps.get(TAG.GPS_LATITUDE), gps.get(TAG.GPS_LATITUDE_REF), 'S'),
+      longitude : toDegrees(gps.get(TAG.GPS_LONGITUDE), gps.get(TAG.GPS_LONGITUDE_REF), 'W'),
+      altitude  : Number.isFinite(altitude) ? altitudeSign * altitude : undefined,
+      make      : ifd0.get(TAG.MAKE),
+      model     : ifd0.get(TAG.MODEL)
+    };
+  }
+
+  // the values of an IFD by tag: strings, numbers of the LONG pointers and arrays of the other numeric values
+  static #readIfd(tiff, offset, little) {
+    const values = new Map();
+    if (offset + 2 > tiff.byteLength) return values;
+    const count = tiff.getUint16(offset, little);
+
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > tiff.byteLength) break;
+      const tag = tiff.getUint16(entry, little);
+      const type = tiff.getUint16(entry + 2, little);
+      const n = tiff.getUint32(entry + 4, little);
+      const size = (TYPE_SIZES[type] ?? 0) * n;
+      const valueOffset = size <= 4 ? entry + 8 : tiff.getUint32(entry + 8, little);
+      if (size === 0 || valueOffset + size > tiff.byteLength) continue;
+
+      if (type === 2) {
+        values.set(tag, ExifReader.#readString(tiff, valueOffset, n).replace(/\0+$/, '').trim());
+      } else if (tag === TAG.EXIF_IFD || tag === TAG.GPS_IFD) {
+        values.set(tag, tiff.getUint32(valueOffset, little));
+      } else if (type === 1 || type === 7) {
+        const bytes = Array.from({ length: n }, (_, j) => tiff.getUint8(valueOffset + j));
+        values.set(tag, bytes);
+      } else if (type === 3) {
+        const shorts = Array.from({ length: n }, (_, j) => tiff.getUint16(valueOffset + j * 2, little));
+        values.set(tag, shorts);
+      } else if (type === 5 || type === 10) {
+        const get = type === 5 ? 'getUint32' : 'getInt32';
+        const rationals = Array.from({ length: n }, (_, j) => {
+          const denominator = tiff[get](valueOffset + j * 8 + 4, little);
+          return denominator === 0 ? NaN : tiff[get](valueOffset + j * 8, little) / denominator;
+        });
+        values.set(tag, rationals);
+      }
+    }
+    return values;
+  }
+
+  static #readString(view, offset, length) {
+    let str = '';
+    for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+      str += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return str;
+  }
+
+  // "YYYY:MM:DD HH:MM:SS" without a time zone
+  static #parseDate(value) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value ?? '');
+    if (match === null) return undefined;
+    const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+    return isNaN(date.getTime()) ? undefined : date;
+  }
+}
+
+export { ExifReader };
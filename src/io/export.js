@@ -15,13 +15,17 @@
  */
 
 import { toAscii, textToIso88592Bytes, toPolygonDate, node, formatDistance } from '../utils/utils.js';
-import { showErrorPanel } from '../ui/popups.js';
+import { showErrorPanel, showWarningPanel } from '../ui/popups.js';
 import { wm } from '../ui/window.js';
 import { i18n } from '../i18n/i18n.js';
 import * as THREE from 'three';
 import { ShotType } from '../model/survey.js';
 import { Color } from '../model.js';
 import { WGS84Converter } from '../utils/geo.js';
+import { SurvexExporter } from './survex-exporter.js';
+import { TherionExporter } from './therion-exporter.js';
+import { GeoJSONExporter, GeoJSONLineMode, GPXExporter } from './gis-exporter.js';
+import { DXFExporter, DXFProjection } from './dxf-exporter.js';
 
 class Exporter {
 
@@ -55,85 +59,24 @@ class Exporter {
     a.click();
   }
 
-  static exportDXF(caves, fileName) {
-    const lines = [];
-    var handle = 1;
-
-    lines.push('  0');
-    lines.push('SECTION');
-    lines.push('  2');
-    lines.push('ENTITIES');
-
-    caves.values().forEach((cave) => {
-      cave.surveys.forEach((survey) => {
-        survey.shots.forEach((shot) => {
-
-          const fromSt = cave.stations.get(shot.from);
-          const toSt = cave.stations.get(shot.to);
-
-          lines.push('  0');
-          lines.push('LINE');
-          lines.push('  5'); // hande id, sort of object identifier
-          lines.push(handle++);
-          lines.push('  8'); // layer name
-          lines.push('POLYGON'); // layer name
-          lines.push('  10'); // x coordinate
-          lines.push(fromSt.position.x);
-          lines.push('  20'); // y coordinate
-          lines.push(fromSt.position.y);
-          lines.push('  30'); // z coordinate
-          lines.push(fromSt.position.z);
-          lines.push('  11'); // x coordinate
-          lines.push(toSt.position.x);
-          lines.push('  21'); // y coordinate
-          lines.push(toSt.position.y);
-          lines.push('  31'); // z coordinate
-          lines.push(toSt.position.z);
-
-        });
-
-        cave.stations.forEach((st, name) => {
-          lines.push('  0');
-          lines.push('TEXT');
-          lines.push('  5'); // hande id, sort of object identifier
-          lines.push(handle++);
-          lines.push('  8'); // layer name
-          lines.push('POINTNAME');
-          lines.push('  10'); // x coordinate
-          lines.push(st.position.x);
-          lines.push('  20'); // y coordinate
-          lines.push(st.position.y);
-          lines.push('  30'); // z coordinate
-          lines.push(st.position.z);
-          lines.push('  40'); // height
-          lines.push('0.5');
-          lines.push('  1'); // text
-          lines.push(toAscii(name));
-
-          lines.push('  0');
-          lines.push('CIRCLE');
-          lines.push('  5');
-          lines.push(handle++);
-          lines.push('  8');
-          lines.push('CIRCLES');
-          lines.push('  10');
-          lines.push(st.position.x);
-          lines.push('  20');
-          lines.push(st.position.y);
-          lines.push('  30');
-          lines.push(st.position.z);
-          lines.push('  40');
-          lines.push('0.2');
-        });
-      });
+  /**
+   * Export caves to DXF with a layer per survey and separate layers for splays, auxiliary shots, labels and LRUD walls
+   * @param {Map} caves - Map of cave objects to export
+   * @param {string} fileName - Base filename for the export (without extension)
+   * @param {Object} options - The application options for the colors and the length unit
+   * @param {string} projection - One of DXFProjection
+   * @param {number} profileAzimuth - Viewing direction of the profile projection in degrees
+   * @param {boolean} grid - Add a grid to the drawing
+   */
+  static exportDXF(caves, fileName, options, projection = DXFProjection.SPATIAL, profileAzimuth = 0, grid = true) {
+    const text = DXFExporter.getText(caves, {
+      scene : options?.scene,
+      units : options?.format?.units?.length,
+      projection,
+      profileAzimuth,
+      grid
     });
-
-    lines.push('  0');
-    lines.push('ENDSEC');
-    lines.push('  0');
-    lines.push('EOF');
-
-    const blob = new Blob([lines.join('\n')], { type: 'text/plain' });
+    const blob = new Blob([text], { type: 'application/dxf' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -148,12 +91,58 @@ class Exporter {
     });
   }
 
+  /**
+   * Export caves to Survex format. Every cave is written as a root .svx file that includes one .svx file per survey.
+   * @param {Map} caves - Map of cave objects to export
+   * @param {string} fileName - Base filename for the export (without extension)
+   */
+  static exportSurvex(caves, fileName) {
+    caves.values().forEach((cave) => {
+      SurvexExporter.getFiles(cave, `${fileName}-${cave.name}`).forEach((text, name) => {
+        const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = name;
+        a.click();
+        URL.revokeObjectURL(url);
+      });
+    });
+  }
+
+  /**
+   * Export caves to Therion format, one .th file per cave with the centreline of every survey.
+   * @param {Map} caves - Map of cave objects to export
+   * @param {string} fileName - Base filename for the export (without extension)
+   */
+  static exportTherion(caves, fileName) {
+    caves.values().forEach((cave) => {
+      const blob = new Blob([TherionExporter.getText(cave)], { type: 'text/plain;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${fileName}-${cave.name}.th`;
+      a.click();
+      URL.revokeObjectURL(url);
+    });
+  }
+
   static exportSVG(caves, scene, fileName, project = null) {
     const view = scene.view;
     const camera = view.camera;
     const width = scene.width;
     const height = scene.height;
 
+    // The extended elevation has its own unfolded centerlines and station positions
+    const unfolded = view.name === 'extendedView';
+    const caveObjects = unfolded ? view.caveObjects : scene.speleo.caveObjects;
+    const getStationPosition = (cave, stationName, station) =>
+      unfolded ? view.getStationPosition(cave.name, stationName) : station.position;
+
+    // The cross-section view exports only the slab around the section plane
+    const section = view.name === 'sectionView' ? view.plane : undefined;
+    const isPointInSection = (point) => section === undefined || section.contains(point);
+
     // Helper function to project 3D point to 2D SVG coordinates
     const projectToSVG = (position) => {
       const vector = new THREE.Vector3(position.x, position.y, position.z);
@@ -237,8 +226,16 @@ class Exporter {
         const endY = instanceEnd.getY(i);
         const endZ = instanceEnd.getZ(i);
 
-        const startPos = { x: startX, y: startY, z: startZ };
-        const endPos = { x: endX, y: endY, z: endZ };
+        let startPos = { x: startX, y: startY, z: startZ };
+        let endPos = { x: endX, y: endY, z: endZ };
+
+        if (section) {
+          const clipped = section.clipSegment(startPos, endPos);
+          if (clipped === undefined) {
+            continue; // Skip this segment if it is outside of the slab
+          }
+          [startPos, endPos] = clipped;
+        }
 
         // Check if segment is visible in camera frustum
         if (!isSegmentVisible(startPos, endPos)) {
@@ -260,6 +257,39 @@ class Exporter {
       svgParts.push('</g>');
     };
 
+    // Export the outline of the meshes cut by the section plane
+    const exportSectionOutline = (object3D, layerId, layerName, color) => {
+      const segments = [];
+      object3D.traverse((o) => {
+        if (!o.isMesh || !o.visible) return;
+        const position = o.geometry.getAttribute('position');
+        const index = o.geometry.getIndex();
+        const count = index ? index.count : position.count;
+        const vertex = (i) =>
+          new THREE.Vector3().fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(o.matrixWorld);
+        for (let i = 0; i + 2 < count; i += 3) {
+          const segment = section.intersectTriangle(vertex(i), vertex(i + 1), vertex(i + 2));
+          if (segment) {
+            segments.push(segment);
+          }
+        }
+      });
+
+      if (segments.length === 0) {
+        return;
+      }
+
+      svgParts.push(`<g id="${layerId}" data-name="${layerName}">`);
+      segments.forEach(([start, end]) => {
+        const start2D = projectToSVG(start);
+        const end2D = projectToSVG(end);
+        svgParts.push(
+          `<line x1="${start2D.x}" y1="${start2D.y}" x2="${end2D.x}" y2="${end2D.y}" stroke="${color}" stroke-width="1" />`
+        );
+      });
+      svgParts.push('</g>');
+    };
+
     const getLayerName = (name) => toAscii(name); //name.replace(/[^a-zA-Z0-9]/g, '_');
 
     // Get station sphere radius and color (for center line stations)
@@ -292,7 +322,7 @@ class Exporter {
       svgParts.push(`<g id="${caveLayerId}" data-name="${cave.name}">`);
 
       // Get the cave object from caveObjects
-      const caveObject = scene.speleo.caveObjects.get(cave.name);
+      const caveObject = caveObjects.get(cave.name);
       if (!caveObject) {
         return;
       }
@@ -385,17 +415,25 @@ class Exporter {
           exportLineSegments(surveyObject.auxiliaries, layerName, layerName, '0.5');
         }
 
+        // Passage walls layer, only the outline on the section plane
+        if (section && surveyObject.passages?.visible) {
+          const layerName = getLayerName(i18n.t('ui.settingsPanel.groups.passages'));
+          const color = '#' + surveyObject.passages.material.color.getHexString();
+          exportSectionOutline(surveyObject.passages, layerName, layerName, color);
+        }
+
         // Station spheres layer
         if (scene.options.scene.centerLines?.spheres?.show) {
           const layerName = getLayerName(i18n.t('ui.settingsPanel.groups.centerStations'));
           svgParts.push(`<g id="${layerName}" data-name="${layerName}">`);
-          cave.stations.forEach((station) => {
+          cave.stations.forEach((station, stationName) => {
             if (station.survey.name === survey.name && station.type !== ShotType.SPLAY) {
+              const position = getStationPosition(cave, stationName, station);
               // Check if station is visible in camera frustum
-              if (!isPointInFrustum(station.position)) {
+              if (position === undefined || !isPointInFrustum(position) || !isPointInSection(position)) {
                 return;
               }
-              const pos2D = projectToSVG(station.position);
+              const pos2D = projectToSVG(position);
               svgParts.push(
                 `<circle cx="${pos2D.x}" cy="${pos2D.y}" r="${stationRadius * 10}" fill="${stationColor}" stroke="none" />`
               );
@@ -410,11 +448,12 @@ class Exporter {
           svgParts.push(`<g id="${layerName}" data-name="${layerName}">`);
           cave.stations.forEach((station, stationName) => {
             if (station.survey.name === survey.name && station.type !== ShotType.SPLAY) {
+              const position = getStationPosition(cave, stationName, station);
               // Check if station is visible in camera frustum
-              if (!isPointInFrustum(station.position)) {
+              if (position === undefined || !isPointInFrustum(position) || !isPointInSection(position)) {
                 return;
               }
-              const pos2D = projectToSVG(station.position);
+              const pos2D = projectToSVG(position);
               const fontSize = 12;
               const offsetX = stationRadius * 10 + 5;
               svgParts.push(
@@ -432,12 +471,13 @@ class Exporter {
       const firstStationName = cave.getFirstStationName();
       if (firstStationName) {
         const firstStation = cave.stations.get(firstStationName);
-        if (firstStation) {
+        const position = firstStation ? getStationPosition(cave, firstStationName, firstStation) : undefined;
+        if (position) {
           // Check if start point is visible in camera frustum
-          if (isPointInFrustum(firstStation.position)) {
+          if (isPointInFrustum(position) && isPointInSection(position)) {
             const layerName = getLayerName(i18n.t('ui.settingsPanel.labels.startPoint'));
             svgParts.push(`<g id="${layerName}" data-name="${layerName}">`);
-            const pos2D = projectToSVG(firstStation.position);
+            const pos2D = projectToSVG(position);
             svgParts.push(
               `<circle cx="${pos2D.x}" cy="${pos2D.y}" r="${startPointRadius * 10}" fill="${startPointColor}" stroke="none" />`
             );
@@ -449,6 +489,19 @@ class Exporter {
       svgParts.push('</g>'); // Close cave layer
     });
 
+    // 3D model layer, only the outline of the meshes on the section plane
+    if (section) {
+      const modelsLayerId = getLayerName(i18n.t('ui.sidebar.tabs.models'));
+      svgParts.push(`<g id="${modelsLayerId}" data-name="${modelsLayerId}">`);
+      scene.models.meshObjects.forEach((entry, name) => {
+        if (entry.object3D.visible) {
+          const layerName = getLayerName(name);
+          exportSectionOutline(entry.object3D, layerName, name, '#808080');
+        }
+      });
+      svgParts.push('</g>');
+    }
+
     // Add ruler and ratio text at the bottom center
     const addRulerAndRatio = () => {
       const ratio = scene.view.ratio;
@@ -502,9 +555,11 @@ class Exporter {
     const addInfoPanel = () => {
       // Get view name translation
       const viewNameMap = {
-        spatialView : i18n.t('ui.panels.export.infoPanel.spatialView'),
-        planView    : i18n.t('ui.panels.export.infoPanel.planView'),
-        profileView : i18n.t('ui.panels.export.infoPanel.profileView')
+        spatialView  : i18n.t('ui.panels.export.infoPanel.spatialView'),
+        planView     : i18n.t('ui.panels.export.infoPanel.planView'),
+        profileView  : i18n.t('ui.panels.export.infoPanel.profileView'),
+        extendedView : i18n.t('ui.panels.export.infoPanel.extendedView'),
+        sectionView  : i18n.t('ui.panels.export.infoPanel.sectionView')
       };
       const viewName = viewNameMap[view.name] || view.name;
       const ratio = scene.view.ratio;
@@ -887,6 +942,60 @@ class Exporter {
     URL.revokeObjectURL(url);
   }
 
+  /**
+   * Export caves to GeoJSON with the centerlines, the stations and the entrances in WGS84 coordinates.
+   * @param {Map} caves - Map of cave objects to export
+   * @param {string} fileName - Base filename for the export (without extension)
+   * @param {string} lineMode - One of GeoJSONLineMode, a line for every shot or for every survey
+   */
+  static exportGeoJSON(caves, fileName, lineMode = GeoJSONLineMode.SHOT) {
+    const { featureCollection, skipped } = GeoJSONExporter.getFeatureCollection([...caves.values()], lineMode);
+    if (!Exporter.#checkSkippedCaves(caves, skipped, 'errors.export.noGeoDataForGeoJson')) {
+      return;
+    }
+    const blob = new Blob([JSON.stringify(featureCollection, null, 2)], { type: 'application/geo+json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${fileName}.geojson`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Export the entrances and fixed points of the caves to GPX waypoints for GPS devices.
+   * @param {Map} caves - Map of cave objects to export
+   * @param {string} fileName - Base filename for the export (without extension)
+   */
+  static exportGPX(caves, fileName) {
+    const { text, skipped } = GPXExporter.getText([...caves.values()], fileName);
+    if (!Exporter.#checkSkippedCaves(caves, skipped, 'errors.export.noGeoDataForGpx')) {
+      return;
+    }
+    const blob = new Blob([text], { type: 'application/gpx+xml' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${fileName}.gpx`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Tells the user about the caves skipped because they have no geo data
+   * @returns {boolean} False if all the caves were skipped and there is nothing to export
+   */
+  static #checkSkippedCaves(caves, skipped, noGeoDataKey) {
+    if (skipped.length === caves.size) {
+      showErrorPanel(i18n.t(noGeoDataKey));
+      return false;
+    }
+    if (skipped.length > 0) {
+      showWarningPanel(i18n.t('errors.export.cavesWithoutGeoDataSkipped', { caves: skipped.join(', ') }), 8000);
+    }
+    return true;
+  }
+
   /**
    * Escape special XML characters to prevent malformed KML output
    * @param {string} str - String to escape
@@ -919,7 +1028,14 @@ class Exporter {
           Exporter.exportPNG(scene, filename);
           break;
         case 'dxf':
-          Exporter.exportDXF(caves, filename);
+          Exporter.exportDXF(
+            caves,
+            filename,
+            scene?.options,
+            panel.querySelector('#export-dxf-projection').value,
+            parseFloat(panel.querySelector('#export-dxf-azimuth').value) || 0,
+            panel.querySelector('#export-dxf-grid').checked
+          );
           break;
         case 'polygon':
           Exporter.exportPolygonCaves(caves, filename);
@@ -930,6 +1046,21 @@ class Exporter {
         case 'kml':
           Exporter.exportKML(caves, filename);
           break;
+        case 'geojson':
+          Exporter.exportGeoJSON(caves, filename, GeoJSONLineMode.SHOT);
+          break;
+        case 'geojson-surveys':
+          Exporter.exportGeoJSON(caves, filename, GeoJSONLineMode.SURVEY);
+          break;
+        case 'gpx':
+          Exporter.exportGPX(caves, filename);
+          break;
+        case 'survex':
+          Exporter.exportSurvex(caves, filename);
+          break;
+        case 'therion':
+          Exporter.exportTherion(caves, filename);
+          break;
         default:
           throw new Error(i18n.t('ui.panels.export.unsupportedExportFormat', { format }));
       }
@@ -982,8 +1113,31 @@ class ExportWindow {
               <option value="polygon">Polygon (.cave)</option>
               <option value="svg">SVG</option>
               <option value="kml">KML</option>
+              <option value="geojson">GeoJSON (${i18n.t('ui.panels.export.geojsonShots')})</option>
+              <option value="geojson-surveys">GeoJSON (${i18n.t('ui.panels.export.geojsonSurveys')})</option>
+              <option value="gpx">GPX (${i18n.t('ui.panels.export.gpxEntrances')})</option>
+              <option value="survex">Survex (.svx)</option>
+              <option value="therion">Therion (.th)</option>
             </select>
           </div>
+          <div id="export-dxf-options" style="display: none;">
+            <div class="form-group">
+              <label for="export-dxf-projection">${i18n.t('ui.panels.export.dxfProjection')}:</label>
+              <select id="export-dxf-projection">
+                <option value="${DXFProjection.SPATIAL}">${i18n.t('ui.panels.export.infoPanel.spatialView')}</option>
+                <option value="${DXFProjection.PLAN}">${i18n.t('ui.panels.export.infoPanel.planView')}</option>
+                <option value="${DXFProjection.PROFILE}">${i18n.t('ui.panels.export.infoPanel.profileView')}</option>
+              </select>
+            </div>
+            <div class="form-group" id="export-dxf-azimuth-group" style="display: none;">
+              <label for="export-dxf-azimuth">${i18n.t('ui.panels.export.dxfProfileAzimuth')}:</label>
+              <input type="number" id="export-dxf-azimuth" min="0" max="360" step="1" value="0" />
+            </div>
+            <div class="form-group">
+              <label for="export-dxf-grid">${i18n.t('ui.panels.export.dxfGrid')}:</label>
+              <input type="checkbox" id="export-dxf-grid" checked />
+            </div>
+          </div>
           <div class="form-group">
             <label for="export-project-name">${i18n.t('ui.panels.export.baseName')}:</label>
             <input type="text" id="export-project-name" placeholder="${i18n.t('ui.panels.export.baseNamePlaceholder')}" />
@@ -996,6 +1150,16 @@ class ExportWindow {
     contentElmnt.appendChild(form);
     form.addEventListener('submit', this.onExportSubmit);
     this.close = close;
+    const formatSelect = this.panel.querySelector('#export-format');
+    const dxfOptions = this.panel.querySelector('#export-dxf-options');
+    const dxfProjection = this.panel.querySelector('#export-dxf-projection');
+    const dxfAzimuthGroup = this.panel.querySelector('#export-dxf-azimuth-group');
+    formatSelect.addEventListener('change', () => {
+      dxfOptions.style.display = formatSelect.value === 'dxf' ? 'block' : 'none';
+    });
+    dxfProjection.addEventListener('change', () => {
+      dxfAzimuthGroup.style.display = dxfProjection.value === DXFProjection.PROFILE ? 'block' : 'none';
+    });
     const projectNameInput = this.panel.querySelector('#export-project-name');
     // Set default filename
     projectNameInput.value = this.project?.name ?? 'cave-export';
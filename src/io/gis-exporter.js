@@ -0,0 +1,240 @@
+/*
+ * Copyright 2026 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * GeoJSON (RFC 7946) and GPX 1.1 export of geo-referenced caves for GIS software like QGIS.
+ *
+ * Both formats use WGS84 longitude / latitude, the projected coordinates of the stations are
+ * converted with WGS84Converter. Caves without geo data are skipped, the exporters return the
+ * names of the skipped caves so that the caller can tell the user about them.
+ */
+
+import { WGS84Converter } from '../utils/geo.js';
+import { formatDate } from './cave-survey-export-helpers.js';
+
+/**
+ * Enum for the geometry of the centerlines in the GeoJSON export
+ */
+export const GeoJSONLineMode = Object.freeze({
+  SHOT   : 'shot', // a LineString for every center shot
+  SURVEY : 'survey' // a MultiLineString for every survey
+});
+
+function hasGeoData(cave) {
+  return cave.geoData?.coordinateSystem !== undefined && (cave.geoData?.coordinates?.length ?? 0) > 0;
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Converts the projected coordinates of the center stations to WGS84
+ * @returns {Map<string, Object>} Station name -> {lat, lon, elevation, depth, survey}, depth is measured from the highest station
+ */
+function getStationCoordinates(cave) {
+  const coordinateSystem = cave.geoData.coordinateSystem;
+  const coordinates = new Map();
+  cave.stations.forEach((station, name) => {
+    const projected = station.coordinates?.projected;
+    if (!station.isCenter() || projected === undefined) return;
+    const { latitude, longitude } = WGS84Converter.toLatLon(projected, coordinateSystem);
+    coordinates.set(name, {
+      lat       : latitude,
+      lon       : longitude,
+      elevation : projected.elevation,
+      survey    : station.survey?.name
+    });
+  });
+  const maxElevation = Math.max(...[...coordinates.values()].map((c) => c.elevation));
+  coordinates.forEach((c) => (c.depth = maxElevation - c.elevation));
+  return coordinates;
+}
+
+function escapeXml(str) {
+  if (str === null || str === undefined) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function getEntrances(cave) {
+  const coordinateSystem = cave.geoData.coordinateSystem;
+  return cave.geoData.coordinates.map((c) => {
+    const { latitude, longitude } = WGS84Converter.toLatLon(c.coordinate, coordinateSystem);
+    return { name: c.name, lat: latitude, lon: longitude, elevation: c.coordinate.elevation };
+  });
+}
+
+class GeoJSONExporter {
+
+  // about 1 cm at the equator
+  static COORDINATE_DECIMALS = 7;
+
+  static #position(c) {
+    return [
+      round(c.lon, GeoJSONExporter.COORDINATE_DECIMALS),
+      round(c.lat, GeoJSONExporter.COORDINATE_DECIMALS),
+      round(c.elevation, 3)
+    ];
+  }
+
+  /**
+   * Creates a GeoJSON feature collection with the centerlines, the stations and the entrances of the caves
+   * @param {Cave[]} caves - The caves to export
+   * @param {string} lineMode - One of GeoJSONLineMode
+   * @returns {Object} The feature collection and the names of the caves skipped because they have no geo data
+   */
+  static getFeatureCollection(caves, lineMode = GeoJSONLineMode.SHOT) {
+    const features = [];
+    const skipped = [];
+
+    caves.forEach((cave) => {
+      if (!hasGeoData(cave)) {
+        skipped.push(cave.name);
+        return;
+      }
+      const stations = getStationCoordinates(cave);
+      features.push(...GeoJSONExporter.#getLineFeatures(cave, stations, lineMode));
+
+      stations.forEach((c, name) => {
+        features.push({
+          type       : 'Feature',
+          geometry   : { type: 'Point', coordinates: GeoJSONExporter.#position(c) },
+          properties : {
+            kind      : 'station',
+            cave      : cave.name,
+            survey    : c.survey,
+            station   : name,
+            elevation : round(c.elevation, 3),
+            depth     : round(c.depth, 3)
+          }
+        });
+      });
+
+      getEntrances(cave).forEach((c) => {
+        features.push({
+          type       : 'Feature',
+          geometry   : { type: 'Point', coordinates: GeoJSONExporter.#position(c) },
+          properties : {
+            kind      : 'entrance',
+            cave      : cave.name,
+            station   : c.name,
+            elevation : round(c.elevation, 3)
+          }
+        });
+      });
+    });
+
+    return { featureCollection: { type: 'FeatureCollection', features }, skipped };
+  }
+
+  static #getLineFeatures(cave, stations, lineMode) {
+    const features = [];
+    cave.surveys.forEach((survey) => {
+      const segments = [];
+      survey.shots
+        .filter((shot) => shot.isCenter())
+        .forEach((shot) => {
+          const fromName = survey.getFromStationName(shot);
+          const toName = survey.getToStationName(shot);
+          const from = stations.get(fromName);
+          const to = stations.get(toName);
+          if (from === undefined || to === undefined) return;
+          const coordinates = [GeoJSONExporter.#position(from), GeoJSONExporter.#position(to)];
+          if (lineMode === GeoJSONLineMode.SURVEY) {
+            segments.push(coordinates);
+          } else {
+            features.push({
+              type       : 'Feature',
+              geometry   : { type: 'LineString', coordinates },
+              properties : {
+                kind   : 'shot',
+                cave   : cave.name,
+                survey : survey.name,
+                from   : fromName,
+                to     : toName,
+                length : round(cave.stations.get(fromName).position.distanceTo(cave.stations.get(toName).position), 3)
+              }
+            });
+          }
+        });
+
+      if (lineMode === GeoJSONLineMode.SURVEY && segments.length > 0) {
+        features.push({
+          type       : 'Feature',
+          geometry   : { type: 'MultiLineString', coordinates: segments },
+          properties : {
+            kind   : 'survey',
+            cave   : cave.name,
+            survey : survey.name,
+            date   : survey.metadata?.date !== undefined ? formatDate(survey.metadata.date) : undefined,
+            shots  : segments.length
+          }
+        });
+      }
+    });
+    return features;
+  }
+}
+
+class GPXExporter {
+
+  /**
+   * Creates a GPX document with a waypoint for every entrance and fixed point of the caves
+   * @param {Cave[]} caves - The caves to export
+   * @param {string} name - Name of the GPX document
+   * @returns {Object} The GPX text and the names of the caves skipped because they have no geo data
+   */
+  static getText(caves, name) {
+    const lines = [];
+    const skipped = [];
+
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push(
+      '<gpx version="1.1" creator="Speleo Studio" xmlns="http://www.topografix.com/GPX/1/1" ' +
+        'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+        'xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">'
+    );
+    lines.push('  <metadata>');
+    lines.push(`    <name>${escapeXml(name)}</name>`);
+    lines.push('  </metadata>');
+
+    caves.forEach((cave) => {
+      if (!hasGeoData(cave)) {
+        skipped.push(cave.name);
+        return;
+      }
+      getEntrances(cave).forEach((c) => {
+        lines.push(`  <wpt lat="${round(c.lat, 8)}" lon="${round(c.lon, 8)}">`);
+        lines.push(`    <ele>${round(c.elevation, 3)}</ele>`);
+        lines.push(`    <name>${escapeXml(`${cave.name} - ${c.name}`)}</name>`);
+        lines.push(`    <desc>${escapeXml(cave.name)}</desc>`);
+        lines.push('    <sym>Cave</sym>');
+        lines.push('  </wpt>');
+      });
+    });
+
+    lines.push('</gpx>');
+    return { text: lines.join('\n'), skipped };
+  }
+}
+
+export { GeoJSONExporter, GPXExporter };
@@ -26,6 +26,7 @@ import { globalNormalizer } from '../utils/global-coordinate-normalizer.js';
 import {
   EOVCoordinateWithElevation,
   UTMCoordinateWithElevation,
+  ProjectedCoordinateWithElevation,
   StationWithCoordinate,
   GeoData,
   CoordinateSystemType,
@@ -41,6 +42,8 @@ import { PointCloudOctree } from '../utils/point-cloud-octree.js';
 import { Importer } from './importer-base.js';
 import { TherionImporter } from './therion-importer.js';
 import { SurvexImporter } from './survex-importer.js';
+import { CompassImporter } from './compass-importer.js';
+import { WallsImporter } from './walls-importer.js';
 import { LoxImporter } from './lox-importer.js';
 
 class PolygonImporter extends Importer {
@@ -224,6 +227,8 @@ class PolygonImporter extends Importer {
                 coordinate = new EOVCoordinateWithElevation(coord1, coord2, coord3);
               } else if (coordinateSystem.type === CoordinateSystemType.UTM) {
                 coordinate = new UTMCoordinateWithElevation(coord1, coord2, coord3);
+              } else if (coordinateSystem.type === CoordinateSystemType.PROJECTED) {
+                coordinate = new ProjectedCoordinateWithElevation(coord1, coord2, coord3);
               }
               const coordinateErrors = coordinate.validate(i18n);
               if (coordinateErrors.length > 0) {
@@ -240,7 +245,9 @@ class PolygonImporter extends Importer {
               // Initialize global origin from the first cave with coordinates (only if not already initialized)
               if (
                 !globalNormalizer.isInitialized() &&
-                (coordinate.type === CoordinateSystemType.UTM || coordinate.type === CoordinateSystemType.EOV)
+                (coordinate.type === CoordinateSystemType.UTM ||
+                  coordinate.type === CoordinateSystemType.EOV ||
+                  coordinate.type === CoordinateSystemType.PROJECTED)
               ) {
                 globalNormalizer.initializeGlobalOrigin(coordinate);
               }
@@ -273,6 +280,12 @@ class PolygonImporter extends Importer {
                   geoData.coordinateSystem.zoneNum,
                   geoData.coordinateSystem.northern
                 );
+              } else if (startCoordinate.coordinate.type === CoordinateSystemType.PROJECTED) {
+                convergence = MeridianConvergence.getProjectedConvergence(
+                  startCoordinate.coordinate.easting,
+                  startCoordinate.coordinate.northing,
+                  geoData.coordinateSystem.definition
+                );
               }
             }
           }
@@ -1517,6 +1530,8 @@ export {
   LasModelImporter,
   TherionImporter,
   SurvexImporter,
+  CompassImporter,
+  WallsImporter,
   LoxImporter,
   Importer
 };
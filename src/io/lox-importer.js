@@ -44,7 +44,7 @@
  *
  * CHUNK TYPES
  *
- *   Type 1 — SURVEY  (not used by this importer)
+ *   Type 1 — SURVEY  (only used when the file is imported as a cave)
  *     Record (24 bytes):
  *       0: id              uint32
  *       4: namePtr         2× uint32  (position + size into aux data)
@@ -106,22 +106,37 @@
 
 import { Importer } from './importer-base.js';
 import { Mesh3D, ModelFile, Vector } from '../model.js';
+import { Shot, ShotType, SurveyMetadata, SurveyTeam } from '../model/survey.js';
 import { globalNormalizer } from '../utils/global-coordinate-normalizer.js';
+import { radsToDegrees } from '../utils/utils.js';
+import { CoordinateSystemDialog } from '../ui/coordinate-system-dialog.js';
+import { i18n } from '../i18n/i18n.js';
+import { assembleCave, orderSurveysByConnection } from './cave-survey-helpers.js';
 import * as THREE from 'three';
 
 // Chunk type constants (from lxFile.cxx)
+const CHUNK_SURVEY     = 1;
 const CHUNK_STATION    = 2;
 const CHUNK_SHOT       = 3;
 const CHUNK_SCRAP      = 4;
 
+// Station flag bitmask values (LXFILE_STATION_FLAG_*)
+const STATION_FLAG_FIXED    = 4;
+
 // Shot flag bitmask values (LXFILE_SHOT_FLAG_*)
 const SHOT_FLAG_SURFACE     = 1;
 const SHOT_FLAG_DUPLICATE   = 2;
 const SHOT_FLAG_NOT_VISIBLE = 4;
+const SHOT_FLAG_NOT_LRUD    = 8;
 const SHOT_FLAG_SPLAY       = 16;
 
 class LoxImporter extends Importer {
 
+  constructor(db, options, scene, manager) {
+    super(db, options, scene, manager);
+    this.coordinateSystemDialog = new CoordinateSystemDialog();
+  }
+
   async importFile(file, name, onModelLoad) {
     await super.importFileAsArrayBuffer(file, name, onModelLoad);
   }
@@ -145,16 +160,253 @@ class LoxImporter extends Importer {
     // a cave-relative offset.
     let ox, oy, oz;
     if (globalNormalizer.isInitialized()) {
-      const o = globalNormalizer.globalOrigin;
-      ox = o.easting  !== undefined ? o.easting  : (o.y ?? 0);
-      oy = o.northing !== undefined ? o.northing : (o.x ?? 0);
-      oz = o.elevation ?? 0;
+      [ox, oy, oz] = this.#getGlobalOrigin();
     } else {
       ox = center[0];
       oy = center[1];
       oz = 0;
     }
 
+    const group = this.#buildGroup(name, stations, shots, scraps, ox, oy, oz, true);
+
+    const centerVector = new Vector(center[0], center[1], center[2]);
+    const mesh = new Mesh3D(name, centerVector);
+
+    // Provide first station coords as a hint in ModelCoordinateDialog.
+    if (stations.size > 0) {
+      const first = stations.values().next().value;
+      mesh.firstPointCoords = [first.x, first.y, first.z];
+    }
+
+    const modelFile = new ModelFile(name, 'lox', arrayBuffer);
+    await onModelLoad(mesh, group, modelFile);
+  }
+
+  // ── Cave import ────────────────────────────────────────────────────────────
+
+  /**
+   * Imports the centreline of a .lox file as an editable cave. The scrap mesh, if any, is
+   * passed along as a model that is already aligned with the cave.
+   * @param {File} file - The .lox file
+   * @param {string} name - The file name
+   * @param {Function} onCaveLoad - Called with the cave and the mesh (mesh, object3D, modelFile) or undefined
+   */
+  async importCaveFile(file, name, onCaveLoad) {
+    await this.importCaveData(await file.arrayBuffer(), onCaveLoad, name ?? file.name);
+  }
+
+  async importCaveData(arrayBuffer, onCaveLoad, name) {
+    const lox = this.#parseLox(arrayBuffer);
+    const { cave, origin } = await this.#buildCave(lox, name);
+
+    let model;
+    if (lox.scraps.length > 0) {
+      // A cave with coordinates is placed relative to the global origin, otherwise its start station is at (0, 0, 0)
+      const [ox, oy, oz] = cave.geoData ? this.#getGlobalOrigin() : [origin.x, origin.y, origin.z];
+      const center = this.#computeCenter(new Map(), lox.scraps);
+      const object3D = this.#buildGroup(name, lox.stations, lox.shots, lox.scraps, ox, oy, oz, false);
+      model = {
+        mesh      : new Mesh3D(name, new Vector(center[0], center[1], center[2])),
+        object3D,
+        modelFile : new ModelFile(name, 'lox', arrayBuffer)
+      };
+    }
+    await onCaveLoad(cave, model);
+  }
+
+  /** Public for testing: parses the .lox file and returns the centreline as a Cave. */
+  async getCave(arrayBuffer, name) {
+    const { cave } = await this.#buildCave(this.#parseLox(arrayBuffer), name);
+    return cave;
+  }
+
+  /*
+   * Converts the lox survey tree, stations and shots into the intermediate survey list of
+   * assembleCave. Shots are derived from the station coordinates: the coordinates are grid
+   * coordinates, so the shots are stored without declination and meridian convergence.
+   */
+  async #buildCave({ surveys, stations, shots }, name) {
+    const legs = shots.filter((sh) => stations.has(sh.from) && stations.has(sh.to));
+    const paths = LoxImporter.#getSurveyPaths(surveys);
+    const stationNames = LoxImporter.#getStationNames(stations, paths);
+    const round = (v, digits) => Number(v.toFixed(digits));
+
+    const bySurvey = new Map();
+    const equates = [];
+    const dimensions = new Map();
+    const addDimensions = (id, lrud) => {
+      const [left, right, up, down] = lrud.map((v) => (v > 0 ? round(v, 3) : undefined));
+      const name = stationNames.get(id);
+      if (!dimensions.has(name) && [left, right, up, down].some((v) => v !== undefined)) {
+        dimensions.set(name, { station: name, left, right, up, down });
+      }
+    };
+
+    legs.forEach((sh) => {
+      const from = stations.get(sh.from);
+      const to = stations.get(sh.to);
+      const isSplay = (sh.flags & SHOT_FLAG_SPLAY) !== 0;
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+      const dz = to.z - from.z;
+      const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+      if (length < 1e-6) {
+        // equated stations are connected with zero length shots
+        if (!isSplay && stationNames.get(sh.from) !== stationNames.get(sh.to)) {
+          equates.push({ tokens: [stationNames.get(sh.from), stationNames.get(sh.to)], surveyPath: '' });
+        }
+        return;
+      }
+
+      let type = ShotType.CENTER;
+      if (isSplay) {
+        type = ShotType.SPLAY;
+      } else if (sh.flags & (SHOT_FLAG_DUPLICATE | SHOT_FLAG_SURFACE)) {
+        type = ShotType.AUXILIARY;
+      }
+      const azimuth = (radsToDegrees(Math.atan2(dx, dy)) + 360) % 360;
+      const clino = radsToDegrees(Math.asin(dz / length));
+
+      const surveyId = paths.has(sh.surveyId) ? sh.surveyId : from.surveyId;
+      if (!bySurvey.has(surveyId)) bySurvey.set(surveyId, []);
+      const surveyShots = bySurvey.get(surveyId);
+      surveyShots.push(
+        new Shot(
+          surveyShots.length,
+          type,
+          stationNames.get(sh.from),
+          type === ShotType.SPLAY ? undefined : stationNames.get(sh.to),
+          round(length, 3),
+          round(azimuth, 3),
+          round(clino, 3),
+          undefined
+        )
+      );
+
+      if (!(sh.flags & SHOT_FLAG_NOT_LRUD)) {
+        addDimensions(sh.from, sh.fromLrud);
+        if (!isSplay) addDimensions(sh.to, sh.toLrud);
+      }
+    });
+
+    if (bySurvey.size === 0) {
+      throw new Error(i18n.t('errors.import.loxNoShots'));
+    }
+
+    // The first survey starts from a fixed station (or from its first station) and the others follow
+    // in an order where every survey is connected to one of the previous ones.
+    const fixId = [...stations.keys()].find(
+      (id) =>
+        stations.get(id).flags & STATION_FLAG_FIXED &&
+        [...bySurvey.values()].some((list) => list.some((sh) => sh.from === stationNames.get(id)))
+    );
+    const fixName = fixId !== undefined ? stationNames.get(fixId) : undefined;
+    const surveyIds = orderSurveysByConnection(
+      [...bySurvey.entries()].map(([id, shots]) => ({ id, shots })),
+      fixName === undefined ? 0 : [...bySurvey.values()].findIndex((list) => list.some((sh) => sh.from === fixName))
+    ).map((s) => s.id);
+    const firstShots = bySurvey.get(surveyIds[0]);
+    const startName = fixName ?? firstShots.find((sh) => sh.type !== ShotType.SPLAY)?.from ?? firstShots[0].from;
+    const startIdx = firstShots.findIndex((sh) => sh.from === startName);
+    firstShots.unshift(...firstShots.splice(startIdx, 1));
+    firstShots.forEach((sh, i) => (sh.id = i));
+
+    const origin = stations.get([...stations.keys()].find((id) => stationNames.get(id) === startName));
+    const comments = [];
+    stations.forEach((st, id) => {
+      if (st.comment) comments.push({ station: stationNames.get(id), comment: st.comment });
+    });
+
+    // comments and dimensions go to the first survey that contains the station
+    const assigned = new Set();
+    const takeStations = (surveyShots, items) => {
+      const names = new Set(surveyShots.flatMap((sh) => [sh.from, sh.to]));
+      return items.filter((item) => names.has(item.station) && !assigned.has(item) && assigned.add(item));
+    };
+
+    const context = {
+      surveys : surveyIds.map((id, index) => {
+        const surveyShots = bySurvey.get(id);
+        return {
+          displayName       : paths.get(id)?.displayName || name,
+          surveyPath        : paths.get(id)?.path ?? String(id),
+          shots             : surveyShots,
+          metadata          : new SurveyMetadata(new Date(), 0, null, new SurveyTeam('', []), []),
+          units             : { length: 'meters', compass: 'degrees', clino: 'degrees' },
+          equates           : [],
+          cs                : null,
+          fixes             : index === 0 ? [{ station: startName, x: origin.x, y: origin.y, z: origin.z }] : [],
+          startStation      : surveyShots[0].from,
+          stationComments   : takeStations(surveyShots, comments),
+          stationDimensions : takeStations(surveyShots, [...dimensions.values()])
+        };
+      }),
+      topLevelEquates : equates,
+      globalCs        : null,
+      caveTitle       : [...paths.values()].find((p) => p.isTop)?.title ?? null
+    };
+
+    const cave = await assembleCave(context, name, this.coordinateSystemDialog, 'errors.import.therionUnknownCs');
+    return { cave, origin };
+  }
+
+  /**
+   * Builds the dotted survey path and the display name of every lox survey. The root survey
+   * of a lox file has no name and is left out from the paths.
+   * @returns {Map<number, Object>} Survey id -> {path, title, displayName, isTop}
+   */
+  static #getSurveyPaths(surveys) {
+    const paths = new Map();
+    const resolve = (id, depth = 0) => {
+      if (paths.has(id)) return paths.get(id);
+      const survey = surveys.get(id);
+      if (survey === undefined || depth > surveys.size) return undefined;
+      const parent = survey.parentId !== id ? resolve(survey.parentId, depth + 1) : undefined;
+      const names = [parent?.path, survey.name].filter((n) => n);
+      const path = names.join('.');
+      const entry = {
+        path,
+        title       : survey.title || survey.name,
+        displayName : survey.title || path,
+        isTop       : survey.name !== '' && (parent === undefined || parent.path === '')
+      };
+      paths.set(id, entry);
+      return entry;
+    };
+    surveys.forEach((_, id) => resolve(id));
+    return paths;
+  }
+
+  /*
+   * Station names are local to a survey in Therion, but global in a cave. A name that is used by
+   * stations at different positions is qualified with the survey path of the later stations.
+   */
+  static #getStationNames(stations, paths) {
+    const names = new Map();
+    const positions = new Map();
+    stations.forEach((st, id) => {
+      let name = st.name || `${id}`;
+      const existing = positions.get(name);
+      if (existing !== undefined && Math.hypot(existing.x - st.x, existing.y - st.y, existing.z - st.z) > 1e-3) {
+        name = `${name}@${paths.get(st.surveyId)?.path || st.surveyId}`;
+      }
+      if (!positions.has(name)) positions.set(name, st);
+      names.set(id, name);
+    });
+    return names;
+  }
+
+  #getGlobalOrigin() {
+    const o = globalNormalizer.globalOrigin;
+    return [
+      o.easting !== undefined ? o.easting : (o.y ?? 0),
+      o.northing !== undefined ? o.northing : (o.x ?? 0),
+      o.elevation ?? 0
+    ];
+  }
+
+  #buildGroup(name, stations, shots, scraps, ox, oy, oz, withCenterline) {
     const group = new THREE.Group();
     group.name = name;
 
@@ -174,7 +426,7 @@ class LoxImporter extends Importer {
       group.add(new THREE.Mesh(geom, mat));
     }
 
-    if (stations.size > 0 && shots.length > 0) {
+    if (withCenterline && stations.size > 0 && shots.length > 0) {
       const geom = this.#buildCenterlineGeometry(stations, shots, ox, oy, oz);
       if (geom) {
         const mat = new THREE.LineBasicMaterial({ color: 0xff5500 });
@@ -185,18 +437,7 @@ class LoxImporter extends Importer {
         group.add(centerlineObj);
       }
     }
-
-    const centerVector = new Vector(center[0], center[1], center[2]);
-    const mesh = new Mesh3D(name, centerVector);
-
-    // Provide first station coords as a hint in ModelCoordinateDialog.
-    if (stations.size > 0) {
-      const first = stations.values().next().value;
-      mesh.firstPointCoords = [first.x, first.y, first.z];
-    }
-
-    const modelFile = new ModelFile(name, 'lox', arrayBuffer);
-    await onModelLoad(mesh, group, modelFile);
+    return group;
   }
 
   // ── Binary parser ──────────────────────────────────────────────────────────
@@ -210,10 +451,21 @@ class LoxImporter extends Importer {
     const byteLength = arrayBuffer.byteLength;
     let   pos        = 0;
 
-    const stations = new Map(); // id (uint32) → {x, y, z, flags}
-    const shots    = [];        // [{from, to, flags}]
+    const surveys  = new Map(); // id (uint32) → {name, parentId, title}
+    const stations = new Map(); // id (uint32) → {x, y, z, flags, name, comment, surveyId}
+    const shots    = [];        // [{from, to, flags, surveyId, fromLrud, toLrud}]
     const scraps   = [];        // [{points:[{x,y,z}], triangles:[{a,b,c}]}]
 
+    // Strings are stored in the aux data as (position, size) pointers, null-terminated
+    const decoder = new TextDecoder('utf-8');
+    const readString = (auxStart, ptrPos) => {
+      const position = view.getUint32(ptrPos, true);
+      const size     = view.getUint32(ptrPos + 4, true);
+      if (size === 0 || auxStart + position + size > byteLength) return '';
+      return decoder.decode(new Uint8Array(arrayBuffer, auxStart + position, size)).replace(/\0+$/, '');
+    };
+    const readLrud = (rp) => [0, 8, 16, 24].map((o) => view.getFloat64(rp + o, true));
+
     while (pos + 16 <= byteLength) {
       const type     = view.getUint32(pos,      true); pos += 4;
       const recSize  = view.getUint32(pos,      true); pos += 4;
@@ -231,6 +483,17 @@ class LoxImporter extends Importer {
 
         switch (type) {
 
+          case CHUNK_SURVEY:
+            for (let i = 0; i < recCount; i++) {
+              const rp = recStart + i * perRec;
+              surveys.set(view.getUint32(rp, true), {
+                name     : readString(auxStart, rp + 4),
+                parentId : view.getUint32(rp + 12, true),
+                title    : readString(auxStart, rp + 16)
+              });
+            }
+            break;
+
           case CHUNK_STATION:
             // Station record layout (52 bytes):
             //  0: id              (uint32)
@@ -250,7 +513,15 @@ class LoxImporter extends Importer {
               const x     = view.getFloat64(rp + 28, true);
               const y     = view.getFloat64(rp + 36, true);
               const z     = view.getFloat64(rp + 44, true);
-              stations.set(id, { x, y, z, flags });
+              stations.set(id, {
+                x,
+                y,
+                z,
+                flags,
+                name     : readString(auxStart, rp + 8),
+                comment  : readString(auxStart, rp + 16),
+                surveyId : view.getUint32(rp + 4, true)
+              });
             }
             break;
 
@@ -269,7 +540,14 @@ class LoxImporter extends Importer {
               const from  = view.getUint32(rp,      true);
               const to    = view.getUint32(rp +  4, true);
               const flags = view.getUint32(rp + 72, true);
-              shots.push({ from, to, flags });
+              shots.push({
+                from,
+                to,
+                flags,
+                surveyId : view.getUint32(rp + 80, true),
+                fromLrud : readLrud(rp + 8),
+                toLrud   : readLrud(rp + 40)
+              });
             }
             break;
 
@@ -346,7 +624,7 @@ class LoxImporter extends Importer {
       pos = nextChunk;
     }
 
-    return { stations, shots, scraps };
+    return { surveys, stations, shots, scraps };
   }
 
   // ── Geometry helpers ───────────────────────────────────────────────────────
@@ -16,11 +16,38 @@
 
 import { PDFDocument, mmToPt, ptToMm, createPDF } from '../utils/pdf-utils.js';
 import { ShotType } from '../model/survey.js';
+import { SurveyHelper } from '../survey.js';
 import { i18n } from '../i18n/i18n.js';
+import { convertLengthToMeters, lengthUnitLabel, formatFloat, formatFree } from '../utils/utils.js';
 
 // Re-export pdf-utils functions
 export { PDFDocument, mmToPt, ptToMm, createPDF };
 
+/**
+ * Enum for the projection of the printed map
+ */
+export const SheetView = Object.freeze({
+  PLAN     : 'plan',
+  PROFILE  : 'profile',
+  EXTENDED : 'extended'
+});
+
+/**
+ * Vector icons of the attribute categories (ids of attributes.json), the shapes are drawn by drawAttributeIcon
+ */
+const ATTRIBUTE_ICONS = new Map([
+  [1, { name: 'geology', shape: 'triangle', color: [139, 90, 43] }],
+  [2, { name: 'installation', shape: 'square', color: [85, 85, 85] }],
+  [3, { name: 'infill', shape: 'diamond', color: [200, 161, 101] }],
+  [4, { name: 'fauna', shape: 'circle', color: [46, 139, 87] }],
+  [5, { name: 'climatology', shape: 'invertedTriangle', color: [30, 144, 255] }],
+  [6, { name: 'metadata', shape: 'ring', color: [210, 105, 30] }],
+  [7, { name: 'archeology', shape: 'pentagon', color: [128, 0, 128] }],
+  [8, { name: 'speleothem', shape: 'star', color: [255, 140, 0] }]
+]);
+
+const DEFAULT_ATTRIBUTE_ICON = { shape: 'circle', color: [0, 0, 0] };
+
 /**
  * Generate a multi-page PDF from cave data
  * @param {Object} config - Configuration object
@@ -51,6 +78,13 @@ export { PDFDocument, mmToPt, ptToMm, createPDF };
  * @param {number} config.options.auxiliariesOpacity - Auxiliaries opacity
  * @param {boolean} config.options.stationLabelsVisible - Whether station labels are visible
  * @param {Object} config.options.stationLabelSettings - Station label settings
+ * @param {string} config.options.view - One of SheetView
+ * @param {number} config.options.profileAngle - Angle of the profile view camera in radians
+ * @param {boolean} config.options.showScaleBar - Whether to show the scale bar
+ * @param {boolean} config.options.showLegend - Whether to show the legend
+ * @param {boolean} config.options.showAttributes - Whether to print the visible section and station attributes
+ * @param {Array} config.options.depthGradientColors - Gradient colors of the depth legend, undefined if the lines are not colored by depth
+ * @param {string} config.options.lengthUnit - Length unit of the scale bar
  */
 export async function generatePDF(config) {
   const { pageLayout, selectedPages, caves, scene, canvas, options } = config;
@@ -78,9 +112,26 @@ export async function generatePDF(config) {
     stationLabelsVisible,
     stationLabelSettings,
     rotationAngle = 0,
-    originalCaveCenter = { x: 0, y: 0 }
+    originalCaveCenter = { x: 0, y: 0 },
+    view = SheetView.PLAN,
+    profileAngle = 0,
+    showScaleBar = true,
+    showLegend = true,
+    showAttributes = true,
+    depthGradientColors,
+    lengthUnit = 'meters'
   } = options;
 
+  const project = createSheetProjection(view, profileAngle);
+  const coordinateOffset = getCoordinateOffset(caves);
+  const titleBlock = getTitleBlock(caves, { ratio, view, profileAngle });
+
+  // The extended elevation has its own unfolded centerlines and station positions
+  const extendedView = view === SheetView.EXTENDED ? scene.views.get('extended') : undefined;
+  const caveObjects = extendedView?.caveObjects ?? scene.speleo.caveObjects;
+  const getStationPosition = (cave, stationName, station) =>
+    extendedView !== undefined ? extendedView.getStationPosition(cave.name, stationName) : station.position;
+
   // Rotate a 2D point around a center point
   // Angle is in radians, positive = clockwise (opposite of standard math convention)
   const rotatePoint = (x, y, centerX, centerY, angle) => {
@@ -114,7 +165,7 @@ export async function generatePDF(config) {
   };
 
   // Collect all text that will be in the PDF to check if Unicode font is needed
-  let allText = sheetContent || '';
+  let allText = [sheetContent || '', titleBlock.title, ...titleBlock.lines].join('');
 
   // Add station names if they'll be exported
   if (stationLabelsVisible) {
@@ -179,6 +230,72 @@ export async function generatePDF(config) {
     return { x: pdfX, y: pdfY };
   };
 
+  // Inverse of worldToPDFCoords, used to find the world coordinates visible on a page
+  const pdfToWorldCoords = (pdfX, pdfY, page) => {
+    const firstPageX = pageLayout[0]?.pageX || marginMM;
+    const firstPageY = pageLayout[0]?.pageY || marginMM;
+    const paperX = ptToMm(pdfX) - firstPageX + page.pageX - caveBoundsOffset.x;
+    const paperY = pageHeightMM - ptToMm(pdfY) - firstPageY + page.pageY - caveBoundsOffset.y;
+    const rotatedX = (paperX * ratio) / 1000 + caveBounds.minX;
+    const rotatedY = caveBounds.height - (paperY * ratio) / 1000 + caveBounds.minY;
+    return rotatePoint(rotatedX, rotatedY, originalCaveCenter.x, originalCaveCenter.y, -rotationAngle);
+  };
+
+  // Sheet coordinates are projected and shifted to real-world values: easting / northing in plan,
+  // horizontal distance / elevation in profile and extended elevation
+  const realOffset =
+    view === SheetView.PLAN
+      ? { x: coordinateOffset.x, y: coordinateOffset.y }
+      : { x: -caveBounds.minX, y: coordinateOffset.z };
+
+  // Draw a grid with real-world coordinate lines and labels at the page margins
+  const drawCoordinateGrid = (page, pdfPage) => {
+    const spacing = (gridSpacingMM * ratio) / 1000;
+    const marginPT = mmToPt(marginMM);
+    const rect = {
+      minX : marginPT,
+      minY : marginPT,
+      maxX : mmToPt(pageWidthMM - marginMM),
+      maxY : mmToPt(pageHeightMM - marginMM)
+    };
+    const corners = [
+      pdfToWorldCoords(rect.minX, rect.minY, page),
+      pdfToWorldCoords(rect.maxX, rect.minY, page),
+      pdfToWorldCoords(rect.minX, rect.maxY, page),
+      pdfToWorldCoords(rect.maxX, rect.maxY, page)
+    ];
+    const min = { x: Math.min(...corners.map((c) => c.x)), y: Math.min(...corners.map((c) => c.y)) };
+    const max = { x: Math.max(...corners.map((c) => c.x)), y: Math.max(...corners.map((c) => c.y)) };
+    const lineCount = (max.x - min.x + max.y - min.y) / spacing;
+    if (!(spacing > 0) || lineCount > 1000) return;
+
+    const lines = [];
+    for (let k = Math.ceil((min.x + realOffset.x) / spacing); k * spacing <= max.x + realOffset.x; k++) {
+      const x = k * spacing - realOffset.x;
+      lines.push({ value: k * spacing, start: { x, y: min.y }, end: { x, y: max.y } });
+    }
+    for (let k = Math.ceil((min.y + realOffset.y) / spacing); k * spacing <= max.y + realOffset.y; k++) {
+      const y = k * spacing - realOffset.y;
+      lines.push({ value: k * spacing, start: { x: min.x, y }, end: { x: max.x, y } });
+    }
+
+    pdfPage.setStrokeColor(200, 200, 200);
+    pdfPage.setLineWidth(0.25);
+    pdfPage.setFillColor(120, 120, 120);
+    pdfPage.setFontSize(5);
+    lines.forEach(({ value, start, end }) => {
+      const clipped = clipLineToRect(
+        worldToPDFCoords(start.x, start.y, page),
+        worldToPDFCoords(end.x, end.y, page),
+        rect
+      );
+      if (clipped === undefined) return;
+      pdfPage.drawLine(clipped.start.x, clipped.start.y, clipped.end.x, clipped.end.y);
+      const label = formatFree(Math.round(value * 1000) / 1000);
+      pdfPage.drawText(label, clipped.start.x + 1, clipped.start.y + 1);
+    });
+  };
+
   // Check if a point is within the page margins
   const isPointInPage = (x, y) => {
     const marginPT = mmToPt(marginMM);
@@ -233,14 +350,8 @@ export async function generatePDF(config) {
     }
 
     for (let i = 0; i < instanceCount; i++) {
-      const startWorld = {
-        x : instanceStart.getX(i),
-        y : instanceStart.getY(i)
-      };
-      const endWorld = {
-        x : instanceEnd.getX(i),
-        y : instanceEnd.getY(i)
-      };
+      const startWorld = project(instanceStart.getX(i), instanceStart.getY(i), instanceStart.getZ(i));
+      const endWorld = project(instanceEnd.getX(i), instanceEnd.getY(i), instanceEnd.getZ(i));
 
       const startPDF = worldToPDFCoords(startWorld.x, startWorld.y, page);
       const endPDF = worldToPDFCoords(endWorld.x, endWorld.y, page);
@@ -264,6 +375,59 @@ export async function generatePDF(config) {
     }
   };
 
+  // Draw the visible section attributes as colored polylines and the station attributes as icons
+  const exportAttributesForPage = (page, pdfPage, usedCategories) => {
+    const attributes = scene.attributes;
+    if (!attributes) return;
+    const visibleCaves = new Set(caves.filter((cave) => cave.visible).map((cave) => cave.name));
+
+    attributes.sectionAttributes.forEach((entry) => {
+      if (!visibleCaves.has(entry.caveName) || entry.tube?.visible === false) return;
+      const [r, g, b] = hexToRGB(entry.color);
+      pdfPage.setStrokeColor(r, g, b);
+      pdfPage.setLineWidth(Math.max(centerLinesWidth * 2, 1.5));
+      for (let i = 0; i + 5 < entry.segments.length; i += 6) {
+        const start = project(entry.segments[i], entry.segments[i + 1], entry.segments[i + 2]);
+        const end = project(entry.segments[i + 3], entry.segments[i + 4], entry.segments[i + 5]);
+        const startPDF = worldToPDFCoords(start.x, start.y, page);
+        const endPDF = worldToPDFCoords(end.x, end.y, page);
+        pdfPage.drawLine(startPDF.x, startPDF.y, endPDF.x, endPDF.y);
+      }
+    });
+
+    attributes.stationAttributes.forEach((entry) => {
+      if (!visibleCaves.has(entry.caveName) || entry.station?.survey?.visible === false) return;
+      const position = entry.position ?? entry.station?.position;
+      if (position === undefined) return;
+      const projected = project(position.x, position.y, position.z);
+      const pdfCoords = worldToPDFCoords(projected.x, projected.y, page);
+      if (isPointInPage(pdfCoords.x, pdfCoords.y)) {
+        drawAttributeIcon(pdfPage, entry.attribute.category, pdfCoords.x, pdfCoords.y, mmToPt(3));
+        usedCategories.add(entry.attribute.category);
+      }
+    });
+  };
+
+  // The top and the bottom of the depth gradient, the same range as SurveyHelper.getColorGradientsByDepthForCaves
+  let depthLegend;
+  if (showLegend && depthGradientColors !== undefined) {
+    const zCoords = caves
+      .filter((cave) => cave.visible)
+      .flatMap((cave) => [...cave.stations.values()].map((station) => station.position.z));
+    if (zCoords.length > 0) {
+      const geo = coordinateOffset.georeferenced;
+      const maxZ = Math.max(...zCoords);
+      const minZ = Math.min(...zCoords);
+      depthLegend = {
+        title  : i18n.t(`ui.panels.pdfPrint.legend.${geo ? 'elevation' : 'depth'}`),
+        colors : [...depthGradientColors].sort((a, b) => a.depth - b.depth),
+        top    : geo ? maxZ + coordinateOffset.z : 0,
+        bottom : geo ? minZ + coordinateOffset.z : minZ - maxZ,
+        unit   : 'm'
+      };
+    }
+  }
+
   // Sort pages by index
   const sortedPages = pageLayout
     .filter((p) => selectedPages.has(p.pageIndex))
@@ -347,26 +511,14 @@ export async function generatePDF(config) {
 
     // Draw grid lines first (behind everything else) if enabled
     if (showGrid && gridSpacingMM > 0) {
-      const gridSpacingPT = mmToPt(gridSpacingMM);
-      pdfPage.setStrokeColor(220, 220, 220); // Very light gray grid lines
-      pdfPage.setLineWidth(0.25);
-
-      // Draw vertical grid lines
-      for (let x = marginPT; x <= marginPT + usableWidthPT; x += gridSpacingPT) {
-        pdfPage.drawLine(x, marginPT, x, marginPT + usableHeightPT);
-      }
-
-      // Draw horizontal grid lines
-      for (let y = marginPT; y <= marginPT + usableHeightPT; y += gridSpacingPT) {
-        pdfPage.drawLine(marginPT, y, marginPT + usableWidthPT, y);
-      }
+      drawCoordinateGrid(page, pdfPage);
     }
 
     // Process each visible cave
     caves.forEach((cave) => {
       if (!cave.visible) return;
 
-      const caveObject = scene.speleo.caveObjects.get(cave.name);
+      const caveObject = caveObjects.get(cave.name);
       if (!caveObject) return;
 
       // Process each visible survey
@@ -393,6 +545,12 @@ export async function generatePDF(config) {
       });
     });
 
+    const usedCategories = new Set();
+    // the attributes are not unfolded
+    if (showAttributes && view !== SheetView.EXTENDED) {
+      exportAttributesForPage(page, pdfPage, usedCategories);
+    }
+
     pdfPage.restoreState();
 
     // Export station labels if visible in scene
@@ -414,19 +572,17 @@ export async function generatePDF(config) {
         cave.stations.forEach((station, stationName) => {
           // Skip splay stations or stations without valid position
           if (station.type === ShotType.SPLAY || station.survey.visible === false) return;
-          if (!station.position || typeof station.position.x !== 'number') return;
-
-          // Get station position in world coordinates (meters)
-          const stationX = station.position.x;
-          const stationY = station.position.y;
+          const position = getStationPosition(cave, stationName, station);
+          if (!position || typeof position.x !== 'number') return;
 
-          // Use the same coordinate transformation as for line segments
-          const pdfCoords = worldToPDFCoords(stationX, stationY, page);
+          // Use the same projection and coordinate transformation as for line segments
+          const projected = project(position.x, position.y, position.z);
+          const pdfCoords = worldToPDFCoords(projected.x, projected.y, page);
 
           // Check if station is within page margins
           if (isPointInPage(pdfCoords.x, pdfCoords.y)) {
             // Get label text based on mode
-            const labelText = stationLabelSettings?.mode === 'depth' ? station.position.z.toFixed(2) : stationName;
+            const labelText = stationLabelSettings?.mode === 'depth' ? position.z.toFixed(2) : stationName;
             pdfPage.drawText(labelText, pdfCoords.x, pdfCoords.y);
           }
         });
@@ -448,12 +604,28 @@ export async function generatePDF(config) {
       pageIndex + 1,
       sortedPages.length,
       sheetContent,
-      sheetPosition
+      sheetPosition,
+      titleBlock
     );
 
-    // Draw compass rose showing north direction (opposite horizontal corner from sheet)
+    // Draw compass rose showing north direction (opposite horizontal corner from sheet),
+    // a profile has no north, the viewing direction is shown instead. The shots of the
+    // extended elevation have different directions, it has neither.
     const compassPosition = getOppositeHorizontalCorner(sheetPosition);
-    drawCompassRose(pdfPage, pageWidthMM, pageHeightMM, rotationAngle, compassPosition);
+    if (view === SheetView.PROFILE) {
+      drawProfileDirection(pdfPage, pageWidthMM, pageHeightMM, profileAngle, compassPosition);
+    } else if (view === SheetView.PLAN) {
+      drawCompassRose(pdfPage, pageWidthMM, pageHeightMM, rotationAngle, compassPosition);
+    }
+
+    if (showScaleBar) {
+      drawScaleBar(pdfPage, pageWidthMM, ratio, lengthUnit);
+    }
+
+    if (showLegend) {
+      const legendPosition = getOppositeVerticalCorner(sheetPosition);
+      drawLegendBox(pdfPage, pageWidthMM, pageHeightMM, legendPosition, depthLegend, usedCategories);
+    }
   });
 
   // Save PDF
@@ -462,43 +634,48 @@ export async function generatePDF(config) {
 }
 
 /**
- * Draw the sheet info box on a PDF page
+ * Draw the sheet info box on a PDF page: the title block, the user defined content and the page number
  */
-function drawSheetInfoBox(pdfPage, pageWidthMM, pageHeightMM, currentPage, totalPages, sheetContent, sheetPosition) {
-  const boxWidthMM = 55;
+function drawSheetInfoBox(
+  pdfPage,
+  pageWidthMM,
+  pageHeightMM,
+  currentPage,
+  totalPages,
+  sheetContent,
+  sheetPosition,
+  titleBlock = { title: '', lines: [] }
+) {
   const marginMM = 5;
   const paddingMM = 2;
-  const lineHeightMM = 4;
+  const lineHeightMM = 3.5;
+  const titleLineHeightMM = 5;
   const fontSize = 7;
+  const titleFontSize = 10;
+  const minBoxWidthMM = 55;
+  const maxBoxWidthMM = 100;
+  const maxTextWidthPt = mmToPt(maxBoxWidthMM - paddingMM * 2);
 
-  // Parse content lines and add page number
-  const contentLines = (sheetContent || '').split('\n').filter((line) => line.trim());
+  // Wrap the lines to the maximum width of the box
+  pdfPage.setFontSize(titleFontSize);
+  const titleLines = titleBlock.title ? wrapText(pdfPage, titleBlock.title, maxTextWidthPt) : [];
+  const titleWidthPt = Math.max(0, ...titleLines.map((line) => pdfPage.getTextWidth(line)));
+
+  pdfPage.setFontSize(fontSize);
+  const userLines = (sheetContent || '').split('\n').filter((line) => line.trim());
+  const contentLines = [...titleBlock.lines, ...userLines].flatMap((line) => wrapText(pdfPage, line, maxTextWidthPt));
   contentLines.push(`${i18n.t('ui.panels.pdfPrint.page')}: ${currentPage} / ${totalPages}`);
+  const contentWidthPt = Math.max(...contentLines.map((line) => pdfPage.getTextWidth(line)));
 
-  // Calculate box height based on number of lines
-  const boxHeightMM = paddingMM * 2 + contentLines.length * lineHeightMM + 2;
+  const boxWidthMM = Math.min(
+    maxBoxWidthMM,
+    Math.max(minBoxWidthMM, ptToMm(Math.max(titleWidthPt, contentWidthPt)) + paddingMM * 2)
+  );
+  const boxHeightMM = paddingMM * 2 + titleLines.length * titleLineHeightMM + contentLines.length * lineHeightMM + 1;
 
   // Calculate box position based on selected corner
-  let boxX, boxY;
-  switch (sheetPosition) {
-    case 'top-left':
-      boxX = marginMM;
-      boxY = pageHeightMM - marginMM - boxHeightMM;
-      break;
-    case 'top-right':
-      boxX = pageWidthMM - marginMM - boxWidthMM;
-      boxY = pageHeightMM - marginMM - boxHeightMM;
-      break;
-    case 'bottom-left':
-      boxX = marginMM;
-      boxY = marginMM;
-      break;
-    case 'bottom-right':
-    default:
-      boxX = pageWidthMM - marginMM - boxWidthMM;
-      boxY = marginMM;
-      break;
-  }
+  const boxX = sheetPosition?.endsWith('left') ? marginMM : pageWidthMM - marginMM - boxWidthMM;
+  const boxY = sheetPosition?.startsWith('top') ? pageHeightMM - marginMM - boxHeightMM : marginMM;
 
   // Convert to points
   const boxXPt = mmToPt(boxX);
@@ -506,7 +683,6 @@ function drawSheetInfoBox(pdfPage, pageWidthMM, pageHeightMM, currentPage, total
   const boxWidthPt = mmToPt(boxWidthMM);
   const boxHeightPt = mmToPt(boxHeightMM);
   const paddingPt = mmToPt(paddingMM);
-  const lineHeightPt = mmToPt(lineHeightMM);
 
   // Draw box background (white fill with black border)
   pdfPage.setFillColor(255, 255, 255);
@@ -515,21 +691,72 @@ function drawSheetInfoBox(pdfPage, pageWidthMM, pageHeightMM, currentPage, total
   pdfPage.setLineWidth(0.5);
   pdfPage.drawRect(boxXPt, boxYPt, boxWidthPt, boxHeightPt, 'stroke');
 
-  // Draw text content
-  pdfPage.setFillColor(0, 0, 0);
-  pdfPage.setFontSize(fontSize);
-
   // Text positions (PDF Y is from bottom, so we start from top of box)
   const textX = boxXPt + paddingPt;
-  let textY = boxYPt + boxHeightPt - paddingPt - lineHeightPt;
+  let textY = boxYPt + boxHeightPt - paddingPt;
+  pdfPage.setFillColor(0, 0, 0);
+
+  pdfPage.setFontSize(titleFontSize);
+  for (const line of titleLines) {
+    textY -= mmToPt(titleLineHeightMM);
+    pdfPage.drawText(line, textX, textY + mmToPt(1));
+  }
 
-  // Draw each line
+  // Separate the title from the rest of the content
+  if (titleLines.length > 0) {
+    pdfPage.setLineWidth(0.3);
+    pdfPage.drawLine(boxXPt, textY, boxXPt + boxWidthPt, textY);
+  }
+
+  pdfPage.setFontSize(fontSize);
   for (const line of contentLines) {
+    textY -= mmToPt(lineHeightMM);
     pdfPage.drawText(line, textX, textY);
-    textY -= lineHeightPt;
   }
 }
 
+/**
+ * Parse a hex color like #ff8800 to RGB components
+ */
+function hexToRGB(color) {
+  if (typeof color !== 'string' || !color.startsWith('#')) return [0, 0, 0];
+  return [1, 3, 5].map((i) => parseInt(color.slice(i, i + 2), 16) || 0);
+}
+
+/**
+ * Clip a line segment to a rectangle (Liang-Barsky)
+ * @returns {Object|undefined} The start and end of the visible part or undefined if the segment is outside
+ */
+function clipLineToRect(start, end, rect) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  let t0 = 0;
+  let t1 = 1;
+  const edges = [
+    [-dx, start.x - rect.minX],
+    [dx, rect.maxX - start.x],
+    [-dy, start.y - rect.minY],
+    [dy, rect.maxY - start.y]
+  ];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) return undefined;
+    } else {
+      const t = q / p;
+      if (p < 0) {
+        t0 = Math.max(t0, t);
+      } else {
+        t1 = Math.min(t1, t);
+      }
+    }
+  }
+  if (t0 > t1) return undefined;
+  return {
+    start : { x: start.x + t0 * dx, y: start.y + t0 * dy },
+    end   : { x: start.x + t1 * dx, y: start.y + t1 * dy }
+  };
+}
+
 /**
  * Check if a line segment intersects with the page rectangle
  */
@@ -638,68 +865,9 @@ function drawCompassRose(pdfPage, pageWidthMM, pageHeightMM, rotationAngle, posi
   pdfPage.setStrokeColor(0, 0, 0);
   pdfPage.setLineWidth(0.5);
 
-  // Draw a circle using bezier curves (PDF doesn't have a circle primitive)
-  // Use 4 bezier curves to approximate a circle
-  const k = 0.5522847498; // Magic number for bezier circle approximation
-  const kR = k * radiusPt;
-
-  // First draw white background circle (filled)
+  // White background circle with a black outline
   pdfPage.setFillColor(255, 255, 255);
-  pdfPage.moveTo(centerXPt + radiusPt, centerYPt);
-  // Right to top
-  pdfPage.operations.push(
-    `${(centerXPt + radiusPt).toFixed(2)} ${(centerYPt + kR).toFixed(2)} ` +
-      `${(centerXPt + kR).toFixed(2)} ${(centerYPt + radiusPt).toFixed(2)} ` +
-      `${centerXPt.toFixed(2)} ${(centerYPt + radiusPt).toFixed(2)} c`
-  );
-  // Top to left
-  pdfPage.operations.push(
-    `${(centerXPt - kR).toFixed(2)} ${(centerYPt + radiusPt).toFixed(2)} ` +
-      `${(centerXPt - radiusPt).toFixed(2)} ${(centerYPt + kR).toFixed(2)} ` +
-      `${(centerXPt - radiusPt).toFixed(2)} ${centerYPt.toFixed(2)} c`
-  );
-  // Left to bottom
-  pdfPage.operations.push(
-    `${(centerXPt - radiusPt).toFixed(2)} ${(centerYPt - kR).toFixed(2)} ` +
-      `${(centerXPt - kR).toFixed(2)} ${(centerYPt - radiusPt).toFixed(2)} ` +
-      `${centerXPt.toFixed(2)} ${(centerYPt - radiusPt).toFixed(2)} c`
-  );
-  // Bottom to right
-  pdfPage.operations.push(
-    `${(centerXPt + kR).toFixed(2)} ${(centerYPt - radiusPt).toFixed(2)} ` +
-      `${(centerXPt + radiusPt).toFixed(2)} ${(centerYPt - kR).toFixed(2)} ` +
-      `${(centerXPt + radiusPt).toFixed(2)} ${centerYPt.toFixed(2)} c`
-  );
-  pdfPage.closePath();
-  pdfPage.fill();
-
-  // Now draw the circle outline (stroked)
-  pdfPage.moveTo(centerXPt + radiusPt, centerYPt);
-  // Right to top
-  pdfPage.operations.push(
-    `${(centerXPt + radiusPt).toFixed(2)} ${(centerYPt + kR).toFixed(2)} ` +
-      `${(centerXPt + kR).toFixed(2)} ${(centerYPt + radiusPt).toFixed(2)} ` +
-      `${centerXPt.toFixed(2)} ${(centerYPt + radiusPt).toFixed(2)} c`
-  );
-  // Top to left
-  pdfPage.operations.push(
-    `${(centerXPt - kR).toFixed(2)} ${(centerYPt + radiusPt).toFixed(2)} ` +
-      `${(centerXPt - radiusPt).toFixed(2)} ${(centerYPt + kR).toFixed(2)} ` +
-      `${(centerXPt - radiusPt).toFixed(2)} ${centerYPt.toFixed(2)} c`
-  );
-  // Left to bottom
-  pdfPage.operations.push(
-    `${(centerXPt - radiusPt).toFixed(2)} ${(centerYPt - kR).toFixed(2)} ` +
-      `${(centerXPt - kR).toFixed(2)} ${(centerYPt - radiusPt).toFixed(2)} ` +
-      `${centerXPt.toFixed(2)} ${(centerYPt - radiusPt).toFixed(2)} c`
-  );
-  // Bottom to right
-  pdfPage.operations.push(
-    `${(centerXPt + kR).toFixed(2)} ${(centerYPt - radiusPt).toFixed(2)} ` +
-      `${(centerXPt + radiusPt).toFixed(2)} ${(centerYPt - kR).toFixed(2)} ` +
-      `${(centerXPt + radiusPt).toFixed(2)} ${centerYPt.toFixed(2)} c`
-  );
-  pdfPage.stroke();
+  pdfPage.drawCircle(centerXPt, centerYPt, radiusPt, 'both');
 
   // Draw north arrow
   const arrowTipX = centerXPt + northX * arrowLengthPt;
@@ -738,7 +906,472 @@ function drawCompassRose(pdfPage, pageWidthMM, pageHeightMM, rotationAngle, posi
   pdfPage.setFillColor(0, 0, 0);
   // Position the N label outside the circle in the north direction
   const labelOffsetPt = radiusPt + mmToPt(2);
-  const labelX = centerXPt + northX * labelOffsetPt - mmToPt(1.5); // Offset for text centering
+  const labelX = centerXPt + northX * labelOffsetPt;
   const labelY = centerYPt + northY * labelOffsetPt - mmToPt(1); // Offset for text baseline
-  pdfPage.drawText('N', labelX, labelY);
+  pdfPage.drawText('N', labelX, labelY, 'center');
+}
+
+/**
+ * Creates the projection of the 3D world coordinates to the 2D coordinates of the map sheet
+ * @param {string} view - One of SheetView
+ * @param {number} profileAngle - Angle of the profile view camera in radians (0 = looking south, clockwise)
+ * @returns {Function} (x, y, z) => {x, y} in meters, y points to north in plan and upwards in profile
+ */
+export function createSheetProjection(view, profileAngle = 0) {
+  if (view === SheetView.EXTENDED) {
+    // the unfolded centerlines are in the x-z plane
+    return (x, y, z) => ({ x, y: z });
+  }
+  if (view === SheetView.PROFILE) {
+    // the right hand side of the viewer looking at the cave
+    const rightX = -Math.cos(profileAngle);
+    const rightY = Math.sin(profileAngle);
+    return (x, y, z) => ({ x: x * rightX + y * rightY, y: z });
+  }
+  return (x, y) => ({ x, y });
+}
+
+/**
+ * @param {number} profileAngle - Angle of the profile view camera in radians
+ * @returns {number} The azimuth of the viewing direction of the profile in degrees
+ */
+export function getProfileAzimuth(profileAngle) {
+  const azimuth = ((((profileAngle * 180) / Math.PI + 180) % 360) + 360) % 360;
+  return Math.round(azimuth * 10) / 10;
+}
+
+/**
+ * The longest 1, 2 or 5 times a power of ten length that fits on the scale bar
+ * @param {number} ratio - Scale ratio (e.g., 100 for 1:100)
+ * @param {number} maxLengthMM - The maximum length of the scale bar on the paper
+ * @param {string} unit - Length unit of the scale bar
+ * @returns {number} The length of the scale bar in the given unit
+ */
+export function getScaleBarLength(ratio, maxLengthMM, unit = 'meters') {
+  const maxLength = (maxLengthMM * ratio) / 1000 / convertLengthToMeters(1, unit);
+  const power = Math.pow(10, Math.floor(Math.log10(maxLength)));
+  return [5, 2, 1].find((f) => f * power <= maxLength) * power;
+}
+
+/**
+ * The difference between the projected (real-world) coordinates and the normalized scene coordinates
+ * @param {Array} caves - Array of cave objects
+ * @returns {Object} The x (easting), y (northing) and z (elevation) offsets, georeferenced is false without geo data
+ */
+export function getCoordinateOffset(caves) {
+  for (const cave of caves) {
+    for (const station of cave.stations?.values() ?? []) {
+      const projected = station.coordinates?.projected;
+      if (projected !== undefined && station.position !== undefined) {
+        // EOV coordinates have y for easting and x for northing
+        return {
+          x             : (projected.easting ?? projected.y) - station.position.x,
+          y             : (projected.northing ?? projected.x) - station.position.y,
+          z             : projected.elevation - station.position.z,
+          georeferenced : true
+        };
+      }
+    }
+  }
+  return { x: 0, y: 0, z: 0, georeferenced: false };
+}
+
+/**
+ * Collects the title block of the map sheet from the cave metadata and the survey teams
+ * @param {Array} caves - Array of cave objects, only the visible ones are included
+ * @param {Object} sheet - The ratio, the view and the profile angle of the sheet
+ * @returns {Object} The title and the labelled lines of the title block
+ */
+export function getTitleBlock(caves, { ratio, view, profileAngle = 0 }) {
+  const visibleCaves = caves.filter((cave) => cave.visible !== false);
+  const unique = (values) => [...new Set(values.filter((v) => v !== undefined && v !== null && `${v}`.trim() !== ''))];
+  const t = (key, params) => i18n.t(`ui.panels.pdfPrint.titleBlock.${key}`, params);
+
+  const surveys = visibleCaves.flatMap((cave) => cave.surveys.filter((s) => s.visible !== false));
+  const dates = surveys
+    .map((s) => s.metadata?.date)
+    .filter((d) => d instanceof Date && !isNaN(d))
+    .sort((a, b) => a - b);
+  const members = unique(surveys.flatMap((s) => s.metadata?.team?.members?.map((m) => m.name) ?? []));
+  const locations = unique(
+    visibleCaves.map((c) => unique([c.metadata?.settlement, c.metadata?.region, c.metadata?.country]).join(', '))
+  );
+
+  const lines = [];
+  const add = (key, value) => {
+    if (value !== undefined && value !== '') {
+      lines.push(`${t(key)}: ${value}`);
+    }
+  };
+  add('location', locations.join('; '));
+  add('catasterCode', unique(visibleCaves.map((c) => c.metadata?.catasterCode)).join(', '));
+  if (dates.length > 0) {
+    const first = dates[0].toLocaleDateString();
+    const last = dates[dates.length - 1].toLocaleDateString();
+    add('surveyed', first === last ? first : `${first} - ${last}`);
+  }
+  add('team', members.join(', '));
+  add('coordinateSystem', unique(visibleCaves.map((c) => c.geoData?.coordinateSystem?.name)).join(', '));
+  const viewNames = {
+    [SheetView.PLAN]     : () => t('plan'),
+    [SheetView.PROFILE]  : () => t('profile', { azimuth: getProfileAzimuth(profileAngle) }),
+    [SheetView.EXTENDED] : () => t('extended')
+  };
+  add('view', (viewNames[view] ?? viewNames[SheetView.PLAN])());
+  add('scale', `1:${ratio}`);
+
+  return { title: visibleCaves.map((c) => c.name).join(', '), lines };
+}
+
+/**
+ * Generate an A4 route card: the summary of the route and the table of its legs, continued on new pages
+ * @param {Object} card - The card to print
+ * @param {string} card.title - The title of the card
+ * @param {Array<string>} card.lines - The summary lines under the title
+ * @param {Array<Object>} card.columns - The columns of the table as {title, width} with width in mm
+ * @param {Array<Array<string>>} card.rows - The formatted cells of the table, the last column is wrapped
+ * @param {string} card.fileName - The name of the downloaded file without extension
+ */
+export async function generateRouteCard({ title, lines, columns, rows, fileName }) {
+  const pageWidthMM = 210;
+  const pageHeightMM = 297;
+  const marginMM = 15;
+  const lineHeightMM = 4.5;
+  const fontSize = 9;
+
+  const pdfDoc = new PDFDocument({ width: mmToPt(pageWidthMM), height: mmToPt(pageHeightMM) });
+  let pdfPage = pdfDoc.addPage();
+  const allText = [title, ...lines, ...columns.map((c) => c.title), ...rows.flat()].join('');
+  if (pdfPage.needsUnicodeFont(allText)) {
+    try {
+      await pdfDoc.loadFont('fonts/NotoSans-Regular.ttf');
+    } catch (fontError) {
+      console.warn('Could not load Unicode font, using built-in Helvetica:', fontError.message);
+    }
+  }
+
+  const x = mmToPt(marginMM);
+  let y = mmToPt(pageHeightMM - marginMM);
+  let tableStarted = false;
+  // the header of the table is repeated on the new pages
+  const nextLine = (heightMM = lineHeightMM) => {
+    y -= mmToPt(heightMM);
+    if (y < mmToPt(marginMM)) {
+      pdfPage = pdfDoc.addPage();
+      pdfPage.setFillColor(0, 0, 0);
+      y = mmToPt(pageHeightMM - marginMM - heightMM);
+      if (tableStarted) {
+        drawHeader();
+        y -= mmToPt(lineHeightMM);
+      }
+    }
+  };
+
+  pdfPage.setFillColor(0, 0, 0);
+  pdfPage.setFontSize(14);
+  y -= mmToPt(6);
+  pdfPage.drawText(title, x, y);
+  pdfPage.setFontSize(fontSize);
+  lines.forEach((line) => {
+    wrapText(pdfPage, line, mmToPt(pageWidthMM - 2 * marginMM)).forEach((wrapped) => {
+      nextLine();
+      pdfPage.drawText(wrapped, x, y);
+    });
+  });
+
+  const lastWidthPt = mmToPt(columns[columns.length - 1].width);
+  function drawRow(cells) {
+    let cellX = x;
+    cells.forEach((cell, i) => {
+      if (i < cells.length - 1) {
+        pdfPage.drawText(cell, cellX, y);
+      }
+      cellX += mmToPt(columns[i].width);
+    });
+    // the last cell is wrapped to the following lines
+    const wrapped = wrapText(pdfPage, cells[cells.length - 1], lastWidthPt);
+    wrapped.forEach((line, i) => {
+      if (i > 0) nextLine();
+      pdfPage.drawText(line, cellX - lastWidthPt, y);
+    });
+  }
+  function drawHeader() {
+    pdfPage.setFontSize(fontSize);
+    drawRow(columns.map((c) => c.title));
+    pdfPage.setLineWidth(0.5);
+    pdfPage.drawLine(x, y - mmToPt(1.5), mmToPt(pageWidthMM - marginMM), y - mmToPt(1.5));
+    y -= mmToPt(1.5);
+  }
+
+  nextLine(lineHeightMM * 2);
+  drawHeader();
+  tableStarted = true;
+  rows.forEach((row) => {
+    nextLine();
+    drawRow(row);
+  });
+
+  pdfDoc.save(`${fileName}.pdf`);
+}
+
+/**
+ * Splits a text to lines that are not wider than the given width with the current font
+ */
+function wrapText(pdfPage, text, maxWidthPt) {
+  const lines = [];
+  let current = '';
+  text.split(/\s+/).forEach((word) => {
+    const candidate = current === '' ? word : `${current} ${word}`;
+    if (current !== '' && pdfPage.getTextWidth(candidate) > maxWidthPt) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+  if (current !== '') {
+    lines.push(current);
+  }
+  return lines;
+}
+
+/**
+ * Get the opposite vertical corner (same horizontal side)
+ * @param {string} position - Current position
+ * @returns {string} - Opposite vertical position
+ */
+function getOppositeVerticalCorner(position) {
+  switch (position) {
+    case 'top-left':
+      return 'bottom-left';
+    case 'top-right':
+      return 'bottom-right';
+    case 'bottom-left':
+      return 'top-left';
+    case 'bottom-right':
+    default:
+      return 'top-right';
+  }
+}
+
+/**
+ * Draw a vector icon of an attribute category centered on a point
+ * @param {Object} pdfPage - The PDF page to draw on
+ * @param {number} category - Category id of the attribute
+ * @param {number} x - X coordinate of the center in points
+ * @param {number} y - Y coordinate of the center in points
+ * @param {number} size - Size of the icon in points
+ */
+function drawAttributeIcon(pdfPage, category, x, y, size) {
+  const icon = ATTRIBUTE_ICONS.get(category) ?? DEFAULT_ATTRIBUTE_ICON;
+  const r = size / 2;
+  // vertices of a regular polygon, every second vertex is scaled by innerRatio for stars
+  const regular = (count, radius, startAngle, innerRatio = 1) =>
+    Array.from({ length: count }, (_, i) => {
+      const angle = startAngle + (i * 2 * Math.PI) / count;
+      const length = i % 2 === 0 ? radius : radius * innerRatio;
+      return { x: x + length * Math.cos(angle), y: y + length * Math.sin(angle) };
+    });
+
+  pdfPage.setFillColor(...icon.color);
+  pdfPage.setStrokeColor(0, 0, 0);
+  pdfPage.setLineWidth(0.3);
+  switch (icon.shape) {
+    case 'triangle':
+      pdfPage.drawPolygon(regular(3, r, Math.PI / 2), 'both');
+      break;
+    case 'invertedTriangle':
+      pdfPage.drawPolygon(regular(3, r, -Math.PI / 2), 'both');
+      break;
+    case 'square':
+      pdfPage.drawRect(x - r * 0.8, y - r * 0.8, r * 1.6, r * 1.6, 'both');
+      break;
+    case 'diamond':
+      pdfPage.drawPolygon(regular(4, r, Math.PI / 2), 'both');
+      break;
+    case 'pentagon':
+      pdfPage.drawPolygon(regular(5, r, Math.PI / 2), 'both');
+      break;
+    case 'star':
+      pdfPage.drawPolygon(regular(10, r, Math.PI / 2, 0.45), 'both');
+      break;
+    case 'ring':
+      pdfPage.drawCircle(x, y, r * 0.9, 'both');
+      pdfPage.setFillColor(255, 255, 255);
+      pdfPage.drawCircle(x, y, r * 0.35, 'fill');
+      break;
+    default :
+      pdfPage.drawCircle(x, y, r * 0.9, 'both');
+      break;
+  }
+}
+
+/**
+ * Draw a scale bar with alternating black and white segments at the bottom center of the page
+ * @param {Object} pdfPage - The PDF page to draw on
+ * @param {number} pageWidthMM - Page width in mm
+ * @param {number} ratio - Scale ratio (e.g., 100 for 1:100)
+ * @param {string} unit - Length unit of the scale bar
+ */
+function drawScaleBar(pdfPage, pageWidthMM, ratio, unit) {
+  const length = getScaleBarLength(ratio, 60, unit);
+  const barLengthMM = (convertLengthToMeters(length, unit) * 1000) / ratio;
+  const segments = 4;
+  const barHeightMM = 1.5;
+  const boxWidthMM = barLengthMM + 20;
+  const boxHeightMM = 12;
+  const boxX = (pageWidthMM - boxWidthMM) / 2;
+  const boxY = 5;
+  const barX = mmToPt(boxX + 10);
+  const barY = mmToPt(boxY + 4);
+  const segmentPt = mmToPt(barLengthMM / segments);
+
+  pdfPage.setFillColor(255, 255, 255);
+  pdfPage.drawRect(mmToPt(boxX), mmToPt(boxY), mmToPt(boxWidthMM), mmToPt(boxHeightMM), 'fill');
+
+  pdfPage.setStrokeColor(0, 0, 0);
+  pdfPage.setLineWidth(0.5);
+  for (let i = 0; i < segments; i++) {
+    const color = i % 2 === 0 ? 0 : 255;
+    pdfPage.setFillColor(color, color, color);
+    pdfPage.drawRect(barX + i * segmentPt, barY, segmentPt, mmToPt(barHeightMM), 'both');
+  }
+
+  pdfPage.setFillColor(0, 0, 0);
+  pdfPage.setFontSize(7);
+  const labelY = barY - mmToPt(3);
+  pdfPage.drawText('0', barX, labelY, 'center');
+  pdfPage.drawText(formatFree(length / 2), barX + segmentPt * (segments / 2), labelY, 'center');
+  pdfPage.drawText(`${formatFree(length)} ${lengthUnitLabel(unit)}`, barX + segmentPt * segments, labelY, 'center');
+  pdfPage.drawText(`1:${ratio}`, barX + segmentPt * (segments / 2), barY + mmToPt(barHeightMM + 1.5), 'center');
+}
+
+/**
+ * Draw the legend box with the depth colors and the icons of the printed attribute categories
+ * @param {Object} pdfPage - The PDF page to draw on
+ * @param {number} pageWidthMM - Page width in mm
+ * @param {number} pageHeightMM - Page height in mm
+ * @param {string} position - Position on page ('top-left', 'top-right', 'bottom-left', 'bottom-right')
+ * @param {Object} depthLegend - The gradient colors and the top and bottom values, undefined if not needed
+ * @param {Set<number>} categories - Category ids of the printed attributes
+ */
+function drawLegendBox(pdfPage, pageWidthMM, pageHeightMM, position, depthLegend, categories) {
+  if (depthLegend === undefined && categories.size === 0) return;
+
+  const marginMM = 5;
+  const paddingMM = 2;
+  const boxWidthMM = 45;
+  const lineHeightMM = 4;
+  const gradientHeightMM = depthLegend !== undefined ? 35 : 0;
+  const titleHeightMM = depthLegend !== undefined ? lineHeightMM : 0;
+  const boxHeightMM =
+    paddingMM * 2 +
+    titleHeightMM +
+    gradientHeightMM +
+    (depthLegend !== undefined ? 2 : 0) +
+    categories.size * lineHeightMM;
+
+  const boxX = position.endsWith('left') ? marginMM : pageWidthMM - marginMM - boxWidthMM;
+  const boxY = position.startsWith('top') ? pageHeightMM - marginMM - boxHeightMM : marginMM + 14;
+
+  pdfPage.setFillColor(255, 255, 255);
+  pdfPage.drawRect(mmToPt(boxX), mmToPt(boxY), mmToPt(boxWidthMM), mmToPt(boxHeightMM), 'fill');
+  pdfPage.setStrokeColor(0, 0, 0);
+  pdfPage.setLineWidth(0.5);
+  pdfPage.drawRect(mmToPt(boxX), mmToPt(boxY), mmToPt(boxWidthMM), mmToPt(boxHeightMM), 'stroke');
+
+  pdfPage.setFontSize(7);
+  let cursorMM = boxY + boxHeightMM - paddingMM; // top of the next row
+
+  if (depthLegend !== undefined) {
+    pdfPage.setFillColor(0, 0, 0);
+    pdfPage.drawText(depthLegend.title, mmToPt(boxX + paddingMM), mmToPt(cursorMM - lineHeightMM + 1));
+    cursorMM -= titleHeightMM;
+
+    // the gradient is drawn as thin horizontal slices, the top of the bar is the highest point
+    const slices = 50;
+    const sliceMM = gradientHeightMM / slices;
+    const barX = mmToPt(boxX + paddingMM);
+    for (let i = 0; i < slices; i++) {
+      const c = SurveyHelper.interpolateColorByValue(((i + 0.5) / slices) * 100, depthLegend.colors, 'depth');
+      pdfPage.setFillColor(Math.round(c.r * 255), Math.round(c.g * 255), Math.round(c.b * 255));
+      // slightly overlapping slices avoid hairline gaps in PDF viewers
+      pdfPage.drawRect(barX, mmToPt(cursorMM - (i + 1) * sliceMM), mmToPt(6), mmToPt(sliceMM + 0.05), 'fill');
+    }
+    pdfPage.setStrokeColor(0, 0, 0);
+    pdfPage.drawRect(barX, mmToPt(cursorMM - gradientHeightMM), mmToPt(6), mmToPt(gradientHeightMM), 'stroke');
+
+    pdfPage.setFillColor(0, 0, 0);
+    const stops = [...new Set([0, ...depthLegend.colors.map((c) => c.depth), 100])].sort((a, b) => a - b);
+    stops.forEach((depth) => {
+      const value = depthLegend.top - (depth / 100) * (depthLegend.top - depthLegend.bottom);
+      const y = mmToPt(cursorMM - (depth / 100) * gradientHeightMM);
+      pdfPage.setLineWidth(0.3);
+      pdfPage.drawLine(barX + mmToPt(6), y, barX + mmToPt(7.5), y);
+      pdfPage.drawText(`${formatFloat(value, 1)} ${depthLegend.unit}`, barX + mmToPt(8.5), y - mmToPt(1));
+    });
+    cursorMM -= gradientHeightMM + 2;
+  }
+
+  [...categories]
+    .sort((a, b) => a - b)
+    .forEach((category) => {
+      const icon = ATTRIBUTE_ICONS.get(category);
+      const centerY = mmToPt(cursorMM - lineHeightMM / 2);
+      drawAttributeIcon(pdfPage, category, mmToPt(boxX + paddingMM + 1.5), centerY, mmToPt(3));
+      pdfPage.setFillColor(0, 0, 0);
+      const label = icon !== undefined ? i18n.t(`attributes.categories.${icon.name}`) : `${category}`;
+      pdfPage.drawText(label, mmToPt(boxX + paddingMM + 5), centerY - mmToPt(1));
+      cursorMM -= lineHeightMM;
+    });
+}
+
+/**
+ * Draw the viewing direction of a profile: a horizontal double arrow with the azimuths of both ends
+ * @param {Object} pdfPage - The PDF page to draw on
+ * @param {number} pageWidthMM - Page width in mm
+ * @param {number} pageHeightMM - Page height in mm
+ * @param {number} profileAngle - Angle of the profile view camera in radians
+ * @param {string} position - Position on page ('top-left', 'top-right', 'bottom-left', 'bottom-right')
+ */
+function drawProfileDirection(pdfPage, pageWidthMM, pageHeightMM, profileAngle, position = 'top-right') {
+  const widthMM = 30;
+  const marginMM = 8;
+  const centerX = position.endsWith('left') ? marginMM + widthMM / 2 : pageWidthMM - marginMM - widthMM / 2;
+  const centerY = position.startsWith('top') ? pageHeightMM - marginMM - 5 : marginMM + 19;
+  const viewAzimuth = getProfileAzimuth(profileAngle);
+  const rightAzimuth = (viewAzimuth + 90) % 360;
+  const leftAzimuth = (viewAzimuth + 270) % 360;
+
+  const x1 = mmToPt(centerX - widthMM / 2);
+  const x2 = mmToPt(centerX + widthMM / 2);
+  const y = mmToPt(centerY);
+  const head = mmToPt(2);
+
+  pdfPage.setFillColor(255, 255, 255);
+  pdfPage.drawRect(x1 - mmToPt(2), y - mmToPt(6), x2 - x1 + mmToPt(4), mmToPt(10), 'fill');
+  pdfPage.setStrokeColor(0, 0, 0);
+  pdfPage.setLineWidth(1);
+  pdfPage.drawLine(x1, y, x2, y);
+  pdfPage.setFillColor(0, 0, 0);
+  pdfPage.drawPolygon(
+    [
+      { x: x1, y },
+      { x: x1 + head, y: y + head / 2 },
+      { x: x1 + head, y: y - head / 2 }
+    ],
+    'fill'
+  );
+  pdfPage.drawPolygon(
+    [
+      { x: x2, y },
+      { x: x2 - head, y: y + head / 2 },
+      { x: x2 - head, y: y - head / 2 }
+    ],
+    'fill'
+  );
+  pdfPage.setFontSize(7);
+  pdfPage.drawText(`${formatFree(leftAzimuth)}°`, x1, y - mmToPt(4));
+  pdfPage.drawText(`${formatFree(rightAzimuth)}°`, x2, y - mmToPt(4), 'right');
+  pdfPage.drawText(`${formatFree(viewAzimuth)}°`, (x1 + x2) / 2, y + mmToPt(1.5), 'center');
 }
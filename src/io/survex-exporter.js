@@ -0,0 +1,186 @@
+/*
+ * Copyright 2026 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Survex (.svx) export, the counterpart of SurvexImporter.
+ *
+ * A cave is written as a root file and one file per survey:
+ *   <cave>.svx    — *title, *cs, *include for every survey file and the *equate lines
+ *   <survey>.svx  — *begin/*end block with *units, *declination, *date, *team, *fix,
+ *                   the shots (*data normal) and the LRUD data (*data passage)
+ *
+ * Station names are global in Speleo Studio, but every *begin block is a separate name space
+ * in Survex. Stations shared by surveys and the aliases of the cave are therefore written as
+ * root level *equate lines with survey qualified names (survey.station).
+ */
+
+import { ShotType, DEFAULT_UNITS } from '../model/survey.js';
+import { convertLengthToMeters } from '../utils/utils.js';
+import {
+  getSurveyIds,
+  quote,
+  formatDate,
+  dimensionValue,
+  getCoordinateSystemName,
+  getFixes,
+  getExportShots,
+  getEquates,
+  getSurveyDimensions
+} from './cave-survey-export-helpers.js';
+
+const SURVEX_LENGTH_UNITS = {
+  meters : 'metres',
+  feet   : 'feet',
+  yards  : 'yards'
+};
+
+const SURVEX_ANGLE_UNITS = {
+  degrees : 'degrees',
+  grads   : 'grads'
+};
+
+class SurvexExporter {
+
+  /**
+   * Creates the Survex files of a cave
+   * @param {Cave} cave - The cave to export
+   * @param {string} baseName - Name of the root file without extension
+   * @returns {Map<string, string>} File name -> file content, the root file is the first entry
+   */
+  static getFiles(cave, baseName) {
+    const files = new Map();
+    const surveyIds = getSurveyIds(cave.surveys);
+    const rootLines = [];
+
+    rootLines.push(`; ${cave.name}`);
+    rootLines.push('; Exported from Speleo Studio');
+    rootLines.push(`*title ${quote(cave.name)}`);
+
+    const cs = getCoordinateSystemName(cave.geoData?.coordinateSystem);
+    if (cs !== undefined) {
+      rootLines.push(`*cs ${cs}`);
+    }
+    rootLines.push('');
+
+    const surveyFiles = [];
+    cave.surveys.forEach((survey, index) => {
+      const id = surveyIds.get(survey.name);
+      const fileName = `${id}.svx`;
+      surveyFiles.push([fileName, SurvexExporter.getSurveyLines(cave, survey, id, index === 0).join('\n')]);
+      rootLines.push(`*include ${quote(fileName)}`);
+    });
+
+    const equates = getEquates(cave, surveyIds);
+    if (equates.length > 0) {
+      rootLines.push('');
+      equates.forEach(([a, b]) => rootLines.push(`*equate ${a.join('.')} ${b.join('.')}`));
+    }
+    rootLines.push('');
+
+    files.set(`${baseName}.svx`, rootLines.join('\n'));
+    surveyFiles.forEach(([fileName, content]) => files.set(fileName, content));
+    return files;
+  }
+
+  /**
+   * Creates the lines of a survey file
+   * @param {Cave} cave - The cave of the survey
+   * @param {Survey} survey - The survey to export
+   * @param {string} id - Survex identifier of the survey
+   * @param {boolean} isFirst - The shots of the first survey start from the start station
+   * @returns {string[]} Lines of the file
+   */
+  static getSurveyLines(cave, survey, id, isFirst) {
+    const lines = [];
+    const units = survey.units ?? DEFAULT_UNITS;
+    // Survex has no inches unit, these lengths are written in metres
+    const lengthUnit = SURVEX_LENGTH_UNITS[units.length] ?? SURVEX_LENGTH_UNITS.meters;
+    const toLength =
+      SURVEX_LENGTH_UNITS[units.length] !== undefined ? (v) => v : (v) => convertLengthToMeters(v, units.length);
+    const angleUnit = SURVEX_ANGLE_UNITS[units.angle] ?? SURVEX_ANGLE_UNITS.degrees;
+    const metadata = survey.metadata;
+
+    lines.push(`*begin ${id}`);
+    if (id !== survey.name) {
+      lines.push(`; ${survey.name}`);
+    }
+
+    const date = metadata?.date !== undefined ? formatDate(metadata.date) : undefined;
+    if (date !== undefined) {
+      lines.push(`*date ${date}`);
+    }
+    metadata?.team?.members?.forEach((m) => {
+      if (!m?.name) return;
+      const role = m.role ? ` ${/\s/.test(m.role) ? quote(m.role) : m.role}` : '';
+      lines.push(`*team ${quote(m.name)}${role}`);
+    });
+    if (metadata?.declination) {
+      lines.push(`*declination ${metadata.declination} degrees`);
+    }
+
+    getFixes(cave, survey).forEach((fix) => lines.push(`*fix ${fix.name} ${fix.values.join(' ')}`));
+
+    if (lengthUnit !== SURVEX_LENGTH_UNITS.meters) {
+      lines.push(`*units tape left right up down ${lengthUnit}`);
+    }
+    const shots = getExportShots(survey, isFirst);
+    const withBacksight = shots.some((sh) => sh.hasBacksight());
+
+    if (angleUnit !== SURVEX_ANGLE_UNITS.degrees) {
+      lines.push(`*units compass clino${withBacksight ? ' backcompass backclino' : ''} ${angleUnit}`);
+    }
+    lines.push('*alias station - ..');
+    lines.push(
+      withBacksight
+        ? '*data normal from to tape compass backcompass clino backclino'
+        : '*data normal from to tape compass clino'
+    );
+
+    let flag;
+    shots.forEach((sh) => {
+      const shotFlag = sh.type === ShotType.CENTER ? undefined : sh.type;
+      if (shotFlag !== flag) {
+        if (flag !== undefined) lines.push(`*flags not ${flag === ShotType.SPLAY ? 'splay' : 'duplicate'}`);
+        if (shotFlag !== undefined) lines.push(`*flags ${shotFlag === ShotType.SPLAY ? 'splay' : 'duplicate'}`);
+        flag = shotFlag;
+      }
+      const to = sh.type === ShotType.SPLAY ? '-' : sh.to;
+      const comment = sh.comment ? ` ; ${String(sh.comment).replace(/[\r\n]+/g, ' ')}` : '';
+      const readings = withBacksight
+        ? `${sh.azimuth} ${sh.backAzimuth ?? '-'} ${sh.clino} ${sh.backClino ?? '-'}`
+        : `${sh.azimuth} ${sh.clino}`;
+      lines.push(`${sh.from} ${to} ${toLength(sh.length)} ${readings}${comment}`);
+    });
+    if (flag !== undefined) {
+      lines.push(`*flags not ${flag === ShotType.SPLAY ? 'splay' : 'duplicate'}`);
+    }
+
+    const dimensions = getSurveyDimensions(cave, survey);
+    if (dimensions.length > 0) {
+      lines.push('*data passage station left right up down');
+      const value = (v) => (dimensionValue(v) === undefined ? '-' : toLength(dimensionValue(v)));
+      dimensions.forEach((sd) => {
+        lines.push(`${sd.name} ${value(sd.left)} ${value(sd.right)} ${value(sd.up)} ${value(sd.down)}`);
+      });
+    }
+
+    lines.push(`*end ${id}`);
+    lines.push('');
+    return lines;
+  }
+}
+
+export { SurvexExporter };
@@ -26,13 +26,15 @@
  *   *data normal station newline tape compass clino  — interleaved (station on own line)
  *   *units tape meters / *units compass degrees / *units clino degrees
  *   *flags splay / *flags not splay  — toggle splay mode
+ *   *flags duplicate / *flags not duplicate  — toggle auxiliary shots
+ *   *title <name>                  — cave name when it precedes the first *begin
  *   *alias station - ..             — map '-' to anonymous wall point (splay marker)
  *   *calibrate compass <offset> / *calibrate clino <offset>
  *   *fix <station> <x> <y> <z>     — fix station coordinates
  *   *cs <system>                   — coordinate system (e.g. UTM33N, EPSG:32633)
  *   *equate <stn1> <stn2>          — declare station equivalence across surveys
  *   *include <filename>            — load another .svx file
- *   *declination <value> <unit>
+ *   *declination <value> <unit> / *declination auto <x> <y> <z>
  *   *date YYYY.MM.DD
  *   *team "Name" [role]
  *
@@ -68,6 +70,7 @@ import {
   stripStn,
   assembleCave,
   parseTeam,
+  AUTO_DECLINATION,
 } from './cave-survey-helpers.js';
 
 const SURVEX_OPTS = {
@@ -78,6 +81,13 @@ const SURVEX_OPTS = {
   skipExtensions : [],
 };
 
+// Survex refers to a station of another survey as survey.station, the helpers use station@survey
+const toRef = (token) => {
+  const dot = token.lastIndexOf('.');
+  if (token.includes('@') || dot <= 0 || dot === token.length - 1) return token;
+  return `${token.slice(dot + 1)}@${token.slice(0, dot)}`;
+};
+
 class SurvexImporter extends Importer {
 
   constructor(db, options, scene, manager) {
@@ -182,6 +192,7 @@ class SurvexImporter extends Importer {
       equates       : [],
       fmt           : parent ? parent.fmt : null,   // inherit active data format
       isSplay       : parent?.isSplay ?? false,
+      isDuplicate   : parent?.isDuplicate ?? false,
       stationComments   : [],
       stationDimensions : []
     });
@@ -191,7 +202,7 @@ class SurvexImporter extends Importer {
 
     const IGNORE_KWS = new Set([
       'cs',       // catches malformed *cs with no argument (valid *cs handled above)
-      'entrance', 'title', 'copyright', 'ref', 'sd', 'instrument',
+      'entrance', 'copyright', 'ref', 'sd', 'instrument',
       'solve', 'case', 'require', 'truncate', 'infer',
       'export', 'passage', 'endpassage', 'walls', 'endwalls', 'nosurvey',
     ]);
@@ -261,11 +272,17 @@ class SurvexImporter extends Importer {
       const top = stack.at(-1);
 
       if (kw === 'equate' && tokens.length >= 3) {
+        // station names are global, equating stations with the same name would only create self aliases
+        const refs = tokens
+          .slice(1)
+          .map(toRef)
+          .filter((ref, i, all) => i === 0 || stripStn(ref) !== stripStn(all[i - 1]));
+        if (refs.length < 2) continue;
         if (top) {
-          top.state.equates.push(tokens.slice(1));
+          top.state.equates.push(refs);
         } else {
           context.topLevelEquates.push({
-            tokens     : tokens.slice(1),
+            tokens     : refs,
             surveyPath : ''
           });
         }
@@ -282,6 +299,12 @@ class SurvexImporter extends Importer {
         continue;
       }
 
+      // A *title before the first *begin names the whole cave
+      if (kw === 'title') {
+        if (!top && !context.caveTitle && tokens[1]) context.caveTitle = tokens[1];
+        continue;
+      }
+
       if (!top) continue; // remaining commands require an active *begin block
 
       const state = top.state;
@@ -322,9 +345,18 @@ class SurvexImporter extends Importer {
 
       // ── *flags ─────────────────────────────────────────────────────────────
       if (kw === 'flags') {
-        const sub = tokens[1]?.toLowerCase();
-        if (sub === 'splay') state.isSplay = true;
-        else if (sub === 'not' && tokens[2]?.toLowerCase() === 'splay') state.isSplay = false;
+        // *flags [not] splay [not] duplicate ..., 'not' applies to the following flag only
+        let value = true;
+        for (const t of tokens.slice(1)) {
+          const flag = t.toLowerCase();
+          if (flag === 'not') {
+            value = false;
+            continue;
+          }
+          if (flag === 'splay') state.isSplay = value;
+          else if (flag === 'duplicate') state.isDuplicate = value;
+          value = true;
+        }
         continue;
       }
 
@@ -373,7 +405,10 @@ class SurvexImporter extends Importer {
 
       // ── *declination ────────────────────────────────────────────────────────
       if (kw === 'declination' && tokens.length >= 2) {
-        if (tokens[1]?.toLowerCase() !== 'auto') {
+        if (tokens[1]?.toLowerCase() === 'auto') {
+          // the location after 'auto' is ignored, the first fixed station is used in assembleCave
+          state.declination = AUTO_DECLINATION;
+        } else {
           const val = parseMyFloat(tokens[1]);
           if (!isNaN(val)) {
             const unit = tokens[2]?.toLowerCase();
@@ -404,6 +439,7 @@ class SurvexImporter extends Importer {
             units         : { ...state.units },
             calibration   : { ...state.calibration },
             isSplay       : state.isSplay,
+            isDuplicate   : state.isDuplicate,
             stationPrefix : state.stationPrefix,
             stationSuffix : state.stationSuffix
           };
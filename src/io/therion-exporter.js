@@ -0,0 +1,219 @@
+/*
+ * Copyright 2026 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Therion (.th) centreline export, the counterpart of TherionImporter.
+ *
+ * The cave is written as a single file with an outer survey block for the cave and a nested
+ * survey block with a centreline for every survey:
+ *
+ *   survey <cave> -title "..."
+ *     cs ...
+ *     survey <survey> -title "..."
+ *       centreline
+ *         date, team, declination, fix, units, station comments
+ *         data normal from to length compass [backcompass] clino [backclino] [left right up down]
+ *       endcentreline
+ *     endsurvey
+ *     equate <station>@<survey> <station>@<survey>
+ *   endsurvey
+ *
+ * The LRUD values on a shot row belong to the from station. Stations that are never the from
+ * station of a shot get their dimensions in a closing 'data dimensions' block.
+ */
+
+import { ShotType, DEFAULT_UNITS } from '../model/survey.js';
+import {
+  toIdentifier,
+  getSurveyIds,
+  quote,
+  formatDate,
+  dimensionValue,
+  getCoordinateSystemName,
+  getFixes,
+  getExportShots,
+  getEquates,
+  getSurveyDimensions
+} from './cave-survey-export-helpers.js';
+
+const THERION_LENGTH_UNITS = {
+  meters : 'meters',
+  feet   : 'feet',
+  yards  : 'yards',
+  inches : 'inches'
+};
+
+const THERION_ANGLE_UNITS = {
+  degrees : 'degrees',
+  grads   : 'grads'
+};
+
+const INDENT = '  ';
+
+class TherionExporter {
+
+  /**
+   * Creates the content of a Therion .th file
+   * @param {Cave} cave - The cave to export
+   * @returns {string} The file content
+   */
+  static getText(cave) {
+    const caveId = toIdentifier(cave.name);
+    const surveyIds = getSurveyIds(cave.surveys);
+    const lines = [];
+
+    lines.push('encoding utf-8');
+    lines.push(`# ${cave.name}`);
+    lines.push('# Exported from Speleo Studio');
+    lines.push('');
+    lines.push(`survey ${caveId} -title ${quote(cave.name)}`);
+
+    const cs = getCoordinateSystemName(cave.geoData?.coordinateSystem);
+    if (cs !== undefined) {
+      lines.push(`${INDENT}cs ${cs}`);
+    }
+
+    cave.surveys.forEach((survey, index) => {
+      lines.push('');
+      TherionExporter.getSurveyLines(cave, survey, surveyIds.get(survey.name), index === 0).forEach((line) =>
+        lines.push(INDENT + line)
+      );
+    });
+
+    const equates = getEquates(cave, surveyIds);
+    if (equates.length > 0) {
+      lines.push('');
+      equates.forEach(([[idA, stA], [idB, stB]]) => lines.push(`${INDENT}equate ${stA}@${idA} ${stB}@${idB}`));
+    }
+
+    lines.push(`endsurvey ${caveId}`);
+    lines.push('');
+    return lines.join('\n');
+  }
+
+  /**
+   * Creates the survey block of a survey
+   * @param {Cave} cave - The cave of the survey
+   * @param {Survey} survey - The survey to export
+   * @param {string} id - Therion identifier of the survey
+   * @param {boolean} isFirst - The shots of the first survey start from the start station
+   * @returns {string[]} Lines of the block
+   */
+  static getSurveyLines(cave, survey, id, isFirst) {
+    const lines = [];
+    const units = survey.units ?? DEFAULT_UNITS;
+    const lengthUnit = THERION_LENGTH_UNITS[units.length] ?? THERION_LENGTH_UNITS.meters;
+    const angleUnit = THERION_ANGLE_UNITS[units.angle] ?? THERION_ANGLE_UNITS.degrees;
+    const metadata = survey.metadata;
+    const push = (line) => lines.push(INDENT + INDENT + line);
+
+    lines.push(`survey ${id} -title ${quote(survey.name)}`);
+    lines.push(`${INDENT}centreline`);
+
+    const date = metadata?.date !== undefined ? formatDate(metadata.date) : undefined;
+    if (date !== undefined) {
+      push(`date ${date}`);
+    }
+    metadata?.team?.members?.forEach((m) => {
+      if (!m?.name) return;
+      const role = m.role ? ` ${/\s/.test(m.role) ? quote(m.role) : m.role}` : '';
+      push(`team ${quote(m.name)}${role}`);
+    });
+    // Therion rejects a declination after the first shot
+    if (metadata?.declination) {
+      push(`declination ${metadata.declination} degrees`);
+    }
+
+    getFixes(cave, survey).forEach((fix) => push(`fix ${fix.name} ${fix.values.join(' ')}`));
+
+    if (lengthUnit !== THERION_LENGTH_UNITS.meters) {
+      push(`units length left right up down ${lengthUnit}`);
+    }
+    const shots = getExportShots(survey, isFirst);
+    const withBacksight = shots.some((sh) => sh.hasBacksight());
+
+    if (angleUnit !== THERION_ANGLE_UNITS.degrees) {
+      push(`units compass clino${withBacksight ? ' backcompass backclino' : ''} ${angleUnit}`);
+    }
+
+    const dimensions = new Map(getSurveyDimensions(cave, survey).map((sd) => [sd.name, sd]));
+    const withLrud = dimensions.size > 0;
+
+    // TherionImporter assigns a station comment to the first shot from that station, except for the start station
+    const stationComment = (name, comment) =>
+      push(`station ${name} ${quote(String(comment).replace(/[\r\n]+/g, ' '))}`);
+    const commentedShots = new Set();
+    const seenFrom = new Set([shots[0]?.from]);
+    shots.forEach((sh) => {
+      if (seenFrom.has(sh.from)) return;
+      seenFrom.add(sh.from);
+      if (sh.comment) {
+        stationComment(sh.from, sh.comment);
+        commentedShots.add(sh);
+      }
+    });
+    (cave.stationComments ?? [])
+      .filter((sc) => sc.comment && cave.stations.get(sc.name)?.survey?.name === survey.name)
+      .forEach((sc) => stationComment(sc.name, sc.comment));
+
+    const readingColumns = withBacksight ? 'compass backcompass clino backclino' : 'compass clino';
+    push(`data normal from to length ${readingColumns}${withLrud ? ' left right up down' : ''}`);
+
+    let flag;
+    shots.forEach((sh) => {
+      const shotFlag = sh.type === ShotType.CENTER ? undefined : sh.type;
+      if (shotFlag !== flag) {
+        if (flag !== undefined) push(`flags not ${TherionExporter.#flagName(flag)}`);
+        if (shotFlag !== undefined) push(`flags ${TherionExporter.#flagName(shotFlag)}`);
+        flag = shotFlag;
+      }
+      const to = sh.type === ShotType.SPLAY ? '-' : sh.to;
+      const readings = withBacksight
+        ? `${sh.azimuth} ${sh.backAzimuth ?? '-'} ${sh.clino} ${sh.backClino ?? '-'}`
+        : `${sh.azimuth} ${sh.clino}`;
+      let row = `${sh.from} ${to} ${sh.length} ${readings}`;
+      if (withLrud) {
+        // the first row of a station carries its dimensions
+        row += ` ${TherionExporter.#lrud(dimensions.get(sh.from))}`;
+        dimensions.delete(sh.from);
+      }
+      const comment = sh.comment && !commentedShots.has(sh) ? ` # ${String(sh.comment).replace(/[\r\n]+/g, ' ')}` : '';
+      push(row + comment);
+    });
+    if (flag !== undefined) {
+      push(`flags not ${TherionExporter.#flagName(flag)}`);
+    }
+
+    if (dimensions.size > 0) {
+      push('data dimensions station left right up down');
+      dimensions.forEach((sd) => push(`${sd.name} ${TherionExporter.#lrud(sd)}`));
+    }
+
+    lines.push(`${INDENT}endcentreline`);
+    lines.push(`endsurvey ${id}`);
+    return lines;
+  }
+
+  static #flagName(type) {
+    return type === ShotType.SPLAY ? 'splay' : 'duplicate';
+  }
+
+  static #lrud(sd) {
+    return ['left', 'right', 'up', 'down'].map((f) => dimensionValue(sd?.[f]) ?? '-').join(' ');
+  }
+}
+
+export { TherionExporter };
@@ -40,6 +40,7 @@ import {
   addAliases,
   assembleCave,
   parseTeam,
+  AUTO_DECLINATION,
 } from './cave-survey-helpers.js';
 
 const THERION_OPTS = {
@@ -140,8 +141,9 @@ class TherionImporter extends Importer {
         case 'survey': {
           const name = tokens[1] ?? 'unnamed';
           const titleIdx = tokens.indexOf('-title');
-          const title = titleIdx >= 0 && titleIdx + 1 < tokens.length ? tokens[titleIdx + 1] : name;
-          context.surveyStack.push({ name, title });
+          const hasTitle = titleIdx >= 0 && titleIdx + 1 < tokens.length;
+          const title = hasTitle ? tokens[titleIdx + 1] : name;
+          context.surveyStack.push({ name, title, hasTitle });
           if (context.surveyStack.length === 1 && !context.caveTitle) {
             context.caveTitle = title;
           }
@@ -215,7 +217,7 @@ class TherionImporter extends Importer {
   #parseCentreline(lines, start, end, context) {
     const surveyPath = context.surveyStack.map((s) => s.name).join('.');
     const inner = context.surveyStack.at(-1);
-    const displayName = inner && inner.title !== inner.name ? inner.title : surveyPath || 'Survey';
+    const displayName = inner?.hasTitle ? inner.title : surveyPath || 'Survey';
 
     const state = {
       date        : null,
@@ -231,6 +233,7 @@ class TherionImporter extends Importer {
       equates     : [],
       fmt               : null,
       isSplay           : false,
+      isDuplicate       : false,
       stationComments   : [],
       stationDimensions : []
     };
@@ -303,7 +306,7 @@ class TherionImporter extends Importer {
           return null;
         }
         if (tokens[1]?.toLowerCase() === 'auto') {
-          state.declination = 0; // cannot replicate Therion's auto calculation
+          state.declination = AUTO_DECLINATION; // calculated from the magnetic model in assembleCave
         } else {
           const val = parseMyFloat(tokens[1]);
           if (!isNaN(val)) {
@@ -322,9 +325,18 @@ class TherionImporter extends Importer {
       if (kw === 'calibrate') { applyCalibration(tokens, state); continue; }
 
       if (kw === 'flags') {
-        const sub = tokens[1]?.toLowerCase();
-        if (sub === 'splay') state.isSplay = true;
-        else if (sub === 'not' && tokens[2]?.toLowerCase() === 'splay') state.isSplay = false;
+        // flags [not] splay [not] duplicate ..., 'not' applies to the following flag only
+        let value = true;
+        for (const t of tokens.slice(1)) {
+          const flag = t.toLowerCase();
+          if (flag === 'not') {
+            value = false;
+            continue;
+          }
+          if (flag === 'splay') state.isSplay = value;
+          else if (flag === 'duplicate') state.isDuplicate = value;
+          value = true;
+        }
         continue;
       }
 
@@ -365,6 +377,7 @@ class TherionImporter extends Importer {
             units         : { ...state.units },
             calibration   : { ...state.calibration },
             isSplay       : state.isSplay,
+            isDuplicate   : state.isDuplicate,
             stationPrefix : state.stationPrefix,
             stationSuffix : state.stationSuffix
           };
@@ -0,0 +1,573 @@
+/*
+ * Copyright 2026 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Walls file format overview:
+ *
+ * A .srv file holds vector rows and directives, ';' starts a comment, #[ ... #] is a comment block.
+ *
+ *   #units feet order=DAV decl=2.5 incd=0.1 typeab=c lrud=to  — units, column order, declination,
+ *                                                             incremental corrections, save/restore/reset
+ *   #prefix ABC / #prefix2 / #prefix3   — station name prefixes, station ABC:A1 ignores the prefix
+ *   #fix A1 650000 5200000 300          — east north up, UTM when the project has a reference
+ *   #segment /upper                      — path of the following vectors (also #seg, #s)
+ *   #date 2004-03-21  #note A1 text
+ *
+ *   A1 A2 10.5 123.5/303.5 -5/+5 <1,2,3,0.5>  ; comment
+ *
+ * Distances may have unit suffixes (10.5m, 34f, 5i6 = 5 feet 6 inches), azimuths may be
+ * grads (g) or quadrant bearings (N45E) and fore/back readings are separated by '/'. With
+ * #units rect the vectors are east, north, up displacements. '--' marks a missing reading.
+ *
+ * A .wpj project file is a tree of books and surveys:
+ *   .BOOK title / .SURVEY title  — followed by .NAME (the .srv file name) and .OPTIONS (#units)
+ *   .REF northing easting zone convergence elevation ... "datum"  — UTM reference
+ *   .ENDBOOK
+ *
+ * Every .srv file becomes a survey, vectors of a #segment go to a separate survey.
+ */
+
+import { Importer } from './importer-base.js';
+import { Shot, ShotType, SurveyMetadata, SurveyTeam } from '../model/survey.js';
+import { showInfoPanel } from '../ui/popups.js';
+import {
+  parseMyFloat,
+  convertLengthToMeters,
+  convertLengthFromMeters,
+  roundToThreeDecimalPlaces
+} from '../utils/utils.js';
+import { CoordinateSystemDialog } from '../ui/coordinate-system-dialog.js';
+import { i18n } from '../i18n/i18n.js';
+import {
+  readFileAsText,
+  resolveSights,
+  makeUniqueDisplayNames,
+  assembleCave,
+  orderSurveysByConnection
+} from './cave-survey-helpers.js';
+
+// Walls writes its files with the Windows code page
+const WALLS_ENCODING = 'windows-1252';
+
+const SUPPORTED_DATUMS = /^(wgs\s*(19)?84|north american 1983)$/i;
+
+const WALLS_DEFAULT_UNITS = {
+  length      : 'meters',
+  lrud        : 'meters',
+  azimuth     : 'degrees',
+  vertical    : 'degrees',
+  order       : 'DAV',
+  rectOrder   : 'ENU',
+  rect        : false,
+  declination : 0,
+  incd        : 0,
+  inca        : 0,
+  incab       : 0,
+  incv        : 0,
+  incvb       : 0,
+  incs        : 0,
+  abCorrected : false, // backsights are read in the opposite direction unless typeab=c
+  vbCorrected : false,
+  lrudTo      : false
+};
+
+class WallsImporter extends Importer {
+
+  constructor(db, options, scene, manager) {
+    super(db, options, scene, manager);
+    this.coordinateSystemDialog = new CoordinateSystemDialog();
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────────────────
+
+  /** Batch entry point: filesMap is Map<filename, File>. The .wpj and .srv files passed together. */
+  async importFiles(filesMap, onCaveLoad) {
+    const textMap = new Map();
+    for (const [name, file] of filesMap) {
+      textMap.set(name, await readFileAsText(file, WALLS_ENCODING));
+    }
+    const cave = await this.getCave(textMap);
+    if (cave) await onCaveLoad(cave);
+  }
+
+  /** Single-file entry point – wraps into a one-entry map. */
+  async importFile(file, name, onCaveLoad) {
+    await this.importFiles(new Map([[file.name, file]]), onCaveLoad);
+  }
+
+  /** Public for testing: textMap is Map<filename, string>. Returns a Cave. */
+  async getCave(textMap) {
+    const projectName = [...textMap.keys()].find((n) => n.toLowerCase().endsWith('.wpj'));
+    const project = projectName !== undefined ? WallsImporter.#parseProject(textMap.get(projectName)) : undefined;
+
+    // File names are matched case insensitively, Walls runs on Windows
+    const srvNames = new Map(
+      [...textMap.keys()].filter((n) => n.toLowerCase().endsWith('.srv')).map((n) => [WallsImporter.#baseName(n), n])
+    );
+    const unresolved = [];
+    const inputs = [];
+    if (project !== undefined) {
+      project.surveys.forEach((s) => {
+        const fileName = srvNames.get(WallsImporter.#baseName(`${s.name.replace(/\.srv$/i, '')}.srv`));
+        if (fileName === undefined) unresolved.push(`${s.name}.srv`);
+        else inputs.push({ fileName, title: s.title || s.name, options: s.options });
+      });
+    } else {
+      srvNames.forEach((fileName) => inputs.push({ fileName, title: fileName.replace(/\.[^.]+$/, ''), options: [] }));
+    }
+
+    if (inputs.length === 0) {
+      throw new Error(
+        i18n.t(project !== undefined ? 'errors.import.wallsMissingSrvFiles' : 'errors.import.wallsNoData')
+      );
+    }
+    if (unresolved.length > 0) {
+      showInfoPanel(i18n.t('errors.import.wallsUnresolvedInputs', { files: unresolved.join(', ') }), 6000);
+    }
+
+    const surveys = inputs
+      .flatMap((input) => WallsImporter.#parseSurveyFile(textMap.get(input.fileName), input))
+      .filter((s) => s.shots.length > 0);
+    if (surveys.length === 0) {
+      throw new Error(i18n.t('errors.import.wallsNoData'));
+    }
+    makeUniqueDisplayNames(surveys, (s) => s.surveyPath.split('/')[0].replace(/\.[^.]+$/, ''));
+
+    // The survey with the first fixed station is calculated first
+    let firstIdx = surveys.findIndex((s) => s.fixes.length > 0);
+    if (firstIdx >= 0) {
+      surveys[firstIdx].startStation = surveys[firstIdx].fixes[0].station;
+    } else {
+      firstIdx = 0;
+    }
+
+    if (project?.datum && !SUPPORTED_DATUMS.test(project.datum)) {
+      showInfoPanel(i18n.t('errors.import.wallsUnsupportedDatum', { datum: project.datum }), 6000);
+    }
+
+    const cs = project?.zone ? { type: 'utm', zone: Math.abs(project.zone), northern: project.zone > 0 } : null;
+    const context = {
+      surveys         : orderSurveysByConnection(surveys, firstIdx).map((s) => ({ ...s, cs })),
+      topLevelEquates : [],
+      globalCs        : cs,
+      caveTitle       : project?.title || null
+    };
+
+    return await assembleCave(
+      context,
+      projectName ?? inputs[0].fileName,
+      this.coordinateSystemDialog,
+      'errors.import.wallsUnknownCs'
+    );
+  }
+
+  // ─── Project file ─────────────────────────────────────────────────────────────
+
+  static #parseProject(text) {
+    const project = { title: undefined, surveys: [], zone: undefined, datum: undefined };
+    const books = [];
+    let current;
+
+    for (const raw of text.split(/\r?\n/)) {
+      const line = raw.trim();
+      if (!line.startsWith('.')) continue;
+      const [keyword] = line.split(/\s/, 1);
+      const value = line.slice(keyword.length).trim();
+
+      switch (keyword.toUpperCase()) {
+        case '.BOOK':
+          current = { title: value, options: [...(books.at(-1)?.options ?? [])] };
+          books.push(current);
+          if (project.title === undefined) project.title = value;
+          break;
+        case '.ENDBOOK':
+          books.pop();
+          current = books.at(-1);
+          break;
+        case '.SURVEY':
+          current = { title: value, name: value, options: [...(books.at(-1)?.options ?? [])] };
+          project.surveys.push(current);
+          break;
+        case '.NAME':
+          if (current !== undefined) current.name = value;
+          break;
+        case '.OPTIONS':
+          if (current !== undefined && value.length > 0) current.options.push(value);
+          break;
+        case '.REF': {
+          // northing easting zone convergence elevation ... "datum"
+          const zone = parseInt(value.split(/\s+/)[2]);
+          if (!isNaN(zone) && zone !== 0) project.zone = zone;
+          project.datum = value.match(/"([^"]*)"/)?.[1];
+          break;
+        }
+      }
+    }
+    return project;
+  }
+
+  // ─── Survey data file ─────────────────────────────────────────────────────────
+
+  static #parseSurveyFile(text, { fileName, title, options }) {
+    let units = { ...WALLS_DEFAULT_UNITS };
+    options.forEach((o) => (units = WallsImporter.#applyUnits(o.split(/\s+/), units, [])));
+    const saved = [];
+    const prefixes = ['', '', ''];
+    let segment = '';
+    let date = new Date();
+    let inComment = false;
+
+    // surveys by segment
+    const buckets = new Map();
+    const bucket = () => {
+      if (!buckets.has(segment)) {
+        buckets.set(segment, {
+          segment,
+          lengthUnit  : units.length,
+          declination : units.declination,
+          date,
+          shots       : [],
+          dimensions  : [],
+          comments    : [],
+          fixes       : []
+        });
+      }
+      return buckets.get(segment);
+    };
+    const station = (name) => WallsImporter.#stationName(name, prefixes);
+
+    for (const raw of text.split(/\r?\n/)) {
+      const line = raw.trim();
+      if (inComment) {
+        if (line.startsWith('#]')) inComment = false;
+        continue;
+      }
+      if (line.length === 0 || line.startsWith(';')) continue;
+
+      if (line.startsWith('#')) {
+        const tokens = line.replace(/;.*$/, '').trim().split(/\s+/);
+        const kw = tokens[0].slice(1).toLowerCase();
+        if (kw.startsWith('[')) {
+          inComment = true;
+        } else if (kw.startsWith('u')) {
+          units = WallsImporter.#applyUnits(tokens.slice(1), units, saved);
+        } else if (/^p(refix)?[123]?$/.test(kw)) {
+          prefixes[Math.max(parseInt(kw.at(-1)) || 1, 1) - 1] = tokens[1] ?? '';
+        } else if (/^s(eg(ment)?)?$/.test(kw)) {
+          segment = WallsImporter.#resolveSegment(segment, tokens[1] ?? '');
+        } else if (/^d(ate)?$/.test(kw)) {
+          date = WallsImporter.#parseDate(tokens[1]) ?? date;
+        } else if (/^f(ix)?$/.test(kw) && tokens.length >= 5) {
+          const values = tokens.slice(2, 5).map((t) => WallsImporter.#parseLength(t, units.length));
+          if (values.every((v) => v !== undefined)) {
+            bucket().fixes.push({ station: station(tokens[1]), x: values[0], y: values[1], z: values[2] });
+          }
+        } else if (/^n(ote)?$/.test(kw) && tokens.length >= 3) {
+          const comment = line.replace(/;.*$/, '').trim().split(/\s+/).slice(2).join(' ');
+          bucket().comments.push({ station: station(tokens[1]), comment });
+        }
+        continue;
+      }
+
+      const row = WallsImporter.#parseVectorRow(line, units);
+      if (row === undefined) continue;
+      const target = bucket();
+      if (row.lrud !== undefined) {
+        const lrudStation = row.to === undefined || !units.lrudTo ? row.from : row.to;
+        target.dimensions.push({ station: station(lrudStation), ...row.lrud });
+      }
+      if (row.to === undefined) continue;
+
+      const toMagnetic = (azimuth) => (((azimuth - target.declination) % 360) + 360) % 360;
+      target.shots.push({
+        from        : station(row.from),
+        to          : station(row.to),
+        length      : row.length,
+        // the survey declination is added when the stations are calculated
+        azimuth     : toMagnetic(row.azimuth),
+        clino       : row.clino,
+        backAzimuth : row.backAzimuth !== undefined ? toMagnetic(row.backAzimuth) : undefined,
+        backClino   : row.backClino,
+        comment     : row.comment
+      });
+    }
+
+    return [...buckets.values()].map((b) => {
+      const toUnit = (m) => roundToThreeDecimalPlaces(convertLengthFromMeters(m, b.lengthUnit));
+      const shots = b.shots.map(
+        (sh, i) =>
+          new Shot(
+            i,
+            ShotType.CENTER,
+            sh.from,
+            sh.to,
+            toUnit(sh.length),
+            roundToThreeDecimalPlaces(sh.azimuth),
+            roundToThreeDecimalPlaces(sh.clino),
+            sh.comment,
+            sh.backAzimuth !== undefined ? roundToThreeDecimalPlaces(sh.backAzimuth) : undefined,
+            sh.backClino !== undefined ? roundToThreeDecimalPlaces(sh.backClino) : undefined
+          )
+      );
+      return {
+        displayName       : b.segment ? `${title}${b.segment}` : title,
+        surveyPath        : `${fileName}${b.segment}`,
+        shots,
+        metadata          : new SurveyMetadata(b.date, b.declination, null, new SurveyTeam('', []), []),
+        units             : { length: b.lengthUnit, compass: 'degrees', clino: 'degrees' },
+        equates           : [],
+        cs                : null,
+        fixes             : b.fixes,
+        startStation      : shots[0]?.from,
+        stationComments   : b.comments,
+        stationDimensions : b.dimensions.map(({ station, ...lrud }) => {
+          const dims = { station };
+          Object.entries(lrud).forEach(([k, v]) => (dims[k] = toUnit(v)));
+          return dims;
+        })
+      };
+    });
+  }
+
+  /**
+   * Applies the options of a #units directive (or of a project .OPTIONS line)
+   * @returns {object} The new units
+   */
+  static #applyUnits(options, units, saved) {
+    let result = { ...units };
+    for (const option of options) {
+      const [rawKey, rawValue = ''] = option.split('=');
+      const key = rawKey.toLowerCase();
+      const value = rawValue.toLowerCase();
+
+      if (key === 'meters' || key === 'm') {
+        result.length = result.lrud = 'meters';
+      } else if (key === 'feet' || key === 'f') {
+        result.length = result.lrud = 'feet';
+      } else if (key === 'd' || key === 's') {
+        result[key === 'd' ? 'length' : 'lrud'] = value.startsWith('f') ? 'feet' : 'meters';
+      } else if (key === 'a') {
+        result.azimuth = WallsImporter.#angleUnit(value);
+      } else if (key === 'v') {
+        result.vertical = value.startsWith('p') ? 'percent' : WallsImporter.#angleUnit(value);
+      } else if (key === 'order') {
+        const order = value.toUpperCase();
+        if (/^[DAV]{2,3}$/.test(order)) result.order = order;
+        else if (/^[ENU]{2,3}$/.test(order)) result.rectOrder = order;
+      } else if (key === 'decl') {
+        result.declination = WallsImporter.#parseAngle(rawValue, 'degrees') ?? 0;
+      } else if (['incd', 'incs'].includes(key)) {
+        result[key] = WallsImporter.#parseLength(rawValue, key === 'incd' ? result.length : result.lrud) ?? 0;
+      } else if (['inca', 'incab', 'incv', 'incvb'].includes(key)) {
+        result[key] = WallsImporter.#parseAngle(rawValue, 'degrees') ?? 0;
+      } else if (key === 'typeab' || key === 'typevb') {
+        result[key === 'typeab' ? 'abCorrected' : 'vbCorrected'] = value.startsWith('c');
+      } else if (key === 'lrud') {
+        result.lrudTo = value.startsWith('t');
+      } else if (key === 'rect') {
+        result.rect = true;
+      } else if (key === 'ct') {
+        result.rect = false;
+      } else if (key === 'reset') {
+        result = { ...WALLS_DEFAULT_UNITS };
+      } else if (key === 'save') {
+        saved.push({ ...result });
+      } else if (key === 'restore') {
+        result = saved.pop() ?? result;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Parses a vector row. Lengths are in meters, angles in degrees with the incremental corrections,
+   * the current declination and the backsights applied.
+   */
+  static #parseVectorRow(line, units) {
+    const commentIdx = line.indexOf(';');
+    const comment = commentIdx >= 0 ? line.slice(commentIdx + 1).trim() : '';
+    let data = commentIdx >= 0 ? line.slice(0, commentIdx) : line;
+
+    let lrud;
+    const lrudMatch = data.match(/<([^>]*)>|\*([^*]*)\*/);
+    if (lrudMatch) {
+      data = data.replace(lrudMatch[0], ' ');
+      const values = (lrudMatch[1] ?? lrudMatch[2]).split(/[\s,]+/).filter((v) => v.length > 0);
+      lrud = {};
+      ['left', 'right', 'up', 'down'].forEach((f, i) => {
+        const v = WallsImporter.#parseLength(values[i], units.lrud);
+        if (v !== undefined && v >= 0) {
+          const value = v + units.incs;
+          if (value > 0) lrud[f] = value;
+        }
+      });
+      if (Object.keys(lrud).length === 0) lrud = undefined;
+    }
+
+    // inline directives and variance overrides
+    const tokens = data
+      .replace(/#.*$/, '')
+      .replace(/\([^)]*\)/g, ' ')
+      .trim()
+      .split(/\s+/)
+      .filter((t) => t.length > 0);
+    if (tokens.length === 1) {
+      return lrud !== undefined ? { from: tokens[0], lrud } : undefined;
+    }
+    if (tokens.length < 3) return undefined;
+
+    const [from, to] = tokens;
+    const values = tokens.slice(2);
+
+    if (units.rect) {
+      const get = (letter) => {
+        const idx = units.rectOrder.indexOf(letter);
+        return idx >= 0 ? (WallsImporter.#parseLength(values[idx], units.length) ?? 0) : 0;
+      };
+      const [e, n, u] = [get('E'), get('N'), get('U')];
+      const length = Math.sqrt(e * e + n * n + u * u);
+      if (length === 0) return undefined;
+      const azimuth = (Math.atan2(e, n) * 180) / Math.PI;
+      const clino = (Math.asin(u / length) * 180) / Math.PI;
+      return { from, to, length, azimuth: (azimuth + 360) % 360, clino, lrud, comment: comment || undefined };
+    }
+
+    const get = (letter) => {
+      const idx = units.order.indexOf(letter);
+      return idx >= 0 ? values[idx] : undefined;
+    };
+    const length = WallsImporter.#parseLength(get('D'), units.length);
+    if (length === undefined) return undefined;
+
+    const [foreA, backA] = (get('A') ?? '--').split('/');
+    const [foreV, backV] = (get('V') ?? '0').split('/');
+    const foreAzimuth = WallsImporter.#parseAngle(foreA, units.azimuth);
+    const backAzimuth = WallsImporter.#parseAngle(backA, units.azimuth);
+    const foreClino = WallsImporter.#parseVertical(foreV, units.vertical);
+    const backClino = WallsImporter.#parseVertical(backV, units.vertical);
+
+    // corrected backsights are recorded in the foresight direction, they are stored as read
+    const { azimuth, clino, ...back } = resolveSights(
+      foreAzimuth !== undefined ? foreAzimuth + units.inca : undefined,
+      backAzimuth !== undefined ? backAzimuth + units.incab + (units.abCorrected ? 180 : 0) : undefined,
+      foreClino !== undefined ? foreClino + units.incv : undefined,
+      backClino !== undefined ? (backClino + units.incvb) * (units.vbCorrected ? -1 : 1) : undefined
+    );
+
+    return {
+      from,
+      to,
+      length      : length + units.incd,
+      azimuth     : azimuth + units.declination,
+      clino,
+      backAzimuth : back.backAzimuth !== undefined ? back.backAzimuth + units.declination : undefined,
+      backClino   : back.backClino,
+      lrud,
+      comment     : comment || undefined
+    };
+  }
+
+  // ─── Values ───────────────────────────────────────────────────────────────────
+
+  /** Returns the length in meters, the token may have a unit suffix or be in feet and inches (5i6) */
+  static #parseLength(token, unit) {
+    if (token === undefined || token === '--' || token === '-') return undefined;
+    const m = token.match(/^([+-]?\d*\.?\d+)?(?:i(\d*\.?\d*))?([fm])?$/i);
+    if (!m || (m[1] === undefined && m[2] === undefined)) return undefined;
+    if (m[2] !== undefined) {
+      const feet = (parseFloat(m[1] ?? '0') || 0) + (parseFloat(m[2]) || 0) / 12;
+      return convertLengthToMeters(feet, 'feet');
+    }
+    const value = parseMyFloat(m[1]);
+    const suffixUnit = m[3] === undefined ? unit : m[3].toLowerCase() === 'f' ? 'feet' : 'meters';
+    return convertLengthToMeters(value, suffixUnit);
+  }
+
+  static #angleUnit(value) {
+    if (value.startsWith('g')) return 'grads';
+    if (value.startsWith('m')) return 'mils';
+    return 'degrees';
+  }
+
+  static #toDegrees(value, unit) {
+    if (unit === 'grads') return value * 0.9;
+    if (unit === 'mils') return value * 0.05625;
+    return value;
+  }
+
+  /** Returns the angle in degrees or undefined if missing, accepts unit suffixes and quadrant bearings */
+  static #parseAngle(token, unit) {
+    if (token === undefined || token === '' || token.startsWith('--')) return undefined;
+    const quadrant = token.match(/^([NS])(\d*\.?\d+)([EW])$/i);
+    if (quadrant) {
+      const a = parseFloat(quadrant[2]);
+      const ns = quadrant[1].toUpperCase();
+      const ew = quadrant[3].toUpperCase();
+      if (ns === 'N') return ew === 'E' ? a : (360 - a) % 360;
+      return ew === 'E' ? 180 - a : 180 + a;
+    }
+    const m = token.match(/^([+-]?\d*\.?\d+)([dgm])?$/i);
+    if (!m) return undefined;
+    const suffix = m[2]?.toLowerCase();
+    const suffixUnit = suffix === undefined ? unit : WallsImporter.#angleUnit(suffix);
+    return WallsImporter.#toDegrees(parseFloat(m[1]), suffixUnit);
+  }
+
+  static #parseVertical(token, unit) {
+    if (token === undefined || token === '' || token.startsWith('--')) return undefined;
+    const m = token.match(/^([+-]?\d*\.?\d+)([dgmp])?$/i);
+    if (!m) return undefined;
+    const suffix = m[2]?.toLowerCase();
+    const value = parseFloat(m[1]);
+    const suffixUnit = suffix === undefined ? unit : suffix === 'p' ? 'percent' : WallsImporter.#angleUnit(suffix);
+    if (suffixUnit === 'percent') return (Math.atan(value / 100) * 180) / Math.PI;
+    return WallsImporter.#toDegrees(value, suffixUnit);
+  }
+
+  static #parseDate(token) {
+    if (!token) return undefined;
+    let m = token.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (m) return new Date(+m[1], +m[2] - 1, +m[3]);
+    m = token.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{2,4})$/);
+    if (m) return new Date(+m[3] < 100 ? 1900 + +m[3] : +m[3], +m[1] - 1, +m[2]);
+    return undefined;
+  }
+
+  // ─── Names ────────────────────────────────────────────────────────────────────
+
+  static #baseName(fileName) {
+    return fileName.split(/[\\/]/).pop().toLowerCase();
+  }
+
+  /** PREFIX3:PREFIX2:PREFIX1:NAME, explicit prefixes of the name replace the current ones */
+  static #stationName(name, prefixes) {
+    const parts = name.split(':');
+    const explicit = parts.slice(0, -1).reverse();
+    const levels = prefixes.map((p, i) => (i < explicit.length ? explicit[i] : p));
+    return [...levels.reverse().filter((p) => p.length > 0), parts.at(-1)].join(':');
+  }
+
+  static #resolveSegment(current, path) {
+    const parts = path.startsWith('/') ? [] : current.split('/').filter((p) => p.length > 0);
+    path
+      .split(/[\\/]/)
+      .filter((p) => p.length > 0 && p !== '.')
+      .forEach((p) => (p === '..' ? parts.pop() : parts.push(p)));
+    return parts.length > 0 ? `/${parts.join('/')}` : '';
+  }
+}
+
+export { WallsImporter };
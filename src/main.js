@@ -25,6 +25,8 @@ import {
   JsonImporter,
   TherionImporter,
   SurvexImporter,
+  CompassImporter,
+  WallsImporter,
   LoxImporter,
   Importer
 } from './io/import.js';
@@ -56,7 +58,7 @@ import { LoadingOverlay } from './ui/loading-overlay.js';
 import { PointCloudHelper } from './utils/models.js';
 import { PointCloud, Mesh3D, ModelFile, ModelMetadata } from './model.js';
 import { ModelCoordinateDialog } from './ui/model-coordinate-dialog.js';
-import { GeoData, UTMCoordinateWithElevation, UTMCoordinateSystem, EOVCoordinateWithElevation, EOVCoordinateSystem, StationWithCoordinate, CoordinateSystemType } from './model/geo.js';
+import { GeoData, UTMCoordinateWithElevation, UTMCoordinateSystem, EOVCoordinateWithElevation, EOVCoordinateSystem, ProjectedCoordinateWithElevation, StationWithCoordinate, CoordinateSystemType } from './model/geo.js';
 import { UTMConverter, WGS84Converter } from './utils/geo.js';
 import { globalNormalizer } from './utils/global-coordinate-normalizer.js';
 import { PrintUtils } from './utils/print.js';
@@ -217,7 +219,7 @@ class Main {
       this.projectSystem
     );
 
-    this.googleDriveSync = new GoogleDriveSync(this.dbManager, this.projectSystem, this.caveSystem, attributeDefs, this.modelSystem);
+    this.googleDriveSync = new GoogleDriveSync(this.databaseManager, this.projectSystem, this.caveSystem, attributeDefs, this.modelSystem);
     if (
       this.googleDriveSync.config.isConfigured() &&
       this.googleDriveSync.config.hasTokens() &&
@@ -320,6 +322,8 @@ class Main {
       json      : new JsonImporter(db, options, scene, this.projectManager, attributeDefs),
       therion   : new TherionImporter(db, options, scene, this.projectManager),
       survex    : new SurvexImporter(db, options, scene, this.projectManager),
+      compass   : new CompassImporter(db, options, scene, this.projectManager),
+      walls     : new WallsImporter(db, options, scene, this.projectManager),
       ply       : new PlyModelImporter(db, options, scene, this.projectManager),
       obj       : new ObjModelImporter(db, options, scene, this.projectManager),
       las       : new LasModelImporter(db, options, scene, this.projectManager),
@@ -376,9 +380,18 @@ class Main {
         const therionFiles = files.filter(f => f.name.toLowerCase().endsWith('.th'));
         // Batch all .svx files together so *include directives can be resolved across them
         const svxFiles     = files.filter(f => f.name.toLowerCase().endsWith('.svx'));
+        // Batch the Compass .mak project file with its .dat survey files
+        const compassFiles = files.filter(f => /\.(dat|mak)$/.test(f.name.toLowerCase()));
+        // Batch the Walls .wpj project file with its .srv survey files
+        const wallsFiles   = files.filter(f => /\.(srv|wpj)$/.test(f.name.toLowerCase()));
+        // Therion .lox files opened as a cave: the centreline becomes a cave, the scrap mesh a model
+        const loxFiles     = files.filter(f => f.name.toLowerCase().endsWith('.lox'));
         const otherFiles   = files.filter(f =>
           !f.name.toLowerCase().endsWith('.th') &&
-          !f.name.toLowerCase().endsWith('.svx')
+          !f.name.toLowerCase().endsWith('.svx') &&
+          !/\.(dat|mak)$/.test(f.name.toLowerCase()) &&
+          !/\.(srv|wpj)$/.test(f.name.toLowerCase()) &&
+          !f.name.toLowerCase().endsWith('.lox')
         );
 
         if (therionFiles.length > 0) {
@@ -407,6 +420,47 @@ class Main {
           }
         }
 
+        if (compassFiles.length > 0) {
+          try {
+            const filesMap = new Map(compassFiles.map(f => [f.name, f]));
+            await this.importers.compass.importFiles(filesMap, async (cave) => {
+              await this.#tryAddCave(cave);
+            });
+          } catch (error) {
+            const msgPrefix = i18n.t('errors.import.importFileFailed', { name: compassFiles[0].name });
+            showErrorPanel(`${msgPrefix}: ${error.message}`);
+            console.error(msgPrefix, error);
+          }
+        }
+
+        if (wallsFiles.length > 0) {
+          try {
+            const filesMap = new Map(wallsFiles.map(f => [f.name, f]));
+            await this.importers.walls.importFiles(filesMap, async (cave) => {
+              await this.#tryAddCave(cave);
+            });
+          } catch (error) {
+            const msgPrefix = i18n.t('errors.import.importFileFailed', { name: wallsFiles[0].name });
+            showErrorPanel(`${msgPrefix}: ${error.message}`);
+            console.error(msgPrefix, error);
+          }
+        }
+
+        for (const file of loxFiles) {
+          try {
+            await this.importers.lox.importCaveFile(file, file.name, async (cave, model) => {
+              const added = await this.#tryAddCave(cave);
+              if (added && model) {
+                await this.#tryAddModel(model.mesh, model.object3D, model.modelFile);
+              }
+            });
+          } catch (error) {
+            const msgPrefix = i18n.t('errors.import.importFileFailed', { name: file.name });
+            showErrorPanel(`${msgPrefix}: ${error.message}`);
+            console.error(msgPrefix, error);
+          }
+        }
+
         const handlers = new Map([
           ['cave', this.importers.polygon],
           ['json', this.importers.json]
@@ -650,6 +704,12 @@ class Main {
       return new GeoData(existingCoordSystem, [new StationWithCoordinate('origin', coordinate)]);
     }
 
+    if (existingCoordSystem?.type === CoordinateSystemType.PROJECTED) {
+      const { easting, northing } = WGS84Converter.fromLatLon(latitude, longitude, existingCoordSystem);
+      const coordinate = new ProjectedCoordinateWithElevation(easting, northing, elevation);
+      return new GeoData(existingCoordSystem, [new StationWithCoordinate('origin', coordinate)]);
+    }
+
     // Default: convert to UTM
     const { easting, northing, zoneNum, zoneLetter } = UTMConverter.fromLatLon(latitude, longitude);
     const northern = zoneLetter >= 'N';
@@ -729,12 +789,15 @@ class Main {
     const errorMessage = this.projectManager.validateBeforeAdd(cave);
     if (errorMessage) {
       showErrorPanel(`${i18n.t('errors.import.importFileFailed', { name: cave.name })}: ${errorMessage}`);
-      return;
+      return false;
     }
+    // missing declinations are filled before the cave is saved
+    this.projectManager.recalculateImportedCave(cave);
     await this.projectSystem.addCaveToProject(currentProject.id, cave);
     this.projectManager.calculateFragmentAttributes(cave);
     this.projectManager.addCave(cave);
     await this.projectManager.uploadCaveToDrive(cave);
+    return true;
 
   }
 
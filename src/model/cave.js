@@ -280,6 +280,47 @@ export class DriveCaveMetadata {
 
 }
 
+class ExtendedElevation {
+
+  static LEFT = 'left';
+  static RIGHT = 'right';
+
+  /**
+   * The settings of the extended elevation (unfolded profile) of a cave
+   *
+   * @param {string} start - The name of the station where the unfolding starts, the first station of the cave if undefined
+   * @param {Map<string, string>} directions - Station name -> left or right, the stations after it inherit the direction
+   */
+  constructor(start, directions = new Map()) {
+    this.start = start;
+    this.directions = directions;
+  }
+
+  getDirection(stationName) {
+    return this.directions.get(stationName);
+  }
+
+  setDirection(stationName, direction) {
+    this.directions.set(stationName, direction);
+  }
+
+  removeDirection(stationName) {
+    this.directions.delete(stationName);
+  }
+
+  toExport() {
+    return {
+      start      : this.start,
+      directions : [...this.directions.entries()].map(([station, direction]) => ({ station, direction }))
+    };
+  }
+
+  static fromPure(pure) {
+    const directions = new Map((pure?.directions ?? []).map((d) => [d.station, d.direction]));
+    return new ExtendedElevation(pure?.start, directions);
+  }
+}
+
 class Cave {
   /**
    *
@@ -316,6 +357,7 @@ class Cave {
     this.attributes = attributes;
     this.stationComments = stationComments;
     this.stationDimensions = stationDimensions;
+    this.extendedElevation = new ExtendedElevation();
     this.visible = visible;
     this.version = 1;
   }
@@ -463,6 +505,7 @@ class Cave {
       attributes        : this.attributes.toExport(),
       stationComments   : this.stationComments.map((sc) => sc.toExport()),
       stationDimensions : this.stationDimensions.map((sd) => sd.toExport()),
+      extendedElevation : this.extendedElevation.toExport(),
       surveys           : this.surveys.map((s) => s.toExport())
     };
   }
@@ -499,10 +542,11 @@ class Cave {
       pure.stationDimensions !== undefined
         ? pure.stationDimensions.map((sd) => StationDimension.fromPure(sd))
         : [];
+    pure.extendedElevation = ExtendedElevation.fromPure(pure.extendedElevation);
 
     const cave = Object.assign(new Cave(), pure);
     return cave;
   }
 }
 
-export { CaveCycle, CaveAttributes, CaveComponent, CaveSection, CaveMetadata, Cave };
+export { CaveCycle, CaveAttributes, CaveComponent, CaveSection, CaveMetadata, ExtendedElevation, Cave };
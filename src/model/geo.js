@@ -256,6 +256,94 @@ class UTMCoordinateWithElevation extends UTMCoordinate {
 
 }
 
+/**
+ * Coordinate of a projected coordinate system given by an EPSG code or a PROJ-style definition.
+ * The easting and the northing are in the order of the definition, the elevation is above sea level.
+ */
+class ProjectedCoordinateWithElevation {
+  constructor(easting, northing, elevation) {
+    this.easting = easting;
+    this.northing = northing;
+    this.elevation = elevation;
+    this.type = CoordinateSystemType.PROJECTED;
+  }
+
+  getElevation() {
+    return this.elevation;
+  }
+
+  addVector(v) {
+    return new ProjectedCoordinateWithElevation(this.easting + v.x, this.northing + v.y, this.elevation + v.z);
+  }
+
+  toVector() {
+    return new Vector(this.easting, this.northing, this.elevation);
+  }
+
+  toNormalizedVector() {
+    return globalNormalizer.getNormalizedVector(this);
+  }
+
+  distanceTo(v) {
+    const de = this.easting - v.easting,
+      dn = this.northing - v.northing,
+      dz = this.elevation - v.elevation;
+    return Math.sqrt(de * de + dn * dn + dz * dz);
+  }
+
+  isValid() {
+    return this.validate().length === 0;
+  }
+
+  validate(i18n) {
+
+    const errors = [];
+
+    const isValidFloat = (f) => {
+      return typeof f === 'number' && f !== Infinity && !isNaN(f);
+    };
+
+    const t = (key, params) => {
+      if (i18n) {
+        return i18n.t(key, params);
+      } else {
+        return key;
+      }
+    };
+
+    ['easting', 'northing', 'elevation'].forEach((coord) => {
+      if (!isValidFloat(this[coord])) {
+        errors.push(t('validation.geo.invalidCoordinate', { coord: coord, thisCoord: this[coord] }));
+      }
+    });
+
+    if (this.elevation < -3000 || this.elevation > 5000) {
+      errors.push(t('validation.geo.outOfBounds', { XYZ: 'Z', coord: this.elevation, bounds: '-3000 - +5000' }));
+    }
+    return errors;
+  }
+
+  toExport() {
+    return {
+      easting   : this.easting,
+      northing  : this.northing,
+      elevation : this.elevation,
+      type      : this.type
+    };
+  }
+
+  isEqual(other) {
+    return other !== undefined &&
+      this.easting === other.easting &&
+      this.northing === other.northing &&
+      this.elevation === other.elevation;
+  }
+
+  static fromPure(pure) {
+    return Object.assign(new ProjectedCoordinateWithElevation(), pure);
+  }
+}
+
 class WGS84Coordinate {
   constructor(lat, lon) {
     this.lat = lat;
@@ -272,6 +360,8 @@ function deserializeCoordinate(pure) {
     return EOVCoordinateWithElevation.fromPure(pure);
   } else if (pure.type === CoordinateSystemType.UTM) {
     return UTMCoordinateWithElevation.fromPure(pure);
+  } else if (pure.type === CoordinateSystemType.PROJECTED) {
+    return ProjectedCoordinateWithElevation.fromPure(pure);
   }
 }
 
@@ -307,8 +397,9 @@ class StationCoordinates {
 }
 
 const CoordinateSystemType = Object.freeze({
-  EOV : 'eov',
-  UTM : 'utm'
+  EOV       : 'eov',
+  UTM       : 'utm',
+  PROJECTED : 'projected'
 });
 
 class CoordinateSystem {
@@ -340,6 +431,8 @@ class CoordinateSystem {
         return EOVCoordinateSystem.fromPure(pure);
       case CoordinateSystemType.UTM:
         return UTMCoordinateSystem.fromPure(pure);
+      case CoordinateSystemType.PROJECTED:
+        return ProjectedCoordinateSystem.fromPure(pure);
     }
   }
 
@@ -387,6 +480,40 @@ class UTMCoordinateSystem extends CoordinateSystem {
   }
 }
 
+/**
+ * Projected coordinate system described by a PROJ-style definition, see utils/projection.js.
+ * The definition is stored with the coordinate system, so custom definitions without an EPSG code
+ * can be used as well.
+ */
+class ProjectedCoordinateSystem extends CoordinateSystem {
+
+  constructor(epsgId, name, definition) {
+    super(CoordinateSystemType.PROJECTED, name, epsgId);
+    this.definition = definition;
+  }
+
+  toString() {
+    return this.epsgId !== undefined ? `EPSG:${this.epsgId}` : this.name;
+  }
+
+  toExport() {
+    return {
+      type       : this.type,
+      epsgId     : this.epsgId,
+      name       : this.name,
+      definition : this.definition
+    };
+  }
+
+  isEqual(other) {
+    return super.isEqual(other) && this.definition === other.definition;
+  }
+
+  static fromPure(pure) {
+    return new ProjectedCoordinateSystem(pure.epsgId, pure.name, pure.definition);
+  }
+}
+
 class GeoData {
   constructor(coordinateSystem, coordinates = []) {
     this.coordinateSystem = coordinateSystem;
@@ -432,6 +559,7 @@ class GeoData {
 export {
   EOVCoordinateWithElevation,
   UTMCoordinateWithElevation,
+  ProjectedCoordinateWithElevation,
   WGS84Coordinate,
   StationCoordinates,
   StationWithCoordinate,
@@ -439,5 +567,6 @@ export {
   CoordinateSystem,
   EOVCoordinateSystem,
   UTMCoordinateSystem,
+  ProjectedCoordinateSystem,
   CoordinateSystemType
 };
@@ -16,6 +16,7 @@
 
 import { Cave, DriveCaveMetadata } from './cave.js';
 import { Model } from '../model.js';
+import { CalibrationProfile } from './survey.js';
 import { compressToGzip, decompressGzip, isGzipped } from '../utils/compression.js';
 
 export class DriveModelMetadata {
@@ -178,6 +179,7 @@ export class Project {
     this.createdAt = createdAt || new Date().toISOString();
     this.updatedAt = updatedAt || new Date().toISOString();
     this.description = '';
+    this.calibrationProfiles = [];
   }
 
   static generateId() {
@@ -186,12 +188,13 @@ export class Project {
 
   toExport() {
     return {
-      id          : this.id,
-      revision    : this.revision,
-      name        : this.name,
-      createdAt   : this.createdAt,
-      updatedAt   : this.updatedAt,
-      description : this.description
+      id                  : this.id,
+      revision            : this.revision,
+      name                : this.name,
+      createdAt           : this.createdAt,
+      updatedAt           : this.updatedAt,
+      description         : this.description,
+      calibrationProfiles : this.calibrationProfiles.map((p) => p.toExport())
     };
   }
 
@@ -199,6 +202,7 @@ export class Project {
     if (pure.revision === undefined) {
       pure.revision = 1;
     }
+    pure.calibrationProfiles = (pure.calibrationProfiles ?? []).map((p) => CalibrationProfile.fromPure(p));
     return Object.assign(new Project(), pure);
   }
 }
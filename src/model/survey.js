@@ -15,10 +15,19 @@
  */
 
 import { Polar } from '../model.js';
-import { degreesToRads, sanitizeName, convertLengthToMeters } from '../utils/utils.js';
+import {
+  degreesToRads,
+  sanitizeName,
+  convertLengthToMeters,
+  convertAngleToDegrees,
+  convertAngleFromDegrees
+} from '../utils/utils.js';
 
 const DEFAULT_UNITS = { length: 'meters', angle: 'degrees' };
 
+// Maximum difference in degrees between a foresight and the reversed backsight of a shot
+const DEFAULT_BACKSIGHT_TOLERANCE = { azimuth: 2, clino: 2 };
+
 /**
  * Enum for Shot types
  */
@@ -134,9 +143,23 @@ class StationDimension {
 }
 
 class Shot {
-  static export_fields = ['type', 'from', 'to', 'length', 'azimuth', 'clino', 'comment'];
+  static export_fields = ['type', 'from', 'to', 'length', 'azimuth', 'clino', 'backAzimuth', 'backClino', 'comment'];
+
+  static optional_fields = ['to', 'backAzimuth', 'backClino', 'comment'];
 
-  constructor(id, type, from, to, length, azimuth, clino, comment) {
+  /**
+   * @param {number} id - The identifier of the shot within the survey
+   * @param {string} type - One of ShotType values
+   * @param {string} from - The from station
+   * @param {string} to - The to station, undefined for splays
+   * @param {number} length - The measured length in the length unit of the survey
+   * @param {number} azimuth - The foresight azimuth in the angle unit of the survey
+   * @param {number} clino - The foresight clino in the angle unit of the survey
+   * @param {string} comment - Free text comment
+   * @param {number} backAzimuth - Optional backsight azimuth as read on the instrument (pointing to the from station)
+   * @param {number} backClino - Optional backsight clino as read on the instrument
+   */
+  constructor(id, type, from, to, length, azimuth, clino, comment, backAzimuth = undefined, backClino = undefined) {
     this.id = id;
     this.type = type;
     this.from = from;
@@ -145,6 +168,8 @@ class Shot {
     this.azimuth = azimuth;
     this.clino = clino;
     this.comment = comment;
+    this.backAzimuth = backAzimuth;
+    this.backClino = backClino;
     this.processed = false;
   }
 
@@ -164,11 +189,74 @@ class Shot {
     return this.type === ShotType.AUXILIARY;
   }
 
+  hasBacksight() {
+    return Shot.#isReading(this.backAzimuth) || Shot.#isReading(this.backClino);
+  }
+
+  static #isReading(value) {
+    return typeof value === 'number' && isFinite(value);
+  }
+
+  /**
+   * Returns the differences in degrees between the foresight and the reversed backsight readings.
+   * A component is undefined if one of its readings is missing.
+   * @param {object} units - The units of the survey
+   * @returns {object} {azimuth, clino}, the azimuth difference is taken over the shorter arc
+   */
+  getBacksightDifference(units) {
+    const angleUnit = units?.angle ?? DEFAULT_UNITS.angle;
+    const toDegrees = (v) => (Shot.#isReading(v) ? convertAngleToDegrees(v, angleUnit) : undefined);
+    const azimuth = toDegrees(this.azimuth);
+    const clino = toDegrees(this.clino);
+    const backAzimuth = toDegrees(this.backAzimuth);
+    const backClino = toDegrees(this.backClino);
+    return {
+      azimuth :
+        azimuth !== undefined && backAzimuth !== undefined
+          ? ((((backAzimuth + 180 - azimuth) % 360) + 540) % 360) - 180
+          : undefined,
+      clino : clino !== undefined && backClino !== undefined ? -backClino - clino : undefined
+    };
+  }
+
+  /**
+   * Returns the azimuth and clino used for the station calculation. A backsight reading is averaged
+   * with the foresight if they agree within the tolerance, otherwise the foresight is used alone.
+   * @param {object} units - The units of the survey
+   * @param {object} tolerance - Maximum {azimuth, clino} differences in degrees
+   * @returns {object} {azimuth, clino} in the angle unit of the survey
+   */
+  getAveragedReadings(units, tolerance = DEFAULT_BACKSIGHT_TOLERANCE) {
+    const angleUnit = units?.angle ?? DEFAULT_UNITS.angle;
+    const diff = this.getBacksightDifference(units);
+    const withinTolerance = (d, max) => d !== undefined && Math.abs(d) <= (max ?? 0);
+    const fromDegreesDiff = (d) => convertAngleFromDegrees(d / 2, angleUnit);
+
+    let azimuth = this.azimuth;
+    let clino = this.clino;
+    if (withinTolerance(diff.azimuth, tolerance?.azimuth)) {
+      const full = convertAngleFromDegrees(360, angleUnit);
+      azimuth = (((this.azimuth + fromDegreesDiff(diff.azimuth)) % full) + full) % full;
+    }
+    if (withinTolerance(diff.clino, tolerance?.clino)) {
+      clino = this.clino + fromDegreesDiff(diff.clino);
+    }
+    return { azimuth, clino };
+  }
+
   isValid(units) {
     return this.validate(undefined, units).length === 0;
   }
 
-  validate(i18n, units) {
+  /**
+   * Validates the shot and returns the translated error messages.
+   * @param {I18n} i18n - Used for the translation of the messages, the keys are returned if undefined
+   * @param {object} units - The units of the survey
+   * @param {object} backsightTolerance - Maximum {azimuth, clino} differences in degrees between foresight and
+   *  backsight. Disagreeing readings are only reported if given, the station calculation falls back to the foresight.
+   * @returns {string[]} The error messages
+   */
+  validate(i18n, units, backsightTolerance = undefined) {
     const angleUnit = units?.angle ?? DEFAULT_UNITS.angle;
     const azimuthMax = angleUnit === 'grads' ? 400 : 360;
     const clinoMax = angleUnit === 'grads' ? 100 : 90;
@@ -218,13 +306,47 @@ class Shot {
       }
     });
 
+    ['backAzimuth', 'backClino'].forEach((f) => {
+      if (this[f] !== undefined && this[f] !== null && !isValidFloat(this[f])) {
+        errors.push(t('validation.shot.invalidDecimal', { field: f, value: this[f], type: typeof this[f] }));
+      }
+    });
+
+    if (isValidFloat(this.backClino) && (this.backClino > clinoMax || this.backClino < -clinoMax)) {
+      errors.push(t('validation.shot.invalidBackClino', { max: clinoMax }));
+    }
+
+    if (isValidFloat(this.backAzimuth) && (this.backAzimuth > azimuthMax || this.backAzimuth < -azimuthMax)) {
+      errors.push(t('validation.shot.invalidBackAzimuth', { max: azimuthMax }));
+    }
+
+    if (backsightTolerance !== undefined) {
+      const diff = this.getBacksightDifference(units);
+      if (diff.azimuth !== undefined && Math.abs(diff.azimuth) > backsightTolerance.azimuth) {
+        errors.push(
+          t('validation.shot.backAzimuthMismatch', {
+            difference : Math.abs(diff.azimuth).toFixed(1),
+            tolerance  : backsightTolerance.azimuth
+          })
+        );
+      }
+      if (diff.clino !== undefined && Math.abs(diff.clino) > backsightTolerance.clino) {
+        errors.push(
+          t('validation.shot.backClinoMismatch', {
+            difference : Math.abs(diff.clino).toFixed(1),
+            tolerance  : backsightTolerance.clino
+          })
+        );
+      }
+    }
+
     return errors;
 
   }
 
   getEmptyFields() {
     return Shot.export_fields
-      .filter((f) => f !== 'to' && f !== 'comment')
+      .filter((f) => !Shot.optional_fields.includes(f))
       .filter((f) => this[f] === undefined || this[f] === null);
   }
 
@@ -334,23 +456,163 @@ class SurveyInstrument {
   }
 }
 
+/**
+ * Named instrument calibration stored in the project. Surveys reference a profile by id in their
+ * metadata and the corrections are applied to the readings when the stations are calculated, the
+ * shots themselves are never modified.
+ */
+class CalibrationProfile {
+
+  static CORRECTION_FIELDS = ['tapeOffset', 'compassZeroError', 'clinoZeroError', 'scaleFactor'];
+
+  /**
+   * @param {string} id - Unique identifier of the profile
+   * @param {string} name - The name of the profile, e.g. the instrument and the calibration date
+   * @param {number} tapeOffset - Added to the length readings, in meters
+   * @param {number} compassZeroError - The compass reading of a true zero azimuth in degrees, subtracted from the readings
+   * @param {number} clinoZeroError - The clino reading of a horizontal shot in degrees, subtracted from the readings
+   * @param {number} scaleFactor - The length readings are multiplied with this factor after adding the tape offset
+   * @param {Date} validFrom - First day of the validity, undefined means unbounded
+   * @param {Date} validTo - Last day of the validity, undefined means unbounded
+   */
+  constructor(
+    id,
+    name,
+    tapeOffset = 0,
+    compassZeroError = 0,
+    clinoZeroError = 0,
+    scaleFactor = 1,
+    validFrom = undefined,
+    validTo = undefined
+  ) {
+    this.id = id ?? CalibrationProfile.generateId();
+    this.name = name;
+    this.tapeOffset = tapeOffset;
+    this.compassZeroError = compassZeroError;
+    this.clinoZeroError = clinoZeroError;
+    this.scaleFactor = scaleFactor;
+    this.validFrom = validFrom;
+    this.validTo = validTo;
+  }
+
+  static generateId() {
+    return 'calibration_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+  }
+
+  /**
+   * @param {Date} date - The date of a survey
+   * @returns {boolean} False if the date is outside of the validity range, true for unknown dates
+   */
+  isValidOn(date) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) return true;
+    const day = CalibrationProfile.#dayOf(date);
+    if (this.validFrom !== undefined && day < CalibrationProfile.#dayOf(this.validFrom)) return false;
+    if (this.validTo !== undefined && day > CalibrationProfile.#dayOf(this.validTo)) return false;
+    return true;
+  }
+
+  static #dayOf(date) {
+    return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  // the corrections are optional, the defaults of the constructor mean no correction
+  getEmptyFields() {
+    const empty = [];
+    if (this.name === undefined || this.name === null || String(this.name).trim() === '') {
+      empty.push('name');
+    }
+    return empty;
+  }
+
+  // Returns structured validation errors as { type, field } objects, like StationDimension.validate().
+  // Codes: 'notNumeric' | 'notPositive' | 'invalidDate' | 'invalidRange'.
+  validate() {
+    const errors = [];
+    CalibrationProfile.CORRECTION_FIELDS.forEach((f) => {
+      const value = this[f];
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push({ type: 'notNumeric', field: f });
+      } else if (f === 'scaleFactor' && value <= 0) {
+        errors.push({ type: 'notPositive', field: f });
+      }
+    });
+    ['validFrom', 'validTo'].forEach((f) => {
+      if (this[f] !== undefined && !(this[f] instanceof Date && !isNaN(this[f].getTime()))) {
+        errors.push({ type: 'invalidDate', field: f });
+      }
+    });
+    if (errors.length === 0 && this.validFrom !== undefined && this.validTo !== undefined) {
+      if (this.validFrom > this.validTo) errors.push({ type: 'invalidRange', field: 'validTo' });
+    }
+    return errors;
+  }
+
+  /**
+   * Corrects readings with the calibration
+   * @param {number} length - Length reading in meters
+   * @param {number} azimuth - Azimuth reading in degrees
+   * @param {number} clino - Clino reading in degrees
+   * @returns {{length: number, azimuth: number, clino: number}} Corrected values in meters and degrees
+   */
+  apply(length, azimuth, clino) {
+    return {
+      length  : (length + this.tapeOffset) * this.scaleFactor,
+      azimuth : (((azimuth - this.compassZeroError) % 360) + 360) % 360,
+      clino   : clino - this.clinoZeroError
+    };
+  }
+
+  /**
+   * The inverse of apply, calculates the readings that give the corrected values
+   */
+  revert(length, azimuth, clino) {
+    return {
+      length  : length / this.scaleFactor - this.tapeOffset,
+      azimuth : (((azimuth + this.compassZeroError) % 360) + 360) % 360,
+      clino   : clino + this.clinoZeroError
+    };
+  }
+
+  toExport() {
+    return {
+      id               : this.id,
+      name             : this.name,
+      tapeOffset       : this.tapeOffset,
+      compassZeroError : this.compassZeroError,
+      clinoZeroError   : this.clinoZeroError,
+      scaleFactor      : this.scaleFactor,
+      validFrom        : this.validFrom?.getTime(),
+      validTo          : this.validTo?.getTime()
+    };
+  }
+
+  static fromPure(pure) {
+    // unix epoch in millis
+    pure.validFrom = pure.validFrom !== undefined && pure.validFrom !== null ? new Date(pure.validFrom) : undefined;
+    pure.validTo = pure.validTo !== undefined && pure.validTo !== null ? new Date(pure.validTo) : undefined;
+    return Object.assign(new CalibrationProfile(pure.id), pure);
+  }
+}
+
 class SurveyMetadata {
 
-  constructor(date, declination, convergence, team, instruments = []) {
+  constructor(date, declination, convergence, team, instruments = [], calibrationId = undefined) {
     this.date = date;
     this.declination = declination;
     this.convergence = convergence;
     this.team = team;
     this.instruments = instruments;
+    this.calibrationId = calibrationId; // id of a CalibrationProfile of the project
   }
 
   toExport() {
     return {
-      date        : this.date?.getTime(),
-      declination : this.declination,
-      convergence : this.convergence,
-      team        : this.team?.toExport(),
-      instruments : this.instruments?.map((i) => i.toExport())
+      date          : this.date?.getTime(),
+      declination   : this.declination,
+      convergence   : this.convergence,
+      team          : this.team?.toExport(),
+      instruments   : this.instruments?.map((i) => i.toExport()),
+      calibrationId : this.calibrationId
     };
   }
 
@@ -393,6 +655,8 @@ class Survey {
     this.duplicateShotIds = duplicateShotIds;
     this.units = units ?? { ...DEFAULT_UNITS };
     this.isolated = false;
+    this.adjustment = undefined; // AdjustmentResult of the cave network, set by least-squares adjustment
+    this.calibration = undefined; // CalibrationProfile referenced by the metadata, set by the station calculation
     this.validShots = this.getValidShots();
     this.invalidShotIds = this.getInvalidShotIds();
   }
@@ -425,6 +689,24 @@ class Survey {
     this.invalidShotIds = this.getInvalidShotIds();
   }
 
+  /**
+   * Returns the readings of a shot that are used for the station calculation. Backsights are averaged
+   * with the foresights within the tolerance and the calibration of the survey is applied.
+   * @param {Shot} shot - A shot of this survey
+   * @param {object} backsightTolerance - Maximum {azimuth, clino} differences in degrees for averaging backsights
+   * @returns {{length: number, azimuth: number, clino: number}} Length in meters, angles in degrees
+   */
+  getShotReadings(shot, backsightTolerance = DEFAULT_BACKSIGHT_TOLERANCE) {
+    const { azimuth, clino } = shot.getAveragedReadings(this.units, backsightTolerance);
+    const lenM = convertLengthToMeters(shot.length, this.units?.length ?? DEFAULT_UNITS.length);
+    const aziDeg = convertAngleToDegrees(azimuth, this.units?.angle ?? DEFAULT_UNITS.angle);
+    const cliDeg = convertAngleToDegrees(clino, this.units?.angle ?? DEFAULT_UNITS.angle);
+    if (this.calibration !== undefined) {
+      return this.calibration.apply(lenM, aziDeg, cliDeg);
+    }
+    return { length: lenM, azimuth: aziDeg, clino: cliDeg };
+  }
+
   getValidShots() {
     //FIXME: it would be better to use units from config because error messages are not survey specific
     return this.shots.filter((sh) => sh.isComplete() && sh.isValid(this.units));
@@ -568,6 +850,7 @@ class SurveyAlias {
 
 export {
   DEFAULT_UNITS,
+  DEFAULT_BACKSIGHT_TOLERANCE,
   ShotType,
   Shot,
   StationComment,
@@ -577,6 +860,7 @@ export {
   SurveyTeamMember,
   SurveyTeam,
   SurveyInstrument,
+  CalibrationProfile,
   SurveyMetadata,
   Survey,
   SurveyAlias
@@ -44,6 +44,7 @@ export class ColorModeHelper {
           surveyMats.get('center').color = newColor;
           surveyMats.get('splay').color = newColor;
           surveyMats.get('auxiliary').color = newColor;
+          this.#setPassageColor(this.caveObjects.get(trigger.cave)?.get(trigger.survey), newColor);
           return;
         }
       }
@@ -60,6 +61,13 @@ export class ColorModeHelper {
           caveMats.get('center').color = newColor;
           caveMats.get('splay').color = newColor;
           caveMats.get('auxiliary').color = newColor;
+          if (mode === 'percave') {
+            this.caveObjects.get(trigger.cave)?.forEach((e, sName) => {
+              if (this.db.getSurvey(trigger.cave, sName).color === undefined) {
+                this.#setPassageColor(e, newColor);
+              }
+            });
+          }
           return;
         }
       }
@@ -76,6 +84,7 @@ export class ColorModeHelper {
               e['centerLines'].material = this.materias.getOrAddSurvey(cName, sName, sColor, 'center', clConfig);
               e['splays'].material = this.materias.getOrAddSurvey(cName, sName, sColor, 'splay', splayConfig);
               e['auxiliaries'].material = this.materias.getOrAddSurvey(cName, sName, sColor, 'auxiliary', auxConfig);
+              this.#setPassageColor(e, sColor);
             } else {
               e['centerLines'].material = this.mats.whiteLine.get('center');
               e['splays'].material = this.mats.whiteLine.get('splay');
@@ -84,6 +93,7 @@ export class ColorModeHelper {
               e['centerLines'].geometry.setColors(surveyColors.center);
               e['splays'].geometry.setColors(surveyColors.splays);
               e['auxiliaries'].geometry.setColors(surveyColors.auxiliary);
+              this.#setPassageColor(e, undefined, surveyColors.center);
             }
           });
         });
@@ -109,20 +119,24 @@ export class ColorModeHelper {
               e['centerLines'].material = this.materias.getOrAddSurvey(cName, sName, sColor, 'center', clConfig);
               e['splays'].material = this.materias.getOrAddSurvey(cName, sName, sColor, 'splay', splayConfig);
               e['auxiliaries'].material = this.materias.getOrAddSurvey(cName, sName, sColor, 'auxiliary', auxConfig);
+              this.#setPassageColor(e, sColor);
             } else {
               if (mode === 'global' || (mode === 'percave' && caveColor === undefined)) {
                 e['centerLines'].material = this.mats.segments.centerLine;
                 e['splays'].material = this.mats.segments.splay;
                 e['auxiliaries'].material = this.mats.segments.auxiliary;
+                this.#setPassageColor(e, clConfig.segments.color);
               } else if (mode === 'percave' && caveColor !== undefined) {
                 e['centerLines'].material = this.materias.getOrAddCave(cName, caveColor, 'center', clConfig);
                 e['splays'].material = this.materias.getOrAddCave(cName, caveColor, 'splay', splayConfig);
                 e['auxiliaries'].material = this.materias.getOrAddCave(cName, caveColor, 'auxiliary', auxConfig);
+                this.#setPassageColor(e, caveColor);
               } else if (mode === 'persurvey') {
                 // no survey color
                 e['centerLines'].material = this.mats.segments.fallback;
                 e['splays'].material = this.mats.segments.fallback;
                 e['auxiliaries'].material = this.mats.segments.fallback;
+                this.#setPassageColor(e, '#ffffff');
               }
             }
 
@@ -135,4 +149,44 @@ export class ColorModeHelper {
     }
 
   }
+
+  /**
+   * Passage tubes follow the color of the centerlines unless a static passage color is configured
+   * @param {Object} e - Survey entry of the scene
+   * @param {THREE.Color|string} color - Centerline color of the survey
+   * @param {number[]} centerColors - Gradient vertex colors of the centerline segments
+   */
+  #setPassageColor(e, color, centerColors) {
+    const passages = e?.passages;
+    if (passages === undefined) {
+      return;
+    }
+    const passageConfig = this.options.scene.passages;
+    if (passageConfig.colorMode === 'static') {
+      color = passageConfig.color;
+      centerColors = undefined;
+    }
+
+    const material = passages.material;
+    const geometry = passages.geometry;
+    const useVertexColors = centerColors !== undefined;
+    if (useVertexColors) {
+      const colorIndices = geometry.userData.colorIndices;
+      const colors = new Float32Array(colorIndices.length * 3);
+      colorIndices.forEach((ci, i) => {
+        colors[i * 3] = centerColors[ci * 3] ?? 1;
+        colors[i * 3 + 1] = centerColors[ci * 3 + 1] ?? 1;
+        colors[i * 3 + 2] = centerColors[ci * 3 + 2] ?? 1;
+      });
+      geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+      material.color = new THREE.Color(0xffffff); // white is multiplied with the vertex colors
+    } else {
+      geometry.deleteAttribute('color');
+      material.color = new THREE.Color(color);
+    }
+    if (material.vertexColors !== useVertexColors) {
+      material.vertexColors = useVertexColors;
+      material.needsUpdate = true;
+    }
+  }
 }
@@ -18,11 +18,12 @@ import * as THREE from 'three';
 import { Polar } from '../model.js';
 
 /*
- * Camera controls for the three built-in views.
+ * Camera controls for the built-in views.
  *
  * Hierarchy:
  *   BaseViewControl (abstract)
  *     ├── ProfileViewControl       — camera on an X-Y circle, looking sideways (Z up)
+ *     │     └── FixedProfileViewControl  — fixed viewing direction, dragging always pans
  *     ├── PlanViewControl          — camera above target, looking straight down
  *     └── SpatialControlBase       — spherical orbit (azimuth, clino, distance)
  *           ├── SpatialOrthographicControl  — wheel scales camera.zoom
@@ -337,6 +338,20 @@ export class ProfileViewControl extends BaseViewControl {
   }
 }
 
+// Camera control for the extended elevation and the cross-section view. The
+// viewing direction is given by the drawing (the unfolded centerline lies in the
+// X-Z plane, a section plane has its own azimuth), so the rotation of the
+// profile control is replaced by panning. setAngle() still turns the camera.
+export class FixedProfileViewControl extends ProfileViewControl {
+  onPointerDown(event) {
+    super.onPointerDown(event);
+    if (this.state === 'rotate') {
+      this.state = 'pan';
+      this.isPanning = true;
+    }
+  }
+}
+
 // Custom camera control for PlanView — a top-down map-style projection. The
 // camera sits directly above the target and looks straight down; rotation spins
 // the view around the Z axis (like turning a paper map). No tilt is possible.
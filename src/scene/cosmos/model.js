@@ -353,6 +353,48 @@ export class ModelScene {
     this.scene.view.renderView();
   }
 
+  /**
+   * Samples the points of a model in world coordinates, used to register the model to the survey.
+   * @param {string} name - The model name
+   * @param {number} maxPoints - The maximum number of points, every n-th point is taken above this
+   * @returns {Array<THREE.Vector3>} The sampled points
+   */
+  getModelPoints(name, maxPoints = 100000) {
+    const entry = this.pointCloudObjects.get(name) ?? this.meshObjects.get(name);
+    if (!entry) return [];
+    entry.object3D.updateMatrixWorld(true);
+
+    // position attributes with the matrix that transforms them to world coordinates
+    const sources = [];
+    const pointCloud = this.pointCloudObjects.has(name) ? this.scene.db.getPointCloud(name) : undefined;
+    if (pointCloud?.hasOctree && pointCloud.octree) {
+      // octree nodes are loaded on demand, their data is available even if they are not shown
+      for (const node of pointCloud.octree.nodes.values()) {
+        sources.push({
+          attribute : new THREE.BufferAttribute(node.data.positions, 3),
+          matrix    : entry.object3D.matrixWorld
+        });
+      }
+    } else {
+      entry.object3D.traverse((child) => {
+        const attribute = child.geometry?.getAttribute('position');
+        if (attribute) sources.push({ attribute, matrix: child.matrixWorld });
+      });
+    }
+
+    const total = sources.reduce((sum, s) => sum + s.attribute.count, 0);
+    const stride = Math.max(1, Math.ceil(total / maxPoints));
+    const points = [];
+    let index = 0;
+    for (const { attribute, matrix } of sources) {
+      for (let i = (stride - (index % stride)) % stride; i < attribute.count; i += stride) {
+        points.push(new THREE.Vector3().fromBufferAttribute(attribute, i).applyMatrix4(matrix));
+      }
+      index += attribute.count;
+    }
+    return points;
+  }
+
   /**
    * Updates the point size of all point cloud materials.
    * @param {number} size - The new point size
@@ -0,0 +1,269 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { ShotType, StationDimension, DEFAULT_UNITS } from '../../model/survey.js';
+import { Vector } from '../../model.js';
+import { convertLengthToMeters } from '../../utils/utils.js';
+
+/**
+ * Builds a passage tube from the LRUD dimensions of the stations. A cross-section is created at
+ * both ends of each centerline leg and the two cross-sections are lofted into a triangle strip.
+ */
+export class PassageGeometry {
+
+  // number of vertices of a cross-section, left/right and up/down are elliptical quadrants
+  static RING_SEGMENTS = 16;
+
+  /**
+   * Collects the centerline neighbours of every station of a cave
+   * @param {Cave} cave - The cave
+   * @returns {Map<string, string[]>} Station name -> neighbour station names
+   */
+  static getNeighbours(cave) {
+    const neighbours = new Map();
+    const add = (a, b) => {
+      if (!neighbours.has(a)) neighbours.set(a, []);
+      neighbours.get(a).push(b);
+    };
+    cave.surveys.forEach((s) => {
+      s.validShots.forEach((sh) => {
+        if (sh.type !== ShotType.CENTER) return;
+        const from = s.getFromStationName(sh);
+        const to = s.getToStationName(sh);
+        if (from !== to && cave.stations.has(from) && cave.stations.has(to)) {
+          add(from, to);
+          add(to, from);
+        }
+      });
+    });
+    return neighbours;
+  }
+
+  /**
+   * Returns the LRUD values of the stations in meters, missing values are zero
+   */
+  static getDimensions(cave) {
+    const dimensions = new Map();
+    (cave.stationDimensions ?? []).forEach((sd) => {
+      const station = cave.stations.get(sd.name);
+      if (station === undefined) return;
+      const unit = station.survey?.units?.length ?? DEFAULT_UNITS.length;
+      const toMeters = (v) => {
+        if (StationDimension.isMissingValue(v)) return 0;
+        const num = typeof v === 'number' ? v : parseFloat(v);
+        return isNaN(num) || num < 0 ? 0 : convertLengthToMeters(num, unit);
+      };
+      dimensions.set(sd.name, {
+        left  : toMeters(sd.left),
+        right : toMeters(sd.right),
+        up    : toMeters(sd.up),
+        down  : toMeters(sd.down)
+      });
+    });
+    return dimensions;
+  }
+
+  /**
+   * Collects the LRUD values and the centerline neighbours of the stations once for all surveys of a cave
+   * @param {Cave} cave - The cave with calculated stations
+   * @returns {Object} The dimensions (see getDimensions) and the neighbours (see getNeighbours)
+   */
+  static getStationData(cave) {
+    return {
+      dimensions : PassageGeometry.getDimensions(cave),
+      neighbours : PassageGeometry.getNeighbours(cave)
+    };
+  }
+
+  static #horizontal(v) {
+    const h = new Vector(v.x, v.y, 0);
+    const length = h.length();
+    return length < 1e-6 ? undefined : h.mul(1 / length);
+  }
+
+  /**
+   * The horizontal heading of the cross-section at a station. For a station with exactly two legs it is
+   * the bisector of the incoming and outgoing legs, otherwise the direction of the leg itself.
+   */
+  static #heading(stationName, legDirection, stations, neighbours) {
+    const legHeading = PassageGeometry.#horizontal(legDirection);
+    const names = neighbours.get(stationName) ?? [];
+    let heading = legHeading;
+
+    if (names.length === 2) {
+      const p = stations.get(stationName).position;
+      const incoming = PassageGeometry.#horizontal(p.sub(stations.get(names[0]).position));
+      const outgoing = PassageGeometry.#horizontal(stations.get(names[1]).position.sub(p));
+      if (incoming !== undefined && outgoing !== undefined) {
+        heading = PassageGeometry.#horizontal(incoming.add(outgoing)) ?? heading;
+      } else {
+        heading = heading ?? incoming ?? outgoing;
+      }
+    }
+
+    if (heading === undefined) {
+      // vertical leg without a horizontal neighbour
+      return new Vector(0, 1, 0);
+    }
+
+    // the cross-sections at both ends of a leg must face the same way
+    if (legHeading !== undefined && heading.dot(legHeading) < 0) {
+      return heading.neg();
+    }
+    return heading;
+  }
+
+  static #ring(position, heading, dim) {
+    const right = new Vector(heading.y, -heading.x, 0);
+    const ring = [];
+    for (let k = 0; k < PassageGeometry.RING_SEGMENTS; k++) {
+      const angle = (2 * Math.PI * k) / PassageGeometry.RING_SEGMENTS;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const h = cos * (cos >= 0 ? dim.right : dim.left);
+      const v = sin * (sin >= 0 ? dim.up : dim.down);
+      ring.push(new Vector(position.x + right.x * h, position.y + right.y * h, position.z + v));
+    }
+    return ring;
+  }
+
+  /**
+   * Builds the passage tube of a survey
+   * @param {Survey} survey - Only the legs of this survey are included
+   * @param {Cave} cave - The cave of the survey with calculated stations
+   * @param {Object} stationData - The dimensions and the neighbours of the stations, see getStationData
+   * @returns {Object} positions, indices and colorIndices arrays or undefined if no leg has dimensions.
+   *   colorIndices refers to the vertex colors of the centerline segments of the survey (2 colors per leg)
+   *   so the tube can share the centerline color gradients.
+   */
+  static build(survey, cave, stationData = PassageGeometry.getStationData(cave)) {
+    const { dimensions, neighbours } = stationData;
+    if (dimensions.size === 0) {
+      return undefined;
+    }
+    const stations = cave.stations;
+    const n = PassageGeometry.RING_SEGMENTS;
+    const positions = [];
+    const indices = [];
+    const colorIndices = [];
+
+    // follows the order of SurveyHelper.getSegments()
+    let segmentIndex = 0;
+    survey.validShots.forEach((sh) => {
+      const from = survey.getFromStationName(sh);
+      const to = survey.getToStationName(sh);
+      const fromStation = stations.get(from);
+      const toStation = stations.get(to);
+      if (sh.type !== ShotType.CENTER || fromStation === undefined || toStation === undefined) {
+        return;
+      }
+      const legIndex = segmentIndex++;
+      if (!dimensions.has(from) || !dimensions.has(to)) {
+        return;
+      }
+      const direction = toStation.position.sub(fromStation.position);
+      if (direction.length() < 1e-6) {
+        return;
+      }
+
+      const rings = [
+        PassageGeometry.#ring(
+          fromStation.position,
+          PassageGeometry.#heading(from, direction, stations, neighbours),
+          dimensions.get(from)
+        ),
+        PassageGeometry.#ring(
+          toStation.position,
+          PassageGeometry.#heading(to, direction, stations, neighbours),
+          dimensions.get(to)
+        )
+      ];
+
+      const base = positions.length / 3;
+      rings.forEach((ring, end) => {
+        ring.forEach((p) => {
+          positions.push(p.x, p.y, p.z);
+          colorIndices.push(legIndex * 2 + end);
+        });
+      });
+
+      for (let k = 0; k < n; k++) {
+        const a = base + k;
+        const b = base + ((k + 1) % n);
+        const c = a + n;
+        const d = b + n;
+        indices.push(a, b, d, a, d, c);
+      }
+    });
+
+    if (positions.length === 0) {
+      return undefined;
+    }
+    return { positions, indices, colorIndices };
+  }
+
+  /**
+   * Returns the wall points of the LRUD cross-sections at both ends of the centerline legs of a survey
+   * @param {Survey} survey - Only the legs of this survey are included
+   * @param {Cave} cave - The cave of the survey with calculated stations
+   * @param {Object} stationData - The dimensions and the neighbours of the stations, see getStationData
+   * @returns {Object[]} The from and to cross-sections of the legs with left, right, up and down points
+   */
+  static getWalls(survey, cave, stationData = PassageGeometry.getStationData(cave)) {
+    const { dimensions, neighbours } = stationData;
+    const stations = cave.stations;
+    const walls = [];
+    const section = (position, heading, dim) => {
+      const right = new Vector(heading.y, -heading.x, 0);
+      return {
+        left  : position.sub(right.mul(dim.left)),
+        right : position.add(right.mul(dim.right)),
+        up    : position.add(new Vector(0, 0, dim.up)),
+        down  : position.sub(new Vector(0, 0, dim.down))
+      };
+    };
+
+    survey.validShots.forEach((sh) => {
+      const from = survey.getFromStationName(sh);
+      const to = survey.getToStationName(sh);
+      const fromStation = stations.get(from);
+      const toStation = stations.get(to);
+      if (sh.type !== ShotType.CENTER || fromStation === undefined || toStation === undefined) {
+        return;
+      }
+      if (!dimensions.has(from) || !dimensions.has(to)) {
+        return;
+      }
+      const direction = toStation.position.sub(fromStation.position);
+      if (direction.length() < 1e-6) {
+        return;
+      }
+      walls.push({
+        from : section(
+          fromStation.position,
+          PassageGeometry.#heading(from, direction, stations, neighbours),
+          dimensions.get(from)
+        ),
+        to : section(
+          toStation.position,
+          PassageGeometry.#heading(to, direction, stations, neighbours),
+          dimensions.get(to)
+        )
+      });
+    });
+    return walls;
+  }
+}
@@ -22,6 +22,7 @@ import * as U from '../../utils/utils.js';
 import { i18n } from '../../i18n/i18n.js';
 import { ColorModeHelper } from '../colormode.js';
 import { TextSprite } from '../textsprite.js';
+import { PassageGeometry } from './passages.js';
 
 export class SpeleoScene {
 
@@ -115,6 +116,50 @@ export class SpeleoScene {
 
   //#endregion
 
+  //#region passages
+
+  addPassages(survey, cave, visibility, group, stationData) {
+    const tube = PassageGeometry.build(survey, cave, stationData);
+    if (tube === undefined) {
+      return undefined;
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(tube.positions, 3));
+    geometry.setIndex(tube.indices);
+    geometry.computeVertexNormals();
+    geometry.userData.colorIndices = tube.colorIndices;
+
+    const passageConfig = this.options.scene.passages;
+    // every survey has its own material, the color depends on the color mode of the survey
+    const material = new THREE.MeshLambertMaterial({
+      color        : passageConfig.color,
+      emissive     : new THREE.Color(0x282828),
+      vertexColors : false,
+      side         : THREE.DoubleSide,
+      transparent  : true,
+      opacity      : passageConfig.opacity,
+      depthWrite   : passageConfig.opacity >= 1
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = `passages-${cave.name}-${survey.name}`;
+    mesh.visible = visibility && passageConfig.show;
+    group.add(mesh);
+    return mesh;
+  }
+
+  setPassagesOpacity(opacity) {
+    this.#getCaveObjectsFlattened().forEach((e) => {
+      if (e.passages !== undefined) {
+        e.passages.material.opacity = opacity;
+        e.passages.material.depthWrite = opacity >= 1;
+        e.passages.material.needsUpdate = true;
+      }
+    });
+    this.scene.view.renderView();
+  }
+
+  //#endregion
+
   //#region station labels
   /**
    * Options for 3D labels in three.js
@@ -320,9 +365,14 @@ export class SpeleoScene {
       entry.stationLabels.visible = value && s.stationLabels.show;
       entry.stationLabels.hidden = !value;
     }
+
+    if (entry.passages) {
+      entry.passages.visible = value && s.passages.show;
+      entry.passages.hidden = !value;
+    }
   }
 
-  getSurveyObjects(survey, cave, polygonSegments, splaySegments, auxiliarySegments, visibility) {
+  getSurveyObjects(survey, cave, polygonSegments, splaySegments, auxiliarySegments, visibility, stationData) {
 
     const geometryStations = new LineSegmentsGeometry();
     geometryStations.setPositions(polygonSegments);
@@ -414,6 +464,8 @@ export class SpeleoScene {
 
     group.add(stationLabelsGroup);
 
+    const passages = this.addPassages(survey, cave, visibility, group, stationData);
+
     return {
       id                 : U.randomAlphaNumbericString(5),
       centerLines        : lineSegmentsPolygon,
@@ -423,6 +475,7 @@ export class SpeleoScene {
       auxiliaries        : lineSegmentsAuxiliaries,
       auxiliariesSpheres : iSpheresAuxiliary,
       stationLabels      : stationLabelsGroup,
+      passages           : passages,
       group              : group
     };
   }
@@ -464,6 +517,8 @@ export class SpeleoScene {
     e.splaysSpheres?.clear();
     e.auxiliariesSpheres?.children?.forEach((c) => c.geometry.dispose());
     e.auxiliariesSpheres?.clear();
+    e.passages?.geometry.dispose();
+    e.passages?.material.dispose();
     e.stationLabels.children.forEach((sprite) => {
 
       if (sprite.material && sprite.material.map) {
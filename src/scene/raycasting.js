@@ -68,6 +68,7 @@ export class Raycasting {
   }
 
   getIntersectedStationMeta(mouseCoordinates, radius) {
+    if (this.#isUnfoldedView()) return undefined;
     this.setPointer(this.getMousePosition(mouseCoordinates));
     const caves = this.scene.db.getAllCaves();
     const visibleStations = [];
@@ -89,6 +90,7 @@ export class Raycasting {
               throw new Error(`Invalid shot type: ${station.type}`);
 
           }
+          if (this.#isClipped(station.position)) continue;
           visibleStations.push({ name, station, position: station.position, cave: c, type: 'station' });
         }
       }
@@ -155,6 +157,7 @@ export class Raycasting {
   }
 
   getIntersectedPointCloudMeta(mouseCoordinates) {
+    if (this.#isUnfoldedView()) return undefined;
     this.setPointer(this.getMousePosition(mouseCoordinates));
     this.raycaster.params.Points.threshold = 0.3;
     this.raycaster.layers.enableAll(); // Enable all layers for point cloud intersection
@@ -163,9 +166,11 @@ export class Raycasting {
     // Only raycast against point clouds, not meshes
     for (const [name, entry] of this.scene.models.pointCloudObjects) {
       if (!entry.object3D.visible) continue;
-      const intersectedPoints = this.raycaster.intersectObject(entry.object3D, true);
-      if (intersectedPoints.length) {
-        return { position: intersectedPoints[0].point, type: 'pointcloud', name: name };
+      const intersectedPoint = this.raycaster
+        .intersectObject(entry.object3D, true)
+        .find((i) => !this.#isClipped(i.point));
+      if (intersectedPoint) {
+        return { position: intersectedPoint.point, type: 'pointcloud', name: name };
       }
     }
 
@@ -173,6 +178,7 @@ export class Raycasting {
   }
 
   getIntersectedMeshMeta(mouseCoordinates) {
+    if (this.#isUnfoldedView()) return undefined;
     this.setPointer(this.getMousePosition(mouseCoordinates));
     this.raycaster.layers.enableAll();
     this.raycaster.setFromCamera(this.pointer, this.scene.view.camera);
@@ -180,11 +186,22 @@ export class Raycasting {
     let best;
     for (const [name, entry] of this.scene.models.meshObjects) {
       if (!entry.object3D.visible) continue;
-      const hits = this.raycaster.intersectObject(entry.object3D, true);
-      if (hits.length && (best === undefined || hits[0].distance < best.distance)) {
-        best = { distance: hits[0].distance, position: hits[0].point, name };
+      const hit = this.raycaster.intersectObject(entry.object3D, true).find((i) => !this.#isClipped(i.point));
+      if (hit && (best === undefined || hit.distance < best.distance)) {
+        best = { distance: hit.distance, position: hit.point, name };
       }
     }
     return best ? { position: best.position, type: 'mesh', name: best.name } : undefined;
   }
+
+  // the extended elevation renders the unfolded centerlines, nothing else is where it is drawn
+  #isUnfoldedView() {
+    return this.scene.view.name === 'extendedView';
+  }
+
+  // the cross-section view renders only the slab around the section plane
+  #isClipped(position) {
+    const view = this.scene.view;
+    return view.name === 'sectionView' && view.plane !== undefined && !view.plane.contains(position);
+  }
 }
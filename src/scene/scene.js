@@ -24,7 +24,7 @@ import { ModelScene } from './cosmos/model.js';
 import { PointScene } from './cosmos/points.js';
 import { SegmentScene } from './cosmos/segments.js';
 import { AttributesScene } from './cosmos/attributes.js';
-import { SpatialView, PlanView, ProfileView } from './views.js';
+import { SpatialView, PlanView, ProfileView, ExtendedElevationView, CrossSectionView } from './views.js';
 import { TextSprite } from './textsprite.js';
 import { EdlPass } from './edl-pass.js';
 import { ImageCache } from '../utils/image-cache.js';
@@ -116,6 +116,8 @@ class MyScene {
     this.views = new Map([
       ['plan', new PlanView(this, this.domElement)],
       ['profile', new ProfileView(this, this.domElement)],
+      ['extended', new ExtendedElevationView(this, this.domElement)],
+      ['section', new CrossSectionView(this, this.domElement)],
       ['spatial', new SpatialView(this, this.domElement)]
     ]);
 
@@ -437,17 +439,26 @@ class MyScene {
     this.attributes.layoutStationAttributes();
   }
 
-  renderScene(camera, spriteCamera, helper) {
+  /**
+   * Renders the scene and the screen space sprites
+   * @param {THREE.Camera} camera - The camera of the view
+   * @param {THREE.Camera} spriteCamera - The camera of the sprites, the sprite scene is not rendered if undefined
+   * @param {ViewHelper} helper - The optional view helper
+   * @param {THREE.Plane[]} clippingPlanes - Only the scene is clipped, the sprites are always rendered
+   */
+  renderScene(camera, spriteCamera, helper, clippingPlanes = []) {
     if (this.options.scene.stationLabels.show) {
       this.#updateStationLabelsBillboarding();
     }
 
+    this.sceneRenderer.clippingPlanes = clippingPlanes;
     if (spriteCamera === undefined) {
       if (this.edlEnabled && this.edlPass) {
         this.edlPass.render(this.sceneRenderer, this.threejsScene, camera);
       } else {
         this.sceneRenderer.render(this.threejsScene, camera);
       }
+      this.sceneRenderer.clippingPlanes = [];
     } else {
       this.sceneRenderer.clear();
       if (this.edlEnabled && this.edlPass) {
@@ -455,6 +466,7 @@ class MyScene {
       } else {
         this.sceneRenderer.render(this.threejsScene, camera);
       }
+      this.sceneRenderer.clippingPlanes = [];
       this.sceneRenderer.clearDepth();
       this.sceneRenderer.render(this.spriteScene, spriteCamera);
     }
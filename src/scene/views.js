@@ -33,12 +33,15 @@ import {
 import {
   ProfileViewControl,
   PlanViewControl,
+  FixedProfileViewControl,
   SpatialOrthographicControl,
   SpatialPerspectiveControl
 } from './control.js';
 import { i18n } from '../i18n/i18n.js';
 import { globalNormalizer } from '../utils/global-coordinate-normalizer.js';
 import { DEFAULT_UNITS } from '../model/survey.js';
+import { ExtendedElevationCalculator } from '../utils/extended-elevation.js';
+import { SectionPlane } from '../utils/cross-section.js';
 
 // Per-unit map ratio → highlighted ruler length (in that unit). The values are
 // chosen so that across units the ruler ends up at a similar physical screen
@@ -2002,4 +2005,448 @@ class ProfileView extends View {
   }
 }
 
-export { SpatialView, PlanView, ProfileView };
+class ExtendedElevationView extends View {
+
+  // the unfolded centerlines are rendered only by the cameras of this view
+  static LAYER = 3;
+
+  // horizontal gap between the unfolded caves
+  static CAVE_GAP = 20;
+
+  constructor(scene, domElement) {
+    super('extendedView', View.createOrthoCamera(scene.width / scene.height), domElement, scene);
+    this.camera.layers.set(ExtendedElevationView.LAYER);
+
+    this.overviewCamera = View.createOrthoCamera(1);
+    this.overviewCamera.layers.set(ExtendedElevationView.LAYER);
+    this.overviewCamera.layers.enable(31);
+    this.overviewCamera.up = new THREE.Vector3(0, 0, 1);
+
+    this.control = new FixedProfileViewControl(this.camera, this.domElement, Math.PI);
+
+    this.group = new THREE.Group();
+    this.group.name = 'extended elevation';
+    scene.addObjectToScene(this.group);
+
+    // cave name -> survey name -> {centerLines, stationLabels}, the same structure as SpeleoScene.caveObjects
+    this.caveObjects = new Map();
+    // cave name -> {layout, offset}
+    this.layouts = new Map();
+
+    this.initiated = false;
+    this.enabled = false;
+
+    this.control.addEventListener('start', () => {
+      this.isInteracting = true;
+    });
+
+    this.control.addEventListener('end', (params) => {
+      this.onControlOperationEnd(params);
+    });
+
+    this.control.addEventListener('orbitChange', (e) => {
+      this.onOrbitAdjustment(e);
+    });
+
+    this.control.addEventListener('orbitSet', (e) => {
+      this.onOrbitAdjustment(e);
+    });
+
+    document.addEventListener('extendedElevationChanged', () => {
+      if (this.enabled) {
+        this.rebuild();
+        this.renderView();
+      }
+    });
+  }
+
+  /**
+   * Recreates the unfolded centerlines and station labels of the visible caves, the caves are placed next to each other
+   */
+  rebuild() {
+    this.#disposeObjects();
+
+    const clConfig = this.scene.options.scene.centerLines;
+    let nextX = 0;
+
+    this.scene.db.getAllCaves().forEach((cave) => {
+      if (!cave.visible) return;
+      const layout = ExtendedElevationCalculator.getLayout(cave);
+      if (layout.stations.size === 0) return;
+
+      const xs = [...layout.stations.values()].map((s) => s.x);
+      const offset = nextX - Math.min(...xs);
+      nextX = offset + Math.max(...xs) + ExtendedElevationView.CAVE_GAP;
+      this.layouts.set(cave.name, { layout, offset });
+
+      const surveyObjects = new Map();
+      cave.surveys.forEach((survey) => {
+        const segments = [];
+        layout.legs
+          .filter((leg) => leg.survey === survey.name)
+          .forEach((leg) => {
+            const from = layout.getPosition(leg.from);
+            const to = layout.getPosition(leg.to);
+            segments.push(from.x + offset, 0, from.z, to.x + offset, 0, to.z);
+          });
+        if (segments.length === 0) return;
+
+        const geometry = new LineSegmentsGeometry();
+        geometry.setPositions(segments);
+        const centerLines = new LineSegments2(geometry, this.#getMaterial(cave.name, survey.name));
+        centerLines.name = `extended-centerline-${cave.name}-${survey.name}`;
+        centerLines.layers.set(ExtendedElevationView.LAYER);
+        centerLines.visible = survey.visible && clConfig.segments.show;
+        this.group.add(centerLines);
+
+        const stationLabels = new THREE.Group();
+        stationLabels.name = `extended-station-labels-${cave.name}-${survey.name}`;
+        stationLabels.visible = survey.visible && this.scene.options.scene.stationLabels.show;
+        if (stationLabels.visible) {
+          layout.stations.forEach((_position, stationName) => {
+            const station = cave.stations.get(stationName);
+            if (station.survey?.name !== survey.name) return;
+            const position = this.getStationPosition(cave.name, stationName);
+            this.scene.speleo.addStationLabel(stationName, position, station.coordinates, stationLabels);
+          });
+          stationLabels.children.forEach((sprite) => sprite.layers.set(ExtendedElevationView.LAYER));
+        }
+        this.group.add(stationLabels);
+
+        surveyObjects.set(survey.name, { centerLines, stationLabels });
+      });
+      this.caveObjects.set(cave.name, surveyObjects);
+    });
+  }
+
+  /**
+   * @returns {THREE.Vector3} The position of the station in the unfolded scene or undefined if it is not unfolded
+   */
+  getStationPosition(caveName, stationName) {
+    const entry = this.layouts.get(caveName);
+    const position = entry?.layout.getPosition(stationName);
+    if (position === undefined) {
+      return undefined;
+    }
+    return new THREE.Vector3(position.x + entry.offset, 0, position.z);
+  }
+
+  computeBoundingBox() {
+    const boundingBox = new THREE.Box3();
+    this.caveObjects.forEach((surveyObjects) => {
+      surveyObjects.forEach((e) => {
+        if (e.centerLines.visible) {
+          boundingBox.expandByObject(e.centerLines);
+        }
+      });
+    });
+    return boundingBox.isEmpty() ? undefined : boundingBox;
+  }
+
+  // the survey and cave colors are reused, gradients are colored by the vertices that the unfolded lines do not have
+  #getMaterial(caveName, surveyName) {
+    const material = this.scene.speleo.caveObjects.get(caveName)?.get(surveyName)?.centerLines.material;
+    return material === undefined || material.vertexColors ? this.scene.mats.segments.centerLine : material;
+  }
+
+  #disposeObjects() {
+    this.caveObjects.forEach((surveyObjects) => {
+      surveyObjects.forEach((e) => {
+        e.centerLines.geometry.dispose();
+        e.stationLabels.children.forEach((sprite) => {
+          sprite.material.map?.dispose();
+          sprite.material.dispose();
+          sprite.geometry.dispose();
+        });
+      });
+    });
+    this.group.clear();
+    this.caveObjects.clear();
+    this.layouts.clear();
+  }
+
+  onOrbitAdjustment(e) {
+    if (e.type === 'zoom') {
+      this.onZoomLevelChange(e.level);
+      if (this.frustumFrame) this.updateFrustumFrame();
+    }
+    super.onOrbitAdjustment();
+  }
+
+  onControlOperationEnd() {
+    this.isInteracting = false;
+    if (this.frustumFrame) this.updateFrustumFrame();
+    this.renderView();
+  }
+
+  getViewSettings(boundingBox) {
+    if (!boundingBox) {
+      return { distance: 100, frustumSize: 120 };
+    }
+    const size = boundingBox.getSize(new THREE.Vector3());
+    const maxDimension = Math.max(size.x, size.z);
+    const padding = 1.2; // 20% padding
+    const frustumSize = Math.max(maxDimension * padding, 100);
+    // the unfolded lines are in the y = 0 plane
+    return { distance: 100, frustumSize };
+  }
+
+  adjustCamera(boundingBox) {
+    const settings = this.getViewSettings(boundingBox);
+    View.updateCameraFrustum(this.camera, settings.frustumSize, this.scene.width / this.scene.height);
+    View.updateCameraFrustum(this.overviewCamera, settings.frustumSize, 1);
+
+    this.control.setTarget(this.target);
+    this.control.setRadius(settings.distance);
+    this.control.updateCameraPosition();
+    const diff = this.control.getCameraPosition().sub(this.control.getTarget());
+    this.setOverviewCameraTo(this.target.clone().add(diff));
+  }
+
+  // the unfolded shots have different directions, there is no north to show
+  toggleSpriteVisibility(spriteType, visible) {
+    if (spriteType !== 'compass') {
+      super.toggleSpriteVisibility(spriteType, visible);
+    }
+  }
+
+  setCompassRotation() {}
+
+  // the bounding box of the scene is ignored, the unfolded centerlines have their own
+  fitScreen() {
+    super.fitScreen(this.computeBoundingBox());
+  }
+
+  activate() {
+    this.rebuild();
+    super.activate(this.computeBoundingBox());
+    this.control.enabled = true;
+    this.compass.visible = false;
+    this.rotationText.sprite.visible = false;
+    this.renderView();
+  }
+
+  deactivate() {
+    super.deactivate();
+    this.control.enabled = false;
+  }
+}
+
+class CrossSectionView extends View {
+
+  constructor(scene, domElement) {
+    super('sectionView', View.createOrthoCamera(scene.width / scene.height), domElement, scene);
+
+    this.overviewCamera = View.createOrthoCamera(1);
+    this.overviewCamera.layers.disable(1);
+    this.overviewCamera.layers.enable(2);
+    this.overviewCamera.layers.enable(31);
+    this.overviewCamera.up = new THREE.Vector3(0, 0, 1);
+
+    // the camera looks along the normal of the section plane
+    this.control = new FixedProfileViewControl(this.camera, this.domElement, Math.PI);
+
+    // only the slab between the two clipping planes is rendered
+    this.plane = undefined;
+    this.clippingPlanes = [new THREE.Plane(), new THREE.Plane()];
+    this.planeChanged = false;
+
+    this.initiated = false;
+    this.enabled = false;
+
+    this.control.addEventListener('start', () => {
+      this.isInteracting = true;
+    });
+
+    this.control.addEventListener('end', (params) => {
+      this.onControlOperationEnd(params);
+    });
+
+    this.control.addEventListener('orbitChange', (e) => {
+      this.onOrbitAdjustment(e);
+    });
+
+    this.control.addEventListener('orbitSet', (e) => {
+      this.onOrbitAdjustment(e);
+    });
+  }
+
+  /**
+   * Sets the section plane, the navbar switches to this view on the crossSectionChanged event
+   * @param {SectionPlane} plane - The section plane with the slab half width
+   */
+  setPlane(plane) {
+    this.#applyPlane(plane);
+    if (this.enabled) {
+      this.fitScreen();
+      this.planeChanged = false;
+    }
+    document.dispatchEvent(new CustomEvent('crossSectionChanged', { detail: { plane } }));
+  }
+
+  #applyPlane(plane) {
+    this.plane = plane;
+    this.planeChanged = true;
+    const normal = new THREE.Vector3(Math.sin(plane.azimuth), Math.cos(plane.azimuth), 0);
+    const distance = normal.x * plane.position.x + normal.y * plane.position.y;
+    // the points with a negative distance from a clipping plane are not rendered
+    this.clippingPlanes[0].set(normal, plane.halfWidth - distance);
+    this.clippingPlanes[1].set(normal.clone().negate(), plane.halfWidth + distance);
+    this.control.setAngle((plane.azimuth + Math.PI) % (2 * Math.PI));
+    this.#updateCompass();
+  }
+
+  #updateCompass() {
+    // the compass is rotated like in the profile view, the label shows the viewing direction
+    this.compass.material.rotation = this.control.angle + Math.PI;
+    this.rotationText.update(`N ${this.formatAngleLabel(this.plane?.azimuth ?? 0)}`);
+  }
+
+  refreshAngleSprites() {
+    if (this.plane !== undefined) {
+      this.#updateCompass();
+    }
+  }
+
+  /**
+   * The extent of the visible shots inside the slab in the coordinates of the section
+   * @returns {Object} minX, maxX, minY and maxY in meters or undefined if there are no shots in the slab
+   */
+  #computeSliceExtent() {
+    let extent;
+    const add = (point) => {
+      const p = this.plane.project(point);
+      if (extent === undefined) {
+        extent = { minX: p.x, maxX: p.x, minY: p.y, maxY: p.y };
+      } else {
+        extent.minX = Math.min(extent.minX, p.x);
+        extent.maxX = Math.max(extent.maxX, p.x);
+        extent.minY = Math.min(extent.minY, p.y);
+        extent.maxY = Math.max(extent.maxY, p.y);
+      }
+    };
+
+    this.scene.speleo.caveObjects.forEach((surveyObjects) => {
+      surveyObjects.forEach((e) => {
+        [e.centerLines, e.splays, e.auxiliaries].forEach((lineSegments) => {
+          const start = lineSegments?.visible ? lineSegments.geometry.getAttribute('instanceStart') : undefined;
+          const end = lineSegments?.geometry.getAttribute('instanceEnd');
+          if (start === undefined || end === undefined) return;
+          for (let i = 0; i < start.count; i++) {
+            const clipped = this.plane.clipSegment(
+              { x: start.getX(i), y: start.getY(i), z: start.getZ(i) },
+              { x: end.getX(i), y: end.getY(i), z: end.getZ(i) }
+            );
+            clipped?.forEach(add);
+          }
+        });
+      });
+    });
+    return extent;
+  }
+
+  // the slice is framed, the bounding box of the scene is ignored
+  fitScreen() {
+    if (this.plane === undefined) return;
+
+    const extent = this.#computeSliceExtent() ?? { minX: -10, maxX: 10, minY: -10, maxY: 10 };
+    const right = this.plane.getRight();
+    const centerX = (extent.minX + extent.maxX) / 2;
+    const center = new THREE.Vector3(
+      this.plane.position.x + right.x * centerX,
+      this.plane.position.y + right.y * centerX,
+      (extent.minY + extent.maxY) / 2
+    );
+    this.target.copy(center);
+    this.control.setTarget(center);
+    this.control.updateCameraPosition();
+
+    const padding = 1.2;
+    const width = Math.max(extent.maxX - extent.minX, 1) * padding;
+    const height = Math.max(extent.maxY - extent.minY, 1) * padding;
+    const zoomLevel = Math.min(this.camera.width / width, this.camera.height / height);
+    this.control.setZoomLevel(zoomLevel);
+
+    if (this.frustumFrame) this.updateFrustumFrame();
+    this.onZoomLevelChange(zoomLevel);
+    this.scene.updatePointCloudLOD();
+    this.renderView();
+  }
+
+  renderView() {
+    const clippingPlanes = this.plane === undefined ? [] : this.clippingPlanes;
+    this.scene.renderScene(this.camera, this.spriteCamera, undefined, clippingPlanes);
+    if (!this.isInteracting) {
+      this.scene.renderOverview(this.overviewCamera);
+    }
+  }
+
+  onOrbitAdjustment(e) {
+    // the plane can be set while another view is active
+    if (!this.enabled) return;
+
+    if (e.type === 'zoom') {
+      this.onZoomLevelChange(e.level);
+      if (this.frustumFrame) this.updateFrustumFrame();
+    } else if (e.type === 'pan') {
+      this.scene.points.setCameraTargetPosition(this.control.getTarget());
+    }
+    super.onOrbitAdjustment();
+  }
+
+  onControlOperationEnd() {
+    this.isInteracting = false;
+    if (this.frustumFrame) this.updateFrustumFrame();
+    this.scene.updatePointCloudLOD();
+    this.renderView();
+  }
+
+  adjustCamera(boundingBox) {
+    const size = boundingBox?.getSize(new THREE.Vector3());
+    const frustumSize = size === undefined ? 100 : Math.max(Math.max(size.x, size.y, size.z) * 1.2, 100);
+    View.updateCameraFrustum(this.camera, frustumSize, this.scene.width / this.scene.height);
+    View.updateCameraFrustum(this.overviewCamera, frustumSize, 1);
+
+    this.control.setTarget(this.target);
+    this.control.setRadius(100);
+    this.control.updateCameraPosition();
+    const diff = this.control.getCameraPosition().sub(this.control.getTarget());
+    this.setOverviewCameraTo(this.target.clone().add(diff));
+  }
+
+  setCompassRotation() {
+    const currentAzimuth = formatFloat(radsToDegrees(this.plane.azimuth), 1);
+    const azimuthRaw = prompt(i18n.t('errors.views.enterRotationValue'), currentAzimuth);
+    if (azimuthRaw === null) return;
+
+    const azimuthValue = parseFloat(azimuthRaw);
+    if (isNaN(azimuthValue)) {
+      showWarningPanel(i18n.t('errors.views.rotationNotValid', { rotation: azimuthRaw }));
+      return;
+    }
+    this.setPlane(new SectionPlane(this.plane.position, degreesToRads(azimuthValue), this.plane.halfWidth));
+  }
+
+  activate(boundingBox) {
+    if (this.plane === undefined) {
+      // without a chosen plane the section goes through the center of the scene looking north
+      const center = boundingBox?.getCenter(new THREE.Vector3()) ?? new THREE.Vector3(0, 0, 0);
+      this.#applyPlane(new SectionPlane(center));
+    }
+    super.activate(boundingBox);
+    this.control.enabled = true;
+    if (this.planeChanged) {
+      this.fitScreen();
+      this.planeChanged = false;
+    }
+    this.#updateCompass();
+    this.renderView();
+  }
+
+  deactivate() {
+    super.deactivate();
+    this.control.enabled = false;
+  }
+}
+
+export { SpatialView, PlanView, ProfileView, ExtendedElevationView, CrossSectionView };
@@ -0,0 +1,85 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Stores the exported cave of the last successful Google Drive sync. It is the common ancestor
+ * of the three-way merge when both the local and the remote cave have been changed.
+ */
+export class CaveSnapshotStore {
+
+  constructor(databaseManager) {
+    this.storeName = 'caveSnapshots';
+    this.dbManager = databaseManager;
+  }
+
+  /**
+   * @param {string} id - The id of the cave
+   * @returns {Promise<Object|null>} The exported cave or null if the cave has never been synced
+   */
+  async loadSnapshot(id) {
+    return new Promise((resolve, reject) => {
+      const request = this.dbManager.getReadOnlyStore(this.storeName).get(id);
+
+      request.onsuccess = () => {
+        resolve(request.result?.cave ?? null);
+      };
+
+      request.onerror = () => {
+        console.error('Error reading from cave snapshots:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * @param {Cave} cave - The cave that is the same locally and in Google Drive
+   * @returns {Promise<void>}
+   */
+  async saveSnapshot(cave) {
+    const snapshot = {
+      id       : cave.id,
+      revision : cave.revision,
+      cave     : cave.toExport(),
+      savedAt  : new Date().toISOString()
+    };
+
+    return new Promise((resolve, reject) => {
+      const request = this.dbManager.getReadWriteStore(this.storeName).put(snapshot);
+
+      request.onsuccess = () => {
+        resolve();
+      };
+
+      request.onerror = () => {
+        console.error('Error writing cave snapshots:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  async deleteSnapshot(id) {
+    return new Promise((resolve, reject) => {
+      const request = this.dbManager.getReadWriteStore(this.storeName).delete(id);
+      request.onsuccess = () => {
+        resolve();
+      };
+      request.onerror = () => {
+        console.error('Error deleting cave snapshots:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+}
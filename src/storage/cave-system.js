@@ -16,17 +16,23 @@
 
 import { Cave } from '../model/cave.js';
 import { i18n } from '../i18n/i18n.js';
-import { sanitizeName } from '../utils/utils.js';
+import { sanitizeName, randomAlphaNumbericString } from '../utils/utils.js';
+import { compressToGzip, decompressGzip } from '../utils/compression.js';
 
 export class CaveSystem {
+
+  // the number of versions kept in the history of a cave
+  static HISTORY_SIZE = 30;
+
   constructor(databaseManager, attributeDefs) {
     this.storeName = 'caves';
+    this.versionStoreName = 'caveVersions';
     this.dbManager = databaseManager;
     this.attributeDefs = attributeDefs;
   }
 
   async saveCave(cave, projectId) {
-    return new Promise((resolve, reject) => {
+    const savedCave = await new Promise((resolve, reject) => {
       const caveData = {
         ...cave.toExport(),
         projectId : projectId,
@@ -44,6 +50,100 @@ export class CaveSystem {
         reject(new Error(i18n.t('errors.storage.caveSystem.failedToSaveCave')));
       };
     });
+
+    try {
+      await this.#addCaveVersion(cave, projectId);
+    } catch (error) {
+      // the cave itself has been saved, a missing version is not worth failing for
+      console.error(`Failed to add version of cave ${cave.name} to the history`, error);
+    }
+    return savedCave;
+  }
+
+  async #addCaveVersion(cave, projectId) {
+    const data = await compressToGzip(JSON.stringify(cave.toExport()));
+    const version = {
+      id        : 'cave_version_' + Date.now() + '_' + randomAlphaNumbericString(5),
+      caveId    : cave.id,
+      projectId : projectId,
+      name      : cave.name,
+      revision  : cave.revision,
+      surveys   : cave.surveys.length,
+      shots     : cave.surveys.reduce((sum, s) => sum + s.shots.length, 0),
+      savedAt   : new Date().toISOString(),
+      data      : data
+    };
+
+    await new Promise((resolve, reject) => {
+      const request = this.dbManager.getReadWriteStore(this.versionStoreName).put(version);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+
+    const versions = await this.getCaveVersions(cave.id);
+    const store = this.dbManager.getReadWriteStore(this.versionStoreName);
+    versions.slice(CaveSystem.HISTORY_SIZE).forEach((v) => store.delete(v.id));
+  }
+
+  /**
+   * Returns the versions in the history of the cave without the cave data
+   * @param {string} caveId - The id of the cave
+   * @returns {Promise<Object[]>} The versions, the latest first
+   */
+  async getCaveVersions(caveId) {
+    return new Promise((resolve, reject) => {
+      const request = this.dbManager.getReadOnlyStore(this.versionStoreName).index('caveId').getAll(caveId);
+
+      request.onsuccess = () => {
+        const versions = request.result.map((version) => {
+          // the compressed cave is only needed for restoring
+          delete version.data;
+          return version;
+        });
+        versions.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+        resolve(versions);
+      };
+
+      request.onerror = () => {
+        reject(new Error(i18n.t('errors.storage.caveSystem.failedToLoadCaveVersions')));
+      };
+    });
+  }
+
+  /**
+   * @param {string} versionId - The id of the version from the history
+   * @returns {Promise<Cave>} The cave as it was saved
+   */
+  async loadCaveVersion(versionId) {
+    const version = await new Promise((resolve, reject) => {
+      const request = this.dbManager.getReadOnlyStore(this.versionStoreName).get(versionId);
+
+      request.onsuccess = () => {
+        if (request.result) {
+          resolve(request.result);
+        } else {
+          reject(new Error(i18n.t('errors.storage.caveSystem.caveVersionNotFound', { versionId })));
+        }
+      };
+
+      request.onerror = () => {
+        reject(new Error(i18n.t('errors.storage.caveSystem.failedToLoadCaveVersions')));
+      };
+    });
+    const pure = JSON.parse(await decompressGzip(version.data));
+    return Cave.fromPure(pure, this.attributeDefs);
+  }
+
+  async #deleteCaveVersions(indexName, key) {
+    return new Promise((resolve, reject) => {
+      const store = this.dbManager.getReadWriteStore(this.versionStoreName);
+      const request = store.index(indexName).getAllKeys(key);
+      request.onsuccess = () => {
+        request.result.forEach((id) => store.delete(id));
+      };
+      store.transaction.oncomplete = () => resolve();
+      store.transaction.onerror = () => reject(store.transaction.error);
+    });
   }
 
   async loadCave(caveId) {
@@ -146,7 +246,7 @@ export class CaveSystem {
       throw new Error(i18n.t('errors.storage.caveSystem.caveIdRequired'));
     }
 
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       const request = this.dbManager.getReadWriteStore(this.storeName).delete(caveId);
 
       request.onsuccess = () => {
@@ -157,12 +257,14 @@ export class CaveSystem {
         reject(new Error(i18n.t('errors.storage.caveSystem.failedToDeleteCave')));
       };
     });
+    await this.#deleteCaveVersions('caveId', caveId);
   }
 
   async deleteCavesByProjectId(projectId) {
     if (projectId === null || projectId === undefined) {
       throw new Error(i18n.t('errors.storage.caveSystem.projectIdRequired'));
     }
+    await this.#deleteCaveVersions('projectId', projectId);
     return new Promise((resolve, reject) => {
       const request = this.dbManager.getReadOnlyStore(this.storeName).index('projectId').getAllKeys(projectId);
 
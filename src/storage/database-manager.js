@@ -22,11 +22,13 @@ import { i18n } from '../i18n/i18n.js';
  * 2. Added declinationCache store
  * 3. Added revisions store
  * 4. Added modelFiles, textureFiles, modelFileSettings, octreeCache and modelMetadata stores for 3D model persistence
+ * 5. Added caveSnapshots store for merging caves with Google Drive
+ * 6. Added caveVersions store for the local history of caves
  */
 export class DatabaseManager {
   constructor() {
     this.dbName = 'SpeleoStudioDB';
-    this.dbVersion = 4;
+    this.dbVersion = 6;
     this.indexedDb = null;
     this.stores = {
       projects : {
@@ -56,6 +58,19 @@ export class DatabaseManager {
         keyPath : 'id',
         indexes : []
       },
+      // The last synced version of the caves, the common ancestor of the local and Google Drive changes
+      caveSnapshots : {
+        keyPath : 'id',
+        indexes : []
+      },
+      // Compressed earlier versions of the caves
+      caveVersions : {
+        keyPath : 'id',
+        indexes : [
+          { name: 'caveId', keyPath: 'caveId', options: { unique: false } },
+          { name: 'projectId', keyPath: 'projectId', options: { unique: false } }
+        ]
+      },
       // Store for 3D model files (PLY, OBJ)
       modelFiles : {
         keyPath : 'id',
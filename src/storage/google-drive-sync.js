@@ -19,6 +19,8 @@ import { GoogleDriveAPI } from './google-drive-api.js';
 import { DriveProject } from '../model/project.js';
 import { Cave, DriveCaveMetadata } from '../model/cave.js';
 import { RevisionInfo } from '../model/misc.js';
+import { CaveMerge } from '../utils/merge.js';
+import { CaveSnapshotStore } from './cave-snapshot.js';
 import { ModelFile, TextureFile, ModelMetadata } from '../model.js';
 import { compressBlobToGzip, decompressGzipToBlob } from '../utils/compression.js';
 
@@ -33,6 +35,7 @@ export class GoogleDriveSync {
     this.caveSystem = caveSystem;
     this.attributeDefs = attributeDefs;
     this.modelSystem = modelSystem;
+    this.snapshotStore = new CaveSnapshotStore(databaseManager);
     this.config = new GoogleDriveConfig();
     this.api = new GoogleDriveAPI(this.config);
   }
@@ -171,11 +174,22 @@ export class GoogleDriveSync {
     await this.uploadCave(cave, localProject, true);
   }
 
-  async coordinateUploadCave(cave, localProject, revisionInfo) {
-    return await this.operation(() => this.coordinateUploadCaveInternal(cave, localProject, revisionInfo));
+  /**
+   * Uploads the cave if its local revision is newer than the one in Google Drive. If both have been
+   * changed since the last sync the caves are merged, conflicting changes are resolved by the user.
+   * @param {Cave} cave - The local cave
+   * @param {Project} localProject - The project of the cave
+   * @param {RevisionInfo} revisionInfo - The local revision info of the cave
+   * @param {Function} resolveConflicts - Async callback receiving the cave name and the merge conflicts, returns the resolutions or null to cancel
+   * @returns {Promise<Cave|undefined>} The merged and uploaded cave, undefined if the local cave was uploaded as is or not at all
+   */
+  async coordinateUploadCave(cave, localProject, revisionInfo, resolveConflicts) {
+    return await this.operation(() =>
+      this.coordinateUploadCaveInternal(cave, localProject, revisionInfo, resolveConflicts)
+    );
   }
 
-  async coordinateUploadCaveInternal(cave, localProject, revisionInfo) {
+  async coordinateUploadCaveInternal(cave, localProject, revisionInfo, resolveConflicts) {
     const cavesFolderId = await this.api.getCavesFolderId();
     const driveRevision = await this.getRevisionInfoInternal(cave, cavesFolderId);
     if (driveRevision === null) {
@@ -188,24 +202,71 @@ export class GoogleDriveSync {
     const ignoreConflict = this.config.get('ignoreConflict');
 
     if (hasConflict && !ignoreConflict) {
-      return;
+      if (resolveConflicts === undefined) {
+        return;
+      }
+      const merged = await this.mergeCaveInternal(cave, resolveConflicts);
+      if (merged === undefined || merged === null) {
+        return;
+      }
+      merged.revision = Math.max(revisionInfo.revision, driveRevision.revision) + 1;
+      await this.updateCaveMetadata(merged, localProject, merged.revision, revisionInfo.app);
+      await this.uploadCave(merged, localProject);
+      return merged;
     }
 
     if (revisionInfo.revision > driveRevision.revision) {
       //we need to update the cave revision
-      const response = await this.fetchProject(localProject);
-      const project = response.project;
-      const updatedCave = project.caves.find((c) => c.id === cave.id);
-      updatedCave.revision = revisionInfo.revision;
-      updatedCave.app = revisionInfo.app;
-      updatedCave.name = cave.name;
-      const driveProject = new DriveProject(project.project, project.caves, project.app);
-      await this.uploadProject(driveProject);
+      await this.updateCaveMetadata(cave, localProject, revisionInfo.revision, revisionInfo.app);
       await this.uploadCave(cave, localProject);
     }
 
   }
 
+  async updateCaveMetadata(cave, localProject, revision, app) {
+    const response = await this.fetchProject(localProject);
+    const project = response.project;
+    const updatedCave = project.caves.find((c) => c.id === cave.id);
+    updatedCave.revision = revision;
+    updatedCave.app = app;
+    updatedCave.name = cave.name;
+    const driveProject = new DriveProject(project.project, project.caves, project.app);
+    await this.uploadProject(driveProject);
+  }
+
+  /**
+   * Three-way merge of the local cave and the one in Google Drive, the common ancestor is the snapshot
+   * of the last successful sync. The revision of the merged cave is not changed.
+   * @param {Cave} cave - The local cave
+   * @param {Function} resolveConflicts - Async callback receiving the cave name and the merge conflicts, returns the resolutions or null to cancel
+   * @returns {Promise<Cave|null|undefined>} The merged cave, null if the merge was cancelled, undefined if the caves cannot be merged
+   */
+  async mergeCave(cave, resolveConflicts) {
+    return await this.operation(() => this.mergeCaveInternal(cave, resolveConflicts));
+  }
+
+  async mergeCaveInternal(cave, resolveConflicts) {
+    const base = await this.snapshotStore.loadSnapshot(cave.id);
+    if (base === null) {
+      return undefined;
+    }
+    const response = await this.fetchCaveInternal(cave);
+    if (response === null) {
+      return undefined;
+    }
+    const local = cave.toExport();
+    const remote = response.cave.toExport();
+    let result = CaveMerge.merge(base, local, remote);
+    if (result.conflicts.length > 0) {
+      const resolutions = await resolveConflicts(cave.name, result.conflicts);
+      if (resolutions === null) {
+        return null;
+      }
+      result = CaveMerge.merge(base, local, remote, resolutions);
+    }
+    return Cave.fromPure(result.cave, this.attributeDefs);
+  }
+
   async uploadCave(cave, project, create = false) {
     await this.operation(() => this.tryUploadCave(cave, project, create));
   }
@@ -236,6 +297,7 @@ export class GoogleDriveSync {
     } else {
       await this.api.uploadFile(fileName, content, mimeType, cavesFolderId, description, properties);
     }
+    await this.snapshotStore.saveSnapshot(cave);
 
   }
 
@@ -15,7 +15,7 @@
  */
 
 import * as U from './utils/utils.js';
-import { SurveyStation as ST, ShotWithSurvey, DEFAULT_UNITS } from './model/survey.js';
+import { SurveyStation as ST, ShotWithSurvey, DEFAULT_UNITS, DEFAULT_BACKSIGHT_TOLERANCE } from './model/survey.js';
 import { Vector, Color } from './model.js';
 import { ShotType } from './model/survey.js';
 import { CoordinateSystemType, StationCoordinates, WGS84Coordinate } from './model/geo.js';
@@ -23,6 +23,7 @@ import { Graph } from './utils/graph.js';
 import { WGS84Converter } from './utils/geo.js';
 import { i18n } from './i18n/i18n.js';
 import { globalNormalizer } from './utils/global-coordinate-normalizer.js';
+import { AdjustmentMode, NetworkAdjustment } from './utils/adjustment.js';
 
 class SurveyHelper {
 
@@ -32,11 +33,27 @@ class SurveyHelper {
    * @param {Survey} es - The survey that will be updated in place
    * @param {Map<string, SurveyStation> } caveStations - Previously calculated survey stations
    * @param {aliases} - The connection points between different surveys
+   * @param {GeoData} geoData - Fixed coordinates of the cave
+   * @param {string} adjustmentMode - One of AdjustmentMode values, applied after the last survey
+   * @param {object} backsightTolerance - Maximum {azimuth, clino} differences in degrees for averaging backsights
+   * @param {CalibrationProfile[]} calibrationProfiles - The calibration profiles of the project
    * @returns The survey with updated properties
    */
-  static recalculateSurvey(index, es, surveys, caveStations, aliases, geoData) {
+  static recalculateSurvey(
+    index,
+    es,
+    surveys,
+    caveStations,
+    aliases,
+    geoData,
+    adjustmentMode = AdjustmentMode.NONE,
+    backsightTolerance = DEFAULT_BACKSIGHT_TOLERANCE,
+    calibrationProfiles = []
+  ) {
     let startName, startPosition, startCoordinate;
 
+    es.calibration = SurveyHelper.getCalibration(es, calibrationProfiles);
+
     if (es.validShots.length === 0) return;
 
     //TODO: check if start station is still in shots
@@ -49,7 +66,9 @@ class SurveyHelper {
         // Initialize global origin from the first cave with coordinates (only if not already initialized)
         if (
           !globalNormalizer.isInitialized() &&
-          (startCoordinate.type === CoordinateSystemType.UTM || startCoordinate.type === CoordinateSystemType.EOV)
+          (startCoordinate.type === CoordinateSystemType.UTM ||
+            startCoordinate.type === CoordinateSystemType.EOV ||
+            startCoordinate.type === CoordinateSystemType.PROJECTED)
         ) {
           globalNormalizer.initializeGlobalOrigin(startCoordinate);
         }
@@ -69,11 +88,81 @@ class SurveyHelper {
       startName,
       startPosition,
       startCoordinate,
-      geoData?.coordinateSystem
+      geoData?.coordinateSystem,
+      adjustmentMode,
+      SurveyHelper.getFixedStations(geoData),
+      backsightTolerance
     );
     return es;
   }
 
+  /**
+   * Calculates the stations of all surveys of a cave that is not loaded into the scene
+   * @param {Cave} cave - The cave
+   * @param {string} adjustmentMode - One of AdjustmentMode values
+   * @param {Object} backsightTolerance - Tolerance of averaging the backsights
+   * @param {CalibrationProfile[]} calibrationProfiles - The calibration profiles of the project
+   * @returns {Map<string, SurveyStation>} Station name -> station
+   */
+  static calculateCaveStations(cave, adjustmentMode, backsightTolerance, calibrationProfiles = []) {
+    const stations = new Map();
+    cave.surveys.forEach((es, index) => {
+      SurveyHelper.recalculateSurvey(
+        index,
+        es,
+        cave.surveys,
+        stations,
+        cave.aliases,
+        cave.geoData,
+        adjustmentMode,
+        backsightTolerance,
+        calibrationProfiles
+      );
+    });
+    return stations;
+  }
+
+  /**
+   * Returns the calibration profile referenced by the metadata of the survey
+   * @param {Survey} survey - The survey
+   * @param {CalibrationProfile[]} calibrationProfiles - The calibration profiles of the project
+   * @returns {CalibrationProfile} The profile or undefined if the survey is not calibrated or the profile was deleted
+   */
+  static getCalibration(survey, calibrationProfiles = []) {
+    const id = survey.metadata?.calibrationId;
+    if (id === undefined || id === null) return undefined;
+    return calibrationProfiles?.find((p) => p.id === id);
+  }
+
+  /**
+   * Returns the normalized positions of the stations with known coordinates
+   * @param {GeoData} geoData - Fixed coordinates of the cave
+   * @returns {Map<string, Vector>} Station name -> position
+   */
+  static getFixedStations(geoData) {
+    const fixedStations = new Map();
+    if (!globalNormalizer.isInitialized()) {
+      return fixedStations;
+    }
+    geoData?.coordinates?.forEach((c) => {
+      if (
+        c.coordinate?.type === CoordinateSystemType.UTM ||
+        c.coordinate?.type === CoordinateSystemType.EOV ||
+        c.coordinate?.type === CoordinateSystemType.PROJECTED
+      ) {
+        fixedStations.set(c.name, c.coordinate.toNormalizedVector());
+      }
+    });
+    return fixedStations;
+  }
+
+  /**
+   * Calculates the station positions of a survey by propagating the shots from already known stations.
+   * With least-squares adjustment mode the whole centerline network of the cave is adjusted after the
+   * last survey has been propagated. The shots are never modified, the result is stored in the adjustment
+   * property of every survey. Backsights are averaged with the foresights if they agree within the
+   * backsight tolerance and the calibration of the survey is applied to the readings.
+   */
   static calculateSurveyStations(
     survey,
     surveys,
@@ -82,7 +171,10 @@ class SurveyHelper {
     startName,
     startPosition,
     startCoordinate,
-    coordinateSystem
+    coordinateSystem,
+    adjustmentMode = AdjustmentMode.NONE,
+    fixedStations = new Map(),
+    backsightTolerance = DEFAULT_BACKSIGHT_TOLERANCE
   ) {
 
     if (survey.validShots.length === 0) return;
@@ -144,14 +236,12 @@ class SurveyHelper {
         let fromStation = stations.get(sh.from);
         let toStation = stations.get(sh.to);
 
-        const lenM = U.convertLengthToMeters(sh.length, survey.units?.length ?? DEFAULT_UNITS.length);
-        const aziDeg = U.convertAngleToDegrees(sh.azimuth, survey.units?.angle ?? DEFAULT_UNITS.angle);
-        const cliDeg = U.convertAngleToDegrees(sh.clino, survey.units?.angle ?? DEFAULT_UNITS.angle);
+        const { length, azimuth, clino } = survey.getShotReadings(sh, backsightTolerance);
 
         const polarVector = U.fromPolar(
-          lenM,
-          U.degreesToRads(aziDeg + declination - convergence),
-          U.degreesToRads(cliDeg)
+          length,
+          U.degreesToRads(azimuth + declination - convergence),
+          U.degreesToRads(clino)
         );
 
         const newStation = (position, prevSt, diff) => {
@@ -258,6 +348,61 @@ class SurveyHelper {
     survey.orphanShotIds = unprocessedShots;
     survey.duplicateShotIds = duplicateShotIds;
     survey.isolated = processedCount === 0;
+    survey.adjustment = undefined;
+
+    if (
+      adjustmentMode === AdjustmentMode.LEAST_SQUARES &&
+      survey === surveys.findLast((s) => s.validShots.length > 0)
+    ) {
+      const result = NetworkAdjustment.adjust(surveys, stations, fixedStations, backsightTolerance, aliases);
+      SurveyHelper.#applyAdjustment(result, surveys, stations, coordinateSystem);
+      surveys.forEach((s) => (s.adjustment = result));
+    }
+  }
+
+  /**
+   * Moves the centerline stations to their adjusted positions. Splay and auxiliary stations are moved
+   * together with the station they were measured from.
+   */
+  static #applyAdjustment(result, surveys, stations, coordinateSystem) {
+    const deltas = new Map();
+    result.positions.forEach((position, name) => {
+      deltas.set(name, position.sub(stations.get(name).position));
+    });
+
+    let repeat = true;
+    while (repeat) {
+      repeat = false;
+      surveys.forEach((survey) => {
+        survey.validShots.forEach((sh) => {
+          if (sh.isCenter()) return;
+          const from = survey.getFromStationName(sh);
+          const to = survey.getToStationName(sh);
+          if (deltas.has(from) && !deltas.has(to) && stations.has(to)) {
+            deltas.set(to, deltas.get(from));
+            repeat = true;
+          } else if (deltas.has(to) && !deltas.has(from) && stations.has(from)) {
+            deltas.set(from, deltas.get(to));
+            repeat = true;
+          }
+        });
+      });
+    }
+
+    deltas.forEach((delta, name) => {
+      const st = stations.get(name);
+      st.position = st.position.add(delta);
+      const coordinates = st.coordinates;
+      let projectedCoord, wgsCoord;
+      if (coordinates.projected !== undefined) {
+        projectedCoord = coordinates.projected.addVector(delta);
+        if (coordinateSystem !== undefined) {
+          const { latitude, longitude } = WGS84Converter.toLatLon(projectedCoord, coordinateSystem);
+          wgsCoord = new WGS84Coordinate(latitude, longitude);
+        }
+      }
+      st.coordinates = new StationCoordinates(coordinates.local.add(delta), projectedCoord, wgsCoord);
+    });
   }
 
   static findDuplicateShots(shot, survey, surveys) {
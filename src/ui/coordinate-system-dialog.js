@@ -15,10 +15,16 @@
  */
 
 import { i18n } from '../i18n/i18n.js';
-import { CoordinateSystemType, EOVCoordinateSystem, UTMCoordinateSystem } from '../model/geo.js';
+import {
+  CoordinateSystemType,
+  EOVCoordinateSystem,
+  UTMCoordinateSystem,
+  ProjectedCoordinateSystem
+} from '../model/geo.js';
 import { UTMConverter } from '../utils/geo.js';
+import { EPSGRegistry, Projection } from '../utils/projection.js';
 import { parseMyFloat } from '../utils/utils.js';
-import { showInfoPanel } from './popups.js';
+import { showErrorPanel, showInfoPanel } from './popups.js';
 
 export class CoordinateSystemDialog {
   constructor() {
@@ -106,6 +112,32 @@ export class CoordinateSystemDialog {
                   </div>
                 </div>
               </div>
+              <div class="settings-item">
+                <label>
+                  <input type="radio" name="coordinateSystem" value="projected" class="settings-input">
+                  <span class="settings-checkbox-label">
+                    <strong>${i18n.t('ui.panels.coordinateSystem.projected.title')}</strong><br>
+                    <small>${i18n.t('ui.panels.coordinateSystem.projected.description')}</small>
+                  </span>
+                </label>
+              </div>
+              <div class="settings-subgroup" id="projected-options" style="display: none;">
+                <div class="settings-subgroup-content">
+                  <div class="settings-item">
+                    <label class="settings-label">${i18n.t('ui.panels.coordinateSystem.projected.system')}:</label>
+                    <select id="projected-epsg" class="settings-input" required>
+                      ${EPSGRegistry.list()
+                        .map((e) => `<option value="${e.epsgId}">EPSG:${e.epsgId} - ${e.name}</option>`)
+                        .join('')}
+                      <option value="custom">${i18n.t('ui.panels.coordinateSystem.projected.custom')}</option>
+                    </select>
+                  </div>
+                  <div class="settings-item" id="projected-definition-item" style="display: none;">
+                    <label class="settings-label">${i18n.t('ui.panels.coordinateSystem.projected.definition')}:</label>
+                    <input type="text" id="projected-definition" class="settings-input" placeholder="+proj=tmerc +lat_0=0 +lon_0=15 +k=0.9999 +x_0=500000 +y_0=-5000000 +ellps=bessel +towgs84=682,-203,480">
+                  </div>
+                </div>
+              </div>
               <div class="settings-item">
                 <label>
                   <input type="radio" name="coordinateSystem" value="wgs84" class="settings-input">
@@ -163,6 +195,11 @@ export class CoordinateSystemDialog {
       });
     });
 
+    this.dialog.querySelector('#projected-epsg').addEventListener('change', (e) => {
+      this.dialog.querySelector('#projected-definition-item').style.display =
+        e.target.value === 'custom' ? 'block' : 'none';
+    });
+
     // Flip coordinates button
     this.dialog.querySelector('#flip-coordinates').addEventListener('click', () => {
       this.flipCoordinates();
@@ -191,8 +228,10 @@ export class CoordinateSystemDialog {
     } else {
       utmOptions.style.display = 'none';
     }
+    this.dialog.querySelector('#projected-options').style.display =
+      value === CoordinateSystemType.PROJECTED ? 'block' : 'none';
 
-    if (value === CoordinateSystemType.UTM) {
+    if (value === CoordinateSystemType.UTM || value === CoordinateSystemType.PROJECTED) {
       this.dialog.querySelector('#start-point-x-label').innerText =
         i18n.t('ui.panels.coordinateSystem.utm.easting') + ': ';
       this.dialog.querySelector('#start-point-y-label').innerText =
@@ -250,6 +289,20 @@ export class CoordinateSystemDialog {
         default:
           throw new Error(i18n.t('ui.panels.coordinateSystem.invalidHemisphere'));
       }
+    } else if (selectedSystem === 'projected') {
+      const epsg = this.dialog.querySelector('#projected-epsg').value;
+      if (epsg === 'custom') {
+        const definition = this.dialog.querySelector('#projected-definition').value.trim();
+        try {
+          Projection.get(definition);
+        } catch (error) {
+          showErrorPanel(error.message);
+          return;
+        }
+        coordinateSystem = new ProjectedCoordinateSystem(undefined, definition, definition);
+      } else {
+        coordinateSystem = EPSGRegistry.getCoordinateSystem(parseInt(epsg));
+      }
     } else if (selectedSystem === 'wgs84') {
       const lat = parseMyFloat(this.dialog.querySelector('#start-point-x').value);
       const lon = parseMyFloat(this.dialog.querySelector('#start-point-y').value);
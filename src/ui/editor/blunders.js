@@ -0,0 +1,286 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as U from '../../utils/utils.js';
+import { SectionHelper } from '../../section.js';
+import { wm } from '../window.js';
+import { DEFAULT_UNITS } from '../../model/survey.js';
+import { CycleUtil, BlunderType } from '../../utils/cycle.js';
+import { IconBar } from './iconbar.js';
+import { i18n } from '../../i18n/i18n.js';
+
+/**
+ * Shows the shots of the cave ranked by how much a blunder in them would reduce the loop closure errors
+ */
+class BlunderPanel {
+
+  constructor(options, panel, scene, cave) {
+    this.options = options;
+    this.panel = panel;
+    this.scene = scene;
+    this.cave = cave;
+    document.addEventListener('caveRecalculated', (e) => this.onCaveRecalculated(e));
+  }
+
+  onCaveRecalculated(e) {
+    const cave = e.detail.cave;
+    if (this.table !== undefined && this.cave.name === cave.name) {
+      // the station positions have changed
+      this.hideAllShots();
+      this.table.replaceData(this.#getTableData());
+    }
+  }
+
+  show() {
+    this.panel.style.display = 'block';
+  }
+
+  closeEditor() {
+    this.closed = true;
+
+    if (this.table !== undefined) {
+      this.hideAllShots();
+      this.table.destroy();
+      this.table = undefined;
+    }
+  }
+
+  setupPanel() {
+    // Defensive default in case the saved config predates this panel.
+    if (!this.options.ui.editor.blunders) {
+      this.options.ui.editor.blunders = { height: 300, width: 800, columnWidths: {} };
+    }
+    wm.makeFloatingPanel(
+      this.panel,
+      (contentElmnt) => this.build(contentElmnt),
+      () => i18n.t('ui.editors.blunders.title', { name: this.cave.name }),
+      true,
+      true,
+      this.options.ui.editor.blunders,
+      () => this.closeEditor(),
+      () => {
+        const h = this.panel.offsetHeight - 100;
+        this.table.setHeight(h);
+      },
+      () => this.table.redraw()
+    );
+  }
+
+  build(contentElmnt) {
+    this.#setupButtons(contentElmnt);
+    this.#setupTable(contentElmnt);
+  }
+
+  #setupButtons(contentElmnt) {
+    this.iconBar = new IconBar(contentElmnt);
+    IconBar.getBlunderButtons(() => this.hideAllShots()).forEach((button) => this.iconBar.addButton(button));
+  }
+
+  #getTableData() {
+    const paths = SectionHelper.getCycles(SectionHelper.getGraph(this.cave)).map((c) => [...c.path, c.path[0]]);
+    const tolerance = this.options.calculation?.backsightTolerance;
+    return CycleUtil.findBlunders(paths, this.cave.stations, undefined, tolerance).map((b, index) => ({
+      id          : index + 1,
+      highlighted : false,
+      shot        : b.shot,
+      survey      : b.survey,
+      surveyName  : b.survey.name,
+      from        : b.shot.from,
+      to          : b.shot.to,
+      type        : b.type,
+      suggestion  : this.#getSuggestion(b),
+      loopCount   : b.loopCount,
+      errorBefore : b.errorBefore,
+      errorAfter  : b.errorAfter,
+      reduction   : b.reductionRatio * 100
+    }));
+  }
+
+  #getSuggestion(blunder) {
+    if (blunder.type === BlunderType.LENGTH_TRANSPOSITION) {
+      return i18n.t('ui.editors.blunders.types.lengthTransposition', {
+        from : blunder.shot.length,
+        to   : blunder.length
+      });
+    }
+    return i18n.t(`ui.editors.blunders.types.${blunder.type}`);
+  }
+
+  #getColumns() {
+    const getDUnits = () => this.options?.format?.units ?? DEFAULT_UNITS;
+    const lengthFmt = (cell) => {
+      const v = cell.getValue();
+      if (typeof v !== 'number' || isNaN(v)) return '';
+      const u = getDUnits().length;
+      return `${U.formatFloat(U.convertLengthFromMeters(v, u), 3)} ${i18n.t(`ui.units.short.${u}`)}`;
+    };
+
+    return [
+      {
+        width     : 25,
+        field     : 'highlighted',
+        formatter : 'tickCross',
+        cellClick : (_e, cell) => this.toggleHighlight(cell)
+      },
+      {
+        title      : i18n.t('ui.editors.blunders.columns.rank'),
+        field      : 'id',
+        bottomCalc : 'count'
+      },
+      {
+        title        : i18n.t('ui.editors.blunders.columns.survey'),
+        field        : 'surveyName',
+        headerFilter : 'input'
+      },
+      {
+        title        : i18n.t('ui.editors.blunders.columns.from'),
+        field        : 'from',
+        headerFilter : 'input'
+      },
+      {
+        title        : i18n.t('ui.editors.blunders.columns.to'),
+        field        : 'to',
+        headerFilter : 'input'
+      },
+      {
+        title              : i18n.t('ui.editors.blunders.columns.suggestion'),
+        field              : 'suggestion',
+        headerFilter       : 'list',
+        headerFilterParams : { valuesLookup: true, clearable: true }
+      },
+      {
+        title  : i18n.t('ui.editors.blunders.columns.loopCount'),
+        field  : 'loopCount',
+        sorter : 'number'
+      },
+      {
+        title     : i18n.t('ui.editors.blunders.columns.errorBefore'),
+        field     : 'errorBefore',
+        formatter : lengthFmt,
+        sorter    : 'number'
+      },
+      {
+        title     : i18n.t('ui.editors.blunders.columns.errorAfter'),
+        field     : 'errorAfter',
+        formatter : lengthFmt,
+        sorter    : 'number'
+      },
+      {
+        title     : i18n.t('ui.editors.blunders.columns.reduction'),
+        field     : 'reduction',
+        formatter : (cell) => U.formatFloat(cell.getValue(), 1) + ' %',
+        sorter    : 'number'
+      }
+    ];
+  }
+
+  #getContextMenu() {
+    return [
+      {
+        label  : i18n.t('ui.editors.blunders.contextMenu.highlight'),
+        action : (_e, row) => {
+          this.showShot(row.getData());
+          row.update({ highlighted: true });
+        }
+      },
+      {
+        label  : i18n.t('ui.editors.blunders.contextMenu.hide'),
+        action : (_e, row) => {
+          this.hideShot(row.getData().id);
+          row.update({ highlighted: false });
+        }
+      }
+    ];
+  }
+
+  #setupTable(contentElmnt) {
+    contentElmnt.appendChild(U.node`<div id="blunder-table"></div>`);
+    // eslint-disable-next-line no-undef
+    this.table = new Tabulator('#blunder-table', {
+      height         : this.options.ui.editor.blunders.height - 36 - 48 - 5, // header + iconbar
+      data           : this.#getTableData(),
+      layout         : 'fitDataStretch',
+      reactiveData   : false,
+      rowContextMenu : this.#getContextMenu(),
+      placeholder    : i18n.t('ui.editors.blunders.noSuspects'),
+      columnDefaults : {
+        headerSort     : true,
+        headerHozAlign : 'center',
+        resizable      : 'header'
+      },
+      columns : this.#getColumns()
+    });
+
+    this.table.on('columnResized', (column) => {
+      const field = column.getField();
+      if (field) {
+        const columnWidths = { ...(this.options.ui.editor.blunders.columnWidths ?? {}) };
+        columnWidths[field] = column.getWidth();
+        this.options.ui.editor.blunders.columnWidths = columnWidths;
+      }
+    });
+
+    this.table.on('tableBuilt', () => {
+      const savedWidths = this.options.ui.editor.blunders.columnWidths;
+      if (savedWidths) {
+        this.#getColumns().forEach((column) => {
+          if (column.field && savedWidths[column.field] !== undefined) {
+            this.table.getColumn(column.field)?.setWidth(savedWidths[column.field]);
+          }
+        });
+      }
+    });
+  }
+
+  toggleHighlight(cell) {
+    const data = cell.getData();
+    cell.setValue(!cell.getValue());
+    if (cell.getValue() === true) {
+      this.showShot(data);
+    } else {
+      this.hideShot(data.id);
+    }
+  }
+
+  showShot(data) {
+    const from = this.cave.stations.get(data.survey.getFromStationName(data.shot));
+    const to = this.cave.stations.get(data.survey.getToStationName(data.shot));
+    if (from === undefined || to === undefined) return;
+    const fp = from.position;
+    const tp = to.position;
+    this.scene.segments.showSegmentsTube(
+      `blunder-${data.id}`,
+      `blunder-${data.id}`,
+      [fp.x, fp.y, fp.z, tp.x, tp.y, tp.z],
+      '#ff0000',
+      this.cave.name
+    );
+  }
+
+  hideShot(id) {
+    this.scene.segments.disposeSegmentsTube(`blunder-${id}`);
+  }
+
+  hideAllShots() {
+    const highlighted = this.table.getData().filter((r) => r.highlighted);
+    highlighted.forEach((r) => this.hideShot(r.id));
+    if (highlighted.length > 0) {
+      this.table.updateData(highlighted.map((r) => ({ id: r.id, highlighted: false })));
+    }
+  }
+}
+
+export { BlunderPanel };
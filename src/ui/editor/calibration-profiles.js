@@ -0,0 +1,398 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { BaseEditor } from './base.js';
+import { wm } from '../window.js';
+import * as U from '../../utils/utils.js';
+import { i18n } from '../../i18n/i18n.js';
+import { CalibrationProfile } from '../../model/survey.js';
+import { IconBar } from './iconbar.js';
+import { showErrorPanel } from '../popups.js';
+
+/**
+ * Table editor for the calibration profiles of the current project. The profiles are stored
+ * in the project and the caves are recalculated after the profiles have been updated.
+ */
+class CalibrationProfilesEditor extends BaseEditor {
+
+  constructor(options, projectSystem, panel) {
+    super(panel);
+    this.options = options;
+    this.projectSystem = projectSystem;
+    this.project = projectSystem.getCurrentProject();
+    this.modified = false;
+  }
+
+  setupPanel() {
+    // Defensive default in case the saved config predates this editor.
+    if (!this.options.ui.editor.calibrationProfiles) {
+      this.options.ui.editor.calibrationProfiles = { height: 320, width: 900, columnWidths: {} };
+    }
+    wm.makeFloatingPanel(
+      this.panel,
+      (contentElmnt, close) => this.build(contentElmnt, close),
+      () => i18n.t('ui.editors.calibrationProfiles.title', { name: this.project.name }),
+      true,
+      true,
+      this.options.ui.editor.calibrationProfiles,
+      () => {
+        this.closeEditor();
+      },
+      () => {
+        const h = this.panel.offsetHeight - 100;
+        this.table.setHeight(h);
+      },
+      () => {
+        if (this.table) {
+          this.table.redraw(true);
+        }
+      }
+    );
+  }
+
+  build(contentElmnt, close) {
+    this.setupButtons(contentElmnt, close);
+    this.setupTable(contentElmnt);
+  }
+
+  setupButtons(contentElmnt, close) {
+    this.iconBar = new IconBar(contentElmnt);
+
+    const rcIC = this.iconBar.getRowCountInputContainer();
+    const commonButtons = IconBar.getCommonButtons(() => this.table, {
+      getEmptyRow            : () => this.getEmptyRow(),
+      rowCountInputContainer : rcIC
+    });
+    commonButtons.forEach((button) => this.iconBar.addButton(button));
+    this.iconBar.addRowCountInput(rcIC);
+    this.iconBar.addButton(IconBar.getDeleteButton(() => this.table));
+
+    const profilesButtons = IconBar.getCalibrationProfilesButtons(
+      () => this.validateProfiles(),
+      () => this.updateProfiles(),
+      () => this.cancelProfiles(close)
+    );
+    profilesButtons.forEach((button) => this.iconBar.addButton(button));
+
+    const exportButton = IconBar.getExportButton(() => this.table, this.project.name + ' - calibration-profiles.csv');
+    exportButton.forEach((button) => this.iconBar.addButton(button));
+  }
+
+  getTableData() {
+    const rowsToBe = this.project.calibrationProfiles.map((p) => ({
+      id               : p.id,
+      status           : 'ok',
+      message          : i18n.t('ui.editors.base.status.ok'),
+      name             : p.name,
+      tapeOffset       : p.tapeOffset,
+      compassZeroError : p.compassZeroError,
+      clinoZeroError   : p.clinoZeroError,
+      scaleFactor      : p.scaleFactor,
+      validFrom        : p.validFrom !== undefined ? U.formatDateISO(p.validFrom) : undefined,
+      validTo          : p.validTo !== undefined ? U.formatDateISO(p.validTo) : undefined
+    }));
+
+    const rowsToUpdate = this.getValidationUpdates(rowsToBe);
+    rowsToUpdate.forEach((u) => (rowsToBe[rowsToBe.findIndex((r) => r.id === u.id)] = u));
+
+    return rowsToBe;
+  }
+
+  static #rowToProfile(r) {
+    const num = (v) => {
+      if (v === undefined || v === null || v === '') return undefined;
+      return typeof v === 'number' ? v : U.parseMyFloat(v);
+    };
+    const date = (v) => (v === undefined || v === null || v === '' ? undefined : new Date(v));
+    return new CalibrationProfile(
+      r.id,
+      typeof r.name === 'string' ? r.name.trim() : r.name,
+      num(r.tapeOffset),
+      num(r.compassZeroError),
+      num(r.clinoZeroError),
+      num(r.scaleFactor),
+      date(r.validFrom),
+      date(r.validTo)
+    );
+  }
+
+  getNewProfiles() {
+    return this.table.getData().map((r) => CalibrationProfilesEditor.#rowToProfile(r));
+  }
+
+  getEmptyRow() {
+    return {
+      id               : CalibrationProfile.generateId(),
+      status           : 'incomplete',
+      message          : i18n.t('ui.editors.base.message.incomplete'),
+      name             : undefined,
+      tapeOffset       : 0,
+      compassZeroError : 0,
+      clinoZeroError   : 0,
+      scaleFactor      : 1,
+      validFrom        : undefined,
+      validTo          : undefined
+    };
+  }
+
+  /**
+   * Validates the rows and shows the problems
+   * @returns {boolean} True if all the rows are valid
+   */
+  validateProfiles() {
+    const data = this.table.getData();
+    const rowsToUpdated = this.getValidationUpdates(data);
+    if (rowsToUpdated.length > 0) {
+      this.table.updateData(rowsToUpdated);
+    }
+    const badRowIds = this.table
+      .getData()
+      .filter((r) => ['invalid', 'incomplete'].includes(r.status))
+      .map((r) => `${i18n.t('ui.editors.calibrationProfiles.columns.name')}: ${r.name ?? ''}`);
+    if (badRowIds.length > 0) {
+      this.showAlert(
+        i18n.t('ui.editors.base.message.invalidRowWithIds', {
+          nrBadRows : badRowIds.length,
+          badRowIds : badRowIds.slice(0, 15).join(', ')
+        }) +
+          '<br>' +
+          i18n.t('ui.editors.common.error.checkWarningIcon')
+      );
+    }
+    return badRowIds.length === 0;
+  }
+
+  getValidationUpdates(data) {
+    const rowsToUpdated = [];
+    const existingNames = new Set();
+
+    const columnName = (field) => i18n.t('ui.editors.calibrationProfiles.columns.' + field);
+    const errorMessages = {
+      notNumeric  : (field) => i18n.t('ui.editors.calibrationProfiles.message.notNumeric', { field: columnName(field) }),
+      notPositive : (field) =>
+        i18n.t('ui.editors.calibrationProfiles.message.notPositive', { field: columnName(field) }),
+      invalidDate : (field) =>
+        i18n.t('ui.editors.calibrationProfiles.message.invalidDate', { field: columnName(field) }),
+      invalidRange : () => i18n.t('ui.editors.calibrationProfiles.message.invalidRange')
+    };
+
+    data.forEach((r) => {
+      const profile = CalibrationProfilesEditor.#rowToProfile(r);
+      const incompleteFields = profile.getEmptyFields();
+      const validationErrors = profile.validate().map(({ type, field }) => errorMessages[type](field));
+
+      if (profile.name && existingNames.has(profile.name)) {
+        validationErrors.push(i18n.t('ui.editors.calibrationProfiles.message.duplicateName', { name: profile.name }));
+      }
+      if (profile.name) existingNames.add(profile.name);
+
+      let newStatus = 'ok';
+      let newMessage;
+      if (validationErrors.length > 0) {
+        newStatus = 'invalid';
+        newMessage = validationErrors.join('; ');
+      } else if (incompleteFields.length > 0) {
+        newStatus = 'incomplete';
+        newMessage = i18n.t('ui.editors.calibrationProfiles.message.missingFields', {
+          fields : incompleteFields.map((f) => columnName(f)).join(',')
+        });
+      }
+
+      if (newStatus !== r.status || (newStatus !== 'ok' && newMessage !== r.message)) {
+        rowsToUpdated.push({ ...r, status: newStatus, message: newMessage });
+      }
+    });
+    return rowsToUpdated;
+  }
+
+  cancelProfiles(wmCloseFn) {
+    this.modified = false;
+    wmCloseFn();
+  }
+
+  async updateProfiles() {
+    // invalid corrections would break the station calculation of every survey using the profile
+    if (!this.modified || !this.validateProfiles()) {
+      return;
+    }
+
+    const oldProfiles = this.project.calibrationProfiles;
+    this.project.calibrationProfiles = this.getNewProfiles();
+    try {
+      await this.projectSystem.saveProject(this.project);
+    } catch (error) {
+      console.error(error);
+      this.project.calibrationProfiles = oldProfiles;
+      showErrorPanel(i18n.t('ui.editors.calibrationProfiles.message.saveFailed', { error: error.message }));
+      return;
+    }
+    this.modified = false;
+    this.#emitCalibrationProfilesChanged();
+  }
+
+  getColumns() {
+    const statusIcon = (cell) => {
+      const data = cell.getData();
+      if (data.status === 'ok') {
+        return '<div class="ok-row"></div>';
+      } else {
+        return '<div class="warning-row"></div>';
+      }
+    };
+    const countBadRows = (_values, data) => {
+      const cnt = data.filter((v) => v.status !== 'ok').length;
+      return `${cnt}`;
+    };
+
+    const columnTitle = (key) => i18n.t('ui.editors.calibrationProfiles.columns.' + key);
+    const numberColumn = (field) => ({
+      title  : columnTitle(field),
+      field  : field,
+      width  : 120,
+      editor : 'input'
+    });
+    const dateColumn = (field) => ({
+      title  : columnTitle(field),
+      field  : field,
+      width  : 130,
+      editor : 'date'
+    });
+
+    return [
+      {
+        width             : 25,
+        title             : '',
+        field             : 'status',
+        editor            : false,
+        download          : false,
+        accessorClipboard : (value) => value,
+        formatter         : statusIcon,
+        clickPopup        : function (x, cell) {
+          const message = cell.getData().message;
+          return message === undefined ? i18n.t('ui.editors.survey.status.ok') : message;
+        },
+        validator          : ['required'],
+        bottomCalc         : countBadRows,
+        headerFilter       : 'list',
+        headerFilterParams : { valuesLookup: true, clearable: true }
+      },
+      {
+        title        : columnTitle('name'),
+        field        : 'name',
+        width        : 200,
+        editor       : 'input',
+        validator    : ['required'],
+        headerFilter : 'input',
+        bottomCalc   : 'count'
+      },
+      numberColumn('tapeOffset'),
+      numberColumn('compassZeroError'),
+      numberColumn('clinoZeroError'),
+      numberColumn('scaleFactor'),
+      dateColumn('validFrom'),
+      dateColumn('validTo')
+    ];
+  }
+
+  setupTable(contentElmnt) {
+    const tableContainer = U.node`<div id="calibration-profiles-table"></div>`;
+    contentElmnt.appendChild(tableContainer);
+
+    // eslint-disable-next-line no-undef
+    this.table = new Tabulator(tableContainer, {
+      data                      : this.getTableData(),
+      history                   : true,
+      height                    : this.options.ui.editor.calibrationProfiles.height - 36 - 48 - 5, // header + iconbar
+      layout                    : 'fitDataStretch',
+      columns                   : this.getColumns(),
+      selectableRange           : 1,
+      selectableRangeColumns    : true,
+      selectableRangeRows       : true,
+      selectableRangeClearCells : true,
+
+      editTriggerEvent : 'dblclick',
+
+      clipboard           : true,
+      clipboardCopyStyled : false,
+      clipboardCopyConfig : {
+        rowHeaders    : false,
+        columnHeaders : false,
+        columnCalcs   : false,
+        formatCells   : false
+      },
+      clipboardCopyRowRange : 'range',
+      clipboardPasteParser  : 'range',
+      clipboardPasteAction  : 'range',
+      rowHeader             : {
+        formatter : 'rownum',
+        hozAlign  : 'center',
+        resizable : true,
+        frozen    : true,
+        editor    : false,
+        width     : 50
+      },
+      columnDefaults : {
+        headerSort     : false,
+        headerHozAlign : 'center',
+        resizable      : 'header'
+      },
+      rowFormatter : function (row) {
+        const rowData = row.getData();
+
+        if (rowData.status === 'invalid') {
+          row.getElement().style.backgroundColor = '#b99922';
+        }
+      }
+    });
+
+    this.table.on('dataChanged', () => {
+      this.modified = true;
+    });
+
+    this.setupCustomEditMode(['name']);
+
+    this.table.on('columnResized', (column) => {
+      const field = column.getField();
+      if (field) {
+        const columnWidths = { ...(this.options.ui.editor.calibrationProfiles.columnWidths ?? {}) };
+        columnWidths[field] = column.getWidth();
+        this.options.ui.editor.calibrationProfiles.columnWidths = columnWidths;
+      }
+    });
+
+    this.table.on('tableBuilt', () => {
+      const savedWidths = this.options.ui.editor.calibrationProfiles.columnWidths;
+      if (savedWidths) {
+        this.getColumns().forEach((column) => {
+          if (column.field && savedWidths[column.field] !== undefined) {
+            this.table.getColumn(column.field)?.setWidth(savedWidths[column.field]);
+          }
+        });
+      }
+    });
+  }
+
+  closeEditor() {
+    this.updateProfiles();
+    super.closeEditor();
+  }
+
+  #emitCalibrationProfilesChanged() {
+    document.dispatchEvent(new CustomEvent('calibrationProfilesChanged', { detail: { project: this.project } }));
+  }
+}
+
+export { CalibrationProfilesEditor };
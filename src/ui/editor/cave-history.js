@@ -0,0 +1,287 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as U from '../../utils/utils.js';
+import { wm } from '../window.js';
+import { DEFAULT_UNITS } from '../../model/survey.js';
+import { SurveyHelper } from '../../survey.js';
+import { CaveDiff, CaveChangeType } from '../../utils/cave-diff.js';
+import { showErrorPanel } from '../popups.js';
+import { i18n } from '../../i18n/i18n.js';
+
+/**
+ * Lists the saved versions of a cave, shows the changes made since a version and restores it
+ */
+class CaveHistoryPanel {
+
+  constructor(options, panel, projectSystem, cave) {
+    this.options = options;
+    this.panel = panel;
+    this.projectSystem = projectSystem;
+    this.caveSystem = projectSystem.caveSystem;
+    this.cave = cave;
+  }
+
+  show() {
+    this.panel.style.display = 'block';
+  }
+
+  closeEditor() {
+    this.closed = true;
+
+    [this.versionsTable, this.changesTable].forEach((table) => table?.destroy());
+    this.versionsTable = undefined;
+    this.changesTable = undefined;
+  }
+
+  setupPanel() {
+    // Defensive default in case the saved config predates this panel.
+    if (!this.options.ui.editor.caveHistory) {
+      this.options.ui.editor.caveHistory = { height: 500, width: 800, columnWidths: {} };
+    }
+    wm.makeFloatingPanel(
+      this.panel,
+      (contentElmnt) => this.build(contentElmnt),
+      () => i18n.t('ui.editors.caveHistory.title', { name: this.cave.name }),
+      true,
+      true,
+      this.options.ui.editor.caveHistory,
+      () => this.closeEditor(),
+      () => {
+        const h = this.#getTableHeight(this.panel.offsetHeight);
+        this.versionsTable.setHeight(h);
+        this.changesTable.setHeight(h);
+      },
+      () => {
+        this.versionsTable.redraw();
+        this.changesTable.redraw();
+      }
+    );
+  }
+
+  build(contentElmnt) {
+    contentElmnt.appendChild(U.node`<div id="cave-history-versions-table"></div>`);
+    contentElmnt.appendChild(U.node`<div class="cave-history-changes-title"></div>`);
+    contentElmnt.appendChild(U.node`<div id="cave-history-changes-table"></div>`);
+    this.changesTitle = contentElmnt.querySelector('.cave-history-changes-title');
+    this.#setupVersionsTable();
+    this.#setupChangesTable();
+    this.#loadVersions();
+  }
+
+  #getTableHeight(panelHeight) {
+    return (panelHeight - 36 - 30) / 2; // header + changes title
+  }
+
+  async #loadVersions() {
+    try {
+      const versions = await this.caveSystem.getCaveVersions(this.cave.id);
+      this.versionsTable?.replaceData(
+        versions.map((v) => ({
+          id       : v.id,
+          savedAt  : new Date(v.savedAt).toLocaleString(),
+          revision : v.revision,
+          name     : v.name,
+          surveys  : v.surveys,
+          shots    : v.shots
+        }))
+      );
+    } catch (error) {
+      console.error(error);
+      showErrorPanel(error.message);
+    }
+  }
+
+  #setupVersionsTable() {
+    // eslint-disable-next-line no-undef
+    this.versionsTable = new Tabulator('#cave-history-versions-table', {
+      height         : this.#getTableHeight(this.options.ui.editor.caveHistory.height),
+      data           : [],
+      layout         : 'fitDataStretch',
+      reactiveData   : false,
+      placeholder    : i18n.t('ui.editors.caveHistory.noVersions'),
+      rowContextMenu : [
+        {
+          label  : i18n.t('ui.editors.caveHistory.contextMenu.showChanges'),
+          action : (_e, row) => this.showChanges(row.getData())
+        },
+        {
+          label  : i18n.t('ui.editors.caveHistory.contextMenu.restore'),
+          action : (_e, row) => this.restore(row.getData())
+        }
+      ],
+      columnDefaults : {
+        headerSort     : false,
+        headerHozAlign : 'center',
+        resizable      : 'header'
+      },
+      columns : [
+        { title: i18n.t('ui.editors.caveHistory.columns.savedAt'), field: 'savedAt' },
+        { title: i18n.t('ui.editors.caveHistory.columns.revision'), field: 'revision' },
+        { title: i18n.t('ui.editors.caveHistory.columns.name'), field: 'name' },
+        { title: i18n.t('ui.editors.caveHistory.columns.surveys'), field: 'surveys' },
+        { title: i18n.t('ui.editors.caveHistory.columns.shots'), field: 'shots' }
+      ]
+    });
+    this.versionsTable.on('rowClick', (_e, row) => this.showChanges(row.getData()));
+    this.#persistColumnWidths(this.versionsTable);
+  }
+
+  #setupChangesTable() {
+    const getDUnits = () => this.options?.format?.units ?? DEFAULT_UNITS;
+    const lengthFmt = (v) => {
+      const u = getDUnits().length;
+      return `${U.formatFloat(U.convertLengthFromMeters(v, u), 3)} ${i18n.t(`ui.units.short.${u}`)}`;
+    };
+
+    // eslint-disable-next-line no-undef
+    this.changesTable = new Tabulator('#cave-history-changes-table', {
+      height         : this.#getTableHeight(this.options.ui.editor.caveHistory.height),
+      data           : [],
+      layout         : 'fitDataStretch',
+      reactiveData   : false,
+      placeholder    : i18n.t('ui.editors.caveHistory.noChanges'),
+      columnDefaults : {
+        headerSort     : true,
+        headerHozAlign : 'center',
+        resizable      : 'header'
+      },
+      columns : [
+        {
+          title              : i18n.t('ui.editors.caveHistory.columns.change'),
+          field              : 'change',
+          headerFilter       : 'list',
+          headerFilterParams : { valuesLookup: true, clearable: true }
+        },
+        { title: i18n.t('ui.editors.caveHistory.columns.survey'), field: 'survey', headerFilter: 'input' },
+        { title: i18n.t('ui.editors.caveHistory.columns.item'), field: 'item', headerFilter: 'input' },
+        {
+          title     : i18n.t('ui.editors.caveHistory.columns.details'),
+          field     : 'details',
+          formatter : (cell) => {
+            const data = cell.getData();
+            return data.distance !== undefined ? lengthFmt(data.distance) : (cell.getValue() ?? '');
+          }
+        }
+      ]
+    });
+    this.#persistColumnWidths(this.changesTable);
+  }
+
+  #persistColumnWidths(table) {
+    table.on('columnResized', (column) => {
+      const field = column.getField();
+      if (field) {
+        const columnWidths = { ...(this.options.ui.editor.caveHistory.columnWidths ?? {}) };
+        columnWidths[field] = column.getWidth();
+        this.options.ui.editor.caveHistory.columnWidths = columnWidths;
+      }
+    });
+
+    table.on('tableBuilt', () => {
+      const savedWidths = this.options.ui.editor.caveHistory.columnWidths;
+      if (savedWidths) {
+        table.getColumns().forEach((column) => {
+          const field = column.getField();
+          if (field && savedWidths[field] !== undefined) {
+            column.setWidth(savedWidths[field]);
+          }
+        });
+      }
+    });
+  }
+
+  async #loadVersion(versionId) {
+    const version = await this.caveSystem.loadCaveVersion(versionId);
+    version.stations = SurveyHelper.calculateCaveStations(
+      version,
+      this.options.calculation.adjustment,
+      this.options.calculation.backsightTolerance,
+      this.projectSystem.getCurrentProject()?.calibrationProfiles ?? []
+    );
+    return version;
+  }
+
+  async showChanges(data) {
+    try {
+      const version = await this.#loadVersion(data.id);
+      const changes = CaveDiff.diff(version, this.cave);
+      this.changesTitle.textContent = i18n.t('ui.editors.caveHistory.changesSince', {
+        date     : data.savedAt,
+        revision : data.revision
+      });
+      this.changesTable?.replaceData(changes.map((c, index) => this.#getChangeRow(c, index)));
+    } catch (error) {
+      console.error(error);
+      showErrorPanel(i18n.t('ui.editors.caveHistory.errors.diffFailed', { error: error.message }));
+    }
+  }
+
+  #getChangeRow(change, index) {
+    const shotName = (shot) => `${shot.from} → ${shot.to ?? ''}`;
+    const row = {
+      id     : index,
+      change : i18n.t(`ui.editors.caveHistory.changes.${change.type}`),
+      survey : change.survey ?? ''
+    };
+    switch (change.type) {
+      case CaveChangeType.SURVEY_ADDED:
+      case CaveChangeType.SURVEY_REMOVED:
+        row.item = '';
+        row.details = i18n.t('ui.editors.caveHistory.shotCount', { count: change.shots });
+        break;
+      case CaveChangeType.SHOT_ADDED:
+      case CaveChangeType.SHOT_REMOVED:
+        row.item = shotName(change.shot);
+        row.details = `${change.shot.length} / ${change.shot.azimuth} / ${change.shot.clino}`;
+        break;
+      case CaveChangeType.SHOT_CHANGED:
+        row.item = shotName(change.shot);
+        row.details = change.fields.map((f) => `${f.field}: ${f.oldValue ?? ''} → ${f.newValue ?? ''}`).join(', ');
+        break;
+      case CaveChangeType.STATION_MOVED:
+        row.item = change.station;
+        row.distance = change.distance;
+        break;
+      default:
+        row.item = change.station;
+        row.details = '';
+    }
+    return row;
+  }
+
+  async restore(data) {
+    if (!confirm(i18n.t('ui.editors.caveHistory.confirmRestore', { name: this.cave.name, date: data.savedAt }))) {
+      return;
+    }
+    try {
+      const version = await this.caveSystem.loadCaveVersion(data.id);
+      document.dispatchEvent(
+        new CustomEvent('caveRestored', {
+          detail : {
+            cave    : version,
+            current : this.cave
+          }
+        })
+      );
+    } catch (error) {
+      console.error(error);
+      showErrorPanel(i18n.t('ui.editors.caveHistory.errors.restoreFailed', { error: error.message }));
+    }
+  }
+}
+
+export { CaveHistoryPanel };
@@ -20,11 +20,13 @@ import { DEFAULT_UNITS } from '../../model/survey.js';
 import { wm } from '../window.js';
 import { showErrorPanel } from '../popups.js';
 import { Editor } from './base.js';
-import { UTMConverter } from '../../utils/geo.js';
+import { UTMConverter, WGS84Converter } from '../../utils/geo.js';
+import { EPSGRegistry } from '../../utils/projection.js';
 import {
   GeoData,
   EOVCoordinateWithElevation,
   UTMCoordinateWithElevation,
+  ProjectedCoordinateWithElevation,
   EOVCoordinateSystem,
   UTMCoordinateSystem,
   StationWithCoordinate,
@@ -125,7 +127,10 @@ class CaveEditor extends Editor {
       coordinateSystem : this.cave?.geoData?.coordinateSystem,
       coordinates      :
         this.cave?.geoData?.coordinates.map((c) => {
-          if (this.cave?.geoData?.coordinateSystem?.type === CoordinateSystemType.UTM) {
+          if (
+            this.cave?.geoData?.coordinateSystem?.type === CoordinateSystemType.UTM ||
+            this.cave?.geoData?.coordinateSystem?.type === CoordinateSystemType.PROJECTED
+          ) {
             return {
               name      : c.name,
               easting   : c.coordinate.easting,
@@ -279,6 +284,7 @@ class CaveEditor extends Editor {
          <option valye="none" ${this.caveData.coordinateSystem === undefined ? 'selected' : ''}>${i18n.t('ui.editors.caveSheet.fields.none')}</option>
          <option value="eov" ${this.caveData.coordinateSystem?.type === CoordinateSystemType.EOV ? 'selected' : ''}>EOV</option>
          <option value="utm" ${this.caveData.coordinateSystem?.type === CoordinateSystemType.UTM ? 'selected' : ''}>UTM</option>
+         <option value="projected" ${this.caveData.coordinateSystem?.type === CoordinateSystemType.PROJECTED ? 'selected' : ''}>EPSG</option>
       </select>
       <button style="margin-left: 15px" type="button" id="convert-gps-button">${i18n.t('ui.editors.caveSheet.buttons.convertGPS')}</button>
     </div>`;
@@ -294,10 +300,32 @@ class CaveEditor extends Editor {
       </select>
     </div>`;
 
+    // Projected coordinate system selection (initially hidden), a custom definition is kept as an option
+    const currentCs = this.caveData.coordinateSystem;
+    const customCs =
+      currentCs?.type === CoordinateSystemType.PROJECTED && !EPSGRegistry.has(currentCs.epsgId) ? currentCs : undefined;
+    const projectedDiv = U.node`<div id="projected-selection" style="margin-bottom: 16px; display: ${currentCs?.type === CoordinateSystemType.PROJECTED ? 'block' : 'none'};">
+      <label for="projected-epsg">${i18n.t('ui.editors.caveSheet.fields.projectedSystem')}:</label>
+      <select id="projected-epsg" style="margin-left: 8px;">
+        ${EPSGRegistry.list()
+          .map(
+            (e) =>
+              `<option value="${e.epsgId}" ${currentCs?.epsgId === e.epsgId ? 'selected' : ''}>EPSG:${e.epsgId} - ${e.name}</option>`
+          )
+          .join('')}
+        ${customCs !== undefined ? `<option value="custom" selected>${customCs.toString()}</option>` : ''}
+      </select>
+    </div>`;
+    const getProjectedCs = () => {
+      const value = projectedDiv.querySelector('#projected-epsg').value;
+      return value === 'custom' ? customCs : EPSGRegistry.getCoordinateSystem(parseInt(value));
+    };
+
     this.coordsList = U.node`<div class="coords-list"></div>`;
 
     coordsDiv.appendChild(coordSystemDiv);
     coordsDiv.appendChild(utmZoneDiv);
+    coordsDiv.appendChild(projectedDiv);
     coordsDiv.appendChild(this.coordsList);
     form.appendChild(coordsDiv);
 
@@ -305,10 +333,15 @@ class CaveEditor extends Editor {
     coordSystemDiv.querySelector('#coord-system').onchange = (e) => {
       const isUTM = e.target.value === CoordinateSystemType.UTM;
       utmZoneDiv.style.display = isUTM ? 'block' : 'none';
+      projectedDiv.style.display = e.target.value === CoordinateSystemType.PROJECTED ? 'block' : 'none';
 
       this.caveData.coordinates = [];
 
       switch (e.target.value) {
+        case CoordinateSystemType.PROJECTED:
+          this.caveData.coordinateSystem = getProjectedCs();
+          this.renderCoords();
+          break;
         case CoordinateSystemType.UTM:
           this.caveData.coordinateSystem = new UTMCoordinateSystem(
             parseInt(utmZoneDiv.querySelector('#utm-zone').value),
@@ -331,6 +364,27 @@ class CaveEditor extends Editor {
 
     coordSystemDiv.querySelector('#convert-gps-button').onclick = async () => {
 
+      if (this.caveData.coordinateSystem?.type === CoordinateSystemType.PROJECTED) {
+        try {
+          const coordinates = await new WGS84Dialog().show();
+          const { easting, northing } = WGS84Converter.fromLatLon(
+            coordinates.latitude,
+            coordinates.longitude,
+            this.caveData.coordinateSystem
+          );
+          this.caveData.coordinates.push({
+            name     : '',
+            easting  : U.roundToTwoDecimalPlaces(easting),
+            northing : U.roundToTwoDecimalPlaces(northing)
+          });
+          this.renderCoords();
+          this.caveHasChanged = true;
+        } catch (error) {
+          console.error('WGS84 coordinate input cancelled or failed', error);
+        }
+        return;
+      }
+
       if (this.caveData.coordinateSystem?.type !== CoordinateSystemType.UTM && this.caveData.coordinates.length > 0) {
         showErrorPanel(
           i18n.t('ui.editors.caveSheet.errors.convertGPS', { coordinateSystems: this.caveData.coordinateSystem?.type })
@@ -385,6 +439,13 @@ class CaveEditor extends Editor {
         console.error('WGS84 coordinate input cancelled or failed', error);
       }
     };
+    projectedDiv.querySelector('#projected-epsg').onchange = () => {
+      if (this.caveData.coordinateSystem?.type === CoordinateSystemType.PROJECTED) {
+        this.caveData.coordinateSystem = getProjectedCs();
+        this.caveHasChanged = true;
+      }
+    };
+
     // Handle UTM zone/hemisphere change
     utmZoneDiv.querySelector('#utm-zone').onchange = (e) => {
       if (this.caveData.coordinateSystem.type === CoordinateSystemType.UTM) {
@@ -479,6 +540,13 @@ class CaveEditor extends Editor {
                   U.parseMyFloat(c.elevation)
                 );
                 break;
+              case CoordinateSystemType.PROJECTED:
+                coordinate = new ProjectedCoordinateWithElevation(
+                  U.parseMyFloat(c.easting),
+                  U.parseMyFloat(c.northing),
+                  U.parseMyFloat(c.elevation)
+                );
+                break;
             }
             return new StationWithCoordinate(c.name, coordinate);
           });
@@ -686,6 +754,7 @@ class CaveEditor extends Editor {
 
     switch (this.caveData.coordinateSystem?.type) {
       case CoordinateSystemType.UTM:
+      case CoordinateSystemType.PROJECTED:
         fields.push(
           {
             key         : 'easting',
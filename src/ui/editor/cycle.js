@@ -101,7 +101,11 @@ class CyclePanel {
     const g = SectionHelper.getGraph(this.cave);
     return SectionHelper.getCycles(g).map((c) => {
 
-      const loopError = CycleUtil.calculateCycleError([...c.path, c.path[0]], this.cave.stations);
+      const loopError = CycleUtil.calculateCycleError(
+        [...c.path, c.path[0]],
+        this.cave.stations,
+        this.options.calculation?.backsightTolerance
+      );
 
       return {
         id              : c.id,
@@ -274,7 +278,8 @@ class CyclePanel {
     const loopError = data.error;
     const path = [...data.path, data.path[0]];
     const stations = this.cave.stations;
-    if (CycleUtil.propagateError(path, stations, loopError.error, loopError.totalLength)) {
+    const tolerance = this.options.calculation?.backsightTolerance;
+    if (CycleUtil.propagateError(path, stations, loopError.error, loopError.totalLength, tolerance)) {
       //TODO: we don't know which surveys are affected, so we just recalculate the cave
       // and only recalculates surveys after the affected survey
       this.#emitCaveChanged();
@@ -283,8 +288,9 @@ class CyclePanel {
 
   adjustLoopDeviationShots(data) {
     const path = [...data.path, data.path[0]];
-    const deviationShots = CycleUtil.findLoopDeviationShots(path, this.cave.stations);
-    if (deviationShots.length > 0 && CycleUtil.adjustShots(deviationShots)) {
+    const tolerance = this.options.calculation?.backsightTolerance;
+    const deviationShots = CycleUtil.findLoopDeviationShots(path, this.cave.stations, tolerance);
+    if (deviationShots.length > 0 && CycleUtil.adjustShots(deviationShots, tolerance)) {
       this.#emitCaveChanged();
     }
   }
@@ -348,7 +354,11 @@ class CyclePanel {
   }
 
   showDeviatingShots(path, id) {
-    const deviationShots = CycleUtil.findLoopDeviationShots(path, this.cave.stations);
+    const deviationShots = CycleUtil.findLoopDeviationShots(
+      path,
+      this.cave.stations,
+      this.options.calculation?.backsightTolerance
+    );
     if (deviationShots.length > 0) {
       const segments = [];
       deviationShots.forEach((s) => {
@@ -296,6 +296,43 @@ export class IconBar {
     ];
   }
 
+  // Calibration profiles editor-specific buttons
+  static getCalibrationProfilesButtons(validateProfiles, updateProfiles, cancelProfiles) {
+    return [
+      { separator: true },
+      {
+        id      : 'validate-calibration-profiles',
+        tooltip : i18n.t('ui.editors.calibrationProfiles.buttons.validate'),
+        icon    : 'icons/validate.svg',
+        click   : () => validateProfiles()
+      },
+      {
+        id      : 'update-calibration-profiles',
+        tooltip : i18n.t('ui.editors.calibrationProfiles.buttons.update'),
+        icon    : 'icons/update.svg',
+        click   : () => updateProfiles()
+      },
+      {
+        id      : 'cancel-calibration-profiles',
+        tooltip : i18n.t('ui.editors.base.buttons.cancel'),
+        icon    : 'icons/cancel.svg',
+        click   : () => cancelProfiles()
+      }
+    ];
+  }
+
+  // Blunder detection panel buttons
+  static getBlunderButtons(hideAllShots) {
+    return [
+      {
+        id      : 'hide-all-blunders',
+        tooltip : i18n.t('ui.editors.blunders.buttons.hideAll'),
+        icon    : 'icons/cycle_hide.svg',
+        click   : () => hideAllShots()
+      }
+    ];
+  }
+
   // Cycle-specific buttons
   static getCycleButtons(showAllCycles, hideAllCycles, showAllDeviatingShots, hideAllDeviatingShots) {
     return [
@@ -0,0 +1,393 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as U from '../../utils/utils.js';
+import { wm } from '../window.js';
+import { StationAttribute } from '../../model.js';
+import { ShotType } from '../../model/survey.js';
+import { ExifReader } from '../../io/exif.js';
+import { PhotoMatcher, PhotoMatchMethod } from '../../utils/photo.js';
+import { showErrorPanel, showSuccessPanel } from '../popups.js';
+import { i18n } from '../../i18n/i18n.js';
+
+// duration of the camera flight in milliseconds
+const FLIGHT_DURATION = 600;
+
+function getPhotoAttributes(cave) {
+  return cave.attributes.stationAttributes.filter((sa) => sa.attribute?.name === 'photo');
+}
+
+function flyTo(view, position) {
+  const start = view.target.clone();
+  const startTime = performance.now();
+  const step = (now) => {
+    const t = Math.min(1, (now - startTime) / FLIGHT_DURATION);
+    // ease in and out
+    const s = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+    view.panCameraTo(start.clone().lerp(position, s));
+    if (t < 1) {
+      requestAnimationFrame(step);
+    } else {
+      view.zoomCameraTo(4);
+    }
+  };
+  requestAnimationFrame(step);
+}
+
+/**
+ * Lists the photo attributes of a cave, a click on a photo flies the camera to its station
+ */
+class PhotoGalleryPanel {
+
+  /**
+   * @param {Object} options - The configuration of the application
+   * @param {HTMLElement} panel - The floating panel of the editors
+   * @param {MyScene} scene - The 3D scene
+   * @param {Cave} cave - The cave of the photos
+   */
+  constructor(options, panel, scene, cave) {
+    this.options = options;
+    this.panel = panel;
+    this.scene = scene;
+    this.cave = cave;
+    this._stationAttributesChangedHandler = (e) => this.onStationAttributesChanged(e);
+    document.addEventListener('stationAttributesChanged', this._stationAttributesChangedHandler);
+  }
+
+  onStationAttributesChanged(e) {
+    if (this.gallery !== undefined && e.detail.cave.name === this.cave.name) {
+      this.#render();
+    }
+  }
+
+  show() {
+    this.panel.style.display = 'block';
+  }
+
+  closeEditor() {
+    this.closed = true;
+    this.gallery = undefined;
+    if (this._stationAttributesChangedHandler) {
+      document.removeEventListener('stationAttributesChanged', this._stationAttributesChangedHandler);
+      this._stationAttributesChangedHandler = undefined;
+    }
+  }
+
+  setupPanel() {
+    // Defensive default in case the saved config predates this panel.
+    if (!this.options.ui.editor.photoGallery) {
+      this.options.ui.editor.photoGallery = { height: 500, width: 700 };
+    }
+    wm.makeFloatingPanel(
+      this.panel,
+      (contentElmnt) => this.build(contentElmnt),
+      () => i18n.t('ui.editors.photoGallery.title', { name: this.cave.name }),
+      true,
+      true,
+      this.options.ui.editor.photoGallery,
+      () => this.closeEditor()
+    );
+  }
+
+  build(contentElmnt) {
+    this.gallery = U.node`<div class="photo-gallery"></div>`;
+    contentElmnt.appendChild(this.gallery);
+    this.#render();
+  }
+
+  #render() {
+    this.gallery.innerHTML = '';
+    const photos = getPhotoAttributes(this.cave);
+    if (photos.length === 0) {
+      this.gallery.appendChild(U.node`<div>${i18n.t('ui.editors.photoGallery.noPhotos')}</div>`);
+      return;
+    }
+
+    photos.forEach((sa) => {
+      const { url, author, description } = sa.attribute;
+      const card = U.node`<div class="photo-gallery-card" title="${i18n.t('ui.editors.photoGallery.locate')}">
+        <img loading="lazy" alt="${sa.name}"/>
+        <div class="photo-gallery-station">${sa.name}</div>
+        <div class="photo-gallery-description"></div>
+      </div>`;
+      const img = card.querySelector('img');
+      img.src = url;
+      img.onerror = () => img.classList.add('photo-gallery-broken');
+      card.querySelector('.photo-gallery-description').textContent = [description, author]
+        .filter((v) => v !== undefined && v !== '')
+        .join(' - ');
+      card.onclick = () => this.#locate(sa);
+      this.gallery.appendChild(card);
+    });
+  }
+
+  #locate(sa) {
+    const station = this.cave.stations.get(sa.name);
+    if (station === undefined) {
+      showErrorPanel(i18n.t('ui.editors.photoGallery.stationNotFound', { name: sa.name }));
+      return;
+    }
+    // the photo sprite is shown at the final position of the attribute
+    const position =
+      this.scene.attributes.stationAttributes.get(sa.id)?.position ??
+      this.scene.attributes.calculateAttributePosition(station.position, sa.position, sa.offset);
+    flyTo(this.scene.view, position);
+  }
+}
+
+/**
+ * Imports JPEG photos as photo attributes. The stations are suggested from the EXIF data of the photos
+ * (see PhotoMatcher), the photos must be uploaded to a web server and the url of an attribute is the
+ * base url followed by the file name.
+ */
+class PhotoImportPanel {
+
+  /**
+   * @param {Object} options - The configuration of the application
+   * @param {HTMLElement} panel - The floating panel of the editors
+   * @param {MyScene} scene - The 3D scene
+   * @param {AttributesDefinitions} attributeDefs - The attribute definitions
+   * @param {Cave} cave - The cave of the photos
+   */
+  constructor(options, panel, scene, attributeDefs, cave) {
+    this.options = options;
+    this.panel = panel;
+    this.scene = scene;
+    this.attributeDefs = attributeDefs;
+    this.cave = cave;
+    this.photos = [];
+  }
+
+  show() {
+    this.panel.style.display = 'block';
+  }
+
+  closeEditor() {
+    this.closed = true;
+    this.photos.forEach((p) => URL.revokeObjectURL(p.thumbnail));
+    this.photos = [];
+
+    if (this.table !== undefined) {
+      this.table.destroy();
+      this.table = undefined;
+    }
+  }
+
+  setupPanel() {
+    // Defensive default in case the saved config predates this panel.
+    if (!this.options.ui.editor.photoImport) {
+      this.options.ui.editor.photoImport = { height: 500, width: 900, columnWidths: {} };
+    }
+    wm.makeFloatingPanel(
+      this.panel,
+      (contentElmnt) => this.build(contentElmnt),
+      () => i18n.t('ui.editors.photoImport.title', { name: this.cave.name }),
+      true,
+      true,
+      this.options.ui.editor.photoImport,
+      () => this.closeEditor(),
+      () => {
+        const h = this.panel.offsetHeight - 100 - this.controls.offsetHeight;
+        this.table.setHeight(h);
+      },
+      () => this.table.redraw()
+    );
+  }
+
+  build(contentElmnt) {
+    const t = (key) => i18n.t(`ui.editors.photoImport.${key}`);
+    this.controls = U.node`<div class="photo-import-controls">
+      <label>${t('files')}: <input type="file" id="photo-import-files" accept=".jpg,.jpeg,image/jpeg" multiple/></label>
+      <label>${t('baseUrl')}: <input type="text" id="photo-import-base-url" placeholder="https://" size="40"/></label>
+      <label>${t('author')}: <input type="text" id="photo-import-author" size="15"/></label>
+      <button id="photo-import-button">${t('import')}</button>
+      <div class="photo-import-hint">${t('hint')}</div>
+    </div>`;
+    const fileInput = this.controls.querySelector('#photo-import-files');
+    fileInput.onchange = async () => {
+      await this.#addFiles([...fileInput.files]);
+      fileInput.value = '';
+    };
+    this.controls.querySelector('#photo-import-button').onclick = () => this.#import();
+    contentElmnt.appendChild(this.controls);
+    this.#setupTable(contentElmnt);
+  }
+
+  async #addFiles(files) {
+    // keep the edits of the rows
+    this.photos = this.table.getData();
+    const entries = await Promise.all(
+      files.map(async (file) => {
+        let exif;
+        try {
+          exif = ExifReader.read(await file.arrayBuffer());
+        } catch (err) {
+          console.warn(`Failed to read the EXIF data of ${file.name}`, err);
+        }
+        return { file, exif };
+      })
+    );
+    const suggestions = PhotoMatcher.suggest(
+      this.cave,
+      entries.map((e) => e.exif ?? {})
+    );
+
+    entries.forEach(({ file, exif }, index) => {
+      const suggestion = suggestions[index];
+      this.photos.push({
+        id         : U.randomAlphaNumbericString(6),
+        selected   : suggestion !== undefined,
+        thumbnail  : URL.createObjectURL(file),
+        fileName   : file.name,
+        date       : exif?.date,
+        camera     : [exif?.make, exif?.model].filter((v) => v !== undefined && v !== '').join(' '),
+        latitude   : exif?.latitude,
+        longitude  : exif?.longitude,
+        station    : suggestion?.station,
+        suggestion : suggestion
+      });
+    });
+    this.table.replaceData(this.photos);
+  }
+
+  #getSuggestionText(suggestion) {
+    switch (suggestion?.method) {
+      case PhotoMatchMethod.ENTRANCE:
+        return i18n.t('ui.editors.photoImport.methods.entrance', { distance: U.formatFloat(suggestion.distance, 0) });
+      case PhotoMatchMethod.SURVEY:
+        return i18n.t('ui.editors.photoImport.methods.survey', { survey: suggestion.survey });
+      default:
+        return i18n.t('ui.editors.photoImport.methods.none');
+    }
+  }
+
+  #setupTable(contentElmnt) {
+    const t = (key) => i18n.t(`ui.editors.photoImport.columns.${key}`);
+    const stationNames = [...this.cave.stations.entries()]
+      .filter(([, station]) => station.type === ShotType.CENTER)
+      .map(([name]) => name);
+
+    contentElmnt.appendChild(U.node`<div id="photo-import-table"></div>`);
+    // eslint-disable-next-line no-undef
+    this.table = new Tabulator('#photo-import-table', {
+      height         : this.options.ui.editor.photoImport.height - 36 - 80, // header + controls
+      data           : this.photos,
+      index          : 'id',
+      layout         : 'fitDataStretch',
+      reactiveData   : false,
+      placeholder    : i18n.t('ui.editors.photoImport.noPhotos'),
+      columnDefaults : {
+        headerSort     : true,
+        headerHozAlign : 'center',
+        resizable      : 'header'
+      },
+      columns : [
+        {
+          title     : t('selected'),
+          field     : 'selected',
+          formatter : 'tickCross',
+          hozAlign  : 'center',
+          cellClick : (_e, cell) => cell.setValue(!cell.getValue())
+        },
+        {
+          title      : t('thumbnail'),
+          field      : 'thumbnail',
+          headerSort : false,
+          formatter  : (cell) => `<img src="${cell.getValue()}" class="photo-import-thumbnail"/>`
+        },
+        { title: t('fileName'), field: 'fileName' },
+        {
+          title     : t('date'),
+          field     : 'date',
+          sorter    : (a, b) => (a?.getTime() ?? 0) - (b?.getTime() ?? 0),
+          formatter : (cell) => cell.getValue()?.toLocaleString() ?? ''
+        },
+        { title: t('camera'), field: 'camera' },
+        {
+          title     : t('position'),
+          field     : 'latitude',
+          formatter : (cell) => {
+            const { latitude, longitude } = cell.getData();
+            return latitude === undefined || longitude === undefined
+              ? ''
+              : `${U.formatFloat(latitude, 6)}, ${U.formatFloat(longitude, 6)}`;
+          }
+        },
+        {
+          title        : t('station'),
+          field        : 'station',
+          editor       : 'list',
+          editorParams : { values: stationNames, autocomplete: true, listOnEmpty: true }
+        },
+        {
+          title     : t('suggestion'),
+          field     : 'suggestion',
+          formatter : (cell) => this.#getSuggestionText(cell.getValue())
+        }
+      ]
+    });
+  }
+
+  #import() {
+    const baseUrl = this.controls.querySelector('#photo-import-base-url').value.trim();
+    const author = this.controls.querySelector('#photo-import-author').value.trim();
+    this.photos = this.table.getData();
+    const rows = this.photos.filter((r) => r.selected === true);
+
+    if (rows.length === 0) {
+      showErrorPanel(i18n.t('ui.editors.photoImport.nothingSelected'));
+      return;
+    }
+    if (!/^https?:\/\//i.test(baseUrl)) {
+      showErrorPanel(i18n.t('ui.editors.photoImport.invalidBaseUrl'));
+      return;
+    }
+    const missing = rows.filter((r) => !this.cave.stations.has(r.station));
+    if (missing.length > 0) {
+      showErrorPanel(
+        i18n.t('ui.editors.photoImport.invalidStations', { files: missing.map((r) => r.fileName).join(', ') })
+      );
+      return;
+    }
+
+    const prefix = baseUrl.endsWith('/') ? baseUrl : baseUrl + '/';
+    const existingUrls = new Set(getPhotoAttributes(this.cave).map((sa) => sa.attribute.url));
+    const imported = [];
+    rows.forEach((r) => {
+      const url = prefix + encodeURIComponent(r.fileName);
+      if (existingUrls.has(url)) return;
+      const attribute = this.attributeDefs.createByName('photo')(url, author === '' ? undefined : author, r.fileName);
+      const sa = new StationAttribute(U.randomAlphaNumbericString(6), r.station, attribute, true);
+      this.cave.attributes.stationAttributes.push(sa);
+      this.scene.attributes.showStationAttribute(sa.id, this.cave.stations.get(r.station), attribute, this.cave.name);
+      imported.push(r.id);
+    });
+
+    if (imported.length > 0) {
+      document.dispatchEvent(new CustomEvent('stationAttributesChanged', { detail: { cave: this.cave } }));
+    }
+    this.photos
+      .filter((p) => imported.includes(p.id))
+      .forEach((p) => URL.revokeObjectURL(p.thumbnail));
+    this.photos = this.photos.filter((p) => !imported.includes(p.id));
+    this.table.replaceData(this.photos);
+    showSuccessPanel(
+      i18n.t('ui.editors.photoImport.imported', { count: imported.length, skipped: rows.length - imported.length })
+    );
+  }
+}
+
+export { PhotoGalleryPanel, PhotoImportPanel };
@@ -0,0 +1,404 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as U from '../../utils/utils.js';
+import { wm } from '../window.js';
+import { DEFAULT_UNITS } from '../../model/survey.js';
+import { SurveyQA, QAFindingType, QA_LIMITS } from '../../utils/qa.js';
+import { i18n } from '../../i18n/i18n.js';
+
+// height of the survey summary table, the findings table gets the rest of the panel
+const SURVEY_TABLE_HEIGHT = 150;
+
+// height of the residuals table, it is shown only for caves with least-squares adjustment
+const RESIDUAL_TABLE_HEIGHT = 150;
+
+/**
+ * Shows the QA statistics of the surveys of a cave, the findings and the residuals of the least-squares
+ * adjustment, a click on a finding or a residual opens the survey editor at the offending row
+ */
+class QAPanel {
+
+  /**
+   * @param {Object} options - The configuration of the application
+   * @param {HTMLElement} panel - The floating panel of the editors
+   * @param {Cave} cave - The cave to check
+   * @param {Function} openSurvey - Opens the survey editor with (survey, shotId), shotId is undefined for the
+   * findings of the whole survey
+   */
+  constructor(options, panel, cave, openSurvey) {
+    this.options = options;
+    this.panel = panel;
+    this.cave = cave;
+    this.openSurvey = openSurvey;
+    this._caveRecalculatedHandler = (e) => this.onCaveRecalculated(e);
+    document.addEventListener('caveRecalculated', this._caveRecalculatedHandler);
+  }
+
+  onCaveRecalculated(e) {
+    const cave = e.detail.cave;
+    if (this.findingsTable !== undefined && this.cave.name === cave.name) {
+      this.#refresh();
+    }
+  }
+
+  show() {
+    this.panel.style.display = 'block';
+  }
+
+  closeEditor() {
+    this.closed = true;
+    if (this._caveRecalculatedHandler) {
+      document.removeEventListener('caveRecalculated', this._caveRecalculatedHandler);
+      this._caveRecalculatedHandler = undefined;
+    }
+
+    if (this.findingsTable !== undefined) {
+      this.surveysTable.destroy();
+      this.findingsTable.destroy();
+      this.residualsTable.destroy();
+      this.surveysTable = undefined;
+      this.findingsTable = undefined;
+      this.residualsTable = undefined;
+    }
+  }
+
+  setupPanel() {
+    // Defensive default in case the saved config predates this panel.
+    if (!this.options.ui.editor.qa) {
+      this.options.ui.editor.qa = { height: 500, width: 900, columnWidths: {} };
+    }
+    wm.makeFloatingPanel(
+      this.panel,
+      (contentElmnt) => this.build(contentElmnt),
+      () => i18n.t('ui.editors.qa.title', { name: this.cave.name }),
+      true,
+      true,
+      this.options.ui.editor.qa,
+      () => this.closeEditor(),
+      () => this.#resizeFindingsTable(),
+      () => {
+        this.surveysTable.redraw();
+        this.findingsTable.redraw();
+        this.residualsTable.redraw();
+      }
+    );
+  }
+
+  build(contentElmnt) {
+    this.result = SurveyQA.analyze(this.cave, QA_LIMITS, this.options.calculation?.backsightTolerance);
+    this.summary = U.node`<div class="qa-summary"></div>`;
+    contentElmnt.appendChild(this.summary);
+    this.#updateSummary();
+    this.#setupSurveysTable(contentElmnt);
+    this.#setupFindingsTable(contentElmnt);
+    this.#setupResidualsTable(contentElmnt);
+  }
+
+  #refresh() {
+    this.result = SurveyQA.analyze(this.cave, QA_LIMITS, this.options.calculation?.backsightTolerance);
+    this.#updateSummary();
+    this.surveysTable.replaceData(this.#getSurveysData());
+    this.findingsTable.replaceData(this.#getFindingsData());
+    this.residualsTable.replaceData(this.#getResidualsData());
+    // the adjustment mode may have been changed in the cave sheet
+    this.residualsContainer.style.display = this.result.adjustment === undefined ? 'none' : 'block';
+    this.#resizeFindingsTable();
+  }
+
+  #resizeFindingsTable() {
+    const residualsHeight = this.result.adjustment === undefined ? 0 : RESIDUAL_TABLE_HEIGHT;
+    const h = this.panel.offsetHeight - 100 - SURVEY_TABLE_HEIGHT - residualsHeight - this.summary.offsetHeight;
+    this.findingsTable.setHeight(h);
+  }
+
+  #updateSummary() {
+    const loops = this.result.loops;
+    const adjustment = this.result.adjustment;
+    const lines = [
+      loops.count === 0
+        ? i18n.t('ui.editors.qa.noLoops')
+        : i18n.t('ui.editors.qa.loops', {
+            count : loops.count,
+            mean  : U.formatFloat(loops.mean, 2),
+            max   : U.formatFloat(loops.max, 2)
+          })
+    ];
+    if (adjustment !== undefined) {
+      lines.push(
+        i18n.t('ui.editors.qa.adjustment', {
+          sigma0     : adjustment.sigma0 === undefined ? '-' : U.formatFloat(adjustment.sigma0, 4),
+          redundancy : adjustment.redundancy,
+          shots      : adjustment.shotCount,
+          stations   : adjustment.stationCount,
+          large      : adjustment.residuals.filter((r) => r.large).length
+        })
+      );
+    }
+    this.summary.replaceChildren(
+      ...lines.map((line) => {
+        const div = document.createElement('div');
+        div.textContent = line;
+        return div;
+      })
+    );
+  }
+
+  #getSurveysData() {
+    return [...this.result.surveys.values()].map((s) => ({
+      surveyName   : s.survey.name,
+      shots        : s.shots,
+      stations     : s.stations,
+      splayDensity : s.splayDensity,
+      missingLrud  : s.missingLrud,
+      loops        : s.loops,
+      maxLoopError : s.maxLoopError,
+      units        : s.units,
+      maxResidual  : s.maxResidual,
+      findings     : s.findings
+    }));
+  }
+
+  #getResidualsData() {
+    return (this.result.adjustment?.residuals ?? []).map((r) => ({
+      survey     : r.survey,
+      surveyName : r.survey.name,
+      shotId     : r.shotId,
+      from       : r.from,
+      to         : r.to,
+      residual   : r.residual,
+      normalized : r.normalized,
+      large      : r.large
+    }));
+  }
+
+  #formatResidual(residual) {
+    if (residual === undefined) return '';
+    const u = this.options?.format?.units?.length ?? DEFAULT_UNITS.length;
+    return U.formatFloat(U.convertLengthFromMeters(residual, u), 3) + ' ' + i18n.t(`ui.units.short.${u}`);
+  }
+
+  #getFindingsData() {
+    return this.result.findings.map((f, index) => ({
+      id         : index + 1,
+      survey     : f.survey,
+      surveyName : f.survey.name,
+      shotId     : f.shotId,
+      station    : f.station,
+      type       : i18n.t(`ui.editors.qa.types.${f.type}`),
+      details    : this.#getDetails(f)
+    }));
+  }
+
+  #getDetails(finding) {
+    const p = finding.params;
+    switch (finding.type) {
+      case QAFindingType.LONG_SHOT:
+      case QAFindingType.ZERO_LENGTH_SHOT:
+      case QAFindingType.STEEP_SHOT:
+        return i18n.t('ui.editors.qa.details.shot', {
+          length : p.length,
+          unit   : i18n.t(`ui.units.short.${p.unit}`),
+          clino  : p.clino
+        });
+      case QAFindingType.LOOP_CLOSURE: {
+        const u = this.options?.format?.units?.length ?? DEFAULT_UNITS.length;
+        return i18n.t('ui.editors.qa.details.loopClosure', {
+          error   : U.formatFloat(U.convertLengthFromMeters(p.error, u), 3),
+          length  : U.formatFloat(U.convertLengthFromMeters(p.length, u), 1),
+          unit    : i18n.t(`ui.units.short.${u}`),
+          percent : U.formatFloat(p.percent, 2)
+        });
+      }
+      case QAFindingType.INCONSISTENT_UNITS:
+        return i18n.t('ui.editors.qa.details.inconsistentUnits', { units: p.units, common: p.common });
+      case QAFindingType.LARGE_RESIDUAL:
+        return i18n.t('ui.editors.qa.details.largeResidual', {
+          residual   : this.#formatResidual(p.residual),
+          normalized : U.formatFloat(p.normalized, 1)
+        });
+      default:
+        return '';
+    }
+  }
+
+  #setupSurveysTable(contentElmnt) {
+    contentElmnt.appendChild(U.node`<div id="qa-surveys-table"></div>`);
+    // eslint-disable-next-line no-undef
+    this.surveysTable = new Tabulator('#qa-surveys-table', {
+      height         : SURVEY_TABLE_HEIGHT,
+      data           : this.#getSurveysData(),
+      layout         : 'fitDataStretch',
+      reactiveData   : false,
+      columnDefaults : {
+        headerSort     : true,
+        headerHozAlign : 'center',
+        resizable      : 'header'
+      },
+      columns : [
+        { title: i18n.t('ui.editors.qa.columns.survey'), field: 'surveyName' },
+        { title: i18n.t('ui.editors.qa.columns.shots'), field: 'shots', sorter: 'number' },
+        { title: i18n.t('ui.editors.qa.columns.stations'), field: 'stations', sorter: 'number' },
+        {
+          title     : i18n.t('ui.editors.qa.columns.splayDensity'),
+          field     : 'splayDensity',
+          formatter : (cell) => U.formatFloat(cell.getValue(), 1),
+          sorter    : 'number'
+        },
+        { title: i18n.t('ui.editors.qa.columns.missingLrud'), field: 'missingLrud', sorter: 'number' },
+        { title: i18n.t('ui.editors.qa.columns.loops'), field: 'loops', sorter: 'number' },
+        {
+          title     : i18n.t('ui.editors.qa.columns.maxLoopError'),
+          field     : 'maxLoopError',
+          formatter : (cell) => (cell.getValue() === undefined ? '' : U.formatFloat(cell.getValue(), 2) + ' %'),
+          sorter    : 'number'
+        },
+        { title: i18n.t('ui.editors.qa.columns.units'), field: 'units' },
+        {
+          title     : i18n.t('ui.editors.qa.columns.maxResidual'),
+          field     : 'maxResidual',
+          formatter : (cell) => this.#formatResidual(cell.getValue()),
+          sorter    : 'number'
+        },
+        { title: i18n.t('ui.editors.qa.columns.findings'), field: 'findings', sorter: 'number' }
+      ]
+    });
+
+    // a click on a survey shows only its findings
+    this.surveysTable.on('rowClick', (_e, row) => {
+      this.findingsTable.setHeaderFilterValue('surveyName', row.getData().surveyName);
+    });
+  }
+
+  #setupFindingsTable(contentElmnt) {
+    contentElmnt.appendChild(U.node`<div id="qa-findings-table"></div>`);
+    const columns = [
+      {
+        title        : i18n.t('ui.editors.qa.columns.survey'),
+        field        : 'surveyName',
+        headerFilter : 'input'
+      },
+      {
+        title  : i18n.t('ui.editors.qa.columns.row'),
+        field  : 'shotId',
+        sorter : 'number'
+      },
+      {
+        title        : i18n.t('ui.editors.qa.columns.station'),
+        field        : 'station',
+        headerFilter : 'input'
+      },
+      {
+        title              : i18n.t('ui.editors.qa.columns.type'),
+        field              : 'type',
+        headerFilter       : 'list',
+        headerFilterParams : { valuesLookup: true, clearable: true }
+      },
+      {
+        title : i18n.t('ui.editors.qa.columns.details'),
+        field : 'details'
+      }
+    ];
+
+    const residualsHeight = this.result.adjustment === undefined ? 0 : RESIDUAL_TABLE_HEIGHT;
+    // eslint-disable-next-line no-undef
+    this.findingsTable = new Tabulator('#qa-findings-table', {
+      height         : this.options.ui.editor.qa.height - 36 - SURVEY_TABLE_HEIGHT - residualsHeight - 48 - 5, // header + summary
+      data           : this.#getFindingsData(),
+      layout         : 'fitDataStretch',
+      reactiveData   : false,
+      placeholder    : i18n.t('ui.editors.qa.noFindings'),
+      columnDefaults : {
+        headerSort     : true,
+        headerHozAlign : 'center',
+        resizable      : 'header'
+      },
+      columns : columns
+    });
+
+    this.findingsTable.on('rowClick', (_e, row) => {
+      const data = row.getData();
+      this.openSurvey(data.survey, data.shotId);
+    });
+
+    this.findingsTable.on('columnResized', (column) => {
+      const field = column.getField();
+      if (field) {
+        const columnWidths = { ...(this.options.ui.editor.qa.columnWidths ?? {}) };
+        columnWidths[field] = column.getWidth();
+        this.options.ui.editor.qa.columnWidths = columnWidths;
+      }
+    });
+
+    this.findingsTable.on('tableBuilt', () => {
+      const savedWidths = this.options.ui.editor.qa.columnWidths;
+      if (savedWidths) {
+        columns.forEach((column) => {
+          if (column.field && savedWidths[column.field] !== undefined) {
+            this.findingsTable.getColumn(column.field)?.setWidth(savedWidths[column.field]);
+          }
+        });
+      }
+    });
+  }
+
+  #setupResidualsTable(contentElmnt) {
+    this.residualsContainer = U.node`<div id="qa-residuals-table"></div>`;
+    this.residualsContainer.style.display = this.result.adjustment === undefined ? 'none' : 'block';
+    contentElmnt.appendChild(this.residualsContainer);
+    // eslint-disable-next-line no-undef
+    this.residualsTable = new Tabulator(this.residualsContainer, {
+      height         : RESIDUAL_TABLE_HEIGHT,
+      data           : this.#getResidualsData(),
+      layout         : 'fitDataStretch',
+      reactiveData   : false,
+      initialSort    : [{ column: 'residual', dir: 'desc' }],
+      columnDefaults : {
+        headerSort     : true,
+        headerHozAlign : 'center',
+        resizable      : 'header'
+      },
+      rowFormatter : (row) => {
+        row.getElement().style.color = row.getData().large ? 'red' : '';
+      },
+      columns : [
+        { title: i18n.t('ui.editors.qa.columns.survey'), field: 'surveyName', headerFilter: 'input' },
+        { title: i18n.t('ui.editors.qa.columns.row'), field: 'shotId', sorter: 'number' },
+        { title: i18n.t('ui.editors.qa.columns.from'), field: 'from' },
+        { title: i18n.t('ui.editors.qa.columns.to'), field: 'to' },
+        {
+          title     : i18n.t('ui.editors.qa.columns.residual'),
+          field     : 'residual',
+          formatter : (cell) => this.#formatResidual(cell.getValue()),
+          sorter    : 'number'
+        },
+        {
+          title     : i18n.t('ui.editors.qa.columns.normalizedResidual'),
+          field     : 'normalized',
+          formatter : (cell) => (cell.getValue() === undefined ? '' : U.formatFloat(cell.getValue(), 1) + ' σ'),
+          sorter    : 'number'
+        }
+      ]
+    });
+
+    this.residualsTable.on('rowClick', (_e, row) => {
+      const data = row.getData();
+      this.openSurvey(data.survey, data.shotId);
+    });
+  }
+}
+
+export { QAPanel };
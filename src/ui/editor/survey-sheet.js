@@ -29,7 +29,7 @@ import { createFloatInput } from '../component/input.js';
 
 export class SurveySheetEditor extends BaseEditor {
 
-  constructor(db, cave, survey, panel, declinationCache, options) {
+  constructor(db, cave, survey, panel, declinationCache, options, projectSystem = undefined) {
     super(panel);
     this.panel = panel;
     this.db = db;
@@ -37,6 +37,7 @@ export class SurveySheetEditor extends BaseEditor {
     this.survey = survey;
     this.declinationCache = declinationCache;
     this.options = options;
+    this.projectSystem = projectSystem;
     this.declinationOfficial = survey?.metadata?.declinationReal;
     document.addEventListener('languageChanged', () => this.setupPanel());
   }
@@ -62,16 +63,17 @@ export class SurveySheetEditor extends BaseEditor {
 
     const initialUnits = this.survey?.units ?? this.options?.format?.units ?? DEFAULT_UNITS;
     this.formData = {
-      name        : this.survey?.name || '',
-      start       : this.survey?.start || '',
-      date        : this.survey?.metadata?.date ? U.formatDateISO(this.survey.metadata.date) : '',
-      declination : this.survey?.metadata?.declination ?? '',
-      convergence : this.survey?.metadata?.convergence ?? '',
-      team        : this.survey?.metadata?.team?.name || '',
-      members     : (this.survey?.metadata?.team?.members || []).map((m) => ({ name: m.name, role: m.role })),
-      instruments : (this.survey?.metadata?.instruments || []).map((i) => ({ name: i.name, value: i.value })),
-      lengthUnit  : initialUnits.length,
-      angleUnit   : initialUnits.angle
+      name          : this.survey?.name || '',
+      start         : this.survey?.start || '',
+      date          : this.survey?.metadata?.date ? U.formatDateISO(this.survey.metadata.date) : '',
+      declination   : this.survey?.metadata?.declination ?? '',
+      convergence   : this.survey?.metadata?.convergence ?? '',
+      team          : this.survey?.metadata?.team?.name || '',
+      members       : (this.survey?.metadata?.team?.members || []).map((m) => ({ name: m.name, role: m.role })),
+      instruments   : (this.survey?.metadata?.instruments || []).map((i) => ({ name: i.name, value: i.value })),
+      calibrationId : this.survey?.metadata?.calibrationId ?? '',
+      lengthUnit    : initialUnits.length,
+      angleUnit     : initialUnits.angle
     };
 
     const form = U.node`<form class="editor"></form>`;
@@ -96,6 +98,7 @@ export class SurveySheetEditor extends BaseEditor {
     this.nameHasChanged = false;
     this.declinationOrStartChanged = false;
     this.unitsHaveChanged = false;
+    this.calibrationChanged = false;
 
     // Helper function to create form field
     const createField = (f, container) => {
@@ -126,6 +129,7 @@ export class SurveySheetEditor extends BaseEditor {
 
           if (f.id === 'date') {
             this.updateDeclinationText(true);
+            this.updateCalibrationWarning();
           }
         }
       };
@@ -253,6 +257,8 @@ export class SurveySheetEditor extends BaseEditor {
       column2
     );
 
+    this.#createCalibrationField(column1);
+
     // Team field (full width)
     createField(
       {
@@ -312,7 +318,8 @@ export class SurveySheetEditor extends BaseEditor {
         this.formData.declination ? parseFloat(this.formData.declination) : undefined,
         this.formData.convergence ? parseFloat(this.formData.convergence) : undefined,
         team,
-        instruments
+        instruments,
+        this.formData.calibrationId !== '' ? this.formData.calibrationId : undefined
       );
 
       // custom property to store the official declination
@@ -386,6 +393,62 @@ export class SurveySheetEditor extends BaseEditor {
 
   }
 
+  #getCalibrationProfiles() {
+    return this.projectSystem?.getCurrentProject()?.calibrationProfiles ?? [];
+  }
+
+  /**
+   * Creates the selector of the calibration profiles of the project. A profile that was deleted
+   * from the project is kept as an option until the user selects a different one.
+   */
+  #createCalibrationField(container) {
+    const id = 'calibrationId';
+    const select = U.node`<select id="${id}" name="${id}"></select>`;
+    const addOption = (value, text) => {
+      const o = document.createElement('option');
+      o.value = value;
+      o.textContent = text;
+      if (value === this.formData.calibrationId) o.selected = true;
+      select.appendChild(o);
+    };
+    addOption('', i18n.t('ui.editors.surveySheet.fields.noCalibration'));
+    const profiles = this.#getCalibrationProfiles();
+    profiles.forEach((p) => addOption(p.id, p.name));
+    if (this.formData.calibrationId !== '' && !profiles.some((p) => p.id === this.formData.calibrationId)) {
+      addOption(this.formData.calibrationId, i18n.t('ui.editors.surveySheet.fields.missingCalibration'));
+    }
+    select.onchange = (e) => {
+      if (this.formData.calibrationId !== e.target.value) {
+        this.surveyHasChanged = true;
+        this.calibrationChanged = true;
+        this.formData.calibrationId = e.target.value;
+        this.updateCalibrationWarning();
+      }
+    };
+    const label = U.node`<label class="sheet-editor-label" for="${id}">${i18n.t('ui.editors.surveySheet.fields.calibration')}: </label>`;
+    const fieldContainer = U.node`<div class="sheet-editor-field"></div>`;
+    fieldContainer.appendChild(label);
+    fieldContainer.appendChild(select);
+    container.appendChild(fieldContainer);
+    this.calibrationWarning = U.node`<p class="sheet-editor-warning"></p>`;
+    container.appendChild(this.calibrationWarning);
+    this.updateCalibrationWarning();
+  }
+
+  // the profile is applied even if its validity doesn't cover the date of the survey
+  updateCalibrationWarning() {
+    if (this.calibrationWarning === undefined) return;
+    const profile = this.#getCalibrationProfiles().find((p) => p.id === this.formData.calibrationId);
+    const date = this.formData.date ? new Date(this.formData.date) : undefined;
+    if (profile !== undefined && !profile.isValidOn(date)) {
+      this.calibrationWarning.textContent = i18n.t('ui.editors.surveySheet.messages.calibrationNotValid', {
+        name : profile.name
+      });
+    } else {
+      this.calibrationWarning.textContent = '';
+    }
+  }
+
   updateDeclinationText(force = false) {
 
     const declinationPrefix = i18n.t('ui.editors.surveySheet.messages.declinationPrefix');
@@ -405,12 +468,22 @@ export class SurveySheetEditor extends BaseEditor {
         if (date.getFullYear() > currentYear || date.getFullYear() < 1900) {
           return;
         }
-        Declination.getDeclination(this.declinationCache, wgsCoord.latitude, wgsCoord.longitude, date).then(
-          (declination) => {
+        Declination.getDeclination(
+          this.declinationCache,
+          wgsCoord.latitude,
+          wgsCoord.longitude,
+          date,
+          undefined,
+          this.options?.calculation?.declinationSource
+        )
+          .then(({ declination, source }) => {
             this.declinationOfficial = declination;
-            this.declinationText.textContent = `${declinationPrefix} ${U.formatFloat(declination, 3)}`;
-          }
-        );
+            this.declinationText.textContent = `${declinationPrefix} ${U.formatFloat(declination, 3)} (${source})`;
+          })
+          .catch((error) => {
+            console.warn('Failed to get the declination:', error);
+            this.declinationText.textContent = `${declinationPrefix} ${i18n.t('ui.editors.surveySheet.errors.unavailable')}`;
+          });
       } else {
         this.declinationText.textContent = `${declinationPrefix} ${i18n.t('ui.editors.surveySheet.errors.noWgs84Coordinates')}`;
       }
@@ -506,6 +579,13 @@ export class SurveySheetEditor extends BaseEditor {
           geoData.coordinateSystem.zoneNum,
           geoData.coordinateSystem.northern
         );
+
+      case CoordinateSystemType.PROJECTED:
+        return MeridianConvergence.getProjectedConvergence(
+          firstCoord.coordinate.easting,
+          firstCoord.coordinate.northing,
+          geoData.coordinateSystem.definition
+        );
       default:
         return undefined;
     }
@@ -635,8 +715,9 @@ export class SurveySheetEditor extends BaseEditor {
         shot.length = U.convertLength(shot.length, oldUnits.length, newLengthUnit);
       }
       if (oldUnits.angle !== newAngleUnit) {
-        if (shot.azimuth != null) shot.azimuth = U.convertAngle(shot.azimuth, oldUnits.angle, newAngleUnit);
-        if (shot.clino != null) shot.clino = U.convertAngle(shot.clino, oldUnits.angle, newAngleUnit);
+        ['azimuth', 'clino', 'backAzimuth', 'backClino'].forEach((f) => {
+          if (shot[f] != null) shot[f] = U.convertAngle(shot[f], oldUnits.angle, newAngleUnit);
+        });
       }
     });
   }
@@ -649,6 +730,9 @@ export class SurveySheetEditor extends BaseEditor {
     if (this.unitsHaveChanged) {
       reasons.push('units');
     }
+    if (this.calibrationChanged) {
+      reasons.push('calibration');
+    }
     const event = new CustomEvent('surveyChanged', {
       detail : {
         reasons : reasons,
@@ -105,9 +105,24 @@ export class SurveyEditor extends Editor {
   }
 
   getNewShots() {
-    return this.table
-      .getData()
-      .map((r) => new Shot(r.id, r.type, r.from, r.to, r.length, r.azimuth, r.clino, r.comment));
+    return this.table.getData().map((r) => SurveyEditor.#rowToShot(r));
+  }
+
+  static #rowToShot(r) {
+    // cleared optional cells hold an empty string
+    const optional = (v) => (v === '' || v === null ? undefined : v);
+    return new Shot(
+      r.id,
+      r.type,
+      r.from,
+      r.to,
+      r.length,
+      r.azimuth,
+      r.clino,
+      r.comment,
+      optional(r.backAzimuth),
+      optional(r.backClino)
+    );
   }
 
   validateSurvey(showAlert = true) {
@@ -135,7 +150,7 @@ export class SurveyEditor extends Editor {
     const rowsToUpdated = [];
 
     data.forEach((r) => {
-      const shot = new Shot(r.id, r.type, r.from, r.to, r.length, r.azimuth, r.clino);
+      const shot = SurveyEditor.#rowToShot(r);
       const emptyFields = shot.getEmptyFields();
       const oldStatus = r.status;
       let validationErrors = [];
@@ -146,7 +161,7 @@ export class SurveyEditor extends Editor {
         newRow.message = i18n.t('ui.editors.survey.message.missingFields', { fields: translatedFields.join(',') });
         rowsToUpdated.push(newRow);
       } else {
-        const shotErrors = shot.validate(i18n, this.options.format.units);
+        const shotErrors = shot.validate(i18n, this.options.format.units, this.options.calculation.backsightTolerance);
         validationErrors.push(...shotErrors);
         if (validationErrors.length > 0) {
           const status = 'invalid';
@@ -186,6 +201,25 @@ export class SurveyEditor extends Editor {
     this.#emitSurveyDataUpdated();
   }
 
+  /**
+   * Scrolls to the row of a shot and selects it
+   * @param {number} shotId - The id of the shot, that is the id of the row
+   */
+  focusShot(shotId) {
+    const focus = () => {
+      const row = this.table.getRow(shotId);
+      if (!row) return;
+      this.table.scrollToRow(row, 'center', false);
+      const cells = row.getCells();
+      this.table.addRange(cells[0], cells[cells.length - 1]);
+    };
+    if (this.table.initialized) {
+      focus();
+    } else {
+      this.table.on('tableBuilt', focus);
+    }
+  }
+
   closeEditor() {
     this.updateSurvey();
     if (this._unitsChangedHandler) {
@@ -247,22 +281,24 @@ export class SurveyEditor extends Editor {
       const attributes = toStation ? getAttributesForStation(sh.to) : [];
 
       const rowToBe = {
-        id         : sh.id,
-        from       : sh.from,
-        to         : sh.to,
-        length     : sh.length,
-        azimuth    : sh.azimuth,
-        clino      : sh.clino,
-        comment    : sh.comment,
-        type       : sh.type,
-        status     : 'ok',
-        message    : i18n.t('ui.editors.base.status.ok'),
-        attributes : attributes,
-        x          : toStation?.position?.x,
-        y          : toStation?.position?.y,
-        z          : toStation?.position?.z,
-        wgslat     : toStation?.coordinates?.wgs?.lat,
-        wgslon     : toStation?.coordinates?.wgs?.lon
+        id          : sh.id,
+        from        : sh.from,
+        to          : sh.to,
+        length      : sh.length,
+        azimuth     : sh.azimuth,
+        clino       : sh.clino,
+        backAzimuth : sh.backAzimuth,
+        backClino   : sh.backClino,
+        comment     : sh.comment,
+        type        : sh.type,
+        status      : 'ok',
+        message     : i18n.t('ui.editors.base.status.ok'),
+        attributes  : attributes,
+        x           : toStation?.position?.x,
+        y           : toStation?.position?.y,
+        z           : toStation?.position?.z,
+        wgslat      : toStation?.coordinates?.wgs?.lat,
+        wgslon      : toStation?.coordinates?.wgs?.lon
       };
 
       const projected = toStation?.coordinates?.projected;
@@ -301,21 +337,23 @@ export class SurveyEditor extends Editor {
     const id = data.length === 0 ? 0 : Math.max(...data.map((r) => r.id));
 
     const row = {
-      id         : id + 1,
-      from       : undefined,
-      to         : undefined,
-      length     : undefined,
-      azimuth    : undefined,
-      clino      : undefined,
-      type       : ShotType.CENTER,
-      status     : 'incomplete',
-      message    : i18n.t('ui.editors.base.message.incomplete'),
-      attributes : [],
-      x          : undefined,
-      y          : undefined,
-      z          : undefined,
-      wgslat     : undefined,
-      wgslon     : undefined
+      id          : id + 1,
+      from        : undefined,
+      to          : undefined,
+      length      : undefined,
+      azimuth     : undefined,
+      clino       : undefined,
+      backAzimuth : undefined,
+      backClino   : undefined,
+      type        : ShotType.CENTER,
+      status      : 'incomplete',
+      message     : i18n.t('ui.editors.base.message.incomplete'),
+      attributes  : [],
+      x           : undefined,
+      y           : undefined,
+      z           : undefined,
+      wgslat      : undefined,
+      wgslon      : undefined
     };
 
     if (this.cave.geoData?.coordinateSystem?.type === CoordinateSystemType.EOV) {
@@ -340,8 +378,12 @@ export class SurveyEditor extends Editor {
     data.from = data.to;
     data.to = tempFrom;
 
-    // Invert azimuth (add 180 degrees and normalize to 0-360)
-    if (data.azimuth !== undefined && data.azimuth !== null) {
+    // With a backsight the readings of the inverted shot are the swapped foresight and backsight
+    const hasReading = (v) => v !== undefined && v !== null && v !== '';
+    if (hasReading(data.backAzimuth)) {
+      [data.azimuth, data.backAzimuth] = [data.backAzimuth, data.azimuth];
+    } else if (data.azimuth !== undefined && data.azimuth !== null) {
+      // Invert azimuth (add 180 degrees and normalize to 0-360)
       if (typeof data.azimuth === 'string') {
         data.azimuth = U.parseMyFloat(data.azimuth);
       }
@@ -350,8 +392,10 @@ export class SurveyEditor extends Editor {
       data.azimuth = U.roundToThreeDecimalPlaces(data.azimuth);
     }
 
-    // Invert clino (negate the value)
-    if (data.clino !== undefined && data.clino !== null) {
+    if (hasReading(data.backClino)) {
+      [data.clino, data.backClino] = [data.backClino, data.clino];
+    } else if (data.clino !== undefined && data.clino !== null) {
+      // Invert clino (negate the value)
       if (typeof data.clino === 'string') {
         data.clino = U.parseMyFloat(data.clino);
       }
@@ -538,6 +582,10 @@ export class SurveyEditor extends Editor {
       type : isFloatNumber
     };
 
+    const optionalFloatValidator = {
+      type : (cell, value) => value === undefined || value === null || value === '' || isFloatNumber(cell, value)
+    };
+
     const countLines = function (_values, data) {
       return data.length;
     };
@@ -754,6 +802,26 @@ export class SurveyEditor extends Editor {
         formatter    : angleFormatter,
         mutatorEdit  : angleMutatorEdit,
         validator    : ['required', customValidator, clinoRangeValidator]
+      },
+      {
+        title        : i18n.t('ui.editors.survey.columns.backAzimuth'),
+        field        : 'backAzimuth',
+        editor       : angleEditor,
+        headerFilter : 'input',
+        accessor     : this.baseTableFunctions.floatAccessor,
+        formatter    : angleFormatter,
+        mutatorEdit  : angleMutatorEdit,
+        validator    : [optionalFloatValidator, azimuthRangeValidator]
+      },
+      {
+        title        : i18n.t('ui.editors.survey.columns.backClino'),
+        field        : 'backClino',
+        editor       : angleEditor,
+        headerFilter : 'input',
+        accessor     : this.baseTableFunctions.floatAccessor,
+        formatter    : angleFormatter,
+        mutatorEdit  : angleMutatorEdit,
+        validator    : [optionalFloatValidator, clinoRangeValidator]
       }
     ];
     const xyz = [
@@ -929,7 +997,7 @@ export class SurveyEditor extends Editor {
       this.#emitSurveyDataEdited();
     });
 
-    this.setupCustomEditMode(['from', 'to', 'length', 'azimuth', 'clino', 'comment']);
+    this.setupCustomEditMode(['from', 'to', 'length', 'azimuth', 'clino', 'backAzimuth', 'backClino', 'comment']);
 
     contentElmnt.appendChild(this.#buildToggleColumnMenu(columns));
 
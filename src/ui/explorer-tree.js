@@ -19,8 +19,12 @@ import { SurveySheetEditor } from './editor/survey-sheet.js';
 import { CaveEditor } from './editor/cave.js';
 import { StationAttributeEditor, SectionAttributeEditor, ComponentAttributeEditor } from './editor/attributes.js';
 import { CyclePanel } from './editor/cycle.js';
+import { BlunderPanel } from './editor/blunders.js';
+import { QAPanel } from './editor/qa.js';
+import { CaveHistoryPanel } from './editor/cave-history.js';
 import { StationCommentsEditor } from './editor/station-comments.js';
 import { StationDimensionsEditor } from './editor/station-dimensions.js';
+import { PhotoGalleryPanel, PhotoImportPanel } from './editor/photos.js';
 import { i18n } from '../i18n/i18n.js';
 
 export class ExplorerTree {
@@ -434,7 +438,8 @@ export class ExplorerTree {
               undefined,
               document.getElementById('fixed-size-editor'),
               this.declinationCache,
-              this.options
+              this.options,
+              this.projectSystem
             )
           );
         }
@@ -464,6 +469,30 @@ export class ExplorerTree {
           );
         }
       },
+      {
+        icon    : '🖼️',
+        title   : i18n.t('ui.explorer.menu.photoGallery'),
+        onclick : () => {
+          editorSetup(
+            new PhotoGalleryPanel(this.options, document.getElementById('resizable-editor'), this.scene, caveNode.data)
+          );
+        }
+      },
+      {
+        icon    : '📷',
+        title   : i18n.t('ui.explorer.menu.importPhotos'),
+        onclick : () => {
+          editorSetup(
+            new PhotoImportPanel(
+              this.options,
+              document.getElementById('resizable-editor'),
+              this.scene,
+              this.attributeDefs,
+              caveNode.data
+            )
+          );
+        }
+      },
       {
         icon    : '🔀',
         title   : i18n.t('ui.explorer.menu.editSectionAttributes'),
@@ -531,6 +560,40 @@ export class ExplorerTree {
           );
         }
       },
+      {
+        icon    : '🔍',
+        title   : i18n.t('ui.explorer.menu.blunders'),
+        onclick : () => {
+          editorSetup(
+            new BlunderPanel(this.options, document.getElementById('resizable-editor'), this.scene, caveNode.data)
+          );
+        }
+      },
+      {
+        icon    : '✅',
+        title   : i18n.t('ui.explorer.menu.qa'),
+        onclick : () => {
+          editorSetup(
+            new QAPanel(this.options, document.getElementById('resizable-editor'), caveNode.data, (survey, shotId) =>
+              this.#showSurveyEditor(caveNode.data, survey, shotId)
+            )
+          );
+        }
+      },
+      {
+        icon    : '🕓',
+        title   : i18n.t('ui.explorer.menu.history'),
+        onclick : () => {
+          editorSetup(
+            new CaveHistoryPanel(
+              this.options,
+              document.getElementById('resizable-editor'),
+              this.projectSystem,
+              caveNode.data
+            )
+          );
+        }
+      },
       {
         icon    : '🎨',
         title   : i18n.t('ui.explorer.menu.setCaveColor'),
@@ -608,7 +671,8 @@ export class ExplorerTree {
             surveyNode.data,
             document.getElementById('fixed-size-editor'),
             this.declinationCache,
-            this.options
+            this.options,
+            this.projectSystem
           );
           this.editor.setupPanel();
           this.editor.show();
@@ -850,10 +914,14 @@ export class ExplorerTree {
   }
 
   #openSurveyEditor(surveyNode) {
+    this.#showSurveyEditor(surveyNode.parent.data, surveyNode.data);
+  }
+
+  #showSurveyEditor(cave, survey, shotId) {
     this.editor = new SurveyEditor(
       this.options,
-      surveyNode.parent.data,
-      surveyNode.data,
+      cave,
+      survey,
       this.scene,
       this.interaction,
       document.getElementById('resizable-editor'),
@@ -862,6 +930,9 @@ export class ExplorerTree {
     );
     this.editor.setupPanel();
     this.editor.show();
+    if (shotId !== undefined) {
+      this.editor.focusShot(shotId);
+    }
   }
 
   #updateAddCaveButtonState() {
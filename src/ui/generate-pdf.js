@@ -18,7 +18,7 @@ import { wm } from './window.js';
 import { node, formatFloat } from '../utils/utils.js';
 import { i18n } from '../i18n/i18n.js';
 import { showErrorPanel } from './popups.js';
-import { generatePDF } from '../io/pdf.js';
+import { generatePDF, createSheetProjection, SheetView } from '../io/pdf.js';
 
 class PDFPrintDialog {
 
@@ -46,7 +46,7 @@ class PDFPrintDialog {
 
     // Sheet info box settings
     this.sheetPosition = 'bottom-right'; // 'top-left', 'top-right', 'bottom-left', 'bottom-right'
-    this.sheetContent = `${i18n.t('ui.panels.pdfPrint.project')}: ${project?.name || ''}\n${i18n.t('ui.panels.pdfPrint.date')}: ${new Date().toLocaleDateString()}\n${i18n.t('ui.panels.pdfPrint.ratio')}: 1:${this.ratio}`;
+    this.sheetContent = `${i18n.t('ui.panels.pdfPrint.project')}: ${project?.name || ''}\n${i18n.t('ui.panels.pdfPrint.date')}: ${new Date().toLocaleDateString()}`;
 
     this.marginMM = 10; // Default margin in mm
     this.showMarginBorder = false; // Show margin border on PDF pages
@@ -54,6 +54,14 @@ class PDFPrintDialog {
     this.gridSpacingMM = 10; // Grid spacing in mm
     this.backgroundColor = '#ffffff';
     this.rotationAngle = 0;
+    this.showScaleBar = true;
+    this.showLegend = true;
+    this.showAttributes = true;
+
+    // Plan, profile or extended elevation, taken from the active view of the scene
+    this.sheetView = SheetView.PLAN;
+    this.profileAngle = 0;
+    this.projectPoint = createSheetProjection(this.sheetView);
 
     // Original cave center (before rotation) for rotating around
     this.originalCaveCenter = { x: 0, y: 0 };
@@ -78,6 +86,30 @@ class PDFPrintDialog {
     return this.scene?.view?.control?.getAzimuth();
   }
 
+  // Set up the projection of the sheet from the active view, a profile is never rotated
+  updateSheetView() {
+    if (this.scene?.view?.name === 'profileView') {
+      this.sheetView = SheetView.PROFILE;
+      this.profileAngle = this.scene.view.control.getAngle();
+      this.rotationAngle = 0;
+    } else if (this.scene?.view?.name === 'extendedView') {
+      this.sheetView = SheetView.EXTENDED;
+      this.rotationAngle = 0;
+    } else {
+      this.sheetView = SheetView.PLAN;
+      this.rotationAngle = this.getCameraRotation();
+    }
+    this.projectPoint = createSheetProjection(this.sheetView, this.profileAngle);
+  }
+
+  // The extended elevation has its own unfolded centerlines with the same structure as the cave objects of the scene
+  getCaveObjects() {
+    if (this.sheetView === SheetView.EXTENDED) {
+      return this.scene?.views?.get('extended')?.caveObjects;
+    }
+    return this.scene?.speleo?.caveObjects;
+  }
+
   // Rotate a 2D point around a center point
   // Angle is in radians, positive = clockwise (opposite of standard math convention)
   rotatePoint(x, y, centerX, centerY, angle) {
@@ -177,10 +209,10 @@ class PDFPrintDialog {
   // Compute bounding box based on enabled print content (centerlines, splays, auxiliaries)
   // Applies camera rotation to get bounds in rotated coordinate system
   computeCaveBounds() {
-    // Get the camera rotation angle
-    this.rotationAngle = this.getCameraRotation();
+    // Get the camera rotation angle and the projection
+    this.updateSheetView();
 
-    if (!this.caves || !this.scene?.speleo?.caveObjects) {
+    if (!this.caves || !this.getCaveObjects()) {
       this.caveBounds = null;
       return;
     }
@@ -200,8 +232,8 @@ class PDFPrintDialog {
       const instanceCount = geometry.instanceCount || instanceStart.count;
 
       for (let i = 0; i < instanceCount; i++) {
-        allPoints.push({ x: instanceStart.getX(i), y: instanceStart.getY(i) });
-        allPoints.push({ x: instanceEnd.getX(i), y: instanceEnd.getY(i) });
+        allPoints.push(this.projectPoint(instanceStart.getX(i), instanceStart.getY(i), instanceStart.getZ(i)));
+        allPoints.push(this.projectPoint(instanceEnd.getX(i), instanceEnd.getY(i), instanceEnd.getZ(i)));
       }
     };
 
@@ -209,7 +241,7 @@ class PDFPrintDialog {
     this.caves.forEach((cave) => {
       if (!cave.visible) return;
 
-      const caveObject = this.scene.speleo.caveObjects.get(cave.name);
+      const caveObject = this.getCaveObjects().get(cave.name);
       if (!caveObject) return;
 
       cave.surveys.forEach((survey) => {
@@ -382,7 +414,7 @@ class PDFPrintDialog {
   buildCenterlinePageMap(usableWidthMM, usableHeightMM, marginMM) {
     const linePageMap = new Map();
 
-    if (!this.caves || !this.scene?.speleo?.caveObjects) {
+    if (!this.caves || !this.getCaveObjects()) {
       return linePageMap;
     }
 
@@ -444,8 +476,8 @@ class PDFPrintDialog {
       const instanceCount = geometry.instanceCount || instanceStart.count;
 
       for (let i = 0; i < instanceCount; i++) {
-        const startWorld = { x: instanceStart.getX(i), y: instanceStart.getY(i) };
-        const endWorld = { x: instanceEnd.getX(i), y: instanceEnd.getY(i) };
+        const startWorld = this.projectPoint(instanceStart.getX(i), instanceStart.getY(i), instanceStart.getZ(i));
+        const endWorld = this.projectPoint(instanceEnd.getX(i), instanceEnd.getY(i), instanceEnd.getZ(i));
 
         const startPaper = worldToPaperMM(startWorld.x, startWorld.y);
         const endPaper = worldToPaperMM(endWorld.x, endWorld.y);
@@ -463,7 +495,7 @@ class PDFPrintDialog {
     this.caves.forEach((cave) => {
       if (!cave.visible) return;
 
-      const caveObject = this.scene.speleo.caveObjects.get(cave.name);
+      const caveObject = this.getCaveObjects().get(cave.name);
       if (!caveObject) return;
 
       cave.surveys.forEach((survey) => {
@@ -500,7 +532,7 @@ class PDFPrintDialog {
       page.selected = false;
     });
 
-    if (!this.caves || !this.scene?.speleo?.caveObjects) {
+    if (!this.caves || !this.getCaveObjects()) {
       // If no cave data, select all pages as fallback
       this.pageLayout.forEach((page) => {
         page.selected = true;
@@ -620,6 +652,20 @@ class PDFPrintDialog {
                     ${i18n.t('ui.panels.pdfPrint.showGrid')}
                   </label>
                 </div>
+                <div class="form-group pdf-print-inline-row">
+                  <label class="pdf-print-inline-checkbox">
+                    <input type="checkbox" id="pdf-print-show-scale-bar" ${this.showScaleBar ? 'checked' : ''} />
+                    ${i18n.t('ui.panels.pdfPrint.showScaleBar')}
+                  </label>
+                  <label class="pdf-print-inline-checkbox">
+                    <input type="checkbox" id="pdf-print-show-legend" ${this.showLegend ? 'checked' : ''} />
+                    ${i18n.t('ui.panels.pdfPrint.showLegend')}
+                  </label>
+                  <label class="pdf-print-inline-checkbox">
+                    <input type="checkbox" id="pdf-print-show-attributes" ${this.showAttributes ? 'checked' : ''} />
+                    ${i18n.t('ui.panels.pdfPrint.showAttributes')}
+                  </label>
+                </div>
                 <div class="form-group">
                   <label for="pdf-print-background-color">${i18n.t('ui.panels.pdfPrint.backgroundColor')}:</label>
                   <input type="color" id="pdf-print-background-color" value="${this.backgroundColor}" />
@@ -795,6 +841,20 @@ class PDFPrintDialog {
       };
     }
 
+    // Setup map sheet element toggles, they only affect the PDF output
+    [
+      ['#pdf-print-show-scale-bar', 'showScaleBar'],
+      ['#pdf-print-show-legend', 'showLegend'],
+      ['#pdf-print-show-attributes', 'showAttributes']
+    ].forEach(([selector, property]) => {
+      const checkbox = contentElmnt.querySelector(selector);
+      if (checkbox) {
+        checkbox.onchange = () => {
+          this[property] = checkbox.checked;
+        };
+      }
+    });
+
     // Setup background color handler
     const backgroundColorInput = contentElmnt.querySelector('#pdf-print-background-color');
     if (backgroundColorInput) {
@@ -1090,8 +1150,10 @@ class PDFPrintDialog {
       const metersToCanvasPixels = canvasScale * (1000 / this.ratio);
       self.drawCavePreview(ctx, caveBoundsX, caveBoundsY, metersToCanvasPixels);
 
-      // Draw compass rose in the corner of the canvas
-      self.drawCanvasCompass(ctx);
+      // Draw compass rose in the corner of the canvas, a profile or an extended elevation has no north direction
+      if (self.sheetView === SheetView.PLAN) {
+        self.drawCanvasCompass(ctx);
+      }
     };
 
     // Call redraw immediately if data is ready
@@ -1379,7 +1441,7 @@ class PDFPrintDialog {
 
   drawCavePreview(ctx, offsetX, offsetY, canvasScale) {
     // Draw cave lines in the preview based on print settings
-    if (!this.caves || !this.scene?.speleo?.caveObjects) {
+    if (!this.caves || !this.getCaveObjects()) {
       return;
     }
 
@@ -1439,13 +1501,11 @@ class PDFPrintDialog {
       ctx.lineWidth = lineWidth;
 
       for (let i = 0; i < instanceCount; i++) {
-        const startX = instanceStart.getX(i);
-        const startY = instanceStart.getY(i);
-        const endX = instanceEnd.getX(i);
-        const endY = instanceEnd.getY(i);
+        const start = this.projectPoint(instanceStart.getX(i), instanceStart.getY(i), instanceStart.getZ(i));
+        const end = this.projectPoint(instanceEnd.getX(i), instanceEnd.getY(i), instanceEnd.getZ(i));
 
-        const startCanvas = worldToCanvas(startX, startY);
-        const endCanvas = worldToCanvas(endX, endY);
+        const startCanvas = worldToCanvas(start.x, start.y);
+        const endCanvas = worldToCanvas(end.x, end.y);
 
         // Get color for this segment
         if (hasColors) {
@@ -1476,7 +1536,7 @@ class PDFPrintDialog {
     this.caves.forEach((cave) => {
       if (!cave.visible) return;
 
-      const caveObject = this.scene.speleo.caveObjects.get(cave.name);
+      const caveObject = this.getCaveObjects().get(cave.name);
       if (!caveObject) return;
 
       cave.surveys.forEach((survey) => {
@@ -1597,6 +1657,12 @@ class PDFPrintDialog {
     ctx.restore();
   }
 
+  // Gradient colors of the depth legend, only when the cave lines are colored by depth
+  getDepthGradientColors() {
+    const color = this.options?.scene?.caveLines?.color;
+    return color?.mode === 'gradientByZ' ? color.gradientColors : undefined;
+  }
+
   // Handle PDF generation by calling the external generatePDF function
   async handleGeneratePDF() {
     if (!this.pageLayout || this.selectedPages.size === 0) {
@@ -1637,7 +1703,15 @@ class PDFPrintDialog {
         stationLabelSettings : this.getStationLabelSettings(),
         // Rotation settings
         rotationAngle        : this.rotationAngle,
-        originalCaveCenter   : this.originalCaveCenter
+        originalCaveCenter   : this.originalCaveCenter,
+        // Map sheet settings
+        view                 : this.sheetView,
+        profileAngle         : this.profileAngle,
+        showScaleBar         : this.showScaleBar,
+        showLegend           : this.showLegend,
+        showAttributes       : this.showAttributes,
+        depthGradientColors  : this.getDepthGradientColors(),
+        lengthUnit           : this.options?.format?.units?.length
       }
     };
 
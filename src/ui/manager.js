@@ -24,9 +24,14 @@ import { showErrorPanel } from './popups.js';
 import { i18n } from '../i18n/i18n.js';
 import * as THREE from 'three';
 import { RevisionInfo } from '../model/misc.js';
+import { MergeConflictDialog } from './merge-conflict-dialog.js';
 import { PointCloud, Mesh3D } from '../model.js';
 import { PointCloudHelper } from '../utils/models.js';
 import { globalNormalizer } from '../utils/global-coordinate-normalizer.js';
+import { AdjustmentMode } from '../utils/adjustment.js';
+import { PassageGeometry } from '../scene/cosmos/passages.js';
+import { DEFAULT_BACKSIGHT_TOLERANCE } from '../model/survey.js';
+import { Declination } from '../utils/geo.js';
 
 class ProjectManager {
 
@@ -86,6 +91,7 @@ class ProjectManager {
     document.addEventListener('caveAdded', (e) => this.onCaveAdded(e));
     document.addEventListener('caveChanged', (e) => this.onCaveChanged(e));
     document.addEventListener('caveSynced', (e) => this.onCaveSynced(e));
+    document.addEventListener('caveRestored', (e) => this.onCaveRestored(e));
     document.addEventListener('surveyRenamed', (e) => this.onSurveyRenamed(e));
     document.addEventListener('surveyChanged', (e) => this.onSurveyChanged(e));
     document.addEventListener('surveyDeleted', (e) => this.onSurveyDeleted(e));
@@ -100,6 +106,10 @@ class ProjectManager {
     document.addEventListener('stationAttributesChanged', (e) => this.onAttributesChanged(e));
     document.addEventListener('surveyCommentsChanged', (e) => this.onSurveyCommentsChanged(e));
     document.addEventListener('stationDimensionsChanged', (e) => this.onStationDimensionsChanged(e));
+    document.addEventListener('extendedElevationChanged', (e) => this.onExtendedElevationChanged(e));
+    document.addEventListener('adjustmentModeChanged', () => this.onAdjustmentModeChanged());
+    document.addEventListener('backsightToleranceChanged', () => this.onBacksightToleranceChanged());
+    document.addEventListener('calibrationProfilesChanged', () => this.onCalibrationProfilesChanged());
   }
 
   async saveCave(cave) {
@@ -115,18 +125,21 @@ class ProjectManager {
     const originRevision = existingRevInfo.originRevision;
 
     const autoSync = this.googleDriveSync.config.get('autoSync');
-    const revInfo = new RevisionInfo(
-      cave.id,
-      cave.revision,
-      this.googleDriveSync.config.getApp(),
-      autoSync,
-      originApp,
-      originRevision
-    );
+    const app = this.googleDriveSync.config.getApp();
+    let revInfo = new RevisionInfo(cave.id, cave.revision, app, autoSync, originApp, originRevision);
 
     if (autoSync) {
       try {
-        await this.googleDriveSync.coordinateUploadCave(cave, this.projectSystem.getCurrentProject(), revInfo);
+        const project = this.projectSystem.getCurrentProject();
+        const mergedCave = await this.googleDriveSync.coordinateUploadCave(cave, project, revInfo, (name, conflicts) =>
+          new MergeConflictDialog().show(name, conflicts)
+        );
+        if (mergedCave !== undefined) {
+          // the remote changes have been merged into the cave, the merged cave is in Google Drive already
+          await this.projectSystem.saveCaveInProject(project.id, mergedCave);
+          revInfo = new RevisionInfo(mergedCave.id, mergedCave.revision, app, true, app, mergedCave.revision);
+          document.dispatchEvent(new CustomEvent('caveSynced', { detail: { cave: mergedCave, project } }));
+        }
       } catch (error) {
         console.log('Failed to sync to Google Drive', error);
         revInfo.synced = false;
@@ -146,6 +159,7 @@ class ProjectManager {
 
   async onCaveAdded(e) {
     const cave = e.detail.cave;
+    this.recalculateImportedCave(cave);
     this.addCave(cave);
     // we are not using this.saveCave() here because it changes the revision and uploads the cave to Google Drive
     const currentProject = this.projectSystem.getCurrentProject();
@@ -153,6 +167,21 @@ class ProjectManager {
     await this.uploadCaveToDrive(cave);
   }
 
+  async onCaveRestored(e) {
+    const cave = e.detail.cave;
+    const current = e.detail.current;
+    // only the content is restored, the name is kept and the revision is incremented by saveCave
+    cave.name = current.name;
+    cave.revision = current.revision;
+    this.disposeCave(current.name);
+    this.db.deleteCave(current.name);
+    this.recalculateCave(cave);
+    this.calculateFragmentAttributes(cave);
+    this.addCave(cave);
+    this.scene.view.renderView();
+    await this.saveCave(cave);
+  }
+
   async onCaveChanged(e) {
     const cave = e.detail.cave;
     const reasons = e.detail.reasons;
@@ -189,12 +218,38 @@ class ProjectManager {
     event.returnValue = true;
   };
 
+  async onAdjustmentModeChanged() {
+    for (const cave of this.db.getAllCaves()) {
+      await this.reloadCave(cave);
+    }
+  }
+
+  async onBacksightToleranceChanged() {
+    for (const cave of this.db.getAllCaves()) {
+      await this.reloadCave(cave);
+    }
+  }
+
+  async onCalibrationProfilesChanged() {
+    for (const cave of this.db.getAllCaves()) {
+      await this.reloadCave(cave);
+    }
+  }
+
   async onSurveyCommentsChanged(e) {
     const cave = e.detail.cave;
     await this.saveCave(cave);
   }
 
   async onStationDimensionsChanged(e) {
+    const cave = e.detail.cave;
+    // the passage tubes and the LRUD based color modes are built with the survey objects
+    this.reloadOnScene(cave);
+    this.scene.view.renderView();
+    await this.saveCave(cave);
+  }
+
+  async onExtendedElevationChanged(e) {
     const cave = e.detail.cave;
     await this.saveCave(cave);
   }
@@ -429,6 +484,7 @@ class ProjectManager {
           response.project.deletedCaveIds.push(caveId);
           await this.googleDriveSync.uploadProject(response.project);
           await this.revisionStore.deleteRevision(caveId);
+          await this.googleDriveSync.snapshotStore.deleteSnapshot(caveId);
         } else {
           revInfo.deleted = true;
           await this.revisionStore.saveRevision(revInfo);
@@ -823,14 +879,62 @@ class ProjectManager {
     }
   }
 
+  /**
+   * Importers calculate the stations without network adjustment and calibration and with the default backsight
+   * tolerance, the cave is recalculated if the adjustment is enabled, the tolerance is configured or a survey
+   * references a calibration profile. Surveys imported without declination get the declination of the bundled
+   * magnetic model at the first fixed station, the cave is recalculated in that case too.
+   */
+  recalculateImportedCave(cave) {
+    const tolerance = this.options.calculation.backsightTolerance ?? DEFAULT_BACKSIGHT_TOLERANCE;
+    const declinationFilled = this.#fillMissingDeclinations(cave);
+    if (
+      declinationFilled ||
+      this.options.calculation.adjustment !== AdjustmentMode.NONE ||
+      tolerance.azimuth !== DEFAULT_BACKSIGHT_TOLERANCE.azimuth ||
+      tolerance.clino !== DEFAULT_BACKSIGHT_TOLERANCE.clino ||
+      cave.surveys.some((s) => s.metadata?.calibrationId !== undefined)
+    ) {
+      this.recalculateCave(cave);
+    }
+  }
+
+  #fillMissingDeclinations(cave) {
+    const surveys = cave.surveys.filter((s) => s.metadata !== undefined && !Number.isFinite(s.metadata.declination));
+    let filled = 0;
+    surveys.forEach((s) => {
+      const declination = Declination.getCaveDeclination(cave.geoData, s.metadata.date);
+      if (declination !== undefined) {
+        s.metadata.declination = declination;
+        filled++;
+      }
+    });
+    if (filled > 0) {
+      showInfoPanel(i18n.t('messages.import.declinationFromModel', { cave: cave.name, nrSurveys: filled }));
+    }
+    return filled > 0;
+  }
+
   recalculateCave(cave) {
+    const calibrationProfiles = this.projectSystem.getCurrentProject()?.calibrationProfiles ?? [];
     let caveStations = new Map();
     cave.stations = caveStations;
     cave.surveys.entries().forEach(([index, es]) => {
-      SurveyHelper.recalculateSurvey(index, es, cave.surveys, caveStations, cave.aliases, cave.geoData);
-      this.#emitSurveyRecalculated(cave, es);
+      SurveyHelper.recalculateSurvey(
+        index,
+        es,
+        cave.surveys,
+        caveStations,
+        cave.aliases,
+        cave.geoData,
+        this.options.calculation.adjustment,
+        this.options.calculation.backsightTolerance,
+        calibrationProfiles
+      );
     });
     cave.stations = caveStations;
+    // the least-squares adjustment is applied after the last survey, listeners need the adjusted stations
+    cave.surveys.forEach((es) => this.#emitSurveyRecalculated(cave, es));
     this.#emitCaveRecalculated(cave);
     //TODO: should recalculate section attributes
   }
@@ -842,6 +946,8 @@ class ProjectManager {
       return;
     }
 
+    // the LRUD and the neighbours of the stations are shared by the passages of all surveys
+    const stationData = PassageGeometry.getStationData(cave);
     cave.surveys.forEach((es) => {
       this.scene.speleo.disposeSurvey(cave.name, es.name);
       this.scene.speleo.deleteSurvey(cave.name, es.name);
@@ -854,7 +960,8 @@ class ProjectManager {
           clSegments,
           splaySegments,
           auxiliarySegments,
-          cave.visible && es.visible
+          cave.visible && es.visible,
+          stationData
         );
         this.scene.speleo.addSurvey(cave.name, es.name, _3dObjects);
         this.scene.speleo.colorModeHelper.setColorMode(this.options.scene.caveLines.color.mode);
@@ -1048,6 +1155,7 @@ class ProjectManager {
         this.#emitCoordinateSystemChange(cave?.geoData?.coordinateSystem);
       }
 
+      const stationData = PassageGeometry.getStationData(cave);
       cave.surveys.forEach((s) => {
         const [centerLineSegments, splaySegments, auxiliarySegments] = SurveyHelper.getSegments(s, cave.stations);
         const _3dobjects = this.scene.speleo.getSurveyObjects(
@@ -1056,7 +1164,8 @@ class ProjectManager {
           centerLineSegments,
           splaySegments,
           auxiliarySegments,
-          true
+          true,
+          stationData
         );
         this.scene.speleo.addSurvey(cave.name, s.name, _3dobjects);
       });
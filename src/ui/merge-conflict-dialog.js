@@ -0,0 +1,163 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { i18n } from '../i18n/i18n.js';
+import { MergeSide } from '../utils/merge.js';
+
+export class MergeConflictDialog {
+  constructor() {
+    this.dialog = null;
+    this.resolve = null;
+  }
+
+  /**
+   * Show the conflicting changes of a cave merge
+   * @param {string} caveName - Name of the merged cave
+   * @param {MergeConflict[]} conflicts - The conflicts of the merge
+   * @returns {Promise<Map<string, string>|null>} Promise that resolves with the kept side by conflict id or null if cancelled
+   */
+  show(caveName, conflicts) {
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+      this.conflicts = conflicts;
+      this.createDialog(caveName);
+    });
+  }
+
+  createDialog(caveName) {
+    this.dialog = document.createElement('div');
+    this.dialog.className = 'dialog-overlay';
+    this.dialog.innerHTML = `
+      <div class="dialog-container dialog-content merge-conflict-dialog">
+        <p class="about-description">${i18n.t('ui.panels.mergeConflict.message', { name: caveName, count: this.conflicts.length })}</p>
+        <div class="merge-conflict-table-container">
+          <table class="merge-conflict-table">
+            <thead>
+              <tr>
+                <th>${i18n.t('ui.panels.mergeConflict.columns.type')}</th>
+                <th>${i18n.t('ui.panels.mergeConflict.columns.item')}</th>
+                <th>${i18n.t('ui.panels.mergeConflict.columns.field')}</th>
+                <th>${i18n.t('ui.panels.mergeConflict.columns.base')}</th>
+                <th>${i18n.t('ui.panels.mergeConflict.columns.local')}</th>
+                <th>${i18n.t('ui.panels.mergeConflict.columns.remote')}</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+        <div class="config-buttons-container">
+          <button type="button" class="settings-button" id="merge-conflict-all-local">${i18n.t('ui.panels.mergeConflict.keepAllLocal')}</button>
+          <button type="button" class="settings-button" id="merge-conflict-all-remote">${i18n.t('ui.panels.mergeConflict.keepAllRemote')}</button>
+          <button type="button" class="settings-button" id="merge-conflict-ok">${i18n.t('common.ok')}</button>
+          <button type="button" class="settings-button" id="merge-conflict-cancel">${i18n.t('common.cancel')}</button>
+        </div>
+      </div>
+    `;
+
+    const tbody = this.dialog.querySelector('tbody');
+    this.conflicts.forEach((conflict, index) => tbody.appendChild(this.createRow(conflict, index)));
+
+    this.setupEventListeners();
+
+    document.body.appendChild(this.dialog);
+    this.dialog.style.display = 'block';
+  }
+
+  createRow(conflict, index) {
+    const row = document.createElement('tr');
+    const cell = (text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+      return td;
+    };
+    const choice = (side, value) => {
+      const label = document.createElement('label');
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = `merge-conflict-${index}`;
+      radio.value = side;
+      radio.checked = side === MergeSide.LOCAL;
+      const text = document.createElement('span');
+      text.textContent = this.formatValue(value);
+      label.appendChild(radio);
+      label.appendChild(text);
+      cell('').appendChild(label);
+    };
+
+    cell(i18n.t(`ui.panels.mergeConflict.types.${conflict.type}`));
+    cell(conflict.item);
+    cell(conflict.field ?? '');
+    cell(this.formatValue(conflict.base));
+    choice(MergeSide.LOCAL, conflict.local);
+    choice(MergeSide.REMOTE, conflict.remote);
+    return row;
+  }
+
+  formatValue(value) {
+    if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+      return i18n.t('ui.panels.mergeConflict.missing');
+    } else if (Array.isArray(value)) {
+      // the items that cannot be told apart, like the splays of a station
+      return value.map((v) => this.formatValue(v)).join(' | ');
+    } else if (typeof value === 'object') {
+      return Object.entries(value)
+        .filter(([, v]) => v !== undefined && v !== null)
+        .map(([k, v]) => `${k}: ${typeof v === 'object' ? JSON.stringify(v) : v}`)
+        .join(', ');
+    } else {
+      return String(value);
+    }
+  }
+
+  setupEventListeners() {
+    const selectAll = (side) => {
+      this.dialog.querySelectorAll(`input[value="${side}"]`).forEach((radio) => (radio.checked = true));
+    };
+
+    this.dialog.querySelector('#merge-conflict-all-local').addEventListener('click', () => selectAll(MergeSide.LOCAL));
+    this.dialog
+      .querySelector('#merge-conflict-all-remote')
+      .addEventListener('click', () => selectAll(MergeSide.REMOTE));
+
+    this.dialog.querySelector('#merge-conflict-cancel').addEventListener('click', () => {
+      this.hide();
+      this.resolve(null);
+    });
+
+    this.dialog.querySelector('#merge-conflict-ok').addEventListener('click', () => {
+      this.handleOk();
+    });
+  }
+
+  handleOk() {
+    const resolutions = new Map(
+      this.conflicts.map((conflict, index) => [
+        conflict.id,
+        this.dialog.querySelector(`input[name="merge-conflict-${index}"]:checked`).value
+      ])
+    );
+    this.hide();
+    this.resolve(resolutions);
+  }
+
+  hide() {
+    if (this.dialog) {
+      document.body.removeChild(this.dialog);
+      this.dialog = null;
+    }
+  }
+}
@@ -20,6 +20,7 @@ import * as U from '../utils/utils.js';
 import { createFloatInput } from './component/input.js';
 import { TextureFile } from '../model.js';
 import { ModelSheetEditor } from './editor/model-sheet.js';
+import { RegistrationTool } from './tool/registration.js';
 import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
 import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
 import { PointCloud } from '../model.js';
@@ -418,6 +419,36 @@ export class ModelsTree {
     this._scheduleSave(this.selectedNode);
   }
 
+  /**
+   * Set the position and rotation of a model from a transformation matrix, the scale is kept
+   * @param {Object} node - The model node
+   * @param {THREE.Matrix4} matrix - The new local matrix of the model
+   */
+  setModelMatrix(node, matrix) {
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    matrix.decompose(position, quaternion, new THREE.Vector3());
+    const euler = new THREE.Euler().setFromQuaternion(quaternion);
+
+    const values = {
+      position : { x: position.x, y: position.y, z: position.z },
+      rotation : { x: radsToDegrees(euler.x), y: radsToDegrees(euler.y), z: radsToDegrees(euler.z) }
+    };
+    Object.entries(values).forEach(([property, axes]) => {
+      Object.entries(axes).forEach(([axis, value]) => {
+        node.transform[property][axis] = value;
+        if (node.object3D) {
+          this.scene.models.setModelTransform(node.object3D, property, axis, value);
+        }
+      });
+    });
+
+    this._scheduleSave(node);
+    if (this.selectedNode === node) {
+      this.renderPropertiesPanel();
+    }
+  }
+
   /**
    * Update model opacity
    * @param {number} value - Opacity value from 0 to 1
@@ -1004,6 +1035,14 @@ export class ModelsTree {
           editor.show();
         }
       },
+      {
+        icon    : '🎯',
+        title   : i18n.t('ui.models.menu.register'),
+        onclick : () => {
+          this.hideContextMenu();
+          new RegistrationTool(this.db, this.scene, this, node).show();
+        }
+      },
       {
         icon    : '🧶',
         title   : i18n.t('ui.models.menu.loadTextures'),
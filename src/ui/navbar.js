@@ -21,8 +21,14 @@ import { i18n } from '../i18n/i18n.js';
 import { showErrorPanel } from './popups.js';
 import { RotationTool } from './tool/rotation.js';
 import { ShortestPathTool } from './tool/shortestpath.js';
+import { RoutePlannerTool } from './tool/route.js';
+import { ShotStatisticsTool } from './tool/statistics.js';
+import { StereonetTool } from './tool/stereonet.js';
 import { DipStrikeCalculatorTool } from './tool/dipstrike.js';
 import { RoseDiagramTool } from './tool/rosediagram.js';
+import { ExtendedElevationTool } from './tool/extended-elevation.js';
+import { CrossSectionTool } from './tool/cross-section.js';
+import { CalibrationProfilesEditor } from './editor/calibration-profiles.js';
 
 class NavigationBar {
 
@@ -73,6 +79,7 @@ class NavigationBar {
     document.addEventListener('modelsChanged', () => this.#refreshDynamicIcons());
     document.addEventListener('modelDeleted', () => this.#refreshDynamicIcons());
     document.addEventListener('spatialProjectionChanged', (e) => this.#updateProjectionIcon(e.detail.projection));
+    document.addEventListener('crossSectionChanged', () => this.#showCrossSection());
     document.addEventListener('keydown', (e) => this.onKeyDown(e), { capture: true });
 
     // Listen for language changes and refresh navbar
@@ -88,6 +95,13 @@ class NavigationBar {
     img.setAttribute('src', projection === 'perspective' ? 'icons/camera_perspective.svg' : 'icons/camera_ortho.svg');
   }
 
+  // a new section plane can be set from the tool panel or the context menu in any view
+  #showCrossSection() {
+    document.querySelectorAll('a[selectGroup="view"]').forEach((a) => a.classList.remove('selected'));
+    document.querySelector('#cross-section-view')?.classList.add('selected');
+    this.scene.changeView('section');
+  }
+
   #refreshDynamicIcons() {
     this.dynamicIcons.forEach(({ element, disabledFn }) => {
       const isDisabled = typeof disabledFn === 'function' ? disabledFn() : disabledFn;
@@ -177,7 +191,7 @@ class NavigationBar {
             name  : i18n.t('ui.navbar.menu.file.printPDF'),
             click : () => {
 
-              if (this.scene.view.name !== 'planView') {
+              if (!['planView', 'profileView', 'extendedView'].includes(this.scene.view.name)) {
                 showErrorPanel(i18n.t('ui.panels.pdfPrint.planViewRequired'));
                 return;
               }
@@ -220,6 +234,19 @@ class NavigationBar {
               }
             },
             shortkeys : ['crtl⊕shift⊕s']
+          },
+          {
+            name     : i18n.t('ui.navbar.menu.project.calibrationProfiles'),
+            disabled : () => this.projectSystem.getCurrentProject() === null,
+            click    : () => {
+              const editor = new CalibrationProfilesEditor(
+                this.options,
+                this.projectSystem,
+                document.getElementById('resizable-editor')
+              );
+              editor.setupPanel();
+              editor.show();
+            }
           }
         ]
       },
@@ -239,12 +266,42 @@ class NavigationBar {
             disabled : () => this.db.getAllCaveNames().length === 0,
             click    : () => new ShortestPathTool(this.db, this.options, this.scene).show()
           },
+          {
+            name     : i18n.t('ui.navbar.menu.tools.routePlanner'),
+            icon     : 'icons/route.svg',
+            disabled : () => this.db.getAllCaveNames().length === 0,
+            click    : () => new RoutePlannerTool(this.db, this.options, this.scene).show()
+          },
           {
             name     : i18n.t('ui.navbar.menu.tools.roseDiagram'),
             icon     : 'icons/rose_diagram.svg',
             disabled : () => this.db.getAllCaveNames().length === 0,
             click    : () => new RoseDiagramTool(this.db).show()
           },
+          {
+            name     : i18n.t('ui.navbar.menu.tools.shotStatistics'),
+            icon     : 'icons/statistics.svg',
+            disabled : () => this.db.getAllCaveNames().length === 0,
+            click    : () => new ShotStatisticsTool(this.db).show()
+          },
+          {
+            name     : i18n.t('ui.navbar.menu.tools.stereonet'),
+            icon     : 'icons/stereonet.svg',
+            disabled : () => this.db.getAllCaveNames().length === 0,
+            click    : () => new StereonetTool(this.db, this.options, this.interactive).show()
+          },
+          {
+            name     : i18n.t('ui.navbar.menu.tools.extendedElevation'),
+            icon     : 'icons/extended_profile.svg',
+            disabled : () => this.db.getAllCaveNames().length === 0,
+            click    : () => new ExtendedElevationTool(this.db, this.scene).show()
+          },
+          {
+            name     : i18n.t('ui.navbar.menu.tools.crossSection'),
+            icon     : 'icons/cross_section.svg',
+            disabled : () => this.db.getAllCaveNames().length === 0,
+            click    : () => new CrossSectionTool(this.db, this.scene).show()
+          },
           {
             name  : i18n.t('ui.navbar.menu.tools.drive'),
             icon  : 'icons/drive.svg',
@@ -333,6 +390,23 @@ class NavigationBar {
         click       : () => this.scene.changeView('spatial'),
         shortkeys   : ['crtl⊕shift⊕3', 'crtl⊕shift⊕#']
       },
+      {
+        tooltip     : i18n.t('ui.navbar.tooltips.extendedElevation'),
+        selectable  : true,
+        selectGroup : 'view',
+        icon        : 'icons/extended_profile.svg',
+        click       : () => this.scene.changeView('extended'),
+        shortkeys   : ['crtl⊕shift⊕4', 'crtl⊕shift⊕$']
+      },
+      {
+        tooltip     : i18n.t('ui.navbar.tooltips.crossSection'),
+        id          : 'cross-section-view',
+        selectable  : true,
+        selectGroup : 'view',
+        icon        : 'icons/cross_section.svg',
+        click       : () => this.scene.changeView('section'),
+        shortkeys   : ['crtl⊕shift⊕5', 'crtl⊕shift⊕%']
+      },
       {
         // Projection-mode toggle. No "selected" state — the current mode is
         // conveyed entirely by which icon is shown (ortho cube vs perspective
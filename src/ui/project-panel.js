@@ -22,6 +22,7 @@ import { Cave, DriveCaveMetadata } from '../model/cave.js';
 import { CoordinateSystem } from '../model/geo.js';
 import { RevisionInfo } from '../model/misc.js';
 import { LoadingOverlay } from './loading-overlay.js';
+import { MergeConflictDialog } from './merge-conflict-dialog.js';
 
 export class ProjectPanel {
   constructor(
@@ -1008,7 +1009,16 @@ Drive : ${c.drive.revision} (${this.#getAppName(c.drive.app)})`;
   async syncProject(localProject, driveProject, caveList, projectSyncInfo, modelSyncInfo, onSuccess) {
     try {
 
-      const conflictMessages = this.getConflictMessages(caveList, projectSyncInfo);
+      // caves changed both locally and remotely are merged, the others drop the changes of one side
+      const mergedCaves = await this.mergeCaves(caveList);
+      if (mergedCaves === null) {
+        return false;
+      }
+
+      const conflictMessages = this.getConflictMessages(
+        caveList.filter((c) => !mergedCaves.has(c.id)),
+        projectSyncInfo
+      );
       if (conflictMessages.length > 0) {
         if (!confirm(conflictMessages.join('\n\n'))) {
           return false;
@@ -1034,7 +1044,20 @@ Drive : ${c.drive.revision} (${this.#getAppName(c.drive.app)})`;
           if (c.state === 'existing') {
             const localRevisionInfo = await this.revisionStore.loadRevision(c.id);
             localRevisions.set(c.id, localRevisionInfo);
-            if (c.diff > 0) {
+            if (mergedCaves.has(c.id)) {
+              const mergedCave = mergedCaves.get(c.id);
+              await this.caveSystem.saveCave(mergedCave, localProject.id);
+              await this.googleDriveSync.uploadCave(mergedCave, localProject);
+              caveHasUploaded = true;
+              localRevisionInfo.revision = mergedCave.revision;
+              localRevisionInfo.app = localApp;
+              localRevisionInfo.synced = true;
+              localRevisionInfo.originApp = localApp;
+              localRevisionInfo.originRevision = mergedCave.revision;
+              await this.revisionStore.saveRevision(localRevisionInfo);
+              caves.set(mergedCave.id, mergedCave);
+              await this.#reloadCave(mergedCave, c.name, localProject.id);
+            } else if (c.diff > 0) {
               // local revision is higher, it means a local change
               await this.googleDriveSync.uploadCave(cave, localProject);
               caveHasUploaded = true;
@@ -1074,6 +1097,7 @@ Drive : ${c.drive.revision} (${this.#getAppName(c.drive.app)})`;
           } else if (c.state === 'localDeleted' && c.isOwner) {
             await this.googleDriveSync.deleteCave({ id: caveId });
             await this.revisionStore.deleteRevision(caveId);
+            await this.googleDriveSync.snapshotStore.deleteSnapshot(caveId);
             const response = await this.googleDriveSync.fetchProject(localProject);
             const driveProject = response.project;
             driveProject.project.updatedAt = new Date().toISOString();
@@ -1226,32 +1250,61 @@ Drive : ${c.drive.revision} (${this.#getAppName(c.drive.app)})`;
     }
     const cave = response.cave;
     await this.caveSystem.saveCave(cave, projectId);
+    await this.googleDriveSync.snapshotStore.saveSnapshot(cave);
     const newRevInfo = new RevisionInfo(cave.id, cave.revision, driveCave.app, true, driveCave.app, driveCave.revision);
     await this.revisionStore.saveRevision(newRevInfo);
-    const currentProject = this.projectSystem.getCurrentProject();
-    if (currentProject && currentProject.id === projectId) {
-      if (hasLocalCopy) {
-        const oldName = caveEntry.name;
-        if (cave.name !== oldName) {
-          // someone renamed the cave
-          setTimeout(() => {
-            this.db.renameCave(oldName, cave.name);
-            this.#emitCaveRenamed(cave, oldName, projectId);
-          }, 200);
-          // Wait until 'caveRenamedCompleted' event is emitted for this cave
-          await U.waitForEvent('caveRenamedCompleted', (detail) => detail.cave.id === cave.id);
-
-        }
-        this.#emitCaveChanged(cave);
-      } else {
+    if (hasLocalCopy) {
+      await this.#reloadCave(cave, caveEntry.name, projectId);
+    } else {
+      const currentProject = this.projectSystem.getCurrentProject();
+      if (currentProject && currentProject.id === projectId) {
         this.#emitCaveAdded(cave, projectId);
       }
-
     }
 
     return cave;
   }
 
+  /**
+   * Merges the caves that have been changed both locally and in Google Drive since the last sync
+   * @param {Array} caveList - The sync info of the caves
+   * @returns {Promise<Map<string, Cave>|null>} The merged caves by id or null if a merge was cancelled
+   */
+  async mergeCaves(caveList) {
+    const mergedCaves = new Map();
+    // one conflict dialog at a time
+    for (const c of caveList.filter((c) => c.state === 'existing' && c.hasConflict)) {
+      const cave = await this.caveSystem.loadCave(c.id);
+      const mergedCave = await this.googleDriveSync.mergeCave(cave, (name, conflicts) =>
+        new MergeConflictDialog().show(name, conflicts)
+      );
+      if (mergedCave === null) {
+        return null;
+      } else if (mergedCave !== undefined) {
+        mergedCave.revision = Math.max(c.local.revision, c.drive.revision) + 1;
+        mergedCaves.set(c.id, mergedCave);
+      }
+    }
+    return mergedCaves;
+  }
+
+  async #reloadCave(cave, oldName, projectId) {
+    const currentProject = this.projectSystem.getCurrentProject();
+    if (currentProject && currentProject.id === projectId) {
+      if (cave.name !== oldName) {
+        // someone renamed the cave
+        setTimeout(() => {
+          this.db.renameCave(oldName, cave.name);
+          this.#emitCaveRenamed(cave, oldName, projectId);
+        }, 200);
+        // Wait until 'caveRenamedCompleted' event is emitted for this cave
+        await U.waitForEvent('caveRenamedCompleted', (detail) => detail.cave.id === cave.id);
+
+      }
+      this.#emitCaveChanged(cave);
+    }
+  }
+
   async downloadProject(driveProject) {
     try {
       const cavesWithProperties = await Promise.all(
@@ -1262,6 +1315,7 @@ Drive : ${c.drive.revision} (${this.#getAppName(c.drive.app)})`;
       const success = await this.importProject(project, caves);
 
       if (success) {
+        await Promise.all(caves.map((cave) => this.googleDriveSync.snapshotStore.saveSnapshot(cave)));
         await Promise.all(
           cavesWithProperties.map(async (cwp) => {
             const caveRevisionInfo = new RevisionInfo(
@@ -1579,6 +1633,7 @@ Drive : ${c.drive.revision} (${this.#getAppName(c.drive.app)})`;
           this.driveProjects.delete(project.id);
           this.revisionStore.deleteRevision(project.id);
           await Promise.all(cavesIds.map((cave) => this.revisionStore.deleteRevision(cave.id)));
+          await Promise.all(cavesIds.map((cave) => this.googleDriveSync.snapshotStore.deleteSnapshot(cave.id)));
           driveDeleted = true;
         }
       }
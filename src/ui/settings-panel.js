@@ -16,7 +16,7 @@
 
 import { ConfigManager } from '../config.js';
 import { i18n } from '../i18n/i18n.js';
-import { DEFAULT_UNITS } from '../model/survey.js';
+import { DEFAULT_UNITS, DEFAULT_BACKSIGHT_TOLERANCE } from '../model/survey.js';
 import { createFloatInput } from './component/input.js';
 
 export class SettingsPanel {
@@ -139,6 +139,45 @@ export class SettingsPanel {
           }
         ),
 
+        // LRUD Passages Group
+        this.createSubGroup(
+          i18n.t('ui.settingsPanel.groups.passages'),
+          [
+            this.createSelect(
+              i18n.t('ui.settingsPanel.labels.colorMode'),
+              [
+                { value: 'centerLines', text: i18n.t('ui.settingsPanel.options.centerLineColors') },
+                { value: 'static', text: i18n.t('ui.settingsPanel.options.staticColor') }
+              ],
+              this.options.scene.passages.colorMode,
+              (value) => {
+                this.options.scene.passages.colorMode = value;
+              }
+            ),
+            this.createColorInput(
+              i18n.t('ui.settingsPanel.labels.color'),
+              this.options.scene.passages.color,
+              (value) => {
+                this.options.scene.passages.color = value;
+              }
+            ),
+            this.createRangeInput(
+              i18n.t('ui.settingsPanel.labels.opacity'),
+              this.options.scene.passages.opacity,
+              0,
+              1,
+              0.1,
+              (value) => {
+                this.options.scene.passages.opacity = value;
+              }
+            )
+          ],
+          this.options.scene.passages,
+          (value) => {
+            this.options.scene.passages.show = value;
+          }
+        ),
+
         // Auxiliary Lines Group
         this.createSubGroup(
           i18n.t('ui.settingsPanel.groups.auxiliaryLines'),
@@ -846,6 +885,48 @@ export class SettingsPanel {
           (value) => {
             this.options.format.decimalSeparator = value;
           }
+        ),
+        this.createSelect(
+          i18n.t('ui.settingsPanel.labels.networkAdjustment'),
+          [
+            { value: 'none', text: i18n.t('ui.settingsPanel.adjustment.none') },
+            { value: 'leastSquares', text: i18n.t('ui.settingsPanel.adjustment.leastSquares') }
+          ],
+          this.options.calculation?.adjustment ?? 'none',
+          (value) => {
+            this.options.calculation.adjustment = value;
+          }
+        ),
+        this.createNumberInput(
+          i18n.t('ui.settingsPanel.labels.backAzimuthTolerance'),
+          this.options.calculation?.backsightTolerance?.azimuth ?? DEFAULT_BACKSIGHT_TOLERANCE.azimuth,
+          0,
+          180,
+          0.5,
+          (value) => {
+            this.options.calculation.backsightTolerance.azimuth = value;
+          }
+        ),
+        this.createNumberInput(
+          i18n.t('ui.settingsPanel.labels.backClinoTolerance'),
+          this.options.calculation?.backsightTolerance?.clino ?? DEFAULT_BACKSIGHT_TOLERANCE.clino,
+          0,
+          90,
+          0.5,
+          (value) => {
+            this.options.calculation.backsightTolerance.clino = value;
+          }
+        ),
+        this.createSelect(
+          i18n.t('ui.settingsPanel.labels.declinationSource'),
+          [
+            { value: 'noaa', text: i18n.t('ui.settingsPanel.declinationSource.noaa') },
+            { value: 'model', text: i18n.t('ui.settingsPanel.declinationSource.model') }
+          ],
+          this.options.calculation?.declinationSource ?? 'noaa',
+          (value) => {
+            this.options.calculation.declinationSource = value;
+          }
         )
       ],
       true
@@ -0,0 +1,113 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { wm } from '../window.js';
+import { node, degreesToRads, radsToDegrees, formatFloat } from '../../utils/utils.js';
+import { i18n } from '../../i18n/i18n.js';
+import { ShotType } from '../../model/survey.js';
+import { SectionPlane } from '../../utils/cross-section.js';
+import { showWarningPanel } from '../popups.js';
+
+export class CrossSectionTool {
+
+  constructor(db, scene, panel = '#tool-panel') {
+    this.db = db;
+    this.scene = scene;
+    this.panel = document.querySelector(panel);
+    this.panel.style.width = '300px';
+  }
+
+  show() {
+    wm.makeFloatingPanel(
+      this.panel,
+      (contentElmt) => this.build(contentElmt),
+      'ui.panels.crossSection.title',
+      false,
+      false
+    );
+  }
+
+  build(contentElmnt) {
+    const sectionView = this.scene.views.get('section');
+    const halfWidth = sectionView.plane?.halfWidth ?? SectionPlane.DEFAULT_HALF_WIDTH;
+
+    const addSettings = (caveName) => {
+      const cave = this.db.getCave(caveName);
+      const container = node`<div id="container-cross-section"></div>`;
+      const stNames = this.db.getStationNames(caveName, (s) => s.type !== ShotType.SPLAY);
+      const options = stNames.map((n) => `<option value="${n}">`).join('');
+      container.appendChild(node`<datalist id="cross-section-stations">${options}</datalist>`);
+
+      const form = node`<form></form>`;
+      const stationL = node`<label for="cross-section-station">${i18n.t('common.station')}:<input required type="search" list="cross-section-stations" id="cross-section-station"></label>`;
+      const stationInput = stationL.childNodes[1];
+      const azimuthL = node`<label for="cross-section-azimuth">${i18n.t('ui.panels.crossSection.azimuth')}:<input required type="number" step="any" min="0" max="360" id="cross-section-azimuth" value="0"></label>`;
+      const azimuthInput = azimuthL.childNodes[1];
+      const offsetL = node`<label for="cross-section-offset">${i18n.t('ui.panels.crossSection.offset')}:<input required type="number" step="any" id="cross-section-offset" value="0"></label>`;
+      const offsetInput = offsetL.childNodes[1];
+      const halfWidthL = node`<label for="cross-section-half-width">${i18n.t('ui.panels.crossSection.halfWidth')}:<input required type="number" step="any" min="0.01" id="cross-section-half-width" value="${halfWidth}"></label>`;
+      const halfWidthInput = halfWidthL.childNodes[1];
+
+      [stationL, azimuthL, offsetL, halfWidthL].forEach((l) => form.appendChild(l));
+      form.appendChild(node`<button type="submit">${i18n.t('ui.panels.crossSection.show')}</button>`);
+      container.appendChild(form);
+      contentElmnt.appendChild(container);
+
+      // the section looks along the passage by default
+      stationInput.onchange = () => {
+        const stationName = stationInput.value.trim();
+        if (cave.stations.has(stationName)) {
+          const azimuth = SectionPlane.getPassageAzimuth(cave, stationName);
+          azimuthInput.value = formatFloat(radsToDegrees(azimuth), 1);
+        }
+      };
+
+      form.onsubmit = (e) => {
+        e.preventDefault();
+        const stationName = stationInput.value.trim();
+        const station = cave.stations.get(stationName);
+        if (station?.position === undefined) {
+          showWarningPanel(i18n.t('ui.panels.crossSection.stationNotFound', { station: stationName }));
+          return;
+        }
+        const azimuth = degreesToRads(parseFloat(azimuthInput.value));
+        const offset = parseFloat(offsetInput.value);
+        const normal = new SectionPlane(station.position, azimuth).getNormal();
+        const position = station.position.add(normal.mul(offset));
+        sectionView.setPlane(new SectionPlane(position, azimuth, parseFloat(halfWidthInput.value)));
+      };
+    };
+
+    const cNames = this.db.getAllCaveNames();
+    if (cNames.length > 1) {
+      const optionCaveNames = cNames.map((n) => `<option value="${n}">${n}</option>`).join('');
+      const caveNamesL = node`<label for="cave-names">${i18n.t('common.cave')}: <select id="cave-names" name="cave-names">${optionCaveNames}</select></label>`;
+      const caveNames = caveNamesL.childNodes[1];
+
+      contentElmnt.appendChild(caveNamesL);
+
+      caveNames.onchange = () => {
+        const caveName = caveNames.options[caveNames.selectedIndex].text;
+        contentElmnt.querySelector('#container-cross-section')?.remove();
+        addSettings(caveName);
+      };
+    }
+
+    if (cNames.length > 0) {
+      addSettings(cNames[0]);
+    }
+  }
+}
@@ -0,0 +1,145 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { wm } from '../window.js';
+import { node } from '../../utils/utils.js';
+import { i18n } from '../../i18n/i18n.js';
+import { ShotType } from '../../model/survey.js';
+import { ExtendedElevation } from '../../model/cave.js';
+import { ExtendedElevationCalculator } from '../../utils/extended-elevation.js';
+import { showWarningPanel } from '../popups.js';
+
+export class ExtendedElevationTool {
+
+  constructor(db, scene, panel = '#tool-panel') {
+    this.db = db;
+    this.scene = scene;
+    this.panel = document.querySelector(panel);
+    this.panel.style.width = '300px';
+  }
+
+  show() {
+    wm.makeFloatingPanel(
+      this.panel,
+      (contentElmt) => this.build(contentElmt),
+      'ui.panels.extendedElevation.title',
+      false,
+      false
+    );
+  }
+
+  build(contentElmnt) {
+
+    const addSettings = (caveName) => {
+      const cave = this.db.getCave(caveName);
+      const container = node`<div id="container-extended-elevation"></div>`;
+      const stNames = this.db.getStationNames(caveName, (s) => s.type !== ShotType.SPLAY);
+      const options = stNames.map((n) => `<option value="${n}">`).join('');
+      container.appendChild(node`<datalist id="extended-elevation-stations">${options}</datalist>`);
+
+      const startForm = node`<form></form>`;
+      const startL = node`<label for="extended-elevation-start">${i18n.t('ui.panels.extendedElevation.start')}:<input type="search" list="extended-elevation-stations" id="extended-elevation-start" placeholder="${cave.getFirstStationName() ?? ''}"></label>`;
+      const startInput = startL.childNodes[1];
+      startInput.value = cave.extendedElevation.start ?? '';
+      startForm.appendChild(startL);
+      startForm.appendChild(node`<button type="submit">${i18n.t('ui.panels.extendedElevation.setStart')}</button>`);
+      container.appendChild(startForm);
+
+      const flipForm = node`<form></form>`;
+      const flipL = node`<label for="extended-elevation-station">${i18n.t('common.station')}:<input required type="search" list="extended-elevation-stations" id="extended-elevation-station"></label>`;
+      const flipInput = flipL.childNodes[1];
+      flipForm.appendChild(flipL);
+      flipForm.appendChild(node`<button type="submit">${i18n.t('ui.panels.extendedElevation.flip')}</button>`);
+      container.appendChild(flipForm);
+
+      const directionsList = node`<div id="extended-elevation-directions"></div>`;
+      container.appendChild(directionsList);
+
+      const resetButton = node`<button type="button">${i18n.t('ui.panels.extendedElevation.reset')}</button>`;
+      container.appendChild(resetButton);
+      contentElmnt.appendChild(container);
+
+      const changed = () => {
+        renderDirections();
+        document.dispatchEvent(new CustomEvent('extendedElevationChanged', { detail: { cave } }));
+      };
+
+      const renderDirections = () => {
+        directionsList.innerHTML = '';
+        if (cave.extendedElevation.directions.size === 0) {
+          directionsList.appendChild(node`<p>${i18n.t('ui.panels.extendedElevation.noDirections')}</p>`);
+          return;
+        }
+        cave.extendedElevation.directions.forEach((direction, stationName) => {
+          const row = node`<div class="extended-elevation-direction">${stationName}: ${i18n.t(`ui.panels.extendedElevation.${direction}`)} <button type="button">${i18n.t('common.remove')}</button></div>`;
+          row.querySelector('button').onclick = () => {
+            cave.extendedElevation.removeDirection(stationName);
+            changed();
+          };
+          directionsList.appendChild(row);
+        });
+      };
+
+      startForm.onsubmit = (e) => {
+        e.preventDefault();
+        const start = startInput.value.trim();
+        if (start !== '' && !cave.stations.has(start)) {
+          showWarningPanel(i18n.t('ui.panels.extendedElevation.stationNotFound', { station: start }));
+          return;
+        }
+        cave.extendedElevation.start = start === '' ? undefined : start;
+        changed();
+      };
+
+      flipForm.onsubmit = (e) => {
+        e.preventDefault();
+        const stationName = flipInput.value.trim();
+        if (!ExtendedElevationCalculator.flip(cave, stationName)) {
+          showWarningPanel(i18n.t('ui.panels.extendedElevation.stationNotFound', { station: stationName }));
+          return;
+        }
+        changed();
+      };
+
+      resetButton.onclick = () => {
+        cave.extendedElevation = new ExtendedElevation();
+        startInput.value = '';
+        changed();
+      };
+
+      renderDirections();
+    };
+
+    const cNames = this.db.getAllCaveNames();
+    if (cNames.length > 1) {
+      const optionCaveNames = cNames.map((n) => `<option value="${n}">${n}</option>`).join('');
+      const caveNamesL = node`<label for="cave-names">${i18n.t('common.cave')}: <select id="cave-names" name="cave-names">${optionCaveNames}</select></label>`;
+      const caveNames = caveNamesL.childNodes[1];
+
+      contentElmnt.appendChild(caveNamesL);
+
+      caveNames.onchange = () => {
+        const caveName = caveNames.options[caveNames.selectedIndex].text;
+        contentElmnt.querySelector('#container-extended-elevation')?.remove();
+        addSettings(caveName);
+      };
+    }
+
+    if (cNames.length > 0) {
+      addSettings(cNames[0]);
+    }
+  }
+}
@@ -0,0 +1,231 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as THREE from 'three';
+import { wm } from '../window.js';
+import { node, formatFloat, parseMyFloat } from '../../utils/utils.js';
+import { i18n } from '../../i18n/i18n.js';
+import { ShotType } from '../../model/survey.js';
+import { PointRegistration } from '../../utils/registration.js';
+import { showWarningPanel } from '../popups.js';
+
+// the model is sampled for the closest point search
+const MAX_MODEL_POINTS = 200000;
+
+/**
+ * Registers a point cloud or a mesh to the survey of a cave: a coarse fit of station - model point pairs
+ * and an ICP refinement against the station positions and the splay endpoints
+ */
+export class RegistrationTool {
+
+  /**
+   * @param {Database} db - The database of the caves
+   * @param {MyScene} scene - The 3D scene
+   * @param {ModelsTree} modelsTree - The models tree, the transformation is saved through it
+   * @param {Object} modelNode - The node of the model to register
+   */
+  constructor(db, scene, modelsTree, modelNode, panel = '#tool-panel') {
+    this.db = db;
+    this.scene = scene;
+    this.modelsTree = modelsTree;
+    this.modelNode = modelNode;
+    this.panel = document.querySelector(panel);
+    this.panel.style.width = '340px';
+
+    // the model points are stored in the coordinates of the model, so they follow the model when it is moved
+    this.pairs = [0, 1, 2].map(() => ({ station: '', point: undefined, residual: undefined }));
+    this.activePair = undefined;
+    this.onSurfacePointSelected = (e) => this.#onSurfacePointSelected(e);
+  }
+
+  show() {
+    document.addEventListener('surfacePointSelected', this.onSurfacePointSelected);
+    wm.makeFloatingPanel(
+      this.panel,
+      (contentElmnt) => this.build(contentElmnt),
+      () => i18n.t('ui.panels.registration.title', { name: this.modelNode.label }),
+      false,
+      false,
+      {},
+      () => document.removeEventListener('surfacePointSelected', this.onSurfacePointSelected)
+    );
+  }
+
+  build(contentElmnt) {
+    const cNames = this.db.getAllCaveNames();
+    if (cNames.length === 0) {
+      contentElmnt.appendChild(node`<div>${i18n.t('ui.panels.registration.noCave')}</div>`);
+      return;
+    }
+
+    if (cNames.length > 1) {
+      const optionCaveNames = cNames.map((n) => `<option value="${n}">${n}</option>`).join('');
+      const caveNamesL = node`<label for="registration-cave-names">${i18n.t('common.cave')}: <select id="registration-cave-names">${optionCaveNames}</select></label>`;
+      const caveNames = caveNamesL.childNodes[1];
+      caveNames.onchange = () => this.#selectCave(caveNames.options[caveNames.selectedIndex].text);
+      contentElmnt.appendChild(caveNamesL);
+    }
+
+    this.datalist = node`<datalist id="registration-stations"></datalist>`;
+    this.pairsContainer = node`<div></div>`;
+    const addPair = node`<button type="button">${i18n.t('ui.panels.registration.addPair')}</button>`;
+    addPair.onclick = () => {
+      this.pairs.push({ station: '', point: undefined, residual: undefined });
+      this.#renderPairs();
+    };
+    const coarse = node`<button type="button">${i18n.t('ui.panels.registration.coarse')}</button>`;
+    coarse.onclick = () => this.#coarseFit();
+
+    const distanceL = node`<label for="registration-max-distance">${i18n.t('ui.panels.registration.maxDistance')}:<input type="number" step="any" min="0.01" id="registration-max-distance" value="1"></label>`;
+    this.maxDistanceInput = distanceL.childNodes[1];
+    const iterationsL = node`<label for="registration-iterations">${i18n.t('ui.panels.registration.iterations')}:<input type="number" step="1" min="1" id="registration-iterations" value="30"></label>`;
+    this.iterationsInput = iterationsL.childNodes[1];
+    const refine = node`<button type="button">${i18n.t('ui.panels.registration.refine')}</button>`;
+    refine.onclick = () => this.#refine();
+    this.result = node`<div id="registration-result"></div>`;
+
+    contentElmnt.appendChild(this.datalist);
+    contentElmnt.appendChild(node`<div>${i18n.t('ui.panels.registration.pickHint')}</div>`);
+    [this.pairsContainer, addPair, coarse, node`<hr/>`, distanceL, iterationsL, refine, this.result].forEach((e) =>
+      contentElmnt.appendChild(e)
+    );
+    this.#selectCave(cNames[0]);
+  }
+
+  #selectCave(caveName) {
+    this.cave = this.db.getCave(caveName);
+    const stNames = this.db.getStationNames(caveName, (s) => s.type === ShotType.CENTER);
+    this.datalist.innerHTML = stNames.map((n) => `<option value="${n}">`).join('');
+    this.pairs.forEach((pair) => (pair.residual = undefined));
+    this.#renderPairs();
+  }
+
+  #renderPairs() {
+    this.pairsContainer.innerHTML = '';
+    this.pairs.forEach((pair, index) => {
+      const row = node`<div class="registration-pair"></div>`;
+      const station = node`<input type="search" class="registration-station" list="registration-stations" placeholder="${i18n.t('common.station')}">`;
+      station.value = pair.station;
+      station.onchange = () => (pair.station = station.value.trim());
+      const point = pair.point === undefined ? '-' : this.#formatPoint(pair.point);
+      const residual =
+        pair.residual === undefined ? '' : ` (${formatFloat(pair.residual, 3)} ${i18n.t('ui.units.short.meters')})`;
+      const pick = node`<button type="button" title="${i18n.t('ui.panels.registration.pick')}">📍</button>`;
+      if (this.activePair === index) pick.classList.add('active');
+      pick.onclick = () => {
+        this.activePair = this.activePair === index ? undefined : index;
+        this.#renderPairs();
+      };
+      const remove = node`<button type="button" title="${i18n.t('ui.panels.registration.removePair')}">✖</button>`;
+      remove.onclick = () => {
+        this.pairs.splice(index, 1);
+        this.activePair = undefined;
+        this.#renderPairs();
+      };
+      row.appendChild(station);
+      row.appendChild(node`<span>${point}${residual}</span>`);
+      row.appendChild(pick);
+      row.appendChild(remove);
+      this.pairsContainer.appendChild(row);
+    });
+  }
+
+  #onSurfacePointSelected(e) {
+    if (this.activePair === undefined || e.detail.name !== this.modelNode.label) return;
+    const object3D = this.modelNode.object3D;
+    object3D.updateMatrixWorld(true);
+    const pair = this.pairs[this.activePair];
+    pair.point = e.detail.position.clone().applyMatrix4(object3D.matrixWorld.clone().invert());
+    pair.residual = undefined;
+    this.activePair = undefined;
+    this.#renderPairs();
+  }
+
+  #formatPoint(point) {
+    const world = point.clone().applyMatrix4(this.modelNode.object3D.matrixWorld);
+    return [world.x, world.y, world.z].map((v) => formatFloat(v, 2)).join(', ');
+  }
+
+  #coarseFit() {
+    const pairs = this.pairs.filter((pair) => pair.station !== '' && pair.point !== undefined);
+    const missing = pairs.find((pair) => this.cave.stations.get(pair.station)?.position === undefined);
+    if (missing !== undefined) {
+      showWarningPanel(i18n.t('ui.panels.registration.stationNotFound', { station: missing.station }));
+      return;
+    }
+
+    const object3D = this.modelNode.object3D;
+    object3D.updateMatrixWorld(true);
+    const sources = pairs.map((pair) => pair.point.clone().applyMatrix4(object3D.matrixWorld));
+    const targets = pairs.map((pair) => this.#toVector3(this.cave.stations.get(pair.station).position));
+
+    try {
+      const matrix = PointRegistration.fitRigid(sources, targets);
+      this.#applyTransformation(matrix);
+      const residuals = PointRegistration.getResiduals(matrix, sources, targets);
+      pairs.forEach((pair, i) => (pair.residual = residuals[i]));
+      this.#renderPairs();
+      this.result.textContent = i18n.t('ui.panels.registration.coarseResult', {
+        pairs : pairs.length,
+        rms   : formatFloat(PointRegistration.rms(residuals), 3)
+      });
+    } catch (error) {
+      showWarningPanel(error.message);
+    }
+  }
+
+  #refine() {
+    const maxDistance = parseMyFloat(this.maxDistanceInput.value);
+    const iterations = parseInt(this.iterationsInput.value);
+    if (!(maxDistance > 0) || !(iterations > 0)) {
+      showWarningPanel(i18n.t('ui.panels.registration.invalidParameters'));
+      return;
+    }
+
+    const modelPoints = this.scene.models.getModelPoints(this.modelNode.label, MAX_MODEL_POINTS);
+    const targets = [...this.cave.stations.values()]
+      .filter((st) => st.position !== undefined && (st.type === ShotType.CENTER || st.type === ShotType.SPLAY))
+      .map((st) => this.#toVector3(st.position));
+
+    try {
+      const result = PointRegistration.icp(modelPoints, targets, { maxDistance, iterations });
+      this.#applyTransformation(result.matrix);
+      this.pairs.forEach((pair) => (pair.residual = undefined));
+      this.#renderPairs();
+      this.result.textContent = i18n.t('ui.panels.registration.icpResult', {
+        pairs      : result.pairs,
+        total      : targets.length,
+        iterations : result.iterations,
+        rms        : formatFloat(result.rms, 3)
+      });
+    } catch (error) {
+      showWarningPanel(error.message);
+    }
+  }
+
+  // the transformation is given in world coordinates, the model node stores the local transformation
+  #applyTransformation(matrix) {
+    const object3D = this.modelNode.object3D;
+    const parentInverse = object3D.parent ? object3D.parent.matrixWorld.clone().invert() : new THREE.Matrix4();
+    const local = parentInverse.multiply(matrix).multiply(object3D.matrixWorld);
+    this.modelsTree.setModelMatrix(this.modelNode, local);
+    object3D.updateMatrixWorld(true);
+  }
+
+  #toVector3(position) {
+    return new THREE.Vector3(position.x, position.y, position.z);
+  }
+}
@@ -15,9 +15,9 @@
  */
 
 import { wm } from '../window.js';
-import { node, convertLengthToMeters, convertAngleToDegrees, formatFloat } from '../../utils/utils.js';
+import { node, formatFloat } from '../../utils/utils.js';
 import { i18n } from '../../i18n/i18n.js';
-import { DEFAULT_UNITS } from '../../model/survey.js';
+import { ShotStatistics } from '../../utils/statistics.js';
 
 export class RoseDiagramTool {
 
@@ -55,34 +55,7 @@ export class RoseDiagramTool {
   getCenterlineShots(caveName) {
     const cave = this.db.getCave(caveName);
     if (!cave) return [];
-
-    const shots = [];
-    cave.surveys.forEach((survey) => {
-      // Skip isolated surveys
-      if (survey.isolated === true) return;
-
-      const lengthUnit = survey.units?.length ?? DEFAULT_UNITS.length;
-      const angleUnit = survey.units?.angle ?? DEFAULT_UNITS.angle;
-      survey.validShots.forEach((shot) => {
-        if (
-          shot.isCenter() &&
-          survey.visible === true &&
-          shot.azimuth !== undefined &&
-          shot.azimuth !== null &&
-          shot.length !== undefined &&
-          shot.length !== null &&
-          !isNaN(shot.azimuth) &&
-          !isNaN(shot.length) &&
-          shot.length > 0
-        ) {
-          shots.push({
-            azimuth : convertAngleToDegrees(shot.azimuth, angleUnit),
-            length  : convertLengthToMeters(shot.length, lengthUnit)
-          });
-        }
-      });
-    });
-    return shots;
+    return ShotStatistics.getCenterlineShots(cave);
   }
 
   /**
@@ -92,22 +65,8 @@ export class RoseDiagramTool {
    * @returns {Array} Array of bin values (cumulative length per bin)
    */
   calculateBins(shots, binCount) {
-    const binSize = 360 / binCount;
-    const bins = new Array(binCount).fill(0);
-    let totalLength = 0;
-
-    shots.forEach((shot) => {
-      // Normalize azimuth to 0-360
-      let azimuth = shot.azimuth % 360;
-      if (azimuth < 0) azimuth += 360;
-
-      // Calculate bin index
-      const binIndex = Math.floor(azimuth / binSize) % binCount;
-      bins[binIndex] += shot.length;
-      totalLength += shot.length;
-    });
-
-    return { bins, totalLength };
+    const { bins, total } = ShotStatistics.binAzimuths(shots, binCount);
+    return { bins, totalLength: total };
   }
 
   /**
@@ -139,8 +98,9 @@ export class RoseDiagramTool {
    * Draw the rose diagram as SVG
    * @param {Array} bins - Array of bin values
    * @param {HTMLElement} container - Container element for the SVG
+   * @param {string} unit - Unit of the bin values
    */
-  drawDiagram(bins, totalLength, container) {
+  drawDiagram(bins, totalLength, container, unit = 'm') {
     const size = this.diagramSize;
     const padding = this.diagramPadding;
     const centerX = size / 2;
@@ -187,7 +147,7 @@ export class RoseDiagramTool {
       label.setAttribute('fill', '#666688');
       label.setAttribute('font-size', '9');
       label.setAttribute('font-family', 'sans-serif');
-      label.textContent = `${formatFloat(lengthValue, 0)}m`;
+      label.textContent = `${formatFloat(lengthValue, 0)}${unit}`;
       svg.appendChild(label);
     }
 
@@ -264,7 +224,7 @@ export class RoseDiagramTool {
         const lengthValue = formatFloat(value, 2);
         const direction = `${formatFloat(startAngle, 0)}°-${formatFloat(endAngle, 0)}°`;
         const pct = (value / totalLength) * 100;
-        path.innerHTML = `<title>${direction}: ${lengthValue}m (${formatFloat(pct, 0)}%)</title>`;
+        path.innerHTML = `<title>${direction}: ${lengthValue}${unit} (${formatFloat(pct, 0)}%)</title>`;
 
         svg.appendChild(path);
       }
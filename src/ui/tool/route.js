@@ -0,0 +1,318 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { wm } from '../window.js';
+import { node, convertLengthFromMeters, formatFloat, parseMyFloat } from '../../utils/utils.js';
+import { SectionHelper } from '../../section.js';
+import { i18n } from '../../i18n/i18n.js';
+import { ShotType, DEFAULT_UNITS } from '../../model/survey.js';
+import { RoutePlanner, DEFAULT_TRAVEL_SPEEDS, DEFAULT_AVOIDED_ATTRIBUTES } from '../../utils/route.js';
+import { generateRouteCard } from '../../io/pdf.js';
+import { showErrorPanel, showWarningPanel } from '../popups.js';
+
+/**
+ * Plans a route through multiple waypoints of a cave, avoiding the passages with the selected attributes
+ */
+export class RoutePlannerTool {
+
+  constructor(db, options, scene, panel = '#tool-panel') {
+    this.db = db;
+    this.options = options;
+    this.scene = scene;
+    this.panel = document.querySelector(panel);
+    this.panel.style.width = '420px';
+    this.segmentsId = 'route-planner-segments';
+    this.waypoints = ['', ''];
+    this.route = undefined;
+  }
+
+  show() {
+    wm.makeFloatingPanel(
+      this.panel,
+      (contentElmnt) => this.build(contentElmnt),
+      'ui.panels.routePlanner.title',
+      false,
+      false,
+      {},
+      () => {
+        this.scene.segments.disposeSegmentsTube(this.segmentsId);
+        this.table?.destroy();
+      }
+    );
+  }
+
+  build(contentElmnt) {
+    const cNames = this.db.getAllCaveNames();
+    if (cNames.length > 1) {
+      const optionCaveNames = cNames.map((n) => `<option value="${n}">${n}</option>`).join('');
+      const caveNamesL = node`<label for="route-cave-names">${i18n.t('common.cave')}: <select id="route-cave-names">${optionCaveNames}</select></label>`;
+      const caveNames = caveNamesL.childNodes[1];
+      caveNames.onchange = () => this.#selectCave(caveNames.options[caveNames.selectedIndex].text);
+      contentElmnt.appendChild(caveNamesL);
+    }
+
+    this.datalist = node`<datalist id="route-stations"></datalist>`;
+    this.waypointsContainer = node`<div></div>`;
+    const addWaypoint = node`<button type="button">${i18n.t('ui.panels.routePlanner.addWaypoint')}</button>`;
+    addWaypoint.onclick = () => {
+      this.waypoints.push('');
+      this.#renderWaypoints();
+    };
+    this.avoidContainer = node`<div class="route-avoid"></div>`;
+
+    const verticalL = node`<label for="route-vertical-weight">${i18n.t('ui.panels.routePlanner.verticalWeight')}:<input type="number" step="any" min="0" id="route-vertical-weight" value="0"></label>`;
+    this.verticalWeightInput = verticalL.childNodes[1];
+
+    const speeds = this.options.route?.speeds ?? DEFAULT_TRAVEL_SPEEDS;
+    const speedInputs = ['horizontal', 'ascent', 'descent'].map((key) => {
+      const label = node`<label for="route-speed-${key}">${i18n.t(`ui.panels.routePlanner.speeds.${key}`)}:<input type="number" step="any" min="0.1" id="route-speed-${key}" value="${speeds[key] ?? DEFAULT_TRAVEL_SPEEDS[key]}"></label>`;
+      const input = label.childNodes[1];
+      input.onchange = () => {
+        const value = parseMyFloat(input.value);
+        if (value > 0) {
+          this.options.route.speeds[key] = value;
+          this.#renderResult();
+        }
+      };
+      return label;
+    });
+
+    const plan = node`<button type="button">${i18n.t('ui.panels.routePlanner.plan')}</button>`;
+    plan.onclick = () => this.#plan();
+    this.summary = node`<div id="route-summary"></div>`;
+    this.tableContainer = node`<div id="route-legs-table"></div>`;
+    const exportCsv = node`<button type="button">${i18n.t('ui.panels.routePlanner.exportCsv')}</button>`;
+    exportCsv.onclick = () => this.table?.download('csv', `${this.caveName}-route.csv`, { delimiter: '\t' });
+    const exportPdf = node`<button type="button">${i18n.t('ui.panels.routePlanner.exportPdf')}</button>`;
+    exportPdf.onclick = () => this.#exportPdf();
+    this.exportButtons = node`<div class="route-export"></div>`;
+    this.exportButtons.appendChild(exportCsv);
+    this.exportButtons.appendChild(exportPdf);
+
+    [
+      this.datalist,
+      node`<div>${i18n.t('ui.panels.routePlanner.waypoints')}:</div>`,
+      this.waypointsContainer,
+      addWaypoint,
+      node`<hr/>`,
+      node`<div>${i18n.t('ui.panels.routePlanner.avoid')}:</div>`,
+      this.avoidContainer,
+      verticalL,
+      node`<div>${i18n.t('ui.panels.routePlanner.speeds.title')}:</div>`,
+      ...speedInputs,
+      plan,
+      this.summary,
+      this.tableContainer,
+      this.exportButtons
+    ].forEach((e) => contentElmnt.appendChild(e));
+
+    if (cNames.length > 0) {
+      this.#selectCave(cNames[0]);
+    }
+  }
+
+  #selectCave(caveName) {
+    this.caveName = caveName;
+    this.cave = this.db.getCave(caveName);
+    const stNames = this.db.getStationNames(caveName, (s) => s.type !== ShotType.SPLAY);
+    this.datalist.innerHTML = stNames.map((n) => `<option value="${n}">`).join('');
+    this.waypoints = ['', ''];
+    this.#renderWaypoints();
+
+    // the attributes used in the cave can be avoided as well
+    const { edges, stationAttributes } = RoutePlanner.getPassages(this.cave);
+    const used = new Set([
+      ...edges.flatMap((e) => [...e.attributes]),
+      ...[...stationAttributes.values()].flatMap((s) => [...s])
+    ]);
+    const names = [...new Set([...DEFAULT_AVOIDED_ATTRIBUTES, ...[...used].sort()])];
+    this.avoidContainer.innerHTML = '';
+    names.forEach((name) => {
+      const label = node`<label class="route-avoid-attribute"><input type="checkbox" value="${name}"/>${i18n.t(`attributes.names.${name}`)}</label>`;
+      this.avoidContainer.appendChild(label);
+    });
+
+    this.#clearRoute();
+  }
+
+  #renderWaypoints() {
+    this.waypointsContainer.innerHTML = '';
+    this.waypoints.forEach((waypoint, index) => {
+      const row = node`<div class="route-waypoint"></div>`;
+      const station = node`<input type="search" list="route-stations" placeholder="${i18n.t('common.station')}">`;
+      station.value = waypoint;
+      station.onchange = () => (this.waypoints[index] = station.value.trim());
+      const remove = node`<button type="button" title="${i18n.t('ui.panels.routePlanner.removeWaypoint')}">✖</button>`;
+      remove.disabled = this.waypoints.length <= 2;
+      remove.onclick = () => {
+        this.waypoints.splice(index, 1);
+        this.#renderWaypoints();
+      };
+      row.appendChild(node`<span>${index + 1}.</span>`);
+      row.appendChild(station);
+      row.appendChild(remove);
+      this.waypointsContainer.appendChild(row);
+    });
+  }
+
+  #plan() {
+    this.#clearRoute();
+    const waypoints = this.waypoints.filter((w) => w !== '');
+    const avoid = [...this.avoidContainer.querySelectorAll('input:checked')].map((i) => i.value);
+    const verticalWeight = parseMyFloat(this.verticalWeightInput.value);
+    if (!(verticalWeight >= 0)) {
+      showWarningPanel(i18n.t('ui.panels.routePlanner.invalidVerticalWeight'));
+      return;
+    }
+
+    try {
+      this.route = RoutePlanner.plan(this.cave, waypoints, { avoid, verticalWeight });
+    } catch (error) {
+      showWarningPanel(error.message);
+      return;
+    }
+
+    const segments = this.route.legs.flatMap((leg) => SectionHelper.getSectionSegments(leg, this.cave.stations));
+    this.scene.segments.showSegmentsTube(
+      this.segmentsId,
+      `route-${waypoints.join('-')}-${this.segmentsId}`,
+      segments,
+      this.options.scene.sections.color,
+      this.caveName
+    );
+    this.#renderResult();
+  }
+
+  #clearRoute() {
+    this.route = undefined;
+    this.scene.segments.disposeSegmentsTube(this.segmentsId);
+    this.#renderResult();
+  }
+
+  #renderResult() {
+    this.table?.destroy();
+    this.table = undefined;
+    this.summary.textContent = '';
+    this.exportButtons.style.display = 'none';
+    if (this.route === undefined) return;
+
+    const rows = this.#getRows();
+    this.summary.textContent = this.#getSummary();
+    this.exportButtons.style.display = 'block';
+
+    // eslint-disable-next-line no-undef
+    this.table = new Tabulator(this.tableContainer, {
+      data           : rows,
+      layout         : 'fitDataStretch',
+      reactiveData   : false,
+      columnDefaults : {
+        headerSort     : false,
+        headerHozAlign : 'center'
+      },
+      columns : this.#getColumns().map((c) => ({ title: c.title, field: c.field, hozAlign: c.align }))
+    });
+  }
+
+  #getColumns() {
+    const unit = i18n.t(`ui.units.short.${this.#getLengthUnit()}`);
+    const title = (key) => i18n.t(`ui.panels.routePlanner.columns.${key}`);
+    return [
+      { field: 'from', title: title('from'), width: 22 },
+      { field: 'to', title: title('to'), width: 22 },
+      { field: 'length', title: `${title('length')} (${unit})`, width: 22, align: 'right' },
+      { field: 'gain', title: `${title('gain')} (${unit})`, width: 20, align: 'right' },
+      { field: 'loss', title: `${title('loss')} (${unit})`, width: 20, align: 'right' },
+      { field: 'time', title: title('time'), width: 16, align: 'right' },
+      { field: 'attributes', title: title('attributes'), width: 58 }
+    ];
+  }
+
+  #getRows() {
+    return this.route.legs.map((leg) => this.#getRow(leg));
+  }
+
+  #getRow(leg) {
+    const unit = this.#getLengthUnit();
+    const length = (value) => formatFloat(convertLengthFromMeters(value, unit), 1);
+    return {
+      from       : leg.legs === undefined ? leg.from : '',
+      to         : leg.legs === undefined ? leg.to : '',
+      length     : length(leg.length),
+      gain       : length(leg.gain),
+      loss       : length(leg.loss),
+      time       : RoutePlannerTool.#formatMinutes(RoutePlanner.estimateMinutes(leg, this.#getSpeeds())),
+      attributes : leg.attributes.map((a) => i18n.t(`attributes.names.${a}`)).join(', ')
+    };
+  }
+
+  #getSummary() {
+    const total = this.#getRow(this.route);
+    return i18n.t('ui.panels.routePlanner.summary', {
+      length : total.length,
+      gain   : total.gain,
+      loss   : total.loss,
+      time   : total.time,
+      unit   : i18n.t(`ui.units.short.${this.#getLengthUnit()}`)
+    });
+  }
+
+  async #exportPdf() {
+    if (this.route === undefined) return;
+    const columns = this.#getColumns();
+    const total = this.#getRow(this.route);
+    const speeds = this.#getSpeeds();
+    const lines = [
+      i18n.t('ui.panels.routePlanner.card.waypoints', {
+        waypoints : [this.route.legs[0].from, ...this.route.legs.map((leg) => leg.to)].join(' → ')
+      }),
+      this.#getSummary(),
+      i18n.t('ui.panels.routePlanner.card.speeds', {
+        horizontal : formatFloat(speeds.horizontal, 1),
+        ascent     : formatFloat(speeds.ascent, 1),
+        descent    : formatFloat(speeds.descent, 1)
+      })
+    ];
+    if (total.attributes !== '') {
+      lines.push(i18n.t('ui.panels.routePlanner.card.attributes', { attributes: total.attributes }));
+    }
+
+    try {
+      await generateRouteCard({
+        title    : i18n.t('ui.panels.routePlanner.card.title', { cave: this.caveName }),
+        lines,
+        columns  : columns.map((c) => ({ title: c.title, width: c.width })),
+        rows     : this.#getRows().map((row) => columns.map((c) => row[c.field])),
+        fileName : `${this.caveName}-route`
+      });
+    } catch (error) {
+      console.error(error);
+      showErrorPanel(i18n.t('ui.panels.routePlanner.exportFailed', { error: error.message }));
+    }
+  }
+
+  #getLengthUnit() {
+    return this.options?.format?.units?.length ?? DEFAULT_UNITS.length;
+  }
+
+  #getSpeeds() {
+    return { ...DEFAULT_TRAVEL_SPEEDS, ...(this.options.route?.speeds ?? {}) };
+  }
+
+  static #formatMinutes(minutes) {
+    const rounded = Math.round(minutes);
+    return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+  }
+}
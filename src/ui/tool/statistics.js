@@ -0,0 +1,395 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { node, formatFloat, parseMyFloat } from '../../utils/utils.js';
+import { i18n } from '../../i18n/i18n.js';
+import { wm } from '../window.js';
+import { ShotStatistics } from '../../utils/statistics.js';
+import { RoseDiagramTool } from './rosediagram.js';
+import { showErrorPanel } from '../popups.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function svgElement(tag, attributes) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+}
+
+function download(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Compares the direction and inclination statistics of the centerline shots of several caves or surveys
+ */
+export class ShotStatisticsTool extends RoseDiagramTool {
+
+  constructor(db, panel = '#tool-panel') {
+    super(db, panel);
+    this.panel.style.width = '760px';
+    this.diagramSize = 260;
+    this.diagramPadding = 40;
+    this.clinoBinCount = 18;
+    this.weighted = true;
+    this.filter = {};
+    this.series = [];
+  }
+
+  show() {
+    wm.makeFloatingPanel(
+      this.panel,
+      (contentElmnt) => this.build(contentElmnt),
+      'ui.panels.shotStatistics.title',
+      true,
+      true,
+      { width: 760, height: 640 }
+    );
+  }
+
+  build(contentElmnt) {
+    const cNames = this.db.getAllCaveNames();
+    if (cNames.length === 0) {
+      contentElmnt.appendChild(node`<div>${i18n.t('ui.panels.roseDiagram.noData')}</div>`);
+      return;
+    }
+    this.series = [{ cave: cNames[0], survey: '' }];
+
+    const t = (key) => i18n.t(`ui.panels.shotStatistics.${key}`);
+    this.seriesContainer = node`<div class="statistics-series"></div>`;
+    const addSeries = node`<button type="button">${t('addSeries')}</button>`;
+    addSeries.onclick = () => {
+      this.series.push({ cave: cNames[0], survey: '' });
+      this.#renderSeries();
+      this.#update();
+    };
+
+    const controls = node`<div class="statistics-controls">
+      <label>${i18n.t('ui.panels.roseDiagram.binCount')}:
+        <select id="statistics-bin-count">
+          <option value="8">8 (45°)</option>
+          <option value="16">16 (22.5°)</option>
+          <option value="24">24 (15°)</option>
+          <option value="36" selected>36 (10°)</option>
+          <option value="72">72 (5°)</option>
+        </select>
+      </label>
+      <label>${t('clinoBinCount')}:
+        <select id="statistics-clino-bin-count">
+          <option value="6">6 (30°)</option>
+          <option value="9">9 (20°)</option>
+          <option value="18" selected>18 (10°)</option>
+          <option value="36">36 (5°)</option>
+        </select>
+      </label>
+      <label>${t('weighting')}:
+        <select id="statistics-weighting">
+          <option value="length" selected>${t('lengthWeighted')}</option>
+          <option value="count">${t('unweighted')}</option>
+        </select>
+      </label>
+    </div>`;
+    const unit = i18n.t('ui.units.short.meters');
+    const filters = node`<div class="statistics-controls">
+      <label>${t('minDepth')} (${unit}): <input type="number" step="any" id="statistics-min-depth"></label>
+      <label>${t('maxDepth')} (${unit}): <input type="number" step="any" id="statistics-max-depth"></label>
+      <label>${t('dateFrom')}: <input type="date" id="statistics-date-from"></label>
+      <label>${t('dateTo')}: <input type="date" id="statistics-date-to"></label>
+    </div>`;
+
+    controls.querySelector('#statistics-bin-count').onchange = (e) => {
+      this.binCount = parseInt(e.target.value);
+      this.#update();
+    };
+    controls.querySelector('#statistics-clino-bin-count').onchange = (e) => {
+      this.clinoBinCount = parseInt(e.target.value);
+      this.#update();
+    };
+    controls.querySelector('#statistics-weighting').onchange = (e) => {
+      this.weighted = e.target.value === 'length';
+      this.#update();
+    };
+    filters.querySelectorAll('input').forEach((input) => {
+      input.onchange = () => {
+        this.filter = this.#getFilter(filters);
+        this.#update();
+      };
+    });
+
+    const exportCsv = node`<button type="button">${t('exportCsv')}</button>`;
+    exportCsv.onclick = () => this.#exportCsv();
+    this.resultContainer = node`<div class="statistics-results"></div>`;
+
+    [this.seriesContainer, addSeries, controls, filters, exportCsv, this.resultContainer].forEach((e) =>
+      contentElmnt.appendChild(e)
+    );
+    this.#renderSeries();
+    this.#update();
+  }
+
+  #getFilter(filters) {
+    const number = (id) => {
+      const value = filters.querySelector(id).value;
+      return value === '' || isNaN(parseMyFloat(value)) ? undefined : parseMyFloat(value);
+    };
+    const date = (id, time) => {
+      const value = filters.querySelector(id).value;
+      return value === '' ? undefined : new Date(`${value}T${time}`);
+    };
+    return {
+      minDepth : number('#statistics-min-depth'),
+      maxDepth : number('#statistics-max-depth'),
+      from     : date('#statistics-date-from', '00:00:00'),
+      to       : date('#statistics-date-to', '23:59:59')
+    };
+  }
+
+  #renderSeries() {
+    this.seriesContainer.innerHTML = '';
+    const cNames = this.db.getAllCaveNames();
+    this.series.forEach((series, index) => {
+      const row = node`<div class="statistics-series-row"></div>`;
+      const caveSelect = node`<select>${cNames.map((n) => `<option value="${n}">${n}</option>`).join('')}</select>`;
+      caveSelect.value = series.cave;
+      const surveyNames = this.db.getCave(series.cave)?.surveys.map((s) => s.name) ?? [];
+      const surveySelect = node`<select><option value="">${i18n.t('ui.panels.shotStatistics.allSurveys')}</option>${surveyNames.map((n) => `<option value="${n}">${n}</option>`).join('')}</select>`;
+      surveySelect.value = series.survey;
+      caveSelect.onchange = () => {
+        series.cave = caveSelect.value;
+        series.survey = '';
+        this.#renderSeries();
+        this.#update();
+      };
+      surveySelect.onchange = () => {
+        series.survey = surveySelect.value;
+        this.#update();
+      };
+      const remove = node`<button type="button" title="${i18n.t('ui.panels.shotStatistics.removeSeries')}">✖</button>`;
+      remove.disabled = this.series.length <= 1;
+      remove.onclick = () => {
+        this.series.splice(index, 1);
+        this.#renderSeries();
+        this.#update();
+      };
+      [caveSelect, surveySelect, remove].forEach((e) => row.appendChild(e));
+      this.seriesContainer.appendChild(row);
+    });
+  }
+
+  #getSeriesName(series) {
+    return series.survey === '' ? series.cave : `${series.cave} / ${series.survey}`;
+  }
+
+  #calculate(series) {
+    const cave = this.db.getCave(series.cave);
+    const filter = { ...this.filter, survey: series.survey === '' ? undefined : series.survey };
+    const shots = cave === undefined ? [] : ShotStatistics.getCenterlineShots(cave, filter);
+    return {
+      shots,
+      rose  : ShotStatistics.binAzimuths(shots, this.binCount, this.weighted),
+      clino : ShotStatistics.binClinos(shots, this.clinoBinCount, this.weighted),
+      mean  : ShotStatistics.meanDirection(shots, this.weighted)
+    };
+  }
+
+  #update() {
+    this.resultContainer.innerHTML = '';
+    const unit = this.weighted ? i18n.t('ui.units.short.meters') : '';
+    this.series.forEach((series) => {
+      const name = this.#getSeriesName(series);
+      const result = this.#calculate(series);
+      const card = node`<div class="statistics-card"><div class="statistics-card-title">${name}</div></div>`;
+      this.resultContainer.appendChild(card);
+      if (result.shots.length === 0) {
+        card.appendChild(node`<div>${i18n.t('ui.panels.roseDiagram.noData')}</div>`);
+        return;
+      }
+
+      const roseContainer = node`<div></div>`;
+      this.drawDiagram(result.rose.bins, result.rose.total, roseContainer, unit);
+      const roseSvg = roseContainer.querySelector('svg');
+      if (result.mean !== undefined) this.#drawMeanDirection(roseSvg, result.mean);
+      const clinoSvg = this.#drawClinoHistogram(result.clino.bins, result.clino.total, unit);
+
+      const mean = result.mean;
+      const length = result.shots.reduce((sum, s) => sum + s.length, 0);
+      const stats = i18n.t('ui.panels.shotStatistics.stats', {
+        count      : result.shots.length,
+        length     : formatFloat(length, 1),
+        mean       : mean === undefined ? '-' : formatFloat(mean.mean, 1),
+        confidence : mean?.confidence === undefined ? '-' : formatFloat(mean.confidence, 1),
+        r          : mean === undefined ? '-' : formatFloat(mean.resultantLength, 2)
+      });
+
+      card.appendChild(roseContainer);
+      const fileName = series.survey === '' ? series.cave : `${series.cave}-${series.survey}`;
+      card.appendChild(this.#getExportButtons(roseSvg, `${fileName}-rose`));
+      card.appendChild(clinoSvg);
+      card.appendChild(this.#getExportButtons(clinoSvg, `${fileName}-inclination`));
+      card.appendChild(node`<div class="statistics-card-stats">${stats}</div>`);
+    });
+  }
+
+  // the mean direction as a line with the 95% confidence interval as a wedge
+  #drawMeanDirection(svg, mean) {
+    const center = this.diagramSize / 2;
+    const radius = this.diagramSize / 2 - this.diagramPadding;
+    const point = (angle) => {
+      const rad = ((angle - 90) * Math.PI) / 180;
+      return [center + radius * Math.cos(rad), center + radius * Math.sin(rad)];
+    };
+    if (mean.confidence !== undefined) {
+      svg.appendChild(
+        svgElement('path', {
+          d              : this.generatePetalPath(mean.mean - mean.confidence, mean.mean + mean.confidence, radius, center, center),
+          fill           : '#ffd700',
+          'fill-opacity' : '0.25',
+          stroke         : 'none'
+        })
+      );
+    }
+    const [x, y] = point(mean.mean);
+    svg.appendChild(svgElement('line', { x1: center, y1: center, x2: x, y2: y, stroke: '#ffd700', 'stroke-width': 2 }));
+  }
+
+  // horizontal bars from +90° at the top to -90° at the bottom
+  #drawClinoHistogram(bins, total, unit) {
+    const size = this.diagramSize;
+    const [left, right, top, bottom] = [40, 15, 15, 25];
+    const width = size - left - right;
+    const height = size - top - bottom;
+    const maxBin = Math.max(...bins, 1);
+    const barHeight = height / bins.length;
+    const binSize = 180 / bins.length;
+
+    const svg = svgElement('svg', { xmlns: SVG_NS, width: size, height: size, viewBox: `0 0 ${size} ${size}` });
+    svg.style.backgroundColor = '#1a1a2e';
+    svg.style.borderRadius = '8px';
+
+    [90, 45, 0, -45, -90].forEach((angle) => {
+      const y = top + ((90 - angle) / 180) * height;
+      svg.appendChild(
+        svgElement('line', { x1: left, y1: y, x2: left + width, y2: y, stroke: '#333355', 'stroke-dasharray': '3,3' })
+      );
+      const label = svgElement('text', {
+        x                   : left - 5,
+        y                   : y,
+        'text-anchor'       : 'end',
+        'dominant-baseline' : 'middle',
+        fill                : '#aaaacc',
+        'font-size'         : '10',
+        'font-family'       : 'sans-serif'
+      });
+      label.textContent = `${angle}°`;
+      svg.appendChild(label);
+    });
+    const maxLabel = svgElement('text', {
+      x             : left + width,
+      y             : size - 8,
+      'text-anchor' : 'end',
+      fill          : '#666688',
+      'font-size'   : '9',
+      'font-family' : 'sans-serif'
+    });
+    maxLabel.textContent = `${formatFloat(maxBin, 0)}${unit}`;
+    svg.appendChild(maxLabel);
+
+    bins.forEach((value, i) => {
+      if (value <= 0) return;
+      const from = -90 + i * binSize;
+      const bar = svgElement('rect', {
+        x              : left,
+        y              : top + height - (i + 1) * barHeight,
+        width          : (value / maxBin) * width,
+        height         : barHeight,
+        fill           : this.interpolateColor('#4a9eff', '#ff4a9e', i / bins.length),
+        'fill-opacity' : '0.7',
+        stroke         : '#ffffff',
+        'stroke-width' : '1'
+      });
+      const pct = (value / total) * 100;
+      bar.innerHTML = `<title>${formatFloat(from, 0)}°-${formatFloat(from + binSize, 0)}°: ${formatFloat(value, 2)}${unit} (${formatFloat(pct, 0)}%)</title>`;
+      svg.appendChild(bar);
+    });
+    svg.appendChild(
+      svgElement('line', { x1: left, y1: top, x2: left, y2: top + height, stroke: '#555577', 'stroke-width': 1 })
+    );
+    return svg;
+  }
+
+  #getExportButtons(svg, fileName) {
+    const container = node`<div class="statistics-export"></div>`;
+    const svgButton = node`<button type="button">SVG</button>`;
+    svgButton.onclick = () => download(new Blob([this.#serialize(svg)], { type: 'image/svg+xml' }), `${fileName}.svg`);
+    const pngButton = node`<button type="button">PNG</button>`;
+    pngButton.onclick = () => this.#exportPng(svg, fileName);
+    container.appendChild(svgButton);
+    container.appendChild(pngButton);
+    return container;
+  }
+
+  // the background is an inline style in the panel, it is added as a rectangle to the exported image
+  #serialize(svg) {
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', SVG_NS);
+    clone.insertBefore(svgElement('rect', { width: '100%', height: '100%', fill: '#1a1a2e' }), clone.firstChild);
+    return new XMLSerializer().serializeToString(clone);
+  }
+
+  #exportPng(svg, fileName) {
+    const url = URL.createObjectURL(new Blob([this.#serialize(svg)], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+      const scale = 2;
+      const canvas = document.createElement('canvas');
+      canvas.width = this.diagramSize * scale;
+      canvas.height = this.diagramSize * scale;
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => download(blob, `${fileName}.png`), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      showErrorPanel(i18n.t('ui.panels.shotStatistics.exportFailed'));
+    };
+    image.src = url;
+  }
+
+  #exportCsv() {
+    const header = ['series', 'diagram', 'from', 'to', this.weighted ? 'length' : 'count', 'percent'];
+    const lines = [header.join('\t')];
+    this.series.forEach((series) => {
+      const name = this.#getSeriesName(series);
+      const result = this.#calculate(series);
+      const addRows = (diagram, { bins, total }, start, range) => {
+        const binSize = range / bins.length;
+        bins.forEach((value, i) => {
+          const from = start + i * binSize;
+          const pct = total === 0 ? 0 : (value / total) * 100;
+          lines.push([name, diagram, from, from + binSize, formatFloat(value, 2), formatFloat(pct, 2)].join('\t'));
+        });
+      };
+      addRows('azimuth', result.rose, 0, 360);
+      addRows('inclination', result.clino, -90, 180);
+    });
+    download(new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8' }), 'shot-statistics.csv');
+  }
+}
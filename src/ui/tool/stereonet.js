@@ -0,0 +1,228 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { wm } from '../window.js';
+import { node, formatFloat } from '../../utils/utils.js';
+import { i18n } from '../../i18n/i18n.js';
+import { Stereonet, StereonetProjection, TECTONIC_ATTRIBUTES } from '../../utils/stereonet.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// density contours in sigma units
+const CONTOUR_LEVELS = [2, 4, 6, 8, 10, 12];
+const CONTOUR_COLORS = ['#4a9eff', '#4affc4', '#c4ff4a', '#ffd24a', '#ff8c4a', '#ff4a4a'];
+
+function svgElement(tag, attributes) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+}
+
+/**
+ * Lower hemisphere stereonet of the bedding and fault attributes of a cave with great circles, poles,
+ * Kamb density contours and the mean planes
+ */
+export class StereonetTool {
+
+  constructor(db, options, interactive, panel = '#tool-panel') {
+    this.db = db;
+    this.options = options;
+    this.interactive = interactive;
+    this.panel = document.querySelector(panel);
+    this.panel.style.width = '460px';
+
+    this.size = 400;
+    this.radius = 180;
+    this.projection = StereonetProjection.EQUAL_AREA;
+    this.layers = { greatCircles: true, poles: true, contours: true, mean: true };
+    this.attributeNames = [...TECTONIC_ATTRIBUTES];
+  }
+
+  show() {
+    wm.makeFloatingPanel(
+      this.panel,
+      (contentElmnt) => this.build(contentElmnt),
+      'ui.panels.stereonet.title',
+      true,
+      true,
+      { width: 460, height: 680 }
+    );
+  }
+
+  build(contentElmnt) {
+    const cNames = this.db.getAllCaveNames();
+    const t = (key) => i18n.t(`ui.panels.stereonet.${key}`);
+    const optionCaveNames = cNames.map((n) => `<option value="${n}">${n}</option>`).join('');
+    const controls = node`<div class="stereonet-controls">
+      <label>${i18n.t('common.cave')}: <select id="stereonet-cave">${optionCaveNames}</select></label>
+      <label>${t('projection')}:
+        <select id="stereonet-projection">
+          <option value="${StereonetProjection.EQUAL_AREA}">${t('equalArea')}</option>
+          <option value="${StereonetProjection.EQUAL_ANGLE}">${t('equalAngle')}</option>
+        </select>
+      </label>
+    </div>`;
+    const layers = node`<div class="stereonet-controls"></div>`;
+    Object.keys(this.layers).forEach((key) => {
+      const label = node`<label><input type="checkbox" ${this.layers[key] ? 'checked' : ''}/>${t(key)}</label>`;
+      label.firstChild.onchange = (e) => {
+        this.layers[key] = e.target.checked;
+        this.#update();
+      };
+      layers.appendChild(label);
+    });
+    TECTONIC_ATTRIBUTES.forEach((name) => {
+      const label = node`<label><input type="checkbox" checked/>${i18n.t(`attributes.names.${name}`)}</label>`;
+      label.firstChild.onchange = (e) => {
+        this.attributeNames = TECTONIC_ATTRIBUTES.filter((n) =>
+          n === name ? e.target.checked : this.attributeNames.includes(n)
+        );
+        this.#update();
+      };
+      layers.appendChild(label);
+    });
+
+    this.caveSelect = controls.querySelector('#stereonet-cave');
+    this.caveSelect.onchange = () => this.#update();
+    controls.querySelector('#stereonet-projection').onchange = (e) => {
+      this.projection = e.target.value;
+      this.#update();
+    };
+    this.diagram = node`<div class="stereonet-diagram"></div>`;
+    this.summary = node`<div class="stereonet-summary"></div>`;
+
+    [controls, layers, this.diagram, this.summary].forEach((e) => contentElmnt.appendChild(e));
+    this.#update();
+  }
+
+  #update() {
+    this.diagram.innerHTML = '';
+    this.summary.innerHTML = '';
+    const caveName = this.caveSelect.value;
+    const cave = this.db.getCave(caveName);
+    const planes = cave === undefined ? [] : Stereonet.getPlanes(cave, this.attributeNames);
+    if (planes.length === 0) {
+      this.diagram.appendChild(node`<div>${i18n.t('ui.panels.stereonet.noData')}</div>`);
+      return;
+    }
+
+    const svg = svgElement('svg', { width: this.size, height: this.size, viewBox: `0 0 ${this.size} ${this.size}` });
+    const c = this.size / 2;
+    const toSvg = (p) => [c + p.x * this.radius, c - p.y * this.radius];
+    const clip = svgElement('clipPath', { id: 'stereonet-clip' });
+    clip.appendChild(svgElement('circle', { cx: c, cy: c, r: this.radius }));
+    svg.appendChild(clip);
+    svg.appendChild(svgElement('circle', { cx: c, cy: c, r: this.radius, fill: '#1a1a2e', stroke: '#aaaacc' }));
+
+    if (this.layers.contours && planes.length > 1) {
+      const density = Stereonet.kambDensity(planes, this.projection);
+      CONTOUR_LEVELS.filter((level) => level <= density.max).forEach((level, i) => {
+        const d = Stereonet.contour(density, level)
+          .map(([x1, y1, x2, y2]) => {
+            const [a, b] = [toSvg({ x: x1, y: y1 }), toSvg({ x: x2, y: y2 })];
+            return `M ${a[0]} ${a[1]} L ${b[0]} ${b[1]}`;
+          })
+          .join(' ');
+        const path = svgElement('path', { d, stroke: CONTOUR_COLORS[i], 'stroke-width': 1.5, fill: 'none' });
+        path.innerHTML = `<title>${level}σ</title>`;
+        svg.appendChild(path);
+      });
+    }
+
+    // center cross and north tick
+    svg.appendChild(svgElement('line', { x1: c - 5, y1: c, x2: c + 5, y2: c, stroke: '#aaaacc' }));
+    svg.appendChild(svgElement('line', { x1: c, y1: c - 5, x2: c, y2: c + 5, stroke: '#aaaacc' }));
+    svg.appendChild(
+      svgElement('line', { x1: c, y1: c - this.radius, x2: c, y2: c - this.radius - 8, stroke: '#aaaacc' })
+    );
+    const north = svgElement('text', { x: c, y: c - this.radius - 10, 'text-anchor': 'middle', fill: '#aaaacc' });
+    north.textContent = 'N';
+    svg.appendChild(north);
+
+    const colors = this.options.scene.attributes.tectonic.circle.color;
+    planes.forEach((plane) => {
+      const color = colors[plane.name];
+      const title = `${plane.station}: ${i18n.t(`attributes.names.${plane.name}`)} ${formatFloat(plane.dipDirection, 0)}/${formatFloat(plane.dip, 0)}`;
+      if (this.layers.greatCircles) {
+        const points = Stereonet.greatCircle(plane.dipDirection, plane.dip, this.projection).map(toSvg);
+        const path = svgElement('polyline', {
+          points         : points.map((p) => p.join(',')).join(' '),
+          stroke         : color,
+          'stroke-width' : 1.5,
+          fill           : 'none',
+          class          : 'stereonet-plane',
+          'clip-path'    : 'url(#stereonet-clip)'
+        });
+        this.#addStationLink(path, caveName, plane.station, title);
+        svg.appendChild(path);
+      }
+      if (this.layers.poles) {
+        const pole = Stereonet.pole(plane.dipDirection, plane.dip);
+        const [x, y] = toSvg(Stereonet.project(pole.trend, pole.plunge, this.projection));
+        const marker = svgElement('circle', {
+          cx     : x,
+          cy     : y,
+          r      : 4,
+          fill   : color,
+          stroke : '#ffffff',
+          class  : 'stereonet-pole'
+        });
+        this.#addStationLink(marker, caveName, plane.station, title);
+        svg.appendChild(marker);
+      }
+    });
+
+    this.attributeNames.forEach((name) => {
+      const mean = Stereonet.meanPlane(planes.filter((plane) => plane.name === name));
+      if (mean === undefined) return;
+      if (this.layers.mean) {
+        const points = Stereonet.greatCircle(mean.dipDirection, mean.dip, this.projection).map(toSvg);
+        svg.appendChild(
+          svgElement('polyline', {
+            points             : points.map((p) => p.join(',')).join(' '),
+            stroke             : '#ffffff',
+            'stroke-width'     : 2.5,
+            'stroke-dasharray' : '6,4',
+            fill               : 'none'
+          })
+        );
+        const pole = Stereonet.pole(mean.dipDirection, mean.dip);
+        const [x, y] = toSvg(Stereonet.project(pole.trend, pole.plunge, this.projection));
+        svg.appendChild(
+          svgElement('rect', { x: x - 5, y: y - 5, width: 10, height: 10, fill: colors[name], stroke: '#ffffff' })
+        );
+      }
+      this.summary.appendChild(
+        node`<div>${i18n.t('ui.panels.stereonet.meanPlane', {
+          name         : i18n.t(`attributes.names.${name}`),
+          dipDirection : formatFloat(mean.dipDirection, 1),
+          dip          : formatFloat(mean.dip, 1),
+          alpha95      : mean.alpha95 === undefined ? '-' : formatFloat(mean.alpha95, 1),
+          count        : mean.count
+        })}</div>`
+      );
+    });
+
+    this.diagram.appendChild(svg);
+    this.summary.appendChild(node`<div>${i18n.t('ui.panels.stereonet.hint')}</div>`);
+  }
+
+  #addStationLink(element, caveName, stationName, title) {
+    element.innerHTML = `<title>${title}</title>`;
+    element.style.cursor = 'pointer';
+    element.onclick = () => this.interactive.locateStation(caveName, stationName);
+  }
+}
@@ -0,0 +1,312 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { fromPolar, degreesToRads } from './utils.js';
+import { Vector } from '../model.js';
+import { ShotType, DEFAULT_BACKSIGHT_TOLERANCE } from '../model/survey.js';
+import { Graph } from './graph.js';
+
+export const AdjustmentMode = Object.freeze({
+  NONE          : 'none',
+  LEAST_SQUARES : 'leastSquares'
+});
+
+// zero length shots (e.g. equates) would get an infinite weight
+const MIN_SHOT_LENGTH = 0.01;
+
+// aliased stations are the same point, they are tied together like a 1 mm long shot
+const ALIAS_LENGTH = 0.001;
+
+/**
+ * The result of a least-squares network adjustment
+ */
+export class AdjustmentResult {
+
+  /**
+   * @param {Map<string, Vector>} positions - Adjusted positions of the centerline stations
+   * @param {Map<string, Map<number, Vector>>} residuals - Survey name -> shot id -> residual vector in meters (adjusted - observed)
+   * @param {number} sigma0 - A posteriori standard deviation of unit weight, undefined if the network has no redundancy
+   * @param {number} redundancy - Degrees of freedom per coordinate axis (number of independent loops)
+   * @param {number} stationCount - Number of adjusted (not fixed) stations
+   * @param {number} shotCount - Number of centerline shots used as observations
+   * @param {number} aliasCount - Number of aliases tying two calculated stations together
+   */
+  constructor(positions, residuals, sigma0, redundancy, stationCount, shotCount, aliasCount = 0) {
+    this.positions = positions;
+    this.residuals = residuals;
+    this.sigma0 = sigma0;
+    this.redundancy = redundancy;
+    this.stationCount = stationCount;
+    this.shotCount = shotCount;
+    this.aliasCount = aliasCount;
+  }
+
+  getResidual(surveyName, shotId) {
+    return this.residuals.get(surveyName)?.get(shotId);
+  }
+}
+
+export class NetworkAdjustment {
+
+  /**
+   * Calculates the measured vector of a shot in meters, corrected with the calibration, declination and meridian convergence
+   * @param {Shot} shot - The shot
+   * @param {Survey} survey - The survey of the shot
+   * @param {object} backsightTolerance - Maximum {azimuth, clino} differences in degrees for averaging backsights
+   * @returns {Vector} The vector from the from station to the to station
+   */
+  static shotVector(shot, survey, backsightTolerance = DEFAULT_BACKSIGHT_TOLERANCE) {
+    const declination = survey?.metadata?.declination ?? 0.0;
+    const convergence = survey?.metadata?.convergence ?? 0.0;
+    const { length, azimuth, clino } = survey.getShotReadings(shot, backsightTolerance);
+    return fromPolar(length, degreesToRads(azimuth + declination - convergence), degreesToRads(clino));
+  }
+
+  /**
+   * Collects the centerline observations between already calculated stations. An alias between two calculated
+   * stations is a zero length observation with a high weight, so the loops closed through aliases are adjusted too.
+   * @param {Survey[]} surveys - The surveys of a cave
+   * @param {Map<string, SurveyStation>} stations - Calculated stations of the cave
+   * @param {object} backsightTolerance - Maximum {azimuth, clino} differences in degrees for averaging backsights
+   * @param {SurveyAlias[]} aliases - The connection points between surveys
+   * @returns {Object[]} Observations with from, to station names, the measured vector and the weight, the survey
+   * and the shot are undefined for aliases
+   */
+  static getObservations(surveys, stations, backsightTolerance = DEFAULT_BACKSIGHT_TOLERANCE, aliases = []) {
+    const observations = [];
+    surveys.forEach((survey) => {
+      survey.validShots.forEach((sh) => {
+        if (sh.type !== ShotType.CENTER || survey.duplicateShotIds?.has(sh.id)) {
+          return;
+        }
+        const from = survey.getFromStationName(sh);
+        const to = survey.getToStationName(sh);
+        if (from === to || !stations.has(from) || !stations.has(to)) {
+          return;
+        }
+        const vector = NetworkAdjustment.shotVector(sh, survey, backsightTolerance);
+        observations.push({
+          survey : survey,
+          shot   : sh,
+          from   : from,
+          to     : to,
+          vector : vector,
+          weight : 1 / Math.max(vector.length(), MIN_SHOT_LENGTH)
+        });
+      });
+    });
+    (aliases ?? []).forEach((alias) => {
+      if (alias.from === alias.to || !stations.has(alias.from) || !stations.has(alias.to)) {
+        return;
+      }
+      observations.push({
+        alias  : alias,
+        from   : alias.from,
+        to     : alias.to,
+        vector : new Vector(0, 0, 0),
+        weight : 1 / ALIAS_LENGTH
+      });
+    });
+    return observations;
+  }
+
+  /**
+   * Builds the graph of the observations and returns the connected components
+   * @param {Object[]} observations - Centerline observations
+   * @returns {string[][]} Station names of each connected component
+   */
+  static getComponents(observations) {
+    const g = new Graph();
+    observations.forEach((o) => g.addEdge(o.from, o.to, 1 / o.weight));
+
+    const visited = new Set();
+    const components = [];
+    g.adjacencyList.forEach((_, start) => {
+      if (visited.has(start)) return;
+      visited.add(start);
+      const component = [];
+      const stack = [start];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        component.push(node);
+        g.adjacencyList.get(node).forEach((n) => {
+          if (!visited.has(n.node)) {
+            visited.add(n.node);
+            stack.push(n.node);
+          }
+        });
+      }
+      components.push(component);
+    });
+    return components;
+  }
+
+  /**
+   * Weighted least-squares adjustment of the centerline network. Shot vectors are the observations
+   * with a weight inversely proportional to the shot length, station positions are the unknowns.
+   * The problem is linear and separable by coordinate axis, so the normal equations are solved with
+   * preconditioned conjugate gradient for x, y and z independently. The shots are not modified.
+   *
+   * Each connected component without a fixed station is held by its first station, so the adjustment
+   * never moves a component as a whole.
+   * @param {Survey[]} surveys - The surveys of a cave
+   * @param {Map<string, SurveyStation>} stations - Calculated stations, positions are used as initial values
+   * @param {Map<string, Vector>} fixedStations - Station names with known positions
+   * @param {object} backsightTolerance - Maximum {azimuth, clino} differences in degrees for averaging backsights
+   * @param {SurveyAlias[]} aliases - The connection points between surveys
+   * @returns {AdjustmentResult} The adjusted positions, shot residuals and network sigma
+   */
+  static adjust(
+    surveys,
+    stations,
+    fixedStations = new Map(),
+    backsightTolerance = DEFAULT_BACKSIGHT_TOLERANCE,
+    aliases = []
+  ) {
+    const observations = NetworkAdjustment.getObservations(surveys, stations, backsightTolerance, aliases);
+
+    const fixed = new Map();
+    fixedStations.forEach((position, name) => {
+      if (stations.has(name)) {
+        fixed.set(name, position);
+      }
+    });
+
+    NetworkAdjustment.getComponents(observations).forEach((component) => {
+      if (!component.some((name) => fixed.has(name))) {
+        // station map preserves insertion order, the first calculated station is the start station
+        const first = [...stations.keys()].find((name) => component.includes(name));
+        fixed.set(first, stations.get(first).position);
+      }
+    });
+
+    // index the unknowns
+    const index = new Map();
+    const names = [];
+    observations.forEach((o) => {
+      [o.from, o.to].forEach((name) => {
+        if (!fixed.has(name) && !index.has(name)) {
+          index.set(name, names.length);
+          names.push(name);
+        }
+      });
+    });
+
+    const n = names.length;
+    const diagonal = new Float64Array(n);
+    observations.forEach((o) => {
+      if (index.has(o.from)) diagonal[index.get(o.from)] += o.weight;
+      if (index.has(o.to)) diagonal[index.get(o.to)] += o.weight;
+    });
+
+    const positions = new Map();
+    fixed.forEach((position, name) => positions.set(name, position));
+
+    if (n > 0) {
+      const axes = ['x', 'y', 'z'];
+      const solution = axes.map((axis) => {
+        const b = new Float64Array(n);
+        observations.forEach((o) => {
+          const fi = index.get(o.from);
+          const ti = index.get(o.to);
+          const v = o.vector[axis];
+          if (ti !== undefined) {
+            b[ti] += o.weight * (v + (fi === undefined ? fixed.get(o.from)[axis] : 0));
+          }
+          if (fi !== undefined) {
+            b[fi] += o.weight * (-v + (ti === undefined ? fixed.get(o.to)[axis] : 0));
+          }
+        });
+        const x0 = Float64Array.from(names, (name) => stations.get(name).position[axis]);
+        return NetworkAdjustment.#solve(observations, index, diagonal, b, x0);
+      });
+      names.forEach((name, i) => {
+        positions.set(name, new Vector(solution[0][i], solution[1][i], solution[2][i]));
+      });
+    }
+
+    const residuals = new Map();
+    let weightedSum = 0;
+    observations.forEach((o) => {
+      const residual = positions.get(o.to).sub(positions.get(o.from)).sub(o.vector);
+      weightedSum += o.weight * residual.dot(residual);
+      if (o.alias !== undefined) return;
+      if (!residuals.has(o.survey.name)) {
+        residuals.set(o.survey.name, new Map());
+      }
+      residuals.get(o.survey.name).set(o.shot.id, residual);
+    });
+
+    const redundancy = observations.length - n;
+    const sigma0 = redundancy > 0 ? Math.sqrt(weightedSum / (3 * redundancy)) : undefined;
+
+    const aliasCount = observations.filter((o) => o.alias !== undefined).length;
+    return new AdjustmentResult(
+      positions,
+      residuals,
+      sigma0,
+      redundancy,
+      n,
+      observations.length - aliasCount,
+      aliasCount
+    );
+  }
+
+  /**
+   * Jacobi preconditioned conjugate gradient for the normal equations. The normal matrix is never
+   * built, it is applied observation by observation.
+   */
+  static #solve(observations, index, diagonal, b, x0) {
+    const n = b.length;
+    const multiply = (p) => {
+      const result = new Float64Array(n);
+      observations.forEach((o) => {
+        const fi = index.get(o.from);
+        const ti = index.get(o.to);
+        const d = (ti !== undefined ? p[ti] : 0) - (fi !== undefined ? p[fi] : 0);
+        if (ti !== undefined) result[ti] += o.weight * d;
+        if (fi !== undefined) result[fi] -= o.weight * d;
+      });
+      return result;
+    };
+    const dot = (a, c) => a.reduce((sum, value, i) => sum + value * c[i], 0);
+
+    const x = Float64Array.from(x0);
+    const ax = multiply(x);
+    const r = b.map((value, i) => value - ax[i]);
+    const z = r.map((value, i) => value / diagonal[i]);
+    const p = Float64Array.from(z);
+    let rz = dot(r, z);
+    const tolerance = 1e-24 * Math.max(dot(b, b), 1);
+
+    for (let iteration = 0; iteration < 10 * n + 100 && dot(r, r) > tolerance; iteration++) {
+      const ap = multiply(p);
+      const alpha = rz / dot(p, ap);
+      for (let i = 0; i < n; i++) {
+        x[i] += alpha * p[i];
+        r[i] -= alpha * ap[i];
+        z[i] = r[i] / diagonal[i];
+      }
+      const rzNext = dot(r, z);
+      const beta = rzNext / rz;
+      rz = rzNext;
+      for (let i = 0; i < n; i++) {
+        p[i] = z[i] + beta * p[i];
+      }
+    }
+    return x;
+  }
+}
@@ -0,0 +1,142 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Shot } from '../model/survey.js';
+
+/**
+ * Enum for the changes between two versions of a cave
+ */
+export const CaveChangeType = Object.freeze({
+  SURVEY_ADDED    : 'surveyAdded',
+  SURVEY_REMOVED  : 'surveyRemoved',
+  SHOT_ADDED      : 'shotAdded',
+  SHOT_REMOVED    : 'shotRemoved',
+  SHOT_CHANGED    : 'shotChanged',
+  STATION_ADDED   : 'stationAdded',
+  STATION_REMOVED : 'stationRemoved',
+  STATION_MOVED   : 'stationMoved'
+});
+
+export class CaveDiff {
+
+  // the fields of the shots that are compared, the others identify the shot
+  static SHOT_FIELDS = Shot.export_fields.filter((f) => !['type', 'from', 'to'].includes(f));
+
+  /**
+   * Lists the changes from one version of a cave to another. Surveys are matched by name, shots by
+   * their type and stations within the survey. Shots with the same type and stations (e.g. the splays of
+   * a station) are paired only if they are identical or a single one of them changed, the others are
+   * removed and added shots. The stations of both caves must be calculated.
+   * @param {Cave} from - The earlier version
+   * @param {Cave} to - The later version
+   * @param {number} tolerance - Station displacements up to this distance in meters are ignored
+   * @returns {Object[]} The changes with type, survey, shot, station and the changed fields or the displacement
+   */
+  static diff(from, to, tolerance = 0.001) {
+    const changes = [];
+    const fromSurveys = new Map(from.surveys.map((s) => [s.name, s]));
+    const toSurveys = new Map(to.surveys.map((s) => [s.name, s]));
+
+    from.surveys
+      .filter((s) => !toSurveys.has(s.name))
+      .forEach((s) => changes.push({ type: CaveChangeType.SURVEY_REMOVED, survey: s.name, shots: s.shots.length }));
+    to.surveys.forEach((s) => {
+      if (fromSurveys.has(s.name)) {
+        changes.push(...CaveDiff.#diffShots(s.name, fromSurveys.get(s.name).shots, s.shots));
+      } else {
+        changes.push({ type: CaveChangeType.SURVEY_ADDED, survey: s.name, shots: s.shots.length });
+      }
+    });
+
+    changes.push(...CaveDiff.#diffStations(from.stations ?? new Map(), to.stations ?? new Map(), tolerance));
+    return changes;
+  }
+
+  static #diffShots(survey, fromShots, toShots) {
+    const changes = [];
+    const before = CaveDiff.#byKey(fromShots);
+    const after = CaveDiff.#byKey(toShots);
+    new Set([...before.keys(), ...after.keys()]).forEach((key) => {
+      const removed = [...(before.get(key) ?? [])];
+      const added = [];
+      (after.get(key) ?? []).forEach((shot) => {
+        const index = removed.findIndex((earlier) => CaveDiff.#getChangedFields(earlier, shot).length === 0);
+        if (index === -1) {
+          added.push(shot);
+        } else {
+          removed.splice(index, 1);
+        }
+      });
+
+      if (removed.length === 1 && added.length === 1) {
+        const fields = CaveDiff.#getChangedFields(removed[0], added[0]);
+        changes.push({ type: CaveChangeType.SHOT_CHANGED, survey, shot: added[0], fields });
+      } else {
+        removed.forEach((shot) => changes.push({ type: CaveChangeType.SHOT_REMOVED, survey, shot }));
+        added.forEach((shot) => changes.push({ type: CaveChangeType.SHOT_ADDED, survey, shot }));
+      }
+    });
+    return changes;
+  }
+
+  static #getChangedFields(earlier, shot) {
+    return CaveDiff.SHOT_FIELDS.filter((f) => (earlier[f] ?? undefined) !== (shot[f] ?? undefined)).map((f) => ({
+      field    : f,
+      oldValue : earlier[f],
+      newValue : shot[f]
+    }));
+  }
+
+  static #byKey(shots) {
+    const groups = new Map();
+    shots.forEach((shot) => {
+      const key = `${shot.type}/${shot.from}/${shot.to ?? ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(shot);
+    });
+    return groups;
+  }
+
+  static #diffStations(fromStations, toStations, tolerance) {
+    const changes = [];
+    const named = (stations) => [...stations.entries()].filter(([, st]) => !st.isSplay());
+    named(fromStations)
+      .filter(([name]) => !toStations.has(name))
+      .forEach(([name, st]) =>
+        changes.push({ type: CaveChangeType.STATION_REMOVED, station: name, oldPosition: st.position })
+      );
+    named(toStations).forEach(([name, st]) => {
+      const earlier = fromStations.get(name);
+      if (earlier === undefined) {
+        changes.push({ type: CaveChangeType.STATION_ADDED, station: name, newPosition: st.position });
+      } else {
+        const distance = earlier.position.distanceTo(st.position);
+        if (distance > tolerance) {
+          changes.push({
+            type        : CaveChangeType.STATION_MOVED,
+            station     : name,
+            oldPosition : earlier.position,
+            newPosition : st.position,
+            distance
+          });
+        }
+      }
+    });
+    return changes;
+  }
+}
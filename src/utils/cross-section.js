@@ -0,0 +1,144 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Vector } from '../model.js';
+import { PassageGeometry } from '../scene/cosmos/passages.js';
+
+/**
+ * A vertical section plane with a slab of ±halfWidth meters around it. The viewer looks along the normal
+ * of the plane, so the azimuth of the normal is the viewing direction of the cross-section.
+ */
+export class SectionPlane {
+
+  static DEFAULT_HALF_WIDTH = 1;
+
+  /**
+   * @param {Vector} position - A point of the plane in scene coordinates
+   * @param {number} azimuth - The azimuth of the viewing direction in radians, 0 is north, clockwise
+   * @param {number} halfWidth - The distance of the slab boundaries from the plane in meters
+   */
+  constructor(position, azimuth = 0, halfWidth = SectionPlane.DEFAULT_HALF_WIDTH) {
+    this.position = new Vector(position.x, position.y, position.z);
+    this.azimuth = azimuth;
+    this.halfWidth = halfWidth;
+  }
+
+  getNormal() {
+    return new Vector(Math.sin(this.azimuth), Math.cos(this.azimuth), 0);
+  }
+
+  /**
+   * The horizontal direction pointing to the right hand side of the viewer
+   */
+  getRight() {
+    return new Vector(Math.cos(this.azimuth), -Math.sin(this.azimuth), 0);
+  }
+
+  /**
+   * @returns {number} The signed distance of a point from the plane, positive values are behind the plane
+   */
+  distanceTo(point) {
+    const n = this.getNormal();
+    return (point.x - this.position.x) * n.x + (point.y - this.position.y) * n.y;
+  }
+
+  contains(point) {
+    return Math.abs(this.distanceTo(point)) <= this.halfWidth;
+  }
+
+  /**
+   * The 2D coordinates of a point on the cross-section: x points to the right and y is the elevation
+   */
+  project(point) {
+    const r = this.getRight();
+    return { x: (point.x - this.position.x) * r.x + (point.y - this.position.y) * r.y, y: point.z };
+  }
+
+  /**
+   * Clips a line segment to the slab
+   * @returns {Vector[]} The start and end points of the clipped segment or undefined if it is outside of the slab
+   */
+  clipSegment(start, end) {
+    const d0 = this.distanceTo(start);
+    const d1 = this.distanceTo(end);
+    let t0 = 0;
+    let t1 = 1;
+    if (d0 === d1) {
+      if (Math.abs(d0) > this.halfWidth) return undefined;
+    } else {
+      const ta = (-this.halfWidth - d0) / (d1 - d0);
+      const tb = (this.halfWidth - d0) / (d1 - d0);
+      t0 = Math.max(t0, Math.min(ta, tb));
+      t1 = Math.min(t1, Math.max(ta, tb));
+      if (t0 > t1) return undefined;
+    }
+    return [SectionPlane.#lerp(start, end, t0), SectionPlane.#lerp(start, end, t1)];
+  }
+
+  /**
+   * Intersects a triangle with the plane itself, the triangles of a mesh give the outline of the cross-section
+   * @returns {Vector[]} The two endpoints of the intersection or undefined if the triangle does not cross the plane
+   */
+  intersectTriangle(a, b, c) {
+    const vertices = [a, b, c];
+    const distances = vertices.map((v) => this.distanceTo(v));
+    const points = [];
+    for (let i = 0; i < 3; i++) {
+      const j = (i + 1) % 3;
+      const di = distances[i];
+      const dj = distances[j];
+      if (di === 0) {
+        points.push(new Vector(vertices[i].x, vertices[i].y, vertices[i].z));
+      } else if ((di < 0 && dj > 0) || (di > 0 && dj < 0)) {
+        points.push(SectionPlane.#lerp(vertices[i], vertices[j], di / (di - dj)));
+      }
+    }
+    return points.length === 2 ? points : undefined;
+  }
+
+  static #lerp(a, b, t) {
+    return new Vector(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t, a.z + (b.z - a.z) * t);
+  }
+
+  /**
+   * The horizontal direction of the passage at a station: the bisector of the incoming and outgoing legs for
+   * a station with two legs, otherwise the direction of its first leg. A cross-section looks along the passage.
+   * @param {Cave} cave - The cave with calculated stations
+   * @param {string} stationName - The name of the station
+   * @returns {number} The azimuth in radians, 0 if the station has no horizontal leg
+   */
+  static getPassageAzimuth(cave, stationName) {
+    const station = cave.stations.get(stationName);
+    const names = PassageGeometry.getNeighbours(cave).get(stationName) ?? [];
+    if (station === undefined || names.length === 0) {
+      return 0;
+    }
+    const horizontal = (v) => {
+      const length = Math.hypot(v.x, v.y);
+      return length < 1e-6 ? new Vector(0, 0, 0) : new Vector(v.x / length, v.y / length, 0);
+    };
+    const p = station.position;
+    let direction = horizontal(p.sub(cave.stations.get(names[0]).position));
+    if (names.length === 2) {
+      direction = direction.add(horizontal(cave.stations.get(names[1]).position.sub(p)));
+    }
+    if (Math.hypot(direction.x, direction.y) < 1e-6) {
+      return 0;
+    }
+    const azimuth = Math.atan2(direction.x, direction.y);
+    return azimuth < 0 ? azimuth + 2 * Math.PI : azimuth;
+  }
+}
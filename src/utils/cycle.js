@@ -18,25 +18,59 @@ import {
   toPolar,
   degreesToRads,
   radsToDegrees,
-  convertLengthToMeters,
   convertLengthFromMeters,
-  convertAngleToDegrees,
-  convertAngleFromDegrees
+  convertAngleFromDegrees,
+  convertAngleToDegrees
 } from './utils.js';
-import { Polar } from '../model.js';
+import { Polar, Vector } from '../model.js';
 import { i18n } from '../i18n/i18n.js';
-import { DEFAULT_UNITS } from '../model/survey.js';
-
-const shotLenM = (shot, survey) =>
-  convertLengthToMeters(shot.length, survey?.units?.length ?? DEFAULT_UNITS.length);
-const shotAziDeg = (shot, survey) =>
-  convertAngleToDegrees(shot.azimuth, survey?.units?.angle ?? DEFAULT_UNITS.angle);
-const shotCliDeg = (shot, survey) =>
-  convertAngleToDegrees(shot.clino, survey?.units?.angle ?? DEFAULT_UNITS.angle);
-const writeShotMeters = (shot, survey, lenM, aziDeg, cliDeg) => {
-  shot.length = convertLengthFromMeters(lenM, survey?.units?.length ?? DEFAULT_UNITS.length);
-  shot.azimuth = convertAngleFromDegrees(aziDeg, survey?.units?.angle ?? DEFAULT_UNITS.angle);
-  shot.clino = convertAngleFromDegrees(cliDeg, survey?.units?.angle ?? DEFAULT_UNITS.angle);
+import { DEFAULT_UNITS, DEFAULT_BACKSIGHT_TOLERANCE } from '../model/survey.js';
+
+// a specific blunder is suggested instead of an unknown error if it explains almost as much of the closure errors
+const BLUNDER_PREFERENCE_RATIO = 0.9;
+
+/**
+ * Enum for the blunder types of the blunder detection
+ */
+export const BlunderType = Object.freeze({
+  REMOVE               : 'remove', // unknown error, estimated from the loops
+  FLIP_AZIMUTH         : 'flipAzimuth', // azimuth read on the wrong end of the needle
+  SWAP_STATIONS        : 'swapStations', // from and to stations swapped
+  LENGTH_TRANSPOSITION : 'lengthTransposition' // two adjacent digits of the length swapped
+});
+
+// backsights are averaged and the calibration is applied in the same way as in the station calculation
+const shotLenM = (shot, survey, tolerance) => survey.getShotReadings(shot, tolerance).length;
+const shotAziDeg = (shot, survey, tolerance) => survey.getShotReadings(shot, tolerance).azimuth;
+const shotCliDeg = (shot, survey, tolerance) => survey.getShotReadings(shot, tolerance).clino;
+const isReading = (value) => typeof value === 'number' && isFinite(value);
+const writeShotMeters = (shot, survey, lenM, aziDeg, cliDeg, tolerance) => {
+  const angleUnit = survey?.units?.angle ?? DEFAULT_UNITS.angle;
+  const toDegrees = (v) => convertAngleToDegrees(v, angleUnit);
+  const fromDegrees = (v) => convertAngleFromDegrees(v, angleUnit);
+  // the shots hold the readings, so the calibration must be removed from the corrected values
+  const { length, azimuth, clino } =
+    survey.calibration !== undefined
+      ? survey.calibration.revert(lenM, aziDeg, cliDeg)
+      : { length: lenM, azimuth: aziDeg, clino: cliDeg };
+
+  // the foresight and the backsight readings are rotated by the same correction, so their difference is kept
+  // and the averaged readings of the station calculation are the corrected values
+  const averaged = shot.getAveragedReadings(survey?.units, tolerance);
+  const azimuthDelta = ((((azimuth - toDegrees(averaged.azimuth)) % 360) + 540) % 360) - 180;
+  const clinoDelta = clino - toDegrees(averaged.clino);
+  const rotate = (v) => fromDegrees((((toDegrees(v) + azimuthDelta) % 360) + 360) % 360);
+
+  shot.length = convertLengthFromMeters(length, survey?.units?.length ?? DEFAULT_UNITS.length);
+  shot.azimuth = rotate(shot.azimuth);
+  shot.clino = fromDegrees(toDegrees(shot.clino) + clinoDelta);
+  if (isReading(shot.backAzimuth)) {
+    shot.backAzimuth = rotate(shot.backAzimuth);
+  }
+  // the backsight clino is read in the opposite direction
+  if (isReading(shot.backClino)) {
+    shot.backClino = fromDegrees(toDegrees(shot.backClino) - clinoDelta);
+  }
 };
 
 export class CycleUtil {
@@ -79,13 +113,15 @@ export class CycleUtil {
    * @param {Object} shot - Shot object
    * @param {number} declination - Declination correction
    * @param {number} convergence - Convergence correction
+   * @param {Survey} survey - The survey of the shot
+   * @param {Object} backsightTolerance - Maximum {azimuth, clino} differences of the averaged backsights
    * @returns {Vector3} Vector representation of the shot
    */
-  static _createShotVector(shot, declination, convergence, survey) {
+  static _createShotVector(shot, declination, convergence, survey, backsightTolerance = DEFAULT_BACKSIGHT_TOLERANCE) {
     return new Polar(
-      shotLenM(shot, survey),
-      degreesToRads(shotAziDeg(shot, survey) + declination - convergence),
-      degreesToRads(shotCliDeg(shot, survey))
+      shotLenM(shot, survey, backsightTolerance),
+      degreesToRads(shotAziDeg(shot, survey, backsightTolerance) + declination - convergence),
+      degreesToRads(shotCliDeg(shot, survey, backsightTolerance))
     ).toVector();
   }
 
@@ -113,9 +149,10 @@ export class CycleUtil {
    * Calculates the loop closure error for a given path through survey stations
    * @param {string[]} path - Array of station names representing the loop path
    * @param {Map<string, SurveyStation>} stations - Map from station names to SurveyStation objects
+   * @param {Object} backsightTolerance - Maximum {azimuth, clino} differences of the averaged backsights
    * @returns {Object} Object containing distance, azimuth, and clino of the loop closure error (in radians)
    */
-  static calculateCycleError(path, stations) {
+  static calculateCycleError(path, stations, backsightTolerance = DEFAULT_BACKSIGHT_TOLERANCE) {
     this._validateLoopPath(path, stations);
 
     let totalLength = 0;
@@ -131,14 +168,14 @@ export class CycleUtil {
 
       const { shot, survey } = this._findShotBetweenStations(fromStation, from, to);
 
-      const v = this._createShotVector(shot, 0, 0, survey);
+      const v = this._createShotVector(shot, 0, 0, survey, backsightTolerance);
 
       if (shot.from === from) {
         calculatedPosition = calculatedPosition.add(v);
       } else if (shot.from === to) {
         calculatedPosition = calculatedPosition.sub(v);
       }
-      totalLength += shotLenM(shot, survey);
+      totalLength += shotLenM(shot, survey, backsightTolerance);
     }
 
     const closureError = startPosition.sub(calculatedPosition);
@@ -161,9 +198,10 @@ export class CycleUtil {
    * @param {Map<string, SurveyStation>} stations - Map from station names to SurveyStation objects
    * @param {Polar} closureError - The loop closure error object with distance, azimuth, and clino
    * @param {number} totalLength - The total length of the loop
+   * @param {Object} backsightTolerance - Maximum {azimuth, clino} differences of the averaged backsights
    * @returns {Object} Object containing the applied corrections to each shot
    */
-  static propagateError(path, stations, closureError, totalLength) {
+  static propagateError(path, stations, closureError, totalLength, backsightTolerance = DEFAULT_BACKSIGHT_TOLERANCE) {
     this._validateLoopPath(path, stations);
 
     // If the closure error is very small, no correction needed
@@ -176,10 +214,10 @@ export class CycleUtil {
       const to = path[i + 1];
       const fromStation = stations.get(from);
       const { shot, survey } = this._findShotBetweenStations(fromStation, from, to);
-      const lenM = shotLenM(shot, survey);
+      const lenM = shotLenM(shot, survey, backsightTolerance);
       const errorProportion = lenM / totalLength;
       const correction = closureError.mul(errorProportion).toVector();
-      const shotVector = this._createShotVector(shot, 0, 0, survey);
+      const shotVector = this._createShotVector(shot, 0, 0, survey, backsightTolerance);
       let newShotPolar;
       if (shot.from === from) {
         const newShotVector = shotVector.add(correction);
@@ -193,13 +231,14 @@ export class CycleUtil {
         survey,
         newShotPolar.distance,
         radsToDegrees(newShotPolar.azimuth),
-        radsToDegrees(newShotPolar.clino)
+        radsToDegrees(newShotPolar.clino),
+        backsightTolerance
       );
     }
     return true;
   }
 
-  static findLoopDeviationShots(path, stations) {
+  static findLoopDeviationShots(path, stations, backsightTolerance = DEFAULT_BACKSIGHT_TOLERANCE) {
     this._validateLoopPath(path, stations);
 
     const result = [];
@@ -213,7 +252,7 @@ export class CycleUtil {
       const { shot, survey } = this._findShotBetweenStations(fromStation, from, to);
       const { declination, convergence } = this._getSurveyMetadata(survey);
 
-      const shotVector = this._createShotVector(shot, declination, convergence, survey);
+      const shotVector = this._createShotVector(shot, declination, convergence, survey, backsightTolerance);
 
       let diff, newShotPolar;
       if (shot.from === from) {
@@ -246,11 +285,152 @@ export class CycleUtil {
     return result;
   }
 
-  static adjustShots(shotsToAdjust) {
+  /**
+   * Returns the lengths that differ from the given one by swapping two adjacent digits
+   * @param {number} length - The length reading
+   * @returns {number[]} Distinct positive lengths, e.g. 12.34 -> [21.34, 13.24, 12.43]
+   */
+  static getTranspositionLengths(length) {
+    const str = String(length);
+    if (!/^\d+(\.\d+)?$/.test(str)) return [];
+    const chars = [...str];
+    const digitIndexes = chars.map((c, i) => (c === '.' ? -1 : i)).filter((i) => i >= 0);
+    const result = new Set();
+    for (let i = 0; i < digitIndexes.length - 1; i++) {
+      const [a, b] = [digitIndexes[i], digitIndexes[i + 1]];
+      if (chars[a] === chars[b]) continue;
+      const swapped = [...chars];
+      [swapped[a], swapped[b]] = [swapped[b], swapped[a]];
+      const value = parseFloat(swapped.join(''));
+      if (value > 0 && value !== length) result.add(value);
+    }
+    return [...result];
+  }
+
+  /**
+   * Returns the alternative vectors of a shot for the typical blunders
+   * @param {Shot} shot - The shot
+   * @param {Survey} survey - The survey of the shot
+   * @param {Vector} vector - The measured vector of the shot
+   * @param {Object} backsightTolerance - Maximum {azimuth, clino} differences of the averaged backsights
+   * @returns {Object[]} Array of {type, vector, length} objects, length is only set for transpositions
+   */
+  static _getBlunderCandidates(shot, survey, vector, backsightTolerance = DEFAULT_BACKSIGHT_TOLERANCE) {
+    const { declination, convergence } = this._getSurveyMetadata(survey);
+    const candidates = [
+      { type: BlunderType.FLIP_AZIMUTH, vector: new Vector(-vector.x, -vector.y, vector.z) },
+      { type: BlunderType.SWAP_STATIONS, vector: vector.neg() }
+    ];
+    this.getTranspositionLengths(shot.length).forEach((length) => {
+      const transposed = Object.assign(Object.create(Object.getPrototypeOf(shot)), shot, { length });
+      candidates.push({
+        type   : BlunderType.LENGTH_TRANSPOSITION,
+        vector : this._createShotVector(transposed, declination, convergence, survey, backsightTolerance),
+        length
+      });
+    });
+    return candidates;
+  }
+
+  /**
+   * Ranks the centerline shots of the loops by how much a blunder in the shot would reduce the closure
+   * errors of all the loops that contain the shot. The considered blunders are an unknown error of the
+   * shot (estimated from the closure errors as if the shot was removed), flipped azimuth, swapped from
+   * and to stations and transposed digits of the length.
+   * @param {string[][]} paths - Loop paths, the first and the last station of each path is the same
+   * @param {Map<string, SurveyStation>} stations - Map from station names to SurveyStation objects
+   * @param {number} minClosureError - Loops with smaller closure errors in meters are not analyzed
+   * @param {Object} backsightTolerance - Maximum {azimuth, clino} differences of the averaged backsights
+   * @returns {Object[]} The suspect shots ordered by the reduction, each with {shot, survey, type, reduction,
+   * reductionRatio, errorBefore, errorAfter, loopCount, length, errorVector}. errorBefore and errorAfter are the
+   * sum of the closure errors in meters of the loops containing the shot, reduction is their difference.
+   */
+  static findBlunders(paths, stations, minClosureError = 0.01, backsightTolerance = DEFAULT_BACKSIGHT_TOLERANCE) {
+    const suspects = new Map(); // shot -> { shot, survey, vector, loops: [{ sign, closure }] }
+
+    paths.forEach((path) => {
+      this._validateLoopPath(path, stations);
+
+      const legs = [];
+      let closure = new Vector(0, 0, 0);
+      for (let i = 0; i < path.length - 1; i++) {
+        const from = path[i];
+        const to = path[i + 1];
+        const { shot, survey } = this._findShotBetweenStations(stations.get(from), from, to);
+        const { declination, convergence } = this._getSurveyMetadata(survey);
+        const vector = this._createShotVector(shot, declination, convergence, survey, backsightTolerance);
+        const sign = shot.from === from ? 1 : -1;
+        closure = closure.sub(vector.mul(sign));
+        legs.push({ shot, survey, vector, sign });
+      }
+
+      if (closure.length() < minClosureError) return;
+
+      legs.forEach(({ shot, survey, vector, sign }) => {
+        if (!suspects.has(shot)) {
+          suspects.set(shot, { shot, survey, vector, loops: [] });
+        }
+        suspects.get(shot).loops.push({ sign, closure });
+      });
+    });
+
+    const result = [];
+    suspects.forEach(({ shot, survey, vector, loops }) => {
+      const errorBefore = loops.reduce((sum, l) => sum + l.closure.length(), 0);
+      // replacing the vector changes the closure of each loop by -sign * (newVector - vector)
+      const errorAfter = (delta) => loops.reduce((sum, l) => sum + l.closure.sub(delta.mul(l.sign)).length(), 0);
+
+      // least squares estimate of the error of the shot
+      const errorVector = loops
+        .reduce((sum, l) => sum.add(l.closure.mul(l.sign)), new Vector(0, 0, 0))
+        .mul(1 / loops.length);
+      const unknown = { type: BlunderType.REMOVE, errorAfter: errorAfter(errorVector), errorVector };
+
+      const specific = this._getBlunderCandidates(shot, survey, vector, backsightTolerance)
+        .map((c) => {
+          const delta = c.vector.sub(vector);
+          return { type: c.type, errorAfter: errorAfter(delta), errorVector: delta, length: c.length };
+        })
+        .reduce((best, c) => (best === undefined || c.errorAfter < best.errorAfter ? c : best), undefined);
+
+      const best =
+        specific !== undefined &&
+        errorBefore - specific.errorAfter >= (errorBefore - unknown.errorAfter) * BLUNDER_PREFERENCE_RATIO
+          ? specific
+          : unknown;
+      const reduction = errorBefore - best.errorAfter;
+
+      if (reduction <= 0) return;
+
+      result.push({
+        shot,
+        survey,
+        type           : best.type,
+        reduction      : reduction,
+        reductionRatio : reduction / errorBefore,
+        errorBefore    : errorBefore,
+        errorAfter     : best.errorAfter,
+        errorVector    : best.errorVector,
+        length         : best.length,
+        loopCount      : loops.length
+      });
+    });
+
+    // a shot shared by several bad loops reduces more closure errors than the other shots of these loops,
+    // at the same reduction a specific blunder is more likely than an unknown error
+    const rank = (r) => [r.reduction, r.loopCount, r.type === BlunderType.REMOVE ? 0 : 1];
+    return result.sort((a, b) => {
+      const [ra, rb] = [rank(a), rank(b)];
+      const i = ra.findIndex((v, j) => Math.abs(v - rb[j]) > 1e-6);
+      return i < 0 ? 0 : rb[i] - ra[i];
+    });
+  }
+
+  static adjustShots(shotsToAdjust, backsightTolerance = DEFAULT_BACKSIGHT_TOLERANCE) {
     let adjustedShots = false;
 
     shotsToAdjust.forEach((s) => {
-      writeShotMeters(s.shot, s.survey, s.newShot.length, s.newShot.azimuth, s.newShot.clino);
+      writeShotMeters(s.shot, s.survey, s.newShot.length, s.newShot.azimuth, s.newShot.clino, backsightTolerance);
       adjustedShots = true;
     });
 
@@ -0,0 +1,176 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { ShotType } from '../model/survey.js';
+import { ExtendedElevation } from '../model/cave.js';
+
+// horizontal gap between the unfolded parts of a cave that are not connected to the start station
+const COMPONENT_GAP = 10;
+
+/**
+ * The unfolded centerline of a cave
+ */
+export class ExtendedElevationLayout {
+
+  /**
+   * @param {string} start - The name of the station where the unfolding has started
+   * @param {Map<string, Object>} stations - Station name -> {x, z, direction, parent}, x is the unfolded horizontal distance
+   * @param {Object[]} legs - The shots of the spanning tree as {from, to, survey}, from is the parent station
+   * @param {Object[]} breaks - The loop closing shots as {from, to, survey}, they are not drawn
+   */
+  constructor(start, stations, legs, breaks) {
+    this.start = start;
+    this.stations = stations;
+    this.legs = legs;
+    this.breaks = breaks;
+  }
+
+  getPosition(stationName) {
+    return this.stations.get(stationName);
+  }
+}
+
+export class ExtendedElevationCalculator {
+
+  static opposite(direction) {
+    return direction === ExtendedElevation.LEFT ? ExtendedElevation.RIGHT : ExtendedElevation.LEFT;
+  }
+
+  /**
+   * Unfolds the centerline along a depth-first spanning tree from the start station. Every shot is drawn with
+   * its horizontal length to the left or to the right of its parent station, the elevations are kept.
+   * @param {Cave} cave - The cave with calculated stations
+   * @returns {ExtendedElevationLayout} The unfolded stations and shots
+   */
+  static getLayout(cave) {
+    const settings = cave.extendedElevation ?? new ExtendedElevation();
+    const neighbours = ExtendedElevationCalculator.#getNeighbours(cave);
+    const centerStations = [...neighbours.keys()];
+    const start = neighbours.has(settings.start) ? settings.start : cave.getFirstStationName();
+    const roots = [start, ...centerStations].filter((name) => neighbours.has(name));
+
+    const stations = new Map();
+    const legs = [];
+    const treeEdges = new Set();
+    let maxX;
+
+    roots.forEach((root) => {
+      if (stations.has(root)) return;
+
+      const component = [root];
+      const rootDirection = settings.getDirection(root) ?? ExtendedElevation.RIGHT;
+      stations.set(root, { x: 0, z: cave.stations.get(root).position.z, direction: rootDirection });
+
+      // iterative depth-first traversal, long passages can be deeper than the call stack
+      const stack = [...neighbours.get(root)].reverse().map((n) => ({ ...n, parent: root }));
+      while (stack.length > 0) {
+        const { name, survey, parent } = stack.pop();
+        if (stations.has(name)) continue;
+
+        const parentEntry = stations.get(parent);
+        const direction = settings.getDirection(name) ?? parentEntry.direction;
+        const from = cave.stations.get(parent).position;
+        const to = cave.stations.get(name).position;
+        const horizontal = Math.hypot(to.x - from.x, to.y - from.y);
+        const sign = direction === ExtendedElevation.LEFT ? -1 : 1;
+        stations.set(name, { x: parentEntry.x + sign * horizontal, z: to.z, direction, parent });
+        component.push(name);
+        legs.push({ from: parent, to: name, survey });
+        treeEdges.add(ExtendedElevationCalculator.#edgeKey(parent, name));
+
+        neighbours
+          .get(name)
+          .filter((n) => !stations.has(n.name))
+          .reverse()
+          .forEach((n) => stack.push({ ...n, parent: name }));
+      }
+
+      // the unconnected parts are placed next to each other from left to right
+      const xs = component.map((name) => stations.get(name).x);
+      if (maxX !== undefined) {
+        const shift = maxX + COMPONENT_GAP - Math.min(...xs);
+        component.forEach((name) => (stations.get(name).x += shift));
+        maxX = Math.max(...xs) + shift;
+      } else {
+        maxX = Math.max(...xs);
+      }
+    });
+
+    const breaks = [];
+    const seen = new Set(treeEdges);
+    neighbours.forEach((list, from) => {
+      list.forEach(({ name, survey }) => {
+        const key = ExtendedElevationCalculator.#edgeKey(from, name);
+        if (!seen.has(key)) {
+          seen.add(key);
+          breaks.push({ from, to: name, survey });
+        }
+      });
+    });
+
+    return new ExtendedElevationLayout(start, stations, legs, breaks);
+  }
+
+  /**
+   * Flips the unfolding direction of a station and the stations after it. The override is removed if the
+   * flipped direction is the same as the inherited one, so that the stored directions stay minimal.
+   * @param {Cave} cave - The cave with calculated stations
+   * @param {string} stationName - The name of the station to flip
+   * @returns {boolean} False if the station is not part of the unfolded centerline
+   */
+  static flip(cave, stationName) {
+    const layout = ExtendedElevationCalculator.getLayout(cave);
+    const entry = layout.getPosition(stationName);
+    if (entry === undefined) {
+      return false;
+    }
+    const inherited = entry.parent === undefined ? ExtendedElevation.RIGHT : layout.getPosition(entry.parent).direction;
+    const flipped = ExtendedElevationCalculator.opposite(entry.direction);
+    if (flipped === inherited) {
+      cave.extendedElevation.removeDirection(stationName);
+    } else {
+      cave.extendedElevation.setDirection(stationName, flipped);
+    }
+    return true;
+  }
+
+  static #edgeKey(a, b) {
+    return a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`;
+  }
+
+  /**
+   * The center shots of the cave between stations with a position, in the order of the surveys and shots
+   */
+  static #getNeighbours(cave) {
+    const neighbours = new Map();
+    const add = (a, b, survey) => {
+      if (!neighbours.has(a)) neighbours.set(a, []);
+      neighbours.get(a).push({ name: b, survey });
+    };
+    cave.surveys.forEach((s) => {
+      s.validShots.forEach((sh) => {
+        if (sh.type !== ShotType.CENTER) return;
+        const from = s.getFromStationName(sh);
+        const to = s.getToStationName(sh);
+        if (from !== to && cave.stations.get(from)?.position && cave.stations.get(to)?.position) {
+          add(from, to, s.name);
+          add(to, from, s.name);
+        }
+      });
+    });
+    return neighbours;
+  }
+}
@@ -16,6 +16,8 @@
 
 import { degreesToRads, radsToDegrees } from './utils.js';
 import { CoordinateSystemType } from '../model/geo.js';
+import { Projection } from './projection.js';
+import { DeclinationSource, Geomagnetism } from './geomagnetism.js';
 import { i18n } from '../i18n/i18n.js';
 
 class MeridianConvergence {
@@ -75,11 +77,82 @@ class MeridianConvergence {
     const gammaRad = Math.atan(Math.tan(dlam) * Math.sin(phi));
     return radsToDegrees(gammaRad); // degrees, positive east of true north
   }
+
+  /**
+   * Get the meridian convergence at a coordinate of a projected coordinate system.
+   * @param {number} easting - The easting of the coordinate
+   * @param {number} northing - The northing of the coordinate
+   * @param {string} definition - PROJ-style definition of the coordinate system
+   * @returns {number} The convergence in degrees, positive east of true north
+   */
+  static getProjectedConvergence(easting, northing, definition) {
+    return Projection.get(definition).getConvergence(easting, northing);
+  }
 }
 
 class Declination {
 
-  static async getDeclination(cache, lat, long, date, timeoutInMs = 3000) {
+  /**
+   * Get the magnetic declination from NOAA or from the bundled geomagnetic model. The bundled model is used
+   * when the NOAA service is not reachable, e.g. in the field without network.
+   * @param {DeclinationCache} cache - Cache of the NOAA values
+   * @param {number} lat - Latitude in degrees
+   * @param {number} long - Longitude in degrees
+   * @param {Date} date - The date of the survey
+   * @param {number} timeoutInMs - Timeout of the NOAA request
+   * @param {string} source - One of DeclinationSource
+   * @returns {Promise<Object>} The declination in degrees and its source (NOAA or the name of the model)
+   */
+  static async getDeclination(cache, lat, long, date, timeoutInMs = 3000, source = DeclinationSource.NOAA) {
+    if (source === DeclinationSource.MODEL) {
+      const result = Declination.#getModelDeclination(lat, long, date);
+      if (result === undefined) {
+        throw new Error(i18n.t('errors.utils.geo.noGeomagneticModel', { year: date.getFullYear() }));
+      }
+      return result;
+    }
+
+    try {
+      const declination = await Declination.#getNOAADeclination(cache, lat, long, date, timeoutInMs);
+      return { declination, source: 'NOAA' };
+    } catch (error) {
+      console.warn('Failed to get declination from NOAA, using the bundled model:', error);
+      const result = Declination.#getModelDeclination(lat, long, date);
+      if (result === undefined) {
+        throw error;
+      }
+      return result;
+    }
+  }
+
+  /**
+   * Get the magnetic declination of a cave from the bundled geomagnetic model at its first fixed station.
+   * @param {GeoData} geoData - The coordinate system and the fixed stations of the cave
+   * @param {Date} date - The date of the survey
+   * @returns {number|undefined} The declination in degrees, undefined when the cave has no fixed station or
+   *   the date is not covered by the bundled models
+   */
+  static getCaveDeclination(geoData, date) {
+    const coordinate = geoData?.coordinates?.[0]?.coordinate;
+    if (coordinate === undefined || !(date instanceof Date) || isNaN(date.getTime())) {
+      return undefined;
+    }
+    const latLon = WGS84Converter.toLatLon(coordinate, geoData.coordinateSystem);
+    if (latLon === undefined) {
+      return undefined;
+    }
+    return Geomagnetism.getDeclination(latLon.latitude, latLon.longitude, date, coordinate.elevation);
+  }
+
+  static #getModelDeclination(lat, long, date) {
+    const model = Geomagnetism.getModel(date);
+    if (model === undefined) {
+      return undefined;
+    }
+    return { declination: Geomagnetism.getDeclination(lat, long, date), source: model.name };
+  }
+
+  static async #getNOAADeclination(cache, lat, long, date, timeoutInMs) {
     // First, try to get from cache if available
     try {
       const cachedDeclination = await cache.get(lat, long, date);
@@ -294,6 +367,8 @@ class WGS84Converter {
         undefined,
         coordinateSystem.northern
       );
+    } else if (coordinateSystem.type === CoordinateSystemType.PROJECTED) {
+      return Projection.get(coordinateSystem.definition).toLatLon(coordinate.easting, coordinate.northing);
     }
   }
 
@@ -303,6 +378,8 @@ class WGS84Converter {
       return { y: eovY, x: eovX };
     } else if (coordinateSystem.type === CoordinateSystemType.UTM) {
       return UTMConverter.fromLatLon(latitude, longitude);
+    } else if (coordinateSystem.type === CoordinateSystemType.PROJECTED) {
+      return Projection.get(coordinateSystem.definition).fromLatLon(latitude, longitude);
     }
   }
 }
@@ -0,0 +1,322 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Spherical harmonic coefficients of the World Magnetic Model (WMM), published by NOAA NCEI and the
+ * British Geological Survey (https://www.ncei.noaa.gov/products/world-magnetic-model), public domain.
+ * Each line is n, m, g, h (nT) and the secular variation dg, dh (nT/year) like in the WMM.COF files.
+ * The models are ordered by epoch, each of them is valid for five years from its epoch.
+ */
+export const GEOMAGNETIC_MODELS = [
+  {
+    name         : 'WMM2015v2',
+    epoch        : 2015,
+    coefficients : `
+  1  0  -29438.2       0.0       7.0       0.0
+  1  1   -1493.5    4796.3       9.0     -30.2
+  2  0   -2444.5       0.0     -11.0       0.0
+  2  1    3014.7   -2842.4      -6.2     -29.6
+  2  2    1679.0    -638.8       0.3     -17.3
+  3  0    1351.8       0.0       2.4       0.0
+  3  1   -2351.6    -113.7      -5.7       6.5
+  3  2    1223.6     246.5       2.0      -0.8
+  3  3     582.3    -537.4     -11.0      -2.0
+  4  0     907.5       0.0      -0.8       0.0
+  4  1     814.8     283.3      -0.9      -0.4
+  4  2     117.8    -188.6      -6.5       5.8
+  4  3    -335.6     180.7       5.2       3.8
+  4  4      69.7    -330.0      -4.0      -3.5
+  5  0    -232.9       0.0      -0.3       0.0
+  5  1     360.1      46.9       0.6       0.2
+  5  2     191.7     196.5      -0.8       2.3
+  5  3    -141.3    -119.9       0.1       0.0
+  5  4    -157.2      16.0       1.2       3.3
+  5  5       7.7     100.6       1.4      -0.6
+  6  0      69.4       0.0      -0.8       0.0
+  6  1      67.7     -20.1      -0.5       0.3
+  6  2      72.3      32.8      -0.1      -1.5
+  6  3    -129.1      59.1       1.6      -1.2
+  6  4     -28.4     -67.1      -1.6       0.4
+  6  5      13.6       8.1       0.0       0.2
+  6  6     -70.3      61.9       1.2       1.3
+  7  0      81.7       0.0      -0.3       0.0
+  7  1     -75.9     -54.3      -0.2       0.6
+  7  2      -7.1     -19.5      -0.3       0.5
+  7  3      52.2       6.0       0.9      -0.8
+  7  4      15.0      24.5       0.1      -0.2
+  7  5       9.1       3.5      -0.6      -1.1
+  7  6      -3.0     -27.7      -0.9       0.1
+  7  7       5.9      -2.9       0.7       0.2
+  8  0      24.2       0.0      -0.1       0.0
+  8  1       8.9      10.1       0.2      -0.4
+  8  2     -16.9     -18.3      -0.2       0.6
+  8  3      -3.1      13.3       0.5      -0.1
+  8  4     -20.7     -14.5      -0.1       0.6
+  8  5      13.3      16.2       0.4      -0.2
+  8  6      11.6       6.0       0.4      -0.5
+  8  7     -16.3      -9.2      -0.1       0.5
+  8  8      -2.1       2.4       0.4       0.1
+  9  0       5.5       0.0      -0.1       0.0
+  9  1       8.8     -21.8      -0.1      -0.3
+  9  2       3.0      10.7       0.0       0.1
+  9  3      -3.2      11.8       0.4      -0.4
+  9  4       0.6      -6.8      -0.4       0.3
+  9  5     -13.2      -6.9       0.0       0.1
+  9  6      -0.1       7.9       0.3       0.0
+  9  7       8.7       1.0       0.0      -0.1
+  9  8      -9.1      -3.9       0.0       0.5
+  9  9     -10.4       8.5      -0.3       0.2
+ 10  0      -2.0       0.0       0.0       0.0
+ 10  1      -6.1       3.3       0.0       0.0
+ 10  2       0.2      -0.4      -0.1       0.1
+ 10  3       0.6       4.6       0.2      -0.2
+ 10  4      -0.5       4.4      -0.1       0.1
+ 10  5       1.8      -7.9      -0.2      -0.1
+ 10  6      -0.7      -0.6       0.0       0.1
+ 10  7       2.2      -4.2      -0.1       0.0
+ 10  8       2.4      -2.9      -0.2      -0.1
+ 10  9      -1.8      -1.1      -0.1       0.2
+ 10 10      -3.6      -8.8       0.0       0.0
+ 11  0       3.0       0.0       0.0       0.0
+ 11  1      -1.4       0.0       0.0       0.0
+ 11  2      -2.3       2.1       0.0       0.1
+ 11  3       2.1      -0.6       0.0       0.0
+ 11  4      -0.8      -1.1       0.0       0.1
+ 11  5       0.6       0.7      -0.1       0.0
+ 11  6      -0.7      -0.2       0.0       0.0
+ 11  7       0.1      -2.1       0.0       0.1
+ 11  8       1.7      -1.5       0.0       0.0
+ 11  9      -0.2      -2.6      -0.1      -0.1
+ 11 10       0.4      -2.0       0.0       0.0
+ 11 11       3.5      -2.3      -0.1      -0.1
+ 12  0      -2.0       0.0       0.0       0.0
+ 12  1      -0.1      -1.0       0.0       0.0
+ 12  2       0.5       0.3       0.0       0.0
+ 12  3       1.2       1.8       0.0      -0.1
+ 12  4      -0.9      -2.2      -0.1       0.1
+ 12  5       0.9       0.3       0.0       0.0
+ 12  6       0.1       0.7       0.0       0.0
+ 12  7       0.6      -0.1       0.0       0.0
+ 12  8      -0.4       0.3       0.0       0.0
+ 12  9      -0.5       0.2       0.0       0.0
+ 12 10       0.2      -0.9       0.0       0.0
+ 12 11      -0.9      -0.2       0.0       0.0
+ 12 12       0.0       0.8      -0.1      -0.1
+`
+  },
+  {
+    name         : 'WMM2020',
+    epoch        : 2020,
+    coefficients : `
+  1  0  -29404.5       0.0       6.7       0.0
+  1  1   -1450.7    4652.9       7.7     -25.1
+  2  0   -2500.0       0.0     -11.5       0.0
+  2  1    2982.0   -2991.6      -7.1     -30.2
+  2  2    1676.8    -734.8      -2.2     -23.9
+  3  0    1363.9       0.0       2.8       0.0
+  3  1   -2381.0     -82.2      -6.2       5.7
+  3  2    1236.2     241.8       3.4      -1.0
+  3  3     525.7    -542.9     -12.2       1.1
+  4  0     903.1       0.0      -1.1       0.0
+  4  1     809.4     282.0      -1.6       0.2
+  4  2      86.2    -158.4      -6.0       6.9
+  4  3    -309.4     199.8       5.4       3.7
+  4  4      47.9    -350.1      -5.5      -5.6
+  5  0    -234.4       0.0      -0.3       0.0
+  5  1     363.1      47.7       0.6       0.1
+  5  2     187.8     208.4      -0.7       2.5
+  5  3    -140.7    -121.3       0.1      -0.9
+  5  4    -151.2      32.2       1.2       3.0
+  5  5      13.7      99.1       1.0       0.5
+  6  0      65.9       0.0      -0.6       0.0
+  6  1      65.6     -19.1      -0.4       0.1
+  6  2      73.0      25.0       0.5      -1.8
+  6  3    -121.5      52.7       1.4      -1.4
+  6  4     -36.2     -64.4      -1.4       0.9
+  6  5      13.5       9.0       0.0       0.1
+  6  6     -64.7      68.1       0.8       1.0
+  7  0      80.6       0.0      -0.1       0.0
+  7  1     -76.8     -51.4      -0.3       0.5
+  7  2      -8.3     -16.8      -0.1       0.6
+  7  3      56.5       2.3       0.7      -0.7
+  7  4      15.8      23.5       0.2      -0.2
+  7  5       6.4      -2.2      -0.5      -1.2
+  7  6      -7.2     -27.2      -0.8       0.2
+  7  7       9.8      -1.9       1.0       0.3
+  8  0      23.6       0.0      -0.1       0.0
+  8  1       9.8       8.4       0.1      -0.3
+  8  2     -17.5     -15.3      -0.1       0.7
+  8  3      -0.4      12.8       0.5      -0.2
+  8  4     -21.1     -11.8      -0.1       0.5
+  8  5      15.3      14.9       0.4      -0.3
+  8  6      13.7       3.6       0.5      -0.5
+  8  7     -16.5      -6.9       0.0       0.4
+  8  8      -0.3       2.8       0.4       0.1
+  9  0       5.0       0.0      -0.1       0.0
+  9  1       8.2     -23.3      -0.2      -0.3
+  9  2       2.9      11.1       0.0       0.2
+  9  3      -1.4       9.8       0.4      -0.4
+  9  4      -1.1      -5.1      -0.3       0.4
+  9  5     -13.3      -6.2       0.0       0.1
+  9  6       1.1       7.8       0.3       0.0
+  9  7       8.9       0.4       0.0      -0.2
+  9  8      -9.3      -1.5       0.0       0.5
+  9  9     -11.9       9.7      -0.4       0.2
+ 10  0      -1.9       0.0       0.0       0.0
+ 10  1      -6.2       3.4       0.0       0.0
+ 10  2      -0.1      -0.2       0.0       0.1
+ 10  3       1.7       3.5       0.2      -0.3
+ 10  4      -0.9       4.8      -0.1       0.1
+ 10  5       0.6      -8.6      -0.2      -0.2
+ 10  6      -0.9      -0.1       0.0       0.1
+ 10  7       1.9      -4.2      -0.1       0.0
+ 10  8       1.4      -3.4      -0.2      -0.1
+ 10  9      -2.4      -0.1      -0.1       0.2
+ 10 10      -3.9      -8.8       0.0       0.0
+ 11  0       3.0       0.0       0.0       0.0
+ 11  1      -1.4       0.0      -0.1       0.0
+ 11  2      -2.5       2.6       0.0       0.1
+ 11  3       2.4      -0.5       0.0       0.0
+ 11  4      -0.9      -0.4       0.0       0.2
+ 11  5       0.3       0.6      -0.1       0.0
+ 11  6      -0.7      -0.2       0.0       0.0
+ 11  7      -0.1      -1.7       0.0       0.1
+ 11  8       1.4      -1.6      -0.1       0.0
+ 11  9      -0.6      -3.0      -0.1      -0.1
+ 11 10       0.2      -2.0      -0.1       0.0
+ 11 11       3.1      -2.6      -0.1       0.0
+ 12  0      -2.0       0.0       0.0       0.0
+ 12  1      -0.1      -1.2       0.0       0.0
+ 12  2       0.5       0.5       0.0       0.0
+ 12  3       1.3       1.3       0.0      -0.1
+ 12  4      -1.2      -1.8       0.0       0.1
+ 12  5       0.7       0.1       0.0       0.0
+ 12  6       0.3       0.7       0.0       0.0
+ 12  7       0.5      -0.1       0.0       0.0
+ 12  8      -0.2       0.6       0.0       0.1
+ 12  9      -0.5       0.2       0.0       0.0
+ 12 10       0.1      -0.9       0.0       0.0
+ 12 11      -1.1       0.0       0.0       0.0
+ 12 12      -0.3       0.5      -0.1      -0.1
+`
+  },
+  {
+    name         : 'WMM2025',
+    epoch        : 2025,
+    coefficients : `
+  1  0  -29351.8       0.0      12.0       0.0
+  1  1   -1410.8    4545.4       9.7     -21.5
+  2  0   -2556.6       0.0     -11.6       0.0
+  2  1    2951.1   -3133.6      -5.2     -27.7
+  2  2    1649.3    -815.1      -8.0     -12.1
+  3  0    1361.0       0.0      -1.3       0.0
+  3  1   -2404.1     -56.6      -4.2       4.0
+  3  2    1243.8     237.5       0.4      -0.3
+  3  3     453.6    -549.5     -15.6      -4.1
+  4  0     895.0       0.0      -1.6       0.0
+  4  1     799.5     278.6      -2.4      -1.1
+  4  2      55.7    -133.9      -6.0       4.1
+  4  3    -281.1     212.0       5.6       1.6
+  4  4      12.1    -375.6      -7.0      -4.4
+  5  0    -233.2       0.0       0.6       0.0
+  5  1     368.9      45.4       1.4      -0.5
+  5  2     187.2     220.2       0.0       2.2
+  5  3    -138.7    -122.9       0.6       0.4
+  5  4    -142.0      43.0       2.2       1.7
+  5  5      20.9     106.1       0.9       1.9
+  6  0      64.4       0.0      -0.2       0.0
+  6  1      63.8     -18.4      -0.4       0.3
+  6  2      76.9      16.8       0.9      -1.6
+  6  3    -115.7      48.8       1.2      -0.4
+  6  4     -40.9     -59.8      -0.9       0.9
+  6  5      14.9      10.9       0.3       0.7
+  6  6     -60.7      72.7       0.9       0.9
+  7  0      79.5       0.0       0.0       0.0
+  7  1     -77.0     -48.9      -0.1       0.6
+  7  2      -8.8     -14.4      -0.1       0.5
+  7  3      59.3      -1.0       0.5      -0.8
+  7  4      15.8      23.4      -0.1       0.0
+  7  5       2.5      -7.4      -0.8      -1.0
+  7  6     -11.1     -25.1      -0.8       0.6
+  7  7      14.2      -2.3       0.8      -0.2
+  8  0      23.2       0.0      -0.1       0.0
+  8  1      10.8       7.1       0.2      -0.2
+  8  2     -17.5     -12.6       0.0       0.5
+  8  3       2.0      11.4       0.5      -0.4
+  8  4     -21.7      -9.7      -0.1       0.4
+  8  5      16.9      12.7       0.3      -0.5
+  8  6      15.0       0.7       0.2      -0.6
+  8  7     -16.8      -5.2       0.0       0.3
+  8  8       0.9       3.9       0.2       0.2
+  9  0       4.6       0.0       0.0       0.0
+  9  1       7.8     -24.8      -0.1      -0.3
+  9  2       3.0      12.2       0.1       0.3
+  9  3      -0.2       8.3       0.3      -0.3
+  9  4      -2.5      -3.3      -0.3       0.3
+  9  5     -13.1      -5.2       0.0       0.2
+  9  6       2.4       7.2       0.3      -0.1
+  9  7       8.6      -0.6      -0.1      -0.2
+  9  8      -8.7       0.8       0.1       0.4
+  9  9     -12.9      10.0      -0.1       0.1
+ 10  0      -1.3       0.0       0.1       0.0
+ 10  1      -6.4       3.3       0.0       0.0
+ 10  2       0.2       0.0       0.1       0.0
+ 10  3       2.0       2.4       0.1      -0.2
+ 10  4      -1.0       5.3       0.0       0.1
+ 10  5      -0.6      -9.1      -0.3      -0.1
+ 10  6      -0.9       0.4       0.0       0.1
+ 10  7       1.5      -4.2      -0.1       0.0
+ 10  8       0.9      -3.8      -0.1      -0.1
+ 10  9      -2.7       0.9       0.0       0.2
+ 10 10      -3.9      -9.1       0.0       0.0
+ 11  0       2.9       0.0       0.0       0.0
+ 11  1      -1.5       0.0       0.0       0.0
+ 11  2      -2.5       2.9       0.0       0.1
+ 11  3       2.4      -0.6       0.0       0.0
+ 11  4      -0.6       0.2       0.0       0.1
+ 11  5      -0.1       0.5      -0.1       0.0
+ 11  6      -0.6      -0.3       0.0       0.0
+ 11  7      -0.1      -1.2       0.0       0.1
+ 11  8       1.1      -1.7      -0.1       0.0
+ 11  9      -1.0      -2.9      -0.1       0.0
+ 11 10      -0.2      -1.8      -0.1       0.0
+ 11 11       2.6      -2.3      -0.1       0.0
+ 12  0      -2.0       0.0       0.0       0.0
+ 12  1      -0.2      -1.3       0.0       0.0
+ 12  2       0.3       0.7       0.0       0.0
+ 12  3       1.2       1.0       0.0      -0.1
+ 12  4      -1.3      -1.4       0.0       0.1
+ 12  5       0.6       0.0       0.0       0.0
+ 12  6       0.6       0.6       0.1       0.0
+ 12  7       0.5      -0.1       0.0       0.0
+ 12  8      -0.1       0.8       0.0       0.0
+ 12  9      -0.4       0.1       0.0       0.0
+ 12 10      -0.2      -1.0      -0.1       0.0
+ 12 11      -1.3       0.1       0.0       0.0
+ 12 12      -0.7       0.2      -0.1      -0.1
+`
+  }
+];
+
+/**
+ * Spherical harmonic coefficients of the International Geomagnetic Reference Field (IGRF) by IAGA
+ * (https://www.ncei.noaa.gov/products/international-geomagnetic-reference-field), in the layout of the
+ * igrfNNcoeffs.txt files: a header line with the epochs, then g/h, n, m, the coefficients at the epochs (nT)
+ * and the secular variation after the last epoch (nT/year). Lines starting with # are comments.
+ * The IGRF covers the survey dates before the first WMM epoch, back to 1900. The table is not bundled yet,
+ * without it these dates have no offline declination.
+ */
+export const IGRF_COEFFICIENTS = ``;
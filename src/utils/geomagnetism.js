@@ -0,0 +1,267 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { degreesToRads, radsToDegrees } from './utils.js';
+import { GEOMAGNETIC_MODELS, IGRF_COEFFICIENTS } from './geomagnetic-models.js';
+
+/**
+ * Enum for the source of the official declination of a survey
+ */
+export const DeclinationSource = Object.freeze({
+  NOAA  : 'noaa', // NOAA web service, the bundled model is used when it is not available
+  MODEL : 'model' // only the bundled model, no network calls
+});
+
+/**
+ * A spherical harmonic model of the main geomagnetic field, like the World Magnetic Model or the IGRF.
+ */
+export class GeomagneticModel {
+
+  static REFERENCE_RADIUS = 6371.2; // km, geomagnetic reference radius
+  static WGS84_A = 6378.137; // km
+  static WGS84_F = 1 / 298.257223563;
+
+  constructor(name, epoch, coefficients, validity = 5) {
+    this.name = name;
+    this.epoch = epoch;
+    this.validFrom = epoch;
+    this.validTo = epoch + validity;
+    this.g = [];
+    this.h = [];
+    this.dg = [];
+    this.dh = [];
+    this.maxDegree = 0;
+    coefficients
+      .trim()
+      .split('\n')
+      .forEach((line) => {
+        const [n, m, g, h, dg, dh] = line.trim().split(/\s+/).map(Number);
+        const i = GeomagneticModel.#index(n, m);
+        this.g[i] = g;
+        this.h[i] = h;
+        this.dg[i] = dg;
+        this.dh[i] = dh;
+        this.maxDegree = Math.max(this.maxDegree, n);
+      });
+  }
+
+  static #index(n, m) {
+    return (n * (n + 1)) / 2 + m;
+  }
+
+  /**
+   * Creates a model for each epoch of an IGRF coefficient table. The IGRF coefficients change linearly
+   * between the epochs, so the secular variation of an epoch is the difference to the next epoch,
+   * the last epoch uses the predicted secular variation of the table.
+   * @param {string} name - The name of the models, the epoch is appended
+   * @param {string} table - The coefficients in the layout of the igrfNNcoeffs.txt files
+   * @returns {GeomagneticModel[]} The models ordered by epoch
+   */
+  static fromIgrf(name, table) {
+    const lines = table
+      .trim()
+      .split('\n')
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0 && !line.startsWith('#'));
+    const header = lines.find((line) => line.startsWith('g/h'));
+    if (header === undefined) {
+      return [];
+    }
+    // the last column is the secular variation, like 2025-30
+    const epochs = header.split(/\s+/).slice(3, -1).map(Number);
+
+    const coefficients = new Map();
+    lines
+      .filter((line) => /^[gh]\s/.test(line))
+      .forEach((line) => {
+        const [type, n, m, ...values] = line.split(/\s+/);
+        const key = `${n} ${m}`;
+        if (!coefficients.has(key)) {
+          coefficients.set(key, { g: [], h: [] });
+        }
+        coefficients.get(key)[type] = values.map(Number);
+      });
+
+    return epochs.map((epoch, i) => {
+      const last = i === epochs.length - 1;
+      const validity = last ? 5 : epochs[i + 1] - epoch;
+      const variation = (values) => (last ? values[epochs.length] : (values[i + 1] - values[i]) / validity);
+      const rows = [...coefficients.entries()].map(([key, { g, h }]) =>
+        [key, g[i], h[i] ?? 0, variation(g), h.length === 0 ? 0 : variation(h)].join(' ')
+      );
+      return new GeomagneticModel(`${name} ${epoch}`, epoch, rows.join('\n'), validity);
+    });
+  }
+
+  isValidAt(year) {
+    return year >= this.validFrom && year < this.validTo;
+  }
+
+  /**
+   * Calculates the magnetic field vector at a given position and time.
+   * @param {number} latitude - Geodetic latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @param {number} year - Decimal year
+   * @param {number} elevation - Height above the WGS84 ellipsoid in meters
+   * @returns {Object} The north (x), east (y) and down (z) components in nT, the declination and the inclination in degrees
+   */
+  getField(latitude, longitude, year, elevation = 0) {
+    const dt = year - this.epoch;
+    const phi = degreesToRads(latitude);
+    const lambda = degreesToRads(longitude);
+    const height = elevation / 1000;
+
+    // geodetic to geocentric spherical coordinates
+    const e2 = GeomagneticModel.WGS84_F * (2 - GeomagneticModel.WGS84_F);
+    const sinPhi = Math.sin(phi);
+    const rc = GeomagneticModel.WGS84_A / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    const p = (rc + height) * Math.cos(phi);
+    const z = (rc * (1 - e2) + height) * sinPhi;
+    const r = Math.sqrt(p * p + z * z);
+    const phiC = Math.asin(z / r);
+
+    const { P, dP } = GeomagneticModel.#legendre(this.maxDegree, Math.PI / 2 - phiC);
+    // avoid the division by zero at the geographic poles
+    const cosPhiC = Math.max(Math.cos(phiC), 1e-10);
+
+    let bx = 0;
+    let by = 0;
+    let bz = 0;
+    for (let n = 1; n <= this.maxDegree; n++) {
+      const ratio = Math.pow(GeomagneticModel.REFERENCE_RADIUS / r, n + 2);
+      for (let m = 0; m <= n; m++) {
+        const i = GeomagneticModel.#index(n, m);
+        const g = this.g[i] + dt * this.dg[i];
+        const h = this.h[i] + dt * this.dh[i];
+        const cosM = Math.cos(m * lambda);
+        const sinM = Math.sin(m * lambda);
+        bx += ratio * (g * cosM + h * sinM) * dP[i];
+        by += (ratio * m * (g * sinM - h * cosM) * P[i]) / cosPhiC;
+        bz -= ratio * (n + 1) * (g * cosM + h * sinM) * P[i];
+      }
+    }
+
+    // rotate the spherical components to the geodetic frame
+    const psi = phiC - phi;
+    const x = bx * Math.cos(psi) - bz * Math.sin(psi);
+    const y = by;
+    const down = bx * Math.sin(psi) + bz * Math.cos(psi);
+    const horizontal = Math.sqrt(x * x + y * y);
+    return {
+      x,
+      y,
+      z           : down,
+      declination : radsToDegrees(Math.atan2(y, x)),
+      inclination : radsToDegrees(Math.atan2(down, horizontal))
+    };
+  }
+
+  /**
+   * Schmidt semi-normalized associated Legendre functions and their derivatives by the colatitude
+   */
+  static #legendre(maxDegree, theta) {
+    const cosTheta = Math.cos(theta);
+    const sinTheta = Math.sin(theta);
+    const P = [1];
+    const dP = [0];
+    const at = (n, m) => GeomagneticModel.#index(n, m);
+
+    // Gauss normalized functions with the recursion of the WMM technical report
+    for (let n = 1; n <= maxDegree; n++) {
+      for (let m = 0; m <= n; m++) {
+        const i = at(n, m);
+        if (n === m) {
+          P[i] = sinTheta * P[at(n - 1, m - 1)];
+          dP[i] = sinTheta * dP[at(n - 1, m - 1)] + cosTheta * P[at(n - 1, m - 1)];
+        } else if (n === 1) {
+          P[i] = cosTheta * P[at(0, 0)];
+          dP[i] = cosTheta * dP[at(0, 0)] - sinTheta * P[at(0, 0)];
+        } else {
+          const k = ((n - 1) * (n - 1) - m * m) / ((2 * n - 1) * (2 * n - 3));
+          const p2 = m > n - 2 ? 0 : P[at(n - 2, m)];
+          const dp2 = m > n - 2 ? 0 : dP[at(n - 2, m)];
+          P[i] = cosTheta * P[at(n - 1, m)] - k * p2;
+          dP[i] = cosTheta * dP[at(n - 1, m)] - sinTheta * P[at(n - 1, m)] - k * dp2;
+        }
+      }
+    }
+
+    // conversion factors to Schmidt semi-normalization
+    let s = 1;
+    for (let n = 1; n <= maxDegree; n++) {
+      s = (s * (2 * n - 1)) / n;
+      let sm = s;
+      for (let m = 0; m <= n; m++) {
+        if (m > 0) {
+          sm *= Math.sqrt(((n - m + 1) * (m === 1 ? 2 : 1)) / (n + m));
+        }
+        P[at(n, m)] *= sm;
+        dP[at(n, m)] *= sm;
+      }
+    }
+    return { P, dP };
+  }
+}
+
+/**
+ * Offline magnetic declination calculation with the bundled geomagnetic models. The WMM is used where it is
+ * valid (from 2015), the IGRF epochs of IGRF_COEFFICIENTS for the earlier dates. The IGRF table is empty for now,
+ * so the dates before 2015 have no model.
+ */
+export class Geomagnetism {
+
+  static MODELS = [
+    ...GEOMAGNETIC_MODELS.map((m) => new GeomagneticModel(m.name, m.epoch, m.coefficients)),
+    ...GeomagneticModel.fromIgrf('IGRF', IGRF_COEFFICIENTS)
+  ];
+
+  static toDecimalYear(date) {
+    const year = date.getFullYear();
+    const start = new Date(year, 0, 1);
+    const end = new Date(year + 1, 0, 1);
+    return year + (date - start) / (end - start);
+  }
+
+  /**
+   * @param {Date} date - The date of the calculation
+   * @returns {GeomagneticModel|undefined} The model that is valid at the given date
+   */
+  static getModel(date) {
+    const year = Geomagnetism.toDecimalYear(date);
+    return Geomagnetism.MODELS.find((m) => m.isValidAt(year));
+  }
+
+  /**
+   * Calculates the magnetic field at a given position and date.
+   * @returns {Object|undefined} The field components, undefined if none of the bundled models covers the date
+   */
+  static getField(latitude, longitude, date, elevation = 0) {
+    const model = Geomagnetism.getModel(date);
+    return model?.getField(latitude, longitude, Geomagnetism.toDecimalYear(date), elevation);
+  }
+
+  /**
+   * Calculates the magnetic declination at a given position and date.
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @param {Date} date - The date of the survey
+   * @param {number} elevation - Height above the ellipsoid in meters
+   * @returns {number|undefined} The declination in degrees, positive east, undefined if none of the bundled models covers the date
+   */
+  static getDeclination(latitude, longitude, date, elevation = 0) {
+    return Geomagnetism.getField(latitude, longitude, date, elevation)?.declination;
+  }
+}
@@ -42,6 +42,7 @@ export class GlobalCoordinateNormalizer {
 
       switch (coordinate.type) {
         case CoordinateSystemType.UTM:
+        case CoordinateSystemType.PROJECTED:
           this.globalOrigin = {
             easting   : coordinate.easting,
             northing  : coordinate.northing,
@@ -76,6 +77,7 @@ export class GlobalCoordinateNormalizer {
 
     switch (coordinate.type) {
       case CoordinateSystemType.UTM:
+      case CoordinateSystemType.PROJECTED:
         return new Vector(
           coordinate.easting - this.globalOrigin.easting,
           coordinate.northing - this.globalOrigin.northing,
@@ -0,0 +1,293 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Shot, StationDimension } from '../model/survey.js';
+
+/**
+ * Enum for the side whose value is kept for a merge conflict
+ */
+export const MergeSide = Object.freeze({
+  LOCAL  : 'local',
+  REMOTE : 'remote'
+});
+
+/**
+ * Enum for the kind of cave item a merge conflict belongs to
+ */
+export const MergeItemType = Object.freeze({
+  CAVE      : 'cave',
+  SURVEY    : 'survey',
+  SHOT      : 'shot',
+  ALIAS     : 'alias',
+  COMMENT   : 'comment',
+  DIMENSION : 'dimension',
+  ATTRIBUTE : 'attribute'
+});
+
+/**
+ * A value changed differently on both sides since the common ancestor. An undefined local or remote
+ * value means that the item was deleted on that side.
+ */
+export class MergeConflict {
+
+  /**
+   * @param {string} id - Stable identifier of the conflict, used as the key of the resolutions
+   * @param {string} type - One of MergeItemType values
+   * @param {string} item - Human readable name of the item, e.g. the survey name or the shot stations
+   * @param {string} field - The conflicting field of the item or undefined if the whole item conflicts
+   * @param {any} base - The value of the common ancestor
+   * @param {any} local - The local value
+   * @param {any} remote - The remote value
+   */
+  constructor(id, type, item, field, base, local, remote) {
+    this.id = id;
+    this.type = type;
+    this.item = item;
+    this.field = field;
+    this.base = base;
+    this.local = local;
+    this.remote = remote;
+  }
+}
+
+/**
+ * Three-way merge of exported caves (Cave.toExport()). Surveys, aliases, station comments, station
+ * dimensions and attributes are matched by their names or ids. Shots have no persistent ids, they are
+ * matched by their type and stations, so renaming a station of a shot is a deletion and an addition.
+ * Shots sharing the type and the stations (e.g. the splays of a station) cannot be told apart, they are
+ * merged together and conflicting changes of them are a single conflict of the whole group.
+ */
+export class CaveMerge {
+
+  static CAVE_FIELDS = ['name', 'metadata', 'geoData', 'extendedElevation'];
+
+  static SURVEY_FIELDS = ['name', 'start', 'metadata', 'units'];
+
+  /**
+   * Merges the local and remote changes made since the common ancestor
+   * @param {Object} base - The exported cave of the last successful sync
+   * @param {Object} local - The exported local cave
+   * @param {Object} remote - The exported remote cave
+   * @param {Map<string, string>} resolutions - MergeSide values by conflict id, unresolved conflicts keep the local value
+   * @returns {{cave: Object, conflicts: MergeConflict[]}} The merged exported cave and the conflicts
+   */
+  static merge(base, local, remote, resolutions = new Map()) {
+    const ctx = { conflicts: [], resolutions };
+    const cave = CaveMerge.#mergeFields(
+      ctx,
+      { id: 'cave', type: MergeItemType.CAVE, item: local.name },
+      CaveMerge.CAVE_FIELDS,
+      base,
+      local,
+      remote,
+      { ...local }
+    );
+
+    cave.aliases = CaveMerge.#mergeList(
+      ctx,
+      'aliases',
+      MergeItemType.ALIAS,
+      base.aliases,
+      local.aliases,
+      remote.aliases,
+      {
+        keyOf   : (a) => `${a.from}/${a.to}`,
+        labelOf : (a) => `${a.from} ⇄ ${a.to}`
+      }
+    );
+
+    cave.stationComments = CaveMerge.#mergeList(
+      ctx,
+      'stationComments',
+      MergeItemType.COMMENT,
+      base.stationComments,
+      local.stationComments,
+      remote.stationComments,
+      {
+        keyOf     : (sc) => sc.name,
+        labelOf   : (sc) => sc.name,
+        mergeItem : (path, b, l, r) => CaveMerge.#mergeFields(ctx, path, ['name', 'comment'], b, l, r)
+      }
+    );
+
+    cave.stationDimensions = CaveMerge.#mergeList(
+      ctx,
+      'stationDimensions',
+      MergeItemType.DIMENSION,
+      base.stationDimensions,
+      local.stationDimensions,
+      remote.stationDimensions,
+      {
+        keyOf     : (sd) => sd.name,
+        labelOf   : (sd) => sd.name,
+        mergeItem : (path, b, l, r) =>
+          CaveMerge.#mergeFields(ctx, path, ['name', ...StationDimension.LRUD_FIELDS], b, l, r)
+      }
+    );
+
+    const attributeLabel = (label) => (a) => `${label(a)} (${a.attribute?.name ?? a.id})`;
+    const attributeLabels = {
+      sectionAttributes   : attributeLabel((a) => `${a.section?.from} → ${a.section?.to}`),
+      componentAttributes : attributeLabel((a) => a.component?.start),
+      stationAttributes   : attributeLabel((a) => a.name)
+    };
+    cave.attributes = { ...local.attributes };
+    Object.entries(attributeLabels).forEach(([collection, labelOf]) => {
+      cave.attributes[collection] = CaveMerge.#mergeList(
+        ctx,
+        collection,
+        MergeItemType.ATTRIBUTE,
+        base.attributes?.[collection],
+        local.attributes?.[collection],
+        remote.attributes?.[collection],
+        { keyOf: (a) => a.id, labelOf }
+      );
+    });
+
+    cave.surveys = CaveMerge.#mergeList(
+      ctx,
+      'surveys',
+      MergeItemType.SURVEY,
+      base.surveys,
+      local.surveys,
+      remote.surveys,
+      {
+        keyOf     : (s) => s.name,
+        labelOf   : (s) => s.name,
+        mergeItem : (path, b, l, r) => CaveMerge.#mergeSurvey(ctx, path, b, l, r)
+      }
+    );
+
+    return { cave: structuredClone(cave), conflicts: ctx.conflicts };
+  }
+
+  static #mergeSurvey(ctx, path, base, local, remote) {
+    const survey = CaveMerge.#mergeFields(ctx, path, CaveMerge.SURVEY_FIELDS, base, local, remote);
+    survey.shots = CaveMerge.#mergeList(
+      ctx,
+      `${path.id}/shots`,
+      MergeItemType.SHOT,
+      base?.shots,
+      local.shots,
+      remote.shots,
+      {
+        keyOf     : (sh) => `${sh.type}/${sh.from}/${sh.to ?? ''}`,
+        labelOf   : (sh) => `${local.name}: ${sh.from} → ${sh.to ?? ''}`,
+        mergeItem : (shotPath, b, l, r) => CaveMerge.#mergeFields(ctx, shotPath, Shot.export_fields, b, l, r)
+      }
+    );
+    return survey;
+  }
+
+  /**
+   * Merges keyed lists, the merged list follows the local order and the remotely added items are
+   * inserted after their remote predecessor. Items present on both sides are merged field by field
+   * if there is a mergeItem function, otherwise as a whole. Items with the same key are merged as a
+   * whole group, pairing them by their order would merge the changes into the wrong items.
+   */
+  static #mergeList(ctx, collection, type, base = [], local = [], remote = [], { keyOf, labelOf, mergeItem }) {
+    const [b, l, r] = [base, local, remote].map((items) => CaveMerge.#byKey(items, keyOf));
+    const merged = [];
+    CaveMerge.#mergeOrder([...l.keys()], [...r.keys()]).forEach((key) => {
+      const [bg, lg, rg] = [b.get(key), l.get(key), r.get(key)];
+      const path = { id: `${collection}/${key}`, type, item: labelOf((lg ?? rg)[0]) };
+      if (Math.max(bg?.length ?? 0, lg?.length ?? 0, rg?.length ?? 0) > 1) {
+        merged.push(...(CaveMerge.#mergeValue(ctx, path, bg ?? [], lg ?? [], rg ?? []) ?? []));
+        return;
+      }
+      const [bi, li, ri] = [bg?.[0], lg?.[0], rg?.[0]];
+      const item =
+        li !== undefined && ri !== undefined && mergeItem !== undefined
+          ? mergeItem(path, bi, li, ri)
+          : CaveMerge.#mergeValue(ctx, path, bi, li, ri);
+      if (item !== undefined) {
+        merged.push(item);
+      }
+    });
+    return merged;
+  }
+
+  static #byKey(items, keyOf) {
+    const groups = new Map();
+    items.forEach((item) => {
+      const key = keyOf(item);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(item);
+    });
+    return groups;
+  }
+
+  static #mergeOrder(localKeys, remoteKeys) {
+    const order = [...localKeys];
+    const placed = new Set(localKeys);
+    let previous;
+    remoteKeys.forEach((key) => {
+      if (!placed.has(key)) {
+        order.splice(previous === undefined ? 0 : order.indexOf(previous) + 1, 0, key);
+        placed.add(key);
+      }
+      previous = key;
+    });
+    return order;
+  }
+
+  static #mergeFields(ctx, path, fields, base, local, remote, target = {}) {
+    fields.forEach((field) => {
+      const value = CaveMerge.#mergeValue(
+        ctx,
+        { ...path, id: `${path.id}/${field}`, field },
+        base?.[field],
+        local[field],
+        remote[field]
+      );
+      if (value === undefined) {
+        delete target[field];
+      } else {
+        target[field] = value;
+      }
+    });
+    return target;
+  }
+
+  static #mergeValue(ctx, path, base, local, remote) {
+    if (CaveMerge.#equals(local, remote) || CaveMerge.#equals(base, remote)) {
+      return local;
+    }
+    if (CaveMerge.#equals(base, local)) {
+      return remote;
+    }
+    ctx.conflicts.push(new MergeConflict(path.id, path.type, path.item, path.field, base, local, remote));
+    return ctx.resolutions.get(path.id) === MergeSide.REMOTE ? remote : local;
+  }
+
+  static #equals(a, b) {
+    if (a === b) {
+      return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+      return false;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+      return false;
+    }
+    // undefined fields are not exported, they are equal to the missing ones
+    const aKeys = Object.keys(a).filter((k) => a[k] !== undefined);
+    const bKeys = Object.keys(b).filter((k) => b[k] !== undefined);
+    return aKeys.length === bKeys.length && aKeys.every((k) => CaveMerge.#equals(a[k], b[k]));
+  }
+}
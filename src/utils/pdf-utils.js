@@ -24,6 +24,19 @@
 
 const MM_TO_PT = 72 / 25.4; // 1mm = 2.834645669 points
 
+// Glyph widths of the built-in Helvetica font for the characters 32-126 in 1/1000 em (from the Adobe AFM file)
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+  722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556,
+  556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334,
+  260, 334, 584
+];
+const HELVETICA_DEFAULT_WIDTH = 556;
+
+// Control point distance of the cubic bezier approximation of a quarter circle
+const BEZIER_CIRCLE_K = 0.5522847498;
+
 /**
  * Simple TrueType font parser to extract cmap and hmtx tables
  * This allows proper Unicode to Glyph ID mapping and glyph widths
@@ -905,6 +918,21 @@ class PDFPage {
     this.operations.push(`${x.toFixed(2)} ${y.toFixed(2)} l`);
   }
 
+  /**
+   * Draw a cubic bezier curve from the current point to (x3, y3)
+   * @param {number} x1 - X coordinate of the first control point
+   * @param {number} y1 - Y coordinate of the first control point
+   * @param {number} x2 - X coordinate of the second control point
+   * @param {number} y2 - Y coordinate of the second control point
+   * @param {number} x3 - X coordinate of the end point
+   * @param {number} y3 - Y coordinate of the end point
+   */
+  curveTo(x1, y1, x2, y2, x3, y3) {
+    this.operations.push(
+      `${x1.toFixed(2)} ${y1.toFixed(2)} ${x2.toFixed(2)} ${y2.toFixed(2)} ${x3.toFixed(2)} ${y3.toFixed(2)} c`
+    );
+  }
+
   /**
    * Stroke the current path
    */
@@ -936,6 +964,41 @@ class PDFPage {
    */
   drawRect(x, y, width, height, style = 'stroke') {
     this.operations.push(`${x.toFixed(2)} ${y.toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re`);
+    this.#paint(style);
+  }
+
+  /**
+   * Draw a circle approximated with four bezier curves
+   * @param {number} cx - X coordinate of the center
+   * @param {number} cy - Y coordinate of the center
+   * @param {number} radius - Radius in points
+   * @param {string} style - 'stroke', 'fill', or 'both'
+   */
+  drawCircle(cx, cy, radius, style = 'stroke') {
+    const k = BEZIER_CIRCLE_K * radius;
+    this.moveTo(cx + radius, cy);
+    this.curveTo(cx + radius, cy + k, cx + k, cy + radius, cx, cy + radius);
+    this.curveTo(cx - k, cy + radius, cx - radius, cy + k, cx - radius, cy);
+    this.curveTo(cx - radius, cy - k, cx - k, cy - radius, cx, cy - radius);
+    this.curveTo(cx + k, cy - radius, cx + radius, cy - k, cx + radius, cy);
+    this.closePath();
+    this.#paint(style);
+  }
+
+  /**
+   * Draw a closed polygon
+   * @param {Array<{x: number, y: number}>} points - Vertices in points
+   * @param {string} style - 'stroke', 'fill', or 'both'
+   */
+  drawPolygon(points, style = 'stroke') {
+    if (points.length < 2) return;
+    this.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach((p) => this.lineTo(p.x, p.y));
+    this.closePath();
+    this.#paint(style);
+  }
+
+  #paint(style) {
     if (style === 'fill') {
       this.operations.push('f');
     } else if (style === 'both') {
@@ -1101,14 +1164,42 @@ class PDFPage {
     return hex;
   }
 
+  /**
+   * Calculate the width of a text with the current font
+   * @param {string} text - The text to measure
+   * @param {number} size - Font size in points, the current font size by default
+   * @returns {number} Width in points
+   */
+  getTextWidth(text, size = this.fontSize) {
+    let width = 0;
+    if (this.document.embeddedFont && this.document.unicodeToGlyph) {
+      for (const char of text) {
+        const glyphId = this.document.unicodeToGlyph.get(char.codePointAt(0)) ?? 0;
+        width += this.document.glyphWidths?.get(glyphId) ?? HELVETICA_DEFAULT_WIDTH;
+      }
+    } else {
+      for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        width += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : HELVETICA_DEFAULT_WIDTH;
+      }
+    }
+    return (width * size) / 1000;
+  }
+
   /**
    * Draw text at a position
    * Uses embedded Unicode font if available, otherwise falls back to WinAnsi encoding
    * @param {string} text - The text to draw
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
+   * @param {string} align - Horizontal alignment to the x coordinate: 'left', 'center' or 'right'
    */
-  drawText(text, x, y) {
+  drawText(text, x, y, align = 'left') {
+    if (align === 'center') {
+      x -= this.getTextWidth(text) / 2;
+    } else if (align === 'right') {
+      x -= this.getTextWidth(text);
+    }
     this.operations.push('BT'); // Begin text
     this.operations.push(`${x.toFixed(2)} ${y.toFixed(2)} Td`); // Position
 
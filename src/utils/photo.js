@@ -0,0 +1,124 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { degreesToRads } from './utils.js';
+
+export const PhotoMatchMethod = Object.freeze({
+  ENTRANCE : 'entrance',
+  SURVEY   : 'survey'
+});
+
+// mean radius of the Earth in meters
+const EARTH_RADIUS = 6371008.8;
+
+/**
+ * Suggests stations for photos from their EXIF data. Surface photos with a GPS position are matched to the
+ * nearest entrance (the fixed stations of the cave), the other photos are placed along the center stations
+ * of the surveys made on the day the photo was taken, in the order of the shots.
+ */
+export class PhotoMatcher {
+
+  static distance(lat1, lon1, lat2, lon2) {
+    const dLat = degreesToRads(lat2 - lat1);
+    const dLon = degreesToRads(lon2 - lon1);
+    const a =
+      Math.sin(dLat / 2) ** 2 + Math.cos(degreesToRads(lat1)) * Math.cos(degreesToRads(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * The fixed stations of the cave with a WGS84 position
+   * @returns {Array} The entrances as {station, lat, lon}
+   */
+  static getEntrances(cave) {
+    return (cave.geoData?.coordinates ?? [])
+      .map((c) => ({ station: c.name, wgs: cave.stations.get(c.name)?.coordinates?.wgs }))
+      .filter((e) => Number.isFinite(e.wgs?.lat) && Number.isFinite(e.wgs?.lon))
+      .map((e) => ({ station: e.station, lat: e.wgs.lat, lon: e.wgs.lon }));
+  }
+
+  /**
+   * The center stations of a survey in the order of the shots
+   * @returns {Array<string>} The station names that exist in the cave
+   */
+  static getStationSequence(cave, survey) {
+    const names = [];
+    survey.validShots
+      .filter((shot) => shot.isCenter())
+      .forEach((shot) => names.push(survey.getFromStationName(shot), survey.getToStationName(shot)));
+    return [...new Set(names)].filter((name) => cave.stations.has(name));
+  }
+
+  /**
+   * Suggests a station for each photo
+   * @param {Cave} cave - The cave
+   * @param {Array} photos - The photos with date, latitude and longitude (see ExifReader)
+   * @param {number} maxEntranceDistance - Surface photos farther from every entrance are not matched by position
+   * @returns {Array} For each photo {station, method, survey, distance} or undefined if there is no suggestion
+   */
+  static suggest(cave, photos, maxEntranceDistance = 500) {
+    const entrances = PhotoMatcher.getEntrances(cave);
+    const suggestions = photos.map((photo) => {
+      if (!Number.isFinite(photo?.latitude) || !Number.isFinite(photo?.longitude)) return undefined;
+      const nearest = entrances
+        .map((e) => ({
+          station  : e.station,
+          distance : PhotoMatcher.distance(photo.latitude, photo.longitude, e.lat, e.lon)
+        }))
+        .sort((a, b) => a.distance - b.distance)[0];
+      if (nearest === undefined || nearest.distance > maxEntranceDistance) return undefined;
+      return { station: nearest.station, method: PhotoMatchMethod.ENTRANCE, distance: nearest.distance };
+    });
+
+    // the rest of the dated photos grouped by day
+    const days = new Map();
+    photos.forEach((photo, index) => {
+      const date = photo?.date;
+      if (suggestions[index] !== undefined || !(date instanceof Date) || isNaN(date.getTime())) return;
+      const key = PhotoMatcher.#dayKey(date);
+      if (!days.has(key)) days.set(key, []);
+      days.get(key).push(index);
+    });
+
+    days.forEach((indices, key) => {
+      const sequence = [];
+      cave.surveys
+        .filter((survey) => survey.metadata?.date instanceof Date && PhotoMatcher.#dayKey(survey.metadata.date) === key)
+        .forEach((survey) => {
+          PhotoMatcher.getStationSequence(cave, survey)
+            .filter((name) => !sequence.some((s) => s.station === name))
+            .forEach((name) => sequence.push({ station: name, survey: survey.name }));
+        });
+      if (sequence.length === 0) return;
+
+      // the first photo of the day is at the start of the sequence, the last one is at the end
+      indices.sort((a, b) => photos[a].date - photos[b].date);
+      const first = photos[indices[0]].date.getTime();
+      const span = photos[indices[indices.length - 1]].date.getTime() - first;
+      indices.forEach((index) => {
+        const ratio = span === 0 ? 0.5 : (photos[index].date.getTime() - first) / span;
+        const { station, survey } = sequence[Math.round(ratio * (sequence.length - 1))];
+        suggestions[index] = { station, method: PhotoMatchMethod.SURVEY, survey };
+      });
+    });
+
+    return suggestions;
+  }
+
+  static #dayKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+  }
+}
@@ -0,0 +1,721 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { degreesToRads, radsToDegrees } from './utils.js';
+import { ProjectedCoordinateSystem } from '../model/geo.js';
+import { i18n } from '../i18n/i18n.js';
+
+/**
+ * Reference ellipsoid given by its semi-major axis and inverse flattening
+ */
+class Ellipsoid {
+
+  static WGS84 = new Ellipsoid(6378137, 298.257223563);
+
+  static NAMED = {
+    WGS84  : Ellipsoid.WGS84,
+    GRS80  : new Ellipsoid(6378137, 298.257222101),
+    bessel : new Ellipsoid(6377397.155, 299.1528128),
+    airy   : new Ellipsoid(6377563.396, 299.3249646),
+    intl   : new Ellipsoid(6378388, 297),
+    krass  : new Ellipsoid(6378245, 298.3),
+    clrk66 : new Ellipsoid(6378206.4, 294.9786982)
+  };
+
+  constructor(a, rf) {
+    this.a = a;
+    this.f = 1 / rf;
+    this.es = 2 * this.f - this.f * this.f;
+    this.e = Math.sqrt(this.es);
+  }
+
+  toGeocentric(phi, lam, h) {
+    const sinPhi = Math.sin(phi);
+    const n = this.a / Math.sqrt(1 - this.es * sinPhi * sinPhi);
+    return [
+      (n + h) * Math.cos(phi) * Math.cos(lam),
+      (n + h) * Math.cos(phi) * Math.sin(lam),
+      (n * (1 - this.es) + h) * sinPhi
+    ];
+  }
+
+  fromGeocentric([x, y, z]) {
+    const p = Math.sqrt(x * x + y * y);
+    let phi = Math.atan2(z, p * (1 - this.es));
+    let h = 0;
+    for (let i = 0; i < 10; i++) {
+      const sinPhi = Math.sin(phi);
+      const n = this.a / Math.sqrt(1 - this.es * sinPhi * sinPhi);
+      h = p / Math.cos(phi) - n;
+      const next = Math.atan2(z, p * (1 - (this.es * n) / (n + h)));
+      if (Math.abs(next - phi) < 1e-14) {
+        phi = next;
+        break;
+      }
+      phi = next;
+    }
+    return { phi, lam: Math.atan2(y, x), h };
+  }
+}
+
+/**
+ * Transverse Mercator projection with the Krüger series (4th order in the third flattening),
+ * accurate to a millimeter within a few thousand kilometers of the central meridian.
+ * See: https://en.wikipedia.org/wiki/Transverse_Mercator_projection#Ellipsoidal_transverse_Mercator
+ */
+class TransverseMercator {
+
+  constructor(params, ellipsoid) {
+    const n = ellipsoid.f / (2 - ellipsoid.f);
+    const n2 = n * n,
+      n3 = n2 * n,
+      n4 = n3 * n;
+    this.e = ellipsoid.e;
+    this.k0 = params.k;
+    this.lam0 = params.lon0;
+    this.A = (ellipsoid.a / (1 + n)) * (1 + n2 / 4 + n4 / 64);
+    this.alpha = [
+      n / 2 - (2 / 3) * n2 + (5 / 16) * n3 + (41 / 180) * n4,
+      (13 / 48) * n2 - (3 / 5) * n3 + (557 / 1440) * n4,
+      (61 / 240) * n3 - (103 / 140) * n4,
+      (49561 / 161280) * n4
+    ];
+    this.beta = [
+      n / 2 - (2 / 3) * n2 + (37 / 96) * n3 - (1 / 360) * n4,
+      (1 / 48) * n2 + (1 / 15) * n3 - (437 / 1440) * n4,
+      (17 / 480) * n3 - (37 / 840) * n4,
+      (4397 / 161280) * n4
+    ];
+    this.delta = [
+      2 * n - (2 / 3) * n2 - 2 * n3 + (116 / 45) * n4,
+      (7 / 3) * n2 - (8 / 5) * n3 - (227 / 45) * n4,
+      (56 / 15) * n3 - (136 / 35) * n4,
+      (4279 / 630) * n4
+    ];
+    this.x0 = params.x0;
+    // northing of the latitude of origin on the central meridian
+    this.y0 = params.y0 - this.#project(params.lat0, this.lam0).y;
+  }
+
+  #project(phi, lam) {
+    const sinPhi = Math.sin(phi);
+    const t = Math.sinh(Math.atanh(sinPhi) - this.e * Math.atanh(this.e * sinPhi));
+    const dLam = lam - this.lam0;
+    const xi = Math.atan2(t, Math.cos(dLam));
+    const eta = Math.atanh(Math.sin(dLam) / Math.sqrt(1 + t * t));
+    let x = eta,
+      y = xi;
+    this.alpha.forEach((a, j) => {
+      const k = 2 * (j + 1);
+      x += a * Math.cos(k * xi) * Math.sinh(k * eta);
+      y += a * Math.sin(k * xi) * Math.cosh(k * eta);
+    });
+    return { x: this.k0 * this.A * x, y: this.k0 * this.A * y };
+  }
+
+  forward(phi, lam) {
+    const { x, y } = this.#project(phi, lam);
+    return { x: this.x0 + x, y: this.y0 + y };
+  }
+
+  inverse(x, y) {
+    const xi = (y - this.y0) / (this.k0 * this.A);
+    const eta = (x - this.x0) / (this.k0 * this.A);
+    let xiP = xi,
+      etaP = eta;
+    this.beta.forEach((b, j) => {
+      const k = 2 * (j + 1);
+      xiP -= b * Math.sin(k * xi) * Math.cosh(k * eta);
+      etaP -= b * Math.cos(k * xi) * Math.sinh(k * eta);
+    });
+    const chi = Math.asin(Math.sin(xiP) / Math.cosh(etaP));
+    let phi = chi;
+    this.delta.forEach((d, j) => (phi += d * Math.sin(2 * (j + 1) * chi)));
+    return { phi, lam: this.lam0 + Math.atan2(Math.sinh(etaP), Math.cos(xiP)) };
+  }
+}
+
+/**
+ * Lambert Conformal Conic projection with one or two standard parallels (EPSG methods 9801 and 9802)
+ * See: Snyder, Map Projections - A Working Manual, p. 107
+ */
+class LambertConformalConic {
+
+  constructor(params, ellipsoid) {
+    this.e = ellipsoid.e;
+    this.a = ellipsoid.a;
+    this.lam0 = params.lon0;
+    this.x0 = params.x0;
+    this.y0 = params.y0;
+
+    const lat1 = params.lat1 ?? params.lat0;
+    const lat2 = params.lat2 ?? lat1;
+    const m1 = this.#m(lat1);
+    const t1 = this.#t(lat1);
+    this.n =
+      Math.abs(lat1 - lat2) < 1e-10
+        ? Math.sin(lat1)
+        : (Math.log(m1) - Math.log(this.#m(lat2))) / (Math.log(t1) - Math.log(this.#t(lat2)));
+    this.aF = ((this.a * m1) / (this.n * Math.pow(t1, this.n))) * params.k;
+    this.rho0 = this.aF * Math.pow(this.#t(params.lat0), this.n);
+  }
+
+  #m(phi) {
+    const sinPhi = Math.sin(phi);
+    return Math.cos(phi) / Math.sqrt(1 - this.e * this.e * sinPhi * sinPhi);
+  }
+
+  #t(phi) {
+    const eSinPhi = this.e * Math.sin(phi);
+    return Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - eSinPhi) / (1 + eSinPhi), this.e / 2);
+  }
+
+  forward(phi, lam) {
+    const rho = this.aF * Math.pow(this.#t(phi), this.n);
+    const theta = this.n * (lam - this.lam0);
+    return { x: this.x0 + rho * Math.sin(theta), y: this.y0 + this.rho0 - rho * Math.cos(theta) };
+  }
+
+  inverse(x, y) {
+    const sign = Math.sign(this.n);
+    const dx = x - this.x0;
+    const dy = this.rho0 - (y - this.y0);
+    const rho = sign * Math.sqrt(dx * dx + dy * dy);
+    const theta = Math.atan2(sign * dx, sign * dy);
+    const t = Math.pow(rho / this.aF, 1 / this.n);
+    let phi = Math.PI / 2 - 2 * Math.atan(t);
+    for (let i = 0; i < 15; i++) {
+      const eSinPhi = this.e * Math.sin(phi);
+      const next = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - eSinPhi) / (1 + eSinPhi), this.e / 2));
+      if (Math.abs(next - phi) < 1e-14) {
+        phi = next;
+        break;
+      }
+      phi = next;
+    }
+    return { phi, lam: theta / this.n + this.lam0 };
+  }
+}
+
+/**
+ * Oblique Stereographic projection on the Gauss conformal sphere (EPSG method 9809), used for example
+ * by the Dutch RD grid. See: IOGP Guidance Note 7-2, section 3.2.2.2
+ */
+class ObliqueStereographic {
+
+  constructor(params, ellipsoid) {
+    const { e, es, a } = ellipsoid;
+    const phi0 = params.lat0;
+    const sinPhi0 = Math.sin(phi0);
+    this.e = e;
+    this.es = es;
+    this.lam0 = params.lon0;
+    this.x0 = params.x0;
+    this.y0 = params.y0;
+
+    const rho0 = (a * (1 - es)) / Math.pow(1 - es * sinPhi0 * sinPhi0, 1.5);
+    const nu0 = a / Math.sqrt(1 - es * sinPhi0 * sinPhi0);
+    this.R2k = 2 * Math.sqrt(rho0 * nu0) * params.k;
+    this.n = Math.sqrt(1 + (es * Math.pow(Math.cos(phi0), 4)) / (1 - es));
+
+    const w1 = Math.pow(this.#s(sinPhi0), this.n);
+    const sinChi00 = (w1 - 1) / (w1 + 1);
+    this.c = ((this.n + sinPhi0) * (1 - sinChi00)) / ((this.n - sinPhi0) * (1 + sinChi00));
+    const w2 = this.c * w1;
+    this.chi0 = Math.asin((w2 - 1) / (w2 + 1));
+  }
+
+  #s(sinPhi) {
+    return ((1 + sinPhi) / (1 - sinPhi)) * Math.pow((1 - this.e * sinPhi) / (1 + this.e * sinPhi), this.e);
+  }
+
+  forward(phi, lam) {
+    const w = this.c * Math.pow(this.#s(Math.sin(phi)), this.n);
+    const chi = Math.asin((w - 1) / (w + 1));
+    const dLam = this.n * (lam - this.lam0);
+    const b = 1 + Math.sin(chi) * Math.sin(this.chi0) + Math.cos(chi) * Math.cos(this.chi0) * Math.cos(dLam);
+    return {
+      x : this.x0 + (this.R2k * Math.cos(chi) * Math.sin(dLam)) / b,
+      y :
+        this.y0 +
+        (this.R2k * (Math.sin(chi) * Math.cos(this.chi0) - Math.cos(chi) * Math.sin(this.chi0) * Math.cos(dLam))) / b
+    };
+  }
+
+  inverse(x, y) {
+    const dx = x - this.x0;
+    const dy = y - this.y0;
+    const g = this.R2k * Math.tan(Math.PI / 4 - this.chi0 / 2);
+    const h = 2 * this.R2k * Math.tan(this.chi0) + g;
+    const i = Math.atan(dx / (h + dy));
+    const j = Math.atan(dx / (g - dy)) - i;
+    const chi = this.chi0 + 2 * Math.atan((dy - dx * Math.tan(j / 2)) / this.R2k);
+    const lam = (j + 2 * i) / this.n + this.lam0;
+
+    const sinChi = Math.sin(chi);
+    const psi = (0.5 * Math.log((1 + sinChi) / (this.c * (1 - sinChi)))) / this.n;
+    let phi = 2 * Math.atan(Math.exp(psi)) - Math.PI / 2;
+    for (let k = 0; k < 15; k++) {
+      const eSinPhi = this.e * Math.sin(phi);
+      const psiI = Math.log(Math.tan(phi / 2 + Math.PI / 4) * Math.pow((1 - eSinPhi) / (1 + eSinPhi), this.e / 2));
+      const next = phi - ((psiI - psi) * Math.cos(phi) * (1 - eSinPhi * eSinPhi)) / (1 - this.es);
+      if (Math.abs(next - phi) < 1e-14) {
+        phi = next;
+        break;
+      }
+      phi = next;
+    }
+    return { phi, lam };
+  }
+}
+
+/**
+ * Krovak oblique conformal conic projection of S-JTSK in the east-north axis order (EPSG method 1041),
+ * both coordinates are negative in the Czech Republic and Slovakia.
+ * See: IOGP Guidance Note 7-2, section 3.2.3
+ */
+class Krovak {
+
+  constructor(params, ellipsoid) {
+    const { e, es, a } = ellipsoid;
+    const phiC = params.lat0;
+    const sinPhiC = Math.sin(phiC);
+    const phiP = params.latTs ?? degreesToRads(78.5);
+    this.e = e;
+    this.lam0 = params.lon0;
+    this.alphaC = params.alpha ?? degreesToRads(30.28813972222222);
+    this.x0 = params.x0;
+    this.y0 = params.y0;
+
+    const A = (a * Math.sqrt(1 - es)) / (1 - es * sinPhiC * sinPhiC);
+    this.B = Math.sqrt(1 + (es * Math.pow(Math.cos(phiC), 4)) / (1 - es));
+    const gamma0 = Math.asin(sinPhiC / this.B);
+    this.t0 =
+      (Math.tan(Math.PI / 4 + gamma0 / 2) * Math.pow((1 + e * sinPhiC) / (1 - e * sinPhiC), (e * this.B) / 2)) /
+      Math.pow(Math.tan(Math.PI / 4 + phiC / 2), this.B);
+    this.n = Math.sin(phiP);
+    this.r0 = (params.k * A) / Math.tan(phiP);
+    this.tanP = Math.tan(Math.PI / 4 + phiP / 2);
+  }
+
+  forward(phi, lam) {
+    const eSinPhi = this.e * Math.sin(phi);
+    const U =
+      2 *
+      (Math.atan(
+        (this.t0 * Math.pow(Math.tan(phi / 2 + Math.PI / 4), this.B)) /
+          Math.pow((1 + eSinPhi) / (1 - eSinPhi), (this.e * this.B) / 2)
+      ) -
+        Math.PI / 4);
+    const V = this.B * (this.lam0 - lam);
+    const T = Math.asin(Math.cos(this.alphaC) * Math.sin(U) + Math.sin(this.alphaC) * Math.cos(U) * Math.cos(V));
+    const D = Math.asin((Math.cos(U) * Math.sin(V)) / Math.cos(T));
+    const theta = this.n * D;
+    const r = (this.r0 * Math.pow(this.tanP, this.n)) / Math.pow(Math.tan(T / 2 + Math.PI / 4), this.n);
+    // southing and westing are negated for the east-north axis order
+    return { x: -(r * Math.sin(theta) + this.x0), y: -(r * Math.cos(theta) + this.y0) };
+  }
+
+  inverse(x, y) {
+    const xp = -y - this.y0;
+    const yp = -x - this.x0;
+    const r = Math.sqrt(xp * xp + yp * yp);
+    const theta = Math.atan2(yp, xp);
+    const D = theta / this.n;
+    const T = 2 * (Math.atan(Math.pow(this.r0 / r, 1 / this.n) * this.tanP) - Math.PI / 4);
+    const U = Math.asin(Math.cos(this.alphaC) * Math.sin(T) - Math.sin(this.alphaC) * Math.cos(T) * Math.cos(D));
+    const V = Math.asin((Math.cos(T) * Math.sin(D)) / Math.cos(U));
+    const lam = this.lam0 - V / this.B;
+    const tanU = Math.pow(Math.tan(U / 2 + Math.PI / 4), 1 / this.B) * Math.pow(this.t0, -1 / this.B);
+    let phi = U;
+    for (let i = 0; i < 15; i++) {
+      const eSinPhi = this.e * Math.sin(phi);
+      const next = 2 * (Math.atan(tanU * Math.pow((1 + eSinPhi) / (1 - eSinPhi), this.e / 2)) - Math.PI / 4);
+      if (Math.abs(next - phi) < 1e-14) {
+        phi = next;
+        break;
+      }
+      phi = next;
+    }
+    return { phi, lam };
+  }
+}
+
+/**
+ * Projected coordinate reference system described by a PROJ-style definition string, for example
+ * '+proj=tmerc +lat_0=0 +lon_0=15 +k=0.9999 +x_0=500000 +y_0=-5000000 +ellps=bessel +towgs84=682,-203,480'.
+ *
+ * Supported projections: tmerc, utm, lcc, sterea and krovak. The datum is shifted to WGS84 with the
+ * 3 or 7 parameter Helmert transformation of +towgs84 (position vector convention, rotations in
+ * arc seconds, scale in ppm). Elevations are not transformed, the shift is applied on the ellipsoid.
+ */
+class Projection {
+
+  static METHODS = {
+    tmerc  : TransverseMercator,
+    utm    : TransverseMercator,
+    lcc    : LambertConformalConic,
+    sterea : ObliqueStereographic,
+    krovak : Krovak
+  };
+
+  static UNITS = {
+    m       : 1,
+    km      : 1000,
+    ft      : 0.3048,
+    'us-ft' : 1200 / 3937
+  };
+
+  static PRIME_MERIDIANS = {
+    greenwich : 0,
+    ferro     : -17.666666666666668,
+    paris     : 2.337229166666667
+  };
+
+  static #cache = new Map();
+
+  /**
+   * @param {string} definition - PROJ-style definition string
+   */
+  constructor(definition) {
+    this.definition = definition;
+    const params = Projection.parse(definition);
+    const method = Projection.METHODS[params.proj];
+    if (method === undefined) {
+      throw new Error(i18n.t('errors.utils.projection.unsupportedProjection', { proj: params.proj }));
+    }
+
+    this.ellipsoid = Projection.#getEllipsoid(params);
+    this.toMeter = params.to_meter ?? Projection.UNITS[params.units ?? 'm'];
+    if (this.toMeter === undefined) {
+      throw new Error(i18n.t('errors.utils.projection.unsupportedUnits', { units: params.units }));
+    }
+    this.towgs84 = Projection.#getHelmertParameters(params);
+
+    const pm = params.pm === undefined ? 0 : (Projection.PRIME_MERIDIANS[params.pm] ?? parseFloat(params.pm));
+    const deg = (key, fallback) => (params[key] === undefined ? fallback : degreesToRads(params[key]));
+    const projectionParams = {
+      lat0  : deg('lat_0', 0),
+      lon0  : deg('lon_0', 0) + degreesToRads(pm),
+      lat1  : deg('lat_1', undefined),
+      lat2  : deg('lat_2', undefined),
+      latTs : deg('lat_ts', undefined),
+      alpha : deg('alpha', undefined),
+      k     : params.k ?? params.k_0 ?? 1,
+      x0    : params.x_0 ?? 0,
+      y0    : params.y_0 ?? 0
+    };
+    if (params.proj === 'utm') {
+      if (!Number.isInteger(params.zone) || params.zone < 1 || params.zone > 60) {
+        throw new RangeError(i18n.t('errors.utils.geo.zoneNumberOutOfRange'));
+      }
+      Object.assign(projectionParams, {
+        lat0 : 0,
+        lon0 : degreesToRads(6 * params.zone - 183),
+        k    : 0.9996,
+        x0   : 500000,
+        y0   : params.south ? 10000000 : 0
+      });
+    }
+    this.method = new method(projectionParams, this.ellipsoid);
+  }
+
+  /**
+   * Returns the cached projection of the definition
+   * @param {string} definition - PROJ-style definition string
+   * @returns {Projection}
+   */
+  static get(definition) {
+    let projection = Projection.#cache.get(definition);
+    if (projection === undefined) {
+      projection = new Projection(definition);
+      Projection.#cache.set(definition, projection);
+    }
+    return projection;
+  }
+
+  /**
+   * Parses a PROJ-style definition into an object, numeric values are converted to numbers,
+   * +towgs84 to an array of numbers and parameters without value to true
+   * @param {string} definition - The definition string
+   * @returns {Object} The parameters without the leading plus sign
+   */
+  static parse(definition) {
+    const params = {};
+    const tokens = (definition ?? '')
+      .trim()
+      .split(/\s+/)
+      .filter((t) => t.length > 0);
+    if (tokens.length === 0) {
+      throw new Error(i18n.t('errors.utils.projection.invalidDefinition', { definition }));
+    }
+    tokens.forEach((token) => {
+      const match = token.match(/^\+?([a-zA-Z_0-9]+)(?:=(.*))?$/);
+      if (match === null) {
+        throw new Error(i18n.t('errors.utils.projection.invalidDefinition', { definition }));
+      }
+      const [, key, value] = match;
+      if (value === undefined) {
+        params[key] = true;
+      } else if (key === 'towgs84') {
+        params[key] = value.split(',').map((v) => parseFloat(v));
+      } else {
+        params[key] = value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+      }
+    });
+    if (params.proj === undefined) {
+      throw new Error(i18n.t('errors.utils.projection.invalidDefinition', { definition }));
+    }
+    return params;
+  }
+
+  static #getEllipsoid(params) {
+    if (params.a !== undefined) {
+      if (params.rf !== undefined) return new Ellipsoid(params.a, params.rf);
+      if (params.f !== undefined) return new Ellipsoid(params.a, 1 / params.f);
+      if (params.b !== undefined) return new Ellipsoid(params.a, params.a / (params.a - params.b));
+    }
+    const name = params.ellps ?? (params.datum === 'WGS84' ? 'WGS84' : undefined) ?? 'WGS84';
+    const ellipsoid = Ellipsoid.NAMED[name];
+    if (ellipsoid === undefined) {
+      throw new Error(i18n.t('errors.utils.projection.unknownEllipsoid', { ellps: name }));
+    }
+    return ellipsoid;
+  }
+
+  static #getHelmertParameters(params) {
+    if (params.towgs84 === undefined) {
+      return undefined;
+    }
+    const [dx = 0, dy = 0, dz = 0, rx = 0, ry = 0, rz = 0, s = 0] = params.towgs84;
+    if ([dx, dy, dz, rx, ry, rz, s].some((v) => isNaN(v))) {
+      throw new Error(i18n.t('errors.utils.projection.invalidDefinition', { definition: params.towgs84.join(',') }));
+    }
+    const arcSec = (v) => degreesToRads(v / 3600);
+    return { dx, dy, dz, rx: arcSec(rx), ry: arcSec(ry), rz: arcSec(rz), m: 1 + s * 1e-6 };
+  }
+
+  #toWGS84(phi, lam) {
+    if (this.towgs84 === undefined && this.ellipsoid === Ellipsoid.WGS84) {
+      return { phi, lam };
+    }
+    const [x, y, z] = this.ellipsoid.toGeocentric(phi, lam, 0);
+    if (this.towgs84 === undefined) {
+      return Ellipsoid.WGS84.fromGeocentric([x, y, z]);
+    }
+    const { dx, dy, dz, rx, ry, rz, m } = this.towgs84;
+    return Ellipsoid.WGS84.fromGeocentric([
+      dx + m * (x - rz * y + ry * z),
+      dy + m * (rz * x + y - rx * z),
+      dz + m * (-ry * x + rx * y + z)
+    ]);
+  }
+
+  #fromWGS84(phi, lam) {
+    if (this.towgs84 === undefined && this.ellipsoid === Ellipsoid.WGS84) {
+      return { phi, lam };
+    }
+    let [x, y, z] = Ellipsoid.WGS84.toGeocentric(phi, lam, 0);
+    if (this.towgs84 !== undefined) {
+      const { dx, dy, dz, rx, ry, rz, m } = this.towgs84;
+      const [xt, yt, zt] = [(x - dx) / m, (y - dy) / m, (z - dz) / m];
+      [x, y, z] = [xt + rz * yt - ry * zt, -rz * xt + yt + rx * zt, ry * xt - rx * yt + zt];
+    }
+    return this.ellipsoid.fromGeocentric([x, y, z]);
+  }
+
+  /**
+   * Converts projected coordinates to WGS84 latitude and longitude
+   * @param {number} easting - The easting in the units of the definition
+   * @param {number} northing - The northing in the units of the definition
+   * @returns {{latitude: number, longitude: number}} WGS84 coordinates in degrees
+   */
+  toLatLon(easting, northing) {
+    const local = this.method.inverse(easting * this.toMeter, northing * this.toMeter);
+    const { phi, lam } = this.#toWGS84(local.phi, local.lam);
+    return { latitude: radsToDegrees(phi), longitude: radsToDegrees(lam) };
+  }
+
+  /**
+   * Converts WGS84 latitude and longitude to projected coordinates
+   * @param {number} latitude - WGS84 latitude in degrees
+   * @param {number} longitude - WGS84 longitude in degrees
+   * @returns {{easting: number, northing: number}} Projected coordinates in the units of the definition
+   */
+  fromLatLon(latitude, longitude) {
+    if (isNaN(latitude) || isNaN(longitude)) {
+      throw new Error(i18n.t('errors.utils.geo.latOrLonNaN'));
+    }
+    const { phi, lam } = this.#fromWGS84(degreesToRads(latitude), degreesToRads(longitude));
+    const { x, y } = this.method.forward(phi, lam);
+    return { easting: x / this.toMeter, northing: y / this.toMeter };
+  }
+
+  /**
+   * The meridian convergence is the angle between the grid north and the true north at a given point,
+   * it is calculated from the direction of the projected meridian.
+   * @param {number} easting - The easting in the units of the definition
+   * @param {number} northing - The northing in the units of the definition
+   * @returns {number} The convergence in degrees, positive if the grid north is east of the true north
+   */
+  getConvergence(easting, northing) {
+    const x = easting * this.toMeter;
+    const y = northing * this.toMeter;
+    const { phi, lam } = this.method.inverse(x, y);
+    const north = this.method.forward(phi + 1e-6, lam);
+    return radsToDegrees(Math.atan2(x - north.x, north.y - y));
+  }
+}
+
+/**
+ * Built-in projected coordinate reference systems by EPSG code. Definitions are taken from epsg.io,
+ * with the datum shifts recommended for the given country.
+ */
+class EPSGRegistry {
+
+  static DEFINITIONS = new Map([
+    [
+      31254,
+      {
+        name       : 'MGI / Austria GK West',
+        definition :
+          '+proj=tmerc +lat_0=0 +lon_0=10.3333333333333 +k=1 +x_0=0 +y_0=-5000000 +ellps=bessel +towgs84=577.326,90.129,463.919,5.137,1.474,5.297,2.4232 +units=m'
+      }
+    ],
+    [
+      31255,
+      {
+        name       : 'MGI / Austria GK Central',
+        definition :
+          '+proj=tmerc +lat_0=0 +lon_0=13.3333333333333 +k=1 +x_0=0 +y_0=-5000000 +ellps=bessel +towgs84=577.326,90.129,463.919,5.137,1.474,5.297,2.4232 +units=m'
+      }
+    ],
+    [
+      31256,
+      {
+        name       : 'MGI / Austria GK East',
+        definition :
+          '+proj=tmerc +lat_0=0 +lon_0=16.3333333333333 +k=1 +x_0=0 +y_0=-5000000 +ellps=bessel +towgs84=577.326,90.129,463.919,5.137,1.474,5.297,2.4232 +units=m'
+      }
+    ],
+    [
+      31257,
+      {
+        name       : 'MGI / Austria GK M28',
+        definition :
+          '+proj=tmerc +lat_0=0 +lon_0=10.3333333333333 +k=1 +x_0=150000 +y_0=-5000000 +ellps=bessel +towgs84=577.326,90.129,463.919,5.137,1.474,5.297,2.4232 +units=m'
+      }
+    ],
+    [
+      31258,
+      {
+        name       : 'MGI / Austria GK M31',
+        definition :
+          '+proj=tmerc +lat_0=0 +lon_0=13.3333333333333 +k=1 +x_0=450000 +y_0=-5000000 +ellps=bessel +towgs84=577.326,90.129,463.919,5.137,1.474,5.297,2.4232 +units=m'
+      }
+    ],
+    [
+      31259,
+      {
+        name       : 'MGI / Austria GK M34',
+        definition :
+          '+proj=tmerc +lat_0=0 +lon_0=16.3333333333333 +k=1 +x_0=750000 +y_0=-5000000 +ellps=bessel +towgs84=577.326,90.129,463.919,5.137,1.474,5.297,2.4232 +units=m'
+      }
+    ],
+    [
+      3912,
+      {
+        name       : 'MGI 1901 / Slovene National Grid',
+        definition :
+          '+proj=tmerc +lat_0=0 +lon_0=15 +k=0.9999 +x_0=500000 +y_0=-5000000 +ellps=bessel +towgs84=682,-203,480,0,0,0,0 +units=m'
+      }
+    ],
+    [
+      3794,
+      {
+        name       : 'Slovenia 1996 / Slovene National Grid',
+        definition : '+proj=tmerc +lat_0=0 +lon_0=15 +k=0.9999 +x_0=500000 +y_0=-5000000 +ellps=GRS80 +units=m'
+      }
+    ],
+    [
+      2154,
+      {
+        name       : 'RGF93 v1 / Lambert-93',
+        definition : '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +units=m'
+      }
+    ],
+    [
+      27700,
+      {
+        name       : 'OSGB36 / British National Grid',
+        definition :
+          '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m'
+      }
+    ],
+    [
+      5514,
+      {
+        name       : 'S-JTSK / Krovak East North',
+        definition :
+          '+proj=krovak +lat_0=49.5 +lon_0=24.8333333333333 +alpha=30.2881397527778 +k=0.9999 +x_0=0 +y_0=0 +ellps=bessel +towgs84=589,76,494,0,0,0,0 +units=m'
+      }
+    ],
+    [
+      28992,
+      {
+        name       : 'Amersfoort / RD New',
+        definition :
+          '+proj=sterea +lat_0=52.1561605555556 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel +towgs84=565.4171,50.3319,465.5524,1.9342,-1.6677,9.1019,4.0725 +units=m'
+      }
+    ]
+  ]);
+
+  static has(epsgId) {
+    return EPSGRegistry.DEFINITIONS.has(epsgId);
+  }
+
+  /**
+   * @param {number} epsgId - The EPSG code
+   * @returns {{name: string, definition: string}} The name and the PROJ-style definition
+   */
+  static get(epsgId) {
+    const entry = EPSGRegistry.DEFINITIONS.get(epsgId);
+    if (entry === undefined) {
+      throw new Error(i18n.t('errors.utils.projection.unknownEpsg', { epsgId }));
+    }
+    return entry;
+  }
+
+  /**
+   * @param {number} epsgId - The EPSG code of a built-in system
+   * @returns {ProjectedCoordinateSystem}
+   */
+  static getCoordinateSystem(epsgId) {
+    const { name, definition } = EPSGRegistry.get(epsgId);
+    return new ProjectedCoordinateSystem(epsgId, name, definition);
+  }
+
+  /**
+   * @returns {Object[]} The built-in systems as {epsgId, name, definition} objects ordered by name
+   */
+  static list() {
+    return [...EPSGRegistry.DEFINITIONS.entries()]
+      .map(([epsgId, entry]) => ({ epsgId, ...entry }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+}
+
+export { Ellipsoid, Projection, EPSGRegistry };
@@ -0,0 +1,263 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { ShotType, DEFAULT_UNITS, DEFAULT_BACKSIGHT_TOLERANCE } from '../model/survey.js';
+import { SectionHelper } from '../section.js';
+import { CycleUtil } from './cycle.js';
+
+/**
+ * Enum for the findings of the survey data QA
+ */
+export const QAFindingType = Object.freeze({
+  ORPHAN_SHOT         : 'orphanShot',
+  DUPLICATE_SHOT      : 'duplicateShot',
+  LONG_SHOT           : 'longShot',
+  ZERO_LENGTH_SHOT    : 'zeroLengthShot',
+  STEEP_SHOT          : 'steepShot',
+  NO_SPLAYS           : 'noSplays',
+  MISSING_LRUD        : 'missingLrud',
+  MISSING_DATE        : 'missingDate',
+  MISSING_DECLINATION : 'missingDeclination',
+  MISSING_TEAM        : 'missingTeam',
+  LOOP_CLOSURE        : 'loopClosure',
+  INCONSISTENT_UNITS  : 'inconsistentUnits',
+  LARGE_RESIDUAL      : 'largeResidual'
+});
+
+/**
+ * The limits of the abnormal shots and loops, lengths are in meters, angles in degrees
+ */
+export const QA_LIMITS = Object.freeze({
+  maxShotLength   : 50, // longer shots are rare in caves, probably a typo
+  minShotLength   : 0.01, // a center shot between two different stations
+  steepClino      : 85, // long and almost vertical shots are often a clino and azimuth swap
+  steepLength     : 10,
+  maxLoopError    : 2, // percent of the loop length
+  minSplayDensity : 1, // stations are checked for splays only if the survey has this many splays per station
+  maxResidual     : 2.5, // least-squares residual in σ₀ times the square root of the shot length
+  minResidual     : 0.05 // smaller residuals are never flagged
+});
+
+export class SurveyQA {
+
+  /**
+   * Checks the survey data of a cave. Every finding belongs to a survey and to a shot of it if possible,
+   * so the user can jump to the row of the survey editor.
+   * @param {Cave} cave - The cave with calculated stations
+   * @param {Object} limits - The limits of the abnormal shots and loops, see QA_LIMITS
+   * @param {Object} backsightTolerance - Maximum {azimuth, clino} differences of the averaged backsights
+   * @returns {Object} The findings as {type, survey, shotId, station, params}, the statistics of
+   * the surveys by survey name, the statistics of the loops and the least-squares adjustment (undefined
+   * if the cave is not adjusted)
+   */
+  static analyze(cave, limits = QA_LIMITS, backsightTolerance = DEFAULT_BACKSIGHT_TOLERANCE) {
+    const findings = [];
+    const surveys = new Map();
+    const add = (type, survey, shotId, station, params = {}) =>
+      findings.push({ type, survey, shotId, station, params });
+
+    const withLrud = new Set(
+      (cave.stationDimensions ?? []).filter((sd) => !sd.getEmptyFields().includes('values')).map((sd) => sd.name)
+    );
+    const unitsKey = (survey) => SurveyQA.#getUnitsKey(survey);
+    const commonUnits = SurveyQA.#getMostCommon(cave.surveys.map(unitsKey));
+
+    cave.surveys.forEach((survey) => {
+      survey.orphanShotIds.forEach((id) => add(QAFindingType.ORPHAN_SHOT, survey, id));
+      survey.duplicateShotIds.forEach((id) => add(QAFindingType.DUPLICATE_SHOT, survey, id));
+      SurveyQA.#checkShots(survey, limits, backsightTolerance, add);
+
+      // splay density and LRUD of the stations of the survey
+      const splays = new Map();
+      survey.validShots
+        .filter((sh) => sh.type === ShotType.SPLAY)
+        .forEach((sh) => {
+          splays.set(sh.from, (splays.get(sh.from) ?? 0) + 1);
+        });
+      const stationNames = [...cave.stations.entries()]
+        .filter(([, st]) => st.type === ShotType.CENTER && st.survey?.name === survey.name)
+        .map(([name]) => name);
+      const nrSplays = [...splays.values()].reduce((sum, n) => sum + n, 0);
+      const splayDensity = stationNames.length === 0 ? 0 : nrSplays / stationNames.length;
+      const missingLrud = stationNames.filter((name) => !withLrud.has(name));
+
+      stationNames.forEach((name) => {
+        if (splayDensity >= limits.minSplayDensity && !splays.has(name)) {
+          add(QAFindingType.NO_SPLAYS, survey, SurveyQA.#getShotIdOfStation(survey, name), name);
+        }
+        // LRUD is checked only if the cave has passage dimensions at all
+        if (withLrud.size > 0 && !withLrud.has(name)) {
+          add(QAFindingType.MISSING_LRUD, survey, SurveyQA.#getShotIdOfStation(survey, name), name);
+        }
+      });
+
+      // metadata of the survey
+      const metadata = survey.metadata;
+      if (!(metadata?.date instanceof Date) || isNaN(metadata.date.getTime())) {
+        add(QAFindingType.MISSING_DATE, survey);
+      }
+      if (!Number.isFinite(metadata?.declination)) {
+        add(QAFindingType.MISSING_DECLINATION, survey);
+      }
+      if ((metadata?.team?.members ?? []).filter((m) => m.name?.trim()).length === 0) {
+        add(QAFindingType.MISSING_TEAM, survey);
+      }
+      if (unitsKey(survey) !== commonUnits) {
+        add(QAFindingType.INCONSISTENT_UNITS, survey, undefined, undefined, {
+          units  : unitsKey(survey),
+          common : commonUnits
+        });
+      }
+
+      surveys.set(survey.name, {
+        survey,
+        shots        : survey.shots.length,
+        stations     : stationNames.length,
+        splayDensity,
+        missingLrud  : missingLrud.length,
+        loops        : 0,
+        maxLoopError : undefined,
+        units        : unitsKey(survey),
+        maxResidual  : undefined,
+        findings     : 0
+      });
+    });
+
+    const loops = SurveyQA.#checkLoops(cave, limits, backsightTolerance, surveys, add);
+    const adjustment = SurveyQA.#checkAdjustment(cave, limits, backsightTolerance, surveys, add);
+    findings.forEach((f) => surveys.get(f.survey.name).findings++);
+    return { findings, surveys, loops, adjustment };
+  }
+
+  static #checkShots(survey, limits, backsightTolerance, add) {
+    const lengthUnit = survey.units?.length ?? DEFAULT_UNITS.length;
+    survey.validShots.forEach((shot) => {
+      const { length, clino } = survey.getShotReadings(shot, backsightTolerance);
+      const params = { length: shot.length, unit: lengthUnit, clino: shot.clino };
+      if (length > limits.maxShotLength) {
+        add(QAFindingType.LONG_SHOT, survey, shot.id, shot.from, params);
+      }
+      if (shot.type === ShotType.CENTER && length < limits.minShotLength && shot.from !== shot.to) {
+        add(QAFindingType.ZERO_LENGTH_SHOT, survey, shot.id, shot.from, params);
+      }
+      if (shot.type === ShotType.CENTER && Math.abs(clino) > limits.steepClino && length > limits.steepLength) {
+        add(QAFindingType.STEEP_SHOT, survey, shot.id, shot.from, params);
+      }
+    });
+  }
+
+  /**
+   * Calculates the closure error of the loops and assigns the loops to the surveys of their shots
+   */
+  static #checkLoops(cave, limits, backsightTolerance, surveys, add) {
+    const errors = [];
+    SectionHelper.getCycles(SectionHelper.getGraph(cave)).forEach((cycle) => {
+      const path = [...cycle.path, cycle.path[0]];
+      const { totalLength, error } = CycleUtil.calculateCycleError(path, cave.stations, backsightTolerance);
+      const errorPercentage = totalLength === 0 ? 0 : (error.distance / totalLength) * 100;
+      errors.push(errorPercentage);
+
+      // the first shot of the loop in every survey, that is where the loop is shown in the editor
+      const firstShots = new Map();
+      for (let i = 0; i < path.length - 1; i++) {
+        const { shot, survey } = CycleUtil._findShotBetweenStations(cave.stations.get(path[i]), path[i], path[i + 1]);
+        if (!firstShots.has(survey.name)) {
+          firstShots.set(survey.name, { survey, shot });
+        }
+      }
+
+      firstShots.forEach(({ survey, shot }) => {
+        const stats = surveys.get(survey.name);
+        stats.loops++;
+        stats.maxLoopError = Math.max(stats.maxLoopError ?? 0, errorPercentage);
+        if (errorPercentage > limits.maxLoopError) {
+          add(QAFindingType.LOOP_CLOSURE, survey, shot.id, shot.from, {
+            error   : error.distance,
+            percent : errorPercentage,
+            length  : totalLength
+          });
+        }
+      });
+    });
+
+    return {
+      count : errors.length,
+      mean  : errors.length === 0 ? undefined : errors.reduce((sum, e) => sum + e, 0) / errors.length,
+      max   : errors.length === 0 ? undefined : Math.max(...errors)
+    };
+  }
+
+  /**
+   * Collects the residuals of the center shots from the least-squares adjustment. The residual of a shot is
+   * compared to its standard deviation (σ₀ times the square root of the shot length, like the weights of the
+   * adjustment), a large one is probably a blunder.
+   */
+  static #checkAdjustment(cave, limits, backsightTolerance, surveys, add) {
+    const result = cave.surveys.find((s) => s.adjustment !== undefined)?.adjustment;
+    if (result === undefined) {
+      return undefined;
+    }
+
+    const residuals = [];
+    cave.surveys.forEach((survey) => {
+      const stats = surveys.get(survey.name);
+      survey.validShots
+        .filter((sh) => sh.type === ShotType.CENTER)
+        .forEach((shot) => {
+          const vector = result.getResidual(survey.name, shot.id);
+          if (vector === undefined) return;
+          const residual = vector.length();
+          const { length } = survey.getShotReadings(shot, backsightTolerance);
+          const normalized =
+            result.sigma0 > 0
+              ? residual / (result.sigma0 * Math.sqrt(Math.max(length, limits.minShotLength)))
+              : undefined;
+          const large = normalized > limits.maxResidual && residual > limits.minResidual;
+          residuals.push({ survey, shotId: shot.id, from: shot.from, to: shot.to, residual, normalized, large });
+          stats.maxResidual = Math.max(stats.maxResidual ?? 0, residual);
+          if (large) {
+            add(QAFindingType.LARGE_RESIDUAL, survey, shot.id, shot.from, { residual, normalized });
+          }
+        });
+    });
+
+    return {
+      sigma0       : result.sigma0,
+      redundancy   : result.redundancy,
+      stationCount : result.stationCount,
+      shotCount    : result.shotCount,
+      aliasCount   : result.aliasCount,
+      residuals
+    };
+  }
+
+  static #getUnitsKey(survey) {
+    const units = survey.units ?? DEFAULT_UNITS;
+    return `${units.length ?? DEFAULT_UNITS.length}/${units.angle ?? DEFAULT_UNITS.angle}`;
+  }
+
+  static #getMostCommon(values) {
+    const counts = new Map();
+    values.forEach((v) => counts.set(v, (counts.get(v) ?? 0) + 1));
+    return [...counts.entries()].reduce((best, e) => (best === undefined || e[1] > best[1] ? e : best), undefined)?.[0];
+  }
+
+  // the row of a station is the center shot that ends at it, or starts from it for the first station
+  static #getShotIdOfStation(survey, stationName) {
+    const centerShots = survey.validShots.filter((sh) => sh.type === ShotType.CENTER);
+    return centerShots.find((sh) => sh.to === stationName)?.id ?? centerShots.find((sh) => sh.from === stationName)?.id;
+  }
+}
@@ -0,0 +1,249 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as THREE from 'three';
+import { i18n } from '../i18n/i18n.js';
+
+/**
+ * Finds the nearest point within a maximum distance using a uniform grid with the maximum distance as cell size
+ */
+class NearestPointIndex {
+
+  constructor(points, maxDistance) {
+    this.points = points;
+    this.cellSize = maxDistance;
+    this.cells = new Map();
+    points.forEach((p, index) => {
+      const key = this.#key(this.#cell(p.x), this.#cell(p.y), this.#cell(p.z));
+      const cell = this.cells.get(key);
+      if (cell === undefined) {
+        this.cells.set(key, [index]);
+      } else {
+        cell.push(index);
+      }
+    });
+  }
+
+  #cell(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  #key(i, j, k) {
+    return `${i},${j},${k}`;
+  }
+
+  /**
+   * @param {THREE.Vector3} position - The query point
+   * @returns {THREE.Vector3} The nearest point within the maximum distance or undefined
+   */
+  nearest(position) {
+    const [ci, cj, ck] = [this.#cell(position.x), this.#cell(position.y), this.#cell(position.z)];
+    let best;
+    let bestDistance = this.cellSize * this.cellSize;
+    for (let i = ci - 1; i <= ci + 1; i++) {
+      for (let j = cj - 1; j <= cj + 1; j++) {
+        for (let k = ck - 1; k <= ck + 1; k++) {
+          this.cells.get(this.#key(i, j, k))?.forEach((index) => {
+            const d = this.points[index].distanceToSquared(position);
+            if (d <= bestDistance) {
+              bestDistance = d;
+              best = this.points[index];
+            }
+          });
+        }
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * Rigid registration of 3D models to the survey: a least squares fit of point pairs and an
+ * iterative closest point (ICP) refinement. The transformations are rotations and translations only,
+ * the scale of the model is not changed.
+ */
+export class PointRegistration {
+
+  static MIN_PAIRS = 3;
+
+  /**
+   * Calculates the rigid transformation that moves the source points to the target points with the
+   * least sum of squared distances (Horn's quaternion method)
+   * @param {Array<THREE.Vector3>} sources - The points to move
+   * @param {Array<THREE.Vector3>} targets - The corresponding target points
+   * @returns {THREE.Matrix4} The transformation matrix
+   */
+  static fitRigid(sources, targets) {
+    if (sources.length < PointRegistration.MIN_PAIRS || sources.length !== targets.length) {
+      throw new Error(i18n.t('errors.utils.registration.notEnoughPairs', { min: PointRegistration.MIN_PAIRS }));
+    }
+    if (PointRegistration.#isCollinear(sources) || PointRegistration.#isCollinear(targets)) {
+      throw new Error(i18n.t('errors.utils.registration.collinearPoints'));
+    }
+
+    const sourceCenter = PointRegistration.#centroid(sources);
+    const targetCenter = PointRegistration.#centroid(targets);
+
+    // cross-covariance matrix of the centered point sets
+    const s = [
+      [0, 0, 0],
+      [0, 0, 0],
+      [0, 0, 0]
+    ];
+    sources.forEach((source, i) => {
+      const a = source.clone().sub(sourceCenter).toArray();
+      const b = targets[i].clone().sub(targetCenter).toArray();
+      for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) {
+          s[r][c] += a[r] * b[c];
+        }
+      }
+    });
+
+    const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = s;
+    const n = [
+      [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+      [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+      [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+      [xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+    ];
+    // the optimal rotation is the eigenvector of the largest eigenvalue
+    const [w, x, y, z] = PointRegistration.#largestEigenvector(n);
+    const quaternion = new THREE.Quaternion(x, y, z, w).normalize();
+
+    const translation = targetCenter.clone().sub(sourceCenter.clone().applyQuaternion(quaternion));
+    return new THREE.Matrix4().compose(translation, quaternion, new THREE.Vector3(1, 1, 1));
+  }
+
+  /**
+   * @param {THREE.Matrix4} matrix - The transformation of the source points
+   * @param {Array<THREE.Vector3>} sources - The points to move
+   * @param {Array<THREE.Vector3>} targets - The corresponding target points
+   * @returns {Array<number>} The distances between the moved source points and the target points
+   */
+  static getResiduals(matrix, sources, targets) {
+    return sources.map((source, i) => source.clone().applyMatrix4(matrix).distanceTo(targets[i]));
+  }
+
+  static rms(residuals) {
+    if (residuals.length === 0) return undefined;
+    return Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length);
+  }
+
+  /**
+   * Refines the alignment of the model with the iterative closest point method. Every target point is paired
+   * with the nearest model point within the maximum distance, the other target points are ignored.
+   * @param {Array<THREE.Vector3>} modelPoints - The points of the model after the coarse alignment
+   * @param {Array<THREE.Vector3>} targets - The survey points: station positions and splay endpoints
+   * @param {Object} options - maxDistance, iterations and tolerance (the minimum change of the RMS)
+   * @returns {Object} The transformation matrix of the model points, the RMS of the final pairs,
+   * the number of pairs and the number of iterations
+   */
+  static icp(modelPoints, targets, { maxDistance = 1, iterations = 30, tolerance = 1e-4 } = {}) {
+    const index = new NearestPointIndex(modelPoints, maxDistance);
+    let matrix = new THREE.Matrix4();
+    let result;
+
+    for (let iteration = 1; iteration <= iterations; iteration++) {
+      // the model points are fixed in the index, so the targets are moved backwards instead
+      const inverse = matrix.clone().invert();
+      const sources = [];
+      const pairedTargets = [];
+      targets.forEach((target) => {
+        const nearest = index.nearest(target.clone().applyMatrix4(inverse));
+        if (nearest !== undefined) {
+          sources.push(nearest);
+          pairedTargets.push(target);
+        }
+      });
+
+      if (sources.length < PointRegistration.MIN_PAIRS) {
+        if (result === undefined) {
+          throw new Error(i18n.t('errors.utils.registration.noCorrespondences', { distance: maxDistance }));
+        }
+        break;
+      }
+
+      matrix = PointRegistration.fitRigid(sources, pairedTargets);
+      const rms = PointRegistration.rms(PointRegistration.getResiduals(matrix, sources, pairedTargets));
+      const converged = result !== undefined && Math.abs(result.rms - rms) < tolerance;
+      result = { matrix, rms, pairs: sources.length, iterations: iteration };
+      if (converged) break;
+    }
+    return result;
+  }
+
+  static #centroid(points) {
+    return points.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(points.length);
+  }
+
+  static #isCollinear(points) {
+    const first = points[0];
+    const farthest = points.reduce((best, p) => (p.distanceTo(first) > best.distanceTo(first) ? p : best), first);
+    const direction = farthest.clone().sub(first);
+    const length = direction.length();
+    if (length === 0) return true;
+    const maxArea = Math.max(...points.map((p) => p.clone().sub(first).cross(direction).length()));
+    return maxArea < 1e-6 * length * length;
+  }
+
+  // Jacobi eigenvalue algorithm for a symmetric 4x4 matrix
+  static #largestEigenvector(matrix) {
+    const a = matrix.map((row) => [...row]);
+    const v = [0, 1, 2, 3].map((r) => [0, 1, 2, 3].map((c) => (r === c ? 1 : 0)));
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+      let offDiagonal = 0;
+      for (let p = 0; p < 3; p++) {
+        for (let q = p + 1; q < 4; q++) {
+          offDiagonal += a[p][q] * a[p][q];
+        }
+      }
+      if (offDiagonal < 1e-24) break;
+
+      for (let p = 0; p < 3; p++) {
+        for (let q = p + 1; q < 4; q++) {
+          if (Math.abs(a[p][q]) < 1e-15) continue;
+          const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+          const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          const c = 1 / Math.sqrt(t * t + 1);
+          const s = t * c;
+          for (let k = 0; k < 4; k++) {
+            const [akp, akq] = [a[k][p], a[k][q]];
+            a[k][p] = c * akp - s * akq;
+            a[k][q] = s * akp + c * akq;
+          }
+          for (let k = 0; k < 4; k++) {
+            const [apk, aqk] = [a[p][k], a[q][k]];
+            a[p][k] = c * apk - s * aqk;
+            a[q][k] = s * apk + c * aqk;
+          }
+          for (let k = 0; k < 4; k++) {
+            const [vkp, vkq] = [v[k][p], v[k][q]];
+            v[k][p] = c * vkp - s * vkq;
+            v[k][q] = s * vkp + c * vkq;
+          }
+        }
+      }
+    }
+
+    let largest = 0;
+    for (let i = 1; i < 4; i++) {
+      if (a[i][i] > a[largest][largest]) largest = i;
+    }
+    return v.map((row) => row[largest]);
+  }
+}
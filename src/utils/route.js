@@ -0,0 +1,178 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Graph } from './graph.js';
+import { SectionHelper } from '../section.js';
+import { convertLengthToMeters } from './utils.js';
+import { ShotType, DEFAULT_UNITS } from '../model/survey.js';
+import { i18n } from '../i18n/i18n.js';
+
+// meters per minute along the passage, upwards and downwards
+export const DEFAULT_TRAVEL_SPEEDS = Object.freeze({ horizontal: 20, ascent: 5, descent: 8 });
+
+// the attributes of the passages that are hard to pass with a stretcher
+export const DEFAULT_AVOIDED_ATTRIBUTES = Object.freeze(['squeeze', 'underwater', 'difficult_climb', 'rope']);
+
+/**
+ * Plans routes through the stations of a cave, the passages can be avoided by their station,
+ * section and component attributes
+ */
+export class RoutePlanner {
+
+  /**
+   * Collects the center shots of a cave as passage edges with their attributes
+   * @param {Cave} cave - The cave with calculated stations
+   * @returns {Object} The edges as {from, to, length, dz, attributes} and the attribute names of the stations
+   */
+  static getPassages(cave) {
+    const edges = new Map();
+    const key = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+
+    cave.surveys.forEach((s) => {
+      const lengthUnit = s.units?.length ?? DEFAULT_UNITS.length;
+      s.validShots.forEach((sh) => {
+        if (sh.type !== ShotType.CENTER) return;
+        const from = s.getFromStationName(sh);
+        const to = s.getToStationName(sh);
+        const fromSt = cave.stations.get(from);
+        const toSt = cave.stations.get(to);
+        if (fromSt?.position === undefined || toSt?.position === undefined || from === to) return;
+        const length = convertLengthToMeters(sh.length, lengthUnit);
+        // parallel shots between the same stations are walked only once
+        const existing = edges.get(key(from, to));
+        if (existing === undefined || existing.length > length) {
+          edges.set(key(from, to), { from, to, length, attributes: existing?.attributes ?? new Set() });
+        }
+      });
+    });
+
+    const addAttribute = (from, to, name) => edges.get(key(from, to))?.attributes.add(name);
+    const attributes = cave.attributes;
+    let graph;
+    const getGraph = () => (graph = graph ?? SectionHelper.getGraph(cave));
+
+    (attributes?.sectionAttributes ?? []).forEach((sa) => {
+      if (sa.attribute?.name === undefined) return;
+      const path =
+        sa.section.path?.length > 0
+          ? sa.section.path
+          : SectionHelper.getSection(getGraph(), sa.section.from, sa.section.to)?.path;
+      for (let i = 0; i < (path?.length ?? 0) - 1; i++) {
+        addAttribute(path[i], path[i + 1], sa.attribute.name);
+      }
+    });
+    (attributes?.componentAttributes ?? []).forEach((ca) => {
+      if (ca.attribute?.name === undefined) return;
+      const path =
+        ca.component.path?.length > 0
+          ? ca.component.path
+          : SectionHelper.getComponent(getGraph(), ca.component.start, ca.component.termination)?.path;
+      (path ?? []).forEach((p) => addAttribute(p.from, p.to, ca.attribute.name));
+    });
+
+    const stationAttributes = new Map();
+    (attributes?.stationAttributes ?? []).forEach((sa) => {
+      if (sa.attribute?.name === undefined) return;
+      if (!stationAttributes.has(sa.name)) stationAttributes.set(sa.name, new Set());
+      stationAttributes.get(sa.name).add(sa.attribute.name);
+    });
+
+    return { edges: [...edges.values()], stationAttributes };
+  }
+
+  /**
+   * Finds the route through the waypoints in the given order
+   * @param {Cave} cave - The cave with calculated stations
+   * @param {Array<string>} waypoints - The station names, at least two
+   * @param {Object} options - avoid: the attribute names of the passages to avoid,
+   * verticalWeight: every meter of vertical change counts as this many meters of extra length
+   * @returns {Object} The legs with their path, length, horizontal length, vertical gain and loss and
+   * the attributes along them, and the totals of the route
+   */
+  static plan(cave, waypoints, { avoid = [], verticalWeight = 0 } = {}) {
+    const stops = waypoints.filter((w, i) => i === 0 || w !== waypoints[i - 1]);
+    if (stops.length < 2) {
+      throw new Error(i18n.t('errors.utils.route.notEnoughWaypoints'));
+    }
+    const missing = stops.find((w) => cave.stations.get(w)?.position === undefined);
+    if (missing !== undefined) {
+      throw new Error(i18n.t('errors.utils.route.stationNotFound', { station: missing }));
+    }
+
+    const { edges, stationAttributes } = RoutePlanner.getPassages(cave);
+    const avoided = new Set(avoid);
+    const isAvoided = (names) => [...(names ?? [])].some((n) => avoided.has(n));
+    const dz = (edge) => cave.stations.get(edge.to).position.z - cave.stations.get(edge.from).position.z;
+    const lookup = new Map();
+    edges.forEach((e) => {
+      lookup.set(`${e.from}\u0000${e.to}`, { ...e, dz: dz(e) });
+      lookup.set(`${e.to}\u0000${e.from}`, { ...e, from: e.to, to: e.from, dz: -dz(e) });
+    });
+
+    const legs = [];
+    for (let i = 0; i < stops.length - 1; i++) {
+      const [from, to] = [stops[i], stops[i + 1]];
+      // avoided stations can be the start or the end of a leg, but the route cannot go through them
+      const blocked = (name) => name !== from && name !== to && isAvoided(stationAttributes.get(name));
+      const g = new Graph();
+      [...cave.stations.keys()].forEach((k) => g.addVertex(k));
+      edges
+        .filter((e) => !isAvoided(e.attributes) && !blocked(e.from) && !blocked(e.to))
+        .forEach((e) => g.addEdge(e.from, e.to, e.length + verticalWeight * Math.abs(dz(e))));
+
+      const result = g.findShortestPath(from, to);
+      if (result === undefined || result.distance === 'Infinity' || result.path[0] !== from) {
+        throw new Error(i18n.t('errors.utils.route.noRoute', { from, to }));
+      }
+      legs.push(RoutePlanner.#getLeg(result.path, lookup, stationAttributes));
+    }
+
+    const sum = (field) => legs.reduce((total, leg) => total + leg[field], 0);
+    return {
+      legs,
+      length     : sum('length'),
+      horizontal : sum('horizontal'),
+      gain       : sum('gain'),
+      loss       : sum('loss'),
+      attributes : [...new Set(legs.flatMap((leg) => leg.attributes))].sort()
+    };
+  }
+
+  /**
+   * Estimates the travel time of a leg or a route
+   * @param {Object} leg - A leg or a route with horizontal length, vertical gain and loss in meters
+   * @param {Object} speeds - Horizontal, ascent and descent speeds in meters per minute
+   * @returns {number} The travel time in minutes
+   */
+  static estimateMinutes(leg, speeds = DEFAULT_TRAVEL_SPEEDS) {
+    return leg.horizontal / speeds.horizontal + leg.gain / speeds.ascent + leg.loss / speeds.descent;
+  }
+
+  static #getLeg(path, lookup, stationAttributes) {
+    const leg = { from: path[0], to: path[path.length - 1], path, length: 0, horizontal: 0, gain: 0, loss: 0 };
+    const attributes = new Set(path.flatMap((name) => [...(stationAttributes.get(name) ?? [])]));
+    for (let i = 0; i < path.length - 1; i++) {
+      const edge = lookup.get(`${path[i]}\u0000${path[i + 1]}`);
+      leg.length += edge.length;
+      leg.horizontal += Math.sqrt(Math.max(0, edge.length * edge.length - edge.dz * edge.dz));
+      leg.gain += Math.max(0, edge.dz);
+      leg.loss += Math.max(0, -edge.dz);
+      edge.attributes.forEach((a) => attributes.add(a));
+    }
+    leg.attributes = [...attributes].sort();
+    return leg;
+  }
+}
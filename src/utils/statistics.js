@@ -0,0 +1,155 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { convertLengthToMeters, convertAngleToDegrees } from './utils.js';
+import { DEFAULT_UNITS } from '../model/survey.js';
+
+// the 97.5% quantile of the standard normal distribution for the 95% confidence interval
+const Z_95 = 1.959964;
+
+/**
+ * Direction and inclination statistics of the centerline shots
+ */
+export class ShotStatistics {
+
+  /**
+   * Collects the visible, non-isolated centerline shots of a cave
+   * @param {Cave} cave - The cave
+   * @param {Object} filter - survey: only the shots of this survey, minDepth / maxDepth: the depth of the middle
+   * of the shot below the first station in meters, from / to: the date range of the surveys
+   * @returns {Array} The shots with azimuth and clino in degrees, length and depth in meters and the survey name
+   */
+  static getCenterlineShots(cave, filter = {}) {
+    const { survey: surveyName, minDepth, maxDepth, from, to } = filter;
+    const depthFilter = minDepth !== undefined || maxDepth !== undefined;
+    const dateFilter = from !== undefined || to !== undefined;
+    const firstZ = cave.getFirstStation()?.position?.z;
+    const shots = [];
+
+    cave.surveys.forEach((survey) => {
+      if (survey.isolated === true || survey.visible !== true) return;
+      if (surveyName !== undefined && survey.name !== surveyName) return;
+      if (dateFilter) {
+        const date = survey.metadata?.date;
+        if (!(date instanceof Date) || isNaN(date.getTime())) return;
+        if ((from !== undefined && date < from) || (to !== undefined && date > to)) return;
+      }
+
+      const lengthUnit = survey.units?.length ?? DEFAULT_UNITS.length;
+      const angleUnit = survey.units?.angle ?? DEFAULT_UNITS.angle;
+      survey.validShots.forEach((shot) => {
+        if (!shot.isCenter() || !Number.isFinite(shot.azimuth) || !Number.isFinite(shot.length) || shot.length <= 0) {
+          return;
+        }
+        const fromZ = cave.stations.get(survey.getFromStationName(shot))?.position?.z;
+        const toZ = cave.stations.get(survey.getToStationName(shot))?.position?.z;
+        const depth =
+          firstZ === undefined || fromZ === undefined || toZ === undefined ? undefined : firstZ - (fromZ + toZ) / 2;
+        if (depthFilter) {
+          if (depth === undefined) return;
+          if ((minDepth !== undefined && depth < minDepth) || (maxDepth !== undefined && depth > maxDepth)) return;
+        }
+        shots.push({
+          azimuth : convertAngleToDegrees(shot.azimuth, angleUnit),
+          clino   : Number.isFinite(shot.clino) ? convertAngleToDegrees(shot.clino, angleUnit) : undefined,
+          length  : convertLengthToMeters(shot.length, lengthUnit),
+          depth,
+          survey  : survey.name
+        });
+      });
+    });
+    return shots;
+  }
+
+  /**
+   * Bins the shots by azimuth
+   * @param {Array} shots - The shots with azimuth and length
+   * @param {number} binCount - The number of bins over 360 degrees
+   * @param {boolean} weighted - A shot counts with its length instead of one
+   * @returns {Object} The value of the bins and the total of the values
+   */
+  static binAzimuths(shots, binCount, weighted = true) {
+    const binSize = 360 / binCount;
+    const bins = new Array(binCount).fill(0);
+    let total = 0;
+
+    shots.forEach((shot) => {
+      const azimuth = ((shot.azimuth % 360) + 360) % 360;
+      const value = weighted ? shot.length : 1;
+      bins[Math.floor(azimuth / binSize) % binCount] += value;
+      total += value;
+    });
+
+    return { bins, total };
+  }
+
+  /**
+   * Bins the shots by inclination from -90 to 90 degrees, the shots without clino are skipped
+   * @param {Array} shots - The shots with clino and length
+   * @param {number} binCount - The number of bins over 180 degrees
+   * @param {boolean} weighted - A shot counts with its length instead of one
+   * @returns {Object} The value of the bins and the total of the values
+   */
+  static binClinos(shots, binCount, weighted = true) {
+    const binSize = 180 / binCount;
+    const bins = new Array(binCount).fill(0);
+    let total = 0;
+
+    shots.forEach((shot) => {
+      if (shot.clino === undefined) return;
+      const clino = Math.min(90, Math.max(-90, shot.clino));
+      const value = weighted ? shot.length : 1;
+      bins[Math.min(binCount - 1, Math.floor((clino + 90) / binSize))] += value;
+      total += value;
+    });
+
+    return { bins, total };
+  }
+
+  /**
+   * Calculates the mean direction of the shots with the 95% confidence interval (Fisher, 1993)
+   * @param {Array} shots - The shots with azimuth and length
+   * @param {boolean} weighted - A shot counts with its length instead of one
+   * @returns {Object} The mean direction in degrees, the mean resultant length (0 - 1), the half angle
+   * of the confidence interval in degrees (undefined if it cannot be estimated) and the number of shots,
+   * undefined if there are no shots or the directions cancel out each other
+   */
+  static meanDirection(shots, weighted = true) {
+    const weights = shots.map((shot) => (weighted ? shot.length : 1));
+    const sumW = weights.reduce((a, b) => a + b, 0);
+    if (shots.length === 0 || sumW === 0) return undefined;
+
+    const rad = shots.map((shot) => (shot.azimuth * Math.PI) / 180);
+    const c = rad.reduce((sum, r, i) => sum + weights[i] * Math.cos(r), 0) / sumW;
+    const s = rad.reduce((sum, r, i) => sum + weights[i] * Math.sin(r), 0) / sumW;
+    const resultantLength = Math.sqrt(c * c + s * s);
+    if (resultantLength < 1e-9) return undefined;
+
+    const mean = Math.atan2(s, c);
+    // the effective sample size of the weighted shots
+    const n = (sumW * sumW) / weights.reduce((sum, w) => sum + w * w, 0);
+    const rho2 = rad.reduce((sum, r, i) => sum + weights[i] * Math.cos(2 * (r - mean)), 0) / sumW;
+    const standardError = Math.sqrt((1 - rho2) / (2 * n * resultantLength * resultantLength));
+    const sinDelta = Z_95 * standardError;
+
+    return {
+      mean            : ((((mean * 180) / Math.PI) % 360) + 360) % 360,
+      resultantLength : resultantLength,
+      confidence      : shots.length > 1 && sinDelta <= 1 ? (Math.asin(sinDelta) * 180) / Math.PI : undefined,
+      count           : shots.length
+    };
+  }
+}
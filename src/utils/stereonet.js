@@ -0,0 +1,230 @@
+/*
+ * Copyright 2024 Joe Meszaros
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { degreesToRads, radsToDegrees } from './utils.js';
+
+export const StereonetProjection = Object.freeze({
+  EQUAL_AREA  : 'equalArea', // Schmidt net
+  EQUAL_ANGLE : 'equalAngle' // Wulff net
+});
+
+export const TECTONIC_ATTRIBUTES = Object.freeze(['bedding', 'fault']);
+
+/**
+ * Lower hemisphere stereographic projection of planes. The azimuth of the tectonic attributes is the dip
+ * direction. Directions are given as trend (0 - 360, clockwise from north) and plunge (0 - 90, downwards),
+ * the vectors are {x: east, y: north, z: down} and the projected points are in the unit circle with north up.
+ */
+export class Stereonet {
+
+  /**
+   * Collects the tectonic station attributes of a cave
+   * @param {Cave} cave - The cave
+   * @param {Array<string>} names - The attribute names
+   * @returns {Array} The planes as {station, name, dipDirection, dip}
+   */
+  static getPlanes(cave, names = TECTONIC_ATTRIBUTES) {
+    return (cave.attributes?.stationAttributes ?? [])
+      .filter((sa) => names.includes(sa.attribute?.name))
+      .filter((sa) => Number.isFinite(sa.attribute.azimuth) && Number.isFinite(sa.attribute.dip))
+      .map((sa) => ({
+        station      : sa.name,
+        name         : sa.attribute.name,
+        dipDirection : ((sa.attribute.azimuth % 360) + 360) % 360,
+        dip          : Math.min(90, Math.max(0, Math.abs(sa.attribute.dip)))
+      }));
+  }
+
+  static pole(dipDirection, dip) {
+    return { trend: (dipDirection + 180) % 360, plunge: 90 - dip };
+  }
+
+  static toVector(trend, plunge) {
+    const t = degreesToRads(trend);
+    const p = degreesToRads(plunge);
+    return { x: Math.cos(p) * Math.sin(t), y: Math.cos(p) * Math.cos(t), z: Math.sin(p) };
+  }
+
+  // upward vectors are flipped to the lower hemisphere
+  static fromVector(v) {
+    const s = v.z < 0 ? -1 : 1;
+    const [x, y, z] = [v.x * s, v.y * s, v.z * s];
+    const plunge = radsToDegrees(Math.asin(Math.min(1, z / Math.sqrt(x * x + y * y + z * z))));
+    const trend = ((radsToDegrees(Math.atan2(x, y)) % 360) + 360) % 360;
+    return { trend, plunge };
+  }
+
+  /**
+   * Projects a line to the net
+   * @param {number} trend - Trend in degrees
+   * @param {number} plunge - Plunge in degrees
+   * @param {string} projection - One of StereonetProjection
+   * @returns {Object} The point {x, y} in the unit circle
+   */
+  static project(trend, plunge, projection = StereonetProjection.EQUAL_AREA) {
+    const half = degreesToRads(90 - plunge) / 2;
+    const r = projection === StereonetProjection.EQUAL_ANGLE ? Math.tan(half) : Math.SQRT2 * Math.sin(half);
+    const t = degreesToRads(trend);
+    return { x: r * Math.sin(t), y: r * Math.cos(t) };
+  }
+
+  static unproject(x, y, projection = StereonetProjection.EQUAL_AREA) {
+    const r = Math.min(1, Math.sqrt(x * x + y * y));
+    const half = projection === StereonetProjection.EQUAL_ANGLE ? Math.atan(r) : Math.asin(r / Math.SQRT2);
+    return { trend: ((radsToDegrees(Math.atan2(x, y)) % 360) + 360) % 360, plunge: 90 - radsToDegrees(2 * half) };
+  }
+
+  /**
+   * The great circle of a plane from one end of the strike line to the other
+   * @returns {Array} The projected points of the great circle
+   */
+  static greatCircle(dipDirection, dip, projection = StereonetProjection.EQUAL_AREA, steps = 90) {
+    const strike = Stereonet.toVector(dipDirection - 90, 0);
+    const dipLine = Stereonet.toVector(dipDirection, dip);
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const a = (Math.PI * i) / steps;
+      const v = {
+        x : strike.x * Math.cos(a) + dipLine.x * Math.sin(a),
+        y : strike.y * Math.cos(a) + dipLine.y * Math.sin(a),
+        z : strike.z * Math.cos(a) + dipLine.z * Math.sin(a)
+      };
+      const { trend, plunge } = Stereonet.fromVector(v);
+      points.push(Stereonet.project(trend, plunge, projection));
+    }
+    return points;
+  }
+
+  /**
+   * Calculates the mean plane from the Fisher mean of the poles
+   * @param {Array} planes - The planes with dipDirection and dip
+   * @returns {Object} The mean plane {dipDirection, dip}, the mean resultant length, the 95% confidence cone
+   * (undefined below 3 planes) and the number of planes, undefined if there are no planes
+   */
+  static meanPlane(planes) {
+    if (planes.length === 0) return undefined;
+    const sum = { x: 0, y: 0, z: 0 };
+    planes.forEach((plane) => {
+      const { trend, plunge } = Stereonet.pole(plane.dipDirection, plane.dip);
+      const v = Stereonet.toVector(trend, plunge);
+      sum.x += v.x;
+      sum.y += v.y;
+      sum.z += v.z;
+    });
+    const n = planes.length;
+    const R = Math.sqrt(sum.x * sum.x + sum.y * sum.y + sum.z * sum.z);
+    if (R < 1e-9) return undefined;
+
+    const pole = Stereonet.fromVector(sum);
+    let alpha95;
+    if (n >= 3 && R < n) {
+      const cosAlpha = 1 - ((n - R) / R) * (Math.pow(20, 1 / (n - 1)) - 1);
+      alpha95 = cosAlpha >= -1 ? radsToDegrees(Math.acos(Math.min(1, cosAlpha))) : undefined;
+    } else if (n >= 3) {
+      alpha95 = 0;
+    }
+
+    return {
+      dipDirection    : (pole.trend + 180) % 360,
+      dip             : 90 - pole.plunge,
+      resultantLength : R / n,
+      alpha95         : alpha95,
+      count           : n
+    };
+  }
+
+  /**
+   * Kamb density of the poles on a regular grid over the net. The counting cone covers 9 / (n + 9) of the
+   * hemisphere so the expected count of a uniform distribution is 3 sigma.
+   * @param {Array} planes - The planes with dipDirection and dip
+   * @param {string} projection - One of StereonetProjection
+   * @param {number} size - The number of grid cells along an axis
+   * @returns {Object} The densities in sigma units row by row from the north-west corner
+   * (NaN outside of the net), the grid size and the maximum density
+   */
+  static kambDensity(planes, projection = StereonetProjection.EQUAL_AREA, size = 50) {
+    const n = planes.length;
+    const area = 9 / (n + 9);
+    const cosTheta = 1 - area;
+    const sigma = Math.sqrt(n * area * (1 - area));
+    const poles = planes.map((plane) => {
+      const { trend, plunge } = Stereonet.pole(plane.dipDirection, plane.dip);
+      return Stereonet.toVector(trend, plunge);
+    });
+
+    const values = new Float64Array((size + 1) * (size + 1));
+    let max = 0;
+    for (let row = 0; row <= size; row++) {
+      for (let col = 0; col <= size; col++) {
+        const x = (2 * col) / size - 1;
+        const y = 1 - (2 * row) / size;
+        if (x * x + y * y > 1 + 1e-9 || n === 0) {
+          values[row * (size + 1) + col] = NaN;
+          continue;
+        }
+        const { trend, plunge } = Stereonet.unproject(x, y, projection);
+        const v = Stereonet.toVector(trend, plunge);
+        // the poles are axes, the opposite direction counts as well
+        const count = poles.filter((p) => Math.abs(p.x * v.x + p.y * v.y + p.z * v.z) >= cosTheta).length;
+        const density = count / sigma;
+        values[row * (size + 1) + col] = density;
+        max = Math.max(max, density);
+      }
+    }
+    return { values, size, max };
+  }
+
+  /**
+   * Contour lines of a density grid with marching squares
+   * @param {Object} density - The result of kambDensity
+   * @param {number} level - The contour level
+   * @returns {Array} The line segments as [x1, y1, x2, y2] in the unit circle
+   */
+  static contour(density, level) {
+    const { values, size } = density;
+    const at = (row, col) => values[row * (size + 1) + col];
+    const toNet = (row, col) => [(2 * col) / size - 1, 1 - (2 * row) / size];
+    const segments = [];
+
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const corners = [
+          [row, col],
+          [row, col + 1],
+          [row + 1, col + 1],
+          [row + 1, col]
+        ];
+        const v = corners.map(([r, c]) => at(r, c));
+        if (v.some((value) => isNaN(value))) continue;
+
+        // the crossing points of the cell edges
+        const crossings = [];
+        for (let i = 0; i < 4; i++) {
+          const j = (i + 1) % 4;
+          if (v[i] >= level !== v[j] >= level) {
+            const t = (level - v[i]) / (v[j] - v[i]);
+            const [a, b] = [toNet(...corners[i]), toNet(...corners[j])];
+            crossings.push([a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])]);
+          }
+        }
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+          segments.push([...crossings[i], ...crossings[i + 1]]);
+        }
+      }
+    }
+    return segments;
+  }
+}
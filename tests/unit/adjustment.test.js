@@ -0,0 +1,133 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { Survey, Shot, ShotType, SurveyAlias } = await import('../../src/model/survey.js');
+const { SurveyHelper } = await import('../../src/survey.js');
+const { NetworkAdjustment, AdjustmentMode } = await import('../../src/utils/adjustment.js');
+const { Vector } = await import('../../src/model.js');
+
+// a 10 m square with 0.4 m misclosure in the east direction
+function loopSurvey() {
+  return new Survey('loop', true, undefined, 'A', [
+    new Shot(0, ShotType.CENTER, 'A', 'B', 10, 90, 0),
+    new Shot(1, ShotType.CENTER, 'B', 'C', 10, 0, 0),
+    new Shot(2, ShotType.CENTER, 'C', 'D', 10.4, 270, 0),
+    new Shot(3, ShotType.CENTER, 'D', 'A', 10, 180, 0),
+    new Shot(4, ShotType.SPLAY, 'C', undefined, 2, 0, 0)
+  ]);
+}
+
+function calculate(surveys, mode, aliases = []) {
+  const stations = new Map();
+  surveys.forEach((s, index) => SurveyHelper.recalculateSurvey(index, s, surveys, stations, aliases, undefined, mode));
+  return stations;
+}
+
+describe('NetworkAdjustment', () => {
+  it('keeps the propagated positions when the mode is none', () => {
+    const survey = loopSurvey();
+    const stations = calculate([survey], AdjustmentMode.NONE);
+    expect(stations.get('D').position.x).toBeCloseTo(-0.4, 6);
+    expect(survey.adjustment).toBeUndefined();
+  });
+
+  it('distributes the loop misclosure and leaves the shots untouched', () => {
+    const survey = loopSurvey();
+    const stations = calculate([survey], AdjustmentMode.LEAST_SQUARES);
+
+    // the misclosure is distributed proportionally to the shot lengths
+    const c = (0.4 * 10) / 40.4;
+    expect(stations.get('A').position.distanceTo(new Vector(0, 0, 0))).toBeCloseTo(0, 6);
+    expect(stations.get('B').position.x).toBeCloseTo(10 + c, 6);
+    expect(stations.get('C').position.x).toBeCloseTo(10 + 2 * c, 6);
+    expect(stations.get('D').position.x).toBeCloseTo(-c, 6);
+    expect(stations.get('C').position.y).toBeCloseTo(10, 6);
+
+    // splay station moves together with its from station
+    const splay = stations.get(survey.getSplayStationName(4));
+    expect(splay.position.x).toBeCloseTo(10 + 2 * c, 6);
+    expect(splay.position.y).toBeCloseTo(12, 6);
+
+    expect(survey.shots[2].length).toBe(10.4);
+    expect(survey.adjustment.redundancy).toBe(1);
+    expect(survey.adjustment.getResidual('loop', 0).x).toBeCloseTo(c, 6);
+    expect(survey.adjustment.getResidual('loop', 2).x).toBeCloseTo(0.4 - 3 * c, 6);
+    // sigma0 = sqrt(sum(w * r^2) / (3 * redundancy))
+    const weighted = (3 * c * c) / 10 + ((0.4 - 3 * c) * (0.4 - 3 * c)) / 10.4;
+    expect(survey.adjustment.sigma0).toBeCloseTo(Math.sqrt(weighted / 3), 6);
+  });
+
+  it('honours additional fixed stations', () => {
+    const survey = loopSurvey();
+    const stations = calculate([survey], AdjustmentMode.NONE);
+    const fixed = new Map([
+      ['A', new Vector(0, 0, 0)],
+      ['C', new Vector(10, 10, 0)]
+    ]);
+    const result = NetworkAdjustment.adjust([survey], stations, fixed);
+    expect(result.positions.get('C').x).toBe(10);
+    // A-B-C fits the fixed stations without any correction
+    expect(result.positions.get('B').x).toBeCloseTo(10, 6);
+    expect(result.positions.get('D').x).toBeCloseTo(10 - 10.4 + (0.4 * 10.4) / 20.4, 6);
+    expect(result.stationCount).toBe(2);
+    expect(result.shotCount).toBe(4);
+  });
+
+  it('adjusts the network after the last survey only', () => {
+    const first = new Survey('first', true, undefined, 'A', [
+      new Shot(0, ShotType.CENTER, 'A', 'B', 10, 90, 0),
+      new Shot(1, ShotType.CENTER, 'B', 'C', 10, 0, 0)
+    ]);
+    const second = new Survey('second', true, undefined, 'C', [
+      new Shot(0, ShotType.CENTER, 'C', 'D', 10.4, 270, 0),
+      new Shot(1, ShotType.CENTER, 'D', 'A', 10, 180, 0)
+    ]);
+    const stations = calculate([first, second], AdjustmentMode.LEAST_SQUARES);
+    const c = (0.4 * 10) / 40.4;
+    expect(stations.get('D').position.x).toBeCloseTo(-c, 6);
+    expect(first.adjustment).toBe(second.adjustment);
+    expect(first.adjustment.getResidual('second', 1).x).toBeCloseTo(c, 6);
+  });
+
+  it('closes the loops through aliases', () => {
+    const first = new Survey('first', true, undefined, 'A', [
+      new Shot(0, ShotType.CENTER, 'A', 'B', 10, 90, 0),
+      new Shot(1, ShotType.CENTER, 'B', 'C', 10, 0, 0)
+    ]);
+    // the second survey ends at A2 that is the same point as A
+    const second = new Survey('second', true, undefined, 'C', [
+      new Shot(0, ShotType.CENTER, 'C', 'D', 10.4, 270, 0),
+      new Shot(1, ShotType.CENTER, 'D', 'A2', 10, 180, 0)
+    ]);
+    const aliases = [new SurveyAlias('A2', 'A')];
+
+    const propagated = calculate([first, second], AdjustmentMode.NONE, aliases);
+    expect(propagated.get('A2').position.x).toBeCloseTo(-0.4, 6);
+
+    const stations = calculate([first, second], AdjustmentMode.LEAST_SQUARES, aliases);
+    const c = (0.4 * 10) / 40.4;
+    expect(stations.get('D').position.x).toBeCloseTo(-c, 3);
+    expect(stations.get('A2').position.distanceTo(stations.get('A').position)).toBeLessThan(0.001);
+    expect(first.adjustment.redundancy).toBe(1);
+    expect(first.adjustment.shotCount).toBe(4);
+    expect(first.adjustment.aliasCount).toBe(1);
+  });
+
+  it('has no sigma without redundant observations', () => {
+    const survey = new Survey('line', true, undefined, 'A', [new Shot(0, ShotType.CENTER, 'A', 'B', 10, 45, 10)]);
+    calculate([survey], AdjustmentMode.LEAST_SQUARES);
+    expect(survey.adjustment.redundancy).toBe(0);
+    expect(survey.adjustment.sigma0).toBeUndefined();
+  });
+});
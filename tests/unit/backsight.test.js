@@ -0,0 +1,119 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { Survey, Shot, ShotType } = await import('../../src/model/survey.js');
+const { SurveyHelper } = await import('../../src/survey.js');
+const { CycleUtil } = await import('../../src/utils/cycle.js');
+
+const shot = (azimuth, clino, backAzimuth, backClino) =>
+  new Shot(0, ShotType.CENTER, 'A', 'B', 10, azimuth, clino, undefined, backAzimuth, backClino);
+
+function calculate(shots, tolerance) {
+  const survey = new Survey('s', true, undefined, 'A', shots);
+  const stations = new Map();
+  SurveyHelper.recalculateSurvey(0, survey, [survey], stations, [], undefined, undefined, tolerance);
+  return stations;
+}
+
+describe('Shot backsight', () => {
+  it('calculates the difference to the reversed backsight over the shorter arc', () => {
+    expect(shot(359, 10, 181, -12).getBacksightDifference()).toEqual({ azimuth: 2, clino: 2 });
+    expect(shot(1, 1, 179, 0).getBacksightDifference()).toEqual({ azimuth: -2, clino: -1 });
+    expect(shot(1, 0).getBacksightDifference()).toEqual({ azimuth: undefined, clino: undefined });
+  });
+
+  it('averages the readings within the tolerance only', () => {
+    const tolerance = { azimuth: 2, clino: 1 };
+    expect(shot(359, 10, 181, -12).getAveragedReadings(undefined, tolerance)).toEqual({ azimuth: 0, clino: 10 });
+    expect(shot(90, 10, 276, -10.5).getAveragedReadings(undefined, tolerance)).toEqual({ azimuth: 90, clino: 10.25 });
+    expect(shot(100, 5, undefined, -7).getAveragedReadings(undefined, { azimuth: 2, clino: 2 })).toEqual({
+      azimuth : 100,
+      clino   : 6
+    });
+  });
+
+  it('averages grads readings', () => {
+    const units = { length: 'meters', angle: 'grads' };
+    expect(shot(100, 10, 302, -12).getAveragedReadings(units)).toEqual({ azimuth: 101, clino: 11 });
+  });
+
+  it('reports disagreeing readings only when a tolerance is given', () => {
+    const sh = shot(90, 10, 280, -10);
+    expect(sh.isValid()).toBe(true);
+    expect(sh.validate(undefined, undefined, { azimuth: 2, clino: 2 })).toEqual([
+      'validation.shot.backAzimuthMismatch'
+    ]);
+    expect(shot(90, 10, 'x').validate()).toEqual(['validation.shot.invalidDecimal']);
+    expect(shot(90, 10, 270, 95).validate()).toEqual(['validation.shot.invalidBackClino']);
+  });
+
+  it('exports the backsight fields when they exist', () => {
+    expect(shot(90, 10, 270, -10).toExport()).toEqual({
+      type        : ShotType.CENTER,
+      from        : 'A',
+      to          : 'B',
+      length      : 10,
+      azimuth     : 90,
+      clino       : 10,
+      backAzimuth : 270,
+      backClino   : -10
+    });
+    expect(Object.keys(shot(90, 10).toExport())).not.toContain('backAzimuth');
+    expect(shot(90, 10).getEmptyFields()).toEqual([]);
+  });
+});
+
+describe('SurveyHelper with backsights', () => {
+  it('uses the averaged readings for the station positions', () => {
+    const stations = calculate([shot(89, 0, 271, 0)]);
+    expect(stations.get('B').position.x).toBeCloseTo(10, 6);
+    expect(stations.get('B').position.y).toBeCloseTo(0, 6);
+  });
+
+  it('falls back to the foresight beyond the tolerance', () => {
+    const stations = calculate([shot(0, 0, 190, 0)], { azimuth: 5, clino: 5 });
+    expect(stations.get('B').position.x).toBeCloseTo(0, 6);
+    expect(stations.get('B').position.y).toBeCloseTo(10, 6);
+  });
+});
+
+describe('CycleUtil with backsights', () => {
+  // an equilateral triangle, the foresight of A-B is 3 degrees off and the backsight is 3 degrees off the other way
+  const triangle = (bcLength = 10) => [
+    new Shot(0, ShotType.CENTER, 'A', 'B', 10, 87, 0, undefined, 273, 0),
+    new Shot(1, ShotType.CENTER, 'B', 'C', bcLength, 210, 0),
+    new Shot(2, ShotType.CENTER, 'C', 'A', 10, 330, 0)
+  ];
+  const loop = ['A', 'B', 'C', 'A'];
+  const tolerance = { azimuth: 10, clino: 10 };
+  const closure = (shots, t) => CycleUtil.calculateCycleError(loop, calculate(shots, t), t).error.distance;
+
+  it('averages the backsights with the configured tolerance', () => {
+    const shots = triangle();
+    expect(closure(shots, tolerance)).toBeCloseTo(0, 6);
+    expect(closure(shots)).toBeGreaterThan(0.5);
+  });
+
+  it('keeps the backsights when the loop closure error is distributed', () => {
+    const shots = triangle(11);
+    const { error, totalLength } = CycleUtil.calculateCycleError(loop, calculate(shots, tolerance), tolerance);
+    expect(CycleUtil.propagateError(loop, calculate(shots, tolerance), error, totalLength, tolerance)).toBe(true);
+
+    expect(shots[0].backAzimuth).toBeDefined();
+    expect(shots[0].backClino).toBeDefined();
+    expect(shots[0].getBacksightDifference().azimuth).toBeCloseTo(6, 6);
+    expect(shots[0].getBacksightDifference().clino).toBeCloseTo(0, 6);
+    expect(closure(shots, tolerance)).toBeCloseTo(0, 6);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { Survey, Shot, ShotType } = await import('../../src/model/survey.js');
+const { SurveyHelper } = await import('../../src/survey.js');
+const { CycleUtil, BlunderType } = await import('../../src/utils/cycle.js');
+
+const diagonal = Math.sqrt(125);
+
+const degrees = (rads) => (rads * 180) / Math.PI;
+
+// A quadrilateral A-B-C-D and a triangle B-C-E sharing the B-C shot, D is trueCD west of C
+function calculate(bc, cd = 10, trueCD = 10) {
+  const dx = trueCD - 10;
+  const rows = [
+    ['A', 'B', 10, 90, 0],
+    ['B', 'C', ...bc],
+    ['C', 'D', cd, 270, 0],
+    ['D', 'A', Math.hypot(dx, 10), (degrees(Math.atan2(dx, -10)) + 360) % 360, 0],
+    ['C', 'E', diagonal, 116.56505117707799, 0],
+    ['E', 'B', diagonal, 243.43494882292202, 0]
+  ];
+  const shots = rows.map(
+    ([from, to, length, azimuth, clino], i) => new Shot(i, ShotType.CENTER, from, to, length, azimuth, clino)
+  );
+  const survey = new Survey('s', true, undefined, 'A', shots);
+  const stations = new Map();
+  SurveyHelper.recalculateSurvey(0, survey, [survey], stations, []);
+  return stations;
+}
+
+const loops = [
+  ['A', 'B', 'C', 'D', 'A'],
+  ['B', 'C', 'E', 'B']
+];
+
+const suspect = (stations) => CycleUtil.findBlunders(loops, stations)[0];
+
+describe('CycleUtil.findBlunders', () => {
+  it('finds nothing in closed loops', () => {
+    expect(CycleUtil.findBlunders(loops, calculate([10, 0, 0]))).toEqual([]);
+  });
+
+  it('finds the shot of both loops with a flipped azimuth', () => {
+    const s = suspect(calculate([10, 180, 0]));
+    expect([s.shot.from, s.shot.to]).toEqual(['B', 'C']);
+    expect(s.type).toBe(BlunderType.FLIP_AZIMUTH);
+    expect(s.loopCount).toBe(2);
+    expect(s.reduction).toBeCloseTo(40, 6);
+    expect(s.reductionRatio).toBeCloseTo(1, 6);
+    expect(s.errorBefore).toBeCloseTo(40, 6);
+    expect(s.errorAfter).toBeCloseTo(0, 6);
+  });
+
+  it('finds transposed digits of the length or an unknown error', () => {
+    // 1 is not a transposition of 10, an unknown error of any shot of the loop explains the closure
+    const suspects = CycleUtil.findBlunders(loops, calculate([10, 0, 0], 1));
+    expect(suspects.map((s) => `${s.shot.from}-${s.shot.to}`).sort()).toEqual(['A-B', 'B-C', 'C-D', 'D-A']);
+    const s = suspects.find((r) => r.shot.from === 'C');
+    expect(s.type).toBe(BlunderType.REMOVE);
+    expect(s.reductionRatio).toBeCloseTo(1, 6);
+    expect(s.errorVector.x).toBeCloseTo(-9, 6);
+
+    const t = suspect(calculate([10, 0, 0], 15.2, 12.5));
+    expect([t.shot.from, t.shot.to]).toEqual(['C', 'D']);
+    expect(t.type).toBe(BlunderType.LENGTH_TRANSPOSITION);
+    expect(t.length).toBe(12.5);
+    expect(t.reductionRatio).toBeCloseTo(1, 6);
+  });
+
+  it('ranks the shots shared by the failing loops first', () => {
+    const [first, ...others] = CycleUtil.findBlunders(loops, calculate([10, 0, 5]));
+    expect([first.shot.from, first.shot.to]).toEqual(['B', 'C']);
+    expect(first.type).toBe(BlunderType.REMOVE);
+    expect(first.loopCount).toBe(2);
+    others.forEach((o) => expect(o.reduction).toBeLessThan(first.reduction));
+  });
+});
+
+describe('CycleUtil.getTranspositionLengths', () => {
+  it('swaps the adjacent digits', () => {
+    expect(CycleUtil.getTranspositionLengths(12.34)).toEqual([21.34, 13.24, 12.43]);
+    expect(CycleUtil.getTranspositionLengths(10)).toEqual([1]);
+    expect(CycleUtil.getTranspositionLengths(1.1)).toEqual([]);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { Survey, SurveyMetadata, Shot, ShotType, CalibrationProfile } = await import('../../src/model/survey.js');
+const { Project } = await import('../../src/model/project.js');
+const { SurveyHelper } = await import('../../src/survey.js');
+
+const profile = (tapeOffset, compassZeroError, clinoZeroError, scaleFactor, validFrom, validTo) =>
+  new CalibrationProfile('p1', 'DistoX', tapeOffset, compassZeroError, clinoZeroError, scaleFactor, validFrom, validTo);
+
+function calculate(shots, calibrationId, profiles, units = undefined) {
+  const metadata = new SurveyMetadata(new Date('2024-05-01'), 0, 0, undefined, [], calibrationId);
+  const survey = new Survey('s', true, metadata, 'A', shots, units);
+  const stations = new Map();
+  SurveyHelper.recalculateSurvey(0, survey, [survey], stations, [], undefined, undefined, undefined, profiles);
+  return { survey, stations };
+}
+
+describe('CalibrationProfile', () => {
+  it('corrects and reverts the readings', () => {
+    const p = profile(0.1, 2, -1, 1.01);
+    const corrected = p.apply(9.9, 1, 5);
+    expect(corrected.length).toBeCloseTo(10.1, 9);
+    expect(corrected.azimuth).toBeCloseTo(359, 9);
+    expect(corrected.clino).toBeCloseTo(6, 9);
+
+    const reverted = p.revert(corrected.length, corrected.azimuth, corrected.clino);
+    expect(reverted.length).toBeCloseTo(9.9, 9);
+    expect(reverted.azimuth).toBeCloseTo(1, 9);
+    expect(reverted.clino).toBeCloseTo(5, 9);
+  });
+
+  it('checks the validity range by day', () => {
+    const p = profile(0, 0, 0, 1, new Date(2024, 0, 1), new Date(2024, 11, 31));
+    expect(p.isValidOn(new Date(2024, 0, 1, 12))).toBe(true);
+    expect(p.isValidOn(new Date(2024, 11, 31, 23))).toBe(true);
+    expect(p.isValidOn(new Date(2023, 11, 31))).toBe(false);
+    expect(p.isValidOn(new Date(2025, 0, 1))).toBe(false);
+    expect(p.isValidOn(undefined)).toBe(true);
+    expect(profile(0, 0, 0, 1).isValidOn(new Date(1990, 0, 1))).toBe(true);
+  });
+
+  it('validates the corrections and the validity range', () => {
+    expect(profile(0, 0, 0, 1).validate()).toEqual([]);
+    expect(profile(NaN, 0, 0, 0).validate()).toEqual([
+      { type: 'notNumeric', field: 'tapeOffset' },
+      { type: 'notPositive', field: 'scaleFactor' }
+    ]);
+    expect(profile(0, 0, 0, 1, new Date(2024, 1, 1), new Date(2024, 0, 1)).validate()).toEqual([
+      { type: 'invalidRange', field: 'validTo' }
+    ]);
+    expect(profile(0, 0, 0, 1, new Date('x')).validate()).toEqual([{ type: 'invalidDate', field: 'validFrom' }]);
+    expect(new CalibrationProfile('p2', ' ').getEmptyFields()).toEqual(['name']);
+  });
+
+  it('is stored in the project', () => {
+    const project = new Project('cave project');
+    project.calibrationProfiles.push(profile(0.1, 2, -1, 1.01, new Date(2024, 0, 1)));
+    const pure = JSON.parse(JSON.stringify(project.toExport()));
+    const restored = Project.fromPure(pure).calibrationProfiles[0];
+    expect(restored).toBeInstanceOf(CalibrationProfile);
+    expect(restored.validFrom.getTime()).toBe(new Date(2024, 0, 1).getTime());
+    expect(restored.validTo).toBeUndefined();
+    expect(restored.toExport()).toEqual(project.calibrationProfiles[0].toExport());
+
+    expect(Project.fromPure({ id: 'x', name: 'old' }).calibrationProfiles).toEqual([]);
+  });
+
+  it('is referenced by the survey metadata', () => {
+    const metadata = new SurveyMetadata(new Date(2024, 0, 1), 1, 0, undefined, [], 'p1');
+    expect(SurveyMetadata.fromPure(metadata.toExport()).calibrationId).toBe('p1');
+  });
+});
+
+describe('SurveyHelper with calibration', () => {
+  const shots = () => [new Shot(0, ShotType.CENTER, 'A', 'B', 9.9, 2, 1)];
+
+  it('applies the referenced profile to the station positions', () => {
+    const { survey, stations } = calculate(shots(), 'p1', [profile(0.1, 2, 1, 1)]);
+    expect(survey.calibration.id).toBe('p1');
+    expect(stations.get('B').position.x).toBeCloseTo(0, 6);
+    expect(stations.get('B').position.y).toBeCloseTo(10, 6);
+    expect(stations.get('B').position.z).toBeCloseTo(0, 6);
+    // the readings are not modified
+    expect([survey.shots[0].length, survey.shots[0].azimuth, survey.shots[0].clino]).toEqual([9.9, 2, 1]);
+  });
+
+  it('applies the corrections in meters and degrees', () => {
+    const units = { length: 'feet', angle: 'grads' };
+    const sh = new Shot(0, ShotType.CENTER, 'A', 'B', 10, 100, 0);
+    const { stations } = calculate([sh], 'p1', [profile(1, 90, 0, 1)], units);
+    expect(stations.get('B').position.y).toBeCloseTo(3.048 + 1, 6);
+  });
+
+  it('ignores missing profiles', () => {
+    const { survey, stations } = calculate(shots(), 'deleted', [profile(0.1, 2, 1, 1)]);
+    expect(survey.calibration).toBeUndefined();
+    expect(stations.get('B').position.distanceTo(stations.get('A').position)).toBeCloseTo(9.9, 6);
+  });
+});
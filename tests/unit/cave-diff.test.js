@@ -0,0 +1,126 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { Survey, Shot, ShotType } = await import('../../src/model/survey.js');
+const { Cave } = await import('../../src/model/cave.js');
+const { SurveyHelper } = await import('../../src/survey.js');
+const { CaveDiff, CaveChangeType } = await import('../../src/utils/cave-diff.js');
+
+function cave(surveys) {
+  const c = new Cave(
+    'cave',
+    undefined,
+    undefined,
+    new Map(),
+    surveys.map(
+      ([name, rows], index) =>
+        new Survey(
+          name,
+          true,
+          undefined,
+          index === 0 ? 'A' : undefined,
+          rows.map(([type, from, to, length, azimuth], id) => new Shot(id, type, from, to, length, azimuth, 0))
+        )
+    )
+  );
+  c.stations = SurveyHelper.calculateCaveStations(c);
+  return c;
+}
+
+const C = ShotType.CENTER;
+const S = ShotType.SPLAY;
+
+describe('CaveDiff', () => {
+  it('finds no changes between equal versions', () => {
+    const rows = [
+      [C, 'A', 'B', 10, 0],
+      [S, 'B', undefined, 2, 90]
+    ];
+    expect(CaveDiff.diff(cave([['s1', rows]]), cave([['s1', rows]]))).toEqual([]);
+  });
+
+  it('lists the added, removed and changed shots and the moved stations', () => {
+    const before = cave([
+      [
+        's1',
+        [
+          [C, 'A', 'B', 10, 0],
+          [C, 'B', 'C', 5, 90],
+          [C, 'C', 'D', 5, 90]
+        ]
+      ]
+    ]);
+    const after = cave([
+      [
+        's1',
+        [
+          [C, 'A', 'B', 12, 0],
+          [C, 'B', 'C', 5, 90],
+          [C, 'C', 'E', 3, 180]
+        ]
+      ]
+    ]);
+
+    const changes = CaveDiff.diff(before, after);
+    const byType = (type) => changes.filter((c) => c.type === type);
+
+    const [changed] = byType(CaveChangeType.SHOT_CHANGED);
+    expect([changed.shot.from, changed.shot.to]).toEqual(['A', 'B']);
+    expect(changed.fields).toEqual([{ field: 'length', oldValue: 10, newValue: 12 }]);
+    expect(byType(CaveChangeType.SHOT_REMOVED).map((c) => c.shot.to)).toEqual(['D']);
+    expect(byType(CaveChangeType.SHOT_ADDED).map((c) => c.shot.to)).toEqual(['E']);
+
+    expect(byType(CaveChangeType.STATION_REMOVED).map((c) => c.station)).toEqual(['D']);
+    expect(byType(CaveChangeType.STATION_ADDED).map((c) => c.station)).toEqual(['E']);
+    const moved = byType(CaveChangeType.STATION_MOVED);
+    expect(moved.map((c) => c.station)).toEqual(['B', 'C']);
+    moved.forEach((c) => expect(c.distance).toBeCloseTo(2, 6));
+  });
+
+  it('does not pair the splays of a station by their order', () => {
+    const center = [C, 'A', 'B', 10, 0];
+    const before = cave([
+      ['s1', [center, [S, 'B', undefined, 2, 0], [S, 'B', undefined, 2, 90], [S, 'B', undefined, 2, 180]]]
+    ]);
+    // the first splay is deleted and the second one is changed
+    const after = cave([['s1', [center, [S, 'B', undefined, 3, 90], [S, 'B', undefined, 2, 180]]]]);
+
+    const changes = CaveDiff.diff(before, after).filter((c) => c.shot !== undefined);
+    expect(changes.map((c) => [c.type, c.shot.length, c.shot.azimuth])).toEqual([
+      [CaveChangeType.SHOT_REMOVED, 2, 0],
+      [CaveChangeType.SHOT_REMOVED, 2, 90],
+      [CaveChangeType.SHOT_ADDED, 3, 90]
+    ]);
+
+    // a single changed splay is unambiguous
+    const edited = cave([
+      ['s1', [center, [S, 'B', undefined, 2, 0], [S, 'B', undefined, 3, 90], [S, 'B', undefined, 2, 180]]]
+    ]);
+    const [changed] = CaveDiff.diff(before, edited).filter((c) => c.shot !== undefined);
+    expect(changed.type).toBe(CaveChangeType.SHOT_CHANGED);
+    expect(changed.fields).toEqual([{ field: 'length', oldValue: 2, newValue: 3 }]);
+  });
+
+  it('lists the added and removed surveys', () => {
+    const s1 = ['s1', [[C, 'A', 'B', 10, 0]]];
+    const changes = CaveDiff.diff(cave([s1, ['s2', [[C, 'B', 'C', 1, 0]]]]), cave([s1, ['s3', [[C, 'B', 'X', 1, 0]]]]));
+    expect(changes.map((c) => [c.type, c.survey ?? c.station])).toEqual([
+      [CaveChangeType.SURVEY_REMOVED, 's2'],
+      [CaveChangeType.SURVEY_ADDED, 's3'],
+      [CaveChangeType.STATION_REMOVED, 'C'],
+      [CaveChangeType.STATION_ADDED, 'X']
+    ]);
+    expect(changes[0].shots).toBe(1);
+  });
+});
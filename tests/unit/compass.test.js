@@ -0,0 +1,235 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Vector } from '../../src/model.js';
+
+// ─── Mocks (must come before dynamic imports) ────────────────────────────────
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/ui/popups.js', () => ({
+  showErrorPanel   : vi.fn(),
+  showWarningPanel : vi.fn(),
+  showInfoPanel    : vi.fn()
+}));
+
+vi.mock('../../src/ui/coordinate-system-dialog.js', () => ({
+  CoordinateSystemDialog : class {
+    async show() {
+      return { coordinateSystem: undefined, coordinates: [] };
+    }
+  }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+vi.mock('../../src/model/geo.js', async () => {
+  const actual = await vi.importActual('../../src/model/geo.js');
+  const origUTM = actual.UTMCoordinateWithElevation;
+  class UTMCoordWithNorm extends origUTM {
+    toNormalizedVector() {
+      return new Vector(this.easting, this.northing, this.elevation);
+    }
+  }
+  return { ...actual, UTMCoordinateWithElevation: UTMCoordWithNorm };
+});
+
+// ─── Dynamic imports (after mocks) ───────────────────────────────────────────
+
+const { CompassImporter } = await import('../../src/io/compass-importer.js');
+const { showInfoPanel } = await import('../../src/ui/popups.js');
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function makeImporter() {
+  return new CompassImporter(null, null, null, null);
+}
+
+function survey({
+  name,
+  date = '7 10 79',
+  format = 'DDDDUDLRLADN',
+  corrections = '0.00 0.00 0.00',
+  backsight = false,
+  rows
+}) {
+  const header = backsight
+    ? 'FROM TO LENGTH BEARING INC LEFT UP DOWN RIGHT AZM2 INC2 FLAGS COMMENTS'
+    : 'FROM TO LENGTH BEARING INC LEFT UP DOWN RIGHT FLAGS COMMENTS';
+  return [
+    'SECRET CAVE',
+    `SURVEY NAME: ${name}`,
+    `SURVEY DATE: ${date}  COMMENT:Entrance passage`,
+    'SURVEY TEAM:',
+    'D.SMITH,R.CENTER,P.JONES',
+    `DECLINATION: 2.50  FORMAT: ${format}  CORRECTIONS: ${corrections}  CORRECTIONS2: 0.00 0.00`,
+    '',
+    header,
+    '',
+    ...rows,
+    '\f'
+  ].join('\r\n');
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+describe('CompassImporter', () => {
+
+  describe('survey data file', () => {
+    it('parses the surveys of a .dat file into a Cave', async () => {
+      const dat =
+        survey({
+          name : 'A',
+          rows : ['A1 A2 10.00 90.00 0.00 1.00 2.00 3.00 4.00', 'A2 A3 5.00 180.00 -10.00 -9.90 -9.90 -9.90 -9.90']
+        }) + survey({ name: 'B', date: '3 21 2004', rows: ['A3 B1 8.00 45.00 5.00 0.00 0.00 0.00 0.00'] });
+
+      const cave = await makeImporter().getCave(new Map([['secret.dat', dat]]));
+
+      expect(cave.name).toBe('SECRET CAVE');
+      expect(cave.surveys.map((s) => s.name)).toEqual(['A', 'B']);
+      const [a, b] = cave.surveys;
+      expect(a.shots.map((sh) => [sh.from, sh.to, sh.length, sh.azimuth, sh.clino])).toEqual([
+        ['A1', 'A2', 10, 90, 0],
+        ['A2', 'A3', 5, 180, -10]
+      ]);
+      expect(a.units.length).toBe('feet');
+      expect(a.metadata.declination).toBe(2.5);
+      expect(a.metadata.date.getFullYear()).toBe(1979);
+      expect(a.metadata.date.getMonth()).toBe(6);
+      expect(a.metadata.team.members.map((m) => m.name)).toEqual(['D.SMITH', 'R.CENTER', 'P.JONES']);
+      expect(b.metadata.date.getFullYear()).toBe(2004);
+      expect(cave.stations.has('B1')).toBe(true);
+    });
+
+    it('converts the feet values to meters for a metric format', async () => {
+      const dat = survey({ name: 'A', format: 'DMMDLRUDLADNF', rows: ['A1 A2 10.00 90.00 0.00 1.00 2.00 3.00 4.00'] });
+      const cave = await makeImporter().getCave(new Map([['secret.dat', dat]]));
+
+      const shot = cave.surveys[0].shots[0];
+      expect(cave.surveys[0].units.length).toBe('meters');
+      expect(shot.length).toBe(3.048);
+      const dim = cave.stationDimensions.find((sd) => sd.name === 'A1');
+      expect([dim.left, dim.up, dim.down, dim.right]).toEqual([0.305, 0.61, 0.914, 1.219]);
+    });
+
+    it('applies corrections and keeps the backsights of the shots', async () => {
+      const dat = survey({
+        name        : 'A',
+        format      : 'DDDDUDLRLADadBF',
+        corrections : '1.00 -1.00 0.50',
+        backsight   : true,
+        rows        : [
+          'A1 A2 10.00 89.00 1.00 -9.90 -9.90 -9.90 -9.90 272.00 -2.00',
+          'A2 A3 5.00 -999.00 -999.00 -9.90 -9.90 -9.90 -9.90 10.00 3.00'
+        ]
+      });
+      const cave = await makeImporter().getCave(new Map([['secret.dat', dat]]));
+
+      const [first, second] = cave.surveys[0].shots;
+      expect(first.length).toBe(10.5);
+      expect([first.azimuth, first.clino, first.backAzimuth, first.backClino]).toEqual([90, 0, 272, -2]);
+      // corrected foresight 90 / 0, reversed backsight 92 / 2
+      expect(first.getAveragedReadings(cave.surveys[0].units)).toEqual({ azimuth: 91, clino: 1 });
+      // only the backsight exists
+      expect([second.azimuth, second.clino, second.backAzimuth, second.backClino]).toEqual([
+        190,
+        -3,
+        undefined,
+        undefined
+      ]);
+    });
+
+    it('handles shot flags, comments and the LRUD station of the format', async () => {
+      const dat = survey({
+        name   : 'A',
+        format : 'DDDDUDLRLADNT',
+        rows   : [
+          'A1 A2 10.00 90.00 0.00 1.00 2.00 3.00 4.00 #|L# surface shot',
+          'A2 A3 5.00 180.00 0.00 -9.90 -9.90 -9.90 -9.90 #|X#',
+          'A2 A4 5.00 0.00 0.00 -9.90 -9.90 -9.90 -9.90 narrow crawl'
+        ]
+      });
+      const cave = await makeImporter().getCave(new Map([['secret.dat', dat]]));
+
+      const shots = cave.surveys[0].shots;
+      expect(shots.map((sh) => [sh.to, sh.type])).toEqual([
+        ['A2', 'auxiliary'],
+        ['A4', 'center']
+      ]);
+      expect(shots[0].comment).toBe('surface shot');
+      expect(shots[1].comment).toBe('narrow crawl');
+      expect(cave.stationDimensions.map((sd) => sd.name)).toEqual(['A2']);
+    });
+
+    it('rejects files without shots', async () => {
+      await expect(makeImporter().getCave(new Map([['empty.dat', 'SECRET CAVE\r\n']]))).rejects.toThrow(
+        'errors.import.compassNoData'
+      );
+    });
+  });
+
+  describe('project file', () => {
+    it('links the .dat files and georeferences the fixed station', async () => {
+      const mak = [
+        '/ Secret cave project',
+        '@650000.000,5200000.000,300.000,34,0.000;',
+        '&WGS 1984;',
+        '$34;',
+        '#upper.dat;',
+        '#entrance.dat,',
+        '  E1[m,650010.000,5200020.000,350.000];',
+        '#missing.dat;'
+      ].join('\r\n');
+      const upper = survey({ name: 'U', rows: ['E2 U1 10.00 0.00 0.00 -9.90 -9.90 -9.90 -9.90'] });
+      const entrance = survey({ name: 'E', rows: ['E1 E2 10.00 90.00 0.00 -9.90 -9.90 -9.90 -9.90'] });
+
+      showInfoPanel.mockClear();
+      const cave = await makeImporter().getCave(
+        new Map([
+          ['secret.mak', mak],
+          ['UPPER.DAT', upper],
+          ['entrance.dat', entrance]
+        ])
+      );
+
+      expect(cave.name).toBe('secret');
+      // the survey of the fixed station comes first
+      expect(cave.surveys.map((s) => s.name)).toEqual(['E', 'U']);
+      expect(cave.geoData.coordinateSystem.zoneNum).toBe(34);
+      expect(cave.geoData.coordinates[0].name).toBe('E1');
+      expect(cave.geoData.coordinates[0].coordinate.easting).toBe(650010);
+      expect(cave.stations.has('U1')).toBe(true);
+      expect(showInfoPanel).toHaveBeenCalledWith('errors.import.compassUnresolvedInputs', 6000);
+    });
+
+    it('connects station names spelled with different case with aliases', async () => {
+      const mak = '#a.dat;\r\n#b.dat;\r\n';
+      const a = survey({ name: 'A', rows: ['A1 A2 10.00 90.00 0.00 -9.90 -9.90 -9.90 -9.90'] });
+      const b = survey({ name: 'A', rows: ['a2 B1 10.00 0.00 0.00 -9.90 -9.90 -9.90 -9.90'] });
+
+      const cave = await makeImporter().getCave(
+        new Map([
+          ['p.mak', mak],
+          ['a.dat', a],
+          ['b.dat', b]
+        ])
+      );
+
+      expect(cave.surveys.map((s) => s.name)).toEqual(['A', 'A (b)']);
+      expect(cave.aliases.map((al) => [al.from, al.to])).toEqual([['A2', 'a2']]);
+      expect(cave.stations.has('B1')).toBe(true);
+    });
+
+    it('reports a project without its .dat files', async () => {
+      await expect(makeImporter().getCave(new Map([['p.mak', '#a.dat;']]))).rejects.toThrow(
+        'errors.import.compassMissingDatFiles'
+      );
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { Survey, Shot, ShotType } = await import('../../src/model/survey.js');
+const { Cave } = await import('../../src/model/cave.js');
+const { Vector } = await import('../../src/model.js');
+const { SurveyHelper } = await import('../../src/survey.js');
+const { SectionPlane } = await import('../../src/utils/cross-section.js');
+
+function makeCave(rows) {
+  const survey = new Survey(
+    'first',
+    true,
+    undefined,
+    'A',
+    rows.map(
+      ([from, to, length, azimuth, clino], id) => new Shot(id, ShotType.CENTER, from, to, length, azimuth, clino)
+    )
+  );
+  const cave = new Cave('cave', undefined, undefined, new Map(), [survey]);
+  cave.stations = SurveyHelper.calculateCaveStations(cave);
+  return cave;
+}
+
+describe('SectionPlane', () => {
+  // looking east, south is on the right
+  const east = new SectionPlane(new Vector(10, 0, 0), Math.PI / 2, 2);
+
+  it('measures the distance from the plane along the viewing direction', () => {
+    expect(east.distanceTo(new Vector(13, 5, 100))).toBeCloseTo(3, 9);
+    expect(east.distanceTo(new Vector(9, -5, 0))).toBeCloseTo(-1, 9);
+    expect(east.contains(new Vector(11.5, 50, -20))).toBe(true);
+    expect(east.contains(new Vector(7, 0, 0))).toBe(false);
+  });
+
+  it('projects the points to the section with the elevation upwards', () => {
+    const p = east.project(new Vector(12, -4, 7));
+    expect(p.x).toBeCloseTo(4, 9);
+    expect(p.y).toBe(7);
+  });
+
+  it('clips the line segments to the slab', () => {
+    const [start, end] = east.clipSegment(new Vector(0, 0, 0), new Vector(20, 0, 10));
+    expect(start.x).toBeCloseTo(8, 9);
+    expect(start.z).toBeCloseTo(4, 9);
+    expect(end.x).toBeCloseTo(12, 9);
+
+    // parallel segments are kept or dropped as a whole
+    expect(east.clipSegment(new Vector(11, -5, 0), new Vector(11, 5, 0))).toHaveLength(2);
+    expect(east.clipSegment(new Vector(0, -5, 0), new Vector(0, 5, 0))).toBeUndefined();
+    expect(east.clipSegment(new Vector(0, 0, 0), new Vector(5, 0, 0))).toBeUndefined();
+  });
+
+  it('intersects the triangles with the plane', () => {
+    const segment = east.intersectTriangle(new Vector(8, 0, 0), new Vector(12, 0, 0), new Vector(12, 0, 4));
+    expect(segment).toHaveLength(2);
+    expect(segment.every((p) => Math.abs(p.x - 10) < 1e-9)).toBe(true);
+    expect(segment.map((p) => p.z).sort()).toEqual([0, 2]);
+
+    expect(east.intersectTriangle(new Vector(0, 0, 0), new Vector(1, 0, 0), new Vector(1, 1, 0))).toBeUndefined();
+  });
+
+  it('looks along the passage at a station', () => {
+    // A-B goes east, B-C goes north
+    const cave = makeCave([
+      ['A', 'B', 10, 90, 0],
+      ['B', 'C', 10, 0, 0]
+    ]);
+    // the bisector of the two legs at B
+    expect(SectionPlane.getPassageAzimuth(cave, 'B')).toBeCloseTo(Math.PI / 4, 9);
+    // the end stations look along their only leg
+    expect(SectionPlane.getPassageAzimuth(cave, 'C')).toBeCloseTo(0, 9);
+    expect(SectionPlane.getPassageAzimuth(cave, 'A')).toBeCloseTo((3 * Math.PI) / 2, 9);
+    expect(SectionPlane.getPassageAzimuth(cave, 'X')).toBe(0);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { Survey, Shot, ShotType, StationDimension } = await import('../../src/model/survey.js');
+const { SurveyHelper } = await import('../../src/survey.js');
+const { DXFExporter, DXFProjection } = await import('../../src/io/dxf-exporter.js');
+
+function makeCave(name, shots, dimensions = []) {
+  const survey = new Survey('first survey', true, undefined, 'A', shots);
+  const cave = { name, surveys: [survey], stations: new Map(), stationDimensions: dimensions, visible: true };
+  SurveyHelper.recalculateSurvey(0, survey, cave.surveys, cave.stations, [], undefined);
+  return cave;
+}
+
+const SHOTS = [
+  new Shot(0, ShotType.CENTER, 'A', 'B', 10, 90, 0),
+  new Shot(1, ShotType.CENTER, 'B', 'C', 10, 0, 30),
+  new Shot(2, ShotType.SPLAY, 'B', undefined, 2, 180, 0),
+  new Shot(3, ShotType.CENTER, 'A', 'D', 5, 270, 0)
+];
+
+const SCENE = {
+  caveLines   : { color: { mode: 'global' } },
+  centerLines : { segments: { color: '#ff0000' } },
+  splays      : { segments: { color: '#00ffff' } },
+  auxiliaries : { segments: { color: '#f0abff' } }
+};
+
+/**
+ * Splits the DXF text into group code / value pairs
+ */
+function parse(text) {
+  const lines = text.split('\n');
+  const pairs = [];
+  for (let i = 0; i < lines.length; i += 2) {
+    pairs.push([parseInt(lines[i]), lines[i + 1]]);
+  }
+  return pairs;
+}
+
+/**
+ * The entities of the ENTITIES section with their group codes
+ */
+function entities(pairs) {
+  const start = pairs.findIndex(([c, v], i) => c === 2 && v === 'ENTITIES' && pairs[i - 1][1] === 'SECTION');
+  const result = [];
+  for (let i = start + 1; pairs[i][1] !== 'ENDSEC'; i++) {
+    if (pairs[i][0] === 0) {
+      result.push({ type: pairs[i][1], codes: [] });
+    } else {
+      result.at(-1).codes.push(pairs[i]);
+    }
+  }
+  return result;
+}
+
+const value = (entity, code) => entity.codes.find(([c]) => c === code)?.[1];
+
+describe('DXFExporter', () => {
+  it('writes the header, the layers and continuous 3D polylines per survey', () => {
+    const cave = makeCave('Béke barlang', SHOTS);
+    const text = DXFExporter.getText(new Map([[cave.name, cave]]), { scene: SCENE, grid: false });
+    const pairs = parse(text);
+
+    expect(pairs.slice(0, 5)).toEqual([
+      [0, 'SECTION'],
+      [2, 'HEADER'],
+      [9, '$ACADVER'],
+      [1, 'AC1009'],
+      [9, '$INSBASE']
+    ]);
+    expect(pairs.at(-1)).toEqual([0, 'EOF']);
+    const insunits = pairs.findIndex(([, v]) => v === '$INSUNITS');
+    expect(pairs[insunits + 1]).toEqual([70, '6']);
+
+    const layers = new Map();
+    pairs.forEach(([c, v], i) => {
+      if (c === 0 && v === 'LAYER') layers.set(pairs[i + 1][1], pairs[i + 3][1]);
+    });
+    expect([...layers.keys()]).toEqual([
+      '0',
+      'Beke_barlang-first_survey',
+      'Beke_barlang-SPLAYS',
+      'Beke_barlang-LABELS'
+    ]);
+    expect(layers.get('Beke_barlang-first_survey')).toBe('1'); // red
+    expect(layers.get('Beke_barlang-SPLAYS')).toBe('4'); // cyan
+
+    const all = entities(pairs);
+    const polylines = all.filter((e) => e.type === 'POLYLINE');
+    // A-B-C is continuous, A-D starts a new polyline
+    expect(polylines).toHaveLength(2);
+    expect(polylines.every((p) => value(p, 70) === '8' && value(p, 8) === 'Beke_barlang-first_survey')).toBe(true);
+    const vertices = all.filter((e) => e.type === 'VERTEX');
+    expect(vertices).toHaveLength(5);
+    expect(value(vertices[1], 10)).toBe('10');
+    expect(parseFloat(value(vertices[2], 30))).toBeCloseTo(5, 6);
+
+    const lines = all.filter((e) => e.type === 'LINE');
+    expect(lines).toHaveLength(1);
+    expect(value(lines[0], 8)).toBe('Beke_barlang-SPLAYS');
+    expect(all.filter((e) => e.type === 'TEXT').map((e) => value(e, 1))).toEqual(['A', 'B', 'C', 'D']);
+  });
+
+  it('projects to a profile plane and converts the units', () => {
+    const cave = makeCave('cave', SHOTS);
+    const text = DXFExporter.getText(new Map([[cave.name, cave]]), {
+      projection     : DXFProjection.PROFILE,
+      profileAzimuth : 0,
+      units          : 'feet',
+      grid           : false
+    });
+    const all = entities(parse(text));
+    const vertices = all.filter((e) => e.type === 'VERTEX');
+    // looking north the east-west axis is horizontal and the elevation is vertical
+    expect(parseFloat(value(vertices[1], 10))).toBeCloseTo(10 / 0.3048, 4);
+    expect(parseFloat(value(vertices[2], 20))).toBeCloseTo(5 / 0.3048, 4);
+    expect(vertices.every((v) => value(v, 30) === '0' && value(v, 70) === '0')).toBe(true);
+    expect(all.filter((e) => e.type === 'POLYLINE').every((p) => value(p, 70) === '0')).toBe(true);
+  });
+
+  it('writes the LRUD walls and a grid', () => {
+    const cave = makeCave(
+      'cave',
+      [new Shot(0, ShotType.CENTER, 'A', 'B', 10, 0, 0)],
+      [new StationDimension('A', 1, 2, 3, 4), new StationDimension('B', 1, 2, 3, 4)]
+    );
+    const text = DXFExporter.getText(new Map([[cave.name, cave]]), { projection: DXFProjection.PLAN });
+    const lines = entities(parse(text)).filter((e) => e.type === 'LINE');
+    const walls = lines.filter((e) => value(e, 8) === 'cave-LRUD');
+    // the up-down lines collapse to points in plan view
+    expect(walls).toHaveLength(4);
+    const leftWall = walls[0];
+    expect([10, 20, 11, 21].map((c) => parseFloat(value(leftWall, c)))).toEqual([-1, 0, -1, 10]);
+    expect(lines.some((e) => value(e, 8) === 'GRID')).toBe(true);
+  });
+
+  it('maps colors to the nearest color index', () => {
+    expect(DXFExporter.toColorIndex('#ff0000')).toBe(1);
+    expect(DXFExporter.toColorIndex('#ffffff')).toBe(7);
+    expect(DXFExporter.toColorIndex('#333333')).toBe(250);
+    expect(DXFExporter.getPalette()).toHaveLength(256);
+    expect(DXFExporter.getGridSpacing(340)).toBe(50);
+    expect(DXFExporter.getGridSpacing(9)).toBe(1);
+  });
+});
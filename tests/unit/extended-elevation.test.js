@@ -0,0 +1,136 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { Survey, Shot, ShotType } = await import('../../src/model/survey.js');
+const { Cave, ExtendedElevation } = await import('../../src/model/cave.js');
+const { Vector } = await import('../../src/model.js');
+const { SurveyHelper } = await import('../../src/survey.js');
+const { ExtendedElevationCalculator } = await import('../../src/utils/extended-elevation.js');
+
+const C = ShotType.CENTER;
+
+function makeCave(surveys) {
+  const cave = new Cave(
+    'cave',
+    undefined,
+    undefined,
+    new Map(),
+    surveys.map(
+      ([name, start, rows]) =>
+        new Survey(
+          name,
+          true,
+          undefined,
+          start,
+          rows.map(([from, to, length, azimuth, clino], id) => new Shot(id, C, from, to, length, azimuth, clino))
+        )
+    )
+  );
+  cave.stations = SurveyHelper.calculateCaveStations(cave);
+  return cave;
+}
+
+// A-B goes east, B-C goes north and up, A-D goes west, C-A closes a loop
+const SHOTS = [
+  ['A', 'B', 10, 90, 0],
+  ['B', 'C', 10, 0, 30],
+  ['A', 'D', 5, 270, 0],
+  ['C', 'A', 1, 0, 0]
+];
+
+const x = (layout, name) => layout.getPosition(name).x;
+
+describe('ExtendedElevationCalculator', () => {
+  it('unfolds the shots with their horizontal length and keeps the elevations', () => {
+    const cave = makeCave([['first', 'A', SHOTS]]);
+    const layout = ExtendedElevationCalculator.getLayout(cave);
+
+    expect(layout.start).toBe('A');
+    expect(x(layout, 'A')).toBe(0);
+    expect(x(layout, 'B')).toBeCloseTo(10, 9);
+    expect(x(layout, 'C')).toBeCloseTo(10 + 10 * Math.cos(Math.PI / 6), 9);
+    expect(layout.getPosition('C').z).toBeCloseTo(5, 9);
+    // every station inherits the direction of the start station
+    expect(x(layout, 'D')).toBeCloseTo(5, 9);
+    expect(layout.legs.map((l) => `${l.from}-${l.to}`)).toEqual(['A-B', 'B-C', 'A-D']);
+    expect(layout.breaks.map((l) => `${l.from}-${l.to}`)).toEqual(['A-C']);
+  });
+
+  it('starts the unfolding from the chosen station', () => {
+    const cave = makeCave([['first', 'A', SHOTS]]);
+    cave.extendedElevation.start = 'C';
+    const layout = ExtendedElevationCalculator.getLayout(cave);
+
+    expect(layout.start).toBe('C');
+    expect(x(layout, 'C')).toBe(0);
+    expect(layout.getPosition('B').parent).toBe('C');
+    expect(layout.breaks).toHaveLength(1);
+  });
+
+  it('flips a station and the stations after it and keeps the overrides minimal', () => {
+    const cave = makeCave([['first', 'A', SHOTS]]);
+
+    expect(ExtendedElevationCalculator.flip(cave, 'D')).toBe(true);
+    expect(cave.extendedElevation.getDirection('D')).toBe(ExtendedElevation.LEFT);
+    expect(x(ExtendedElevationCalculator.getLayout(cave), 'D')).toBeCloseTo(-5, 9);
+
+    expect(ExtendedElevationCalculator.flip(cave, 'B')).toBe(true);
+    const flipped = ExtendedElevationCalculator.getLayout(cave);
+    expect(x(flipped, 'B')).toBeCloseTo(-10, 9);
+    expect(flipped.getPosition('C').direction).toBe(ExtendedElevation.LEFT);
+
+    // flipping back to the inherited direction removes the override
+    ExtendedElevationCalculator.flip(cave, 'D');
+    expect(cave.extendedElevation.directions.has('D')).toBe(false);
+    expect(ExtendedElevationCalculator.flip(cave, 'unknown')).toBe(false);
+  });
+
+  it('places the unconnected parts next to each other', () => {
+    const cave = makeCave([
+      ['first', 'A', SHOTS.slice(0, 3)],
+      ['second', 'X', [['X', 'Y', 4, 0, 0]]]
+    ]);
+    // the second survey is not connected, its stations are placed by hand
+    cave.stations.set('X', { position: new Vector(100, 0, -3) });
+    cave.stations.set('Y', { position: new Vector(100, 4, -3) });
+    cave.extendedElevation.setDirection('X', ExtendedElevation.LEFT);
+
+    const layout = ExtendedElevationCalculator.getLayout(cave);
+    const maxX = Math.max(x(layout, 'C'), x(layout, 'D'));
+    // Y unfolds to the left of X, the leftmost station of the part is after the gap
+    expect(x(layout, 'Y')).toBeCloseTo(maxX + 10, 9);
+    expect(x(layout, 'X')).toBeCloseTo(maxX + 14, 9);
+    expect(layout.getPosition('X').z).toBe(-3);
+  });
+});
+
+describe('ExtendedElevation', () => {
+  it('exports and restores the settings of a cave', () => {
+    const cave = makeCave([['first', 'A', SHOTS]]);
+    cave.extendedElevation.start = 'B';
+    cave.extendedElevation.setDirection('D', ExtendedElevation.LEFT);
+
+    const exported = cave.toExport();
+    expect(exported.extendedElevation).toEqual({ start: 'B', directions: [{ station: 'D', direction: 'left' }] });
+
+    const restored = Cave.fromPure(JSON.parse(JSON.stringify(exported)), { schemaVersion: 1 });
+    expect(restored.extendedElevation).toBeInstanceOf(ExtendedElevation);
+    expect(restored.extendedElevation.start).toBe('B');
+    expect(restored.extendedElevation.getDirection('D')).toBe(ExtendedElevation.LEFT);
+
+    // caves saved before the extended elevation have the default settings
+    delete exported.extendedElevation;
+    expect(Cave.fromPure(exported, { schemaVersion: 1 }).extendedElevation.directions.size).toBe(0);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+const { Geomagnetism, GeomagneticModel, DeclinationSource } = await import('../../src/utils/geomagnetism.js');
+const { Declination, UTMConverter } = await import('../../src/utils/geo.js');
+const { GeoData, StationWithCoordinate, UTMCoordinateSystem, UTMCoordinateWithElevation } = await import(
+  '../../src/model/geo.js'
+);
+
+// test values of the WMM technical reports: decimal year, height (km), latitude, longitude, X, Y, Z (nT), I, D (°)
+const WMM_TEST_VALUES = [
+  [2020.0, 28, 89, -121, -575.7, -1396.0, 56082.3, 88.46, -112.41],
+  [2020.0, 65, 43, 93, 24375.3, 303.2, 49691.4, 63.87, 0.71],
+  [2020.0, 3, -50, -103, 19684.4, 10512.2, -31883.6, -55.01, 28.1],
+  [2022.5, 8, 62, 53, 12336.1, 4236.6, 54498.1, 76.54, 18.95],
+  [2022.5, 0, -13, -59, 21797.3, -6520.6, -5425.9, -13.41, -16.65],
+  [2025.0, 48, 80, -96, 1875.98, -1079.27, 55623.04, 87.77, -29.91],
+  [2025.0, 51, -33, 109, 21737.78, -2090.27, -52710.0, -67.5, -5.49],
+  [2025.0, 18, 0, 21, 29274.81, 659.8, -14316.72, -26.06, 1.29]
+];
+
+function toDate(decimalYear) {
+  const year = Math.floor(decimalYear);
+  const start = new Date(year, 0, 1);
+  const end = new Date(year + 1, 0, 1);
+  return new Date(start.getTime() + (decimalYear - year) * (end - start));
+}
+
+describe('Geomagnetism', () => {
+  it.each(WMM_TEST_VALUES)(
+    'matches the WMM test values at %f, %i km, %i°, %i°',
+    (year, height, lat, lon, x, y, z, inclination, declination) => {
+      const field = Geomagnetism.getField(lat, lon, toDate(year), height * 1000);
+      expect(field.x).toBeCloseTo(x, 0);
+      expect(field.y).toBeCloseTo(y, 0);
+      expect(field.z).toBeCloseTo(z, 0);
+      expect(field.inclination).toBeCloseTo(inclination, 1);
+      expect(field.declination).toBeCloseTo(declination, 1);
+    }
+  );
+
+  it('selects the model by date', () => {
+    expect(Geomagnetism.getModel(new Date(2018, 5, 1)).name).toBe('WMM2015v2');
+    expect(Geomagnetism.getModel(new Date(2024, 11, 31)).name).toBe('WMM2020');
+    expect(Geomagnetism.getModel(new Date(2026, 0, 1)).name).toBe('WMM2025');
+    expect(Geomagnetism.getModel(new Date(2010, 0, 1))).toBeUndefined();
+    expect(Geomagnetism.getDeclination(47.5, 19, new Date(2031, 0, 1))).toBeUndefined();
+  });
+});
+
+describe('GeomagneticModel.fromIgrf', () => {
+  // a degree 2 table in the layout of the igrfNNcoeffs.txt files
+  const table = `
+# a comment
+c/s deg ord DGRF DGRF IGRF SV
+g/h n m 1900.0 1905.0 1910.0 1910-15
+g 1 0 -31543 -31464 -31354 22.0
+g 1 1 -2298 -2298 -2297 1.0
+h 1 1 5922 5909 5898 -2.0
+g 2 0 -677 -728 -769 -8.0
+g 2 1 2905 2928 2948 4.0
+h 2 1 -1061 -1086 -1128 -6.0
+g 2 2 924 1041 1176 20.0
+h 2 2 1121 1065 1000 -10.0`;
+
+  const model = (epoch, rows) => new GeomagneticModel('expected', epoch, rows.join('\n'), 5);
+
+  it('creates a model for each epoch', () => {
+    const models = GeomagneticModel.fromIgrf('IGRF', table);
+    expect(models.map((m) => [m.name, m.validFrom, m.validTo])).toEqual([
+      ['IGRF 1900', 1900, 1905],
+      ['IGRF 1905', 1905, 1910],
+      ['IGRF 1910', 1910, 1915]
+    ]);
+    expect(GeomagneticModel.fromIgrf('IGRF', '')).toEqual([]);
+  });
+
+  it('interpolates the coefficients linearly between the epochs', () => {
+    const [first] = GeomagneticModel.fromIgrf('IGRF', table);
+    const expected = model(1902.5, [
+      '1 0 -31503.5 0 0 0',
+      '1 1 -2298 5915.5 0 0',
+      '2 0 -702.5 0 0 0',
+      '2 1 2916.5 -1073.5 0 0',
+      '2 2 982.5 1093 0 0'
+    ]);
+    const field = first.getField(47.5, 19, 1902.5);
+    expect(field.x).toBeCloseTo(expected.getField(47.5, 19, 1902.5).x, 6);
+    expect(field.declination).toBeCloseTo(expected.getField(47.5, 19, 1902.5).declination, 9);
+  });
+
+  it('extrapolates the last epoch with the secular variation', () => {
+    const last = GeomagneticModel.fromIgrf('IGRF', table)[2];
+    const expected = model(1912, [
+      '1 0 -31310 0 0 0',
+      '1 1 -2295 5894 0 0',
+      '2 0 -785 0 0 0',
+      '2 1 2956 -1140 0 0',
+      '2 2 1216 980 0 0'
+    ]);
+    expect(last.getField(-33, 109, 1912).declination).toBeCloseTo(expected.getField(-33, 109, 1912).declination, 9);
+  });
+});
+
+describe('Declination', () => {
+  const cache = { get: async () => null, set: async () => {} };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('falls back to the bundled model without network', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+    const date = new Date(2026, 2, 1);
+    const result = await Declination.getDeclination(cache, 47.5, 19, date);
+    expect(result.source).toBe('WMM2025');
+    expect(result.declination).toBeCloseTo(Geomagnetism.getDeclination(47.5, 19, date), 6);
+  });
+
+  it('does not call NOAA when the model is the selected source', async () => {
+    const fetch = vi.fn();
+    vi.stubGlobal('fetch', fetch);
+    const result = await Declination.getDeclination(
+      cache,
+      47.5,
+      19,
+      new Date(2021, 0, 1),
+      3000,
+      DeclinationSource.MODEL
+    );
+    expect(result.source).toBe('WMM2020');
+    expect(fetch).not.toHaveBeenCalled();
+    await expect(
+      Declination.getDeclination(cache, 47.5, 19, new Date(1995, 0, 1), 3000, DeclinationSource.MODEL)
+    ).rejects.toThrow('errors.utils.geo.noGeomagneticModel');
+  });
+
+  it('rethrows the NOAA error when the date is not covered by the model', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+    await expect(Declination.getDeclination(cache, 47.5, 19, new Date(1995, 0, 1))).rejects.toThrow('Failed to fetch');
+  });
+
+  it('calculates the declination of a cave at its first fixed station', () => {
+    const coordinateSystem = new UTMCoordinateSystem(34, true);
+    const { easting, northing } = UTMConverter.fromLatLon(47.5, 19);
+    const geoData = new GeoData(coordinateSystem, [
+      new StationWithCoordinate('A0', new UTMCoordinateWithElevation(easting, northing, 300))
+    ]);
+    const date = new Date(2021, 5, 1);
+    expect(Declination.getCaveDeclination(geoData, date)).toBeCloseTo(
+      Geomagnetism.getDeclination(47.5, 19, date, 300),
+      3
+    );
+    expect(Declination.getCaveDeclination(geoData, new Date(1995, 0, 1))).toBeUndefined();
+    expect(Declination.getCaveDeclination(geoData, undefined)).toBeUndefined();
+    expect(Declination.getCaveDeclination(new GeoData(coordinateSystem, []), date)).toBeUndefined();
+  });
+});
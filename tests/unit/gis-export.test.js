@@ -0,0 +1,138 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Vector } from '../../src/model.js';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/ui/popups.js', () => ({
+  showErrorPanel   : vi.fn(),
+  showWarningPanel : vi.fn(),
+  showInfoPanel    : vi.fn()
+}));
+
+vi.mock('../../src/ui/coordinate-system-dialog.js', () => ({
+  CoordinateSystemDialog : class {
+    async show() {
+      return { coordinateSystem: undefined, coordinates: [] };
+    }
+  }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+vi.mock('../../src/model/geo.js', async () => {
+  const actual = await vi.importActual('../../src/model/geo.js');
+  const origUTM = actual.UTMCoordinateWithElevation;
+  class UTMCoordWithNorm extends origUTM {
+    toNormalizedVector() {
+      return new Vector(this.easting, this.northing, this.elevation);
+    }
+  }
+  return { ...actual, UTMCoordinateWithElevation: UTMCoordWithNorm };
+});
+
+const { SurvexImporter } = await import('../../src/io/survex-importer.js');
+const { GeoJSONExporter, GeoJSONLineMode, GPXExporter } = await import('../../src/io/gis-exporter.js');
+const { UTMConverter } = await import('../../src/utils/geo.js');
+
+function importSvx(text) {
+  return new SurvexImporter(null, null, null, null).getCave(new Map([['main.svx', text]]));
+}
+
+const GEO = `
+*title "Baradla"
+*cs UTM34N
+*begin entrance
+  *date 2023.05.14
+  *fix 0 350000 5300000 400
+  *data normal from to tape compass clino
+  0 1 10 90 0
+  1 2 10 180 -30
+  *flags splay
+  2 - 2 0 0
+*end entrance
+`;
+
+const LOCAL = `
+*title "Local"
+*begin local
+  *data normal from to tape compass clino
+  0 1 10 90 0
+*end local
+`;
+
+describe('GeoJSONExporter', () => {
+
+  it('exports a line for every center shot and a point for every station and entrance', async () => {
+    const cave = await importSvx(GEO);
+    const { featureCollection, skipped } = GeoJSONExporter.getFeatureCollection([cave]);
+    expect(skipped).toEqual([]);
+    expect(featureCollection.type).toBe('FeatureCollection');
+
+    const byKind = (kind) => featureCollection.features.filter((f) => f.properties.kind === kind);
+    const shots = byKind('shot');
+    expect(shots.map((f) => [f.properties.from, f.properties.to])).toEqual([
+      ['0', '1'],
+      ['1', '2']
+    ]);
+    expect(shots[0].geometry.type).toBe('LineString');
+    expect(shots[0].properties.length).toBeCloseTo(10, 3);
+
+    const stations = byKind('station');
+    expect(stations.map((f) => f.properties.station)).toEqual(['0', '1', '2']);
+    const deepest = stations.find((f) => f.properties.station === '2');
+    expect(deepest.properties.elevation).toBeCloseTo(395, 3);
+    expect(deepest.properties.depth).toBeCloseTo(5, 3);
+    expect(deepest.properties.survey).toBe('entrance');
+
+    const [entrance] = byKind('entrance');
+    const { latitude, longitude } = UTMConverter.toLatLon(350000, 5300000, 34, undefined, true);
+    expect(entrance.geometry.coordinates[0]).toBeCloseTo(longitude, 7);
+    expect(entrance.geometry.coordinates[1]).toBeCloseTo(latitude, 7);
+    expect(entrance.geometry.coordinates[2]).toBe(400);
+    expect(entrance.properties.station).toBe('0');
+
+    // station 1 is 10 m east of the entrance
+    const east = stations.find((f) => f.properties.station === '1').geometry.coordinates;
+    expect(east[0]).toBeGreaterThan(entrance.geometry.coordinates[0]);
+    expect(east[1]).toBeCloseTo(entrance.geometry.coordinates[1], 5);
+  });
+
+  it('exports a multi line for every survey and skips caves without geo data', async () => {
+    const caves = [await importSvx(GEO), await importSvx(LOCAL)];
+    const { featureCollection, skipped } = GeoJSONExporter.getFeatureCollection(caves, GeoJSONLineMode.SURVEY);
+    expect(skipped).toEqual(['Local']);
+
+    const surveys = featureCollection.features.filter((f) => f.properties.kind === 'survey');
+    expect(surveys).toHaveLength(1);
+    expect(surveys[0].geometry.type).toBe('MultiLineString');
+    expect(surveys[0].geometry.coordinates).toHaveLength(2);
+    expect(surveys[0].properties).toMatchObject({ cave: 'Baradla', survey: 'entrance', date: '2023.05.14', shots: 2 });
+    expect(featureCollection.features.every((f) => f.properties.cave === 'Baradla')).toBe(true);
+  });
+});
+
+describe('GPXExporter', () => {
+  it('exports the entrances as waypoints', async () => {
+    const caves = [await importSvx(GEO), await importSvx(LOCAL)];
+    const { text, skipped } = GPXExporter.getText(caves, 'caves & more');
+    const { latitude, longitude } = UTMConverter.toLatLon(350000, 5300000, 34, undefined, true);
+
+    expect(skipped).toEqual(['Local']);
+    expect(text).toContain('<gpx version="1.1" creator="Speleo Studio"');
+    expect(text).toContain('<name>caves &amp; more</name>');
+    const [, lat, lon] = text.match(/<wpt lat="([-\d.]+)" lon="([-\d.]+)">/);
+    expect(parseFloat(lat)).toBeCloseTo(latitude, 7);
+    expect(parseFloat(lon)).toBeCloseTo(longitude, 7);
+    expect(text).toContain('<ele>400</ele>');
+    expect(text).toContain('<name>Baradla - 0</name>');
+    expect(text.match(/<wpt /g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,236 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/ui/popups.js', () => ({
+  showErrorPanel   : vi.fn(),
+  showWarningPanel : vi.fn(),
+  showInfoPanel    : vi.fn()
+}));
+
+vi.mock('../../src/ui/coordinate-system-dialog.js', () => ({
+  CoordinateSystemDialog : class {
+    async show() {
+      return { coordinateSystem: undefined, coordinates: [] };
+    }
+  }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { LoxImporter } = await import('../../src/io/lox-importer.js');
+
+// ─── .lox writer ─────────────────────────────────────────────────────────────
+
+const encoder = new TextEncoder();
+
+function chunk(type, recSize, records, writeRecord) {
+  const aux = [];
+  let auxSize = 0;
+  const addString = (str) => {
+    const bytes = encoder.encode(`${str}\0`);
+    const position = auxSize;
+    aux.push(bytes);
+    auxSize += bytes.length;
+    return [position, bytes.length];
+  };
+  const recBuffer = new ArrayBuffer(recSize * records.length);
+  const view = new DataView(recBuffer);
+  records.forEach((r, i) => writeRecord(view, i * recSize, r, addString));
+
+  const header = new DataView(new ArrayBuffer(16));
+  header.setUint32(0, type, true);
+  header.setUint32(4, recBuffer.byteLength, true);
+  header.setUint32(8, records.length, true);
+  header.setUint32(12, auxSize, true);
+  return [new Uint8Array(header.buffer), new Uint8Array(recBuffer), ...aux];
+}
+
+function writePtr(view, pos, [position, size]) {
+  view.setUint32(pos, position, true);
+  view.setUint32(pos + 4, size, true);
+}
+
+function buildLox({ surveys = [], stations = [], shots = [], scraps = [] }) {
+  const parts = [
+    ...chunk(1, 24, surveys, (v, p, s, str) => {
+      v.setUint32(p, s.id, true);
+      writePtr(v, p + 4, str(s.name));
+      v.setUint32(p + 12, s.parent, true);
+      writePtr(v, p + 16, str(s.title ?? ''));
+    }),
+    ...chunk(2, 52, stations, (v, p, s, str) => {
+      v.setUint32(p, s.id, true);
+      v.setUint32(p + 4, s.survey, true);
+      writePtr(v, p + 8, str(s.name));
+      writePtr(v, p + 16, str(s.comment ?? ''));
+      v.setUint32(p + 24, s.flags ?? 0, true);
+      v.setFloat64(p + 28, s.x, true);
+      v.setFloat64(p + 36, s.y, true);
+      v.setFloat64(p + 44, s.z, true);
+    }),
+    ...chunk(3, 92, shots, (v, p, s) => {
+      v.setUint32(p, s.from, true);
+      v.setUint32(p + 4, s.to, true);
+      (s.fromLrud ?? [0, 0, 0, 0]).forEach((value, i) => v.setFloat64(p + 8 + i * 8, value, true));
+      (s.toLrud ?? [0, 0, 0, 0]).forEach((value, i) => v.setFloat64(p + 40 + i * 8, value, true));
+      v.setUint32(p + 72, s.flags ?? 0, true);
+      v.setUint32(p + 80, s.survey, true);
+      v.setFloat64(p + 84, 60, true);
+    })
+  ];
+  if (scraps.length > 0) {
+    // one scrap with a single triangle
+    const header = new DataView(new ArrayBuffer(16));
+    const rec = new DataView(new ArrayBuffer(32));
+    const aux = new DataView(new ArrayBuffer(3 * 24 + 12));
+    scraps.forEach((pt, i) => pt.forEach((c, j) => aux.setFloat64(i * 24 + j * 8, c, true)));
+    [0, 1, 2].forEach((idx, i) => aux.setUint32(72 + i * 4, idx, true));
+    rec.setUint32(8, 3, true);
+    rec.setUint32(12, 0, true);
+    rec.setUint32(16, 72, true);
+    rec.setUint32(20, 1, true);
+    rec.setUint32(24, 72, true);
+    rec.setUint32(28, 12, true);
+    header.setUint32(0, 4, true);
+    header.setUint32(4, 32, true);
+    header.setUint32(8, 1, true);
+    header.setUint32(12, aux.byteLength, true);
+    parts.push(new Uint8Array(header.buffer), new Uint8Array(rec.buffer), new Uint8Array(aux.buffer));
+  }
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out.buffer;
+}
+
+// root survey (no name) → cave → two surveys
+const SURVEYS = [
+  { id: 0, name: '', parent: 0 },
+  { id: 1, name: 'baradla', parent: 0, title: 'Baradla Cave' },
+  { id: 2, name: 'entrance', parent: 1 },
+  { id: 3, name: 'lower', parent: 1, title: 'Lower Series' }
+];
+
+const X0 = 350000;
+const Y0 = 5300000;
+
+const STATIONS = [
+  // lower survey first, the importer must start from the fixed station
+  { id: 10, survey: 3, name: '3', x: X0 + 10, y: Y0 + 5, z: 395 },
+  { id: 11, survey: 3, name: '4', x: X0 + 10, y: Y0 - 5, z: 390 },
+  { id: 1, survey: 2, name: '1', x: X0, y: Y0, z: 400, flags: 4, comment: 'entrance' },
+  { id: 2, survey: 2, name: '2', x: X0 + 10, y: Y0, z: 400 },
+  { id: 3, survey: 2, name: '', x: X0 + 10, y: Y0 + 2, z: 400 },
+  { id: 4, survey: 2, name: '2a', x: X0 + 10, y: Y0, z: 402 },
+  { id: 5, survey: 2, name: '3', x: X0 + 10, y: Y0 + 5, z: 395 },
+  { id: 6, survey: 2, name: 'S1', x: X0 - 20, y: Y0, z: 410 }
+];
+
+const SHOTS = [
+  { from: 10, to: 11, survey: 3 },
+  { from: 1, to: 2, survey: 2, fromLrud: [1, 2, 3, 0.5], toLrud: [0.5, 0.5, 1, 1] },
+  { from: 2, to: 3, survey: 2, flags: 16 },
+  { from: 2, to: 4, survey: 2, flags: 2 },
+  { from: 2, to: 5, survey: 2, flags: 8, fromLrud: [9, 9, 9, 9] },
+  { from: 1, to: 6, survey: 2, flags: 1 }
+];
+
+describe('LoxImporter cave import', () => {
+
+  it('builds surveys from the lox survey tree', async () => {
+    const cave = await new LoxImporter().getCave(
+      buildLox({ surveys: SURVEYS, stations: STATIONS, shots: SHOTS }),
+      'b.lox'
+    );
+    expect(cave.name).toBe('Baradla Cave');
+    expect(cave.surveys.map((s) => s.name)).toEqual(['baradla.entrance', 'Lower Series']);
+    expect(cave.surveys[0].start).toBe('1');
+  });
+
+  it('converts the station coordinates into shots', async () => {
+    const cave = await new LoxImporter().getCave(
+      buildLox({ surveys: SURVEYS, stations: STATIONS, shots: SHOTS }),
+      'b.lox'
+    );
+    const first = cave.surveys[0].shots[0];
+    expect(first.from).toBe('1');
+    expect(first.to).toBe('2');
+    expect(first.length).toBeCloseTo(10, 6);
+    expect(first.azimuth).toBeCloseTo(90, 6);
+    expect(first.clino).toBeCloseTo(0, 6);
+
+    // station 3 is shared by the two surveys, positions are relative to the fixed station
+    STATIONS.filter((st) => st.name !== '').forEach((st) => {
+      const position = cave.stations.get(st.name).position;
+      expect(position.x).toBeCloseTo(st.x - X0, 3);
+      expect(position.y).toBeCloseTo(st.y - Y0, 3);
+      expect(position.z).toBeCloseTo(st.z - 400, 3);
+    });
+  });
+
+  it('respects the splay, duplicate and surface flags', async () => {
+    const cave = await new LoxImporter().getCave(
+      buildLox({ surveys: SURVEYS, stations: STATIONS, shots: SHOTS }),
+      'b.lox'
+    );
+    const types = Object.fromEntries(cave.surveys[0].shots.map((sh) => [`${sh.from}-${sh.to}`, sh.type]));
+    expect(types).toEqual({
+      '1-2'         : 'center',
+      '2-undefined' : 'splay',
+      '2-2a'        : 'auxiliary',
+      '2-3'         : 'center',
+      '1-S1'        : 'auxiliary'
+    });
+  });
+
+  it('imports LRUD and station comments', async () => {
+    const cave = await new LoxImporter().getCave(
+      buildLox({ surveys: SURVEYS, stations: STATIONS, shots: SHOTS }),
+      'b.lox'
+    );
+    const dims = Object.fromEntries(cave.stationDimensions.map((sd) => [sd.name, [sd.left, sd.right, sd.up, sd.down]]));
+    expect(dims['1']).toEqual([1, 2, 3, 0.5]);
+    expect(dims['2']).toEqual([0.5, 0.5, 1, 1]);
+    expect(cave.stationComments.map((c) => [c.name, c.comment])).toEqual([['1', 'entrance']]);
+  });
+
+  it('passes the scrap mesh as a model aligned with the cave', async () => {
+    const lox = buildLox({
+      surveys  : SURVEYS,
+      stations : STATIONS,
+      shots    : SHOTS,
+      scraps   : [
+        [X0, Y0, 400],
+        [X0 + 1, Y0, 400],
+        [X0, Y0 + 1, 401]
+      ]
+    });
+    const onCaveLoad = vi.fn();
+    await new LoxImporter().importCaveData(lox, onCaveLoad, 'b.lox');
+    const [cave, model] = onCaveLoad.mock.calls[0];
+    expect(cave.surveys).toHaveLength(2);
+    expect(model.modelFile.type).toBe('lox');
+    const positions = model.object3D.children[0].geometry.getAttribute('position').array;
+    expect([...positions.slice(0, 3)]).toEqual([0, 0, 0]);
+    expect(model.object3D.children.some((c) => c.userData.isLoxCenterline)).toBe(false);
+  });
+
+  it('rejects a file without shots', async () => {
+    await expect(
+      new LoxImporter().getCave(buildLox({ surveys: SURVEYS, stations: STATIONS }), 'b.lox')
+    ).rejects.toThrow('errors.import.loxNoShots');
+  });
+});
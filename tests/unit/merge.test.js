@@ -0,0 +1,190 @@
+import { describe, it, expect } from 'vitest';
+import { CaveMerge, MergeSide, MergeItemType } from '../../src/utils/merge.js';
+
+const shot = (from, to, length, azimuth = 0, clino = 0) => ({ type: 'center', from, to, length, azimuth, clino });
+
+function baseCave() {
+  return {
+    id                : 'c1',
+    version           : 1,
+    revision          : 3,
+    name              : 'Cave',
+    metadata          : { country: 'Hungary', region: 'Bükk' },
+    aliases           : [{ from: 'A', to: 'X1' }],
+    attributes        : { sectionAttributes: [], componentAttributes: [], stationAttributes: [], schemaVersion: 6 },
+    stationComments   : [{ name: 'A', comment: 'entrance' }],
+    stationDimensions : [{ name: 'B', left: 1, right: 1, up: 2, down: 0.5 }],
+    surveys           : [
+      {
+        name     : 'S1',
+        start    : 'A',
+        metadata : { date: 1704067200000, declination: 4 },
+        units    : { length: 'meters', angle: 'degrees' },
+        shots    : [shot('A', 'B', 10), shot('B', 'C', 5, 90)]
+      },
+      {
+        name  : 'S2',
+        units : { length: 'meters', angle: 'degrees' },
+        shots : [shot('C', 'D', 7, 180), { type: 'splay', from: 'D', length: 2, azimuth: 0, clino: 0 }]
+      }
+    ]
+  };
+}
+
+describe('CaveMerge', () => {
+  it('merges changes of different surveys', () => {
+    const base = baseCave();
+    const local = baseCave();
+    local.surveys[0].shots[1].length = 5.5;
+    const remote = baseCave();
+    remote.surveys[1].shots.push(shot('D', 'E', 3));
+    remote.revision = 4;
+
+    const { cave, conflicts } = CaveMerge.merge(base, local, remote);
+    expect(conflicts).toEqual([]);
+    expect(cave.revision).toBe(3);
+    expect(cave.surveys[0].shots[1].length).toBe(5.5);
+    expect(cave.surveys[1].shots.map((s) => s.to)).toEqual(['D', undefined, 'E']);
+  });
+
+  it('merges different fields of the same shot', () => {
+    const local = baseCave();
+    local.surveys[0].shots[0].azimuth = 1;
+    const remote = baseCave();
+    remote.surveys[0].shots[0].comment = 'rope';
+
+    const { cave, conflicts } = CaveMerge.merge(baseCave(), local, remote);
+    expect(conflicts).toEqual([]);
+    expect(cave.surveys[0].shots[0]).toEqual({ ...shot('A', 'B', 10, 1), comment: 'rope' });
+  });
+
+  it('keeps the additions and deletions of both sides in order', () => {
+    const local = baseCave();
+    local.surveys.push({ name: 'S3', shots: [shot('E', 'F', 4)] });
+    local.stationComments = [];
+    local.aliases.push({ from: 'B', to: 'X2' });
+    const remote = baseCave();
+    remote.surveys[0].shots.splice(1, 0, shot('B', 'B1', 1));
+    remote.surveys.splice(1, 1);
+    remote.stationDimensions.push({ name: 'C', left: 2 });
+
+    const { cave, conflicts } = CaveMerge.merge(baseCave(), local, remote);
+    expect(conflicts).toEqual([]);
+    expect(cave.surveys.map((s) => s.name)).toEqual(['S1', 'S3']);
+    expect(cave.surveys[0].shots.map((s) => s.to)).toEqual(['B', 'B1', 'C']);
+    expect(cave.stationComments).toEqual([]);
+    expect(cave.aliases).toEqual([
+      { from: 'A', to: 'X1' },
+      { from: 'B', to: 'X2' }
+    ]);
+    expect(cave.stationDimensions.map((sd) => sd.name)).toEqual(['B', 'C']);
+  });
+
+  it('reports overlapping changes and applies the resolutions', () => {
+    const local = baseCave();
+    local.surveys[0].shots[0].length = 10.2;
+    local.stationDimensions[0].up = 3;
+    local.metadata.region = 'Bukk';
+    const remote = baseCave();
+    remote.surveys[0].shots[0].length = 12;
+    remote.stationDimensions[0].up = 4;
+    remote.stationDimensions[0].down = 1;
+    remote.metadata.settlement = 'Miskolc';
+
+    const { cave, conflicts } = CaveMerge.merge(baseCave(), local, remote);
+    expect(conflicts.map((c) => [c.type, c.item, c.field, c.base, c.local, c.remote])).toEqual([
+      [MergeItemType.CAVE, 'Cave', 'metadata', baseCave().metadata, local.metadata, remote.metadata],
+      [MergeItemType.DIMENSION, 'B', 'up', 2, 3, 4],
+      [MergeItemType.SHOT, 'S1: A → B', 'length', 10, 10.2, 12]
+    ]);
+    // unresolved conflicts keep the local value
+    expect(cave.surveys[0].shots[0].length).toBe(10.2);
+    expect(cave.stationDimensions[0]).toEqual({ name: 'B', left: 1, right: 1, up: 3, down: 1 });
+
+    const resolutions = new Map(conflicts.map((c) => [c.id, MergeSide.REMOTE]));
+    const resolved = CaveMerge.merge(baseCave(), local, remote, resolutions).cave;
+    expect(resolved.surveys[0].shots[0].length).toBe(12);
+    expect(resolved.stationDimensions[0].up).toBe(4);
+    expect(resolved.metadata).toEqual(remote.metadata);
+  });
+
+  it('does not pair the splays of a station by their order', () => {
+    const splay = (azimuth, comment) => ({ type: 'splay', from: 'B', length: 2, azimuth, clino: 0, comment });
+    const withSplays = () => {
+      const cave = baseCave();
+      cave.surveys[0].shots.push(splay(0), splay(90), splay(180));
+      return cave;
+    };
+    const local = withSplays();
+    local.surveys[0].shots.splice(2, 1);
+    const remote = withSplays();
+    remote.surveys[0].shots[3].comment = 'chimney';
+
+    const { cave, conflicts } = CaveMerge.merge(withSplays(), local, remote);
+    expect(conflicts.map((c) => [c.type, c.item, c.field])).toEqual([[MergeItemType.SHOT, 'S1: B → ', undefined]]);
+    expect(conflicts[0].local).toEqual([splay(90), splay(180)]);
+    expect(conflicts[0].remote).toEqual([splay(0), splay(90, 'chimney'), splay(180)]);
+    // the comment is not moved to another splay
+    expect(cave.surveys[0].shots.slice(2)).toEqual([splay(90), splay(180)]);
+
+    const resolutions = new Map([[conflicts[0].id, MergeSide.REMOTE]]);
+    const resolved = CaveMerge.merge(withSplays(), local, remote, resolutions).cave;
+    expect(resolved.surveys[0].shots.slice(2)).toEqual(remote.surveys[0].shots.slice(2));
+
+    // the splays of a station changed on one side only are merged without conflict
+    const other = withSplays();
+    other.surveys[0].shots[1].length = 6;
+    const merged = CaveMerge.merge(withSplays(), local, other);
+    expect(merged.conflicts).toEqual([]);
+    expect(merged.cave.surveys[0].shots.map((sh) => sh.length)).toEqual([10, 6, 2, 2]);
+  });
+
+  it('reports deleted items that have been changed on the other side', () => {
+    const local = baseCave();
+    local.surveys.splice(1, 1);
+    const remote = baseCave();
+    remote.surveys[1].shots[0].clino = -5;
+    remote.stationComments[0].comment = 'upper entrance';
+    local.stationComments = [];
+
+    const { cave, conflicts } = CaveMerge.merge(baseCave(), local, remote);
+    expect(conflicts.map((c) => [c.type, c.item, c.field, c.local])).toEqual([
+      [MergeItemType.COMMENT, 'A', undefined, undefined],
+      [MergeItemType.SURVEY, 'S2', undefined, undefined]
+    ]);
+    expect(cave.surveys.map((s) => s.name)).toEqual(['S1']);
+
+    const resolutions = new Map(conflicts.map((c) => [c.id, MergeSide.REMOTE]));
+    const resolved = CaveMerge.merge(baseCave(), local, remote, resolutions).cave;
+    expect(resolved.surveys.map((s) => s.name)).toEqual(['S1', 'S2']);
+    expect(resolved.surveys[1].shots[0].clino).toBe(-5);
+    expect(resolved.stationComments).toEqual([{ name: 'A', comment: 'upper entrance' }]);
+  });
+
+  it('merges attributes by id', () => {
+    const attribute = (id, name, from, to) => ({ id, section: { from, to }, attribute: { name }, visible: true });
+    const base = baseCave();
+    base.attributes.sectionAttributes = [attribute('a1', 'bat', 'A', 'B')];
+    const local = structuredClone(base);
+    local.attributes.sectionAttributes[0].visible = false;
+    const remote = structuredClone(base);
+    remote.attributes.sectionAttributes.push(attribute('a2', 'water', 'B', 'C'));
+    remote.attributes.sectionAttributes[0].attribute.name = 'bats';
+
+    const { cave, conflicts } = CaveMerge.merge(base, local, remote);
+    expect(cave.attributes.sectionAttributes.map((a) => a.id)).toEqual(['a1', 'a2']);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].type).toBe(MergeItemType.ATTRIBUTE);
+    expect(conflicts[0].item).toBe('A → B (bat)');
+  });
+
+  it('does not modify the input caves', () => {
+    const local = baseCave();
+    const remote = baseCave();
+    remote.surveys[0].shots[0].length = 11;
+    const { cave } = CaveMerge.merge(baseCave(), local, remote);
+    cave.surveys[0].shots[0].length = 1;
+    expect(remote.surveys[0].shots[0].length).toBe(11);
+    expect(local).toEqual(baseCave());
+  });
+});
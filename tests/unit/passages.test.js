@@ -0,0 +1,113 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { Survey, Shot, ShotType, StationDimension } = await import('../../src/model/survey.js');
+const { SurveyHelper } = await import('../../src/survey.js');
+const { PassageGeometry } = await import('../../src/scene/cosmos/passages.js');
+
+function makeCave(shots, dimensions, units) {
+  const survey = new Survey('s', true, undefined, 'A', shots, units);
+  const cave = { surveys: [survey], stations: new Map(), stationDimensions: dimensions };
+  SurveyHelper.recalculateSurvey(0, survey, cave.surveys, cave.stations, [], undefined);
+  return cave;
+}
+
+const ringAt = (tube, ringIndex, k) => {
+  const i = (ringIndex * PassageGeometry.RING_SEGMENTS + k) * 3;
+  return tube.positions.slice(i, i + 3);
+};
+
+describe('PassageGeometry', () => {
+  it('returns undefined without station dimensions', () => {
+    const cave = makeCave([new Shot(0, ShotType.CENTER, 'A', 'B', 10, 0, 0)], []);
+    expect(PassageGeometry.build(cave.surveys[0], cave)).toBeUndefined();
+  });
+
+  it('builds cross-sections perpendicular to a northward leg', () => {
+    const cave = makeCave(
+      [new Shot(0, ShotType.CENTER, 'A', 'B', 10, 0, 0)],
+      [new StationDimension('A', 1, 2, 3, 4), new StationDimension('B', 1, 2, 3, 4)]
+    );
+    const tube = PassageGeometry.build(cave.surveys[0], cave);
+    const n = PassageGeometry.RING_SEGMENTS;
+    expect(tube.positions.length).toBe(2 * n * 3);
+    expect(tube.indices.length).toBe(n * 6);
+
+    // k = 0 is right (east when heading north), k = n/4 is up, k = n/2 is left, 3n/4 is down
+    const right = ringAt(tube, 0, 0);
+    expect(right[0]).toBeCloseTo(2, 6);
+    expect(right[1]).toBeCloseTo(0, 6);
+    expect(ringAt(tube, 0, n / 4)[2]).toBeCloseTo(3, 6);
+    expect(ringAt(tube, 0, n / 2)[0]).toBeCloseTo(-1, 6);
+    expect(ringAt(tube, 1, (3 * n) / 4)[2]).toBeCloseTo(-4, 6);
+    expect(ringAt(tube, 1, 0)[1]).toBeCloseTo(10, 6);
+
+    expect(tube.colorIndices.slice(0, n).every((ci) => ci === 0)).toBe(true);
+    expect(tube.colorIndices.slice(n).every((ci) => ci === 1)).toBe(true);
+  });
+
+  it('orients the cross-section by the bisector of the legs', () => {
+    const cave = makeCave(
+      [new Shot(0, ShotType.CENTER, 'A', 'B', 10, 0, 0), new Shot(1, ShotType.CENTER, 'B', 'C', 10, 90, 0)],
+      [
+        new StationDimension('A', 1, 1, 1, 1),
+        new StationDimension('B', 1, 1, 1, 1),
+        new StationDimension('C', 1, 1, 1, 1)
+      ]
+    );
+    const tube = PassageGeometry.build(cave.surveys[0], cave);
+    // the second ring of the first leg is at B, heading north-east, right side points south-east
+    const right = ringAt(tube, 1, 0);
+    expect(right[0]).toBeCloseTo(Math.SQRT1_2, 6);
+    expect(right[1]).toBeCloseTo(10 - Math.SQRT1_2, 6);
+    // the first ring of the second leg is the same cross-section
+    expect(ringAt(tube, 2, 0)).toEqual(right);
+  });
+
+  it('skips legs without dimensions, converts units and keeps the centerline color order', () => {
+    const cave = makeCave(
+      [
+        new Shot(0, ShotType.CENTER, 'A', 'B', 10, 0, 0),
+        new Shot(1, ShotType.SPLAY, 'B', undefined, 2, 90, 0),
+        new Shot(2, ShotType.CENTER, 'B', 'C', 10, 0, 0)
+      ],
+      [new StationDimension('B', 1, 1, 1, undefined), new StationDimension('C', 1, 1, 1, 1)],
+      { length: 'feet', angle: 'degrees' }
+    );
+    const tube = PassageGeometry.build(cave.surveys[0], cave);
+    expect(tube.positions.length).toBe(2 * PassageGeometry.RING_SEGMENTS * 3);
+    expect(tube.colorIndices[0]).toBe(2);
+    expect(ringAt(tube, 0, 0)[0]).toBeCloseTo(0.3048, 6);
+    // missing down value collapses to the station
+    expect(ringAt(tube, 0, (3 * PassageGeometry.RING_SEGMENTS) / 4)[2]).toBeCloseTo(0, 6);
+  });
+
+  it('builds the surveys of a cave with the shared station data', () => {
+    const cave = makeCave(
+      [new Shot(0, ShotType.CENTER, 'A', 'B', 10, 0, 0), new Shot(1, ShotType.CENTER, 'B', 'C', 10, 90, 0)],
+      [
+        new StationDimension('A', 1, 1, 1, 1),
+        new StationDimension('B', 1, 2, 1, 1),
+        new StationDimension('C', 1, 1, 1, 1)
+      ]
+    );
+    const stationData = PassageGeometry.getStationData(cave);
+    expect(stationData.neighbours.get('B')).toEqual(['A', 'C']);
+    expect(stationData.dimensions.get('B').right).toBe(2);
+    expect(PassageGeometry.build(cave.surveys[0], cave, stationData)).toEqual(
+      PassageGeometry.build(cave.surveys[0], cave)
+    );
+    expect(PassageGeometry.getWalls(cave.surveys[0], cave, stationData)).toHaveLength(2);
+  });
+});
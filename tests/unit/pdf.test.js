@@ -0,0 +1,116 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key, params) => (params?.azimuth !== undefined ? `${key}:${params.azimuth}` : key) }
+}));
+
+const { createSheetProjection, getProfileAzimuth, getScaleBarLength, getCoordinateOffset, getTitleBlock, SheetView } =
+  await import('../../src/io/pdf.js');
+const { PDFDocument } = await import('../../src/utils/pdf-utils.js');
+
+describe('map sheet', () => {
+  it('projects the stations to plan and profile sheets', () => {
+    expect(createSheetProjection(SheetView.PLAN)(3, 4, 5)).toEqual({ x: 3, y: 4 });
+
+    // the default profile camera looks north, east is on the right
+    const north = createSheetProjection(SheetView.PROFILE, Math.PI);
+    expect(north(10, 7, -5).x).toBeCloseTo(10, 9);
+    expect(north(10, 7, -5).y).toBe(-5);
+    expect(getProfileAzimuth(Math.PI)).toBe(0);
+
+    // looking east, south is on the right
+    const east = createSheetProjection(SheetView.PROFILE, -Math.PI / 2);
+    expect(east(0, -10, 2).x).toBeCloseTo(10, 9);
+    expect(getProfileAzimuth(-Math.PI / 2)).toBe(90);
+
+    // the extended elevation is unfolded in the x-z plane
+    expect(createSheetProjection(SheetView.EXTENDED)(12, 0, -3)).toEqual({ x: 12, y: -3 });
+  });
+
+  it('selects a round scale bar length that fits', () => {
+    // 60 mm at 1:100 is 6 m
+    expect(getScaleBarLength(100, 60)).toBe(5);
+    expect(getScaleBarLength(500, 60)).toBe(20);
+    expect(getScaleBarLength(1000, 60)).toBe(50);
+    expect(getScaleBarLength(250, 60)).toBe(10);
+    // 60 mm at 1:100 is 19.7 ft
+    expect(getScaleBarLength(100, 60, 'feet')).toBe(10);
+  });
+
+  it('calculates the offset of the real-world coordinates', () => {
+    const station = (position, projected) => ({ position, coordinates: { projected } });
+    const utm = {
+      stations : new Map([
+        ['0', station({ x: 0, y: 0, z: 0 }, undefined)],
+        ['1', station({ x: 10, y: 20, z: -5 }, { easting: 350010, northing: 5300020, elevation: 395 })]
+      ])
+    };
+    expect(getCoordinateOffset([utm])).toEqual({ x: 350000, y: 5300000, z: 400, georeferenced: true });
+
+    // EOV has y for easting and x for northing
+    const eov = { stations: new Map([['0', station({ x: 1, y: 2, z: 3 }, { y: 650001, x: 240002, elevation: 303 })]]) };
+    expect(getCoordinateOffset([eov])).toEqual({ x: 650000, y: 240000, z: 300, georeferenced: true });
+
+    expect(getCoordinateOffset([{ stations: new Map() }]).georeferenced).toBe(false);
+  });
+
+  it('collects the title block from the cave metadata and the survey teams', () => {
+    const survey = (date, members, visible = true) => ({ visible, metadata: { date, team: { members } } });
+    const cave = {
+      name     : 'Baradla',
+      visible  : true,
+      metadata : { country: 'Hungary', region: 'Borsod', settlement: 'Aggtelek', catasterCode: '5410-1' },
+      geoData  : { coordinateSystem: { name: 'EOV' } },
+      surveys  : [
+        survey(new Date(2023, 4, 14), [{ name: 'Anna' }, { name: 'Béla' }]),
+        survey(new Date(2021, 0, 2), [{ name: 'Béla' }, { name: 'Csaba' }]),
+        survey(new Date(2025, 0, 1), [{ name: 'Hidden' }], false)
+      ]
+    };
+    const hidden = { name: 'Other', visible: false, surveys: [] };
+
+    const { title, lines } = getTitleBlock([cave, hidden], { ratio: 500, view: SheetView.PROFILE, profileAngle: 0 });
+    const prefix = 'ui.panels.pdfPrint.titleBlock';
+    expect(title).toBe('Baradla');
+    expect(lines).toEqual([
+      `${prefix}.location: Aggtelek, Borsod, Hungary`,
+      `${prefix}.catasterCode: 5410-1`,
+      `${prefix}.surveyed: ${new Date(2021, 0, 2).toLocaleDateString()} - ${new Date(2023, 4, 14).toLocaleDateString()}`,
+      `${prefix}.team: Anna, Béla, Csaba`,
+      `${prefix}.coordinateSystem: EOV`,
+      `${prefix}.view: ${prefix}.profile:180`,
+      `${prefix}.scale: 1:500`
+    ]);
+  });
+});
+
+describe('PDFPage', () => {
+  it('measures the text with the Helvetica widths and aligns it', () => {
+    const page = new PDFDocument().addPage();
+    page.setFontSize(10);
+    // H = 722, i = 222
+    expect(page.getTextWidth('Hi')).toBeCloseTo(9.44, 6);
+    page.drawText('Hi', 100, 50, 'right');
+    expect(page.operations).toContain('90.56 50.00 Td');
+    page.drawText('Hi', 100, 50, 'center');
+    expect(page.operations).toContain('95.28 50.00 Td');
+  });
+
+  it('draws circles and polygons as closed paths', () => {
+    const page = new PDFDocument().addPage();
+    page.drawCircle(10, 10, 5, 'fill');
+    expect(page.operations.filter((op) => op.endsWith(' c'))).toHaveLength(4);
+    expect(page.operations.slice(-2)).toEqual(['h', 'f']);
+
+    page.operations = [];
+    page.drawPolygon(
+      [
+        { x: 0, y: 0 },
+        { x: 10, y: 0 },
+        { x: 5, y: 5 }
+      ],
+      'both'
+    );
+    expect(page.operations).toEqual(['0.00 0.00 m', '10.00 0.00 l', '5.00 5.00 l', 'h', 'B']);
+  });
+});
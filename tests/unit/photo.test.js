@@ -0,0 +1,182 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { Survey, Shot, ShotType, SurveyMetadata } = await import('../../src/model/survey.js');
+const { Cave } = await import('../../src/model/cave.js');
+const { SurveyHelper } = await import('../../src/survey.js');
+const { ExifReader } = await import('../../src/io/exif.js');
+const { PhotoMatcher, PhotoMatchMethod } = await import('../../src/utils/photo.js');
+
+// a big-endian TIFF structure, the IFD entries are [tag, type, values] and the values that do not fit into
+// 4 bytes are written after the IFDs
+function makeTiff(ifds) {
+  const sizes = { 2: 1, 3: 2, 4: 4, 5: 8 };
+  const offsets = [];
+  let offset = 8;
+  ifds.forEach((entries) => {
+    offsets.push(offset);
+    offset += 2 + entries.length * 12 + 4;
+  });
+  const count = (type, values) => (type === 2 ? values.length + 1 : values.length);
+  const dataSize = ifds
+    .flat()
+    .map(([, type, values]) => sizes[type] * count(type, values))
+    .filter((size) => size > 4)
+    .reduce((a, b) => a + b, 0);
+  const view = new DataView(new ArrayBuffer(offset + dataSize));
+  view.setUint16(0, 0x4d4d);
+  view.setUint16(2, 42);
+  view.setUint32(4, offsets[0]);
+
+  let dataOffset = offset;
+  ifds.forEach((entries, i) => {
+    view.setUint16(offsets[i], entries.length);
+    entries.forEach(([tag, type, v], j) => {
+      // the offsets of the sub IFDs are given by their index
+      const values = tag === 0x8769 || tag === 0x8825 ? [offsets[v[0]]] : v;
+      const entry = offsets[i] + 2 + j * 12;
+      const size = sizes[type] * count(type, values);
+      const at = size > 4 ? dataOffset : entry + 8;
+      view.setUint16(entry, tag);
+      view.setUint16(entry + 2, type);
+      view.setUint32(entry + 4, count(type, values));
+      if (size > 4) {
+        view.setUint32(entry + 8, dataOffset);
+        dataOffset += size;
+      }
+      values.forEach((value, k) => {
+        if (type === 2) view.setUint8(at + k, value.charCodeAt(0));
+        else if (type === 3) view.setUint16(at + k * 2, value);
+        else if (type === 4) view.setUint32(at + k * 4, value);
+        else {
+          view.setUint32(at + k * 8, value[0]);
+          view.setUint32(at + k * 8 + 4, value[1]);
+        }
+      });
+    });
+  });
+  return new Uint8Array(view.buffer);
+}
+
+function makeJpeg(tiff) {
+  const header = [0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, 0xff, 0xe1];
+  const size = tiff.length + 8;
+  const exif = [size >> 8, size & 0xff, ...'Exif'.split('').map((c) => c.charCodeAt(0)), 0, 0];
+  return new Uint8Array([...header, ...exif, ...tiff, 0xff, 0xda, 0x00, 0x02]).buffer;
+}
+
+const chars = (str) => str.split('');
+
+describe('ExifReader', () => {
+  it('reads the date, the position and the camera of a photo', () => {
+    const tiff = makeTiff([
+      [
+        [0x010f, 2, chars('Canon')],
+        [0x0110, 2, chars('EOS R6')],
+        [0x8769, 4, [1]],
+        [0x8825, 4, [2]]
+      ],
+      [[0x9003, 2, chars('2024:05:01 14:30:15')]],
+      [
+        [0x0001, 2, ['S']],
+        [
+          0x0002,
+          5,
+          [
+            [47, 1],
+            [30, 1],
+            [1800, 100]
+          ]
+        ],
+        [0x0003, 2, ['W']],
+        [
+          0x0004,
+          5,
+          [
+            [19, 1],
+            [3, 1],
+            [0, 1]
+          ]
+        ],
+        [0x0006, 5, [[4125, 10]]]
+      ]
+    ]);
+    const exif = ExifReader.read(makeJpeg(tiff));
+
+    expect(exif.date).toEqual(new Date(2024, 4, 1, 14, 30, 15));
+    expect(exif.latitude).toBeCloseTo(-(47 + 30 / 60 + 18 / 3600), 9);
+    expect(exif.longitude).toBeCloseTo(-(19 + 3 / 60), 9);
+    expect(exif.altitude).toBeCloseTo(412.5, 9);
+    expect(exif.make).toBe('Canon');
+    expect(exif.model).toBe('EOS R6');
+  });
+
+  it('returns undefined without EXIF data', () => {
+    expect(ExifReader.read(new Uint8Array([0x89, 0x50, 0x4e, 0x47]).buffer)).toBeUndefined();
+    expect(ExifReader.read(new Uint8Array([0xff, 0xd8, 0xff, 0xda, 0x00, 0x02]).buffer)).toBeUndefined();
+  });
+});
+
+describe('PhotoMatcher', () => {
+  const shots = (rows) =>
+    rows.map(
+      ([from, to, length, azimuth, clino], id) => new Shot(id, ShotType.CENTER, from, to, length, azimuth, clino)
+    );
+
+  function makeCave() {
+    const survey = new Survey(
+      'entrance',
+      true,
+      new SurveyMetadata(new Date(2024, 4, 1)),
+      'A',
+      shots([
+        ['A', 'B', 10, 90, 0],
+        ['B', 'C', 10, 90, -30],
+        ['C', 'D', 10, 0, 0],
+        ['D', 'E', 10, 0, 0]
+      ])
+    );
+    const cave = new Cave('cave', undefined, undefined, new Map(), [survey]);
+    cave.stations = SurveyHelper.calculateCaveStations(cave);
+    cave.stations.get('A').coordinates = { wgs: { lat: 47.5, lon: 19.0 } };
+    cave.geoData = { coordinates: [{ name: 'A' }] };
+    return cave;
+  }
+
+  it('matches surface photos to the nearest entrance', () => {
+    const [near, far] = PhotoMatcher.suggest(makeCave(), [
+      { latitude: 47.5009, longitude: 19.0 },
+      { latitude: 47.6, longitude: 19.0 }
+    ]);
+    expect(near.station).toBe('A');
+    expect(near.method).toBe(PhotoMatchMethod.ENTRANCE);
+    expect(near.distance).toBeCloseTo(100, 0);
+    expect(far).toBeUndefined();
+  });
+
+  it('spreads the photos of the survey day along the shots', () => {
+    const photos = [
+      { date: new Date(2024, 4, 1, 16, 0) },
+      { date: new Date(2024, 4, 1, 12, 0) },
+      { date: new Date(2024, 4, 1, 14, 0) },
+      { date: new Date(2024, 4, 2, 12, 0) }
+    ];
+    const suggestions = PhotoMatcher.suggest(makeCave(), photos);
+    expect(suggestions.slice(0, 3).map((s) => s.station)).toEqual(['E', 'A', 'C']);
+    expect(suggestions[0].method).toBe(PhotoMatchMethod.SURVEY);
+    expect(suggestions[0].survey).toBe('entrance');
+    // there is no survey on the next day
+    expect(suggestions[3]).toBeUndefined();
+  });
+});
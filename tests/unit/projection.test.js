@@ -0,0 +1,115 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/ui/popups.js', () => ({
+  showErrorPanel : vi.fn(),
+  showInfoPanel  : vi.fn()
+}));
+
+const { Projection, EPSGRegistry } = await import('../../src/utils/projection.js');
+const { MeridianConvergence, WGS84Converter } = await import('../../src/utils/geo.js');
+const { ProjectedCoordinateSystem, ProjectedCoordinateWithElevation, CoordinateSystem } = await import(
+  '../../src/model/geo.js'
+);
+const { parseCs } = await import('../../src/io/cave-survey-helpers.js');
+
+// reference values calculated with proj4js from the same definitions
+const REFERENCES = [
+  [31256, 47.5, 15.9, -32562.747, 262437.567],
+  [3912, 46.0, 14.5, 461644.435, 95216.639],
+  [3794, 46.0, 14.5, 461272.24, 95697.875],
+  [2154, 44.9, 5.5, 897317.111, 6425436.188],
+  [27700, 54.2, -3.0, 334861.897, 478711.623],
+  [5514, 49.4, 16.6, -596293.088, -1138049.623],
+  [28992, 52.1, 5.1, 135164.099, 456832.834]
+];
+
+describe('Projection', () => {
+  it.each(REFERENCES)('converts WGS84 coordinates to EPSG:%i', (epsgId, lat, lon, easting, northing) => {
+    const projection = Projection.get(EPSGRegistry.get(epsgId).definition);
+    const result = projection.fromLatLon(lat, lon);
+    expect(result.easting).toBeCloseTo(easting, 2);
+    expect(result.northing).toBeCloseTo(northing, 2);
+  });
+
+  it.each(REFERENCES)('converts EPSG:%i coordinates to WGS84', (epsgId, lat, lon, easting, northing) => {
+    const projection = Projection.get(EPSGRegistry.get(epsgId).definition);
+    const { latitude, longitude } = projection.toLatLon(easting, northing);
+    // 1e-7 degrees is about 1 cm
+    expect(Math.abs(latitude - lat)).toBeLessThan(1e-7);
+    expect(Math.abs(longitude - lon)).toBeLessThan(1e-7);
+  });
+
+  it('calculates the same meridian convergence for UTM as the UTM formula', () => {
+    const projection = Projection.get('+proj=utm +zone=34 +ellps=WGS84');
+    expect(projection.getConvergence(351570.942, 5278939.251)).toBeCloseTo(
+      MeridianConvergence.getUTMConvergence(351570.942, 5278939.251, 34, true),
+      4
+    );
+  });
+
+  it('parses definitions and rejects unsupported ones', () => {
+    expect(Projection.parse('+proj=tmerc +lon_0=15 +towgs84=1,2,3 +no_defs')).toEqual({
+      proj    : 'tmerc',
+      lon_0   : 15,
+      towgs84 : [1, 2, 3],
+      no_defs : true
+    });
+    expect(() => new Projection('+proj=merc +ellps=WGS84')).toThrow('errors.utils.projection.unsupportedProjection');
+    expect(() => new Projection('+proj=tmerc +ellps=unknown')).toThrow('errors.utils.projection.unknownEllipsoid');
+    expect(() => new Projection('')).toThrow('errors.utils.projection.invalidDefinition');
+  });
+
+  it('converts to the units of the definition, false easting is in meters', () => {
+    const meters = Projection.get('+proj=tmerc +lon_0=15 +k=0.9999 +x_0=500000 +ellps=GRS80');
+    const feet = Projection.get('+proj=tmerc +lon_0=15 +k=0.9999 +x_0=152400 +ellps=GRS80 +units=ft');
+    const m = meters.fromLatLon(46, 14.5);
+    const ft = feet.fromLatLon(46, 14.5);
+    expect(ft.easting * 0.3048).toBeCloseTo(m.easting - 500000 + 152400, 4);
+    expect(ft.northing * 0.3048).toBeCloseTo(m.northing, 4);
+  });
+});
+
+describe('ProjectedCoordinateSystem', () => {
+  it('converts projected coordinates with WGS84Converter', () => {
+    const cs = EPSGRegistry.getCoordinateSystem(27700);
+    const { latitude, longitude } = WGS84Converter.toLatLon(
+      new ProjectedCoordinateWithElevation(334861.897, 478711.623, 300),
+      cs
+    );
+    expect(latitude).toBeCloseTo(54.2, 6);
+    expect(longitude).toBeCloseTo(-3.0, 6);
+    const { easting, northing } = WGS84Converter.fromLatLon(54.2, -3.0, cs);
+    expect(easting).toBeCloseTo(334861.897, 2);
+    expect(northing).toBeCloseTo(478711.623, 2);
+  });
+
+  it('keeps the definition after export', () => {
+    const cs = new ProjectedCoordinateSystem(undefined, 'local grid', '+proj=tmerc +lon_0=15 +ellps=bessel');
+    const restored = CoordinateSystem.fromPure(JSON.parse(JSON.stringify(cs.toExport())));
+    expect(restored).toBeInstanceOf(ProjectedCoordinateSystem);
+    expect(restored.isEqual(cs)).toBe(true);
+    expect(restored.isEqual(EPSGRegistry.getCoordinateSystem(3912))).toBe(false);
+  });
+});
+
+describe('parseCs', () => {
+  it('recognizes the built-in EPSG codes and PROJ definitions', () => {
+    expect(parseCs(['EPSG:5514'])).toMatchObject({
+      type   : 'projected',
+      epsgId : 5514,
+      name   : 'S-JTSK / Krovak East North'
+    });
+    expect(parseCs(['custom', '"+proj=tmerc', '+lon_0=15', '+ellps=bessel"'])).toMatchObject({
+      type       : 'projected',
+      epsgId     : undefined,
+      definition : '+proj=tmerc +lon_0=15 +ellps=bessel'
+    });
+    expect(parseCs(['EPSG:32634'])).toEqual({ type: 'utm', zone: 34, northern: true });
+    expect(parseCs(['EPSG:4326'])).toEqual({ type: 'unknown', raw: 'EPSG:4326' });
+    expect(parseCs(['+proj=merc'])).toEqual({ type: 'unknown', raw: '+proj=merc' });
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { Survey, Shot, ShotType, SurveyMetadata, SurveyTeam, SurveyTeamMember, StationDimension } = await import(
+  '../../src/model/survey.js'
+);
+const { Cave } = await import('../../src/model/cave.js');
+const { SurveyHelper } = await import('../../src/survey.js');
+const { SurveyQA, QAFindingType, QA_LIMITS } = await import('../../src/utils/qa.js');
+const { AdjustmentMode } = await import('../../src/utils/adjustment.js');
+
+const C = ShotType.CENTER;
+const S = ShotType.SPLAY;
+
+const shots = (rows) =>
+  rows.map(([type, from, to, length, azimuth, clino], id) => new Shot(id, type, from, to, length, azimuth, clino));
+
+function makeCave() {
+  const team = new SurveyTeam('team', [new SurveyTeamMember('Anna', 'sketch')]);
+  // a square loop with a 2 m closure error, D has no splays
+  const first = new Survey(
+    'first',
+    true,
+    new SurveyMetadata(new Date(2024, 5, 1), 3, 0, team),
+    'A',
+    shots([
+      [C, 'A', 'B', 10, 90, 0],
+      [C, 'B', 'C', 10, 0, 0],
+      [C, 'C', 'D', 10, 270, 0],
+      [C, 'D', 'A', 12, 180, 0],
+      [S, 'A', undefined, 1, 0, 0],
+      [S, 'A', undefined, 1, 90, 0],
+      [S, 'B', undefined, 1, 0, 0],
+      [S, 'C', undefined, 1, 0, 0]
+    ])
+  );
+  // measured in feet without metadata, with a long, a steep and an orphan shot
+  const second = new Survey(
+    'second',
+    true,
+    undefined,
+    'D',
+    shots([
+      [C, 'D', 'E', 200, 0, 0],
+      [C, 'E', 'F', 40, 0, 88],
+      [C, 'X', 'Y', 5, 0, 0]
+    ]),
+    { length: 'feet', angle: 'degrees' }
+  );
+  const dimensions = ['A', 'B', 'C'].map((name) => new StationDimension(name, 1, 1, 1, 1));
+  const cave = new Cave('cave', undefined, undefined, new Map(), [first, second], [], undefined, [], dimensions);
+  cave.stations = SurveyHelper.calculateCaveStations(cave);
+  return cave;
+}
+
+const of = (result, type, surveyName) =>
+  result.findings.filter((f) => f.type === type && (surveyName === undefined || f.survey.name === surveyName));
+
+describe('SurveyQA', () => {
+  it('reports the abnormal, orphan and steep shots with their rows', () => {
+    const result = SurveyQA.analyze(makeCave());
+
+    expect(of(result, QAFindingType.LONG_SHOT).map((f) => [f.survey.name, f.shotId])).toEqual([['second', 0]]);
+    expect(of(result, QAFindingType.STEEP_SHOT).map((f) => f.shotId)).toEqual([1]);
+    expect(of(result, QAFindingType.ORPHAN_SHOT).map((f) => f.shotId)).toEqual([2]);
+    expect(of(result, QAFindingType.DUPLICATE_SHOT)).toEqual([]);
+  });
+
+  it('checks the splays and the LRUD of the stations', () => {
+    const result = SurveyQA.analyze(makeCave());
+
+    // the station is linked to the shot that ends at it
+    expect(of(result, QAFindingType.NO_SPLAYS).map((f) => [f.station, f.shotId])).toEqual([['D', 2]]);
+    expect(of(result, QAFindingType.MISSING_LRUD).map((f) => f.station)).toEqual(['D', 'E', 'F']);
+    expect(result.surveys.get('first').splayDensity).toBe(1);
+    expect(result.surveys.get('second').missingLrud).toBe(2);
+  });
+
+  it('checks the metadata and the units of the surveys', () => {
+    const result = SurveyQA.analyze(makeCave());
+    const types = (name) => result.findings.filter((f) => f.survey.name === name && f.shotId === undefined);
+
+    expect(types('first')).toEqual([]);
+    expect(types('second').map((f) => f.type)).toEqual([
+      QAFindingType.MISSING_DATE,
+      QAFindingType.MISSING_DECLINATION,
+      QAFindingType.MISSING_TEAM,
+      QAFindingType.INCONSISTENT_UNITS
+    ]);
+    expect(of(result, QAFindingType.INCONSISTENT_UNITS)[0].params).toEqual({
+      units  : 'feet/degrees',
+      common : 'meters/degrees'
+    });
+  });
+
+  it('calculates the loop closure statistics', () => {
+    const result = SurveyQA.analyze(makeCave());
+
+    expect(result.loops.count).toBe(1);
+    expect(result.loops.max).toBeCloseTo((2 / 42) * 100, 6);
+    expect(result.surveys.get('first').loops).toBe(1);
+    expect(result.surveys.get('second').loops).toBe(0);
+
+    const [loop] = of(result, QAFindingType.LOOP_CLOSURE);
+    expect(loop.survey.name).toBe('first');
+    expect(loop.params.error).toBeCloseTo(2, 6);
+    expect(result.surveys.get('first').findings).toBe(3); // the loop, the splays and the LRUD of D
+
+    // a looser limit accepts the loop
+    const loose = SurveyQA.analyze(makeCave(), { ...QA_LIMITS, maxLoopError: 5 });
+    expect(of(loose, QAFindingType.LOOP_CLOSURE)).toEqual([]);
+  });
+
+  it('reports the least-squares adjustment and the large residuals', () => {
+    // a 3 x 2 grid of 10 m squares with a few centimeters of noise and a 1 m blunder in the 5th shot
+    const noise = [2, -3, 1, 4, -2, 3, -1, 2, -4, 1, 3, -2, 2, -1, 3, -3, 1];
+    const rows = [];
+    for (let r = 0; r < 3; r++) for (let c = 0; c < 3; c++) rows.push([`${r}${c}`, `${r}${c + 1}`, 90]);
+    for (let r = 0; r < 2; r++) for (let c = 0; c < 4; c++) rows.push([`${r}${c}`, `${r + 1}${c}`, 0]);
+    const grid = new Survey(
+      'grid',
+      true,
+      undefined,
+      '00',
+      shots(rows.map(([from, to, azimuth], id) => [C, from, to, 10 + noise[id] / 100 + (id === 4 ? 1 : 0), azimuth, 0]))
+    );
+    const cave = new Cave('cave', undefined, undefined, new Map(), [grid]);
+    cave.stations = SurveyHelper.calculateCaveStations(cave, AdjustmentMode.LEAST_SQUARES);
+    const result = SurveyQA.analyze(cave);
+
+    expect(result.adjustment.redundancy).toBe(6);
+    expect(result.adjustment.sigma0).toBeCloseTo(grid.adjustment.sigma0, 9);
+    expect(result.adjustment.residuals).toHaveLength(17);
+    expect(result.adjustment.residuals.filter((r) => r.large).map((r) => r.shotId)).toEqual([4]);
+
+    const [blunder] = of(result, QAFindingType.LARGE_RESIDUAL);
+    expect([blunder.shotId, blunder.station]).toEqual([4, '11']);
+    expect(blunder.params.residual).toBeCloseTo(grid.adjustment.getResidual('grid', 4).length(), 9);
+    expect(blunder.params.normalized).toBeGreaterThan(QA_LIMITS.maxResidual);
+    expect(result.surveys.get('grid').maxResidual).toBeCloseTo(blunder.params.residual, 9);
+
+    // without adjustment there are no residuals
+    expect(SurveyQA.analyze(makeCave()).adjustment).toBeUndefined();
+  });
+
+  it('averages the backsights with the configured tolerance', () => {
+    // the foresight of A-B is 3 degrees off and the backsight is 3 degrees off the other way
+    const triangle = new Survey('triangle', true, undefined, 'A', [
+      new Shot(0, C, 'A', 'B', 10, 87, 0, undefined, 273, 0),
+      new Shot(1, C, 'B', 'C', 10, 210, 0),
+      new Shot(2, C, 'C', 'A', 10, 330, 0)
+    ]);
+    const tolerance = { azimuth: 10, clino: 10 };
+    const cave = new Cave('cave', undefined, undefined, new Map(), [triangle]);
+    cave.stations = SurveyHelper.calculateCaveStations(cave, AdjustmentMode.NONE, tolerance);
+
+    const limits = { ...QA_LIMITS, maxLoopError: 1 };
+    expect(SurveyQA.analyze(cave, limits, tolerance).loops.max).toBeCloseTo(0, 6);
+    expect(of(SurveyQA.analyze(cave, limits, tolerance), QAFindingType.LOOP_CLOSURE)).toEqual([]);
+    // the default tolerance does not average the readings
+    expect(of(SurveyQA.analyze(cave, limits), QAFindingType.LOOP_CLOSURE)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as THREE from 'three';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+const { PointRegistration } = await import('../../src/utils/registration.js');
+
+const transform = () =>
+  new THREE.Matrix4().compose(
+    new THREE.Vector3(0.1, -0.05, 0.08),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(0.01, -0.02, (2 * Math.PI) / 180)),
+    new THREE.Vector3(1, 1, 1)
+  );
+
+// three perpendicular walls, like the corner of a chamber
+function cornerPoints(size = 5, step = 0.25) {
+  const points = [];
+  for (let i = 0; i <= size / step; i++) {
+    for (let j = 0; j <= size / step; j++) {
+      points.push(new THREE.Vector3(0, i * step, j * step));
+      points.push(new THREE.Vector3(i * step, 0, j * step));
+      points.push(new THREE.Vector3(i * step, j * step, 0));
+    }
+  }
+  return points;
+}
+
+describe('PointRegistration', () => {
+  it('fits the rotation and translation of point pairs', () => {
+    const sources = [
+      new THREE.Vector3(0, 0, 0),
+      new THREE.Vector3(10, 0, 0),
+      new THREE.Vector3(0, 5, 0),
+      new THREE.Vector3(2, 3, 4)
+    ];
+    const rotation = new THREE.Matrix4().makeRotationZ(Math.PI / 2).setPosition(100, 200, 300);
+    const targets = sources.map((p) => p.clone().applyMatrix4(rotation));
+
+    const matrix = PointRegistration.fitRigid(sources, targets);
+    const residuals = PointRegistration.getResiduals(matrix, sources, targets);
+    expect(PointRegistration.rms(residuals)).toBeCloseTo(0, 9);
+    expect(new THREE.Vector3(1, 0, 0).applyMatrix4(matrix).toArray()).toEqual([
+      expect.closeTo(100, 9),
+      expect.closeTo(201, 9),
+      expect.closeTo(300, 9)
+    ]);
+  });
+
+  it('reports the residuals of inconsistent pairs', () => {
+    const sources = [new THREE.Vector3(0, 0, 0), new THREE.Vector3(10, 0, 0), new THREE.Vector3(0, 10, 0)];
+    // the second pair is 1 m too long, the least squares fit shares the error
+    const targets = [new THREE.Vector3(0, 0, 0), new THREE.Vector3(11, 0, 0), new THREE.Vector3(0, 10, 0)];
+    const matrix = PointRegistration.fitRigid(sources, targets);
+    const rms = PointRegistration.rms(PointRegistration.getResiduals(matrix, sources, targets));
+    expect(rms).toBeGreaterThan(0.1);
+    expect(rms).toBeLessThan(1);
+  });
+
+  it('needs at least three points that are not on a line', () => {
+    const line = [new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 1, 1), new THREE.Vector3(2, 2, 2)];
+    expect(() => PointRegistration.fitRigid(line, line)).toThrow('errors.utils.registration.collinearPoints');
+    expect(() => PointRegistration.fitRigid(line.slice(0, 2), line.slice(0, 2))).toThrow(
+      'errors.utils.registration.notEnoughPairs'
+    );
+  });
+
+  it('refines the alignment with the closest points', () => {
+    const model = cornerPoints();
+    const expected = transform();
+    // the survey sees every 7th point of the model after the transformation
+    const targets = model.filter((_p, i) => i % 7 === 0).map((p) => p.clone().applyMatrix4(expected));
+
+    const result = PointRegistration.icp(model, targets, { maxDistance: 0.5, iterations: 50 });
+    expect(result.rms).toBeLessThan(1e-6);
+    expect(result.pairs).toBe(targets.length);
+    result.matrix.elements.forEach((e, i) => expect(e).toBeCloseTo(expected.elements[i], 6));
+  });
+
+  it('fails without any model point near the survey', () => {
+    const targets = [new THREE.Vector3(100, 0, 0), new THREE.Vector3(0, 100, 0), new THREE.Vector3(0, 0, 100)];
+    expect(() => PointRegistration.icp(cornerPoints(), targets, { maxDistance: 1 })).toThrow(
+      'errors.utils.registration.noCorrespondences'
+    );
+  });
+});
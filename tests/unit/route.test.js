@@ -0,0 +1,112 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { Survey, Shot, ShotType } = await import('../../src/model/survey.js');
+const { Cave, CaveAttributes, CaveSection } = await import('../../src/model/cave.js');
+const { StationAttribute, SectionAttribute } = await import('../../src/model.js');
+const { SurveyHelper } = await import('../../src/survey.js');
+const { RoutePlanner } = await import('../../src/utils/route.js');
+
+function makeCave(start, rows, attributes) {
+  const survey = new Survey(
+    'first',
+    true,
+    undefined,
+    start,
+    rows.map(
+      ([from, to, length, azimuth, clino], id) => new Shot(id, ShotType.CENTER, from, to, length, azimuth, clino)
+    )
+  );
+  const cave = new Cave('cave', undefined, undefined, new Map(), [survey], [], attributes);
+  cave.stations = SurveyHelper.calculateCaveStations(cave);
+  return cave;
+}
+
+// a short way A-B-D with a squeeze between B and D and a long way A-E-F-D with a rope at E, G is above D
+function makeLoopCave() {
+  const attributes = new CaveAttributes(
+    [new StationAttribute(1, 'E', { name: 'rope' })],
+    [new SectionAttribute(2, new CaveSection('B', 'D', ['B', 'D'], 10), { name: 'squeeze' })]
+  );
+  return makeCave(
+    'A',
+    [
+      ['A', 'B', 10, 90, 0],
+      ['B', 'D', 10, 90, 0],
+      ['A', 'E', 10, 0, 0],
+      ['E', 'F', 20, 90, 0],
+      ['F', 'D', 10, 180, 0],
+      ['D', 'G', 5, 0, 90]
+    ],
+    attributes
+  );
+}
+
+describe('RoutePlanner', () => {
+  it('finds the shortest route through the waypoints', () => {
+    const route = RoutePlanner.plan(makeLoopCave(), ['A', 'D', 'G']);
+
+    expect(route.legs.map((leg) => leg.path)).toEqual([
+      ['A', 'B', 'D'],
+      ['D', 'G']
+    ]);
+    expect(route.legs[0].attributes).toEqual(['squeeze']);
+    expect(route.legs[1].gain).toBeCloseTo(5, 6);
+    expect(route.legs[1].horizontal).toBeCloseTo(0, 6);
+    expect(route.length).toBeCloseTo(25, 6);
+    expect(route.attributes).toEqual(['squeeze']);
+  });
+
+  it('avoids the passages and stations with the given attributes', () => {
+    const cave = makeLoopCave();
+
+    const route = RoutePlanner.plan(cave, ['A', 'D'], { avoid: ['squeeze'] });
+    expect(route.legs[0].path).toEqual(['A', 'E', 'F', 'D']);
+    expect(route.legs[0].attributes).toEqual(['rope']);
+    expect(route.length).toBeCloseTo(40, 6);
+
+    expect(() => RoutePlanner.plan(cave, ['A', 'D'], { avoid: ['squeeze', 'rope'] })).toThrow(
+      'errors.utils.route.noRoute'
+    );
+    // an avoided station can still be a waypoint
+    expect(RoutePlanner.plan(cave, ['E', 'F'], { avoid: ['rope'] }).legs[0].path).toEqual(['E', 'F']);
+  });
+
+  it('weights the vertical change of the passages', () => {
+    // over the top P-R-S-Q is 20 m, around the flat P-T-U-Q is 30 m
+    const cave = makeCave('P', [
+      ['P', 'R', 5, 0, 90],
+      ['R', 'S', 10, 90, 0],
+      ['S', 'Q', 5, 0, -90],
+      ['P', 'T', 10, 0, 0],
+      ['T', 'U', 10, 90, 0],
+      ['U', 'Q', 10, 180, 0]
+    ]);
+
+    const over = RoutePlanner.plan(cave, ['P', 'Q']);
+    expect(over.legs[0].path).toEqual(['P', 'R', 'S', 'Q']);
+    expect(over.gain).toBeCloseTo(5, 6);
+    expect(over.loss).toBeCloseTo(5, 6);
+    expect(RoutePlanner.estimateMinutes(over, { horizontal: 20, ascent: 5, descent: 8 })).toBeCloseTo(2.125, 6);
+
+    const around = RoutePlanner.plan(cave, ['P', 'Q'], { verticalWeight: 2 });
+    expect(around.legs[0].path).toEqual(['P', 'T', 'U', 'Q']);
+  });
+
+  it('checks the waypoints', () => {
+    const cave = makeLoopCave();
+    expect(() => RoutePlanner.plan(cave, ['A', 'A'])).toThrow('errors.utils.route.notEnoughWaypoints');
+    expect(() => RoutePlanner.plan(cave, ['A', 'X'])).toThrow('errors.utils.route.stationNotFound');
+  });
+});
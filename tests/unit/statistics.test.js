@@ -0,0 +1,116 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { Survey, Shot, ShotType, SurveyMetadata } = await import('../../src/model/survey.js');
+const { Cave } = await import('../../src/model/cave.js');
+const { SurveyHelper } = await import('../../src/survey.js');
+const { ShotStatistics } = await import('../../src/utils/statistics.js');
+
+const shots = (rows) =>
+  rows.map(([from, to, length, azimuth, clino], id) => new Shot(id, ShotType.CENTER, from, to, length, azimuth, clino));
+
+function makeCave() {
+  // a horizontal passage to the east, then a 10 m deep pitch
+  const first = new Survey(
+    'first',
+    true,
+    new SurveyMetadata(new Date(2023, 3, 1)),
+    'A',
+    shots([
+      ['A', 'B', 10, 90, 0],
+      ['B', 'C', 10, 90, -90]
+    ])
+  );
+  // a passage to the north at the bottom of the pitch, measured in feet
+  const second = new Survey(
+    'second',
+    true,
+    new SurveyMetadata(new Date(2024, 6, 1)),
+    'C',
+    shots([
+      ['C', 'D', 20, 0, 0],
+      ['D', 'E', 20, 10, 5]
+    ]),
+    { length: 'feet', angle: 'degrees' }
+  );
+  const cave = new Cave('cave', undefined, undefined, new Map(), [first, second]);
+  cave.stations = SurveyHelper.calculateCaveStations(cave);
+  return cave;
+}
+
+describe('ShotStatistics', () => {
+  it('collects the centerline shots with the filters', () => {
+    const cave = makeCave();
+
+    const all = ShotStatistics.getCenterlineShots(cave);
+    expect(all.map((s) => s.survey)).toEqual(['first', 'first', 'second', 'second']);
+    expect(all[2].length).toBeCloseTo(6.096, 6);
+    expect(all[1].depth).toBeCloseTo(5, 6);
+
+    expect(ShotStatistics.getCenterlineShots(cave, { survey: 'second' })).toHaveLength(2);
+    expect(ShotStatistics.getCenterlineShots(cave, { minDepth: 9 }).map((s) => s.survey)).toEqual(['second', 'second']);
+    expect(ShotStatistics.getCenterlineShots(cave, { maxDepth: 1 })).toHaveLength(1);
+    expect(ShotStatistics.getCenterlineShots(cave, { from: new Date(2024, 0, 1) })).toHaveLength(2);
+    expect(ShotStatistics.getCenterlineShots(cave, { to: new Date(2024, 0, 1) })).toHaveLength(2);
+  });
+
+  it('bins the azimuths and the inclinations with and without weights', () => {
+    const data = [
+      { azimuth: 5, clino: -90, length: 10 },
+      { azimuth: 355, clino: 90, length: 2 },
+      { azimuth: -80, clino: 0, length: 4 },
+      { azimuth: 95, clino: undefined, length: 1 }
+    ];
+
+    expect(ShotStatistics.binAzimuths(data, 4)).toEqual({ bins: [10, 1, 0, 6], total: 17 });
+    expect(ShotStatistics.binAzimuths(data, 4, false)).toEqual({ bins: [1, 1, 0, 2], total: 4 });
+    expect(ShotStatistics.binClinos(data, 2)).toEqual({ bins: [10, 6], total: 16 });
+    expect(ShotStatistics.binClinos(data, 6, false)).toEqual({ bins: [1, 0, 0, 1, 0, 1], total: 3 });
+  });
+
+  it('calculates the mean direction with the confidence interval', () => {
+    const symmetric = [350, 10, 350, 10].map((azimuth) => ({ azimuth, length: 1 }));
+    const result = ShotStatistics.meanDirection(symmetric);
+    expect(result.mean).toBeCloseTo(0, 6);
+    expect(result.resultantLength).toBeCloseTo(Math.cos(Math.PI / 18), 6);
+    expect(result.confidence).toBeGreaterThan(0);
+    expect(result.confidence).toBeLessThan(10);
+
+    // the long shot dominates the weighted mean
+    const weighted = ShotStatistics.meanDirection([
+      { azimuth: 80, length: 100 },
+      { azimuth: 180, length: 1 }
+    ]);
+    expect(weighted.mean).toBeGreaterThan(80);
+    expect(weighted.mean).toBeLessThan(82);
+    expect(
+      ShotStatistics.meanDirection(
+        [
+          { azimuth: 80, length: 100 },
+          { azimuth: 180, length: 1 }
+        ],
+        false
+      ).mean
+    ).toBeCloseTo(130, 6);
+
+    expect(ShotStatistics.meanDirection([])).toBeUndefined();
+    expect(
+      ShotStatistics.meanDirection([
+        { azimuth: 0, length: 1 },
+        { azimuth: 180, length: 1 }
+      ])
+    ).toBeUndefined();
+    expect(ShotStatistics.meanDirection([{ azimuth: 45, length: 1 }]).confidence).toBeUndefined();
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+const { Cave, CaveAttributes } = await import('../../src/model/cave.js');
+const { StationAttribute } = await import('../../src/model.js');
+const { Stereonet, StereonetProjection } = await import('../../src/utils/stereonet.js');
+
+describe('Stereonet', () => {
+  it('collects the tectonic attributes of a cave', () => {
+    const attributes = new CaveAttributes([
+      new StationAttribute(1, 'A', { name: 'bedding', azimuth: -90, dip: 30 }),
+      new StationAttribute(2, 'B', { name: 'fault', azimuth: 120, dip: 80 }),
+      new StationAttribute(3, 'C', { name: 'bat' }),
+      new StationAttribute(4, 'D', { name: 'fault', azimuth: undefined, dip: 10 })
+    ]);
+    const cave = new Cave('cave', undefined, undefined, new Map(), [], [], attributes);
+
+    expect(Stereonet.getPlanes(cave)).toEqual([
+      { station: 'A', name: 'bedding', dipDirection: 270, dip: 30 },
+      { station: 'B', name: 'fault', dipDirection: 120, dip: 80 }
+    ]);
+    expect(Stereonet.getPlanes(cave, ['fault'])).toHaveLength(1);
+  });
+
+  it('projects lines and great circles to the lower hemisphere', () => {
+    const vertical = Stereonet.project(0, 90);
+    expect(vertical.x).toBeCloseTo(0, 9);
+    expect(vertical.y).toBeCloseTo(0, 9);
+
+    const east = Stereonet.project(90, 0, StereonetProjection.EQUAL_ANGLE);
+    expect(east.x).toBeCloseTo(1, 9);
+    expect(east.y).toBeCloseTo(0, 9);
+
+    // at 45 degrees plunge the two nets differ
+    expect(Stereonet.project(0, 45).y).toBeCloseTo(Math.SQRT2 * Math.sin(Math.PI / 8), 9);
+    expect(Stereonet.project(0, 45, StereonetProjection.EQUAL_ANGLE).y).toBeCloseTo(Math.tan(Math.PI / 8), 9);
+
+    const back = Stereonet.unproject(...Object.values(Stereonet.project(200, 35)));
+    expect(back.trend).toBeCloseTo(200, 6);
+    expect(back.plunge).toBeCloseTo(35, 6);
+
+    // a vertical plane striking north-south is a straight line through the center
+    const circle = Stereonet.greatCircle(90, 90);
+    expect(circle[0].y).toBeCloseTo(1, 6);
+    expect(circle[circle.length - 1].y).toBeCloseTo(-1, 6);
+    circle.forEach((p) => expect(p.x).toBeCloseTo(0, 6));
+    // the deepest point of a dipping plane is on the dip direction
+    const middle = Stereonet.greatCircle(90, 30)[45];
+    expect(middle.x).toBeCloseTo(Stereonet.project(90, 30).x, 6);
+  });
+
+  it('calculates the mean plane of the poles', () => {
+    const mean = Stereonet.meanPlane([
+      { dipDirection: 350, dip: 20 },
+      { dipDirection: 10, dip: 20 },
+      { dipDirection: 0, dip: 25 },
+      { dipDirection: 0, dip: 15 }
+    ]);
+    expect(mean.dipDirection).toBeCloseTo(0, 0);
+    expect(mean.dip).toBeCloseTo(20, 0);
+    expect(mean.alpha95).toBeGreaterThan(0);
+    expect(mean.alpha95).toBeLessThan(15);
+    expect(mean.count).toBe(4);
+
+    // the confidence cone needs at least three planes
+    expect(Stereonet.meanPlane([{ dipDirection: 90, dip: 30 }]).alpha95).toBeUndefined();
+    expect(Stereonet.meanPlane([])).toBeUndefined();
+  });
+
+  it('counts the poles in Kamb cones and contours the density', () => {
+    const planes = Array.from({ length: 20 }, (_, i) => ({ dipDirection: 180 + (i % 5), dip: 40 + (i % 3) }));
+    const density = Stereonet.kambDensity(planes, StereonetProjection.EQUAL_AREA, 20);
+
+    // every pole is in the cone around the cluster
+    const sigma = Math.sqrt(20 * (9 / 29) * (20 / 29));
+    expect(density.max).toBeCloseTo(20 / sigma, 6);
+    expect(density.values[0]).toBeNaN();
+
+    const segments = Stereonet.contour(density, 2);
+    expect(segments.length).toBeGreaterThan(0);
+    const pole = Stereonet.project(...Object.values(Stereonet.pole(182, 41)));
+    // the contour surrounds the pole of the cluster
+    segments.forEach(([x1, y1]) => expect(Math.hypot(x1 - pole.x, y1 - pole.y)).toBeLessThan(0.9));
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Vector } from '../../src/model.js';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/ui/popups.js', () => ({
+  showErrorPanel   : vi.fn(),
+  showWarningPanel : vi.fn(),
+  showInfoPanel    : vi.fn()
+}));
+
+vi.mock('../../src/ui/coordinate-system-dialog.js', () => ({
+  CoordinateSystemDialog : class {
+    async show() {
+      return { coordinateSystem: undefined, coordinates: [] };
+    }
+  }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+vi.mock('../../src/model/geo.js', async () => {
+  const actual = await vi.importActual('../../src/model/geo.js');
+  const origUTM = actual.UTMCoordinateWithElevation;
+  class UTMCoordWithNorm extends origUTM {
+    toNormalizedVector() {
+      return new Vector(this.easting, this.northing, this.elevation);
+    }
+  }
+  return { ...actual, UTMCoordinateWithElevation: UTMCoordWithNorm };
+});
+
+const { SurvexImporter } = await import('../../src/io/survex-importer.js');
+const { SurvexExporter } = await import('../../src/io/survex-exporter.js');
+
+function importSvx(files) {
+  return new SurvexImporter(null, null, null, null).getCave(new Map(files));
+}
+
+async function roundTrip(cave) {
+  const files = SurvexExporter.getFiles(cave, 'export');
+  return { files, imported: await importSvx([...files.entries()]) };
+}
+
+function expectSameStations(actual, expected) {
+  expect([...actual.stations.keys()].sort()).toEqual([...expected.stations.keys()].sort());
+  expected.stations.forEach((station, name) => {
+    const other = actual.stations.get(name);
+    expect(other.type).toBe(station.type);
+    expect(other.position.x).toBeCloseTo(station.position.x, 6);
+    expect(other.position.y).toBeCloseTo(station.position.y, 6);
+    expect(other.position.z).toBeCloseTo(station.position.z, 6);
+  });
+}
+
+const MAIN = `
+*title "Baradla"
+*cs UTM34N
+*begin entrance
+  *date 2023.05.14
+  *team "Anna Kovacs" compass
+  *team "Bela Nagy" tape
+  *declination 4.5 degrees
+  *fix 0 350000 5300000 400
+  *data normal from to tape compass clino
+  0 1 10.5 90 -5
+  1 2 7.25 120 3
+  *flags splay
+  1 - 2.1 0 0
+  *flags not splay
+  *flags duplicate
+  2 2a 1.5 200 10
+  *flags not duplicate
+  2 3 6 175 -12
+  *data passage station left right up down
+  1 1.2 0.8 2 0.5
+  2 0.6 - 1.5 1
+*end entrance
+
+*begin lower
+  *units tape left right up down feet
+  *data normal from to tape compass clino
+  3 10 20 270 -30
+  10 11 12.5 300 0
+  11 12 14 20 5
+*end lower
+
+*begin loop
+  *data normal from to tape compass clino
+  12 20 8 180 0
+  20 21 5 200 0
+*end loop
+
+*equate loop.21 entrance.3
+*equate lower.3 entrance.3
+`;
+
+describe('SurvexExporter', () => {
+
+  it('writes a root file including one file per survey', async () => {
+    const cave = await importSvx([['main.svx', MAIN]]);
+    const files = SurvexExporter.getFiles(cave, 'export');
+    expect([...files.keys()]).toEqual(['export.svx', 'entrance.svx', 'lower.svx', 'loop.svx']);
+
+    const root = files.get('export.svx');
+    expect(root).toContain('*title "Baradla"');
+    expect(root).toContain('*cs UTM34N');
+    expect(root).toContain('*include "entrance.svx"');
+    expect(root).toContain('*equate entrance.3 lower.3');
+
+    const entrance = files.get('entrance.svx');
+    expect(entrance).toContain('*begin entrance');
+    expect(entrance).toContain('*date 2023.05.14');
+    expect(entrance).toContain('*team "Anna Kovacs" compass');
+    expect(entrance).toContain('*declination 4.5 degrees');
+    expect(entrance).toContain('*fix 0 350000 5300000 400');
+    expect(entrance).toContain('*flags splay');
+    expect(entrance).toContain('1 - 2.1 0 0');
+    expect(entrance).toContain('*flags duplicate');
+    expect(entrance).toContain('*data passage station left right up down');
+    expect(entrance).toContain('2 0.6 - 1.5 1');
+    expect(entrance.trim().endsWith('*end entrance')).toBe(true);
+
+    expect(files.get('lower.svx')).toContain('*units tape left right up down feet');
+  });
+
+  it('export then import produces identical stations', async () => {
+    const cave = await importSvx([['main.svx', MAIN]]);
+    const { imported } = await roundTrip(cave);
+
+    expect(imported.name).toBe('Baradla');
+    expect(imported.surveys.map((s) => s.name)).toEqual(cave.surveys.map((s) => s.name));
+    expectSameStations(imported, cave);
+
+    expect(imported.geoData.coordinates[0].name).toBe('0');
+    expect(imported.geoData.coordinates[0].coordinate.easting).toBe(350000);
+    expect(imported.surveys[0].metadata.declination).toBe(4.5);
+    expect(imported.surveys[0].metadata.team.members.map((m) => m.name)).toEqual(['Anna Kovacs', 'Bela Nagy']);
+    expect(imported.surveys[0].shots.filter((sh) => sh.type === 'auxiliary')).toHaveLength(1);
+    expect(imported.surveys[1].units.length).toBe('feet');
+    expect(imported.stationDimensions).toHaveLength(cave.stationDimensions.length);
+  });
+
+  it('keeps aliases between differently named stations', async () => {
+    const cave = await importSvx([['main.svx', MAIN]]);
+    expect(cave.aliases.some((a) => a.from === '21' && a.to === '3')).toBe(true);
+
+    const { files, imported } = await roundTrip(cave);
+    expect(files.get('export.svx')).toContain('*equate loop.21 entrance.3');
+    expect(imported.aliases).toHaveLength(cave.aliases.length);
+    expect(imported.aliases.some((a) => a.from === '21' && a.to === '3')).toBe(true);
+    expectSameStations(imported, cave);
+  });
+
+  it('writes the backsight readings', async () => {
+    const svx = [
+      '*begin bs',
+      '  *data normal from to tape compass backcompass clino backclino',
+      '  0 1 10 90 271 5 -4',
+      '  1 2 5 180 - 0 -',
+      '*end bs'
+    ].join('\n');
+    const cave = await importSvx([['bs.svx', svx]]);
+    const { files, imported } = await roundTrip(cave);
+
+    const bs = files.get('bs.svx');
+    expect(bs).toContain('*data normal from to tape compass backcompass clino backclino');
+    expect(bs).toContain('0 1 10 90 271 5 -4');
+    expect(bs).toContain('1 2 5 180 - 0 -');
+    expect(imported.surveys[0].shots.map((sh) => [sh.backAzimuth, sh.backClino])).toEqual([
+      [271, -4],
+      [undefined, undefined]
+    ]);
+    expectSameStations(imported, cave);
+  });
+
+  it('is stable when exported twice', async () => {
+    const cave = await importSvx([['main.svx', MAIN]]);
+    const { files, imported } = await roundTrip(cave);
+    expect(SurvexExporter.getFiles(imported, 'export')).toEqual(files);
+  });
+});
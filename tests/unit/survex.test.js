@@ -46,6 +46,7 @@ vi.mock('../../src/model.js', async () => {
 // ─── Dynamic imports (after mocks) ───────────────────────────────────────────
 
 const { SurvexImporter } = await import('../../src/io/survex-importer.js');
+const { Geomagnetism } = await import('../../src/utils/geomagnetism.js');
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -566,6 +567,30 @@ describe('SurvexImporter', () => {
     });
   });
 
+  describe('backsights', () => {
+    it('keeps backcompass and backclino readings on the shots', async () => {
+      const svx = `
+*begin test
+  *data normal from to tape compass backcompass clino backclino
+  0 1 10 90 271 5 -4
+  1 2 5 - 180 - -10
+  2 3 8 45 - 0 -
+*end test
+`;
+      const cave = await makeImporter().getCave(textMap(['test.svx', svx]));
+      const shots = cave.surveys[0].shots;
+      expect([shots[0].azimuth, shots[0].backAzimuth, shots[0].clino, shots[0].backClino]).toEqual([90, 271, 5, -4]);
+      // the foresight is derived from the backsight
+      expect([shots[1].azimuth, shots[1].backAzimuth, shots[1].clino, shots[1].backClino]).toEqual([
+        0,
+        undefined,
+        10,
+        undefined
+      ]);
+      expect(shots[2].hasBacksight()).toBe(false);
+    });
+  });
+
   describe('error handling', () => {
     it('throws survexNoData when file has no survey data', async () => {
       const svx = `; just a comment\n; nothing here\n`;
@@ -731,4 +756,35 @@ describe('SurvexImporter', () => {
     });
   });
 
+  describe('*declination auto', () => {
+    it('calculates the declination from the magnetic model at the fixed station', async () => {
+      const svx = `
+*cs UTM34N
+*begin test
+  *date 2026.03.01
+  *declination auto 351570 5278939 300
+  *fix 0 351570.942 5278939.251 300
+  *data normal from to tape compass clino
+  0 1 10 90 0
+*end test
+`;
+      const cave = await makeImporter().getCave(textMap(['test.svx', svx]));
+      const declination = Geomagnetism.getDeclination(47.646821, 19.02363, new Date(2026, 2, 1), 300);
+      expect(cave.surveys[0].metadata.declination).toBeCloseTo(declination, 3);
+    });
+
+    it('uses zero declination without a fixed station', async () => {
+      const svx = `
+*begin test
+  *date 2026.03.01
+  *declination auto 0 0 0
+  *data normal from to tape compass clino
+  0 1 10 90 0
+*end test
+`;
+      const cave = await makeImporter().getCave(textMap(['test.svx', svx]));
+      expect(cave.surveys[0].metadata.declination).toBe(0);
+    });
+  });
+
 });
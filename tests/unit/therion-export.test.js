@@ -0,0 +1,174 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Vector } from '../../src/model.js';
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/ui/popups.js', () => ({
+  showErrorPanel   : vi.fn(),
+  showWarningPanel : vi.fn(),
+  showInfoPanel    : vi.fn()
+}));
+
+vi.mock('../../src/ui/coordinate-system-dialog.js', () => ({
+  CoordinateSystemDialog : class {
+    async show() {
+      return { coordinateSystem: undefined, coordinates: [] };
+    }
+  }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+vi.mock('../../src/model/geo.js', async () => {
+  const actual = await vi.importActual('../../src/model/geo.js');
+  const origUTM = actual.UTMCoordinateWithElevation;
+  class UTMCoordWithNorm extends origUTM {
+    toNormalizedVector() {
+      return new Vector(this.easting, this.northing, this.elevation);
+    }
+  }
+  return { ...actual, UTMCoordinateWithElevation: UTMCoordWithNorm };
+});
+
+const { TherionImporter } = await import('../../src/io/therion-importer.js');
+const { TherionExporter } = await import('../../src/io/therion-exporter.js');
+
+function importTh(text) {
+  return new TherionImporter(null, null, null, null).getCave(new Map([['cave.th', text]]));
+}
+
+const SOURCE = `
+survey baradla -title "Baradla Cave"
+  cs UTM34N
+
+  survey entrance -title "Entrance Series"
+    centreline
+      date 2023.05.14
+      team "Anna Kovacs" compass
+      team "Bela Nagy" tape
+      declination 4.5 degrees
+      fix 0 350000 5300000 400
+      station 2 "big chamber"
+      data normal from to length compass clino left right up down
+      0 1 10.5 90 -5 1.2 0.8 2 0.5
+      1 2 7.25 120 3 - - - -
+      flags splay
+      1 - 2.1 0 0 - - - -
+      flags not splay
+      flags duplicate
+      2 2a 1.5 200 10 0.6 0.4 1.5 1
+      flags not duplicate
+      2 3 6 175 -12 - - - -
+      data dimensions station left right up down
+      3 1 1 1 1
+    endcentreline
+  endsurvey entrance
+
+  survey lower
+    centreline
+      units length feet
+      data normal from to length compass clino
+      3 10 20 270 -30
+      10 11 12.5 300 0
+      11 12 14 20 5
+    endcentreline
+  endsurvey lower
+
+  survey loop
+    centreline
+      data normal from to length compass clino
+      12 20 8 180 0
+      20 21 5 200 0
+    endcentreline
+  endsurvey loop
+
+  equate 3@entrance 3@lower
+  equate 12@lower 12@loop
+  equate 21@loop 3@entrance
+endsurvey baradla
+`;
+
+function expectSameStations(actual, expected) {
+  expect([...actual.stations.keys()].sort()).toEqual([...expected.stations.keys()].sort());
+  expected.stations.forEach((station, name) => {
+    const other = actual.stations.get(name);
+    expect(other.type).toBe(station.type);
+    expect(other.position.x).toBeCloseTo(station.position.x, 6);
+    expect(other.position.y).toBeCloseTo(station.position.y, 6);
+    expect(other.position.z).toBeCloseTo(station.position.z, 6);
+  });
+}
+
+describe('TherionExporter', () => {
+
+  it('writes nested survey blocks with centrelines', async () => {
+    const cave = await importTh(SOURCE);
+    const text = TherionExporter.getText(cave);
+
+    expect(text).toContain('survey Baradla_Cave -title "Baradla Cave"');
+    expect(text).toContain('  cs UTM34N');
+    expect(text).toContain('  survey Entrance_Series -title "Entrance Series"');
+    expect(text).toContain('      date 2023.05.14');
+    expect(text).toContain('      team "Anna Kovacs" compass');
+    expect(text).toContain('      declination 4.5 degrees');
+    expect(text).toContain('      fix 0 350000 5300000 400');
+    expect(text).toContain('      station 2 "big chamber"');
+    expect(text).toContain('      data normal from to length compass clino left right up down');
+    expect(text).toContain('      0 1 10.5 90 -5 1.2 0.8 2 0.5');
+    expect(text).toContain('      flags duplicate');
+    expect(text).toContain('      data dimensions station left right up down');
+    expect(text).toContain('      units length left right up down feet');
+    expect(text).toContain('  equate 21@baradla_loop 3@Entrance_Series');
+    expect(text.trim().endsWith('endsurvey Baradla_Cave')).toBe(true);
+  });
+
+  it('export then import produces identical stations', async () => {
+    const cave = await importTh(SOURCE);
+    const imported = await importTh(TherionExporter.getText(cave));
+
+    expect(imported.name).toBe('Baradla Cave');
+    expect(imported.surveys.map((s) => s.name)).toEqual(cave.surveys.map((s) => s.name));
+    expectSameStations(imported, cave);
+
+    expect(imported.geoData.coordinates[0].coordinate.northing).toBe(5300000);
+    expect(imported.surveys[0].metadata.declination).toBe(4.5);
+    expect(imported.surveys[0].metadata.team.members.map((m) => m.role)).toEqual(['compass', 'tape']);
+    expect(imported.surveys[0].shots.filter((sh) => sh.type === 'auxiliary')).toHaveLength(1);
+    expect(imported.surveys[1].units.length).toBe('feet');
+    expect(imported.aliases).toEqual(cave.aliases);
+    expect(imported.stationComments).toEqual(cave.stationComments);
+  });
+
+  it('keeps the dimensions of every station', async () => {
+    const cave = await importTh(SOURCE);
+    const imported = await importTh(TherionExporter.getText(cave));
+    const byName = (dims) => Object.fromEntries(dims.map((sd) => [sd.name, [sd.left, sd.right, sd.up, sd.down]]));
+
+    expect(Object.keys(byName(cave.stationDimensions)).sort()).toEqual(['0', '2', '3']);
+    expect(byName(imported.stationDimensions)).toEqual(byName(cave.stationDimensions));
+  });
+
+  it('omits the dimension columns without station dimensions', async () => {
+    const cave = await importTh(`
+survey plain
+  centreline
+    data normal from to length compass clino
+    0 1 10 90 0
+    1 2 5 180 -5 # low crawl
+  endcentreline
+endsurvey plain
+`);
+    const text = TherionExporter.getText(cave);
+    expect(text).toContain('    data normal from to length compass clino\n');
+    expect(text).toContain('    0 1 10 90 0\n');
+    expect(text).not.toContain('left right up down');
+  });
+});
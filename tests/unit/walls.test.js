@@ -0,0 +1,226 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Vector } from '../../src/model.js';
+
+// ─── Mocks (must come before dynamic imports) ────────────────────────────────
+
+vi.mock('../../src/i18n/i18n.js', () => ({
+  i18n : { t: (key) => key }
+}));
+
+vi.mock('../../src/ui/popups.js', () => ({
+  showErrorPanel   : vi.fn(),
+  showWarningPanel : vi.fn(),
+  showInfoPanel    : vi.fn()
+}));
+
+vi.mock('../../src/ui/coordinate-system-dialog.js', () => ({
+  CoordinateSystemDialog : class {
+    async show() {
+      return { coordinateSystem: undefined, coordinates: [] };
+    }
+  }
+}));
+
+vi.mock('../../src/utils/global-coordinate-normalizer.js', () => ({
+  globalNormalizer : {
+    isInitialized          : () => false,
+    initializeGlobalOrigin : vi.fn(),
+    getNormalizedVector    : (c) => c
+  }
+}));
+
+vi.mock('../../src/model/geo.js', async () => {
+  const actual = await vi.importActual('../../src/model/geo.js');
+  const origUTM = actual.UTMCoordinateWithElevation;
+  class UTMCoordWithNorm extends origUTM {
+    toNormalizedVector() {
+      return new Vector(this.easting, this.northing, this.elevation);
+    }
+  }
+  return { ...actual, UTMCoordinateWithElevation: UTMCoordWithNorm };
+});
+
+// ─── Dynamic imports (after mocks) ───────────────────────────────────────────
+
+const { WallsImporter } = await import('../../src/io/walls-importer.js');
+const { showInfoPanel } = await import('../../src/ui/popups.js');
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function makeImporter() {
+  return new WallsImporter(null, null, null, null);
+}
+
+const srv = (...lines) => lines.join('\r\n');
+
+const shotValues = (survey) => survey.shots.map((sh) => [sh.from, sh.to, sh.length, sh.azimuth, sh.clino]);
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+describe('WallsImporter', () => {
+
+  describe('survey file', () => {
+    it('parses vector rows into a Cave', async () => {
+      const text = srv(
+        '; entrance series',
+        '#date 2004-03-21',
+        'A1 A2 10.5 90 -5  ; first shot',
+        'A2 A3 4.25 N45W +10',
+        '#[',
+        'A3 A4 1 1 1',
+        '#]'
+      );
+      const cave = await makeImporter().getCave(new Map([['entrance.srv', text]]));
+
+      expect(cave.name).toBe('entrance');
+      expect(cave.surveys).toHaveLength(1);
+      const survey = cave.surveys[0];
+      expect(survey.name).toBe('entrance');
+      expect(survey.units.length).toBe('meters');
+      expect(survey.metadata.date.getFullYear()).toBe(2004);
+      expect(shotValues(survey)).toEqual([
+        ['A1', 'A2', 10.5, 90, -5],
+        ['A2', 'A3', 4.25, 315, 10]
+      ]);
+      expect(survey.shots[0].comment).toBe('first shot');
+      expect(cave.stations.has('A4')).toBe(false);
+    });
+
+    it('applies #units order, lengths, declination and incremental corrections', async () => {
+      const text = srv(
+        '#units feet order=AVD decl=2 incd=1 inca=1 incv=-1',
+        'A1 A2 89 1 9',
+        'A2 A3 0 0 6i6',
+        '#units reset',
+        'A3 A4 2m 180 0',
+        '#units save d=m',
+        'A4 A5 3 90 0',
+        '#units restore',
+        'A5 A6 3 90 0'
+      );
+      const cave = await makeImporter().getCave(new Map([['a.srv', text]]));
+
+      const survey = cave.surveys[0];
+      expect(survey.units.length).toBe('feet');
+      expect(survey.metadata.declination).toBe(2);
+      expect(shotValues(survey)).toEqual([
+        ['A1', 'A2', 10, 90, 0],
+        ['A2', 'A3', 7.5, 1, -1],
+        // after the reset the values are in meters without declination
+        ['A3', 'A4', 6.562, 178, 0],
+        ['A4', 'A5', 9.843, 88, 0],
+        ['A5', 'A6', 9.843, 88, 0]
+      ]);
+    });
+
+    it('keeps the backsights of the vectors', async () => {
+      const text = srv('A1 A2 10 88/270 2/-4', '#units typeab=c typevb=c', 'A2 A3 10 --/180 --/5', 'A3 A4 10 0/5 0/1');
+      const cave = await makeImporter().getCave(new Map([['a.srv', text]]));
+
+      const [first, second, third] = cave.surveys[0].shots;
+      expect([first.azimuth, first.clino, first.backAzimuth, first.backClino]).toEqual([88, 2, 270, -4]);
+      expect(first.getAveragedReadings(cave.surveys[0].units)).toEqual({ azimuth: 89, clino: 3 });
+      expect([second.azimuth, second.clino, second.backAzimuth, second.backClino]).toEqual([
+        180,
+        5,
+        undefined,
+        undefined
+      ]);
+      // corrected backsights are stored as read on the instrument
+      expect([third.backAzimuth, third.backClino]).toEqual([185, -1]);
+    });
+
+    it('reads LRUD blocks for the from or the to station', async () => {
+      const text = srv('A1 A2 10 90 0 <1,2,3,4>', '#units lrud=to', 'A2 A3 10 90 0 <1 -- 2 0.5>', 'A3 *2,2,2,2*');
+      const cave = await makeImporter().getCave(new Map([['a.srv', text]]));
+
+      const dims = Object.fromEntries(
+        cave.stationDimensions.map((sd) => [sd.name, [sd.left, sd.right, sd.up, sd.down]])
+      );
+      expect(dims.A1).toEqual([1, 2, 3, 4]);
+      expect(dims.A3).toEqual([1, undefined, 2, 0.5]);
+      expect(dims.A2).toBeUndefined();
+    });
+
+    it('prefixes the station names and splits the segments into surveys', async () => {
+      const text = srv(
+        '#prefix MAIN',
+        'A1 A2 10 90 0',
+        '#segment /upper',
+        'A2 B1 5 0 0',
+        '#prefix2 X',
+        'B1 :C1 5 0 0',
+        '#prefix2',
+        '#segment ..',
+        'OTHER:A1 A2 3 180 0'
+      );
+      const cave = await makeImporter().getCave(new Map([['cave.srv', text]]));
+
+      expect(cave.surveys.map((s) => s.name)).toEqual(['cave', 'cave/upper']);
+      expect(cave.surveys[0].shots.map((sh) => [sh.from, sh.to])).toEqual([
+        ['MAIN:A1', 'MAIN:A2'],
+        ['OTHER:A1', 'MAIN:A2']
+      ]);
+      expect(cave.surveys[1].shots.map((sh) => [sh.from, sh.to])).toEqual([
+        ['MAIN:A2', 'MAIN:B1'],
+        ['X:MAIN:B1', 'X:C1']
+      ]);
+    });
+
+    it('rejects files without vectors', async () => {
+      await expect(makeImporter().getCave(new Map([['a.srv', '; nothing here']]))).rejects.toThrow(
+        'errors.import.wallsNoData'
+      );
+    });
+  });
+
+  describe('project file', () => {
+    it('reads the project tree, the reference and the fixed station', async () => {
+      const wpj = [
+        ';WALLS Project file',
+        '.BOOK\tSecret Cave',
+        '.NAME\tSECRET',
+        '.OPTIONS\tf',
+        '.REF\t5200000.000 650000.000 34 0.000 300 1 46 56 0 19 1 0 27 "WGS 1984"',
+        '.SURVEY\tUpper Series',
+        '.NAME\tUPPER',
+        '.BOOK\tLower',
+        '.SURVEY\tEntrance',
+        '.NAME\tentrance',
+        '.OPTIONS\tm',
+        '.SURVEY\tMissing',
+        '.NAME\tmissing',
+        '.ENDBOOK',
+        '.ENDBOOK'
+      ].join('\r\n');
+      const upper = srv('E2 U1 10 0 0');
+      const entrance = srv('#fix E1 650010 5200020 350', 'E1 E2 10 90 0');
+
+      showInfoPanel.mockClear();
+      const cave = await makeImporter().getCave(
+        new Map([
+          ['secret.wpj', wpj],
+          ['upper.SRV', upper],
+          ['ENTRANCE.srv', entrance]
+        ])
+      );
+
+      expect(cave.name).toBe('Secret Cave');
+      expect(cave.surveys.map((s) => [s.name, s.units.length])).toEqual([
+        ['Entrance', 'meters'],
+        ['Upper Series', 'feet']
+      ]);
+      expect(cave.geoData.coordinateSystem.zoneNum).toBe(34);
+      expect(cave.geoData.coordinates[0].name).toBe('E1');
+      expect(cave.geoData.coordinates[0].coordinate.northing).toBe(5200020);
+      expect(cave.stations.has('U1')).toBe(true);
+      expect(showInfoPanel).toHaveBeenCalledWith('errors.import.wallsUnresolvedInputs', 6000);
+    });
+
+    it('reports a project without its .srv files', async () => {
+      await expect(makeImporter().getCave(new Map([['p.wpj', '.BOOK P\r\n.SURVEY A\r\n.NAME A\r\n']]))).rejects.toThrow(
+        'errors.import.wallsMissingSrvFiles'
+      );
+    });
+  });
+});